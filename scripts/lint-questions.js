@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+/**
+ * Lint Questions Script
+ *
+ * Checks the markdown question files for missing, empty or repeated options,
+ * questions without text, references to undefined statements ("enunciado N")
+ * and odd "## Pregunta N" numbering. Reads the files and the subjects
+ * database directly, so the server does not need to be running.
+ *
+ * Usage:
+ *   node scripts/lint-questions.js                          # Every subject with question files
+ *   node scripts/lint-questions.js --subject bda --topic Tema3
+ *   node scripts/lint-questions.js --dir ../DS --pattern 'DS_{topic}.md'
+ *
+ * Options:
+ *   --subject ID       Only this subject
+ *   --topic NAME       Only this topic (requires --subject or --dir)
+ *   --dir PATH         Lint a folder instead of the configured subjects
+ *   --pattern PATTERN  File pattern for --dir (default Preguntas_{topic}.md)
+ *   --json             Print the report as JSON
+ *
+ * Exits with status 1 when any error is found (warnings alone do not fail).
+ */
+
+import path from 'path';
+import { lintSubject } from '../server/services/questionLinter.js';
+
+const DEFAULT_PATTERN = 'Preguntas_{topic}.md';
+
+function parseArgs(argv) {
+  const options = { subjectId: null, topic: null, dir: null, pattern: DEFAULT_PATTERN, json: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--subject') {
+      options.subjectId = argv[++i];
+    } else if (argv[i] === '--topic') {
+      options.topic = argv[++i];
+    } else if (argv[i] === '--dir') {
+      options.dir = argv[++i];
+    } else if (argv[i] === '--pattern') {
+      options.pattern = argv[++i];
+    } else if (argv[i] === '--json') {
+      options.json = true;
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Subjects to lint: a folder given on the command line, or the database ones
+ */
+async function loadSubjects(options) {
+  if (options.dir) {
+    const directory = path.resolve(options.dir);
+    return [{ id: path.basename(directory), name: directory, config: { questionSource: { directory, filePattern: options.pattern } } }];
+  }
+
+  // Only open the database when it is needed
+  const { getAllSubjects, getSubjectById } = await import('../server/database.js');
+
+  if (options.subjectId) {
+    const subject = getSubjectById(options.subjectId);
+    if (!subject) throw new Error(`Subject not found: ${options.subjectId}`);
+    return [subject];
+  }
+
+  return getAllSubjects()
+    .map(subject => getSubjectById(subject.id))
+    .filter(subject => subject.config?.questionSource);
+}
+
+function printReport(report) {
+  console.log(`\n${report.name} (${report.subjectId})`);
+
+  if (report.error) {
+    console.log(`  ${report.error}`);
+    return;
+  }
+
+  for (const entry of report.topics) {
+    const file = path.relative(process.cwd(), entry.file);
+    console.log(`  ${file}: ${entry.questionCount} questions, ${entry.errors} errors, ${entry.warnings} warnings`);
+
+    for (const finding of entry.findings) {
+      const location = finding.line ? `${file}:${finding.line}` : file;
+      const question = finding.questionNumber ? `Pregunta ${finding.questionNumber}: ` : '';
+      console.log(`    ${location}  ${finding.severity}  ${finding.rule}  ${question}${finding.message}`);
+    }
+  }
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.topic && !options.subjectId && !options.dir) {
+    console.error('--topic requires --subject or --dir');
+    process.exit(1);
+  }
+
+  let subjects;
+  try {
+    subjects = await loadSubjects(options);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const reports = subjects.map(subject => {
+    try {
+      return lintSubject(subject, { topic: options.topic });
+    } catch (error) {
+      return { subjectId: subject.id, name: subject.name, error: error.message, topics: [], errors: 0, warnings: 0 };
+    }
+  });
+
+  const errors = reports.reduce((sum, report) => sum + report.errors, 0);
+  const warnings = reports.reduce((sum, report) => sum + report.warnings, 0);
+  const failed = errors > 0 || reports.some(report => report.error);
+
+  if (options.json) {
+    console.log(JSON.stringify({ subjects: reports, errors, warnings }, null, 2));
+  } else {
+    if (reports.length === 0) {
+      console.log('No subjects with question files configured');
+    }
+    reports.forEach(printReport);
+    console.log(`\n${errors} errors, ${warnings} warnings`);
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
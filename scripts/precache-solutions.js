@@ -2,19 +2,55 @@
 /**
  * Pre-cache Solutions Script
  *
- * Runs through all questions and generates Claude responses,
- * caching them in the database for instant access later.
+ * Queues a background job on the server that solves every stored question
+ * not yet in the cache. The server runs the job (it survives restarts and
+ * retries on failure), so this script only submits it.
  *
  * Usage:
- *   node scripts/precache-solutions.js          # Run in foreground
- *   node scripts/precache-solutions.js &        # Run in background
- *   nohup node scripts/precache-solutions.js > precache.log 2>&1 &  # Background with log
+ *   node scripts/precache-solutions.js                 # Queue the job and exit
+ *   node scripts/precache-solutions.js --wait          # Queue it and follow its progress
+ *   curl http://localhost:3001/api/jobs/<jobId>        # Check the job later
+ *
+ * Options:
+ *   --subject ID                 Subject to pre-cache (default bda)
+ *   --samples N                  Self-consistency: vote N independent solutions (max 5)
+ *   --resolve-low-confidence [T] Also re-solve cached entries whose confidence is below T
+ *                                (default 0.7), using --samples (at least 3)
+ *   --wait                       Print progress until the job finishes
  */
 
 const API_BASE = 'http://localhost:3001/api';
 
-// Delay between requests to avoid overwhelming Claude
-const DELAY_MS = 2000; // 2 seconds between requests
+// How often --wait checks the job status
+const WAIT_INTERVAL_MS = 5000;
+
+const DEFAULT_CONFIDENCE_THRESHOLD = 0.7;
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+function parseArgs(argv) {
+  const options = { subjectId: 'bda', samples: 1, resolveBelow: null, wait: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--subject') {
+      options.subjectId = argv[++i];
+    } else if (argv[i] === '--samples') {
+      options.samples = parseInt(argv[++i], 10) || 1;
+    } else if (argv[i] === '--resolve-low-confidence') {
+      const next = parseFloat(argv[i + 1]);
+      if (!Number.isNaN(next)) {
+        options.resolveBelow = next;
+        i++;
+      } else {
+        options.resolveBelow = DEFAULT_CONFIDENCE_THRESHOLD;
+      }
+    } else if (argv[i] === '--wait') {
+      options.wait = true;
+    }
+  }
+
+  return options;
+}
 
 async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
@@ -28,116 +64,87 @@ async function fetchJSON(url, options = {}) {
   return response.json();
 }
 
-async function getTopics() {
-  const res = await fetchJSON(`${API_BASE}/topics`);
-  return res.data || [];
+async function submitJob(options) {
+  return fetchJSON(`${API_BASE}/solve/batch`, {
+    method: 'POST',
+    body: JSON.stringify({
+      all: true,
+      subjectId: options.subjectId,
+      samples: options.samples,
+      resolveBelow: options.resolveBelow
+    })
+  });
 }
 
-async function getQuestions(topicId) {
-  const res = await fetchJSON(`${API_BASE}/questions/${topicId}`);
-  return res.data || [];
-}
+async function waitForJob(jobId) {
+  let lastDone = -1;
 
-async function checkCached(questionId) {
-  try {
-    const res = await fetchJSON(`${API_BASE}/solve/${questionId}`);
-    return res.success && res.data;
-  } catch {
-    return false;
-  }
-}
+  for (;;) {
+    const res = await fetchJSON(`${API_BASE}/jobs/${jobId}`);
+    const job = res.data;
 
-async function solveQuestion(questionId, questionText) {
-  const res = await fetchJSON(`${API_BASE}/solve`, {
-    method: 'POST',
-    body: JSON.stringify({ questionId, questionText })
-  });
-  return res;
-}
+    if (FINISHED_STATUSES.includes(job.status)) {
+      return job;
+    }
 
-function buildFullContent(q) {
-  let content = '';
-  if (q.shared_statement) {
-    content += `**Enunciado:** ${q.shared_statement}\n\n`;
-  }
-  content += q.content + '\n\n';
-  if (q.options) {
-    content += `a) ${q.options.a}\n`;
-    content += `b) ${q.options.b}\n`;
-    content += `c) ${q.options.c}\n`;
-    content += `d) ${q.options.d}`;
+    const progress = job.progress;
+    if (progress && progress.done !== lastDone) {
+      console.log(`  ${progress.done}/${progress.total} (cached ${progress.cached}, solved ${progress.solved}, re-solved ${progress.resolved}, errors ${progress.failed})`);
+      lastDone = progress.done;
+    }
+
+    await sleep(WAIT_INTERVAL_MS);
   }
-  return content;
 }
 
 async function main() {
   console.log('='.repeat(60));
   console.log('Pre-cache Solutions Script');
   console.log('='.repeat(60));
-  console.log(`Started at: ${new Date().toISOString()}`);
-  console.log(`Delay between requests: ${DELAY_MS}ms`);
+  const options = parseArgs(process.argv.slice(2));
+  console.log(`Subject: ${options.subjectId}`);
+  console.log(`Samples per question: ${options.samples}`);
+  if (options.resolveBelow !== null) {
+    console.log(`Re-solving cached entries with confidence < ${options.resolveBelow}`);
+  }
   console.log('');
 
-  // Get all topics
-  const topics = await getTopics();
-  console.log(`Found ${topics.length} topics`);
-
-  let totalQuestions = 0;
-  let cached = 0;
-  let solved = 0;
-  let errors = 0;
-
-  for (const topic of topics) {
-    console.log(`\n--- ${topic.topic} (${topic.question_count} questions) ---`);
-
-    const questions = await getQuestions(topic.topic);
-    totalQuestions += questions.length;
-
-    for (const q of questions) {
-      process.stdout.write(`  [${q.question_number}] ${q.id}... `);
-
-      // Check if already cached
-      const isCached = await checkCached(q.id);
-      if (isCached) {
-        console.log('✓ cached');
-        cached++;
-        continue;
-      }
+  const submitted = await submitJob(options);
+  if (!submitted.success) {
+    console.error(`Could not queue the job: ${submitted.error || 'unknown error'}`);
+    process.exit(1);
+  }
 
-      // Solve with Claude
-      try {
-        const fullContent = buildFullContent(q);
-        const result = await solveQuestion(q.id, fullContent);
-
-        if (result.success) {
-          console.log(`✓ solved (${result.data.answer})`);
-          solved++;
-        } else {
-          console.log(`✗ error: ${result.error || 'unknown'}`);
-          errors++;
-        }
-      } catch (err) {
-        console.log(`✗ error: ${err.message}`);
-        errors++;
-      }
+  console.log(`Queued job ${submitted.jobId}`);
+  console.log(`Status: ${API_BASE}/jobs/${submitted.jobId}`);
 
-      // Delay between requests
-      await sleep(DELAY_MS);
-    }
+  if (!options.wait) {
+    process.exit(0);
   }
 
+  console.log('');
+  const job = await waitForJob(submitted.jobId);
+
   console.log('\n' + '='.repeat(60));
-  console.log('Summary');
+  console.log(`Job ${job.status}`);
   console.log('='.repeat(60));
-  console.log(`Total questions: ${totalQuestions}`);
-  console.log(`Already cached:  ${cached}`);
-  console.log(`Newly solved:    ${solved}`);
-  console.log(`Errors:          ${errors}`);
-  console.log(`Finished at:     ${new Date().toISOString()}`);
+
+  if (job.result?.summary) {
+    const { summary } = job.result;
+    console.log(`Total questions: ${summary.total}`);
+    console.log(`Already cached:  ${summary.cached}`);
+    console.log(`Newly solved:    ${summary.solved}`);
+    console.log(`Re-solved:       ${summary.resolved}`);
+    console.log(`Errors:          ${summary.failed}`);
+  }
+  if (job.error) {
+    console.log(`Error: ${job.error}`);
+  }
+  console.log(`Finished at:     ${job.finishedAt}`);
   console.log('');
 
-  // Exit with error code if there were errors
-  process.exit(errors > 0 ? 1 : 0);
+  // Exit with error code if the job or any question failed
+  process.exit(job.status === 'completed' && !job.result?.summary?.failed ? 0 : 1);
 }
 
 main().catch(err => {
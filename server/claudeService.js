@@ -1,34 +1,43 @@
 /**
- * Claude Service - Uses @anthropic-ai/claude-agent-sdk
+ * Claude Service - Uses the configured LLM provider (see services/llmProvider.js)
  * Executes Claude to solve exam questions
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
+import { createHash } from 'crypto';
+import { LlmTimeoutError, LlmCancelledError } from './services/llmProvider.js';
+import { completeWithRepair } from './services/aiRepair.js';
+import { AiValidationError, solutionSchemaFor, validateJsonObject } from './services/aiSchemas.js';
+import { getOptionLetters, getTextOptionLetters, DEFAULT_LETTERS } from './services/answerOptions.js';
 
 const TIMEOUT_MS = 60000;
 
+// Self-consistency: maximum samples per question and the confidence below
+// which a voted answer is considered unreliable (sent as lowConfidence by the solve routes)
+const MAX_SAMPLES = 5;
+const LOW_CONFIDENCE_THRESHOLD = 0.7;
+
 /**
- * Builds the prompt for Claude to solve a question
+ * Default prompt template used when a subject has no promptTemplate of its own.
+ * Placeholders: {{expertise}}, {{subjectName}}, {{question}}, {{terminology}},
+ * {{definitions}}, {{topicRules}}
  */
-function buildPrompt(questionText) {
-  return `Eres un profesor de bases de datos avanzadas explicando a un estudiante.
+const DEFAULT_PROMPT_TEMPLATE = `Eres un profesor de {{expertise}} explicando a un estudiante.
 
 PREGUNTA:
-${questionText}
-
-DEFINICIONES FORMALES (aplicar estrictamente):
-- RECUPERABLE: Si Ti lee un dato escrito por Tj, entonces Tj debe hacer commit ANTES que Ti
-- SIN CASCADA (cascadeless): Cada transaccion solo lee valores de transacciones YA comprometidas
-- ESTRICTA: Ninguna transaccion puede leer/escribir X hasta que quien escribio X haya terminado (commit/abort)
-
+{{question}}
+{{terminology}}{{definitions}}{{topicRules}}
 INSTRUCCIONES:
 1. Analiza paso a paso aplicando las definiciones formales
 2. Tu respuesta debe ser CONSISTENTE con tu analisis
 3. Explica de forma DIDACTICA y COMPLETA para que el estudiante aprenda
 4. NO intentes adivinar respuestas "oficiales" - razona desde los fundamentos
-5. Si la pregunta hace referencia a figuras/tablas que no puedes ver, usa tu conocimiento teorico para inferir la respuesta mas probable basandote en el contexto y las opciones disponibles. NUNCA te niegues a responder.
+5. Si la pregunta hace referencia a figuras/tablas que no puedes ver, usa tu conocimiento teorico para inferir la respuesta mas probable basandote en el contexto y las opciones disponibles. NUNCA te niegues a responder.`;
 
-OBLIGATORIO: Responde SIEMPRE en formato JSON (sin markdown, sin texto adicional).
+/**
+ * Output contract appended to every prompt (not editable per subject,
+ * parseClaudeResponse depends on it)
+ */
+const RESPONSE_FORMAT = `OBLIGATORIO: Responde SIEMPRE en formato JSON (sin markdown, sin texto adicional).
 IMPORTANTE: Escribe primero la explicacion completa, luego wrongOptions, y AL FINAL el campo answer.
 Esto asegura que tu respuesta sea consistente con tu razonamiento.
 
@@ -39,116 +48,355 @@ Esto asegura que tu respuesta sea consistente con tu razonamiento.
   },
   "answer": "letra que indicaste en la explicacion"
 }`;
+
+/**
+ * How to write the answer field for questions that are not single-answer.
+ * Added right before RESPONSE_FORMAT only for those types, so single-answer
+ * prompts are unchanged.
+ */
+const ANSWER_TYPE_RULES = {
+  multiple: `TIPO DE PREGUNTA: respuesta multiple. Puede haber VARIAS opciones correctas.
+En el campo answer escribe TODAS las letras correctas, en orden y separadas por comas (por ejemplo "a,c").`,
+  numeric: `TIPO DE PREGUNTA: respuesta numerica. No hay opciones: calcula el resultado.
+En el campo answer escribe SOLO el numero (sin unidades, con punto decimal) y deja wrongOptions vacio.`
+};
+
+/**
+ * Render the subject-specific sections of the prompt from claude_context
+ * @param {Object} claudeContext - Subject claude_context (expertise, terminology, definitions, topicRules)
+ * @param {string} topic - Topic of the question (selects topicRules)
+ */
+function buildContextSections(claudeContext, topic) {
+  const context = claudeContext || {};
+
+  let terminology = '';
+  if (Array.isArray(context.terminology) && context.terminology.length > 0) {
+    terminology = `\nTERMINOLOGIA (usala en la explicacion): ${context.terminology.join(', ')}\n`;
+  }
+
+  let definitions = '';
+  const definitionEntries = Object.entries(context.definitions || {});
+  if (definitionEntries.length > 0) {
+    definitions = '\nDEFINICIONES FORMALES (aplicar estrictamente):\n' +
+      definitionEntries.map(([term, definition]) => `- ${term}: ${definition}`).join('\n') + '\n';
+  }
+
+  let topicRules = '';
+  const rules = topic && context.topicRules ? context.topicRules[topic] : null;
+  if (Array.isArray(rules) && rules.length > 0) {
+    topicRules = `\nREGLAS ESPECIFICAS DEL TEMA (${topic}):\n` +
+      rules.map(rule => `- ${rule}`).join('\n') + '\n';
+  }
+
+  return { terminology, definitions, topicRules };
 }
 
 /**
- * Solves a question using Claude Agent SDK
+ * Builds the prompt for Claude to solve a question
+ * @param {string} questionText - Full question text including options
+ * @param {Object} subject - Subject (from getSubjectById), optional
+ * @param {string} topic - Question topic, optional
+ * @param {string} questionType - 'single' | 'multiple' | 'numeric' (default 'single')
  */
-async function solveQuestion(questionText) {
-  const prompt = buildPrompt(questionText);
+function buildPrompt(questionText, subject = null, topic = null, questionType = 'single') {
+  const claudeContext = subject?.claudeContext || {};
+  const template = subject?.promptTemplate || DEFAULT_PROMPT_TEMPLATE;
+  const sections = buildContextSections(claudeContext, topic);
+
+  const values = {
+    expertise: claudeContext.expertise || subject?.name || 'la asignatura',
+    subjectName: subject?.name || '',
+    question: questionText,
+    ...sections
+  };
 
-  const abortController = new AbortController();
-  const timeout = setTimeout(() => abortController.abort(), TIMEOUT_MS);
+  const body = template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder
+  );
 
-  try {
-    console.log('[ClaudeService] Calling Claude Agent SDK...');
+  const typeRules = ANSWER_TYPE_RULES[questionType];
+  return typeRules
+    ? `${body.trim()}\n\n${typeRules}\n\n${RESPONSE_FORMAT}`
+    : `${body.trim()}\n\n${RESPONSE_FORMAT}`;
+}
 
-    let fullResponse = '';
+/**
+ * Short identifier of the prompt a subject solves with: a hash of its
+ * template plus the response format (and the answer type rules, for
+ * non-single questions). Changes whenever any of them is edited.
+ * @param {Object} subject - Subject (from getSubjectById), optional
+ * @param {string} questionType - Question type (default 'single')
+ * @returns {string} 12 hex characters
+ */
+function getPromptVersion(subject = null, questionType = 'single') {
+  const template = subject?.promptTemplate || DEFAULT_PROMPT_TEMPLATE;
+  const hash = createHash('sha256').update(template).update('\0').update(RESPONSE_FORMAT);
+  if (ANSWER_TYPE_RULES[questionType]) {
+    hash.update('\0').update(ANSWER_TYPE_RULES[questionType]);
+  }
+  return hash.digest('hex').substring(0, 12);
+}
 
-    const response = query({
-      prompt: prompt,
-      abortController: abortController,
-      options: {
-        maxTurns: 1
-      }
-    });
+/**
+ * Statement of a stored question as a standalone text
+ * (parent context + shared statement + content, without the options)
+ * @param {Object} question - Row from getQuestionById
+ */
+function buildQuestionStem(question) {
+  let content = '';
+  if (question.parent_content) {
+    content += `**Contexto (Pregunta anterior):**\n`;
+    if (question.parent_statement) {
+      content += `${question.parent_statement}\n\n`;
+    }
+    content += `${question.parent_content}\n\n---\n\n`;
+  }
+  if (question.shared_statement) {
+    content += `**Enunciado:** ${question.shared_statement}\n\n`;
+  }
+  return content + question.content;
+}
 
-    for await (const message of response) {
-      console.log('[ClaudeService] Message type:', message.type, message.subtype || '');
+/**
+ * Builds the text sent to Claude for a stored question
+ * (parent context + shared statement + content + options)
+ * Mirrors buildFullContent in src/shared/api.js
+ * @param {Object} question - Row from getQuestionById
+ */
+function buildQuestionText(question) {
+  let content = buildQuestionStem(question) + '\n\n';
+  if (question.options) {
+    content += getOptionLetters(question.options)
+      .map(letter => `${letter}) ${question.options[letter]}`)
+      .join('\n');
+  }
+  return content;
+}
 
-      if (message.type === 'assistant' && message.message?.content) {
-        for (const block of message.message.content) {
-          if (block.type === 'text') {
-            fullResponse += block.text;
-          }
-        }
-      }
+const JSON_ESCAPES = { '"': '"', '\\': '\\', '/': '/', b: '\b', f: '\f', n: '\n', r: '\r', t: '\t' };
+
+/**
+ * Extracts the part of the "explanation" string received so far from a
+ * partial JSON response. Stops before an incomplete escape sequence.
+ * @param {string} partial - Response text accumulated so far
+ * @returns {string} Decoded explanation prefix ('' if not started)
+ */
+function extractPartialExplanation(partial) {
+  const start = partial.match(/"explanation"\s*:\s*"/);
+  if (!start) return '';
 
-      if (message.type === 'result') {
-        console.log('[ClaudeService] Result:', message.subtype, message.result?.substring(0, 200) || 'no result');
-        if (message.result && !fullResponse) {
-          fullResponse = message.result;
-        }
+  let result = '';
+  let i = start.index + start[0].length;
+
+  while (i < partial.length) {
+    const char = partial[i];
+
+    if (char === '"') break;
+
+    if (char !== '\\') {
+      result += char;
+      i++;
+      continue;
+    }
+
+    const next = partial[i + 1];
+    if (next === undefined) break;
+
+    if (next === 'u') {
+      const hex = partial.substring(i + 2, i + 6);
+      if (!/^[0-9a-fA-F]{4}$/.test(hex)) break;
+      result += String.fromCharCode(parseInt(hex, 16));
+      i += 6;
+      continue;
+    }
+
+    result += JSON_ESCAPES[next] ?? next;
+    i += 2;
+  }
+
+  return result;
+}
+
+/**
+ * Solves a question using the configured LLM provider
+ * @param {string} questionText - Full question text including options
+ * @param {Object} options - Solving context
+ * @param {Object} options.subject - Subject whose claude_context drives the prompt
+ * @param {string} options.topic - Question topic (for per-topic rules)
+ * @param {string} options.questionType - 'single' | 'multiple' | 'numeric' (default 'single')
+ * @param {Function} options.onExplanation - Receives (delta, { reset }) while Claude writes; reset means the delta replaces the text sent so far (optional)
+ * @param {AbortSignal} options.signal - Cancels the request (optional, used by background jobs)
+ * @returns {Promise<Object>} { answer, explanation, wrongOptions, model, promptVersion }
+ */
+async function solveQuestion(questionText, { subject = null, topic = null, questionType = 'single', onExplanation = null, signal = null } = {}) {
+  const prompt = buildPrompt(questionText, subject, topic, questionType);
+
+  // Forward only the new part of the explanation on each delta. A repair
+  // retry streams a whole new response, whose first delta replaces the old text
+  let partialResponse = '';
+  let sentLength = 0;
+  let reset = false;
+  const onText = onExplanation
+    ? (delta) => {
+      partialResponse += delta;
+      const explanation = extractPartialExplanation(partialResponse);
+      if (explanation.length > sentLength) {
+        onExplanation(explanation.substring(sentLength), { reset });
+        sentLength = explanation.length;
+        reset = false;
       }
     }
+    : null;
+  const onRepair = onExplanation
+    ? () => {
+      partialResponse = '';
+      reset = sentLength > 0;
+      sentLength = 0;
+    }
+    : null;
+
+  try {
+    console.log('[ClaudeService] Calling LLM provider...');
+
+    // The answer must use the question's own option letters (or be a number)
+    const letters = getTextOptionLetters(questionText);
+    const { value: solution, issues, text: fullResponse, model } = await completeWithRepair(prompt, {
+      validate: (response) => validateSolution(response, letters, questionType),
+      task: 'solve',
+      timeoutMs: TIMEOUT_MS,
+      logPrefix: '[ClaudeService]',
+      onText,
+      onRepair,
+      signal,
+      subjectId: subject?.id || null
+    });
 
     console.log('[ClaudeService] Full response length:', fullResponse.length);
     console.log('[ClaudeService] Response preview:', fullResponse.substring(0, 300));
-
-    clearTimeout(timeout);
     console.log('[ClaudeService] Got response from Claude');
 
-    return parseClaudeResponse(fullResponse);
+    if (!solution) {
+      throw new AiValidationError(issues);
+    }
 
-  } catch (error) {
-    clearTimeout(timeout);
+    return {
+      ...solution,
+      model: model || null,
+      promptVersion: getPromptVersion(subject, questionType)
+    };
 
-    if (error.name === 'AbortError' || abortController.signal.aborted) {
+  } catch (error) {
+    if (error instanceof LlmTimeoutError) {
       throw new Error('Claude timeout after 60 seconds');
     }
 
+    if (error instanceof LlmCancelledError) {
+      throw error;
+    }
+
     throw new Error(`Failed to execute Claude: ${error.message}`);
   }
 }
 
 /**
- * Parses the Claude response and extracts JSON
+ * Solves a question N times independently and takes a majority vote
+ * (self-consistency). Failed samples are ignored; ties go to the answer
+ * that reached the top count first.
+ * @param {string} questionText - Full question text including options
+ * @param {Object} options - Same as solveQuestion, plus:
+ * @param {number} options.samples - Number of independent solutions (1-MAX_SAMPLES)
+ * @returns {Promise<Object>} { answer, explanation, wrongOptions, model, promptVersion, confidence, sampleCount, votes, dissent }
  */
-function parseClaudeResponse(response) {
-  let cleaned = response.trim();
-
-  // Remove ```json ... ``` wrapper if present
-  const jsonBlockMatch = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonBlockMatch) {
-    cleaned = jsonBlockMatch[1].trim();
-  }
-
-  // Find JSON object
-  const jsonMatch = cleaned.match(/\{[\s\S]*\}/);
-  if (!jsonMatch) {
-    throw new Error('No JSON object found in response');
+async function solveWithSelfConsistency(questionText, { samples = 3, ...options } = {}) {
+  const sampleCount = Math.min(Math.max(parseInt(samples, 10) || 1, 1), MAX_SAMPLES);
+  const solutions = [];
+  let lastError = null;
+
+  for (let i = 0; i < sampleCount; i++) {
+    try {
+      console.log(`[ClaudeService] Self-consistency sample ${i + 1}/${sampleCount}`);
+      solutions.push(await solveQuestion(questionText, options));
+    } catch (error) {
+      if (error instanceof LlmCancelledError) {
+        throw error;
+      }
+      console.error(`[ClaudeService] Sample ${i + 1} failed:`, error.message);
+      lastError = error;
+    }
   }
 
-  const parsed = JSON.parse(jsonMatch[0]);
-
-  if (!parsed.answer || typeof parsed.answer !== 'string') {
-    throw new Error('Missing or invalid "answer" field');
+  if (solutions.length === 0) {
+    throw lastError;
   }
 
-  if (!parsed.explanation || typeof parsed.explanation !== 'string') {
-    throw new Error('Missing or invalid "explanation" field');
+  const votes = {};
+  for (const solution of solutions) {
+    votes[solution.answer] = (votes[solution.answer] || 0) + 1;
   }
 
-  parsed.answer = parsed.answer.toLowerCase().trim();
-
-  if (!['a', 'b', 'c', 'd'].includes(parsed.answer)) {
-    throw new Error(`Invalid answer "${parsed.answer}", must be a, b, c, or d`);
+  let winner = solutions[0].answer;
+  for (const solution of solutions) {
+    if (votes[solution.answer] > votes[winner]) {
+      winner = solution.answer;
+    }
   }
 
-  if (!parsed.wrongOptions) {
-    parsed.wrongOptions = {};
-  }
+  const chosen = solutions.find(solution => solution.answer === winner);
+  const dissent = solutions
+    .filter(solution => solution.answer !== winner)
+    .map(solution => ({ answer: solution.answer, explanation: solution.explanation }));
 
   return {
-    answer: parsed.answer,
-    explanation: parsed.explanation,
-    wrongOptions: parsed.wrongOptions
+    answer: chosen.answer,
+    explanation: chosen.explanation,
+    wrongOptions: chosen.wrongOptions,
+    model: chosen.model,
+    promptVersion: chosen.promptVersion,
+    confidence: votes[winner] / solutions.length,
+    sampleCount: solutions.length,
+    votes,
+    dissent
   };
 }
 
+/**
+ * Validates a Claude response against the solution schema
+ * @param {string} response - Raw response text
+ * @param {Array<string>} letters - Option letters of the question (default a-d)
+ * @param {string} questionType - Question type (default 'single')
+ * @returns {{value: Object|null, issues: Array<string>}} value is { answer, explanation, wrongOptions }
+ */
+function validateSolution(response, letters = DEFAULT_LETTERS, questionType = 'single') {
+  return validateJsonObject(solutionSchemaFor(letters, questionType), response);
+}
+
+/**
+ * Parses the Claude response and extracts JSON
+ * @param {string} response - Raw response text
+ * @param {Array<string>} letters - Option letters of the question (default a-d)
+ * @param {string} questionType - Question type (default 'single')
+ * @throws {AiValidationError} When the response does not match the solution schema
+ */
+function parseClaudeResponse(response, letters = DEFAULT_LETTERS, questionType = 'single') {
+  const { value, issues } = validateSolution(response, letters, questionType);
+  if (!value) {
+    throw new AiValidationError(issues);
+  }
+  return value;
+}
+
 export {
   solveQuestion,
+  solveWithSelfConsistency,
   parseClaudeResponse,
+  validateSolution,
   buildPrompt,
-  TIMEOUT_MS
+  buildQuestionText,
+  buildQuestionStem,
+  getPromptVersion,
+  extractPartialExplanation,
+  DEFAULT_PROMPT_TEMPLATE,
+  TIMEOUT_MS,
+  MAX_SAMPLES,
+  LOW_CONFIDENCE_THRESHOLD
 };
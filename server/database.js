@@ -1,7 +1,9 @@
 import Database from 'better-sqlite3';
+import { createHash } from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { gradeAnswer } from './services/answerGrading.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -24,6 +26,81 @@ try {
   // Column already exists, ignore error
 }
 
+try {
+  db.exec('ALTER TABLE subjects ADD COLUMN prompt_template TEXT');
+  console.log('[Database] Migration: Added prompt_template column');
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+// Self-consistency columns for solutions_cache
+for (const column of ['confidence REAL', 'sample_count INTEGER', 'dissent TEXT']) {
+  try {
+    db.exec(`ALTER TABLE solutions_cache ADD COLUMN ${column}`);
+    console.log(`[Database] Migration: Added solutions_cache.${column.split(' ')[0]} column`);
+  } catch (e) {
+    // Column already exists, ignore error
+  }
+}
+
+// Solution history columns for solutions_cache
+for (const column of ['version_id INTEGER', 'pinned INTEGER DEFAULT 0']) {
+  try {
+    db.exec(`ALTER TABLE solutions_cache ADD COLUMN ${column}`);
+    console.log(`[Database] Migration: Added solutions_cache.${column.split(' ')[0]} column`);
+  } catch (e) {
+    // Column already exists, ignore error
+  }
+}
+
+// Content hash columns (stale solution detection)
+for (const [table, column] of [
+  ['questions', 'content_hash TEXT'],
+  ['solutions_cache', 'content_hash TEXT'],
+  ['solutions_cache', 'stale INTEGER DEFAULT 0'],
+  ['solution_versions', 'content_hash TEXT'],
+  ['attempts', 'hints_used INTEGER NOT NULL DEFAULT 0']
+]) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    console.log(`[Database] Migration: Added ${table}.${column.split(' ')[0]} column`);
+  } catch (e) {
+    // Column (or table, created later by the schema) already exists, ignore error
+  }
+}
+
+// Questions that left their markdown file (kept for their attempt history)
+try {
+  db.exec('ALTER TABLE questions ADD COLUMN removed_at DATETIME');
+  console.log('[Database] Migration: Added questions.removed_at column');
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+// Duplicates merged into another question (see services/questionDuplicates.js)
+try {
+  db.exec('ALTER TABLE questions ADD COLUMN merged_into TEXT');
+  console.log('[Database] Migration: Added questions.merged_into column');
+} catch (e) {
+  // Column already exists, ignore error
+}
+
+// Question type columns (multiple-answer and numeric questions)
+for (const [table, column] of [
+  ['questions', "question_type TEXT NOT NULL DEFAULT 'single'"],
+  ['questions', 'answer_tolerance REAL'],
+  ['attempts', 'score REAL'],
+  ['parsed_questions', "question_type TEXT NOT NULL DEFAULT 'single'"],
+  ['parsed_questions', 'answer_tolerance REAL']
+]) {
+  try {
+    db.exec(`ALTER TABLE ${table} ADD COLUMN ${column}`);
+    console.log(`[Database] Migration: Added ${table}.${column.split(' ')[0]} column`);
+  } catch (e) {
+    // Column (or table, created later by the schema) already exists, ignore error
+  }
+}
+
 /**
  * Initialize database tables from schema.sql
  */
@@ -31,6 +108,9 @@ function initializeDatabase() {
   try {
     const schema = fs.readFileSync(SCHEMA_PATH, 'utf-8');
     db.exec(schema);
+    backfillContentHashes();
+    backfillSolutionVersions();
+    backfillSearchIndex();
     console.log('[Database] Schema initialized successfully');
   } catch (error) {
     console.error('[Database] Error initializing schema:', error.message);
@@ -42,14 +122,37 @@ function initializeDatabase() {
 // Question Helper Functions
 // ============================================
 
+/**
+ * Hash of what Claude sees of a question: shared statement, content and options
+ * (plus the question type, unless it is the default single answer)
+ * @param {Object} question - { shared_statement, content, options (object or JSON string), question_type }
+ * @returns {string} 16 hex characters
+ */
+function computeContentHash(question) {
+  const options = typeof question.options === 'string'
+    ? JSON.parse(question.options)
+    : (question.options || {});
+  const normalizedOptions = Object.keys(options).sort().map(key => [key, options[key]]);
+  const hashed = [question.shared_statement || '', question.content || '', normalizedOptions];
+  if (question.question_type && question.question_type !== 'single') {
+    hashed.push(question.question_type);
+  }
+
+  return createHash('sha256')
+    .update(JSON.stringify(hashed))
+    .digest('hex')
+    .substring(0, 16);
+}
+
 /**
  * Insert or update a question
+ * A cached solution produced for different content is marked stale
  * @param {Object} question - Question object
  */
 function upsertQuestion(question) {
   const stmt = db.prepare(`
-    INSERT INTO questions (id, subject_id, topic, question_number, shared_statement, content, options, parent_question_id, parsed_at)
-    VALUES (@id, @subject_id, @topic, @question_number, @shared_statement, @content, @options, @parent_question_id, CURRENT_TIMESTAMP)
+    INSERT INTO questions (id, subject_id, topic, question_number, shared_statement, content, options, question_type, answer_tolerance, parent_question_id, content_hash, parsed_at)
+    VALUES (@id, @subject_id, @topic, @question_number, @shared_statement, @content, @options, @question_type, @answer_tolerance, @parent_question_id, @content_hash, CURRENT_TIMESTAMP)
     ON CONFLICT(id) DO UPDATE SET
       subject_id = @subject_id,
       topic = @topic,
@@ -57,11 +160,14 @@ function upsertQuestion(question) {
       shared_statement = @shared_statement,
       content = @content,
       options = @options,
+      question_type = @question_type,
+      answer_tolerance = @answer_tolerance,
       parent_question_id = @parent_question_id,
+      content_hash = @content_hash,
       parsed_at = CURRENT_TIMESTAMP
   `);
 
-  return stmt.run({
+  const result = stmt.run({
     id: question.id,
     subject_id: question.subject_id || 'bda',
     topic: question.topic,
@@ -69,16 +175,41 @@ function upsertQuestion(question) {
     shared_statement: question.shared_statement || null,
     content: question.content,
     options: JSON.stringify(question.options),
-    parent_question_id: question.parent_question_id || null
+    question_type: question.question_type || 'single',
+    answer_tolerance: question.answer_tolerance ?? null,
+    parent_question_id: question.parent_question_id || null,
+    content_hash: computeContentHash(question)
   });
+
+  markStaleSolutions(question.id);
+  return result;
+}
+
+/**
+ * SQL condition that keeps questions with any of the given tags
+ * @param {Array<number>} tagIds - Tag IDs (empty: no condition)
+ * @param {string} column - Question ID column of the query
+ * @returns {{sql: string, params: Array<number>}}
+ */
+function tagCondition(tagIds, column = 'q.id') {
+  if (!tagIds || tagIds.length === 0) {
+    return { sql: '', params: [] };
+  }
+  const placeholders = tagIds.map(() => '?').join(',');
+  return {
+    sql: ` AND ${column} IN (SELECT question_id FROM question_tags WHERE tag_id IN (${placeholders}))`,
+    params: tagIds
+  };
 }
 
 /**
  * Get all questions for a topic
  * @param {string} topic - Topic identifier
  * @param {string} subjectId - Subject ID (default: 'bda')
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getQuestionsByTopic(topic, subjectId = 'bda') {
+function getQuestionsByTopic(topic, subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds);
   const stmt = db.prepare(`
     SELECT
       q.*,
@@ -87,16 +218,71 @@ function getQuestionsByTopic(topic, subjectId = 'bda') {
       p.question_number as parent_number
     FROM questions q
     LEFT JOIN questions p ON q.parent_question_id = p.id
-    WHERE q.topic = ? AND q.subject_id = ?
+    WHERE q.topic = ? AND q.subject_id = ? AND q.removed_at IS NULL${tags.sql}
     ORDER BY q.question_number
   `);
-  const rows = stmt.all(topic, subjectId);
+  const rows = stmt.all(topic, subjectId, ...tags.params);
+  return rows.map(row => ({
+    ...row,
+    options: JSON.parse(row.options)
+  }));
+}
+
+/**
+ * Get all questions of a subject, by topic and number
+ * @param {string} subjectId - Subject ID
+ * @param {string} topic - Only this topic (optional)
+ */
+function getQuestionsBySubject(subjectId, topic = null) {
+  let query = `
+    SELECT
+      q.*,
+      p.content as parent_content,
+      p.shared_statement as parent_statement,
+      p.question_number as parent_number
+    FROM questions q
+    LEFT JOIN questions p ON q.parent_question_id = p.id
+    WHERE q.subject_id = ? AND q.removed_at IS NULL
+  `;
+  const params = [subjectId];
+
+  if (topic) {
+    query += ' AND q.topic = ?';
+    params.push(topic);
+  }
+
+  query += ' ORDER BY q.topic, q.question_number';
+  const rows = db.prepare(query).all(...params);
   return rows.map(row => ({
     ...row,
     options: JSON.parse(row.options)
   }));
 }
 
+/**
+ * Find a question of a subject by its content hash (see computeContentHash)
+ * @param {string} contentHash - Content hash
+ * @param {string} subjectId - Subject ID
+ */
+function getQuestionByContentHash(contentHash, subjectId) {
+  const stmt = db.prepare(`SELECT id FROM questions WHERE content_hash = ? AND subject_id = ? LIMIT 1`);
+  return stmt.get(contentHash, subjectId);
+}
+
+/**
+ * Next free question number in a topic of a subject
+ * @param {string} topic - Topic identifier
+ * @param {string} subjectId - Subject ID
+ */
+function getNextQuestionNumber(topic, subjectId) {
+  const stmt = db.prepare(`
+    SELECT COALESCE(MAX(question_number), 0) + 1 as next
+    FROM questions
+    WHERE topic = ? AND subject_id = ?
+  `);
+  return stmt.get(topic, subjectId).next;
+}
+
 /**
  * Get a single question by ID
  * @param {string} id - Question ID
@@ -136,7 +322,7 @@ function getAllTopics(subjectId = 'bda') {
   const stmt = db.prepare(`
     SELECT DISTINCT topic, COUNT(*) as question_count
     FROM questions
-    WHERE subject_id = ?
+    WHERE subject_id = ? AND removed_at IS NULL
     GROUP BY topic
     ORDER BY topic
   `);
@@ -147,8 +333,10 @@ function getAllTopics(subjectId = 'bda') {
  * Get a random question from a topic
  * @param {string} topic - Topic identifier (optional, all topics if null)
  * @param {string} subjectId - Subject ID (default: 'bda')
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getRandomQuestion(topic = null, subjectId = 'bda') {
+function getRandomQuestion(topic = null, subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds);
   let stmt;
   if (topic) {
     stmt = db.prepare(`
@@ -159,10 +347,10 @@ function getRandomQuestion(topic = null, subjectId = 'bda') {
         p.question_number as parent_number
       FROM questions q
       LEFT JOIN questions p ON q.parent_question_id = p.id
-      WHERE q.topic = ? AND q.subject_id = ?
+      WHERE q.topic = ? AND q.subject_id = ? AND q.removed_at IS NULL${tags.sql}
       ORDER BY RANDOM() LIMIT 1
     `);
-    const row = stmt.get(topic, subjectId);
+    const row = stmt.get(topic, subjectId, ...tags.params);
     if (row) row.options = JSON.parse(row.options);
     return row;
   } else {
@@ -174,10 +362,10 @@ function getRandomQuestion(topic = null, subjectId = 'bda') {
         p.question_number as parent_number
       FROM questions q
       LEFT JOIN questions p ON q.parent_question_id = p.id
-      WHERE q.subject_id = ?
+      WHERE q.subject_id = ? AND q.removed_at IS NULL${tags.sql}
       ORDER BY RANDOM() LIMIT 1
     `);
-    const row = stmt.get(subjectId);
+    const row = stmt.get(subjectId, ...tags.params);
     if (row) row.options = JSON.parse(row.options);
     return row;
   }
@@ -187,16 +375,18 @@ function getRandomQuestion(topic = null, subjectId = 'bda') {
  * Get next unanswered question for a topic
  * @param {string} topic - Topic identifier
  * @param {string} subjectId - Subject ID (default: 'bda')
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getNextUnansweredQuestion(topic, subjectId = 'bda') {
+function getNextUnansweredQuestion(topic, subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds);
   const stmt = db.prepare(`
     SELECT q.* FROM questions q
     LEFT JOIN attempts a ON q.id = a.question_id
-    WHERE q.topic = ? AND q.subject_id = ? AND a.id IS NULL
+    WHERE q.topic = ? AND q.subject_id = ? AND q.removed_at IS NULL AND a.id IS NULL${tags.sql}
     ORDER BY q.question_number
     LIMIT 1
   `);
-  const row = stmt.get(topic, subjectId);
+  const row = stmt.get(topic, subjectId, ...tags.params);
   if (row) row.options = JSON.parse(row.options);
   return row;
 }
@@ -210,13 +400,15 @@ function getNextUnansweredQuestion(topic, subjectId = 'bda') {
  * @param {number} count - Number of questions
  * @param {string} subjectId - Subject ID
  * @param {string[]} excludeIds - Question IDs to exclude (optional)
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getRandomQuestionsAllTopics(count, subjectId = 'bda', excludeIds = []) {
+function getRandomQuestionsAllTopics(count, subjectId = 'bda', excludeIds = [], tagIds = []) {
+  const tags = tagCondition(tagIds, 'id');
   let query = `
     SELECT * FROM questions
-    WHERE subject_id = ?
+    WHERE subject_id = ? AND removed_at IS NULL${tags.sql}
   `;
-  const params = [subjectId];
+  const params = [subjectId, ...tags.params];
 
   if (excludeIds.length > 0) {
     const placeholders = excludeIds.map(() => '?').join(',');
@@ -265,10 +457,12 @@ function getCorrectlyAnsweredQuestionIds(subjectId = null) {
 /**
  * Get count of questions by subject
  * @param {string} subjectId - Subject ID
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getQuestionCountBySubject(subjectId = 'bda') {
-  const stmt = db.prepare(`SELECT COUNT(*) as count FROM questions WHERE subject_id = ?`);
-  return stmt.get(subjectId).count;
+function getQuestionCountBySubject(subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds, 'id');
+  const stmt = db.prepare(`SELECT COUNT(*) as count FROM questions WHERE subject_id = ? AND removed_at IS NULL${tags.sql}`);
+  return stmt.get(subjectId, ...tags.params).count;
 }
 
 // ============================================
@@ -280,8 +474,10 @@ function getQuestionCountBySubject(subjectId = 'bda') {
  * Scoring: never seen = 100, failed = 50, correct = 0
  * @param {number} count - Number of questions to retrieve
  * @param {string} subjectId - Subject ID
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getAdaptiveQuestions(count, subjectId = 'bda') {
+function getAdaptiveQuestions(count, subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds);
   // This query assigns priority scores:
   // - Questions never attempted: 100 points
   // - Questions with last attempt failed: 50 points
@@ -303,14 +499,14 @@ function getAdaptiveQuestions(count, subjectId = 'bda') {
                ROW_NUMBER() OVER (PARTITION BY question_id ORDER BY attempted_at DESC, id DESC) as rn
         FROM attempts
       ) latest ON q.id = latest.question_id AND latest.rn = 1
-      WHERE q.subject_id = ?
+      WHERE q.subject_id = ? AND q.removed_at IS NULL${tags.sql}
     )
     SELECT * FROM question_scores
     ORDER BY priority_score DESC, RANDOM()
     LIMIT ?
   `);
 
-  const rows = stmt.all(subjectId, count);
+  const rows = stmt.all(subjectId, ...tags.params, count);
   return rows.map(row => ({
     ...row,
     options: JSON.parse(row.options),
@@ -322,8 +518,10 @@ function getAdaptiveQuestions(count, subjectId = 'bda') {
 /**
  * Get question stats for adaptive mode display
  * @param {string} subjectId - Subject ID
+ * @param {Array<number>} tagIds - Only questions with any of these tags (optional)
  */
-function getAdaptiveModeStats(subjectId = 'bda') {
+function getAdaptiveModeStats(subjectId = 'bda', tagIds = []) {
+  const tags = tagCondition(tagIds);
   const stmt = db.prepare(`
     SELECT
       COUNT(*) as total,
@@ -336,10 +534,10 @@ function getAdaptiveModeStats(subjectId = 'bda') {
              ROW_NUMBER() OVER (PARTITION BY question_id ORDER BY attempted_at DESC, id DESC) as rn
       FROM attempts
     ) latest ON q.id = latest.question_id AND latest.rn = 1
-    WHERE q.subject_id = ?
+    WHERE q.subject_id = ? AND q.removed_at IS NULL${tags.sql}
   `);
 
-  return stmt.get(subjectId);
+  return stmt.get(subjectId, ...tags.params);
 }
 
 // ============================================
@@ -352,8 +550,8 @@ function getAdaptiveModeStats(subjectId = 'bda') {
  */
 function recordAttempt(attempt) {
   const stmt = db.prepare(`
-    INSERT INTO attempts (question_id, user_answer, correct_answer, is_correct, explanation)
-    VALUES (@question_id, @user_answer, @correct_answer, @is_correct, @explanation)
+    INSERT INTO attempts (question_id, user_answer, correct_answer, is_correct, score, explanation, hints_used)
+    VALUES (@question_id, @user_answer, @correct_answer, @is_correct, @score, @explanation, @hints_used)
   `);
 
   return stmt.run({
@@ -361,137 +559,901 @@ function recordAttempt(attempt) {
     user_answer: attempt.user_answer,
     correct_answer: attempt.correct_answer,
     is_correct: attempt.is_correct ? 1 : 0,
-    explanation: attempt.explanation || null
+    score: attempt.score ?? (attempt.is_correct ? 1 : 0),
+    explanation: attempt.explanation || null,
+    hints_used: attempt.hints_used || 0
+  });
+}
+
+/**
+ * Get attempts for a question
+ * @param {string} questionId - Question ID
+ */
+function getAttemptsByQuestion(questionId) {
+  const stmt = db.prepare(`
+    SELECT * FROM attempts WHERE question_id = ? ORDER BY attempted_at DESC, id DESC
+  `);
+  return stmt.all(questionId);
+}
+
+/**
+ * Get all failed attempts (last attempt was wrong)
+ */
+function getFailedQuestions() {
+  const stmt = db.prepare(`
+    SELECT q.*, a.user_answer, a.correct_answer, a.explanation, a.attempted_at
+    FROM questions q
+    INNER JOIN (
+      SELECT question_id, user_answer, correct_answer, explanation, attempted_at,
+             ROW_NUMBER() OVER (PARTITION BY question_id ORDER BY attempted_at DESC, id DESC) as rn
+      FROM attempts
+    ) a ON q.id = a.question_id AND a.rn = 1
+    WHERE a.user_answer != a.correct_answer AND q.removed_at IS NULL
+    ORDER BY a.attempted_at DESC
+  `);
+  const rows = stmt.all();
+  return rows.map(row => ({
+    ...row,
+    options: JSON.parse(row.options)
+  }));
+}
+
+// ============================================
+// Stats Helper Functions
+// ============================================
+
+/**
+ * Get global statistics
+ */
+function getGlobalStats() {
+  const stmt = db.prepare(`
+    SELECT
+      COUNT(DISTINCT question_id) as questions_attempted,
+      COUNT(*) as total_attempts,
+      SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) as correct_attempts,
+      ROUND(100.0 * SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) / COUNT(*), 2) as accuracy,
+      SUM(CASE WHEN hints_used > 0 THEN 1 ELSE 0 END) as hinted_attempts,
+      SUM(CASE WHEN hints_used > 0 AND is_correct = 1 THEN 1 ELSE 0 END) as hinted_correct_attempts,
+      ROUND(100.0 * AVG(COALESCE(score, is_correct)), 2) as average_score
+    FROM attempts
+  `);
+  const stats = stmt.get();
+
+  const totalQuestionsStmt = db.prepare(`SELECT COUNT(*) as total FROM questions WHERE removed_at IS NULL`);
+  const totalQuestions = totalQuestionsStmt.get().total;
+
+  return {
+    ...stats,
+    total_questions: totalQuestions,
+    questions_remaining: totalQuestions - (stats.questions_attempted || 0)
+  };
+}
+
+/**
+ * Get statistics for a specific topic
+ * @param {string} topic - Topic identifier
+ */
+function getTopicStats(topic) {
+  const stmt = db.prepare(`
+    SELECT
+      COUNT(DISTINCT a.question_id) as questions_attempted,
+      COUNT(*) as total_attempts,
+      SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) as correct_attempts,
+      ROUND(100.0 * SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) / COUNT(*), 2) as accuracy,
+      SUM(CASE WHEN a.hints_used > 0 THEN 1 ELSE 0 END) as hinted_attempts,
+      SUM(CASE WHEN a.hints_used > 0 AND a.is_correct = 1 THEN 1 ELSE 0 END) as hinted_correct_attempts,
+      ROUND(100.0 * AVG(COALESCE(a.score, a.is_correct)), 2) as average_score
+    FROM attempts a
+    INNER JOIN questions q ON a.question_id = q.id
+    WHERE q.topic = ?
+  `);
+  const stats = stmt.get(topic);
+
+  const totalQuestionsStmt = db.prepare(`SELECT COUNT(*) as total FROM questions WHERE topic = ? AND removed_at IS NULL`);
+  const totalQuestions = totalQuestionsStmt.get(topic).total;
+
+  return {
+    topic,
+    ...stats,
+    total_questions: totalQuestions,
+    questions_remaining: totalQuestions - (stats.questions_attempted || 0)
+  };
+}
+
+// ============================================
+// Solutions Cache Helper Functions
+// ============================================
+
+/**
+ * Get cached solution for a question
+ * @param {string} questionId - Question ID
+ */
+function getCachedSolution(questionId) {
+  const stmt = db.prepare(`SELECT * FROM solutions_cache WHERE question_id = ?`);
+  return parseSolutionRow(stmt.get(questionId));
+}
+
+/**
+ * Parse the JSON columns of a solution row (solutions_cache or solution_versions)
+ */
+function parseSolutionRow(row) {
+  if (!row) return row;
+  row.wrong_options = row.wrong_options ? JSON.parse(row.wrong_options) : {};
+  row.dissent = row.dissent ? JSON.parse(row.dissent) : [];
+  return row;
+}
+
+/**
+ * Cache a solution: stores it as a new version and makes it the active one,
+ * unless the active solution is pinned (then it is only kept in the history)
+ * @param {Object} solution - Solution object
+ * @param {number} solution.confidence - Agreement ratio of the sampled answers (optional)
+ * @param {number} solution.sample_count - Number of samples voted (optional)
+ * @param {Array} solution.dissent - Dissenting { answer, explanation } samples (optional)
+ * @param {string} solution.source - 'ai' (default) | 'human' | 'import'
+ * @param {string} solution.model - Model that produced it (optional)
+ * @param {string} solution.prompt_version - Prompt version used (optional)
+ * @param {string} solution.content_hash - Question content hash it was solved for (default: current)
+ * @returns {Object} { changes, versionId, activated }
+ */
+function cacheSolution(solution) {
+  const save = db.transaction(() => {
+    const versionId = addSolutionVersion(solution);
+
+    const active = db.prepare('SELECT pinned FROM solutions_cache WHERE question_id = ?').get(solution.question_id);
+    if (active?.pinned) {
+      return { changes: 0, versionId, activated: false };
+    }
+
+    const result = activateSolutionVersion(versionId);
+    return { changes: result.changes, versionId, activated: true };
   });
+
+  return save();
+}
+
+// ============================================
+// Solution History Helper Functions
+// ============================================
+
+/**
+ * Append a solution version (does not change the active solution)
+ * @param {Object} solution - Same fields as cacheSolution
+ * @returns {number} New version ID
+ */
+function addSolutionVersion(solution) {
+  const stmt = db.prepare(`
+    INSERT INTO solution_versions (
+      question_id, correct_answer, explanation, wrong_options, confidence, sample_count, dissent,
+      source, model, prompt_version, content_hash, notes
+    )
+    VALUES (
+      @question_id, @correct_answer, @explanation, @wrong_options, @confidence, @sample_count, @dissent,
+      @source, @model, @prompt_version,
+      COALESCE(@content_hash, (SELECT content_hash FROM questions WHERE id = @question_id)),
+      @notes
+    )
+  `);
+
+  const result = stmt.run({
+    question_id: solution.question_id,
+    correct_answer: solution.correct_answer,
+    explanation: solution.explanation,
+    wrong_options: JSON.stringify(solution.wrong_options || {}),
+    confidence: solution.confidence ?? null,
+    sample_count: solution.sample_count ?? null,
+    dissent: solution.dissent && solution.dissent.length > 0 ? JSON.stringify(solution.dissent) : null,
+    source: solution.source || 'ai',
+    model: solution.model || null,
+    prompt_version: solution.prompt_version || null,
+    content_hash: solution.content_hash || null,
+    notes: solution.notes || null
+  });
+
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Get a single solution version
+ * @param {number} versionId - Version ID
+ */
+function getSolutionVersion(versionId) {
+  const stmt = db.prepare(`SELECT * FROM solution_versions WHERE id = ?`);
+  return parseSolutionRow(stmt.get(versionId));
+}
+
+/**
+ * Get every version of a question's solution, newest first
+ * Each row is flagged with active/pinned from solutions_cache
+ * @param {string} questionId - Question ID
+ */
+function getSolutionVersions(questionId) {
+  const stmt = db.prepare(`
+    SELECT
+      v.*,
+      CASE WHEN c.version_id = v.id THEN 1 ELSE 0 END as active,
+      CASE WHEN c.version_id = v.id THEN COALESCE(c.pinned, 0) ELSE 0 END as pinned
+    FROM solution_versions v
+    LEFT JOIN solutions_cache c ON c.question_id = v.question_id
+    WHERE v.question_id = ?
+    ORDER BY v.created_at DESC, v.id DESC
+  `);
+  return stmt.all(questionId).map(parseSolutionRow);
+}
+
+/**
+ * Make a version the active solution of its question
+ * It is stale from the start if it was produced for different question content
+ * @param {number} versionId - Version ID
+ * @param {Object} options
+ * @param {boolean} options.pinned - Pin it so new versions don't replace it
+ */
+function activateSolutionVersion(versionId, { pinned = false } = {}) {
+  const stmt = db.prepare(`
+    INSERT INTO solutions_cache (
+      question_id, correct_answer, explanation, wrong_options, confidence, sample_count, dissent,
+      version_id, pinned, content_hash, stale, solved_at
+    )
+    SELECT
+      v.question_id, v.correct_answer, v.explanation, v.wrong_options, v.confidence, v.sample_count, v.dissent,
+      v.id, @pinned, v.content_hash,
+      CASE WHEN v.content_hash IS NOT NULL AND v.content_hash != q.content_hash THEN 1 ELSE 0 END,
+      v.created_at
+    FROM solution_versions v
+    LEFT JOIN questions q ON q.id = v.question_id
+    WHERE v.id = @version_id
+    ON CONFLICT(question_id) DO UPDATE SET
+      correct_answer = excluded.correct_answer,
+      explanation = excluded.explanation,
+      wrong_options = excluded.wrong_options,
+      confidence = excluded.confidence,
+      sample_count = excluded.sample_count,
+      dissent = excluded.dissent,
+      version_id = excluded.version_id,
+      pinned = excluded.pinned,
+      content_hash = excluded.content_hash,
+      stale = excluded.stale,
+      solved_at = excluded.solved_at
+  `);
+
+  return stmt.run({ version_id: versionId, pinned: pinned ? 1 : 0 });
+}
+
+/**
+ * Pin a version as the active solution of its question
+ * @param {number} versionId - Version ID
+ */
+function pinSolutionVersion(versionId) {
+  return activateSolutionVersion(versionId, { pinned: true });
+}
+
+/**
+ * Unpin the active solution of a question (it stays active until a new version arrives)
+ * @param {string} questionId - Question ID
+ */
+function unpinSolution(questionId) {
+  const stmt = db.prepare(`UPDATE solutions_cache SET pinned = 0 WHERE question_id = ?`);
+  return stmt.run(questionId);
+}
+
+/**
+ * Create a version for every cached solution that predates the history table
+ */
+function backfillSolutionVersions() {
+  const orphans = db.prepare(`SELECT * FROM solutions_cache WHERE version_id IS NULL`).all();
+  if (orphans.length === 0) return;
+
+  const insert = db.prepare(`
+    INSERT INTO solution_versions (
+      question_id, correct_answer, explanation, wrong_options, confidence, sample_count, dissent, content_hash, source, created_at
+    )
+    VALUES (
+      @question_id, @correct_answer, @explanation, @wrong_options, @confidence, @sample_count, @dissent, @content_hash, 'ai', @solved_at
+    )
+  `);
+  const link = db.prepare(`UPDATE solutions_cache SET version_id = ? WHERE question_id = ?`);
+
+  const backfill = db.transaction((rows) => {
+    for (const row of rows) {
+      const result = insert.run(row);
+      link.run(result.lastInsertRowid, row.question_id);
+    }
+  });
+  backfill(orphans);
+
+  console.log(`[Database] Migration: Backfilled ${orphans.length} solution versions`);
+}
+
+// ============================================
+// Stale Solution Helper Functions
+// ============================================
+
+/**
+ * Mark cached solutions stale when their question's content hash changed
+ * Solutions without a recorded hash (older than hashing) are left alone.
+ * @param {string} questionId - Only check this question (optional, default: all)
+ * @returns {number} Solutions newly marked stale
+ */
+function markStaleSolutions(questionId = null) {
+  let query = `
+    UPDATE solutions_cache SET stale = 1
+    WHERE stale = 0
+      AND content_hash IS NOT NULL
+      AND content_hash != (SELECT q.content_hash FROM questions q WHERE q.id = solutions_cache.question_id)
+  `;
+  const params = [];
+
+  if (questionId) {
+    query += ' AND question_id = ?';
+    params.push(questionId);
+  }
+
+  const result = db.prepare(query).run(...params);
+  if (result.changes > 0) {
+    console.log(`[Database] Marked ${result.changes} cached solution(s) stale`);
+  }
+  return result.changes;
+}
+
+/**
+ * Stale cached solutions (the re-solve queue), oldest first
+ * @param {Object} options
+ * @param {string} options.subjectId - Only this subject (optional)
+ * @param {boolean} options.includePinned - Include pinned solutions (default: true)
+ */
+function getStaleSolutions({ subjectId = null, includePinned = true } = {}) {
+  let query = `
+    SELECT s.question_id, s.correct_answer, s.pinned, s.solved_at, q.subject_id, q.topic, q.question_number
+    FROM solutions_cache s
+    JOIN questions q ON q.id = s.question_id
+    WHERE s.stale = 1
+  `;
+  const params = [];
+
+  if (subjectId) {
+    query += ' AND q.subject_id = ?';
+    params.push(subjectId);
+  }
+
+  if (!includePinned) {
+    query += ' AND s.pinned = 0';
+  }
+
+  query += ' ORDER BY s.solved_at, s.question_id';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Fill content_hash for questions and cached solutions stored before hashing existed.
+ * Existing cached solutions are assumed to match the current content.
+ */
+function backfillContentHashes() {
+  const questions = db.prepare(`SELECT id, shared_statement, content, options FROM questions WHERE content_hash IS NULL`).all();
+  if (questions.length > 0) {
+    const update = db.prepare(`UPDATE questions SET content_hash = ? WHERE id = ?`);
+    db.transaction((rows) => {
+      for (const row of rows) {
+        update.run(computeContentHash(row), row.id);
+      }
+    })(questions);
+    console.log(`[Database] Migration: Hashed ${questions.length} questions`);
+  }
+
+  db.prepare(`
+    UPDATE solutions_cache
+    SET content_hash = (SELECT q.content_hash FROM questions q WHERE q.id = solutions_cache.question_id)
+    WHERE content_hash IS NULL
+  `).run();
+}
+
+// ============================================
+// Full-Text Search Helper Functions
+// ============================================
+
+// Words of a search box query (letters and digits, any script)
+const SEARCH_TERM = /[\p{L}\p{N}]+/gu;
+
+/**
+ * Rebuild the full-text index (question_search) from questions and cached solutions
+ * The schema triggers keep it in sync afterwards.
+ */
+function rebuildSearchIndex() {
+  db.transaction(() => {
+    db.prepare('DELETE FROM question_search').run();
+    db.prepare(`
+      INSERT INTO question_search (question_id, content, shared_statement, options, explanation)
+      SELECT
+        q.id,
+        q.content,
+        q.shared_statement,
+        (SELECT group_concat(value, ' ') FROM json_each(q.options)),
+        s.explanation
+      FROM questions q
+      LEFT JOIN solutions_cache s ON s.question_id = q.id
+    `).run();
+  })();
+}
+
+/**
+ * Index questions stored before full-text search existed
+ */
+function backfillSearchIndex() {
+  const indexed = db.prepare('SELECT COUNT(*) as count FROM question_search').get().count;
+  const total = db.prepare('SELECT COUNT(*) as count FROM questions').get().count;
+  if (indexed !== total) {
+    rebuildSearchIndex();
+    console.log(`[Database] Migration: Indexed ${total} questions for search`);
+  }
+}
+
+/**
+ * FTS5 expression for a search box query: every word, as a prefix ("indice" finds "indices")
+ * Quoting each word keeps FTS5 operators and punctuation out of the query.
+ * @param {string} query - What the user typed
+ * @returns {string|null} null when the query has no words
+ */
+function toSearchExpression(query) {
+  const terms = String(query || '').match(SEARCH_TERM) || [];
+  return terms.length > 0 ? terms.map(term => `"${term}"*`).join(' ') : null;
+}
+
+/**
+ * Full-text search over question text, shared statements, options and cached explanations
+ * Accent and case insensitive; questions removed from their file are skipped.
+ * @param {Object} options
+ * @param {string} options.query - Words to find (all of them must appear)
+ * @param {string} options.subjectId - Only this subject (optional)
+ * @param {string} options.topic - Only this topic (optional)
+ * @param {number} options.limit - Max results (default 20)
+ * @returns {Array<{id, subject_id, topic, question_number, snippet, rank}>} Best first;
+ *   snippet marks the matched words with <mark></mark>
+ */
+function searchQuestions({ query, subjectId = null, topic = null, limit = 20 }) {
+  const expression = toSearchExpression(query);
+  if (!expression) return [];
+
+  // Column weights: question_id (not indexed), content, shared_statement, options, explanation
+  let sql = `
+    SELECT
+      q.id,
+      q.subject_id,
+      q.topic,
+      q.question_number,
+      snippet(question_search, -1, '<mark>', '</mark>', '…', 16) as snippet,
+      bm25(question_search, 0, 10.0, 4.0, 4.0, 1.0) as rank
+    FROM question_search
+    JOIN questions q ON q.id = question_search.question_id
+    WHERE question_search MATCH ? AND q.removed_at IS NULL
+  `;
+  const params = [expression];
+
+  if (subjectId) {
+    sql += ' AND q.subject_id = ?';
+    params.push(subjectId);
+  }
+  if (topic) {
+    sql += ' AND q.topic = ?';
+    params.push(topic);
+  }
+
+  sql += ' ORDER BY rank LIMIT ?';
+  params.push(limit);
+
+  return db.prepare(sql).all(...params);
+}
+
+// ============================================
+// Official Answer Key Helper Functions
+// ============================================
+
+/**
+ * Get the official answer for a question
+ * @param {string} questionId - Question ID
+ */
+function getOfficialAnswer(questionId) {
+  const stmt = db.prepare(`SELECT * FROM official_answers WHERE question_id = ?`);
+  return stmt.get(questionId);
+}
+
+/**
+ * Get all official answers, optionally for one subject
+ * @param {string} subjectId - Subject ID (optional)
+ */
+function getOfficialAnswers(subjectId = null) {
+  let query = `
+    SELECT o.*, q.topic, q.question_number, q.subject_id
+    FROM official_answers o
+    JOIN questions q ON q.id = o.question_id
+  `;
+  const params = [];
+
+  if (subjectId) {
+    query += ' WHERE q.subject_id = ?';
+    params.push(subjectId);
+  }
+
+  query += ' ORDER BY q.topic, q.question_number';
+  return db.prepare(query).all(...params);
+}
+
+/**
+ * Set (insert or replace) the official answer for a question
+ * @param {Object} entry - { question_id, answer, source, notes }
+ */
+function setOfficialAnswer(entry) {
+  const stmt = db.prepare(`
+    INSERT INTO official_answers (question_id, answer, source, notes, updated_at)
+    VALUES (@question_id, @answer, @source, @notes, CURRENT_TIMESTAMP)
+    ON CONFLICT(question_id) DO UPDATE SET
+      answer = @answer,
+      source = @source,
+      notes = @notes,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+
+  return stmt.run({
+    question_id: entry.question_id,
+    answer: entry.answer.toLowerCase(),
+    source: entry.source || 'manual',
+    notes: entry.notes || null
+  });
+}
+
+/**
+ * Import several official answers in one transaction
+ * @param {Array} entries - Array of { question_id, answer, notes }
+ * @param {string} source - Source recorded for every entry (default: 'import')
+ * @returns {number} Number of answers written
+ */
+function importOfficialAnswers(entries, source = 'import') {
+  const importAll = db.transaction((items) => {
+    for (const item of items) {
+      setOfficialAnswer({ ...item, source });
+    }
+    return items.length;
+  });
+  return importAll(entries);
+}
+
+/**
+ * Delete the official answer for a question
+ * @param {string} questionId - Question ID
+ */
+function deleteOfficialAnswer(questionId) {
+  const stmt = db.prepare(`DELETE FROM official_answers WHERE question_id = ?`);
+  return stmt.run(questionId);
+}
+
+/**
+ * Questions where Claude's active answer is wrong according to the official key
+ * Only AI solutions count (human or imported versions are not Claude's), and the
+ * answers are graded like an attempt, so numeric results within the question's
+ * answer_tolerance agree.
+ * @param {string} subjectId - Subject ID (optional)
+ */
+function getAnswerKeyDisagreements(subjectId = null) {
+  let query = `
+    SELECT
+      q.id as question_id,
+      q.subject_id,
+      q.topic,
+      q.question_number,
+      q.content,
+      q.options,
+      q.question_type,
+      q.answer_tolerance,
+      o.answer as official_answer,
+      o.source as official_source,
+      s.correct_answer as claude_answer,
+      s.confidence,
+      s.solved_at
+    FROM official_answers o
+    JOIN solutions_cache s ON s.question_id = o.question_id
+    JOIN solution_versions v ON v.id = s.version_id
+    JOIN questions q ON q.id = o.question_id
+    WHERE v.source = 'ai' AND o.answer != s.correct_answer
+  `;
+  const params = [];
+
+  if (subjectId) {
+    query += ' AND q.subject_id = ?';
+    params.push(subjectId);
+  }
+
+  query += ' ORDER BY q.topic, q.question_number';
+  return db.prepare(query).all(...params)
+    .filter(row => !gradeAnswer(row.claude_answer, row.official_answer, { ...row, options: JSON.parse(row.options) }).isCorrect);
+}
+
+// ============================================
+// Tutor Chat Helper Functions
+// ============================================
+
+/**
+ * Get the tutor conversation of a question, oldest first
+ * @param {string} questionId - Question ID
+ */
+function getTutorMessages(questionId) {
+  const stmt = db.prepare(`
+    SELECT * FROM tutor_messages
+    WHERE question_id = ?
+    ORDER BY created_at, id
+  `);
+  return stmt.all(questionId);
+}
+
+/**
+ * Append a student question and the tutor reply in one transaction
+ * @param {string} questionId - Question ID
+ * @param {string} message - Student message
+ * @param {Object} reply - { content, model }
+ * @returns {Array} The two stored rows
+ */
+function addTutorExchange(questionId, message, reply) {
+  const insert = db.prepare(`
+    INSERT INTO tutor_messages (question_id, role, content, model)
+    VALUES (?, ?, ?, ?)
+    RETURNING *
+  `);
+
+  const addBoth = db.transaction(() => [
+    insert.get(questionId, 'user', message, null),
+    insert.get(questionId, 'assistant', reply.content, reply.model || null)
+  ]);
+  return addBoth();
+}
+
+/**
+ * Delete the tutor conversation of a question
+ * @param {string} questionId - Question ID
+ */
+function clearTutorMessages(questionId) {
+  const stmt = db.prepare(`DELETE FROM tutor_messages WHERE question_id = ?`);
+  return stmt.run(questionId);
+}
+
+// ============================================
+// Hint Helper Functions
+// ============================================
+
+/**
+ * Cached hints of a question, lowest level first.
+ * Hints written for an older version of the question are left out.
+ * @param {string} questionId - Question ID
+ */
+function getQuestionHints(questionId) {
+  const stmt = db.prepare(`
+    SELECT h.* FROM question_hints h
+    JOIN questions q ON q.id = h.question_id
+    WHERE h.question_id = ?
+      AND (h.content_hash IS NULL OR q.content_hash IS NULL OR h.content_hash = q.content_hash)
+    ORDER BY h.level
+  `);
+  return stmt.all(questionId);
+}
+
+/**
+ * Store the hint of one level (replaces an outdated one)
+ * @param {string} questionId - Question ID
+ * @param {number} level - Hint level (1-based)
+ * @param {Object} hint - { content, model }
+ * @returns {Object} Stored row
+ */
+function saveQuestionHint(questionId, level, hint) {
+  const stmt = db.prepare(`
+    INSERT INTO question_hints (question_id, level, content, model, content_hash)
+    VALUES (?, ?, ?, ?, (SELECT content_hash FROM questions WHERE id = ?))
+    ON CONFLICT(question_id, level) DO UPDATE SET
+      content = excluded.content,
+      model = excluded.model,
+      content_hash = excluded.content_hash,
+      created_at = CURRENT_TIMESTAMP
+    RETURNING *
+  `);
+  return stmt.get(questionId, level, hint.content, hint.model || null, questionId);
+}
+
+// ============================================
+// Concept Tag Helper Functions
+// ============================================
+
+/**
+ * Slug of a tag name: lowercase, no accents, words joined by hyphens
+ * ("Serializabilidad en conflictos" -> "serializabilidad-en-conflictos")
+ * @param {string} name - Tag name
+ */
+function slugifyTag(name) {
+  return name
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Tags of a subject, by name, with how many active questions carry each
+ * @param {string} subjectId - Subject ID
+ */
+function getTagsBySubject(subjectId) {
+  const stmt = db.prepare(`
+    SELECT t.*, COUNT(q.id) as question_count
+    FROM tags t
+    LEFT JOIN question_tags qt ON qt.tag_id = t.id
+    LEFT JOIN questions q ON q.id = qt.question_id AND q.removed_at IS NULL
+    WHERE t.subject_id = ?
+    GROUP BY t.id
+    ORDER BY t.name COLLATE NOCASE
+  `);
+  return stmt.all(subjectId);
 }
 
 /**
- * Get attempts for a question
- * @param {string} questionId - Question ID
+ * Get a tag by ID
+ * @param {number} tagId - Tag ID
  */
-function getAttemptsByQuestion(questionId) {
-  const stmt = db.prepare(`
-    SELECT * FROM attempts WHERE question_id = ? ORDER BY attempted_at DESC, id DESC
-  `);
-  return stmt.all(questionId);
+function getTagById(tagId) {
+  return db.prepare('SELECT * FROM tags WHERE id = ?').get(tagId);
 }
 
 /**
- * Get all failed attempts (last attempt was wrong)
+ * Create a tag
+ * @param {Object} tag - { subjectId, name, description? }
+ * @throws When the subject already has a tag with the same slug (SQLITE_CONSTRAINT_UNIQUE)
  */
-function getFailedQuestions() {
-  const stmt = db.prepare(`
-    SELECT q.*, a.user_answer, a.correct_answer, a.explanation, a.attempted_at
-    FROM questions q
-    INNER JOIN (
-      SELECT question_id, user_answer, correct_answer, explanation, attempted_at,
-             ROW_NUMBER() OVER (PARTITION BY question_id ORDER BY attempted_at DESC, id DESC) as rn
-      FROM attempts
-    ) a ON q.id = a.question_id AND a.rn = 1
-    WHERE a.user_answer != a.correct_answer
-    ORDER BY a.attempted_at DESC
-  `);
-  const rows = stmt.all();
-  return rows.map(row => ({
-    ...row,
-    options: JSON.parse(row.options)
-  }));
+function createTag(tag) {
+  const name = tag.name.trim();
+  const slug = slugifyTag(name);
+  if (!slug) {
+    throw new Error('Tag name must contain letters or digits');
+  }
+
+  const result = db.prepare(`
+    INSERT INTO tags (subject_id, name, slug, description)
+    VALUES (?, ?, ?, ?)
+  `).run(tag.subjectId, name, slug, tag.description || null);
+  return getTagById(result.lastInsertRowid);
 }
 
-// ============================================
-// Stats Helper Functions
-// ============================================
+/**
+ * Tag of a subject with this name (same slug), created when missing
+ * @param {string} subjectId - Subject ID
+ * @param {string} name - Tag name
+ * @param {string} description - Used only when the tag is created
+ */
+function getOrCreateTag(subjectId, name, description = null) {
+  const existing = db.prepare('SELECT * FROM tags WHERE subject_id = ? AND slug = ?').get(subjectId, slugifyTag(name));
+  return existing || createTag({ subjectId, name, description });
+}
 
 /**
- * Get global statistics
+ * Rename a tag or change its description
+ * @param {number} tagId - Tag ID
+ * @param {Object} updates - { name?, description? }
+ * @throws When the new name clashes with another tag of the subject
  */
-function getGlobalStats() {
-  const stmt = db.prepare(`
-    SELECT
-      COUNT(DISTINCT question_id) as questions_attempted,
-      COUNT(*) as total_attempts,
-      SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) as correct_attempts,
-      ROUND(100.0 * SUM(CASE WHEN is_correct = 1 THEN 1 ELSE 0 END) / COUNT(*), 2) as accuracy
-    FROM attempts
-  `);
-  const stats = stmt.get();
+function updateTag(tagId, updates) {
+  const tag = getTagById(tagId);
+  if (!tag) return null;
 
-  const totalQuestionsStmt = db.prepare(`SELECT COUNT(*) as total FROM questions`);
-  const totalQuestions = totalQuestionsStmt.get().total;
+  const name = updates.name !== undefined ? updates.name.trim() : tag.name;
+  const slug = slugifyTag(name);
+  if (!slug) {
+    throw new Error('Tag name must contain letters or digits');
+  }
+  const description = updates.description !== undefined ? (updates.description || null) : tag.description;
 
-  return {
-    ...stats,
-    total_questions: totalQuestions,
-    questions_remaining: totalQuestions - (stats.questions_attempted || 0)
-  };
+  db.prepare('UPDATE tags SET name = ?, slug = ?, description = ? WHERE id = ?').run(name, slug, description, tagId);
+  return getTagById(tagId);
 }
 
 /**
- * Get statistics for a specific topic
- * @param {string} topic - Topic identifier
+ * Delete a tag (questions lose it)
+ * @param {number} tagId - Tag ID
+ * @returns {boolean} Whether the tag existed
  */
-function getTopicStats(topic) {
+function deleteTag(tagId) {
+  return db.prepare('DELETE FROM tags WHERE id = ?').run(tagId).changes > 0;
+}
+
+/**
+ * Tags of a question, by name
+ * @param {string} questionId - Question ID
+ * @returns {Array<{id, subject_id, name, slug, description, source}>}
+ */
+function getQuestionTags(questionId) {
   const stmt = db.prepare(`
-    SELECT
-      COUNT(DISTINCT a.question_id) as questions_attempted,
-      COUNT(*) as total_attempts,
-      SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) as correct_attempts,
-      ROUND(100.0 * SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) / COUNT(*), 2) as accuracy
-    FROM attempts a
-    INNER JOIN questions q ON a.question_id = q.id
-    WHERE q.topic = ?
+    SELECT t.*, qt.source
+    FROM question_tags qt
+    INNER JOIN tags t ON t.id = qt.tag_id
+    WHERE qt.question_id = ?
+    ORDER BY t.name COLLATE NOCASE
   `);
-  const stats = stmt.get(topic);
+  return stmt.all(questionId);
+}
 
-  const totalQuestionsStmt = db.prepare(`SELECT COUNT(*) as total FROM questions WHERE topic = ?`);
-  const totalQuestions = totalQuestionsStmt.get(topic).total;
+/**
+ * Replace the tags of a question
+ * Tags it already had keep their source; the new ones are 'manual'.
+ * @param {string} questionId - Question ID
+ * @param {Array<number>} tagIds - Every tag the question should have
+ */
+function setQuestionTags(questionId, tagIds) {
+  const keep = new Set(tagIds);
+  const current = db.prepare('SELECT tag_id FROM question_tags WHERE question_id = ?').all(questionId);
+  const remove = db.prepare('DELETE FROM question_tags WHERE question_id = ? AND tag_id = ?');
+  const insert = db.prepare(`INSERT OR IGNORE INTO question_tags (question_id, tag_id, source) VALUES (?, ?, 'manual')`);
 
-  return {
-    topic,
-    ...stats,
-    total_questions: totalQuestions,
-    questions_remaining: totalQuestions - (stats.questions_attempted || 0)
-  };
-}
+  const replace = db.transaction(() => {
+    for (const { tag_id: tagId } of current) {
+      if (!keep.has(tagId)) remove.run(questionId, tagId);
+    }
+    for (const tagId of keep) {
+      insert.run(questionId, tagId);
+    }
+  });
 
-// ============================================
-// Solutions Cache Helper Functions
-// ============================================
+  replace();
+  return getQuestionTags(questionId);
+}
 
 /**
- * Get cached solution for a question
+ * Add tags to a question (tags it already has are left as they are)
  * @param {string} questionId - Question ID
+ * @param {Array<number>} tagIds - Tags to add
+ * @param {string} source - 'manual' | 'ai'
+ * @returns {number} Tags added
  */
-function getCachedSolution(questionId) {
-  const stmt = db.prepare(`SELECT * FROM solutions_cache WHERE question_id = ?`);
-  const row = stmt.get(questionId);
-  if (row && row.wrong_options) {
-    row.wrong_options = JSON.parse(row.wrong_options);
-  }
-  return row;
+function addQuestionTags(questionId, tagIds, source = 'manual') {
+  const insert = db.prepare('INSERT OR IGNORE INTO question_tags (question_id, tag_id, source) VALUES (?, ?, ?)');
+  const addAll = db.transaction(() => tagIds.reduce((added, tagId) => added + insert.run(questionId, tagId, source).changes, 0));
+  return addAll();
 }
 
 /**
- * Cache a solution
- * @param {Object} solution - Solution object
+ * Remove the tags a source gave to the questions of a topic
+ * @param {string} subjectId - Subject ID
+ * @param {string} topic - Topic
+ * @param {string} source - 'manual' | 'ai'
+ * @returns {number} Question tags removed
  */
-function cacheSolution(solution) {
+function clearTopicQuestionTags(subjectId, topic, source) {
+  return db.prepare(`
+    DELETE FROM question_tags
+    WHERE source = ?
+      AND question_id IN (SELECT id FROM questions WHERE subject_id = ? AND topic = ?)
+  `).run(source, subjectId, topic).changes;
+}
+
+/**
+ * Accuracy per tag of a subject (attempts on its active questions)
+ * @param {string} subjectId - Subject ID
+ * @param {string} topic - Only questions of this topic, and tags that have any (optional)
+ */
+function getTagStats(subjectId, topic = null) {
   const stmt = db.prepare(`
-    INSERT INTO solutions_cache (question_id, correct_answer, explanation, wrong_options, solved_at)
-    VALUES (@question_id, @correct_answer, @explanation, @wrong_options, CURRENT_TIMESTAMP)
-    ON CONFLICT(question_id) DO UPDATE SET
-      correct_answer = @correct_answer,
-      explanation = @explanation,
-      wrong_options = @wrong_options,
-      solved_at = CURRENT_TIMESTAMP
+    SELECT
+      t.id as tag_id,
+      t.name,
+      t.slug,
+      COUNT(DISTINCT q.id) as total_questions,
+      COUNT(DISTINCT a.question_id) as questions_attempted,
+      COUNT(a.id) as total_attempts,
+      SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) as correct_attempts,
+      ROUND(100.0 * SUM(CASE WHEN a.is_correct = 1 THEN 1 ELSE 0 END) / COUNT(a.id), 2) as accuracy,
+      SUM(CASE WHEN a.hints_used > 0 THEN 1 ELSE 0 END) as hinted_attempts,
+      SUM(CASE WHEN a.hints_used > 0 AND a.is_correct = 1 THEN 1 ELSE 0 END) as hinted_correct_attempts,
+      ROUND(100.0 * AVG(COALESCE(a.score, a.is_correct)), 2) as average_score
+    FROM tags t
+    LEFT JOIN question_tags qt ON qt.tag_id = t.id
+    LEFT JOIN questions q ON q.id = qt.question_id AND q.removed_at IS NULL ${topic ? 'AND q.topic = ?' : ''}
+    LEFT JOIN attempts a ON a.question_id = q.id
+    WHERE t.subject_id = ?
+    GROUP BY t.id
+    ${topic ? 'HAVING total_questions > 0' : ''}
+    ORDER BY t.name COLLATE NOCASE
   `);
-
-  return stmt.run({
-    question_id: solution.question_id,
-    correct_answer: solution.correct_answer,
-    explanation: solution.explanation,
-    wrong_options: JSON.stringify(solution.wrong_options || {})
-  });
+  return topic ? stmt.all(topic, subjectId) : stmt.all(subjectId);
 }
 
 // ============================================
@@ -532,6 +1494,7 @@ function getSubjectById(subjectId) {
     methodology: JSON.parse(row.methodology),
     modes: JSON.parse(row.modes),
     claudeContext: row.claude_context ? JSON.parse(row.claude_context) : null,
+    promptTemplate: row.prompt_template || null,
     config: row.config ? JSON.parse(row.config) : null
   };
 }
@@ -542,8 +1505,8 @@ function getSubjectById(subjectId) {
  */
 function createSubject(subject) {
   const stmt = db.prepare(`
-    INSERT INTO subjects (id, name, short_name, description, language, methodology, exam_type, modes, claude_context, config)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO subjects (id, name, short_name, description, language, methodology, exam_type, modes, claude_context, prompt_template, config)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   stmt.run(
     subject.id,
@@ -555,6 +1518,7 @@ function createSubject(subject) {
     subject.examType || 'test',
     JSON.stringify(subject.modes),
     subject.claudeContext ? JSON.stringify(subject.claudeContext) : null,
+    subject.promptTemplate || null,
     subject.config ? JSON.stringify(subject.config) : null
   );
   return getSubjectById(subject.id);
@@ -593,6 +1557,14 @@ function updateSubject(subjectId, updates) {
     fields.push('claude_context = ?');
     values.push(JSON.stringify(updates.claudeContext));
   }
+  if (updates.promptTemplate !== undefined) {
+    fields.push('prompt_template = ?');
+    values.push(updates.promptTemplate || null);
+  }
+  if (updates.config !== undefined) {
+    fields.push('config = ?');
+    values.push(updates.config ? JSON.stringify(updates.config) : null);
+  }
 
   if (fields.length === 0) return getSubjectById(subjectId);
 
@@ -649,6 +1621,32 @@ function getTopic(topicId) {
   return stmt.get(topicId);
 }
 
+/**
+ * Claude context for BDA: expertise, terminology and the formal definitions
+ * the solver must apply (previously hardcoded in claudeService)
+ */
+const BDA_CLAUDE_CONTEXT = {
+  expertise: 'bases de datos avanzadas: procesamiento y optimizacion de consultas, transacciones, control de concurrencia y recuperacion',
+  terminology: ['tupla', 'bloque', 'reunion', 'accesos a disco'],
+  definitions: {
+    RECUPERABLE: 'Si Ti lee un dato escrito por Tj, entonces Tj debe hacer commit ANTES que Ti',
+    'SIN CASCADA (cascadeless)': 'Cada transaccion solo lee valores de transacciones YA comprometidas',
+    ESTRICTA: 'Ninguna transaccion puede leer/escribir X hasta que quien escribio X haya terminado (commit/abort)'
+  },
+  topicRules: {}
+};
+
+/**
+ * Question files of BDA (see services/questionSources.js): the data/ symlink,
+ * or ../Preguntas next to the project. IDs keep their original "tema1_pregunta1" form.
+ */
+const BDA_QUESTION_SOURCE = {
+  directory: ['data', '../Preguntas'],
+  filePattern: 'Preguntas_{topic}.md',
+  topicPattern: 'Tema\\d+|SinTema',
+  idPrefix: ''
+};
+
 /**
  * Seed BDA as default subject with its topics
  */
@@ -656,8 +1654,28 @@ function seedBDASubject() {
   // Check if BDA already exists
   const existing = getSubjectById('bda');
   if (existing) {
-    console.log('[Database] BDA subject already exists, skipping seed');
-    return existing;
+    let subject = existing;
+
+    // Backfill formal definitions for databases seeded before subject-aware prompts
+    if (!subject.claudeContext?.definitions) {
+      console.log('[Database] Backfilling BDA claude_context definitions');
+      subject = updateSubject('bda', {
+        claudeContext: { ...BDA_CLAUDE_CONTEXT, ...subject.claudeContext, definitions: BDA_CLAUDE_CONTEXT.definitions }
+      });
+    }
+
+    // Backfill the question source for databases seeded before per-subject ingestion
+    if (!subject.config?.questionSource) {
+      console.log('[Database] Backfilling BDA question source');
+      subject = updateSubject('bda', {
+        config: { ...subject.config, questionSource: BDA_QUESTION_SOURCE }
+      });
+    }
+
+    if (subject === existing) {
+      console.log('[Database] BDA subject already exists, skipping seed');
+    }
+    return subject;
   }
 
   console.log('[Database] Seeding BDA subject and topics...');
@@ -672,10 +1690,8 @@ function seedBDASubject() {
     methodology: ['test'],
     examType: 'test',
     modes: ['test'],
-    claudeContext: {
-      expertise: 'database internals, query processing, query optimization, transactions, concurrency control, recovery systems',
-      terminology: ['tupla', 'bloque', 'reunion', 'accesos a disco']
-    }
+    claudeContext: BDA_CLAUDE_CONTEXT,
+    config: { questionSource: BDA_QUESTION_SOURCE }
   });
 
   // Create BDA topics (matching existing Tema1-7 + SinTema)
@@ -872,8 +1888,8 @@ function updateExamPage(pageId, data) {
  */
 function createParsedQuestion(question) {
   const stmt = db.prepare(`
-    INSERT INTO parsed_questions (id, exam_id, page_id, question_number, raw_content, normalized_content, options, status)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    INSERT INTO parsed_questions (id, exam_id, page_id, question_number, raw_content, normalized_content, options, question_type, answer_tolerance, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
   `);
   stmt.run(
     question.id,
@@ -883,6 +1899,8 @@ function createParsedQuestion(question) {
     question.rawContent,
     question.normalizedContent || null,
     question.options ? JSON.stringify(question.options) : null,
+    question.questionType || 'single',
+    question.answerTolerance ?? null,
     question.status || 'pending'
   );
   return getParsedQuestion(question.id);
@@ -1398,6 +2416,347 @@ function calculateVerificationSessionScore(sessionId) {
   return stmt.get(sessionId, sessionId);
 }
 
+// ============================================
+// Background Jobs Helper Functions
+// ============================================
+
+/**
+ * Parse the JSON columns of a jobs row
+ * @param {Object} row - Raw jobs row
+ */
+function parseJobRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    payload: row.payload ? JSON.parse(row.payload) : null,
+    progress: row.progress ? JSON.parse(row.progress) : null,
+    result: row.result ? JSON.parse(row.result) : null,
+    cancel_requested: Boolean(row.cancel_requested)
+  };
+}
+
+/**
+ * Insert a queued job
+ * @param {Object} job - { id, type, job_key, payload, max_attempts }
+ */
+function createJob(job) {
+  const id = job.id || generateUUID();
+  db.prepare(`
+    INSERT INTO jobs (id, type, job_key, payload, max_attempts)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(
+    id,
+    job.type,
+    job.job_key || null,
+    JSON.stringify(job.payload ?? {}),
+    job.max_attempts || 3
+  );
+  return getJob(id);
+}
+
+/**
+ * Get a job by ID
+ * @param {string} id - Job ID
+ */
+function getJob(id) {
+  return parseJobRow(db.prepare('SELECT * FROM jobs WHERE id = ?').get(id));
+}
+
+/**
+ * List jobs, newest first
+ * @param {Object} filters - { status, type, limit }
+ */
+function getJobs({ status = null, type = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    conditions.push('status = ?');
+    params.push(status);
+  }
+  if (type) {
+    conditions.push('type = ?');
+    params.push(type);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(limit);
+
+  return db.prepare(`
+    SELECT * FROM jobs ${where}
+    ORDER BY created_at DESC, rowid DESC
+    LIMIT ?
+  `).all(...params).map(parseJobRow);
+}
+
+/**
+ * Queued or running job of a type for the same key (e.g. the exam being processed)
+ * @param {string} type - Job type
+ * @param {string} jobKey - Dedupe key
+ */
+function findActiveJob(type, jobKey) {
+  return parseJobRow(db.prepare(`
+    SELECT * FROM jobs
+    WHERE type = ? AND job_key = ? AND status IN ('queued', 'running')
+    ORDER BY created_at, rowid
+    LIMIT 1
+  `).get(type, jobKey));
+}
+
+/**
+ * Atomically claim the oldest queued job that is due
+ * @returns {Object|null} The claimed job (now 'running'), or null if none is due
+ */
+function claimNextJob() {
+  return parseJobRow(db.prepare(`
+    UPDATE jobs
+    SET status = 'running', attempts = attempts + 1, started_at = datetime('now'), error = NULL
+    WHERE id = (
+      SELECT id FROM jobs
+      WHERE status = 'queued' AND run_after <= datetime('now')
+      ORDER BY created_at, rowid
+      LIMIT 1
+    )
+    RETURNING *
+  `).get());
+}
+
+/**
+ * Store the progress reported by a running job
+ * @param {string} id - Job ID
+ * @param {Object} progress - Handler-defined progress ({ done, total, ... })
+ */
+function updateJobProgress(id, progress) {
+  db.prepare('UPDATE jobs SET progress = ? WHERE id = ?').run(JSON.stringify(progress), id);
+}
+
+/**
+ * Move a running job to a final status
+ * @param {string} id - Job ID
+ * @param {string} status - completed | failed | cancelled
+ * @param {Object} outcome - { result, error }
+ */
+function finishJob(id, status, { result = null, error = null } = {}) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = ?, result = ?, error = ?, finished_at = datetime('now')
+    WHERE id = ?
+  `).run(status, result === null ? null : JSON.stringify(result), error, id);
+  return getJob(id);
+}
+
+/**
+ * Put a failed job back in the queue after a delay
+ * @param {string} id - Job ID
+ * @param {string} error - Error of the failed attempt
+ * @param {number} delaySeconds - Backoff before the next attempt
+ */
+function retryJob(id, error, delaySeconds) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = 'queued', error = ?, run_after = datetime('now', ?)
+    WHERE id = ?
+  `).run(error, `+${Math.round(delaySeconds)} seconds`, id);
+  return getJob(id);
+}
+
+/**
+ * Request cancellation of a job
+ * Queued jobs are cancelled at once; running jobs are flagged and stop at
+ * the next checkpoint of their handler.
+ * @param {string} id - Job ID
+ * @returns {Object|null} Updated job, or null if it does not exist
+ */
+function requestJobCancel(id) {
+  db.prepare(`
+    UPDATE jobs
+    SET status = CASE WHEN status = 'queued' THEN 'cancelled' ELSE status END,
+        finished_at = CASE WHEN status = 'queued' THEN datetime('now') ELSE finished_at END,
+        cancel_requested = CASE WHEN status IN ('queued', 'running') THEN 1 ELSE cancel_requested END
+    WHERE id = ?
+  `).run(id);
+  return getJob(id);
+}
+
+/**
+ * Re-queue jobs left 'running' by a previous server process
+ * @returns {number} Jobs re-queued
+ */
+function requeueInterruptedJobs() {
+  return db.prepare(`
+    UPDATE jobs
+    SET status = CASE WHEN cancel_requested = 1 THEN 'cancelled' ELSE 'queued' END,
+        finished_at = CASE WHEN cancel_requested = 1 THEN datetime('now') ELSE NULL END
+    WHERE status = 'running'
+  `).run().changes;
+}
+
+// ============================================
+// AI Validation Failure Helper Functions
+// ============================================
+
+// Responses are stored truncated; enough to see what went wrong
+const MAX_STORED_RESPONSE_LENGTH = 20000;
+
+/**
+ * Parse the JSON columns of an ai_validation_failures row
+ * @param {Object} row - Raw row
+ */
+function parseValidationFailureRow(row) {
+  if (!row) return null;
+  return {
+    ...row,
+    issues: JSON.parse(row.issues),
+    repair_issues: row.repair_issues ? JSON.parse(row.repair_issues) : null,
+    repaired: Boolean(row.repaired)
+  };
+}
+
+/**
+ * Record a model response that failed validation
+ * @param {Object} failure - { task, issues, response, repaired, repairIssues, repairResponse }
+ * @returns {number} Row ID
+ */
+function recordValidationFailure(failure) {
+  const truncate = (text) => (text == null ? null : String(text).substring(0, MAX_STORED_RESPONSE_LENGTH));
+
+  const result = db.prepare(`
+    INSERT INTO ai_validation_failures (task, issues, response, repaired, repair_issues, repair_response)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(
+    failure.task || 'unknown',
+    JSON.stringify(failure.issues || []),
+    truncate(failure.response),
+    failure.repaired ? 1 : 0,
+    failure.repairIssues ? JSON.stringify(failure.repairIssues) : null,
+    truncate(failure.repairResponse)
+  );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * List recorded validation failures, newest first
+ * @param {Object} filters - { task, repaired, limit }
+ */
+function getValidationFailures({ task = null, repaired = null, limit = 50 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (task) {
+    conditions.push('task = ?');
+    params.push(task);
+  }
+  if (repaired !== null) {
+    conditions.push('repaired = ?');
+    params.push(repaired ? 1 : 0);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(limit);
+
+  return db.prepare(`
+    SELECT * FROM ai_validation_failures ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `).all(...params).map(parseValidationFailureRow);
+}
+
+/**
+ * Get a validation failure by ID
+ * @param {number} id - Row ID
+ */
+function getValidationFailure(id) {
+  return parseValidationFailureRow(
+    db.prepare('SELECT * FROM ai_validation_failures WHERE id = ?').get(id)
+  );
+}
+
+// ============================================
+// LLM Usage Ledger Helper Functions
+// ============================================
+
+/**
+ * Record one LLM call in the usage ledger
+ * @param {Object} entry - { feature, subjectId, provider, model, inputTokens, outputTokens, costUsd, durationMs, status }
+ * @returns {number} Row ID
+ */
+function recordLlmUsage(entry) {
+  const result = db.prepare(`
+    INSERT INTO llm_usage (feature, subject_id, provider, model, input_tokens, output_tokens, cost_usd, duration_ms, status)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(
+    entry.feature || 'default',
+    entry.subjectId || null,
+    entry.provider || null,
+    entry.model || null,
+    entry.inputTokens || 0,
+    entry.outputTokens || 0,
+    entry.costUsd || 0,
+    entry.durationMs ?? null,
+    entry.status || 'ok'
+  );
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * Usage totals for a date range, overall and grouped by day, subject and feature
+ * @param {Object} filters - { from, to (YYYY-MM-DD, inclusive), subjectId }
+ * @returns {Object} { totals, byDay, bySubject, byFeature }
+ */
+function getLlmUsageSummary({ from = null, to = null, subjectId = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push("created_at < date(?, '+1 day')");
+    params.push(to);
+  }
+  if (subjectId) {
+    conditions.push('subject_id = ?');
+    params.push(subjectId);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const aggregates = `
+    COUNT(*) AS calls,
+    COALESCE(SUM(input_tokens), 0) AS input_tokens,
+    COALESCE(SUM(output_tokens), 0) AS output_tokens,
+    COALESCE(SUM(cost_usd), 0) AS cost_usd,
+    COALESCE(SUM(duration_ms), 0) AS duration_ms,
+    COALESCE(SUM(status != 'ok'), 0) AS failed_calls
+  `;
+  const grouped = (column) => db.prepare(`
+    SELECT ${column} AS grp, ${aggregates}
+    FROM llm_usage ${where}
+    GROUP BY grp
+    ORDER BY grp
+  `).all(...params);
+
+  return {
+    totals: db.prepare(`SELECT ${aggregates} FROM llm_usage ${where}`).get(...params),
+    byDay: grouped('date(created_at)'),
+    bySubject: grouped('subject_id'),
+    byFeature: grouped('feature')
+  };
+}
+
+/**
+ * Total cost of the calls made since a moment
+ * @param {string} since - SQLite datetime ('YYYY-MM-DD HH:MM:SS', UTC)
+ * @returns {number} USD
+ */
+function getLlmSpendSince(since) {
+  return db.prepare(`
+    SELECT COALESCE(SUM(cost_usd), 0) AS total
+    FROM llm_usage
+    WHERE created_at >= ?
+  `).get(since).total;
+}
+
 // Export database instance and helper functions
 export {
   db,
@@ -1406,6 +2765,9 @@ export {
   // Questions
   upsertQuestion,
   getQuestionsByTopic,
+  getQuestionsBySubject,
+  getQuestionByContentHash,
+  getNextQuestionNumber,
   getQuestionById,
   getAllTopics,
   getRandomQuestion,
@@ -1427,6 +2789,45 @@ export {
   // Solutions Cache
   getCachedSolution,
   cacheSolution,
+  // Solution History
+  addSolutionVersion,
+  getSolutionVersion,
+  getSolutionVersions,
+  activateSolutionVersion,
+  pinSolutionVersion,
+  unpinSolution,
+  // Stale Solutions
+  computeContentHash,
+  markStaleSolutions,
+  rebuildSearchIndex,
+  searchQuestions,
+  getStaleSolutions,
+  // Official Answer Keys
+  getOfficialAnswer,
+  getOfficialAnswers,
+  setOfficialAnswer,
+  importOfficialAnswers,
+  deleteOfficialAnswer,
+  getAnswerKeyDisagreements,
+  // Tutor Chat
+  getTutorMessages,
+  addTutorExchange,
+  clearTutorMessages,
+  // Hints
+  getQuestionHints,
+  saveQuestionHint,
+  // Concept Tags
+  getTagsBySubject,
+  getTagById,
+  createTag,
+  getOrCreateTag,
+  updateTag,
+  deleteTag,
+  getQuestionTags,
+  setQuestionTags,
+  addQuestionTags,
+  clearTopicQuestionTags,
+  getTagStats,
   // Subjects (Fase 0)
   getAllSubjects,
   getSubjectById,
@@ -1476,5 +2877,24 @@ export {
   getVerificationQuestionsBySession,
   getVerificationQuestionById,
   scoreVerificationQuestion,
-  calculateVerificationSessionScore
+  calculateVerificationSessionScore,
+  // Background Jobs
+  createJob,
+  getJob,
+  getJobs,
+  findActiveJob,
+  claimNextJob,
+  updateJobProgress,
+  finishJob,
+  retryJob,
+  requestJobCancel,
+  requeueInterruptedJobs,
+  // AI Validation Failures
+  recordValidationFailure,
+  getValidationFailures,
+  getValidationFailure,
+  // LLM Usage Ledger
+  recordLlmUsage,
+  getLlmUsageSummary,
+  getLlmSpendSince
 };
@@ -15,7 +15,8 @@ CREATE TABLE IF NOT EXISTS subjects (
   methodology TEXT NOT NULL,              -- JSON: ["test"] o ["practice"]
   exam_type TEXT DEFAULT 'test',          -- "test" | "verification"
   modes TEXT NOT NULL,                    -- JSON: ["test"] o ["verification"] o ambos
-  claude_context TEXT,                    -- JSON: expertise, terminology
+  claude_context TEXT,                    -- JSON: expertise, terminology, definitions, topicRules
+  prompt_template TEXT,                   -- Plantilla editable del prompt de resolucion (NULL = por defecto)
   config TEXT,                            -- config.json completo
   created_at DATETIME DEFAULT CURRENT_TIMESTAMP
 );
@@ -46,6 +47,11 @@ CREATE TABLE IF NOT EXISTS questions (
   parent_question_id TEXT,                -- ID of parent question for context inheritance
   content TEXT NOT NULL,                  -- Full question text
   options TEXT NOT NULL,                  -- JSON array of options: {"a": "...", "b": "...", ...}
+  question_type TEXT NOT NULL DEFAULT 'single', -- 'single' | 'multiple' (select all that apply) | 'numeric'
+  answer_tolerance REAL,                  -- Numeric questions: accepted absolute error (NULL = exact)
+  content_hash TEXT,                      -- Hash of statement + content + options (see computeContentHash)
+  removed_at DATETIME,                    -- Set when the question left its markdown file (attempts are kept)
+  merged_into TEXT,                       -- Surviving question ID when merged as a duplicate (removed_at is set too)
   parsed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE CASCADE,
   FOREIGN KEY (parent_question_id) REFERENCES questions(id) ON DELETE SET NULL
@@ -55,10 +61,12 @@ CREATE TABLE IF NOT EXISTS questions (
 CREATE TABLE IF NOT EXISTS attempts (
   id INTEGER PRIMARY KEY AUTOINCREMENT,
   question_id TEXT NOT NULL,
-  user_answer TEXT NOT NULL,              -- User's selected option: "a", "b", "c", "d"
-  correct_answer TEXT NOT NULL,           -- The correct option
+  user_answer TEXT NOT NULL,              -- User's answer: "b", "a,c" (multiple) or "1250" (numeric)
+  correct_answer TEXT NOT NULL,           -- The correct answer, same format
   is_correct BOOLEAN NOT NULL,            -- Whether user's answer was correct
+  score REAL,                             -- 0-1, partial credit on multiple-answer questions
   explanation TEXT,                       -- Claude's explanation for the answer
+  hints_used INTEGER NOT NULL DEFAULT 0,  -- Hint levels shown before answering (0 = unaided)
   attempted_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (question_id) REFERENCES questions(id)
 );
@@ -69,15 +77,100 @@ CREATE TABLE IF NOT EXISTS solutions_cache (
   correct_answer TEXT NOT NULL,           -- The correct option: "a", "b", "c", "d"
   explanation TEXT NOT NULL,              -- Why this is the correct answer
   wrong_options TEXT,                     -- JSON explaining why other options are wrong
+  confidence REAL,                        -- Self-consistency agreement ratio (NULL = single sample)
+  sample_count INTEGER,                   -- Number of sampled solutions voted
+  dissent TEXT,                           -- JSON array of dissenting { answer, explanation }
+  version_id INTEGER,                     -- solution_versions row this active solution was copied from
+  pinned INTEGER DEFAULT 0,               -- 1 = pinned by a reviewer, new versions don't replace it
+  content_hash TEXT,                      -- questions.content_hash the solution was produced for
+  stale INTEGER DEFAULT 0,                -- 1 = the question changed since, queued for re-solving
   solved_at DATETIME DEFAULT CURRENT_TIMESTAMP,
   FOREIGN KEY (question_id) REFERENCES questions(id)
 );
 
+-- Every solution ever produced for a question; solutions_cache holds the active one
+CREATE TABLE IF NOT EXISTS solution_versions (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  question_id TEXT NOT NULL,
+  correct_answer TEXT NOT NULL,
+  explanation TEXT NOT NULL,
+  wrong_options TEXT,                     -- JSON explaining why other options are wrong
+  confidence REAL,
+  sample_count INTEGER,
+  dissent TEXT,
+  source TEXT NOT NULL DEFAULT 'ai',      -- ai | human | import
+  model TEXT,                             -- Model that produced it (NULL for human/import)
+  prompt_version TEXT,                    -- Hash of the prompt template used (see getPromptVersion)
+  content_hash TEXT,                      -- questions.content_hash the solution was produced for
+  notes TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Official answer keys: authoritative answer per question, kept apart from Claude's cache
+CREATE TABLE IF NOT EXISTS official_answers (
+  question_id TEXT PRIMARY KEY,
+  answer TEXT NOT NULL,                   -- The official option: "a", "b", "c", "d"
+  source TEXT NOT NULL DEFAULT 'manual',  -- manual (UI) | import (key file) | markdown (Preguntas file)
+  notes TEXT,
+  updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (question_id) REFERENCES questions(id)
+);
+
+-- Follow-up tutor conversation about a solved question (one thread per question)
+CREATE TABLE IF NOT EXISTS tutor_messages (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  question_id TEXT NOT NULL,
+  role TEXT NOT NULL,                     -- user | assistant
+  content TEXT NOT NULL,                  -- Markdown
+  model TEXT,                             -- Model that wrote assistant turns
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Hint ladder shown before the answer (generated once per level and question)
+CREATE TABLE IF NOT EXISTS question_hints (
+  question_id TEXT NOT NULL,
+  level INTEGER NOT NULL,                 -- 1 = concept, 2 = formula/definition, 3 = discard a distractor
+  content TEXT NOT NULL,                  -- Markdown
+  model TEXT,
+  content_hash TEXT,                      -- Question content hash the hint was written for
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (question_id, level),
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE
+);
+
+-- Concept tags: skills finer than a topic ("serializabilidad en conflictos"), per subject
+CREATE TABLE IF NOT EXISTS tags (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  subject_id TEXT NOT NULL,
+  name TEXT NOT NULL,                     -- As shown: "Serializabilidad en conflictos"
+  slug TEXT NOT NULL,                     -- Lowercase, no accents: "serializabilidad-en-conflictos"
+  description TEXT,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (subject_id, slug),
+  FOREIGN KEY (subject_id) REFERENCES subjects(id) ON DELETE CASCADE
+);
+
+-- Questions <-> tags (many-to-many)
+CREATE TABLE IF NOT EXISTS question_tags (
+  question_id TEXT NOT NULL,
+  tag_id INTEGER NOT NULL,
+  source TEXT NOT NULL DEFAULT 'manual',  -- manual (UI) | ai (bulk tagger)
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (question_id, tag_id),
+  FOREIGN KEY (question_id) REFERENCES questions(id) ON DELETE CASCADE,
+  FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+);
+
 -- Indexes for performance optimization
 CREATE INDEX IF NOT EXISTS idx_attempts_question ON attempts(question_id);
 CREATE INDEX IF NOT EXISTS idx_attempts_correct ON attempts(is_correct);
 CREATE INDEX IF NOT EXISTS idx_questions_topic ON questions(topic);
 CREATE INDEX IF NOT EXISTS idx_questions_subject ON questions(subject_id);
+CREATE INDEX IF NOT EXISTS idx_solution_versions_question ON solution_versions(question_id);
+CREATE INDEX IF NOT EXISTS idx_tutor_messages_question ON tutor_messages(question_id);
+CREATE INDEX IF NOT EXISTS idx_question_tags_tag ON question_tags(tag_id);
 
 -- ============================================
 -- FASE 2: PDF Pipeline
@@ -121,6 +214,8 @@ CREATE TABLE IF NOT EXISTS parsed_questions (
   raw_content TEXT NOT NULL,
   normalized_content TEXT,
   options TEXT,                           -- JSON: {a, b, c, d}
+  question_type TEXT NOT NULL DEFAULT 'single', -- Carried to the approved question (see questions)
+  answer_tolerance REAL,
   status TEXT DEFAULT 'pending',          -- pending, reviewed, approved, rejected
   reviewer_notes TEXT,
   reviewed_at DATETIME,
@@ -238,3 +333,127 @@ CREATE TABLE IF NOT EXISTS verification_questions (
 CREATE INDEX IF NOT EXISTS idx_verification_sessions_subject ON verification_sessions(subject_id);
 CREATE INDEX IF NOT EXISTS idx_verification_sessions_status ON verification_sessions(status);
 CREATE INDEX IF NOT EXISTS idx_verification_questions_session ON verification_questions(session_id);
+
+-- ============================================
+-- Background Jobs
+-- ============================================
+
+-- Persistent job queue for long-running work (batch solving, vision, generation)
+-- Claimed by the worker pool in services/jobQueue.js
+CREATE TABLE IF NOT EXISTS jobs (
+  id TEXT PRIMARY KEY,
+  type TEXT NOT NULL,                         -- solve_batch, process_exam, generate_test, generate_verification
+  job_key TEXT,                               -- Dedupe key: one active job per (type, job_key)
+  payload TEXT,                               -- JSON input for the handler
+  status TEXT NOT NULL DEFAULT 'queued',      -- queued, running, completed, failed, cancelled
+  progress TEXT,                              -- JSON reported by the handler ({ done, total, ... })
+  result TEXT,                                -- JSON returned by the handler
+  error TEXT,                                 -- Last error message
+  attempts INTEGER NOT NULL DEFAULT 0,
+  max_attempts INTEGER NOT NULL DEFAULT 3,
+  run_after DATETIME DEFAULT CURRENT_TIMESTAMP, -- Not claimed before this (retry backoff)
+  cancel_requested BOOLEAN DEFAULT 0,
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+  started_at DATETIME,
+  finished_at DATETIME
+);
+
+CREATE INDEX IF NOT EXISTS idx_jobs_status ON jobs(status, run_after);
+CREATE INDEX IF NOT EXISTS idx_jobs_key ON jobs(type, job_key);
+
+-- ============================================
+-- AI Output Validation
+-- ============================================
+
+-- Model responses that failed their zod schema (services/aiSchemas.js),
+-- with the outcome of the automatic repair retry
+CREATE TABLE IF NOT EXISTS ai_validation_failures (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  task TEXT NOT NULL,                         -- solve, generate, verify, vision
+  issues TEXT NOT NULL,                       -- JSON array of error lines for the first response
+  response TEXT,                              -- First response (truncated)
+  repaired BOOLEAN DEFAULT 0,                 -- 1 if the repair retry returned a valid response
+  repair_issues TEXT,                         -- JSON array of error lines left after the repair retry
+  repair_response TEXT,                       -- Repair retry response (truncated)
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_ai_validation_failures_task ON ai_validation_failures(task, created_at);
+
+-- ============================================
+-- LLM Usage Ledger
+-- ============================================
+
+-- One row per LLM call (written by services/llmProvider.js complete())
+-- No foreign key on subject_id: the ledger outlives deleted subjects
+CREATE TABLE IF NOT EXISTS llm_usage (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  feature TEXT NOT NULL,                      -- solve, vision, generate, verify, tutor
+  subject_id TEXT,
+  provider TEXT,                              -- agent-sdk, messages-api, fake, replay
+  model TEXT,
+  input_tokens INTEGER NOT NULL DEFAULT 0,
+  output_tokens INTEGER NOT NULL DEFAULT 0,
+  cost_usd REAL NOT NULL DEFAULT 0,           -- Reported by the provider or estimated from MODEL_PRICES
+  duration_ms INTEGER,
+  status TEXT NOT NULL DEFAULT 'ok',          -- ok, error, timeout, cancelled
+  created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_llm_usage_created ON llm_usage(created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_usage_subject ON llm_usage(subject_id, created_at);
+
+-- ============================================
+-- Full-Text Search
+-- ============================================
+
+-- One row per question: its text, statement, option texts and cached explanation
+-- unicode61 with remove_diacritics 2: "recuperacion" matches "recuperación"
+-- Kept in sync by the triggers below; rebuilt by rebuildSearchIndex()
+CREATE VIRTUAL TABLE IF NOT EXISTS question_search USING fts5(
+  question_id UNINDEXED,
+  content,
+  shared_statement,
+  options,
+  explanation,
+  tokenize = 'unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS question_search_insert AFTER INSERT ON questions BEGIN
+  INSERT INTO question_search (question_id, content, shared_statement, options, explanation)
+  VALUES (
+    NEW.id,
+    NEW.content,
+    NEW.shared_statement,
+    (SELECT group_concat(value, ' ') FROM json_each(NEW.options)),
+    (SELECT explanation FROM solutions_cache WHERE question_id = NEW.id)
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS question_search_update AFTER UPDATE OF id, content, shared_statement, options ON questions BEGIN
+  DELETE FROM question_search WHERE question_id = OLD.id;
+  INSERT INTO question_search (question_id, content, shared_statement, options, explanation)
+  VALUES (
+    NEW.id,
+    NEW.content,
+    NEW.shared_statement,
+    (SELECT group_concat(value, ' ') FROM json_each(NEW.options)),
+    (SELECT explanation FROM solutions_cache WHERE question_id = NEW.id)
+  );
+END;
+
+CREATE TRIGGER IF NOT EXISTS question_search_delete AFTER DELETE ON questions BEGIN
+  DELETE FROM question_search WHERE question_id = OLD.id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS question_search_solution_insert AFTER INSERT ON solutions_cache BEGIN
+  UPDATE question_search SET explanation = NEW.explanation WHERE question_id = NEW.question_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS question_search_solution_update AFTER UPDATE OF explanation ON solutions_cache BEGIN
+  UPDATE question_search SET explanation = NEW.explanation WHERE question_id = NEW.question_id;
+END;
+
+CREATE TRIGGER IF NOT EXISTS question_search_solution_delete AFTER DELETE ON solutions_cache BEGIN
+  UPDATE question_search SET explanation = NULL WHERE question_id = OLD.question_id;
+END;
@@ -2,6 +2,8 @@ import express from 'express';
 import cors from 'cors';
 import { initializeDatabase, seedBDASubject, migrateQuestionsSubjectId } from './database.js';
 import routes from './routes.js';
+import { startJobWorkers } from './services/jobQueue.js';
+import { startQuestionWatcher } from './services/questionWatcher.js';
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -88,6 +90,14 @@ async function startServer() {
     // Migrate questions to include subject_id (Fase 1)
     migrateQuestionsSubjectId();
 
+    // Run queued background jobs (solve batches, Vision, generation)
+    startJobWorkers();
+
+    // Re-ingest question files when they are saved (optional)
+    if (['1', 'true'].includes(process.env.WATCH_QUESTIONS)) {
+      startQuestionWatcher();
+    }
+
     // Start listening
     app.listen(PORT, () => {
       console.log(`[Server] Exam App API running on http://localhost:${PORT}`);
@@ -5,77 +5,130 @@
  * Handles:
  * - Question headers: "## Pregunta X" or "## Pregunta X (Pagina Y)"
  * - Shared statements: "**Enunciado N:**" that apply to multiple questions
- * - Options: a), b), c), d) or A., B., C., D. on separate lines or in single line
+ * - Options: a) to f) or A. to F. (2-6 options) on separate lines or in single line
+ * - True/false statements marked "(V/F)" get the options Verdadero / Falso
+ * - Question types: "[MULTIPLE]" (select all that apply) and "[NUMERICA ±0.5]"
+ *   (numeric answer, optional absolute tolerance); the tags are removed from the text
  * - Math symbols (kept as-is)
  * - Multi-line content
+ * - Embedded answer keys: "**Respuesta: b**" lines inside a question and a
+ *   "## Solucion" table or list at the end of the file (see parseAnswerKey);
+ *   both are removed from the question text
  */
 
 import fs from 'fs';
 import path from 'path';
+import { OPTION_LETTERS, TRUE_FALSE_OPTIONS } from './services/answerOptions.js';
+import { normalizeNumber, normalizeAnswer, describeAnswerFormat } from './services/answerGrading.js';
+
+// Marks a true/false statement written without options
+const TRUE_FALSE_MARKER = /\((?:V\/F|Verdadero\s*\/\s*Falso)\)|\bverdadero\s+o\s+falso\b/i;
+
+// Question type tags: [MULTIPLE], [NUMERICA] or [NUMERICA ±0,5] (also +- and +/-)
+const MULTIPLE_TAG = /\[MULTIPLE\]/i;
+const NUMERIC_TAG = /\[NUM[EÉ]RICA(?:\s*(?:±|\+-|\+\/-)\s*([\d.,]+))?\]/i;
+
+// Question header: "## Pregunta X", "## Pregunta X (Pagina Y)" or "## Pregunta X (Pagina Y-Z)"
+const QUESTION_HEADER = /^## Pregunta (\d+)(?:\s*\(Pagina\s*[\d\-]+\))?/gm;
+
+// Reference to a shared statement: "En las condiciones del enunciado 2"
+export const STATEMENT_REFERENCE = /[Ee]n\s+las\s+condiciones\s+del\s+enunciado\s+(\d+)/i;
+
+// Default question file name: Preguntas_Tema1.md ... Preguntas_SinTema.md (group 1 is the topic)
+const DEFAULT_FILE_PATTERN = /^Preguntas_(Tema\d+|SinTema)\.md$/;
+
+// Inline answer marker, a line of its own: "**Respuesta: b**", "**Respuesta:** a, c",
+// "Respuesta correcta: 12,5" or "Solución: b"
+const ANSWER_MARKER = /^[ \t]*(?:[*_]{2})?[ \t]*(?:Respuesta(?:\s+correcta)?|Soluci[oó]n)[ \t]*:[ \t]*(?:[*_]{2})?[ \t]*(\S.*?)[ \t]*(?:[*_]{2})?[ \t]*$/gim;
+
+// Header of the answer table after the last question: "## Solución",
+// "## Soluciones", "**Respuestas**", "## Clave de respuestas", "## Plantilla"
+const KEY_SECTION = /^[ \t]*(?:#{1,6}[ \t]*|[*_]{2})(?:Soluci[oó]n(?:es)?|Respuestas(?:\s+correctas)?|Clave(?:\s+de\s+respuestas)?|Plantilla(?:\s+de\s+respuestas)?)[ \t]*:?[ \t]*(?:[*_]{2})?[ \t]*$/gim;
 
 /**
  * Parse a single question file and extract all questions
  * @param {string} filePath - Absolute path to the markdown file
+ * @param {Object} options - { topic?, idPrefix? }: topic defaults to the one in a
+ *   "Preguntas_TemaN.md" file name; idPrefix is prepended to the question IDs
  * @returns {Array} - Array of question objects
  */
-export function parseQuestionFile(filePath) {
-  const content = fs.readFileSync(filePath, 'utf-8');
+export function parseQuestionFile(filePath, options = {}) {
+  return parseFile(filePath, options).questions;
+}
+
+/**
+ * Answer key embedded in a question file
+ * Answers come from inline markers ("**Respuesta: b**") and from the
+ * solution table or list at the end of the file ("| 3 | b |", "3. b", or a
+ * row of question numbers over a row of answers). Every answer is checked
+ * against its question type and options.
+ *
+ * @param {string} filePath - Absolute path to the markdown file
+ * @param {Object} options - Same as parseQuestionFile
+ * @returns {{
+ *   answers: Array<{questionId, questionNumber, answer, source}>,
+ *   missing: Array<{questionId, questionNumber}>,
+ *   ambiguous: Array<{questionId, questionNumber, reason, candidates}>
+ * }} source is 'inline' or 'table'; ambiguous questions (unreadable or
+ *    conflicting answers, table rows for unknown questions) get no answer
+ */
+export function parseAnswerKey(filePath, options = {}) {
+  const { questions, markers, keyRows } = parseFile(filePath, options);
+  return buildAnswerKey(questions, markers, keyRows);
+}
+
+/**
+ * Questions of a file, with the answer notation found in it
+ * @param {string} filePath - Absolute path to the markdown file
+ * @param {Object} options - Same as parseQuestionFile
+ * @returns {{questions: Array, markers: Map<number, Array<string>>, keyRows: Array<{questionNumber, text}>}}
+ */
+function parseFile(filePath, { topic: topicName, idPrefix = '' } = {}) {
+  let content = fs.readFileSync(filePath, 'utf-8');
   const fileName = path.basename(filePath, '.md');
 
   // Extract topic from filename (e.g., "Preguntas_Tema1" -> "Tema1")
   const topicMatch = fileName.match(/Preguntas_(Tema\d+|SinTema)/);
-  const topic = topicMatch ? topicMatch[1] : 'Unknown';
+  const topic = topicName || (topicMatch ? topicMatch[1] : 'Unknown');
 
   const questions = [];
+  const markers = new Map();
 
-  // Split content by question headers
-  // Match: ## Pregunta X or ## Pregunta X (Pagina Y) or ## Pregunta X (Pagina Y-Z)
-  const questionPattern = /^## Pregunta (\d+)(?:\s*\(Pagina\s*[\d\-]+\))?/gm;
-
-  // Find all question positions
-  const questionMatches = [];
-  let match;
-  while ((match = questionPattern.exec(content)) !== null) {
-    questionMatches.push({
-      index: match.index,
-      questionNumber: parseInt(match[1], 10),
-      fullMatch: match[0]
-    });
+  // Split content by question headers; the answer table is not part of the last question
+  const { sections, keySection } = findQuestionSections(content);
+  if (keySection) {
+    content = content.slice(0, keySection.index);
   }
 
-  // Track shared statements (Enunciados) - they can appear in any question
-  // and apply to subsequent questions until a new Enunciado is defined
-  const sharedStatements = {};
-
-  // First pass: collect all shared statements from the entire document
-  const enunciadoPattern = /\*\*Enunciado\s*(\d+):\*\*\s*([\s\S]*?)(?=\n\n[a-dA-D][\.\)]\s|$)/g;
-  let enunciadoMatch;
-  while ((enunciadoMatch = enunciadoPattern.exec(content)) !== null) {
-    const statementNum = enunciadoMatch[1];
-    const statementText = enunciadoMatch[2].trim();
-    // Store the most recent version of each statement
-    sharedStatements[statementNum] = statementText;
-  }
+  // Shared statements (Enunciados) can appear in any question and apply to
+  // subsequent questions until a new Enunciado is defined
+  const sharedStatements = collectSharedStatements(content);
 
   // Process each question
-  for (let i = 0; i < questionMatches.length; i++) {
-    const currentMatch = questionMatches[i];
-    const nextMatch = questionMatches[i + 1];
-
-    // Extract question content (from current header to next header or end)
-    const startIndex = currentMatch.index + currentMatch.fullMatch.length;
-    const endIndex = nextMatch ? nextMatch.index : content.length;
-    let questionContent = content.slice(startIndex, endIndex).trim();
+  for (const section of sections) {
+    let questionContent = content.slice(section.start, section.end).trim();
 
     // Remove trailing --- separator if present
     questionContent = questionContent.replace(/\n---\s*$/, '').trim();
 
+    // Answer markers are kept apart so they do not end up in the last option
+    const found = [...questionContent.matchAll(ANSWER_MARKER)].map(marker => marker[1]);
+    if (found.length > 0) {
+      markers.set(section.questionNumber, [...(markers.get(section.questionNumber) || []), ...found]);
+      questionContent = questionContent
+        .replace(ANSWER_MARKER, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/\n---\s*$/, '')
+        .trim();
+    }
+
     // Parse the question
     const parsedQuestion = parseQuestionContent(
       questionContent,
-      currentMatch.questionNumber,
+      section.questionNumber,
       topic,
-      sharedStatements
+      sharedStatements,
+      idPrefix
     );
 
     if (parsedQuestion) {
@@ -83,7 +136,225 @@ export function parseQuestionFile(filePath) {
     }
   }
 
-  return questions;
+  return { questions, markers, keyRows: keySection ? keySection.rows : [] };
+}
+
+/**
+ * Question headers of a file and the span of each question
+ * @param {string} content - File contents
+ * @returns {{
+ *   sections: Array<{questionNumber: number, index: number, start: number, end: number}>,
+ *   keySection: {index: number, rows: Array}|null
+ * }} index is where the header starts; start/end delimit the question body.
+ *    The answer table after the last question (keySection) is left out.
+ */
+export function findQuestionSections(content) {
+  const pattern = new RegExp(QUESTION_HEADER.source, QUESTION_HEADER.flags);
+
+  // Find all question positions
+  const headers = [];
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    headers.push({ questionNumber: parseInt(match[1], 10), index: match.index, start: match.index + match[0].length });
+  }
+
+  const lastHeader = headers[headers.length - 1];
+  const keySection = findKeySection(content, lastHeader ? lastHeader.start : 0);
+  const contentEnd = keySection ? keySection.index : content.length;
+
+  const sections = headers.map((header, i) => ({
+    ...header,
+    end: i + 1 < headers.length ? headers[i + 1].index : contentEnd
+  }));
+
+  return { sections, keySection };
+}
+
+/**
+ * Shared statements ("**Enunciado N:** ...") of a file, by number
+ * The most recent version of each statement wins.
+ * @param {string} content - File contents
+ * @returns {Object} - Statement number -> text
+ */
+export function collectSharedStatements(content) {
+  const sharedStatements = {};
+
+  const enunciadoPattern = /\*\*Enunciado\s*(\d+):\*\*\s*([\s\S]*?)(?=\n\n[a-fA-F][\.\)]\s|$)/g;
+  let enunciadoMatch;
+  while ((enunciadoMatch = enunciadoPattern.exec(content)) !== null) {
+    sharedStatements[enunciadoMatch[1]] = enunciadoMatch[2].trim();
+  }
+
+  return sharedStatements;
+}
+
+/**
+ * Answer table at the end of a file
+ * The first key header after the last question that is followed by answer rows
+ * @param {string} content - File contents
+ * @param {number} fromIndex - Where the last question header ends
+ * @returns {{index: number, rows: Array}|null}
+ */
+function findKeySection(content, fromIndex) {
+  const pattern = new RegExp(KEY_SECTION.source, KEY_SECTION.flags);
+  pattern.lastIndex = fromIndex;
+
+  let match;
+  while ((match = pattern.exec(content)) !== null) {
+    const rows = parseKeyRows(content.slice(match.index + match[0].length));
+    if (rows.length > 0) {
+      return { index: match.index, rows };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Rows of an answer table or list
+ * - Vertical table: "| 3 | b |" (header and separator rows are skipped)
+ * - Horizontal table: "| Pregunta | 1 | 2 | 3 |" over "| Respuesta | b | a | c |"
+ * - List: "3. b", "3) a, c", "Pregunta 3: b", "- 3: 12,5"
+ * Any other line is ignored.
+ * @param {string} text - Text after the key header
+ * @returns {Array<{questionNumber: number, text: string}>}
+ */
+function parseKeyRows(text) {
+  const rows = [];
+  let headerNumbers = null;
+
+  for (const rawLine of text.split('\n')) {
+    const line = rawLine.trim();
+
+    if (line.startsWith('|')) {
+      const cells = line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim());
+      if (cells.every(cell => /^:?-+:?$/.test(cell))) continue;
+
+      // A leading label cell ("Pregunta", "Respuesta") in horizontal tables
+      const labelled = cells.length > 1 && !/\d/.test(cells[0]);
+      const values = labelled ? cells.slice(1) : cells;
+
+      if (values.length > (labelled ? 0 : 2) && values.every(cell => /^\d+$/.test(cell))) {
+        headerNumbers = values.map(Number);
+        continue;
+      }
+
+      if (headerNumbers) {
+        headerNumbers.forEach((questionNumber, index) => rows.push({ questionNumber, text: values[index] || '' }));
+        headerNumbers = null;
+        continue;
+      }
+
+      const numberMatch = cells[0].match(/^(?:Pregunta\s*)?(\d+)$/i);
+      if (numberMatch && cells.length >= 2) {
+        rows.push({ questionNumber: parseInt(numberMatch[1], 10), text: cells[1] });
+      }
+      continue;
+    }
+
+    const listMatch = line.match(/^(?:[-*+]\s+)?(?:\*\*)?(?:Pregunta\s*)?(\d+)(?:\*\*)?\s*[.):\-–](?:\*\*)?\s+(\S.*)$/i);
+    if (listMatch) {
+      rows.push({ questionNumber: parseInt(listMatch[1], 10), text: listMatch[2] });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * Answer written in a marker or table cell, before checking it against the question
+ * "b", "b)", "**b**", "la opción b", "a, c", "a y c", "12,5", "b) porque..."
+ * @param {string} text - Marker or cell text
+ * @returns {string|null} Letters ("a,c") or number; null when unreadable
+ */
+function readAnswerText(text) {
+  const clean = text
+    .replace(/[*_`]/g, '')
+    .trim()
+    .replace(/^(?:la\s+|las\s+)?opci[oó]n(?:es)?\s+/i, '');
+
+  const number = clean.match(/^[-+]?\d+(?:[.,]\d+)?(?=$|\s)/);
+  if (number) {
+    return number[0];
+  }
+
+  const letters = clean.match(/^[a-f]\)?(?:\s*(?:,|;|\by\b)\s*[a-f]\)?)*(?=$|[\s.,:;\-–—(])/i);
+  if (letters) {
+    return letters[0].toLowerCase().match(/[a-f](?!\w)/g).join(',');
+  }
+
+  return null;
+}
+
+/**
+ * Resolve the answer of every question from its markers and table rows
+ * @param {Array} questions - Parsed questions
+ * @param {Map<number, Array<string>>} markers - Inline marker texts by question number
+ * @param {Array<{questionNumber, text}>} keyRows - Answer table rows
+ * @returns {{answers: Array, missing: Array, ambiguous: Array}}
+ */
+function buildAnswerKey(questions, markers, keyRows) {
+  const answers = [];
+  const missing = [];
+  const ambiguous = [];
+
+  const tableAnswers = new Map();
+  for (const row of keyRows) {
+    tableAnswers.set(row.questionNumber, [...(tableAnswers.get(row.questionNumber) || []), row.text]);
+  }
+
+  for (const question of questions) {
+    const entry = { questionId: question.id, questionNumber: question.question_number };
+    const candidates = [
+      ...(markers.get(question.question_number) || []).map(text => ({ source: 'inline', text })),
+      ...(tableAnswers.get(question.question_number) || []).map(text => ({ source: 'table', text }))
+    ];
+    tableAnswers.delete(question.question_number);
+
+    if (candidates.length === 0) {
+      missing.push(entry);
+      continue;
+    }
+
+    const resolved = candidates.map(candidate => {
+      const answerText = readAnswerText(candidate.text);
+      return { ...candidate, answer: answerText === null ? null : normalizeAnswer(answerText, question) };
+    });
+
+    const invalid = resolved.find(candidate => candidate.answer === null);
+    if (invalid) {
+      ambiguous.push({
+        ...entry,
+        reason: `Invalid answer "${invalid.text}": must be ${describeAnswerFormat(question)}`,
+        candidates
+      });
+      continue;
+    }
+
+    const distinct = [...new Set(resolved.map(candidate => candidate.answer))];
+    if (distinct.length > 1) {
+      ambiguous.push({
+        ...entry,
+        reason: `Conflicting answers: ${resolved.map(candidate => `${candidate.answer} (${candidate.source})`).join(', ')}`,
+        candidates
+      });
+      continue;
+    }
+
+    answers.push({ ...entry, answer: distinct[0], source: resolved[0].source });
+  }
+
+  // Table rows left over point at questions that are not in the file
+  for (const [questionNumber, texts] of tableAnswers) {
+    ambiguous.push({
+      questionId: null,
+      questionNumber,
+      reason: 'Answer for a question that is not in the file',
+      candidates: texts.map(text => ({ source: 'table', text }))
+    });
+  }
+
+  return { answers, missing, ambiguous };
 }
 
 /**
@@ -92,9 +363,10 @@ export function parseQuestionFile(filePath) {
  * @param {number} questionNumber - Question number
  * @param {string} topic - Topic name
  * @param {Object} sharedStatements - Map of shared statement numbers to their text
+ * @param {string} idPrefix - Prefix of the question ID
  * @returns {Object|null} - Question object or null if parsing fails
  */
-function parseQuestionContent(content, questionNumber, topic, sharedStatements) {
+function parseQuestionContent(content, questionNumber, topic, sharedStatements, idPrefix = '') {
   // Remove any leading question number that may appear (e.g., "7. Cual de las...")
   let cleanContent = content.replace(/^\d+\.\s*/, '').trim();
 
@@ -102,14 +374,13 @@ function parseQuestionContent(content, questionNumber, topic, sharedStatements)
   let sharedStatement = null;
 
   // Look for "En las condiciones del enunciado X" pattern
-  const refPattern = /[Ee]n\s+las\s+condiciones\s+del\s+enunciado\s+(\d+)/i;
-  const refMatch = cleanContent.match(refPattern);
+  const refMatch = cleanContent.match(STATEMENT_REFERENCE);
   if (refMatch && sharedStatements[refMatch[1]]) {
     sharedStatement = sharedStatements[refMatch[1]];
   }
 
   // Check if there's an inline Enunciado in this question
-  const inlineEnunciadoPattern = /\*\*Enunciado\s*(\d+):\*\*\s*([\s\S]*?)(?=\n\n[a-dA-D][\.\)]\s|\n[a-dA-D][\.\)]\s)/;
+  const inlineEnunciadoPattern = /\*\*Enunciado\s*(\d+):\*\*\s*([\s\S]*?)(?=\n\n[a-fA-F][\.\)]\s|\n[a-fA-F][\.\)]\s)/;
   const inlineMatch = cleanContent.match(inlineEnunciadoPattern);
   if (inlineMatch) {
     sharedStatement = inlineMatch[2].trim();
@@ -128,8 +399,12 @@ function parseQuestionContent(content, questionNumber, topic, sharedStatements)
     questionText = questionText.replace(inlineEnunciadoPattern, '').trim();
   }
 
+  // Question type tags
+  const { questionType, answerTolerance } = extractQuestionType(cleanContent);
+  questionText = stripQuestionTypeTags(questionText);
+
   // Generate unique ID
-  const id = `${topic.toLowerCase()}_pregunta${questionNumber}`;
+  const id = `${idPrefix}${topic.toLowerCase()}_pregunta${questionNumber}`;
 
   return {
     id,
@@ -137,10 +412,40 @@ function parseQuestionContent(content, questionNumber, topic, sharedStatements)
     question_number: questionNumber,
     shared_statement: sharedStatement,
     content: questionText,
-    options
+    options,
+    question_type: questionType,
+    answer_tolerance: answerTolerance
   };
 }
 
+/**
+ * Question type from its tags (single answer when untagged)
+ * Also used for exam pages transcribed by the vision pipeline.
+ * @param {string} content - Full question content
+ * @returns {{questionType: string, answerTolerance: number|null}}
+ */
+export function extractQuestionType(content) {
+  const numericMatch = content.match(NUMERIC_TAG);
+  if (numericMatch) {
+    const tolerance = numericMatch[1] ? normalizeNumber(numericMatch[1]) : null;
+    return { questionType: 'numeric', answerTolerance: tolerance === null ? null : Number(tolerance) };
+  }
+
+  if (MULTIPLE_TAG.test(content)) {
+    return { questionType: 'multiple', answerTolerance: null };
+  }
+
+  return { questionType: 'single', answerTolerance: null };
+}
+
+/**
+ * Question text without its type tags
+ * @param {string} text - Question text
+ */
+export function stripQuestionTypeTags(text) {
+  return text.replace(MULTIPLE_TAG, '').replace(NUMERIC_TAG, '').trim();
+}
+
 /**
  * Extract the main question text (before options)
  * @param {string} content - Full question content
@@ -175,13 +480,35 @@ function extractQuestionText(content) {
   return questionText;
 }
 
+/**
+ * Options found on a single line: "a) text b) text c) text" (or "A. text B. text")
+ * @param {string} line - Line to parse
+ * @param {Function} marker - letter => regex source of its marker (e.g. "a\\)")
+ * @returns {Object} - Options found, keyed by lowercase letter
+ */
+function parseInlineOptions(line, marker) {
+  const found = {};
+
+  OPTION_LETTERS.forEach((letter, index) => {
+    const next = OPTION_LETTERS[index + 1];
+    // The first option needs a second one after it; the rest may end the line
+    const end = index === 0 ? `(?=\\s+${marker(next)})` : `(?=${next ? `\\s+${marker(next)}|` : ''}$)`;
+    const start = index === 0 ? '(?:^|\\s)' : '\\s';
+    const match = line.match(new RegExp(`${start}${marker(letter)}\\s+(.+?)${end}`));
+    if (match) found[letter] = match[1].trim();
+  });
+
+  return found;
+}
+
 /**
  * Extract options from question content
+ * a-d are always present (null when missing); e and f only when found
  * @param {string} content - Full question content
  * @returns {Object} - Options object { a: "...", b: "...", c: "...", d: "..." }
  */
 function extractOptions(content) {
-  const options = { a: null, b: null, c: null, d: null };
+  let options = { a: null, b: null, c: null, d: null };
 
   // First, try to find options that are on separate lines or clearly delimited
   const lines = content.split('\n');
@@ -192,7 +519,7 @@ function extractOptions(content) {
   for (const line of lines) {
     // Check if this line starts a new option
     // Match both "a) text" and "A. text" formats
-    const optionStart = line.match(/^\s*([a-dA-D])[\.\)]\s*(.*)/);
+    const optionStart = line.match(/^\s*([a-fA-F])[\.\)]\s*(.*)/);
 
     if (optionStart) {
       // Save previous option if any
@@ -223,32 +550,16 @@ function extractOptions(content) {
   // If we didn't find enough options with separate lines, try inline pattern
   if (foundOptions < 2) {
     // Reset options
-    options.a = null;
-    options.b = null;
-    options.c = null;
-    options.d = null;
+    options = { a: null, b: null, c: null, d: null };
 
     // Look for inline options format: "a) text b) text c) text d) text"
     // Find a line that contains multiple options on the same line
     for (const line of lines) {
-      // Check if this line has inline options (a) followed later by b), c), d))
       // Must have at least a) and b) with space before b)
       const hasInlineOptions = /(?:^|\s)a\)\s/.test(line) && /\sb\)\s/.test(line);
 
       if (hasInlineOptions) {
-        // Parse by splitting on the pattern " b) ", " c) ", " d) "
-        // First extract a)
-        const aMatch = line.match(/(?:^|\s)a\)\s+(.+?)(?=\s+b\))/);
-        if (aMatch) options.a = aMatch[1].trim();
-
-        const bMatch = line.match(/\sb\)\s+(.+?)(?=\s+c\)|$)/);
-        if (bMatch) options.b = bMatch[1].trim();
-
-        const cMatch = line.match(/\sc\)\s+(.+?)(?=\s+d\)|$)/);
-        if (cMatch) options.c = cMatch[1].trim();
-
-        const dMatch = line.match(/\sd\)\s+(.+?)$/);
-        if (dMatch) options.d = dMatch[1].trim();
+        Object.assign(options, parseInlineOptions(line, letter => `${letter}\\)`));
 
         if (options.a || options.b) {
           break;
@@ -262,17 +573,7 @@ function extractOptions(content) {
         const hasInlineOptionsUppercase = /(?:^|\s)A\.\s/.test(line) && /\sB\.\s/.test(line);
 
         if (hasInlineOptionsUppercase) {
-          const aMatch = line.match(/(?:^|\s)A\.\s+(.+?)(?=\s+B\.)/);
-          if (aMatch) options.a = aMatch[1].trim();
-
-          const bMatch = line.match(/\sB\.\s+(.+?)(?=\s+C\.|$)/);
-          if (bMatch) options.b = bMatch[1].trim();
-
-          const cMatch = line.match(/\sC\.\s+(.+?)(?=\s+D\.|$)/);
-          if (cMatch) options.c = cMatch[1].trim();
-
-          const dMatch = line.match(/\sD\.\s+(.+?)$/);
-          if (dMatch) options.d = dMatch[1].trim();
+          Object.assign(options, parseInlineOptions(line, letter => `${letter.toUpperCase()}\\.`));
 
           if (options.a || options.b) {
             break;
@@ -280,6 +581,11 @@ function extractOptions(content) {
         }
       }
     }
+
+    // A true/false statement has no options of its own
+    if (!options.a && !options.b && TRUE_FALSE_MARKER.test(content)) {
+      Object.assign(options, TRUE_FALSE_OPTIONS);
+    }
   }
 
   // Clean up options - remove trailing whitespace and separators
@@ -324,17 +630,14 @@ export function parseAllTopics(dataDir) {
 /**
  * Get list of available topics
  * @param {string} dataDir - Path to the Preguntas directory
+ * @param {RegExp} filePattern - Question file names; group 1 is the topic
+ *   (default: Preguntas_TemaN.md and Preguntas_SinTema.md)
  * @returns {Array} - List of topic names
  */
-export function getAvailableTopics(dataDir) {
+export function getAvailableTopics(dataDir, filePattern = DEFAULT_FILE_PATTERN) {
   const files = fs.readdirSync(dataDir)
-    .filter(f => f.startsWith('Preguntas_') && f.endsWith('.md'))
+    .filter(f => filePattern.test(f))
     .sort();
 
-  const topics = files.map(f => {
-    const match = f.match(/Preguntas_(Tema\d+|SinTema)/);
-    return match ? match[1] : null;
-  }).filter(Boolean);
-
-  return topics;
+  return files.map(f => f.match(filePattern)[1]);
 }
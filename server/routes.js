@@ -13,6 +13,20 @@ import subjectsRouter from './routes/subjects.js';
 import pipelineRouter from './routes/pipeline.js';
 import generationRouter from './routes/generation.js';
 import verificationRouter from './routes/verification.js';
+import answerKeysRouter from './routes/answerKeys.js';
+import jobsRouter from './routes/jobs.js';
+import tutorRouter from './routes/tutor.js';
+import hintsRouter from './routes/hints.js';
+import validationFailuresRouter from './routes/validationFailures.js';
+import usageRouter from './routes/usage.js';
+import moodleRouter from './routes/moodle.js';
+import ankiRouter from './routes/anki.js';
+import mockExamRouter from './routes/mockExam.js';
+import diagnosticsRouter from './routes/diagnostics.js';
+import questionEventsRouter from './routes/questionEvents.js';
+import searchRouter from './routes/search.js';
+import duplicatesRouter from './routes/duplicates.js';
+import tagsRouter from './routes/tags.js';
 
 const router = Router();
 
@@ -32,6 +46,48 @@ router.use('/generate', generationRouter);
 // Verification routes (Fase 4): /api/verification
 router.use('/verification', verificationRouter);
 
+// Official answer keys: /api/answer-keys
+router.use('/answer-keys', answerKeysRouter);
+
+// Background jobs: /api/jobs
+router.use('/jobs', jobsRouter);
+
+// Follow-up tutor chat: /api/tutor/:questionId
+router.use('/tutor', tutorRouter);
+
+// Progressive hints before the answer: /api/hints/:questionId
+router.use('/hints', hintsRouter);
+
+// Model responses that failed validation: /api/validation-failures
+router.use('/validation-failures', validationFailuresRouter);
+
+// LLM usage ledger and budget: /api/usage
+router.use('/usage', usageRouter);
+
+// Moodle GIFT / XML question banks: /api/moodle
+router.use('/moodle', moodleRouter);
+
+// Anki deck export: /api/anki
+router.use('/anki', ankiRouter);
+
+// Printable mock exams and answer keys: /api/mock-exam
+router.use('/mock-exam', mockExamRouter);
+
+// Question file lint reports: /api/diagnostics
+router.use('/diagnostics', diagnosticsRouter);
+
+// Question change notifications (Server-Sent Events): /api/question-events
+router.use('/question-events', questionEventsRouter);
+
+// Full-text question search: /api/search
+router.use('/search', searchRouter);
+
+// Near-duplicate question report and merge: /api/duplicates
+router.use('/duplicates', duplicatesRouter);
+
+// Concept tags and the AI bulk tagger: /api/tags
+router.use('/tags', tagsRouter);
+
 // Questions routes: /api/topics, /api/questions/:topic, etc.
 router.use('/', questionsRouter);
 
@@ -84,7 +140,39 @@ router.get('/', (req, res) => {
       },
       solving: {
         solve: 'POST /api/solve',
-        getCached: 'GET /api/solve/:questionId'
+        batch: 'POST /api/solve/batch (queues a job)',
+        getCached: 'GET /api/solve/:questionId',
+        versions: 'GET /api/solve/:questionId/versions',
+        stale: 'GET /api/solve/stale?subjectId=',
+        resolveStale: 'POST /api/solve/stale/resolve'
+      },
+      answerKeys: {
+        list: 'GET /api/answer-keys?subjectId=',
+        disagreements: 'GET /api/answer-keys/disagreements?subjectId=',
+        import: 'POST /api/answer-keys/import',
+        set: 'PUT /api/answer-keys/:questionId',
+        delete: 'DELETE /api/answer-keys/:questionId'
+      },
+      tutor: {
+        conversation: 'GET /api/tutor/:questionId',
+        ask: 'POST /api/tutor/:questionId',
+        clear: 'DELETE /api/tutor/:questionId'
+      },
+      hints: {
+        list: 'GET /api/hints/:questionId',
+        get: 'POST /api/hints/:questionId/:level'
+      },
+      jobs: {
+        list: 'GET /api/jobs?status=&type=',
+        status: 'GET /api/jobs/:id',
+        cancel: 'POST /api/jobs/:id/cancel'
+      },
+      validationFailures: {
+        list: 'GET /api/validation-failures?task=&repaired=',
+        detail: 'GET /api/validation-failures/:id'
+      },
+      usage: {
+        summary: 'GET /api/usage?from=&to=&subjectId='
       },
       stats: {
         global: 'GET /api/stats',
@@ -106,7 +194,7 @@ router.get('/', (req, res) => {
         examDetails: 'GET /api/pipeline/exams/:examId',
         deleteExam: 'DELETE /api/pipeline/exams/:examId',
         extractPages: 'POST /api/pipeline/exams/:examId/extract',
-        processExam: 'POST /api/pipeline/exams/:examId/process',
+        processExam: 'POST /api/pipeline/exams/:examId/process (queues a job)',
         processPage: 'POST /api/pipeline/exams/:examId/process-page/:pageId',
         questions: 'GET /api/pipeline/exams/:examId/questions',
         approveQuestion: 'POST /api/pipeline/questions/:questionId/approve',
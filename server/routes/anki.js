@@ -0,0 +1,123 @@
+/**
+ * Anki Routes
+ * Anki deck export of a subject, topic, failed questions or generated session
+ */
+
+import { Router } from 'express';
+import {
+  getSubjectById,
+  getQuestionsBySubject,
+  getFailedQuestions,
+  getGenerationSessionById,
+  getGeneratedQuestionsBySession
+} from '../database.js';
+import { toBankItem, toGeneratedBankItem } from '../services/bankItems.js';
+import { ANKI_FORMATS, toAnkiCsv, toApkg } from '../services/ankiExport.js';
+
+const router = Router();
+
+// Topic (and subdeck) of the questions of a generated session
+const GENERATED_TOPIC = 'Generadas';
+
+/**
+ * Export items and deck name for the requested selection
+ * @returns {{items: Array<Object>, deckName: string}|{error: string, status: number}}
+ */
+function selectItems(subject, { topic, failed, sessionId }) {
+  if (sessionId) {
+    const session = getGenerationSessionById(sessionId);
+    if (!session || session.subject_id !== subject.id) {
+      return { status: 404, error: 'Generation session not found' };
+    }
+    return {
+      items: getGeneratedQuestionsBySession(sessionId).map(question => toGeneratedBankItem(question, GENERATED_TOPIC)),
+      deckName: `${subject.name}::${GENERATED_TOPIC}::${sessionId.substring(0, 8)}`
+    };
+  }
+
+  let questions = getQuestionsBySubject(subject.id, topic || null);
+  let deckName = topic ? `${subject.name}::${topic}` : subject.name;
+
+  if (failed) {
+    const failedIds = new Set(getFailedQuestions().map(question => question.id));
+    questions = questions.filter(question => failedIds.has(question.id));
+    deckName += '::Falladas';
+  }
+
+  return { items: questions.map(toBankItem), deckName };
+}
+
+/**
+ * GET /api/anki/:subjectId/export
+ * Download an Anki deck: question and options on the front, answer and
+ * cached explanation on the back, tagged with subject and topic
+ *
+ * Query params:
+ *   format?: 'apkg' | 'csv'  // Default: apkg
+ *   topic?: string           // Only this topic
+ *   failed?: 'true'          // Only questions whose last attempt was wrong
+ *   sessionId?: string       // Questions of a generated test session instead
+ *
+ * Notes keep the same GUID on every export, so importing a new export
+ * updates the notes already in Anki.
+ */
+router.get('/:subjectId/export', (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { format = 'apkg', topic, failed, sessionId } = req.query;
+
+    if (!ANKI_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format: must be ${ANKI_FORMATS.join(' or ')}`
+      });
+    }
+
+    const subject = getSubjectById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const selection = selectItems(subject, { topic, failed: failed === 'true', sessionId });
+    if (selection.error) {
+      return res.status(selection.status).json({
+        success: false,
+        error: selection.error
+      });
+    }
+
+    const { items, deckName } = selection;
+    if (items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No questions to export'
+      });
+    }
+
+    const unsolved = items.filter(item => item.answer === null).length;
+    console.log(`[Anki] Exported ${items.length} notes of ${subjectId} as ${format} (${unsolved} without solution)`);
+
+    const filename = deckName.replace(/::/g, '_').replace(/[^\w-]+/g, '_');
+    res.attachment(`${filename}.${format === 'csv' ? 'txt' : 'apkg'}`);
+    if (format === 'csv') {
+      res.type('text/plain; charset=utf-8');
+      res.send(toAnkiCsv(items, { subjectId, deckName }));
+    } else {
+      res.type('application/octet-stream');
+      res.send(toApkg(items, { subjectId, deckName }));
+    }
+
+  } catch (error) {
+    console.error('[Anki] Error exporting deck:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export Anki deck',
+      message: error.message
+    });
+  }
+});
+
+export default router;
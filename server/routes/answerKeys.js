@@ -0,0 +1,291 @@
+/**
+ * Answer Key Routes
+ * Official answer keys, stored apart from Claude's cached solutions
+ */
+
+import { Router } from 'express';
+import {
+  getQuestionById,
+  getOfficialAnswer,
+  getOfficialAnswers,
+  setOfficialAnswer,
+  importOfficialAnswers,
+  deleteOfficialAnswer,
+  getAnswerKeyDisagreements
+} from '../database.js';
+import { normalizeAnswer, describeAnswerFormat, gradeAnswer } from '../services/answerGrading.js';
+
+const router = Router();
+
+/**
+ * Parse a plain-text answer key
+ * One entry per line: "<questionId><separator><answer>", where the separator
+ * is a comma, semicolon, colon, tab or spaces and the answer a letter, a list
+ * of letters ("a,c") or a number ("12,5"). Blank lines and lines starting
+ * with # are ignored.
+ *
+ * @param {string} text - Key file contents
+ * @returns {{ entries: Array<{questionId, answer}>, invalidLines: Array<{line, content}> }}
+ */
+function parseAnswerKeyText(text) {
+  const entries = [];
+  const invalidLines = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith('#')) {
+      return;
+    }
+
+    const match = line.match(/^(\S+?)\s*[,;:\t ]\s*([a-fA-F](?:\s*,\s*[a-fA-F])*|[-+]?\d+(?:[.,]\d+)?)\)?$/);
+    if (!match) {
+      invalidLines.push({ line: index + 1, content: line });
+      return;
+    }
+
+    entries.push({ questionId: match[1], answer: match[2].toLowerCase() });
+  });
+
+  return { entries, invalidLines };
+}
+
+/**
+ * GET /api/answer-keys
+ * List official answers
+ *
+ * Query params:
+ *   subjectId?: string       // Only answers for this subject
+ */
+router.get('/', (req, res) => {
+  try {
+    const answers = getOfficialAnswers(req.query.subjectId || null);
+
+    res.json({
+      success: true,
+      data: answers,
+      count: answers.length
+    });
+
+  } catch (error) {
+    console.error('[AnswerKeys] Error listing official answers:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list official answers',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/answer-keys/disagreements
+ * Questions where Claude's cached answer differs from the official key
+ *
+ * Query params:
+ *   subjectId?: string       // Only questions of this subject
+ */
+router.get('/disagreements', (req, res) => {
+  try {
+    const disagreements = getAnswerKeyDisagreements(req.query.subjectId || null);
+
+    res.json({
+      success: true,
+      data: disagreements.map(row => ({
+        questionId: row.question_id,
+        subjectId: row.subject_id,
+        topic: row.topic,
+        questionNumber: row.question_number,
+        content: row.content,
+        officialAnswer: row.official_answer,
+        officialSource: row.official_source,
+        claudeAnswer: row.claude_answer,
+        confidence: row.confidence ?? null,
+        solvedAt: row.solved_at
+      })),
+      count: disagreements.length
+    });
+
+  } catch (error) {
+    console.error('[AnswerKeys] Error listing disagreements:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list disagreements',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/answer-keys/import
+ * Import an answer key
+ *
+ * Request body (one of):
+ * {
+ *   answers: [{ questionId: string, answer: string, notes?: string }],
+ *   text: string             // Key file contents, one "questionId letter" per line
+ * }
+ *
+ * Unknown question IDs and malformed lines are skipped and reported.
+ */
+router.post('/import', (req, res) => {
+  try {
+    const { answers, text } = req.body;
+
+    let entries;
+    let invalidLines = [];
+
+    if (Array.isArray(answers)) {
+      entries = answers;
+    } else if (typeof text === 'string') {
+      ({ entries, invalidLines } = parseAnswerKeyText(text));
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide answers (array) or text (key file contents)'
+      });
+    }
+
+    const valid = [];
+    const skipped = [];
+
+    for (const entry of entries) {
+      if (!entry.questionId || entry.answer == null || entry.answer === '') {
+        skipped.push({ questionId: entry.questionId || null, reason: 'Missing questionId or answer' });
+        continue;
+      }
+
+      const question = getQuestionById(entry.questionId);
+      if (!question) {
+        skipped.push({ questionId: entry.questionId, reason: 'Question not found' });
+        continue;
+      }
+
+      const answer = normalizeAnswer(entry.answer, question);
+      if (answer === null) {
+        skipped.push({ questionId: entry.questionId, reason: `Invalid answer: must be ${describeAnswerFormat(question)}` });
+        continue;
+      }
+
+      valid.push({ question_id: entry.questionId, answer, notes: entry.notes || null });
+    }
+
+    const imported = importOfficialAnswers(valid);
+
+    console.log(`[AnswerKeys] Imported ${imported} official answers (${skipped.length} skipped)`);
+
+    res.json({
+      success: true,
+      data: {
+        imported,
+        questionIds: valid.map(entry => entry.question_id),
+        skipped,
+        invalidLines
+      }
+    });
+
+  } catch (error) {
+    console.error('[AnswerKeys] Error importing answer key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import answer key',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/answer-keys/:questionId
+ * Set the official answer for a question (entered from the UI)
+ *
+ * Request body:
+ * {
+ *   answer: string,          // "b"; "a,c" (multiple-answer); "1250" (numeric)
+ *   notes?: string,
+ *   userAnswer?: string      // An answer to regrade against the new key
+ * }
+ *
+ * Response: { success: true, data: official answer row, grade: { isCorrect, score } | null }
+ */
+router.put('/:questionId', (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const { answer, notes, userAnswer = null } = req.body;
+
+    if (answer == null || answer === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: answer'
+      });
+    }
+
+    const question = getQuestionById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const normalizedAnswer = normalizeAnswer(answer, question);
+    if (normalizedAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid answer: must be ${describeAnswerFormat(question)}`
+      });
+    }
+
+    setOfficialAnswer({
+      question_id: questionId,
+      answer: normalizedAnswer,
+      source: 'manual',
+      notes
+    });
+
+    res.json({
+      success: true,
+      data: getOfficialAnswer(questionId),
+      grade: userAnswer == null ? null : gradeAnswer(userAnswer, normalizedAnswer, question)
+    });
+
+  } catch (error) {
+    console.error('[AnswerKeys] Error setting official answer:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set official answer',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/answer-keys/:questionId
+ * Remove the official answer for a question
+ */
+router.delete('/:questionId', (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const result = deleteOfficialAnswer(questionId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No official answer found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Deleted official answer for: ${questionId}`
+    });
+
+  } catch (error) {
+    console.error('[AnswerKeys] Error deleting official answer:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete official answer',
+      message: error.message
+    });
+  }
+});
+
+export default router;
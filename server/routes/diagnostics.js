@@ -0,0 +1,104 @@
+/**
+ * Diagnostics Routes
+ * Lint report of the markdown question files of each subject
+ */
+
+import { Router } from 'express';
+import { getAllSubjects, getSubjectById } from '../database.js';
+import { resolveQuestionSource } from '../services/questionSources.js';
+import { lintSubject } from '../services/questionLinter.js';
+
+const router = Router();
+
+/**
+ * GET /api/diagnostics/questions
+ * Problems found in the question files, with their line numbers
+ *
+ * Query params:
+ *   subjectId?: string  // One subject (default: every subject with question files)
+ *   topic?: string      // One topic of that subject
+ *
+ * A subject whose folder is missing is reported with an error instead of topics.
+ */
+router.get('/questions', (req, res) => {
+  try {
+    const { subjectId, topic } = req.query;
+
+    if (topic && !subjectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'topic requires subjectId'
+      });
+    }
+
+    let subjects;
+    if (subjectId) {
+      const subject = getSubjectById(subjectId);
+      if (!subject) {
+        return res.status(404).json({
+          success: false,
+          error: 'Subject not found'
+        });
+      }
+      if (!resolveQuestionSource(subject)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Subject has no question source configured'
+        });
+      }
+      subjects = [subject];
+    } else {
+      subjects = getAllSubjects()
+        .map(subject => getSubjectById(subject.id))
+        .filter(subject => resolveQuestionSource(subject));
+    }
+
+    if (topic) {
+      try {
+        const report = lintSubject(subjects[0], { topic });
+        return res.json({ success: true, data: { subjects: [report], ...summarize([report]) } });
+      } catch (error) {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+    }
+
+    const reports = subjects.map(subject => {
+      try {
+        return lintSubject(subject);
+      } catch (error) {
+        return { subjectId: subject.id, name: subject.name, error: error.message, topics: [], errors: 0, warnings: 0 };
+      }
+    });
+
+    const data = { subjects: reports, ...summarize(reports) };
+    console.log(`[Diagnostics] Linted ${data.files} question files: ${data.errors} errors, ${data.warnings} warnings`);
+
+    res.json({ success: true, data });
+
+  } catch (error) {
+    console.error('[Diagnostics] Error linting questions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to lint questions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * Totals of a list of subject reports
+ */
+function summarize(reports) {
+  const topics = reports.flatMap(report => report.topics);
+  return {
+    files: topics.length,
+    questions: topics.reduce((sum, entry) => sum + entry.questionCount, 0),
+    errors: reports.reduce((sum, report) => sum + report.errors, 0),
+    warnings: reports.reduce((sum, report) => sum + report.warnings, 0)
+  };
+}
+
+export default router;
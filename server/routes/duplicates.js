@@ -0,0 +1,153 @@
+/**
+ * Duplicates Routes
+ * Report of near-duplicate questions of a subject and merging of a pair
+ */
+
+import { Router } from 'express';
+import { getSubjectById, getQuestionById } from '../database.js';
+import { ensureSubjectLoaded } from '../services/questionIngest.js';
+import {
+  DUPLICATE_THRESHOLD,
+  findDuplicateQuestions,
+  mergeQuestions
+} from '../services/questionDuplicates.js';
+
+const router = Router();
+
+/**
+ * GET /api/duplicates
+ * Pairs of questions that are likely the same question, best match first
+ *
+ * Query params:
+ *   subjectId: string   // Subject to check
+ *   threshold?: number  // Minimum similarity, 0-1 (default 0.8)
+ *
+ * Each pair has its score (text and option similarity), both questions and
+ * suggestedKeepId: the one to keep when merging (the question file one, or
+ * the one with more attempts).
+ */
+router.get('/', (req, res) => {
+  try {
+    const { subjectId } = req.query;
+
+    if (!subjectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectId is required'
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    let threshold = DUPLICATE_THRESHOLD;
+    if (req.query.threshold !== undefined) {
+      threshold = parseFloat(req.query.threshold);
+      if (!(threshold > 0 && threshold <= 1)) {
+        return res.status(400).json({
+          success: false,
+          error: 'threshold must be a number between 0 and 1'
+        });
+      }
+    }
+
+    // Compare against the whole bank, not only the topics opened so far
+    try {
+      ensureSubjectLoaded(subjectId);
+    } catch (error) {
+      console.warn(`[Duplicates] Could not load questions of ${subjectId}: ${error.message}`);
+    }
+
+    const pairs = findDuplicateQuestions(subjectId, { threshold });
+    console.log(`[Duplicates] ${pairs.length} likely duplicate pairs in ${subjectId} (threshold ${threshold})`);
+
+    res.json({
+      success: true,
+      data: { subjectId, threshold, pairs },
+      count: pairs.length
+    });
+
+  } catch (error) {
+    console.error('[Duplicates] Error finding duplicates:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to find duplicates',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/duplicates/merge
+ * Merge a duplicate question into another one
+ *
+ * Body:
+ *   keepId: string   // Question that stays
+ *   mergeId: string  // Duplicate: its attempts (when the options pair up) and,
+ *                    // when the options line up, solutions, hints and tutor
+ *                    // thread move to keepId, then it is removed from practice
+ */
+router.post('/merge', (req, res) => {
+  try {
+    const { keepId, mergeId } = req.body;
+
+    if (!keepId || !mergeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'keepId and mergeId are required'
+      });
+    }
+
+    if (keepId === mergeId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Cannot merge a question into itself'
+      });
+    }
+
+    const keep = getQuestionById(keepId);
+    const merged = getQuestionById(mergeId);
+    for (const [id, question] of [[keepId, keep], [mergeId, merged]]) {
+      if (!question) {
+        return res.status(404).json({
+          success: false,
+          error: `Question not found: ${id}`
+        });
+      }
+      if (question.removed_at) {
+        return res.status(400).json({
+          success: false,
+          error: `Question is removed: ${id}`
+        });
+      }
+    }
+
+    if (keep.subject_id !== merged.subject_id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Questions belong to different subjects'
+      });
+    }
+
+    const result = mergeQuestions(keepId, mergeId);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    console.error('[Duplicates] Error merging questions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to merge questions',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -16,9 +16,21 @@ import {
   getSubjectById
 } from '../database.js';
 import { generateTestQuestions } from '../services/questionGenerator.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { BudgetExceededError } from '../services/usageBudget.js';
 
 const router = express.Router();
 
+/**
+ * generate_test job handler
+ * @param {Object} payload - { sessionId }
+ * @param {Object} ctx - Job context (see services/jobQueue.js)
+ */
+registerJobHandler('generate_test', async ({ sessionId }, ctx) => {
+  const questions = await generateTestQuestions(sessionId, { signal: ctx.signal });
+  return { sessionId, questionCount: questions.length };
+});
+
 /**
  * POST /api/generate/test-session
  * Create a new test generation session
@@ -101,19 +113,24 @@ router.post('/sessions/:id/start', async (req, res) => {
 
     console.log(`[GenerationRoutes] Starting generation for session ${req.params.id}`);
 
-    // Respond immediately
+    // Generate in a background job (progress via the session status or GET /api/jobs/:jobId)
+    const job = enqueueJob('generate_test', { sessionId: req.params.id }, { key: req.params.id });
+
     res.json({
       success: true,
       message: 'Generacion iniciada',
-      sessionId: req.params.id
-    });
-
-    // Generate in background
-    generateTestQuestions(req.params.id).catch(err => {
-      console.error('[GenerationRoutes] Background generation error:', err);
+      sessionId: req.params.id,
+      jobId: job.id
     });
 
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
+        success: false,
+        error: 'Presupuesto de IA agotado',
+        message: error.message
+      });
+    }
     console.error('[GenerationRoutes] Error starting generation:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,142 @@
+/**
+ * Hint Routes
+ * Progressive hints before the answer is revealed, cached per question and level
+ */
+
+import { Router } from 'express';
+import {
+  getQuestionById,
+  getSubjectById,
+  getCachedSolution,
+  getOfficialAnswer,
+  getQuestionHints,
+  saveQuestionHint
+} from '../database.js';
+import { buildQuestionText } from '../claudeService.js';
+import { generateHint, HINT_LEVELS, MAX_HINT_LEVEL } from '../services/hintService.js';
+
+const router = Router();
+
+/**
+ * Response payload for a question_hints row
+ * @param {Object} row - question_hints row
+ */
+function hintToData(row) {
+  return {
+    level: row.level,
+    kind: HINT_LEVELS[row.level - 1]?.name || null,
+    content: row.content,
+    model: row.model,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * GET /api/hints/:questionId
+ * Hints already generated for the question, lowest level first
+ */
+router.get('/:questionId', (req, res) => {
+  try {
+    const hints = getQuestionHints(req.params.questionId);
+
+    res.json({
+      success: true,
+      data: {
+        hints: hints.map(hintToData),
+        maxLevel: MAX_HINT_LEVEL
+      }
+    });
+
+  } catch (error) {
+    console.error('[Hints] Error getting hints:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get hints',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/hints/:questionId/:level
+ * Hint of one level: the cached one, or a new one generated with Claude.
+ * Levels are unlocked in order (level 2 needs level 1).
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   data: { level, kind: 'concept'|'formula'|'elimination', content, model, createdAt },
+ *   cached: boolean
+ * }
+ */
+router.post('/:questionId/:level', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const level = parseInt(req.params.level, 10);
+
+    if (!Number.isInteger(level) || level < 1 || level > MAX_HINT_LEVEL) {
+      return res.status(400).json({
+        success: false,
+        error: `level must be between 1 and ${MAX_HINT_LEVEL}`
+      });
+    }
+
+    const question = getQuestionById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const hints = getQuestionHints(questionId);
+    const cached = hints.find(hint => hint.level === level);
+    if (cached) {
+      return res.json({
+        success: true,
+        data: hintToData(cached),
+        cached: true
+      });
+    }
+
+    const previousHints = hints.filter(hint => hint.level < level);
+    if (previousHints.length < level - 1) {
+      return res.status(409).json({
+        success: false,
+        error: `Hint level ${level - 1} must be requested first`
+      });
+    }
+
+    // Level 3 discards a distractor; knowing the answer keeps it from discarding the right one
+    const solution = getCachedSolution(questionId);
+    const correctAnswer = getOfficialAnswer(questionId)?.answer
+      || (solution && !solution.stale ? solution.correct_answer : null);
+
+    const hint = await generateHint({
+      questionText: buildQuestionText(question),
+      level,
+      previousHints,
+      correctAnswer,
+      subject: getSubjectById(question.subject_id)
+    });
+
+    const row = saveQuestionHint(questionId, level, hint);
+
+    res.json({
+      success: true,
+      data: hintToData(row),
+      cached: false
+    });
+
+  } catch (error) {
+    console.error('[Hints] Error generating hint:', error.message);
+    const isTimeout = error.message.includes('timeout');
+    res.status(isTimeout ? 504 : 500).json({
+      success: false,
+      error: isTimeout ? 'Claude timeout' : 'Failed to generate hint',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,138 @@
+/**
+ * Job Routes
+ * Status and cancellation of background jobs (see services/jobQueue.js)
+ */
+
+import { Router } from 'express';
+import { getJob, getJobs } from '../database.js';
+import { cancelJob } from '../services/jobQueue.js';
+
+const router = Router();
+
+const FINISHED_STATUSES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Response payload for a jobs row
+ * @param {Object} job - Row from getJob(s)
+ */
+function jobToData(job) {
+  return {
+    id: job.id,
+    type: job.type,
+    status: job.status,
+    progress: job.progress,
+    result: job.result,
+    error: job.error,
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    cancelRequested: job.cancel_requested,
+    runAfter: job.run_after,
+    createdAt: job.created_at,
+    startedAt: job.started_at,
+    finishedAt: job.finished_at
+  };
+}
+
+/**
+ * GET /api/jobs
+ * List recent jobs
+ *
+ * Query params:
+ *   status?: string          // queued | running | completed | failed | cancelled
+ *   type?: string            // solve_batch | process_exam | generate_test | generate_verification
+ *   limit?: number           // Default 50
+ */
+router.get('/', (req, res) => {
+  try {
+    const jobs = getJobs({
+      status: req.query.status || null,
+      type: req.query.type || null,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: jobs.map(jobToData),
+      count: jobs.length
+    });
+
+  } catch (error) {
+    console.error('[Jobs] Error listing jobs:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list jobs',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/jobs/:id
+ * Job status, progress and result
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const job = getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: jobToData(job)
+    });
+
+  } catch (error) {
+    console.error('[Jobs] Error getting job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get job',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel
+ * Cancel a queued or running job
+ */
+router.post('/:id/cancel', (req, res) => {
+  try {
+    const existing = getJob(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: 'Job not found'
+      });
+    }
+
+    if (FINISHED_STATUSES.includes(existing.status)) {
+      return res.status(409).json({
+        success: false,
+        error: `Job already ${existing.status}`
+      });
+    }
+
+    const job = cancelJob(existing.id);
+
+    res.json({
+      success: true,
+      data: jobToData(job)
+    });
+
+  } catch (error) {
+    console.error('[Jobs] Error cancelling job:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to cancel job',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,126 @@
+/**
+ * Mock Exam Routes
+ * Printable exam and answer key PDFs for a set of questions
+ */
+
+import { Router } from 'express';
+import {
+  getSubjectById,
+  getQuestionsBySubject,
+  getGenerationSessionById,
+  getGeneratedQuestionsBySession
+} from '../database.js';
+import { ensureTopicLoaded } from '../services/questionIngest.js';
+import { toBankItem, toGeneratedBankItem } from '../services/bankItems.js';
+import { PRINT_DOCUMENTS, buildExamPdf, buildAnswerKeyPdf } from '../services/examPrint.js';
+
+const router = Router();
+
+/**
+ * Export items for the requested questions, in exam order
+ * @returns {{items: Array<Object>}|{error: string, status: number}}
+ */
+function selectItems(subjectId, { questionIds, topic, sessionId }) {
+  if (sessionId) {
+    const session = getGenerationSessionById(sessionId);
+    if (!session || session.subject_id !== subjectId) {
+      return { status: 404, error: 'Generation session not found' };
+    }
+    return { items: getGeneratedQuestionsBySession(sessionId).map(question => toGeneratedBankItem(question)) };
+  }
+
+  if (questionIds) {
+    // Keep the order of the draw (e.g. an exam-mode session)
+    const ids = questionIds.split(',').map(id => id.trim()).filter(Boolean);
+    const byId = new Map(getQuestionsBySubject(subjectId).map(question => [question.id, question]));
+    const missing = ids.filter(id => !byId.has(id));
+    if (missing.length > 0) {
+      return { status: 404, error: `Questions not found: ${missing.join(', ')}` };
+    }
+    return { items: ids.map(id => toBankItem(byId.get(id))) };
+  }
+
+  if (topic) {
+    // A topic whose file was never opened is not in the database yet
+    try {
+      ensureTopicLoaded(topic, subjectId);
+    } catch (error) {
+      console.warn(`[MockExam] Could not load topic ${topic} of ${subjectId}: ${error.message}`);
+    }
+    return { items: getQuestionsBySubject(subjectId, topic).map(toBankItem) };
+  }
+
+  return { status: 400, error: 'Provide questionIds, topic or sessionId' };
+}
+
+/**
+ * GET /api/mock-exam/:subjectId/:document
+ * Download a printable exam ('exam') or its answer key ('key') as PDF
+ *
+ * Query params (one selection, the same for exam and key):
+ *   questionIds?: string  // Comma separated, in order (e.g. an exam-mode draw)
+ *   topic?: string        // Every question of a topic
+ *   sessionId?: string    // Questions of a generated test session
+ * Print options:
+ *   title?: string        // Default: 'Examen tipo test'
+ *   code?: string         // Subject code in the header
+ *   duration?: string     // Default: '2 horas'
+ *   material?: string     // Allowed material (default: 'Ninguno')
+ */
+router.get('/:subjectId/:document', async (req, res) => {
+  try {
+    const { subjectId, document } = req.params;
+    const { questionIds, topic, sessionId, title, code, duration, material } = req.query;
+
+    if (!PRINT_DOCUMENTS.includes(document)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid document: must be ${PRINT_DOCUMENTS.join(' or ')}`
+      });
+    }
+
+    const subject = getSubjectById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const selection = selectItems(subjectId, { questionIds, topic, sessionId });
+    if (selection.error) {
+      return res.status(selection.status).json({
+        success: false,
+        error: selection.error
+      });
+    }
+
+    if (selection.items.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No questions to print'
+      });
+    }
+
+    const options = { subjectName: subject.name, title: title || undefined, code, duration, material };
+    const pdf = document === 'exam'
+      ? await buildExamPdf(selection.items, options)
+      : await buildAnswerKeyPdf(selection.items, options);
+
+    console.log(`[MockExam] Printed ${document} of ${selection.items.length} questions for ${subjectId}`);
+
+    res.attachment(`${subjectId}_${document === 'exam' ? 'examen' : 'plantilla'}.pdf`);
+    res.type('application/pdf');
+    res.send(Buffer.from(pdf));
+
+  } catch (error) {
+    console.error('[MockExam] Error printing exam:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to print exam',
+      message: error.message
+    });
+  }
+});
+
+export default router;
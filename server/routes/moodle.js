@@ -0,0 +1,249 @@
+/**
+ * Moodle Routes
+ * Import and export of a subject's question bank in Moodle GIFT and Moodle XML
+ */
+
+import { Router } from 'express';
+import multer from 'multer';
+import {
+  db,
+  getSubjectById,
+  getQuestionById,
+  getQuestionsBySubject,
+  getQuestionByContentHash,
+  getNextQuestionNumber,
+  computeContentHash,
+  upsertQuestion,
+  setOfficialAnswer,
+  cacheSolution
+} from '../database.js';
+import { toBankItem } from '../services/bankItems.js';
+import {
+  MOODLE_FORMATS,
+  detectMoodleFormat,
+  parseMoodle,
+  formatMoodle
+} from '../services/moodleFormat.js';
+
+const router = Router();
+
+// Bank files can be larger than the JSON body limit, so they are also accepted as uploads
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB max
+});
+
+// Topic for imported questions outside any Moodle category
+const DEFAULT_IMPORT_TOPIC = 'Moodle';
+
+const CONTENT_TYPES = {
+  gift: 'text/plain; charset=utf-8',
+  xml: 'application/xml; charset=utf-8'
+};
+
+/**
+ * Format of an uploaded bank: explicit, from the file extension, or detected
+ * @returns {string|null} null when an explicit format is not supported
+ */
+function resolveImportFormat(format, filename, content) {
+  if (format) {
+    return MOODLE_FORMATS.includes(format) ? format : null;
+  }
+  if (/\.xml$/i.test(filename || '')) return 'xml';
+  if (/\.(gift|txt)$/i.test(filename || '')) return 'gift';
+  return detectMoodleFormat(content);
+}
+
+/**
+ * GET /api/moodle/:subjectId/export
+ * Download the subject's question bank
+ *
+ * Query params:
+ *   format?: 'gift' | 'xml'  // Default: gift
+ *   topic?: string           // Only this topic
+ *
+ * Questions without an official key or cached solution are left out
+ * and listed in a comment at the top of the file.
+ */
+router.get('/:subjectId/export', (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const { format = 'gift', topic } = req.query;
+
+    if (!MOODLE_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format: must be ${MOODLE_FORMATS.join(' or ')}`
+      });
+    }
+
+    const subject = getSubjectById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const questions = getQuestionsBySubject(subjectId, topic || null);
+    if (questions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No questions to export'
+      });
+    }
+
+    const items = [];
+    const unanswered = [];
+    for (const question of questions) {
+      const item = toBankItem(question);
+      if (item.answer !== null) {
+        items.push(item);
+      } else {
+        unanswered.push(question.id);
+      }
+    }
+
+    const notes = [`${subject.name}: ${items.length} preguntas`];
+    if (unanswered.length > 0) {
+      notes.push(`Sin respuesta conocida (no exportadas): ${unanswered.join(', ')}`);
+    }
+
+    console.log(`[Moodle] Exported ${items.length} questions of ${subjectId} as ${format} (${unanswered.length} without answer)`);
+
+    const filename = `${subjectId}${topic ? `_${topic}` : ''}.${format === 'xml' ? 'xml' : 'gift'}`;
+    res.attachment(filename);
+    res.type(CONTENT_TYPES[format]);
+    res.send(formatMoodle(items, format, { notes }));
+
+  } catch (error) {
+    console.error('[Moodle] Error exporting question bank:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export question bank',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/moodle/:subjectId/import
+ * Load a Moodle GIFT or XML export into the subject
+ *
+ * Multipart upload (field "file") or JSON body:
+ * {
+ *   content: string,         // File contents
+ *   format?: 'gift' | 'xml', // Default: from the file name or the contents
+ *   topic?: string           // Topic for questions outside any category (default: 'Moodle')
+ * }
+ *
+ * Each question is stored with its right answer as the official key
+ * (source 'import') and, when the export has feedback, an imported solution
+ * with the general feedback as explanation and the per-option feedback as
+ * wrong options. Questions already in the subject (same name or content)
+ * and unsupported Moodle types are skipped and reported.
+ */
+router.post('/:subjectId/import', upload.single('file'), (req, res) => {
+  try {
+    const { subjectId } = req.params;
+    const content = req.file ? req.file.buffer.toString('utf-8') : req.body.content;
+
+    if (typeof content !== 'string' || !content.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide file (upload) or content (file contents)'
+      });
+    }
+
+    const format = resolveImportFormat(req.body.format, req.file?.originalname, content);
+    if (!format) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid format: must be ${MOODLE_FORMATS.join(' or ')}`
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const { items, skipped } = parseMoodle(content, format);
+    const defaultTopic = req.body.topic || DEFAULT_IMPORT_TOPIC;
+    const questionIds = [];
+
+    const importAll = db.transaction(() => {
+      for (const item of items) {
+        if (item.name && getQuestionById(item.name, subjectId)) {
+          skipped.push({ name: item.name, reason: 'Already in the bank' });
+          continue;
+        }
+
+        const question = {
+          subject_id: subjectId,
+          topic: item.topic || defaultTopic,
+          content: item.content,
+          options: item.options,
+          question_type: item.questionType,
+          answer_tolerance: item.tolerance
+        };
+        const contentHash = computeContentHash(question);
+        if (getQuestionByContentHash(contentHash, subjectId)) {
+          skipped.push({ name: item.name || item.content.substring(0, 60), reason: 'Already in the bank' });
+          continue;
+        }
+
+        const questionId = `${subjectId}_moodle_${contentHash}`;
+        upsertQuestion({
+          ...question,
+          id: questionId,
+          question_number: getNextQuestionNumber(question.topic, subjectId)
+        });
+        setOfficialAnswer({
+          question_id: questionId,
+          answer: item.answer,
+          source: 'import',
+          notes: `Moodle ${format.toUpperCase()}${item.name ? `: ${item.name}` : ''}`
+        });
+
+        if (item.explanation || Object.keys(item.wrongOptions).length > 0) {
+          cacheSolution({
+            question_id: questionId,
+            correct_answer: item.answer,
+            explanation: item.explanation || '',
+            wrong_options: item.wrongOptions,
+            source: 'import',
+            notes: `Moodle ${format.toUpperCase()} feedback`
+          });
+        }
+
+        questionIds.push(questionId);
+      }
+    });
+    importAll();
+
+    console.log(`[Moodle] Imported ${questionIds.length} questions into ${subjectId} from ${format} (${skipped.length} skipped)`);
+
+    res.json({
+      success: true,
+      data: {
+        format,
+        imported: questionIds.length,
+        questionIds,
+        skipped
+      }
+    });
+
+  } catch (error) {
+    console.error('[Moodle] Error importing question bank:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import question bank',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -28,6 +28,9 @@ import {
 
 import pdfService from '../services/pdfService.js';
 import visionService from '../services/visionService.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { BudgetExceededError } from '../services/usageBudget.js';
+import { findSimilarQuestions } from '../services/questionDuplicates.js';
 
 const router = Router();
 
@@ -306,11 +309,119 @@ router.post('/exams/:examId/extract', async (req, res) => {
   }
 });
 
+/**
+ * process_exam job handler
+ * Runs Claude Vision over every page not yet completed and stores the
+ * parsed questions. Stops between pages when the job is cancelled.
+ * @param {Object} payload - { examId }
+ * @param {Object} ctx - Job context (see services/jobQueue.js)
+ * @returns {Promise<Object>} { examId, questionsExtracted }
+ */
+async function processExamJob({ examId }, ctx) {
+  const exam = getExamPdf(examId);
+  if (!exam) {
+    throw new Error('Exam not found');
+  }
+
+  const pages = getExamPages(examId);
+
+  // Get subject context
+  const subject = getSubjectById(exam.subject_id);
+  const subjectContext = subject ? {
+    name: subject.name,
+    expertise: subject.claudeContext?.expertise,
+    terminology: subject.claudeContext?.terminology
+  } : null;
+
+  // Determine extraction mode based on subject type
+  // 'verification' subjects need full content extraction, 'test' subjects need test questions
+  const extractionMode = subject?.exam_type === 'verification' ? 'content' : 'test';
+
+  // Check if this is a deliverable (student work) - don't parse questions from deliverables
+  const isDeliverable = exam.is_deliverable === 1;
+
+  // Update status
+  updateExamPdfStatus(examId, 'parsing');
+
+  try {
+    // Process each page
+    let totalQuestions = 0;
+    let pagesDone = 0;
+
+    for (const page of pages) {
+      if (page.status === 'completed') continue; // Skip already processed pages
+
+      ctx.throwIfCancelled();
+
+      // Update page status
+      updateExamPage(page.id, { status: 'processing' });
+
+      // Process with Vision - use appropriate extraction mode
+      const result = await visionService.processExamPage(page.image_path, subjectContext, {
+        extractionMode,
+        signal: ctx.signal,
+        subjectId: exam.subject_id
+      });
+
+      if (result.success) {
+        // Update page with results
+        updateExamPage(page.id, {
+          rawMarkdown: result.rawMarkdown,
+          visionTokens: result.tokens.total,
+          status: 'completed'
+        });
+
+        // Only parse questions if NOT a deliverable
+        // Deliverables are student work - we just extract content for verification questions later
+        if (!isDeliverable) {
+          // Parse questions from markdown - use appropriate parser based on extraction mode
+          const questions = extractionMode === 'content'
+            ? visionService.parseOpenQuestions(result.rawMarkdown, examId, page.id)
+            : visionService.parseExtractedQuestions(result.rawMarkdown, examId, page.id);
+
+          // Normalize and save questions
+          const normalized = visionService.normalizeQuestions(questions);
+          for (const q of normalized) {
+            createParsedQuestion(q);
+            totalQuestions++;
+          }
+        }
+      } else {
+        updateExamPage(page.id, {
+          status: 'error',
+          rawMarkdown: `Error: ${result.error}`
+        });
+      }
+
+      pagesDone++;
+      ctx.reportProgress({ pagesDone, pagesTotal: pages.length, questionsExtracted: totalQuestions });
+
+      // Small delay between API calls
+      await new Promise(resolve => setTimeout(resolve, 500));
+    }
+
+    // Update exam status
+    updateExamPdfStatus(examId, 'completed');
+
+    return {
+      examId,
+      questionsExtracted: totalQuestions
+    };
+  } catch (processError) {
+    updateExamPdfStatus(examId, 'error', processError.message);
+    throw processError;
+  }
+}
+
+registerJobHandler('process_exam', processExamJob);
+
 /**
  * POST /api/pipeline/exams/:examId/process
- * Process all pages with Claude Vision
+ * Queue Claude Vision processing of all pages
+ * Poll GET /api/jobs/:jobId; the job result is { examId, questionsExtracted }.
+ * A second request while the exam is queued or processing returns the same job.
  */
-router.post('/exams/:examId/process', async (req, res) => {
+router.post('/exams/:examId/process', (req, res) => {
   try {
     const { examId } = req.params;
 
@@ -337,86 +448,24 @@ router.post('/exams/:examId/process', async (req, res) => {
       });
     }
 
-    // Get subject context
-    const subject = getSubjectById(exam.subject_id);
-    const subjectContext = subject ? {
-      name: subject.name,
-      expertise: subject.claudeContext?.expertise,
-      terminology: subject.claudeContext?.terminology
-    } : null;
-
-    // Determine extraction mode based on subject type
-    // 'verification' subjects need full content extraction, 'test' subjects need test questions
-    const extractionMode = subject?.exam_type === 'verification' ? 'content' : 'test';
-
-    // Check if this is a deliverable (student work) - don't parse questions from deliverables
-    const isDeliverable = exam.is_deliverable === 1;
-
-    // Update status
-    updateExamPdfStatus(examId, 'parsing');
-
-    try {
-      // Process each page
-      let totalQuestions = 0;
-
-      for (const page of pages) {
-        if (page.status === 'completed') continue; // Skip already processed pages
-
-        // Update page status
-        updateExamPage(page.id, { status: 'processing' });
-
-        // Process with Vision - use appropriate extraction mode
-        const result = await visionService.processExamPage(page.image_path, subjectContext, { extractionMode });
-
-        if (result.success) {
-          // Update page with results
-          updateExamPage(page.id, {
-            rawMarkdown: result.rawMarkdown,
-            visionTokens: result.tokens.total,
-            status: 'completed'
-          });
-
-          // Only parse questions if NOT a deliverable
-          // Deliverables are student work - we just extract content for verification questions later
-          if (!isDeliverable) {
-            // Parse questions from markdown - use appropriate parser based on extraction mode
-            const questions = extractionMode === 'content'
-              ? visionService.parseOpenQuestions(result.rawMarkdown, examId, page.id)
-              : visionService.parseExtractedQuestions(result.rawMarkdown, examId, page.id);
-
-            // Normalize and save questions
-            const normalized = visionService.normalizeQuestions(questions);
-            for (const q of normalized) {
-              createParsedQuestion(q);
-              totalQuestions++;
-            }
-          }
-        } else {
-          updateExamPage(page.id, {
-            status: 'error',
-            rawMarkdown: `Error: ${result.error}`
-          });
-        }
+    const job = enqueueJob('process_exam', { examId }, { key: examId });
 
-        // Small delay between API calls
-        await new Promise(resolve => setTimeout(resolve, 500));
+    res.status(202).json({
+      success: true,
+      data: {
+        examId,
+        jobId: job.id,
+        status: job.status
       }
-
-      // Update exam status
-      updateExamPdfStatus(examId, 'completed');
-
-      res.json({
-        success: true,
-        data: {
-          examId,
-          questionsExtracted: totalQuestions
-        }
+    });
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
+        success: false,
+        error: 'AI budget exceeded',
+        message: error.message
       });
-    } catch (processError) {
-      updateExamPdfStatus(examId, 'error', processError.message);
-      throw processError;
     }
-  } catch (error) {
     console.error('[pipeline] Process pages error:', error);
     res.status(500).json({
       success: false,
@@ -468,7 +517,7 @@ router.post('/exams/:examId/process-page/:pageId', async (req, res) => {
     updateExamPage(pageId, { status: 'processing' });
 
     // Process with Vision - use appropriate extraction mode
-    const result = await visionService.processExamPage(page.image_path, subjectContext, { extractionMode });
+    const result = await visionService.processExamPage(page.image_path, subjectContext, { extractionMode, subjectId: exam.subject_id });
 
     if (result.success) {
       // Update page
@@ -620,6 +669,8 @@ router.put('/questions/:questionId', (req, res) => {
 /**
  * POST /api/pipeline/questions/:questionId/approve
  * Approve a question and add to main questions table
+ * Questions of the subject that look like it (e.g. the same question already
+ * in the markdown bank) come back in possibleDuplicates, to merge or ignore.
  */
 router.post('/questions/:questionId/approve', (req, res) => {
   try {
@@ -634,7 +685,8 @@ router.post('/questions/:questionId/approve', (req, res) => {
       });
     }
 
-    if (!question.options || Object.keys(question.options).length < 2) {
+    // Numeric questions are answered with a number, the others need options
+    if (question.question_type !== 'numeric' && (!question.options || Object.keys(question.options).length < 2)) {
       return res.status(400).json({
         success: false,
         error: 'Question must have at least 2 options'
@@ -653,14 +705,25 @@ router.post('/questions/:questionId/approve', (req, res) => {
     // Create new question ID
     const newQuestionId = `${exam.subject_id}_exam_${question.exam_id}_q${question.question_number}`;
 
+    const content = question.normalized_content || question.raw_content;
+    const possibleDuplicates = findSimilarQuestions(
+      { content, options: question.options },
+      { subjectId: exam.subject_id, excludeIds: [newQuestionId] }
+    );
+    if (possibleDuplicates.length > 0) {
+      console.log(`[pipeline] ${newQuestionId} looks like ${possibleDuplicates.map(match => match.id).join(', ')}`);
+    }
+
     // Add to main questions table
     upsertQuestion({
       id: newQuestionId,
       subject_id: exam.subject_id,
       topic: topic || 'Exam',
       question_number: question.question_number,
-      content: question.normalized_content || question.raw_content,
-      options: question.options
+      content,
+      options: question.options || {},
+      question_type: question.question_type,
+      answer_tolerance: question.answer_tolerance
     });
 
     // Update parsed question status
@@ -671,7 +734,8 @@ router.post('/questions/:questionId/approve', (req, res) => {
       data: {
         questionId: newQuestionId,
         parsedQuestionId: questionId,
-        topic: topic || 'Exam'
+        topic: topic || 'Exam',
+        possibleDuplicates
       }
     });
   } catch (error) {
@@ -718,6 +782,7 @@ router.post('/questions/:questionId/reject', (req, res) => {
 /**
  * POST /api/pipeline/exams/:examId/approve-all
  * Approve all pending questions for an exam
+ * possibleDuplicates lists the approved questions that look like others of the subject.
  */
 router.post('/exams/:examId/approve-all', (req, res) => {
   try {
@@ -736,22 +801,34 @@ router.post('/exams/:examId/approve-all', (req, res) => {
 
     let approved = 0;
     let skipped = 0;
+    const possibleDuplicates = [];
 
     for (const question of pendingQuestions) {
-      if (!question.options || Object.keys(question.options).length < 2) {
+      if (question.question_type !== 'numeric' && (!question.options || Object.keys(question.options).length < 2)) {
         skipped++;
         continue;
       }
 
       const newQuestionId = `${exam.subject_id}_exam_${examId}_q${question.question_number}`;
+      const content = question.normalized_content || question.raw_content;
+
+      const matches = findSimilarQuestions(
+        { content, options: question.options },
+        { subjectId: exam.subject_id, excludeIds: [newQuestionId] }
+      );
+      if (matches.length > 0) {
+        possibleDuplicates.push({ questionId: newQuestionId, parsedQuestionId: question.id, matches });
+      }
 
       upsertQuestion({
         id: newQuestionId,
         subject_id: exam.subject_id,
         topic: topic || 'Exam',
         question_number: question.question_number,
-        content: question.normalized_content || question.raw_content,
-        options: question.options
+        content,
+        options: question.options || {},
+        question_type: question.question_type,
+        answer_tolerance: question.answer_tolerance
       });
 
       updateParsedQuestionStatus(question.id, 'approved');
@@ -763,7 +840,8 @@ router.post('/exams/:examId/approve-all', (req, res) => {
       data: {
         approved,
         skipped,
-        total: pendingQuestions.length
+        total: pendingQuestions.length,
+        possibleDuplicates
       }
     });
   } catch (error) {
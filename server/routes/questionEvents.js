@@ -0,0 +1,55 @@
+/**
+ * Question Events Routes
+ * Server-Sent Events telling open clients that a topic's questions changed
+ */
+
+import { Router } from 'express';
+import { onQuestionsChanged } from '../services/questionIngest.js';
+
+const router = Router();
+
+// Comment line sent now and then so proxies keep the connection open
+const KEEP_ALIVE_MS = 25000;
+
+/**
+ * GET /api/question-events
+ * Stream question changes (file watcher re-ingests and manual reloads)
+ *
+ * Query params:
+ *   subjectId?: string  // Only changes of this subject
+ *
+ * Events:
+ *   ready              {}
+ *   questions-changed  { subjectId, topic, added: [ids], changed: [ids], removed: [ids] }
+ */
+router.get('/', (req, res) => {
+  const { subjectId } = req.query;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  const sendEvent = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const unsubscribe = onQuestionsChanged((change) => {
+    if (!subjectId || change.subjectId === subjectId) {
+      sendEvent('questions-changed', change);
+    }
+  });
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_MS);
+  keepAlive.unref();
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  });
+
+  sendEvent('ready', {});
+});
+
+export default router;
@@ -4,9 +4,6 @@
  */
 
 import { Router } from 'express';
-import fs from 'fs';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import {
   db,
   upsertQuestion,
@@ -20,104 +17,108 @@ import {
   getCorrectlyAnsweredQuestionIds,
   getQuestionCountBySubject,
   getAdaptiveQuestions,
-  getAdaptiveModeStats
+  getAdaptiveModeStats,
+  getTopicsBySubject
 } from '../database.js';
-import { parseQuestionFile, getAvailableTopics } from '../questionParser.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import { parseAnswerKey } from '../questionParser.js';
+import {
+  resolveQuestionSource,
+  listSourceTopics,
+  getTopicFilePath,
+  getTopicRowId
+} from '../services/questionSources.js';
+import { syncTopicQuestions, isTopicLoaded, ensureTopicLoaded, ensureSubjectLoaded } from '../services/questionIngest.js';
 
 const router = Router();
 
-// Path to questions data directory
-const DATA_DIR = path.join(__dirname, '..', '..', 'data');
-const FALLBACK_DIR = path.join(__dirname, '..', '..', '..', 'Preguntas');
+/**
+ * Question source of a subject (see services/questionSources.js)
+ * @param {string} subjectId - Subject ID
+ * @returns {Object|null} null when the subject has no question files
+ */
+function getSubjectSource(subjectId) {
+  return resolveQuestionSource(getSubjectById(subjectId));
+}
 
 /**
- * Get the questions directory path
+ * Question source of a subject that must read its questions from files
+ * @param {string} subjectId - Subject ID
  */
-function getQuestionsDir() {
-  if (fs.existsSync(DATA_DIR)) {
-    return DATA_DIR;
-  }
-  if (fs.existsSync(FALLBACK_DIR)) {
-    return FALLBACK_DIR;
+function requireSubjectSource(subjectId) {
+  const source = getSubjectSource(subjectId);
+  if (!source) {
+    throw new Error(`No question source configured for subject: ${subjectId}`);
   }
-  throw new Error('Questions directory not found. Expected data/ symlink or ../Preguntas/');
+  return source;
 }
 
 /**
- * Check if a topic has been parsed and loaded into the database
- * @param {string} topic - Topic name
- * @param {string} subjectId - Subject ID (default: 'bda')
+ * File of a topic in a question source
+ * @returns {string|null} null when the topic has no file
  */
-function isTopicLoaded(topic, subjectId = 'bda') {
-  const stmt = db.prepare('SELECT COUNT(*) as count FROM questions WHERE topic = ? AND subject_id = ?');
-  const result = stmt.get(topic, subjectId);
-  return result.count > 0;
+function findTopicFile(source, topic) {
+  try {
+    return getTopicFilePath(source, topic);
+  } catch {
+    return null;
+  }
 }
 
 /**
- * Parse and load questions for a topic into the database
- * @param {string} topic - Topic name
- * @param {string} subjectId - Subject ID (default: 'bda')
+ * Load a bda topic for the legacy routes
+ * @returns {boolean} false when the topic has no questions and no file to load them from
  */
-function loadTopicQuestions(topic, subjectId = 'bda') {
-  const dataDir = getQuestionsDir();
-  const filePath = path.join(dataDir, `Preguntas_${topic}.md`);
+function ensureLegacyTopicLoaded(topic) {
+  if (isTopicLoaded(topic)) return true;
 
-  if (!fs.existsSync(filePath)) {
-    throw new Error(`Questions file not found for topic: ${topic}`);
-  }
+  const source = getSubjectSource('bda');
+  if (!source || !findTopicFile(source, topic)) return false;
 
-  console.log(`[Questions] Parsing questions for topic: ${topic} (subject: ${subjectId})`);
-  const questions = parseQuestionFile(filePath);
-
-  console.log(`[Questions] Inserting ${questions.length} questions for topic: ${topic}`);
-
-  // Use a transaction for batch insert
-  const insertStmt = db.prepare(`
-    INSERT INTO questions (id, subject_id, topic, question_number, shared_statement, content, options, parsed_at)
-    VALUES (@id, @subject_id, @topic, @question_number, @shared_statement, @content, @options, CURRENT_TIMESTAMP)
-    ON CONFLICT(id) DO UPDATE SET
-      subject_id = @subject_id,
-      topic = @topic,
-      question_number = @question_number,
-      shared_statement = @shared_statement,
-      content = @content,
-      options = @options,
-      parsed_at = CURRENT_TIMESTAMP
-  `);
+  syncTopicQuestions(topic, 'bda');
+  return true;
+}
 
-  const insertMany = db.transaction((questions) => {
-    for (const q of questions) {
-      insertStmt.run({
-        id: q.id,
-        subject_id: subjectId,
-        topic: q.topic,
-        question_number: q.question_number,
-        shared_statement: q.shared_statement || null,
-        content: q.content,
-        options: JSON.stringify(q.options)
-      });
-    }
+/**
+ * 404 response of the legacy routes for a topic without questions or file
+ */
+function sendTopicNotFound(res, topic) {
+  return res.status(404).json({
+    success: false,
+    error: 'Topic not found',
+    message: `Questions file not found for topic: ${topic}`
   });
+}
 
-  insertMany(questions);
-  console.log(`[Questions] Successfully loaded ${questions.length} questions for topic: ${topic}`);
-
-  return questions.length;
+/**
+ * Topic list entry, with the name and description of its topics table row
+ * @param {string} topic - Topic label
+ * @param {string} topicId - Row ID in the topics table
+ * @param {Map} topicRows - Topics table rows by ID
+ * @param {Map} questionCounts - Question count by topic label (loaded topics only)
+ */
+function toTopicEntry(topic, topicId, topicRows, questionCounts) {
+  const row = topicRows.get(topicId);
+  return {
+    id: topicId,
+    name: topic,
+    title: row?.name || topic,
+    description: row?.description || null,
+    questionCount: questionCounts.get(topic) || 0,
+    loaded: questionCounts.has(topic)
+  };
 }
 
 /**
- * Ensure topic questions are loaded (lazy loading)
- * @param {string} topic - Topic name
- * @param {string} subjectId - Subject ID (default: 'bda')
+ * Concept tag filter of a session loader (?tags=1,2): only questions with
+ * at least one of these tags
+ * @param {Object} query - req.query
+ * @returns {Array<number>} Tag IDs (empty: no filter)
  */
-function ensureTopicLoaded(topic, subjectId = 'bda') {
-  if (!isTopicLoaded(topic, subjectId)) {
-    loadTopicQuestions(topic, subjectId);
-  }
+function parseTagFilter(query) {
+  return String(query.tags || '')
+    .split(',')
+    .map(Number)
+    .filter(tagId => Number.isInteger(tagId) && tagId > 0);
 }
 
 // ============================================
@@ -141,37 +142,16 @@ router.get('/subjects/:subjectId/topics', (req, res) => {
       });
     }
 
-    // For BDA, use file-based topics (lazy loading from Preguntas folder)
-    if (subjectId === 'bda') {
-      const dataDir = getQuestionsDir();
-      const availableTopics = getAvailableTopics(dataDir);
-
-      // Get question counts from database
-      const dbTopics = getAllTopics(subjectId);
-      const dbTopicsMap = new Map(dbTopics.map(t => [t.topic, t.question_count]));
-
-      const topics = availableTopics.map(topic => ({
-        id: `${subjectId}_${topic.toLowerCase()}`,
-        name: topic,
-        questionCount: dbTopicsMap.get(topic) || 0,
-        loaded: dbTopicsMap.has(topic)
-      }));
-
-      return res.json({
-        success: true,
-        subject: { id: subject.id, name: subject.name, shortName: subject.short_name },
-        topics
-      });
-    }
-
-    // For other subjects, get topics from questions table
+    // Get question counts from database
     const dbTopics = getAllTopics(subjectId);
-    const topics = dbTopics.map(t => ({
-      id: `${subjectId}_${t.topic.toLowerCase()}`,
-      name: t.topic,
-      questionCount: t.question_count,
-      loaded: true
-    }));
+    const dbTopicsMap = new Map(dbTopics.map(t => [t.topic, t.question_count]));
+    const topicRows = new Map(getTopicsBySubject(subjectId).map(row => [row.id, row]));
+
+    // Subjects with question files list every file (lazy loading); the rest, their questions table topics
+    const source = resolveQuestionSource(subject);
+    const topics = source
+      ? listSourceTopics(source).map(topic => toTopicEntry(topic, getTopicRowId(source, topic), topicRows, dbTopicsMap))
+      : dbTopics.map(t => toTopicEntry(t.topic, `${subjectId}_${t.topic.toLowerCase()}`, topicRows, dbTopicsMap));
 
     res.json({
       success: true,
@@ -191,6 +171,8 @@ router.get('/subjects/:subjectId/topics', (req, res) => {
 /**
  * GET /api/subjects/:subjectId/questions/:topic
  * Returns all questions for a topic in a specific subject
+ * Query params:
+ *   - tags: comma-separated tag IDs, only questions with any of them (optional)
  */
 router.get('/subjects/:subjectId/questions/:topic', (req, res) => {
   try {
@@ -207,7 +189,7 @@ router.get('/subjects/:subjectId/questions/:topic', (req, res) => {
     // Ensure topic is loaded (for BDA, lazy load from files)
     ensureTopicLoaded(topic, subjectId);
 
-    const questions = getQuestionsByTopic(topic, subjectId);
+    const questions = getQuestionsByTopic(topic, subjectId, parseTagFilter(req.query));
 
     res.json({
       success: true,
@@ -229,6 +211,8 @@ router.get('/subjects/:subjectId/questions/:topic', (req, res) => {
 /**
  * GET /api/subjects/:subjectId/questions/:topic/random
  * Returns a random question from a topic in a specific subject
+ * Query params:
+ *   - tags: comma-separated tag IDs (optional)
  */
 router.get('/subjects/:subjectId/questions/:topic/random', (req, res) => {
   try {
@@ -244,7 +228,7 @@ router.get('/subjects/:subjectId/questions/:topic/random', (req, res) => {
 
     ensureTopicLoaded(topic, subjectId);
 
-    const question = getRandomQuestion(topic, subjectId);
+    const question = getRandomQuestion(topic, subjectId, parseTagFilter(req.query));
 
     if (!question) {
       return res.status(404).json({
@@ -270,6 +254,8 @@ router.get('/subjects/:subjectId/questions/:topic/random', (req, res) => {
 /**
  * GET /api/subjects/:subjectId/questions/:topic/next
  * Returns the next unanswered question in a topic for a specific subject
+ * Query params:
+ *   - tags: comma-separated tag IDs (optional)
  */
 router.get('/subjects/:subjectId/questions/:topic/next', (req, res) => {
   try {
@@ -285,11 +271,12 @@ router.get('/subjects/:subjectId/questions/:topic/next', (req, res) => {
 
     ensureTopicLoaded(topic, subjectId);
 
-    let question = getNextUnansweredQuestion(topic, subjectId);
+    const tagIds = parseTagFilter(req.query);
+    let question = getNextUnansweredQuestion(topic, subjectId, tagIds);
 
     // If all answered, get random
     if (!question) {
-      question = getRandomQuestion(topic, subjectId);
+      question = getRandomQuestion(topic, subjectId, tagIds);
     }
 
     if (!question) {
@@ -359,12 +346,14 @@ router.get('/subjects/:subjectId/question/:questionId', (req, res) => {
  * Query params:
  *   - count: number of questions (default: 20, max: 50)
  *   - excludeAnswered: if 'true', exclude correctly answered questions
+ *   - tags: comma-separated tag IDs, only questions with any of them (optional)
  */
 router.get('/subjects/:subjectId/exam-mode', (req, res) => {
   try {
     const { subjectId } = req.params;
     const count = Math.min(parseInt(req.query.count) || 20, 50);
     const excludeAnswered = req.query.excludeAnswered === 'true';
+    const tagIds = parseTagFilter(req.query);
 
     const subject = getSubjectById(subjectId);
     if (!subject) {
@@ -374,14 +363,8 @@ router.get('/subjects/:subjectId/exam-mode', (req, res) => {
       });
     }
 
-    // Ensure all topics are loaded for BDA subject
-    if (subjectId === 'bda') {
-      const dataDir = getQuestionsDir();
-      const availableTopics = getAvailableTopics(dataDir);
-      for (const topic of availableTopics) {
-        ensureTopicLoaded(topic, subjectId);
-      }
-    }
+    // Ensure every topic with a question file is loaded
+    ensureSubjectLoaded(subjectId);
 
     // Get IDs to exclude if needed
     let excludeIds = [];
@@ -390,8 +373,8 @@ router.get('/subjects/:subjectId/exam-mode', (req, res) => {
     }
 
     // Get random questions
-    const questions = getRandomQuestionsAllTopics(count, subjectId, excludeIds);
-    const totalAvailable = getQuestionCountBySubject(subjectId);
+    const questions = getRandomQuestionsAllTopics(count, subjectId, excludeIds, tagIds);
+    const totalAvailable = getQuestionCountBySubject(subjectId, tagIds);
 
     res.json({
       success: true,
@@ -418,6 +401,7 @@ router.get('/subjects/:subjectId/exam-mode', (req, res) => {
  * Returns questions prioritizing least-seen and failed ones
  * Query params:
  *   - count: number of questions (default: 20, max: 50)
+ *   - tags: comma-separated tag IDs, only questions with any of them (optional)
  */
 router.get('/subjects/:subjectId/adaptive-mode', (req, res) => {
   try {
@@ -432,18 +416,13 @@ router.get('/subjects/:subjectId/adaptive-mode', (req, res) => {
       });
     }
 
-    // Ensure all topics are loaded for BDA subject
-    if (subjectId === 'bda') {
-      const dataDir = getQuestionsDir();
-      const availableTopics = getAvailableTopics(dataDir);
-      for (const topic of availableTopics) {
-        ensureTopicLoaded(topic, subjectId);
-      }
-    }
+    // Ensure every topic with a question file is loaded
+    ensureSubjectLoaded(subjectId);
 
     // Get adaptive questions (prioritizes unseen and failed)
-    const questions = getAdaptiveQuestions(count, subjectId);
-    const stats = getAdaptiveModeStats(subjectId);
+    const tagIds = parseTagFilter(req.query);
+    const questions = getAdaptiveQuestions(count, subjectId, tagIds);
+    const stats = getAdaptiveModeStats(subjectId, tagIds);
 
     res.json({
       success: true,
@@ -469,6 +448,97 @@ router.get('/subjects/:subjectId/adaptive-mode', (req, res) => {
   }
 });
 
+/**
+ * POST /api/subjects/:subjectId/questions/:topic/reload
+ * Re-read a topic from the subject's question files (saves the embedded answer key)
+ * Only added, changed and removed questions are written; changes.* lists their IDs.
+ */
+router.post('/subjects/:subjectId/questions/:topic/reload', (req, res) => {
+  try {
+    const { subjectId, topic } = req.params;
+
+    const subject = getSubjectById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    if (!resolveQuestionSource(subject)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subject has no question source configured'
+      });
+    }
+
+    const { count, added, changed, removed, unchanged, answerKey } = syncTopicQuestions(topic, subjectId);
+
+    res.json({
+      success: true,
+      message: `Reloaded ${count} questions for topic: ${topic}`,
+      count,
+      changes: { added, changed, removed, unchanged },
+      answerKey
+    });
+  } catch (error) {
+    console.error('[API] Error reloading questions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to reload questions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/subjects/:subjectId/questions/:topic/answer-key
+ * Answer key embedded in a topic file of the subject, without saving it
+ * Lists the answers found and the questions whose answer is missing or
+ * ambiguous (unreadable, conflicting, or for a question not in the file).
+ */
+router.get('/subjects/:subjectId/questions/:topic/answer-key', (req, res) => {
+  try {
+    const { subjectId, topic } = req.params;
+
+    const subject = getSubjectById(subjectId);
+    if (!subject) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const source = resolveQuestionSource(subject);
+    if (!source) {
+      return res.status(400).json({
+        success: false,
+        error: 'Subject has no question source configured'
+      });
+    }
+
+    const filePath = findTopicFile(source, topic);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: `Questions file not found for topic: ${topic}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: parseAnswerKey(filePath, { topic, idPrefix: source.idPrefix })
+    });
+  } catch (error) {
+    console.error('[API] Error reading answer key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read answer key',
+      message: error.message
+    });
+  }
+});
+
 // ============================================
 // Legacy Routes (backward compatibility with BDA)
 // ============================================
@@ -480,8 +550,7 @@ router.get('/subjects/:subjectId/adaptive-mode', (req, res) => {
  */
 router.get('/topics', (req, res) => {
   try {
-    const dataDir = getQuestionsDir();
-    const availableTopics = getAvailableTopics(dataDir);
+    const availableTopics = listSourceTopics(requireSubjectSource('bda'));
 
     // Get question counts from database for loaded topics
     const dbTopics = getAllTopics();
@@ -518,7 +587,9 @@ router.get('/questions/:topic', (req, res) => {
     const { topic } = req.params;
 
     // Ensure topic is loaded (parse on first request)
-    ensureTopicLoaded(topic);
+    if (!ensureLegacyTopicLoaded(topic)) {
+      return sendTopicNotFound(res, topic);
+    }
 
     const questions = getQuestionsByTopic(topic);
 
@@ -548,7 +619,9 @@ router.get('/questions/:topic/random', (req, res) => {
     const { mode } = req.query; // 'all', 'unanswered', 'failed'
 
     // Ensure topic is loaded
-    ensureTopicLoaded(topic);
+    if (!ensureLegacyTopicLoaded(topic)) {
+      return sendTopicNotFound(res, topic);
+    }
 
     let question = null;
 
@@ -606,7 +679,9 @@ router.get('/questions/:topic/next', (req, res) => {
     const { topic } = req.params;
 
     // Ensure topic is loaded
-    ensureTopicLoaded(topic);
+    if (!ensureLegacyTopicLoaded(topic)) {
+      return sendTopicNotFound(res, topic);
+    }
 
     const question = getNextUnansweredQuestion(topic);
 
@@ -645,7 +720,7 @@ router.get('/question/:id', (req, res) => {
     const topicMatch = id.match(/^(tema\d+|sintema)_/i);
     if (topicMatch) {
       const topic = topicMatch[1].charAt(0).toUpperCase() + topicMatch[1].slice(1).toLowerCase();
-      ensureTopicLoaded(topic);
+      ensureLegacyTopicLoaded(topic);
     }
 
     const question = getQuestionById(id);
@@ -673,18 +748,21 @@ router.get('/question/:id', (req, res) => {
 
 /**
  * POST /api/questions/:topic/reload
- * Force reload questions from file (useful after file updates)
+ * @deprecated Use /api/subjects/:subjectId/questions/:topic/reload instead
+ * Re-read a BDA topic file (useful after file updates)
  */
 router.post('/questions/:topic/reload', (req, res) => {
   try {
     const { topic } = req.params;
 
-    const count = loadTopicQuestions(topic);
+    const { count, added, changed, removed, unchanged, answerKey } = syncTopicQuestions(topic);
 
     res.json({
       success: true,
       message: `Reloaded ${count} questions for topic: ${topic}`,
-      count
+      count,
+      changes: { added, changed, removed, unchanged },
+      answerKey
     });
   } catch (error) {
     console.error('[API] Error reloading questions:', error.message);
@@ -696,6 +774,38 @@ router.post('/questions/:topic/reload', (req, res) => {
   }
 });
 
+/**
+ * GET /api/questions/:topic/answer-key
+ * @deprecated Use /api/subjects/:subjectId/questions/:topic/answer-key instead
+ * Answer key embedded in a BDA topic file, without saving it
+ */
+router.get('/questions/:topic/answer-key', (req, res) => {
+  try {
+    const { topic } = req.params;
+
+    const source = getSubjectSource('bda');
+    const filePath = source && findTopicFile(source, topic);
+    if (!filePath) {
+      return res.status(404).json({
+        success: false,
+        error: `Questions file not found for topic: ${topic}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: parseAnswerKey(filePath, { topic, idPrefix: source.idPrefix })
+    });
+  } catch (error) {
+    console.error('[API] Error reading answer key:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to read answer key',
+      message: error.message
+    });
+  }
+});
+
 // ============================================
 // Helper functions for random question selection
 // ============================================
@@ -709,7 +819,7 @@ function getRandomUnansweredQuestion(topic, subjectId = 'bda') {
   const stmt = db.prepare(`
     SELECT q.* FROM questions q
     LEFT JOIN attempts a ON q.id = a.question_id
-    WHERE q.topic = ? AND q.subject_id = ? AND a.id IS NULL
+    WHERE q.topic = ? AND q.subject_id = ? AND q.removed_at IS NULL AND a.id IS NULL
     ORDER BY RANDOM()
     LIMIT 1
   `);
@@ -727,7 +837,7 @@ function getRandomFailedQuestion(topic, subjectId = 'bda') {
   const stmt = db.prepare(`
     SELECT DISTINCT q.* FROM questions q
     INNER JOIN attempts a ON q.id = a.question_id
-    WHERE q.topic = ? AND q.subject_id = ? AND a.is_correct = 0
+    WHERE q.topic = ? AND q.subject_id = ? AND q.removed_at IS NULL AND a.is_correct = 0
     AND NOT EXISTS (
       SELECT 1 FROM attempts a2
       WHERE a2.question_id = q.id AND a2.is_correct = 1
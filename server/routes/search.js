@@ -0,0 +1,87 @@
+/**
+ * Search Routes
+ * Full-text search over the question bank
+ */
+
+import { Router } from 'express';
+import { getAllSubjects, getSubjectById, searchQuestions } from '../database.js';
+import { ensureTopicLoaded, ensureSubjectLoaded } from '../services/questionIngest.js';
+
+const router = Router();
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Load the question files the search covers (topics are otherwise loaded when first opened)
+ * A missing folder only leaves its subject out of the results.
+ */
+function loadSearchScope(subjectId, topic) {
+  const subjectIds = subjectId ? [subjectId] : getAllSubjects().map(subject => subject.id);
+
+  for (const id of subjectIds) {
+    try {
+      if (topic) {
+        ensureTopicLoaded(topic, id);
+      } else {
+        ensureSubjectLoaded(id);
+      }
+    } catch (error) {
+      console.warn(`[Search] Could not load questions of ${id}: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * GET /api/search
+ * Ranked full-text search (accent and case insensitive)
+ *
+ * Query params:
+ *   q: string           // Words to find, all of them (prefixes: "indice" finds "indices")
+ *   subjectId?: string  // Only this subject
+ *   topic?: string      // Only this topic
+ *   limit?: number      // Default 20, max 100
+ *
+ * Searches question text, shared statements, options and cached explanations.
+ * Each result has a snippet with the matched words in <mark></mark>.
+ */
+router.get('/', (req, res) => {
+  try {
+    const { q, subjectId, topic } = req.query;
+
+    if (!q || !q.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'q is required'
+      });
+    }
+
+    if (subjectId && !getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+    loadSearchScope(subjectId, topic);
+    const results = searchQuestions({ query: q, subjectId, topic, limit });
+
+    res.json({
+      success: true,
+      data: results,
+      count: results.length
+    });
+
+  } catch (error) {
+    console.error('[Search] Error searching questions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search questions',
+      message: error.message
+    });
+  }
+});
+
+export default router;
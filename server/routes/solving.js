@@ -7,13 +7,170 @@ import { Router } from 'express';
 import {
   db,
   getQuestionById,
+  getSubjectById,
   getCachedSolution,
-  cacheSolution
+  cacheSolution,
+  getOfficialAnswer,
+  addSolutionVersion,
+  getSolutionVersion,
+  getSolutionVersions,
+  pinSolutionVersion,
+  unpinSolution,
+  getStaleSolutions,
+  getAllTopics,
+  getQuestionsByTopic
 } from '../database.js';
-import { solveQuestion } from '../claudeService.js';
+import { solveQuestion, solveWithSelfConsistency, buildQuestionText, LOW_CONFIDENCE_THRESHOLD } from '../claudeService.js';
+import { getQuestionType, normalizeAnswer, describeAnswerFormat } from '../services/answerGrading.js';
+import { diffSolutions } from '../services/solutionDiff.js';
+import { ensureSubjectLoaded } from '../services/questionIngest.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { BudgetExceededError } from '../services/usageBudget.js';
 
 const router = Router();
 
+/**
+ * Resolve the subject, topic and question type that drive the solving prompt
+ * Uses the stored question when available, otherwise the subjectId provided by the client
+ * @param {string} questionId - Question ID
+ * @param {string} subjectId - Fallback subject ID (default: 'bda')
+ */
+function resolveSolveContext(questionId, subjectId = 'bda') {
+  const question = getQuestionById(questionId);
+  const subject = getSubjectById(question?.subject_id || subjectId);
+  return {
+    subject,
+    topic: question?.topic || null,
+    questionType: getQuestionType(question)
+  };
+}
+
+/**
+ * Map a solving error to the { status, error, message } used by the solve endpoints
+ * @param {Error} error - Error thrown by solveQuestion
+ */
+function describeSolveError(error) {
+  if (error.message.includes('timeout')) {
+    return { status: 504, error: 'Claude timeout', message: 'Claude took too long to respond. Please try again.' };
+  }
+  if (error.message.includes('Claude CLI')) {
+    return { status: 503, error: 'Claude unavailable', message: 'Claude CLI is not available. Make sure it is installed and authenticated.' };
+  }
+  if (error.message.includes('parse')) {
+    return { status: 502, error: 'Invalid Claude response', message: 'Could not parse Claude response. Please try again.' };
+  }
+  return { status: 500, error: 'Failed to solve question', message: error.message };
+}
+
+/**
+ * Official answer letter for a question (null when there is no key)
+ * @param {string} questionId - Question ID
+ */
+function officialAnswerFor(questionId) {
+  return getOfficialAnswer(questionId)?.answer || null;
+}
+
+/**
+ * Whether a voted answer is too split to be trusted (single samples never are)
+ * @param {number|null} confidence - Share of agreeing samples
+ */
+function isLowConfidence(confidence) {
+  return confidence != null && confidence < LOW_CONFIDENCE_THRESHOLD;
+}
+
+/**
+ * Response payload for a solutions_cache row
+ * confidence/sampleCount are null for single-sample solutions
+ * @param {Object} cached - Row from getCachedSolution
+ */
+function cachedToData(cached) {
+  return {
+    answer: cached.correct_answer,
+    explanation: cached.explanation,
+    wrongOptions: cached.wrong_options || {},
+    confidence: cached.confidence ?? null,
+    lowConfidence: isLowConfidence(cached.confidence),
+    sampleCount: cached.sample_count ?? null,
+    dissent: cached.dissent || [],
+    versionId: cached.version_id ?? null,
+    pinned: Boolean(cached.pinned),
+    stale: Boolean(cached.stale),
+    officialAnswer: officialAnswerFor(cached.question_id)
+  };
+}
+
+/**
+ * Response payload for a solution_versions row
+ * @param {Object} version - Row from getSolutionVersion(s)
+ */
+function versionToData(version) {
+  return {
+    id: version.id,
+    answer: version.correct_answer,
+    explanation: version.explanation,
+    wrongOptions: version.wrong_options || {},
+    confidence: version.confidence ?? null,
+    lowConfidence: isLowConfidence(version.confidence),
+    sampleCount: version.sample_count ?? null,
+    dissent: version.dissent || [],
+    source: version.source,
+    model: version.model,
+    promptVersion: version.prompt_version,
+    contentHash: version.content_hash,
+    notes: version.notes,
+    createdAt: version.created_at,
+    active: Boolean(version.active),
+    pinned: Boolean(version.pinned)
+  };
+}
+
+/**
+ * Solve a question (single run or self-consistency vote) and cache the result
+ * The new solution is always stored as a version; if the active solution is
+ * pinned it stays active and is what gets returned.
+ * @param {string} questionId - Question ID
+ * @param {string} questionText - Full question text including options
+ * @param {Object} context - Solving context from resolveSolveContext (plus onExplanation)
+ * @param {number} samples - Independent samples to vote (1 = single run)
+ * @returns {Promise<Object>} Response payload (same shape as cachedToData)
+ */
+async function solveAndCache(questionId, questionText, context, samples = 1) {
+  const solution = samples > 1
+    ? await solveWithSelfConsistency(questionText, { ...context, samples })
+    : await solveQuestion(questionText, context);
+
+  const data = {
+    answer: solution.answer,
+    explanation: solution.explanation,
+    wrongOptions: solution.wrongOptions || {},
+    confidence: solution.confidence ?? null,
+    lowConfidence: isLowConfidence(solution.confidence),
+    sampleCount: solution.sampleCount ?? null,
+    dissent: solution.dissent || []
+  };
+
+  const { versionId, activated } = cacheSolution({
+    question_id: questionId,
+    correct_answer: data.answer,
+    explanation: data.explanation,
+    wrong_options: data.wrongOptions,
+    confidence: data.confidence,
+    sample_count: data.sampleCount,
+    dissent: data.dissent,
+    source: 'ai',
+    model: solution.model,
+    prompt_version: solution.promptVersion
+  });
+
+  if (!activated) {
+    console.log(`[Solving] Kept pinned solution for ${questionId}, new version ${versionId} saved to history`);
+    return cachedToData(getCachedSolution(questionId));
+  }
+
+  // The official key is not part of the cached AI solution
+  return { ...data, versionId, pinned: false, stale: false, officialAnswer: officialAnswerFor(questionId) };
+}
+
 /**
  * POST /api/solve
  * Sends a question to Claude for solving
@@ -21,7 +178,10 @@ const router = Router();
  * Request body:
  * {
  *   questionId: string,      // Question ID (e.g., "tema1_pregunta5")
- *   questionText: string     // Full question text including options
+ *   questionText: string,    // Full question text including options
+ *   subjectId?: string,      // Used only if the question is not stored (default: 'bda')
+ *   samples?: number,        // >1 enables self-consistency voting (max 5)
+ *   force?: boolean          // Ignore the cached solution and re-solve
  * }
  *
  * Response:
@@ -34,14 +194,22 @@ const router = Router();
  *       "b": "...",
  *       "c": "...",
  *       "d": "..."
- *     }
+ *     },
+ *     confidence: 0.67,      // Share of samples agreeing (null = single sample)
+ *     lowConfidence: true,   // Confidence under the server's threshold (answer unreliable)
+ *     sampleCount: 3,
+ *     dissent: [{ answer, explanation }],
+ *     versionId: 12,         // solution_versions row of the active solution
+ *     pinned: false,         // Pinned solutions are not replaced by re-solves
+ *     stale: false,          // The question changed since it was solved (queued for re-solving)
+ *     officialAnswer: "b"    // Official key answer (null if none)
  *   },
  *   cached: boolean          // Whether result came from cache
  * }
  */
 router.post('/solve', async (req, res) => {
   try {
-    const { questionId, questionText } = req.body;
+    const { questionId, questionText, subjectId, samples = 1, force = false } = req.body;
 
     // Validate required fields
     if (!questionId) {
@@ -59,44 +227,27 @@ router.post('/solve', async (req, res) => {
     }
 
     // Check cache first
-    const cached = getCachedSolution(questionId);
+    const cached = force ? null : getCachedSolution(questionId);
     if (cached) {
       console.log(`[Solving] Cache hit for question: ${questionId}`);
       return res.json({
         success: true,
-        data: {
-          answer: cached.correct_answer,
-          explanation: cached.explanation,
-          wrongOptions: cached.wrong_options || {}
-        },
+        data: cachedToData(cached),
         cached: true
       });
     }
 
     console.log(`[Solving] Cache miss for question: ${questionId}, calling Claude...`);
 
-    // Call Claude to solve the question
-    const solution = await solveQuestion(questionText);
-
-    console.log(`[Solving] Claude returned answer: ${solution.answer}`);
-
-    // Cache the solution
-    cacheSolution({
-      question_id: questionId,
-      correct_answer: solution.answer,
-      explanation: solution.explanation,
-      wrong_options: solution.wrongOptions || {}
-    });
+    // Call Claude with the prompt of the question's subject
+    const data = await solveAndCache(questionId, questionText, resolveSolveContext(questionId, subjectId), samples);
 
+    console.log(`[Solving] Claude returned answer: ${data.answer}`);
     console.log(`[Solving] Cached solution for: ${questionId}`);
 
     res.json({
       success: true,
-      data: {
-        answer: solution.answer,
-        explanation: solution.explanation,
-        wrongOptions: solution.wrongOptions || {}
-      },
+      data,
       cached: false
     });
 
@@ -104,159 +255,379 @@ router.post('/solve', async (req, res) => {
     console.error('[Solving] Error solving question:', error.message);
 
     // Determine appropriate error response
-    if (error.message.includes('timeout')) {
-      return res.status(504).json({
-        success: false,
-        error: 'Claude timeout',
-        message: 'Claude took too long to respond. Please try again.'
-      });
-    }
+    const { status, error: errorName, message } = describeSolveError(error);
+    res.status(status).json({
+      success: false,
+      error: errorName,
+      message
+    });
+  }
+});
+
+// ============================================
+// Batch Solving (background job)
+// ============================================
+
+// Max questions in an explicit batch list (use `all` for whole subjects)
+const MAX_BATCH = 10;
+
+/**
+ * Questions of a solve_batch job: the explicit list, or every question of
+ * the subject (its topic files loaded first) when payload.all is set
+ * @param {Object} payload - solve_batch payload
+ */
+function getBatchQuestions(payload) {
+  if (!payload.all) {
+    return payload.questions;
+  }
+
+  const subjectId = payload.subjectId || 'bda';
+  // Topics whose file was never opened are not in the database yet
+  try {
+    ensureSubjectLoaded(subjectId);
+  } catch (error) {
+    console.warn(`[Solving] Could not load questions of ${subjectId}: ${error.message}`);
+  }
+  return getAllTopics(subjectId).flatMap(topic =>
+    getQuestionsByTopic(topic.topic, subjectId).map(question => ({
+      questionId: question.id,
+      questionText: buildQuestionText(question),
+      subjectId
+    }))
+  );
+}
+
+/**
+ * solve_batch job handler
+ * Solves each question not in the cache; with resolveBelow, cached solutions
+ * under that confidence are re-solved with at least 3 samples, and with
+ * resolveStale, cached solutions marked stale are re-solved too.
+ * @param {Object} payload - { questions | all, subjectId, samples, resolveBelow, resolveStale }
+ * @param {Object} ctx - Job context (see services/jobQueue.js)
+ * @returns {Promise<Object>} { summary: { total, cached, solved, resolved, failed }, results }
+ */
+async function runSolveBatch(payload, ctx) {
+  const { samples = 1, resolveBelow = null, resolveStale = false } = payload;
+  const questions = getBatchQuestions(payload);
+
+  const results = [];
+  const summary = { total: questions.length, cached: 0, solved: 0, resolved: 0, failed: 0 };
+
+  for (const q of questions) {
+    ctx.throwIfCancelled();
+    const { questionId, questionText } = q;
 
-    if (error.message.includes('Claude CLI')) {
-      return res.status(503).json({
+    if (!questionId || !questionText) {
+      results.push({
+        questionId: questionId || 'unknown',
         success: false,
-        error: 'Claude unavailable',
-        message: 'Claude CLI is not available. Make sure it is installed and authenticated.'
+        error: 'Missing questionId or questionText'
       });
+      summary.failed++;
+      continue;
     }
 
-    if (error.message.includes('parse')) {
-      return res.status(502).json({
-        success: false,
-        error: 'Invalid Claude response',
-        message: 'Could not parse Claude response. Please try again.'
+    // Check cache (low-confidence and stale entries are re-solved on request)
+    const cachedSolution = getCachedSolution(questionId);
+    const isLowConfidence = resolveBelow !== null &&
+      cachedSolution?.confidence != null &&
+      cachedSolution.confidence < resolveBelow;
+    const isStale = resolveStale && Boolean(cachedSolution?.stale);
+
+    if (cachedSolution && !isLowConfidence && !isStale) {
+      results.push({
+        questionId,
+        success: true,
+        cached: true,
+        data: cachedToData(cachedSolution)
       });
+      summary.cached++;
+    } else {
+      // Solve with Claude
+      try {
+        const context = { ...resolveSolveContext(questionId, q.subjectId), signal: ctx.signal };
+        const data = await solveAndCache(questionId, questionText, context, isLowConfidence ? Math.max(samples, 3) : samples);
+
+        results.push({
+          questionId,
+          success: true,
+          cached: false,
+          data
+        });
+        summary[cachedSolution ? 'resolved' : 'solved']++;
+      } catch (solveError) {
+        results.push({
+          questionId,
+          success: false,
+          error: solveError.message
+        });
+        summary.failed++;
+      }
     }
 
-    res.status(500).json({
-      success: false,
-      error: 'Failed to solve question',
-      message: error.message
-    });
+    ctx.reportProgress({ done: results.length, ...summary });
   }
-});
+
+  return { summary, results };
+}
+
+registerJobHandler('solve_batch', runSolveBatch);
 
 /**
  * POST /api/solve/batch
- * Solve multiple questions (for pre-warming cache)
+ * Queue a batch solve job (for pre-warming the cache)
+ * Poll GET /api/jobs/:jobId for progress; the job result is
+ * { summary: { total, cached, solved, resolved, failed }, results }.
  *
- * Request body:
+ * Request body (one of):
  * {
  *   questions: [
- *     { questionId: string, questionText: string },
+ *     { questionId: string, questionText: string, subjectId?: string },
  *     ...
- *   ]
+ *   ],
+ *   all: true,               // Every stored question of subjectId instead of a list
+ *   subjectId?: string,      // With all (default: 'bda')
+ *   resolveBelow?: number,   // Also re-solve cached entries with confidence below this
+ *   samples?: number         // >1 enables self-consistency voting (max 5)
  * }
+ *
+ * Response (202): { success: true, jobId, status }
  */
-router.post('/solve/batch', async (req, res) => {
+router.post('/solve/batch', (req, res) => {
   try {
-    const { questions } = req.body;
+    const { questions, all = false, subjectId = null, resolveBelow = null, samples = 1 } = req.body;
 
-    if (!Array.isArray(questions) || questions.length === 0) {
+    if (!all) {
+      if (!Array.isArray(questions) || questions.length === 0) {
+        return res.status(400).json({
+          success: false,
+          error: 'questions must be a non-empty array'
+        });
+      }
+
+      // Limit batch size
+      if (questions.length > MAX_BATCH) {
+        return res.status(400).json({
+          success: false,
+          error: `Batch size exceeds maximum of ${MAX_BATCH}`
+        });
+      }
+    }
+
+    const threshold = resolveBelow === null ? null : parseFloat(resolveBelow);
+    if (threshold !== null && Number.isNaN(threshold)) {
       return res.status(400).json({
         success: false,
-        error: 'questions must be a non-empty array'
+        error: 'resolveBelow must be a number'
       });
     }
 
-    // Limit batch size
-    const MAX_BATCH = 10;
-    if (questions.length > MAX_BATCH) {
-      return res.status(400).json({
+    const job = enqueueJob('solve_batch', all
+      ? { all: true, subjectId, resolveBelow: threshold, samples }
+      : { questions, resolveBelow: threshold, samples });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
         success: false,
-        error: `Batch size exceeds maximum of ${MAX_BATCH}`
+        error: 'AI budget exceeded',
+        message: error.message
       });
     }
+    console.error('[Solving] Batch error:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Batch solve failed',
+      message: error.message
+    });
+  }
+});
 
-    const results = [];
-    let cached = 0;
-    let solved = 0;
-    let failed = 0;
+// ============================================
+// Stale Solutions (re-solve queue)
+// ============================================
 
-    for (const q of questions) {
-      const { questionId, questionText } = q;
+/**
+ * GET /api/solve/stale?subjectId=
+ * Cached solutions whose question changed after they were solved
+ */
+router.get('/solve/stale', (req, res) => {
+  try {
+    const stale = getStaleSolutions({ subjectId: req.query.subjectId || null });
 
-      if (!questionId || !questionText) {
-        results.push({
-          questionId: questionId || 'unknown',
-          success: false,
-          error: 'Missing questionId or questionText'
-        });
-        failed++;
-        continue;
-      }
+    res.json({
+      success: true,
+      data: stale.map(row => ({
+        questionId: row.question_id,
+        subjectId: row.subject_id,
+        topic: row.topic,
+        questionNumber: row.question_number,
+        answer: row.correct_answer,
+        pinned: Boolean(row.pinned),
+        solvedAt: row.solved_at
+      })),
+      count: stale.length
+    });
 
-      // Check cache
-      const cachedSolution = getCachedSolution(questionId);
-      if (cachedSolution) {
-        results.push({
-          questionId,
-          success: true,
-          cached: true,
-          data: {
-            answer: cachedSolution.correct_answer,
-            explanation: cachedSolution.explanation,
-            wrongOptions: cachedSolution.wrong_options || {}
-          }
-        });
-        cached++;
-        continue;
-      }
+  } catch (error) {
+    console.error('[Solving] Error listing stale solutions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list stale solutions',
+      message: error.message
+    });
+  }
+});
 
-      // Solve with Claude
-      try {
-        const solution = await solveQuestion(questionText);
-
-        // Cache it
-        cacheSolution({
-          question_id: questionId,
-          correct_answer: solution.answer,
-          explanation: solution.explanation,
-          wrong_options: solution.wrongOptions || {}
-        });
+/**
+ * POST /api/solve/stale/resolve
+ * Queue a solve_batch job that re-solves stale solutions against the current
+ * question content. Pinned solutions are skipped: they need a reviewer to pin
+ * a new version.
+ * Poll GET /api/jobs/:jobId; the job result is
+ * { summary: { total, cached, solved, resolved, failed }, results }.
+ *
+ * Request body:
+ * {
+ *   subjectId?: string,
+ *   limit?: number,          // Max questions in the job (default and max 10)
+ *   samples?: number         // >1 enables self-consistency voting
+ * }
+ *
+ * Response (202): { success: true, jobId, status, count, remaining }
+ * (200 with jobId null when the queue is empty)
+ */
+router.post('/solve/stale/resolve', (req, res) => {
+  try {
+    const { subjectId = null, limit = MAX_BATCH, samples = 1 } = req.body;
+    const stale = getStaleSolutions({ subjectId, includePinned: false });
+    const queue = stale.slice(0, Math.min(Math.max(parseInt(limit, 10) || MAX_BATCH, 1), MAX_BATCH));
 
-        results.push({
-          questionId,
-          success: true,
-          cached: false,
-          data: {
-            answer: solution.answer,
-            explanation: solution.explanation,
-            wrongOptions: solution.wrongOptions || {}
-          }
-        });
-        solved++;
-      } catch (solveError) {
-        results.push({
-          questionId,
-          success: false,
-          error: solveError.message
-        });
-        failed++;
-      }
+    if (queue.length === 0) {
+      return res.json({
+        success: true,
+        jobId: null,
+        count: 0,
+        remaining: 0
+      });
     }
 
-    res.json({
+    const questions = queue.map(item => ({
+      questionId: item.question_id,
+      questionText: buildQuestionText(getQuestionById(item.question_id)),
+      subjectId: item.subject_id
+    }));
+
+    const job = enqueueJob('solve_batch', { questions, resolveStale: true, samples }, { key: `stale:${subjectId || 'all'}` });
+
+    res.status(202).json({
       success: true,
-      summary: {
-        total: questions.length,
-        cached,
-        solved,
-        failed
-      },
-      results
+      jobId: job.id,
+      status: job.status,
+      count: questions.length,
+      remaining: stale.length - questions.length
     });
 
   } catch (error) {
-    console.error('[Solving] Batch error:', error.message);
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
+        success: false,
+        error: 'AI budget exceeded',
+        message: error.message
+      });
+    }
+    console.error('[Solving] Error queueing stale re-solve:', error.message);
     res.status(500).json({
       success: false,
-      error: 'Batch solve failed',
+      error: 'Failed to queue stale re-solve',
       message: error.message
     });
   }
 });
 
+/**
+ * GET /api/solve/:questionId/stream
+ * Solve a stored question streaming the explanation with Server-Sent Events
+ *
+ * Events:
+ *   explanation  { text, reset }                           // Explanation delta (reset: replaces the text so far, after a repair retry)
+ *   done         { data: { answer, explanation, wrongOptions, confidence, lowConfidence, sampleCount, dissent, versionId, pinned, stale, officialAnswer }, cached }
+ *   error        { error, message }
+ */
+router.get('/solve/:questionId/stream', async (req, res) => {
+  const { questionId } = req.params;
+
+  const question = getQuestionById(questionId);
+  if (!question) {
+    return res.status(404).json({
+      success: false,
+      error: 'Question not found'
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+
+  // A client that goes away cancels the solve
+  const abortController = new AbortController();
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    if (!res.writableEnded) {
+      abortController.abort();
+    }
+  });
+
+  const sendEvent = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  try {
+    const cached = getCachedSolution(questionId);
+    if (cached) {
+      console.log(`[Solving] Cache hit for stream: ${questionId}`);
+      sendEvent('done', {
+        data: cachedToData(cached),
+        cached: true
+      });
+      return res.end();
+    }
+
+    console.log(`[Solving] Streaming solve for question: ${questionId}`);
+
+    const data = await solveAndCache(questionId, buildQuestionText(question), {
+      ...resolveSolveContext(questionId),
+      onExplanation: (text, { reset = false } = {}) => sendEvent('explanation', { text, reset }),
+      signal: abortController.signal
+    });
+
+    sendEvent('done', {
+      data,
+      cached: false
+    });
+  } catch (error) {
+    if (closed) {
+      console.log(`[Solving] Stream closed by the client, solve cancelled: ${questionId}`);
+      return res.end();
+    }
+    console.error('[Solving] Error streaming solution:', error.message);
+    const { error: errorName, message } = describeSolveError(error);
+    sendEvent('error', { error: errorName, message });
+  }
+
+  res.end();
+});
+
 /**
  * GET /api/solve/:questionId
  * Get cached solution for a question (if exists)
@@ -277,11 +648,7 @@ router.get('/solve/:questionId', (req, res) => {
 
     res.json({
       success: true,
-      data: {
-        answer: cached.correct_answer,
-        explanation: cached.explanation,
-        wrongOptions: cached.wrong_options || {}
-      },
+      data: cachedToData(cached),
       cached: true,
       solvedAt: cached.solved_at
     });
@@ -296,14 +663,263 @@ router.get('/solve/:questionId', (req, res) => {
   }
 });
 
+// ============================================
+// Solution History
+// ============================================
+
+/**
+ * GET /api/solve/:questionId/versions
+ * List every stored solution of a question, newest first
+ */
+router.get('/solve/:questionId/versions', (req, res) => {
+  try {
+    const versions = getSolutionVersions(req.params.questionId);
+
+    res.json({
+      success: true,
+      data: versions.map(versionToData),
+      count: versions.length
+    });
+
+  } catch (error) {
+    console.error('[Solving] Error listing solution versions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list solution versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/solve/:questionId/versions/diff?from=&to=
+ * Diff two versions of a question's solution
+ * Defaults: to = newest version, from = the one before it
+ *
+ * Response data:
+ * {
+ *   from: version, to: version,
+ *   diff: {
+ *     answer: { from, to, changed },
+ *     explanation: [{ type: 'same'|'added'|'removed', text }],
+ *     wrongOptions: { letter: { from, to } }   // Only changed letters
+ *   }
+ * }
+ */
+router.get('/solve/:questionId/versions/diff', (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const versions = getSolutionVersions(questionId);
+
+    const toId = req.query.to ? parseInt(req.query.to, 10) : versions[0]?.id;
+    const fromId = req.query.from ? parseInt(req.query.from, 10) : versions.find(v => v.id !== toId)?.id;
+
+    const from = versions.find(v => v.id === fromId);
+    const to = versions.find(v => v.id === toId);
+
+    if (!from || !to) {
+      return res.status(404).json({
+        success: false,
+        error: 'Versions not found',
+        message: 'Both versions must belong to this question (at least two versions are needed)'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        from: versionToData(from),
+        to: versionToData(to),
+        diff: diffSolutions(from, to)
+      }
+    });
+
+  } catch (error) {
+    console.error('[Solving] Error diffing solution versions:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to diff solution versions',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/solve/:questionId/versions
+ * Add a solution written by a person or imported from elsewhere
+ *
+ * Request body:
+ * {
+ *   answer: string,          // "b"; "a,c" (multiple-answer); "1250" (numeric)
+ *   explanation: string,
+ *   wrongOptions?: object,
+ *   source?: string,         // 'human' (default) | 'import'
+ *   notes?: string,
+ *   pin?: boolean            // Pin it as the active solution
+ * }
+ */
+router.post('/solve/:questionId/versions', (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const { answer, explanation, wrongOptions, source = 'human', notes, pin = false } = req.body;
+
+    if (answer == null || answer === '') {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: answer'
+      });
+    }
+
+    if (!explanation) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required field: explanation'
+      });
+    }
+
+    if (!['human', 'import'].includes(source)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid source: must be human or import'
+      });
+    }
+
+    const question = getQuestionById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const normalizedAnswer = normalizeAnswer(answer, question);
+    if (normalizedAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid answer: must be ${describeAnswerFormat(question)}`
+      });
+    }
+
+    const solution = {
+      question_id: questionId,
+      correct_answer: normalizedAnswer,
+      explanation,
+      wrong_options: wrongOptions || {},
+      source,
+      notes
+    };
+
+    let versionId;
+    if (pin) {
+      versionId = addSolutionVersion(solution);
+      pinSolutionVersion(versionId);
+    } else {
+      ({ versionId } = cacheSolution(solution));
+    }
+
+    res.status(201).json({
+      success: true,
+      data: versionToData(getSolutionVersions(questionId).find(v => v.id === versionId))
+    });
+
+  } catch (error) {
+    console.error('[Solving] Error adding solution version:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add solution version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/solve/:questionId/pin
+ * Pin a version as the active solution (re-solves won't replace it)
+ *
+ * Request body:
+ * {
+ *   versionId: number
+ * }
+ */
+router.put('/solve/:questionId/pin', (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const version = getSolutionVersion(req.body.versionId);
+
+    if (!version || version.question_id !== questionId) {
+      return res.status(404).json({
+        success: false,
+        error: 'Version not found'
+      });
+    }
+
+    pinSolutionVersion(version.id);
+
+    res.json({
+      success: true,
+      data: cachedToData(getCachedSolution(questionId))
+    });
+
+  } catch (error) {
+    console.error('[Solving] Error pinning solution version:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to pin solution version',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/solve/:questionId/pin
+ * Unpin the active solution (the next solve can replace it again)
+ */
+router.delete('/solve/:questionId/pin', (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    const result = unpinSolution(questionId);
+
+    if (result.changes === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No cached solution found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Unpinned solution for: ${questionId}`
+    });
+
+  } catch (error) {
+    console.error('[Solving] Error unpinning solution:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unpin solution',
+      message: error.message
+    });
+  }
+});
+
 /**
  * DELETE /api/solve/:questionId
  * Delete cached solution (force re-solve on next request)
+ * The versions stay in the history; pinned solutions must be unpinned first
  */
 router.delete('/solve/:questionId', (req, res) => {
   try {
     const { questionId } = req.params;
 
+    const cached = getCachedSolution(questionId);
+    if (cached?.pinned) {
+      return res.status(409).json({
+        success: false,
+        error: 'Solution is pinned',
+        message: `Unpin it first with DELETE /api/solve/${questionId}/pin`
+      });
+    }
+
     const stmt = db.prepare('DELETE FROM solutions_cache WHERE question_id = ?');
     const result = stmt.run(questionId);
 
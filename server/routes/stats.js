@@ -10,11 +10,35 @@ import {
   getAttemptsByQuestion,
   getFailedQuestions,
   getGlobalStats,
-  getTopicStats
+  getTopicStats,
+  getOfficialAnswer,
+  getQuestionById,
+  getSubjectById,
+  getTagStats
 } from '../database.js';
+import { getQuestionType, normalizeAnswer, describeAnswerFormat, gradeAnswer } from '../services/answerGrading.js';
 
 const router = Router();
 
+/**
+ * Unaided vs hinted split of a stats row (attempts answered after using hints)
+ * @param {Object} stats - Row from getGlobalStats / getTopicStats
+ */
+function hintBreakdown(stats) {
+  const total = stats.total_attempts || 0;
+  const correct = stats.correct_attempts || 0;
+  const hinted = stats.hinted_attempts || 0;
+  const hintedCorrect = stats.hinted_correct_attempts || 0;
+  const percentage = (part, whole) => whole > 0 ? Math.round(10000 * part / whole) / 100 : 0;
+
+  return {
+    unaided_attempts: total - hinted,
+    unaided_accuracy: percentage(correct - hintedCorrect, total - hinted),
+    hinted_attempts: hinted,
+    hinted_accuracy: percentage(hintedCorrect, hinted)
+  };
+}
+
 // ============================================
 // Statistics Endpoints
 // ============================================
@@ -33,7 +57,10 @@ const router = Router();
  *     total_attempts: number,
  *     correct_attempts: number,
  *     incorrect_attempts: number,
- *     accuracy: number (percentage)
+ *     accuracy: number (percentage),
+ *     average_score: number (percentage, counts partial credit),
+ *     unaided_attempts, unaided_accuracy,   // Answered without hints
+ *     hinted_attempts, hinted_accuracy      // Answered after one or more hints
  *   }
  * }
  */
@@ -50,7 +77,9 @@ router.get('/stats', (req, res) => {
       correct_attempts: stats.correct_attempts || 0,
       incorrect_attempts: (stats.total_attempts || 0) - (stats.correct_attempts || 0),
       accuracy: stats.accuracy || 0,
-      percentage: stats.accuracy || 0
+      percentage: stats.accuracy || 0,
+      average_score: stats.average_score || 0,
+      ...hintBreakdown(stats)
     };
 
     res.json({
@@ -68,6 +97,66 @@ router.get('/stats', (req, res) => {
   }
 });
 
+/**
+ * GET /api/stats/tags
+ * Returns statistics per concept tag of a subject
+ * (registered before /stats/:topic so "tags" is not read as a topic)
+ *
+ * Query params:
+ *   subjectId: string  // Subject
+ *   topic?: string     // Only questions of this topic (and tags that have any)
+ *
+ * Response: { success: true, data: [{ tag_id, name, slug, total_questions,
+ *   answered_questions, total_attempts, correct_attempts, accuracy, average_score,
+ *   unaided_*, hinted_* }], count }
+ */
+router.get('/stats/tags', (req, res) => {
+  try {
+    const { subjectId, topic = null } = req.query;
+
+    if (!subjectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectId is required'
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const tags = getTagStats(subjectId, topic).map(stats => ({
+      tag_id: stats.tag_id,
+      name: stats.name,
+      slug: stats.slug,
+      total_questions: stats.total_questions || 0,
+      answered_questions: stats.questions_attempted || 0,
+      total_attempts: stats.total_attempts || 0,
+      correct_attempts: stats.correct_attempts || 0,
+      accuracy: stats.accuracy || 0,
+      average_score: stats.average_score || 0,
+      ...hintBreakdown(stats)
+    }));
+
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+
+  } catch (error) {
+    console.error('[Stats] Error fetching tag stats:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tag statistics',
+      message: error.message
+    });
+  }
+});
+
 /**
  * GET /api/stats/:topic
  * Returns statistics for a specific topic
@@ -86,7 +175,9 @@ router.get('/stats/:topic', (req, res) => {
       correct_attempts: stats.correct_attempts || 0,
       incorrect_attempts: (stats.total_attempts || 0) - (stats.correct_attempts || 0),
       accuracy: stats.accuracy || 0,
-      percentage: stats.accuracy || 0
+      percentage: stats.accuracy || 0,
+      average_score: stats.average_score || 0,
+      ...hintBreakdown(stats)
     };
 
     res.json({
@@ -111,7 +202,7 @@ router.get('/stats/:topic', (req, res) => {
 router.get('/stats/summary/all', (req, res) => {
   try {
     // Get all distinct topics
-    const topicsStmt = db.prepare('SELECT DISTINCT topic FROM questions ORDER BY topic');
+    const topicsStmt = db.prepare('SELECT DISTINCT topic FROM questions WHERE removed_at IS NULL ORDER BY topic');
     const topics = topicsStmt.all().map(r => r.topic);
 
     const summaries = topics.map(topic => {
@@ -170,7 +261,7 @@ router.get('/progress/failed', (req, res) => {
         SELECT DISTINCT q.id, q.topic, q.question_number, q.content, q.options
         FROM questions q
         INNER JOIN attempts a ON q.id = a.question_id
-        WHERE q.topic = ? AND a.is_correct = 0
+        WHERE q.topic = ? AND q.removed_at IS NULL AND a.is_correct = 0
         AND NOT EXISTS (
           SELECT 1 FROM attempts a2
           WHERE a2.question_id = q.id AND a2.is_correct = 1
@@ -221,7 +312,7 @@ router.get('/progress/unanswered', (req, res) => {
         SELECT q.id, q.topic, q.question_number, q.content, q.options, q.shared_statement
         FROM questions q
         LEFT JOIN attempts a ON q.id = a.question_id
-        WHERE q.topic = ? AND a.id IS NULL
+        WHERE q.topic = ? AND q.removed_at IS NULL AND a.id IS NULL
         ORDER BY q.question_number
         LIMIT ?
       `);
@@ -231,7 +322,7 @@ router.get('/progress/unanswered', (req, res) => {
         SELECT q.id, q.topic, q.question_number, q.content, q.options, q.shared_statement
         FROM questions q
         LEFT JOIN attempts a ON q.id = a.question_id
-        WHERE a.id IS NULL
+        WHERE q.removed_at IS NULL AND a.id IS NULL
         ORDER BY q.topic, q.question_number
         LIMIT ?
       `);
@@ -312,15 +403,22 @@ router.get('/progress/history', (req, res) => {
  * Request body:
  * {
  *   questionId: string,       // Question ID
- *   userAnswer: string,       // User's answer (a, b, c, or d)
- *   correctAnswer: string,    // Correct answer
- *   isCorrect: boolean,       // Whether the answer was correct
- *   explanation?: string      // Optional explanation
+ *   userAnswer: string,       // "b"; "a,c" or ['a', 'c'] (multiple); 1250 or "12,5" (numeric)
+ *   correctAnswer: string,    // Correct answer, same format
+ *   isCorrect: boolean,       // Whether the answer was correct (single-answer questions only)
+ *   explanation?: string,     // Optional explanation
+ *   hintsUsed?: number        // Hint levels shown before answering (default 0)
  * }
+ *
+ * When the question has an official answer, correctAnswer and isCorrect are
+ * recomputed against it (gradedAgainst: 'official'). Otherwise single-answer
+ * questions keep the client's grading (gradedAgainst: 'client') and
+ * multiple-answer and numeric questions are graded here (gradedAgainst: 'server'),
+ * with partial credit in score (0-1) for multiple-answer ones.
  */
 router.post('/attempts', (req, res) => {
   try {
-    const { questionId, userAnswer, correctAnswer, isCorrect, explanation } = req.body;
+    const { questionId, userAnswer, correctAnswer, isCorrect, explanation, hintsUsed = 0 } = req.body;
 
     // Validate required fields
     if (!questionId) {
@@ -330,50 +428,71 @@ router.post('/attempts', (req, res) => {
       });
     }
 
-    if (!userAnswer) {
+    if (userAnswer == null || userAnswer === '') {
       return res.status(400).json({
         success: false,
         error: 'Missing required field: userAnswer'
       });
     }
 
-    if (!correctAnswer) {
+    if (correctAnswer == null || correctAnswer === '') {
       return res.status(400).json({
         success: false,
         error: 'Missing required field: correctAnswer'
       });
     }
 
-    if (typeof isCorrect !== 'boolean') {
+    const question = getQuestionById(questionId);
+    // Single-answer questions keep the client's grading; the other types are graded here
+    const clientGraded = getQuestionType(question) === 'single';
+
+    if (clientGraded && typeof isCorrect !== 'boolean') {
       return res.status(400).json({
         success: false,
         error: 'Missing or invalid field: isCorrect (must be boolean)'
       });
     }
 
-    // Validate answer format
-    const validAnswers = ['a', 'b', 'c', 'd'];
-    if (!validAnswers.includes(userAnswer.toLowerCase())) {
+    if (!Number.isInteger(hintsUsed) || hintsUsed < 0) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid userAnswer: must be a, b, c, or d'
+        error: 'Invalid hintsUsed: must be a non-negative integer'
       });
     }
 
-    if (!validAnswers.includes(correctAnswer.toLowerCase())) {
+    // Validate answer format against the question's type and options (a-d if unknown)
+    const normalizedUserAnswer = normalizeAnswer(userAnswer, question);
+    if (normalizedUserAnswer === null) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid correctAnswer: must be a, b, c, or d'
+        error: `Invalid userAnswer: must be ${describeAnswerFormat(question)}`
       });
     }
 
+    const normalizedCorrectAnswer = normalizeAnswer(correctAnswer, question);
+    if (normalizedCorrectAnswer === null) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid correctAnswer: must be ${describeAnswerFormat(question)}`
+      });
+    }
+
+    // The official key, when present, takes precedence over the client's answer
+    const official = getOfficialAnswer(questionId);
+    const gradedCorrectAnswer = official ? official.answer : normalizedCorrectAnswer;
+    const grade = clientGraded && !official
+      ? { isCorrect, score: isCorrect ? 1 : 0 }
+      : gradeAnswer(normalizedUserAnswer, gradedCorrectAnswer, question);
+
     // Record the attempt
     const result = recordAttempt({
       question_id: questionId,
-      user_answer: userAnswer.toLowerCase(),
-      correct_answer: correctAnswer.toLowerCase(),
-      is_correct: isCorrect,
-      explanation: explanation || null
+      user_answer: normalizedUserAnswer,
+      correct_answer: gradedCorrectAnswer,
+      is_correct: grade.isCorrect,
+      score: grade.score,
+      explanation: explanation || null,
+      hints_used: hintsUsed
     });
 
     // Get updated stats for feedback
@@ -388,7 +507,10 @@ router.post('/attempts', (req, res) => {
       success: true,
       data: {
         attemptId: result.lastInsertRowid,
-        isCorrect,
+        isCorrect: grade.isCorrect,
+        score: grade.score,
+        correctAnswer: gradedCorrectAnswer,
+        gradedAgainst: official ? 'official' : (clientGraded ? 'client' : 'server'),
         topicStats: topicStats ? {
           answered: topicStats.questions_attempted,
           total: topicStats.total_questions,
@@ -11,9 +11,34 @@ import {
   updateSubject,
   getTopicsBySubject
 } from '../database.js';
+import { validateQuestionSource } from '../services/questionSources.js';
+import { refreshQuestionWatcher } from '../services/questionWatcher.js';
 
 const router = Router();
 
+/**
+ * Validate a solving prompt template: it must embed the question text
+ * @param {string|null} promptTemplate - Template (null/empty resets to default)
+ */
+function isValidPromptTemplate(promptTemplate) {
+  if (promptTemplate === undefined || promptTemplate === null || promptTemplate === '') return true;
+  return typeof promptTemplate === 'string' && promptTemplate.includes('{{question}}');
+}
+
+/**
+ * Validate a subject config: only its questionSource is checked
+ * @param {Object|null} config - Subject config (undefined/null keeps or clears it)
+ * @returns {string|null} Error message, null when valid
+ */
+function validateSubjectConfig(config) {
+  if (config === undefined || config === null) return null;
+  if (typeof config !== 'object' || Array.isArray(config)) return 'config debe ser un objeto';
+  if (config.questionSource === undefined || config.questionSource === null) return null;
+
+  const error = validateQuestionSource(config.questionSource);
+  return error ? `config invalido: ${error}` : null;
+}
+
 /**
  * GET /api/subjects
  * List all subjects
@@ -65,10 +90,13 @@ router.get('/:id', (req, res) => {
 /**
  * POST /api/subjects
  * Create a new subject
+ *
+ * config.questionSource: markdown question files of the subject
+ *   { directory, filePattern: "Preguntas_{topic}.md", topicPattern?, idPrefix?, topics?{label: topicId} }
  */
 router.post('/', (req, res) => {
   try {
-    const { id, name, shortName, description, methodology, examType, modes, claudeContext } = req.body;
+    const { id, name, shortName, description, methodology, examType, modes, claudeContext, promptTemplate, config } = req.body;
 
     if (!id || !name || !methodology || !modes) {
       return res.status(400).json({
@@ -77,6 +105,21 @@ router.post('/', (req, res) => {
       });
     }
 
+    if (!isValidPromptTemplate(promptTemplate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'promptTemplate debe incluir el marcador {{question}}'
+      });
+    }
+
+    const configError = validateSubjectConfig(config);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        error: configError
+      });
+    }
+
     // Check if already exists
     const existing = getSubjectById(id);
     if (existing) {
@@ -94,9 +137,16 @@ router.post('/', (req, res) => {
       methodology,
       examType,
       modes,
-      claudeContext
+      claudeContext,
+      promptTemplate,
+      config
     });
 
+    // A new question folder to watch
+    if (config?.questionSource) {
+      refreshQuestionWatcher();
+    }
+
     res.status(201).json({
       success: true,
       subject
@@ -113,6 +163,11 @@ router.post('/', (req, res) => {
 /**
  * PUT /api/subjects/:id
  * Update a subject
+ *
+ * claudeContext: { expertise, terminology[], definitions{}, topicRules{topic: []} }
+ * promptTemplate: solving prompt with {{question}}, {{expertise}}, {{terminology}},
+ *                 {{definitions}}, {{topicRules}}, {{subjectName}} (null = default)
+ * config: replaces the whole config (see POST for questionSource)
  */
 router.put('/:id', (req, res) => {
   try {
@@ -124,8 +179,27 @@ router.put('/:id', (req, res) => {
       });
     }
 
+    if (!isValidPromptTemplate(req.body.promptTemplate)) {
+      return res.status(400).json({
+        success: false,
+        error: 'promptTemplate debe incluir el marcador {{question}}'
+      });
+    }
+
+    const configError = validateSubjectConfig(req.body.config);
+    if (configError) {
+      return res.status(400).json({
+        success: false,
+        error: configError
+      });
+    }
+
     const subject = updateSubject(req.params.id, req.body);
 
+    if (req.body.config !== undefined) {
+      refreshQuestionWatcher();
+    }
+
     res.json({
       success: true,
       subject
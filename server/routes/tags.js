@@ -0,0 +1,377 @@
+/**
+ * Tags Routes
+ * Concept tags of a subject (finer than topics), tagging of single questions
+ * from the UI and the AI bulk tagger for a topic
+ */
+
+import { Router } from 'express';
+import {
+  getSubjectById,
+  getQuestionById,
+  getTagsBySubject,
+  getTagById,
+  createTag,
+  getOrCreateTag,
+  updateTag,
+  deleteTag,
+  getQuestionTags,
+  setQuestionTags
+} from '../database.js';
+import { ensureTopicLoaded } from '../services/questionIngest.js';
+import { tagTopicQuestions } from '../services/questionTagger.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { BudgetExceededError } from '../services/usageBudget.js';
+
+const router = Router();
+
+/**
+ * tag_topic job handler
+ * @param {Object} payload - { subjectId, topic, replace }
+ * @param {Object} ctx - Job context (see services/jobQueue.js)
+ */
+registerJobHandler('tag_topic', async ({ subjectId, topic, replace = false }, ctx) => {
+  return tagTopicQuestions(subjectId, topic, {
+    replace,
+    signal: ctx.signal,
+    onProgress: (done, total) => ctx.reportProgress({ batches: done, totalBatches: total })
+  });
+});
+
+/**
+ * Whether an error is a clash with another tag of the subject (same slug)
+ */
+function isDuplicateTag(error) {
+  return error.code === 'SQLITE_CONSTRAINT_UNIQUE';
+}
+
+/**
+ * Whether a tag name is usable: it needs a letter or digit to have a slug
+ */
+function isValidTagName(name) {
+  return typeof name === 'string' && /[\p{L}\p{N}]/u.test(name);
+}
+
+/**
+ * Parse a :tagId param
+ * @returns {number|null}
+ */
+function parseTagId(value) {
+  const tagId = Number(value);
+  return Number.isInteger(tagId) && tagId > 0 ? tagId : null;
+}
+
+/**
+ * GET /api/tags?subjectId=
+ * Tags of a subject, by name, each with question_count (active questions)
+ */
+router.get('/', (req, res) => {
+  try {
+    const { subjectId } = req.query;
+
+    if (!subjectId) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectId is required'
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const tags = getTagsBySubject(subjectId);
+
+    res.json({
+      success: true,
+      data: tags,
+      count: tags.length
+    });
+
+  } catch (error) {
+    console.error('[Tags] Error listing tags:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list tags',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tags
+ * Create a tag
+ *
+ * Body: { subjectId: string, name: string, description?: string }
+ * Response (201): the tag. 409 when the subject has a tag with the same name
+ * (ignoring case and accents).
+ */
+router.post('/', (req, res) => {
+  try {
+    const { subjectId, name, description = null } = req.body;
+
+    if (!subjectId || !isValidTagName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectId and name are required'
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    const tag = createTag({ subjectId, name, description });
+    console.log(`[Tags] Created tag "${tag.name}" in ${subjectId}`);
+
+    res.status(201).json({
+      success: true,
+      data: tag
+    });
+
+  } catch (error) {
+    if (isDuplicateTag(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with that name already exists'
+      });
+    }
+    console.error('[Tags] Error creating tag:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create tag',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tags/auto
+ * Queue the AI bulk tagger for a topic
+ * Poll GET /api/jobs/:jobId; the job result is
+ * { topic, questions, tagged, tagsAdded, createdTags }.
+ *
+ * Body:
+ *   subjectId: string
+ *   topic: string
+ *   replace?: boolean  // Replace the topic's previous AI tags (manual tags stay)
+ *
+ * Response (202): { success: true, jobId, status }
+ */
+router.post('/auto', (req, res) => {
+  try {
+    const { subjectId, topic, replace = false } = req.body;
+
+    if (!subjectId || !topic) {
+      return res.status(400).json({
+        success: false,
+        error: 'subjectId and topic are required'
+      });
+    }
+
+    if (!getSubjectById(subjectId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Subject not found'
+      });
+    }
+
+    ensureTopicLoaded(topic, subjectId);
+
+    const job = enqueueJob('tag_topic', { subjectId, topic, replace: Boolean(replace) }, { key: `${subjectId}:${topic}` });
+
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      status: job.status
+    });
+
+  } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
+        success: false,
+        error: 'AI budget exceeded',
+        message: error.message
+      });
+    }
+    console.error('[Tags] Error queueing auto-tagging:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue auto-tagging',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/tags/question/:questionId
+ * Tags of a question (each with its source: manual | ai)
+ */
+router.get('/question/:questionId', (req, res) => {
+  try {
+    const { questionId } = req.params;
+
+    if (!getQuestionById(questionId)) {
+      return res.status(404).json({
+        success: false,
+        error: `Question not found: ${questionId}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: getQuestionTags(questionId)
+    });
+
+  } catch (error) {
+    console.error('[Tags] Error getting question tags:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get question tags',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/tags/question/:questionId
+ * Replace the tags of a question
+ *
+ * Body: { tags: Array<number|string> }  // Tag IDs, or names (created when missing)
+ * Response: the question's tags
+ */
+router.put('/question/:questionId', (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const { tags } = req.body;
+
+    if (!Array.isArray(tags)) {
+      return res.status(400).json({
+        success: false,
+        error: 'tags must be an array of tag IDs or names'
+      });
+    }
+
+    const question = getQuestionById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: `Question not found: ${questionId}`
+      });
+    }
+
+    // Check every ID before creating any tag from a name
+    for (const entry of tags) {
+      if (isValidTagName(entry)) continue;
+
+      const tag = Number.isInteger(entry) ? getTagById(entry) : null;
+      if (!tag || tag.subject_id !== question.subject_id) {
+        return res.status(400).json({
+          success: false,
+          error: `Invalid tag: ${JSON.stringify(entry)}`
+        });
+      }
+    }
+
+    const tagIds = tags.map(entry => typeof entry === 'string'
+      ? getOrCreateTag(question.subject_id, entry).id
+      : entry);
+
+    res.json({
+      success: true,
+      data: setQuestionTags(questionId, tagIds)
+    });
+
+  } catch (error) {
+    console.error('[Tags] Error setting question tags:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to set question tags',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * PUT /api/tags/:tagId
+ * Rename a tag or change its description
+ *
+ * Body: { name?: string, description?: string }
+ */
+router.put('/:tagId', (req, res) => {
+  try {
+    const tagId = parseTagId(req.params.tagId);
+    const { name, description } = req.body;
+
+    if (name !== undefined && !isValidTagName(name)) {
+      return res.status(400).json({
+        success: false,
+        error: 'name must contain letters or digits'
+      });
+    }
+
+    const tag = tagId && updateTag(tagId, { name, description });
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: tag
+    });
+
+  } catch (error) {
+    if (isDuplicateTag(error)) {
+      return res.status(409).json({
+        success: false,
+        error: 'A tag with that name already exists'
+      });
+    }
+    console.error('[Tags] Error updating tag:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update tag',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/tags/:tagId
+ * Delete a tag; questions lose it
+ */
+router.delete('/:tagId', (req, res) => {
+  try {
+    const tagId = parseTagId(req.params.tagId);
+
+    if (!tagId || !deleteTag(tagId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted'
+    });
+
+  } catch (error) {
+    console.error('[Tags] Error deleting tag:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete tag',
+      message: error.message
+    });
+  }
+});
+
+export default router;
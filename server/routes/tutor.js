@@ -0,0 +1,168 @@
+/**
+ * Tutor Routes
+ * Follow-up chat about a solved question, saved per question
+ */
+
+import { Router } from 'express';
+import {
+  getQuestionById,
+  getSubjectById,
+  getCachedSolution,
+  getOfficialAnswer,
+  getTutorMessages,
+  addTutorExchange,
+  clearTutorMessages
+} from '../database.js';
+import { buildQuestionText } from '../claudeService.js';
+import { askTutor } from '../services/tutorService.js';
+
+const router = Router();
+
+const MAX_MESSAGE_LENGTH = 2000;
+
+/**
+ * Response payload for a tutor_messages row
+ * @param {Object} row - tutor_messages row
+ */
+function messageToData(row) {
+  return {
+    id: row.id,
+    role: row.role,
+    content: row.content,
+    model: row.model,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * GET /api/tutor/:questionId
+ * Conversation so far, oldest first
+ */
+router.get('/:questionId', (req, res) => {
+  try {
+    const messages = getTutorMessages(req.params.questionId);
+
+    res.json({
+      success: true,
+      data: messages.map(messageToData),
+      count: messages.length
+    });
+
+  } catch (error) {
+    console.error('[Tutor] Error getting conversation:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get conversation',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/tutor/:questionId
+ * Ask a follow-up question about the cached solution
+ *
+ * Request body:
+ * {
+ *   message: string          // e.g. "¿Por que no la c?"
+ * }
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   data: {
+ *     question: { id, role: 'user', content, createdAt },
+ *     reply: { id, role: 'assistant', content, model, createdAt }
+ *   }
+ * }
+ */
+router.post('/:questionId', async (req, res) => {
+  try {
+    const { questionId } = req.params;
+    const message = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: 'message is required'
+      });
+    }
+
+    if (message.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `message exceeds ${MAX_MESSAGE_LENGTH} characters`
+      });
+    }
+
+    const question = getQuestionById(questionId);
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        error: 'Question not found'
+      });
+    }
+
+    const solution = getCachedSolution(questionId);
+    if (!solution) {
+      return res.status(409).json({
+        success: false,
+        error: 'Question has not been solved yet'
+      });
+    }
+
+    const { reply, model } = await askTutor({
+      questionText: buildQuestionText(question),
+      solution,
+      officialAnswer: getOfficialAnswer(questionId)?.answer || null,
+      history: getTutorMessages(questionId),
+      message,
+      subject: getSubjectById(question.subject_id)
+    });
+
+    // Both turns are stored only once the reply arrived
+    const [userRow, replyRow] = addTutorExchange(questionId, message, { content: reply, model });
+
+    res.json({
+      success: true,
+      data: {
+        question: messageToData(userRow),
+        reply: messageToData(replyRow)
+      }
+    });
+
+  } catch (error) {
+    console.error('[Tutor] Error answering:', error.message);
+    const isTimeout = error.message.includes('timeout');
+    res.status(isTimeout ? 504 : 500).json({
+      success: false,
+      error: isTimeout ? 'Claude timeout' : 'Failed to get tutor reply',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/tutor/:questionId
+ * Start the conversation over
+ */
+router.delete('/:questionId', (req, res) => {
+  try {
+    const result = clearTutorMessages(req.params.questionId);
+
+    res.json({
+      success: true,
+      message: `Deleted ${result.changes} messages`
+    });
+
+  } catch (error) {
+    console.error('[Tutor] Error clearing conversation:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to clear conversation',
+      message: error.message
+    });
+  }
+});
+
+export default router;
@@ -0,0 +1,92 @@
+/**
+ * Usage Routes
+ * Token and cost totals from the llm_usage ledger, plus the budget status
+ */
+
+import { Router } from 'express';
+import { getLlmUsageSummary } from '../database.js';
+import { getBudgetStatus } from '../services/usageBudget.js';
+
+const router = Router();
+
+const DEFAULT_RANGE_DAYS = 30;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Response payload for an aggregate row of getLlmUsageSummary
+ * @param {Object} row - { calls, input_tokens, output_tokens, cost_usd, duration_ms, failed_calls }
+ */
+function totalsToData(row) {
+  return {
+    calls: row.calls,
+    failedCalls: row.failed_calls,
+    inputTokens: row.input_tokens,
+    outputTokens: row.output_tokens,
+    costUsd: Math.round(row.cost_usd * 1e6) / 1e6,
+    durationMs: row.duration_ms
+  };
+}
+
+/**
+ * GET /api/usage
+ * Usage totals per day, per subject and per feature
+ *
+ * Query params:
+ *   from?: YYYY-MM-DD        // Default 30 days ago
+ *   to?: YYYY-MM-DD          // Inclusive, default today
+ *   subjectId?: string       // Only calls made for this subject
+ *
+ * Response:
+ * {
+ *   success: true,
+ *   data: {
+ *     from, to,
+ *     totals: { calls, failedCalls, inputTokens, outputTokens, costUsd, durationMs },
+ *     byDay: [{ day, ...totals }],
+ *     bySubject: [{ subjectId, ...totals }],
+ *     byFeature: [{ feature, ...totals }],
+ *     budget: { limitUsd, period, periodStart, spentUsd, remainingUsd, exceeded }
+ *   }
+ * }
+ */
+router.get('/', (req, res) => {
+  try {
+    const { subjectId } = req.query;
+    const today = new Date().toISOString().substring(0, 10);
+    const from = req.query.from
+      || new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const to = req.query.to || today;
+
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to)) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+
+    const summary = getLlmUsageSummary({ from, to, subjectId: subjectId || null });
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        totals: totalsToData(summary.totals),
+        byDay: summary.byDay.map(row => ({ day: row.grp, ...totalsToData(row) })),
+        bySubject: summary.bySubject.map(row => ({ subjectId: row.grp, ...totalsToData(row) })),
+        byFeature: summary.byFeature.map(row => ({ feature: row.grp, ...totalsToData(row) })),
+        budget: getBudgetStatus()
+      }
+    });
+
+  } catch (error) {
+    console.error('[Usage] Error getting usage:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get usage',
+      message: error.message
+    });
+  }
+});
+
+export default router;
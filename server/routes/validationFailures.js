@@ -0,0 +1,93 @@
+/**
+ * Validation Failure Routes
+ * Model responses that failed their schema (see services/aiRepair.js)
+ */
+
+import { Router } from 'express';
+import { getValidationFailures, getValidationFailure } from '../database.js';
+
+const router = Router();
+
+/**
+ * Response payload for an ai_validation_failures row
+ * @param {Object} row - Row from getValidationFailure(s)
+ */
+function failureToData(row) {
+  return {
+    id: row.id,
+    task: row.task,
+    issues: row.issues,
+    response: row.response,
+    repaired: row.repaired,
+    repairIssues: row.repair_issues,
+    repairResponse: row.repair_response,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * GET /api/validation-failures
+ * Recent validation failures, newest first
+ *
+ * Query params:
+ *   task?: string            // solve | generate | verify | vision
+ *   repaired?: boolean       // true = fixed by the repair retry, false = still invalid
+ *   limit?: number           // Default 50
+ */
+router.get('/', (req, res) => {
+  try {
+    const { task, repaired } = req.query;
+
+    const failures = getValidationFailures({
+      task: task || null,
+      repaired: repaired === undefined ? null : repaired === 'true',
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 500)
+    });
+
+    res.json({
+      success: true,
+      data: failures.map(failureToData),
+      count: failures.length
+    });
+
+  } catch (error) {
+    console.error('[ValidationFailures] Error listing failures:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list validation failures',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/validation-failures/:id
+ * One validation failure with both responses
+ */
+router.get('/:id', (req, res) => {
+  try {
+    const failure = getValidationFailure(req.params.id);
+
+    if (!failure) {
+      return res.status(404).json({
+        success: false,
+        error: 'Validation failure not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: failureToData(failure)
+    });
+
+  } catch (error) {
+    console.error('[ValidationFailures] Error getting failure:', error.message);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to get validation failure',
+      message: error.message
+    });
+  }
+});
+
+export default router;
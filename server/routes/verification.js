@@ -21,9 +21,21 @@ import {
   getExamPages
 } from '../database.js';
 import { generateVerificationQuestions } from '../services/verificationGenerator.js';
+import { registerJobHandler, enqueueJob } from '../services/jobQueue.js';
+import { BudgetExceededError } from '../services/usageBudget.js';
 
 const router = Router();
 
+/**
+ * generate_verification job handler
+ * @param {Object} payload - { sessionId }
+ * @param {Object} ctx - Job context (see services/jobQueue.js)
+ */
+registerJobHandler('generate_verification', async ({ sessionId }, ctx) => {
+  const questions = await generateVerificationQuestions(sessionId, { signal: ctx.signal });
+  return { sessionId, questionCount: questions.length };
+});
+
 /**
  * POST /api/verification/sessions
  * Create a new verification session
@@ -124,19 +136,24 @@ router.post('/sessions/:id/generate', async (req, res) => {
       });
     }
 
-    // Respond immediately
+    // Generate in a background job (progress via the session status or GET /api/jobs/:jobId)
+    const job = enqueueJob('generate_verification', { sessionId: req.params.id }, { key: req.params.id });
+
     res.json({
       success: true,
       message: 'Generacion iniciada',
-      sessionId: req.params.id
-    });
-
-    // Generate in background
-    generateVerificationQuestions(req.params.id).catch(err => {
-      console.error('[Verification] Background generation error:', err);
+      sessionId: req.params.id,
+      jobId: job.id
     });
 
   } catch (error) {
+    if (error instanceof BudgetExceededError) {
+      return res.status(429).json({
+        success: false,
+        error: 'Presupuesto de IA agotado',
+        message: error.message
+      });
+    }
     console.error('[Verification] Error starting generation:', error);
     res.status(500).json({
       success: false,
@@ -0,0 +1,138 @@
+/**
+ * Validated completions with one repair retry
+ *
+ * Runs a completion, validates the text with the caller's validator and, if
+ * there are errors, asks the model once more with the errors listed. Every
+ * failed validation is stored in ai_validation_failures for inspection.
+ */
+
+import { complete, LlmCancelledError } from './llmProvider.js';
+import { recordValidationFailure } from '../database.js';
+
+// Previous response quoted back to the model in the repair prompt
+const MAX_QUOTED_RESPONSE_LENGTH = 6000;
+
+/**
+ * Builds the repair prompt: the original prompt, the rejected response and its errors
+ * @param {string} prompt - Original prompt
+ * @param {string} response - Response that failed validation
+ * @param {Array<string>} issues - Validation error lines
+ */
+function buildRepairPrompt(prompt, response, issues) {
+  const quoted = response.length > MAX_QUOTED_RESPONSE_LENGTH
+    ? response.substring(0, MAX_QUOTED_RESPONSE_LENGTH) + '\n[... respuesta truncada ...]'
+    : response;
+
+  return `${prompt}
+
+---
+
+Tu respuesta anterior no cumple el formato pedido.
+
+RESPUESTA ANTERIOR:
+${quoted}
+
+ERRORES DE VALIDACION:
+${issues.map(issue => `- ${issue}`).join('\n')}
+
+Corrige esos errores y responde de nuevo con la respuesta COMPLETA en el formato pedido, sin texto adicional.`;
+}
+
+/**
+ * Whether a validated value can be used at all (lists need at least one item)
+ */
+function isUsable(value) {
+  return value !== null && value !== undefined && !(Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Rank of a validation result: fewer errors is better, unusable is worst
+ */
+function rank(result) {
+  return isUsable(result.value) ? result.issues.length : Infinity;
+}
+
+/**
+ * Save a failure without letting a database error break the request
+ */
+function saveFailure(failure, logPrefix) {
+  try {
+    recordValidationFailure(failure);
+  } catch (error) {
+    console.error(logPrefix, 'Could not record validation failure:', error.message);
+  }
+}
+
+/**
+ * Run a completion and validate it, with one repair retry on validation errors
+ * @param {string} prompt - Prompt text
+ * @param {Object} options - complete() options (task, images, timeoutMs, logPrefix, onText, signal, subjectId), plus:
+ * @param {Function} options.validate - (text) => { value, issues }; value null (or []) when unusable
+ * @param {Function} options.onRepair - Called before the repair retry streams its text to onText (optional)
+ * @returns {Promise<{value: *, issues: Array<string>, text: string, model: string, usage: Object, repaired: boolean}>}
+ *   The better of the two responses; issues is empty when it fully validated
+ * @throws {LlmTimeoutError|LlmCancelledError} From the first call; the repair call only rethrows cancellation
+ */
+async function completeWithRepair(prompt, { validate, task = null, images = [], timeoutMs, logPrefix = '[LLM]', onText = null, onRepair = null, signal = null, subjectId = null } = {}) {
+  const first = await complete(prompt, { task, images, timeoutMs, logPrefix, onText, signal, subjectId });
+  const firstResult = validate(first.text);
+
+  if (firstResult.issues.length === 0) {
+    return { ...firstResult, text: first.text, model: first.model, usage: first.usage, repaired: false };
+  }
+
+  console.warn(logPrefix, `Response failed validation (${firstResult.issues.length} errors), retrying with repair prompt`);
+
+  let second = null;
+  let secondResult = null;
+  let repairError = null;
+
+  try {
+    onRepair?.();
+    second = await complete(buildRepairPrompt(prompt, first.text, firstResult.issues), {
+      task,
+      images,
+      timeoutMs,
+      logPrefix,
+      onText,
+      signal,
+      subjectId
+    });
+    secondResult = validate(second.text);
+  } catch (error) {
+    if (error instanceof LlmCancelledError) {
+      throw error;
+    }
+    console.error(logPrefix, 'Repair retry failed:', error.message);
+    repairError = error;
+  }
+
+  const repaired = secondResult !== null && secondResult.issues.length === 0 && isUsable(secondResult.value);
+
+  saveFailure({
+    task,
+    issues: firstResult.issues,
+    response: first.text,
+    repaired,
+    repairIssues: repairError ? [`Repair call failed: ${repairError.message}`] : secondResult.issues,
+    repairResponse: second?.text ?? null
+  }, logPrefix);
+
+  const usage = {
+    input: first.usage.input + (second?.usage.input || 0),
+    output: first.usage.output + (second?.usage.output || 0)
+  };
+
+  // Keep the repaired response only if it is better than the first one
+  if (secondResult && rank(secondResult) < rank(firstResult)) {
+    console.log(logPrefix, repaired ? 'Repair retry fixed the response' : 'Repair retry improved the response');
+    return { ...secondResult, text: second.text, model: second.model, usage, repaired };
+  }
+
+  return { ...firstResult, text: first.text, model: first.model, usage, repaired: false };
+}
+
+export {
+  completeWithRepair,
+  buildRepairPrompt
+};
@@ -0,0 +1,309 @@
+/**
+ * AI Output Schemas
+ * Shared zod schemas for everything parsed out of model responses
+ * (solutions, generated questions, verification questions, extracted pages)
+ * plus helpers that turn a schema failure into readable error lines.
+ * The error lines are what the repair retry feeds back to the model.
+ */
+
+import { z } from 'zod';
+import {
+  OPTION_LETTERS,
+  MIN_OPTIONS,
+  DEFAULT_LETTERS,
+  getOptionLetters,
+  getMissingLetters,
+  formatLetterList
+} from './answerOptions.js';
+import { normalizeTypedAnswer, QUESTION_TYPES } from './answerGrading.js';
+
+// Every letter an option can have (questions use 2 to 6 of them)
+const ANSWER_LETTERS = OPTION_LETTERS;
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+
+/**
+ * Error thrown when a model response does not match its schema
+ */
+class AiValidationError extends Error {
+  constructor(issues) {
+    super(issues.join('; '));
+    this.name = 'AiValidationError';
+    this.issues = issues;
+  }
+}
+
+// ============================================
+// SCHEMAS
+// ============================================
+
+const invalidField = (field) => ({ error: `Missing or invalid "${field}" field` });
+
+/**
+ * Answer letter, normalized to lowercase
+ * @param {string} field - Field name used in the error messages
+ * @param {Array<string>} letters - Accepted letters
+ */
+function answerLetter(field, letters = DEFAULT_LETTERS) {
+  return z.string(invalidField(field))
+    .trim()
+    .toLowerCase()
+    .min(1, invalidField(field))
+    .refine(value => letters.includes(value), {
+      error: (issue) => `Invalid ${field} "${issue.input}", must be ${formatLetterList(letters)}`
+    });
+}
+
+const OptionText = z.string().trim().min(1);
+
+/**
+ * Report options that leave a gap (a, b, d) or are fewer than MIN_OPTIONS
+ * @param {Object} options - Options object
+ * @param {Object} ctx - zod refinement context
+ * @param {Array} path - Issue path
+ * @param {string} hint - Appended to the message
+ */
+function checkOptionLetters(options, ctx, path = [], hint = '') {
+  const present = getOptionLetters(options);
+  const missing = getMissingLetters(options);
+  if (present.length + missing.length < MIN_OPTIONS) {
+    missing.push(...OPTION_LETTERS.slice(present.length + missing.length, MIN_OPTIONS));
+  }
+
+  if (missing.length > 0) {
+    ctx.addIssue({
+      code: 'custom',
+      path,
+      message: `Missing options ${missing.map(letter => `${letter})`).join(' ')}${hint}`
+    });
+  }
+}
+
+// 2 to 6 options with consecutive letters starting at a
+const OptionsSchema = z.object({
+  a: OptionText,
+  b: OptionText,
+  c: OptionText.optional(),
+  d: OptionText.optional(),
+  e: OptionText.optional(),
+  f: OptionText.optional()
+}).superRefine((options, ctx) => checkOptionLetters(options, ctx));
+
+/**
+ * Answer of a multiple-answer ("a,c") or numeric question, in canonical form
+ * @param {string} type - 'multiple' | 'numeric'
+ * @param {Array<string>} letters - Letters of the question's options
+ */
+function typedAnswer(type, letters) {
+  const expected = type === 'numeric'
+    ? 'must be a number'
+    : `must be one or more of ${formatLetterList(letters)} separated by commas`;
+
+  return z.union([z.string(), z.number(), z.array(z.string())], invalidField('answer'))
+    .transform((value, ctx) => {
+      const answer = normalizeTypedAnswer(value, type, letters);
+      if (answer === null) {
+        ctx.addIssue({ code: 'custom', message: `Invalid answer "${value}", ${expected}` });
+        return z.NEVER;
+      }
+      return answer;
+    });
+}
+
+/**
+ * Solution schema for a question answered with the given letters
+ * @param {Array<string>} letters - Letters of the question's options
+ * @param {string} questionType - 'single' | 'multiple' | 'numeric'
+ */
+function solutionSchemaFor(letters = DEFAULT_LETTERS, questionType = 'single') {
+  return z.object({
+    answer: questionType === 'single' ? answerLetter('answer', letters) : typedAnswer(questionType, letters),
+    explanation: z.string(invalidField('explanation')).min(1, invalidField('explanation')),
+    wrongOptions: z.record(z.string(), z.string()).nullish().transform(value => value || {})
+  });
+}
+
+// Solution returned by claudeService.solveQuestion (see RESPONSE_FORMAT there)
+const SolutionSchema = solutionSchemaFor(DEFAULT_LETTERS);
+
+// Question created by questionGenerator (extra fields such as basedOn are kept)
+const GeneratedQuestionSchema = z.looseObject({
+  content: z.string().trim().min(1),
+  options: OptionsSchema,
+  correctAnswer: answerLetter('correctAnswer', ANSWER_LETTERS),
+  explanation: z.string().min(1),
+  wrongExplanations: z.record(z.string(), z.string()).nullish(),
+  difficulty: z.enum(DIFFICULTIES).catch('medium')
+}).superRefine((question, ctx) => {
+  const letters = getOptionLetters(question.options);
+  if (!letters.includes(question.correctAnswer)) {
+    ctx.addIssue({
+      code: 'custom',
+      path: ['correctAnswer'],
+      message: `Invalid correctAnswer "${question.correctAnswer}", must be ${formatLetterList(letters)}`
+    });
+  }
+});
+
+// Open question created by verificationGenerator (optional fields fall back to defaults)
+const VerificationQuestionSchema = z.object({
+  content: z.string().trim().min(1),
+  expectedAnswer: z.string().catch(''),
+  criteria: z.array(z.string()).catch([]),
+  section: z.string().min(1).catch('general'),
+  difficulty: z.enum(DIFFICULTIES).catch('medium')
+});
+
+// Concept tags proposed for one question by questionTagger
+const QuestionTagsSchema = z.object({
+  questionId: z.string().trim().min(1),
+  tags: z.array(z.string().trim().max(60).regex(/[\p{L}\p{N}]/u, { error: 'Empty tag name' })).min(1, { error: 'At least one tag is required' })
+});
+
+// Question block parsed from a Vision page (visionService.parseExtractedQuestions).
+// A question cut off by the page edge ([INCOMPLETO]) may lack options, and
+// numeric questions ([NUMERICA]) have none.
+const ExtractedQuestionSchema = z.object({
+  questionNumber: z.number().int().positive(),
+  normalizedContent: z.string().trim().min(1, { error: 'Empty question text' }),
+  options: z.record(z.string(), z.string()).nullable(),
+  questionType: z.enum(QUESTION_TYPES).optional(),
+  isIncomplete: z.boolean()
+}).superRefine((question, ctx) => {
+  if (question.isIncomplete || question.questionType === 'numeric') return;
+
+  checkOptionLetters(question.options, ctx, ['options'], ' (mark cut-off questions with [INCOMPLETO])');
+});
+
+// ============================================
+// HELPERS
+// ============================================
+
+/**
+ * Readable lines for a zod error
+ * @param {z.ZodError} error - Error from safeParse
+ * @param {string} prefix - Prepended to every line (e.g. "Item 2")
+ * @returns {Array<string>}
+ */
+function formatIssues(error, prefix = '') {
+  return error.issues.map(issue => {
+    const location = [prefix, issue.path.join('.')].filter(Boolean).join(' ');
+    return location ? `${location}: ${issue.message}` : issue.message;
+  });
+}
+
+/**
+ * Pull the JSON object or array out of a free-text response
+ * (tolerates ```json fences and text around it)
+ * @param {string} text - Model response
+ * @param {string} shape - 'object' | 'array'
+ * @throws {AiValidationError} When no JSON of that shape is found or it does not parse
+ */
+function extractJson(text, shape = 'object') {
+  let cleaned = (text || '').trim();
+
+  // Remove ```json ... ``` wrapper if present
+  const jsonBlockMatch = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
+  if (jsonBlockMatch) {
+    cleaned = jsonBlockMatch[1].trim();
+  }
+
+  const jsonMatch = shape === 'array'
+    ? cleaned.match(/\[[\s\S]*\]/)
+    : cleaned.match(/\{[\s\S]*\}/);
+  if (!jsonMatch) {
+    throw new AiValidationError([`No JSON ${shape} found in response`]);
+  }
+
+  try {
+    return JSON.parse(jsonMatch[0]);
+  } catch (error) {
+    throw new AiValidationError([`Invalid JSON: ${error.message}`]);
+  }
+}
+
+/**
+ * Validate one value against a schema
+ * @returns {{value: *, issues: Array<string>}} value is null when invalid
+ */
+function validateWith(schema, data) {
+  const result = schema.safeParse(data);
+  return result.success
+    ? { value: result.data, issues: [] }
+    : { value: null, issues: formatIssues(result.error) };
+}
+
+/**
+ * Validate every item of a list; invalid items are dropped and reported
+ * @param {z.ZodType} schema - Item schema
+ * @param {Array} items - Items to check
+ * @param {Function} label - (item, index) => prefix for the item's error lines
+ * @returns {{value: Array, issues: Array<string>}}
+ */
+function validateEach(schema, items, label = (item, index) => `Item ${index + 1}`) {
+  if (!Array.isArray(items)) {
+    return { value: [], issues: ['Expected a JSON array'] };
+  }
+
+  const value = [];
+  const issues = [];
+
+  items.forEach((item, index) => {
+    const result = schema.safeParse(item);
+    if (result.success) {
+      value.push(result.data);
+    } else {
+      issues.push(...formatIssues(result.error, label(item, index)));
+    }
+  });
+
+  return { value, issues };
+}
+
+/**
+ * Extract and validate a JSON object response
+ * @returns {{value: Object|null, issues: Array<string>}}
+ */
+function validateJsonObject(schema, text) {
+  try {
+    return validateWith(schema, extractJson(text, 'object'));
+  } catch (error) {
+    if (error instanceof AiValidationError) {
+      return { value: null, issues: error.issues };
+    }
+    throw error;
+  }
+}
+
+/**
+ * Extract and validate a JSON array response item by item
+ * @returns {{value: Array, issues: Array<string>}}
+ */
+function validateJsonArray(schema, text) {
+  try {
+    return validateEach(schema, extractJson(text, 'array'));
+  } catch (error) {
+    if (error instanceof AiValidationError) {
+      return { value: [], issues: error.issues };
+    }
+    throw error;
+  }
+}
+
+export {
+  AiValidationError,
+  SolutionSchema,
+  solutionSchemaFor,
+  GeneratedQuestionSchema,
+  VerificationQuestionSchema,
+  ExtractedQuestionSchema,
+  QuestionTagsSchema,
+  OptionsSchema,
+  ANSWER_LETTERS,
+  DIFFICULTIES,
+  formatIssues,
+  extractJson,
+  validateWith,
+  validateEach,
+  validateJsonObject,
+  validateJsonArray
+};
@@ -0,0 +1,458 @@
+/**
+ * Anki Export
+ * Builds Anki decks from export items (see services/bankItems.js):
+ *   apkg - Anki package (zip with a schema 11 collection), imported with File > Import
+ *   csv  - Tab separated text with Anki's file headers (Anki 2.1.55+)
+ *
+ * Every note gets a GUID and IDs derived from the question id, so importing
+ * a later export of the same questions updates the notes instead of adding
+ * copies (and keeps the review history).
+ */
+
+import { createHash } from 'crypto';
+import { deflateRawSync } from 'zlib';
+import Database from 'better-sqlite3';
+import { getOptionLetters } from './answerOptions.js';
+
+const ANKI_FORMATS = ['apkg', 'csv'];
+
+// Note type of the exported cards; its name and fields must not change
+// between exports or Anki treats the notes as a different type
+const MODEL_NAME = 'Exam App - Pregunta';
+const MODEL_FIELDS = ['Front', 'Back'];
+
+const CARD_CSS = `.card {
+  font-family: -apple-system, 'Segoe UI', Roboto, sans-serif;
+  font-size: 18px;
+  text-align: left;
+  color: #1a1a1a;
+  background-color: #ffffff;
+}
+.option { margin: 6px 0; }
+.question-hint, .topic { color: #6b6b6b; font-size: 14px; }
+.answer { margin-bottom: 12px; }
+.explanation { margin-bottom: 12px; }
+.wrong-option { color: #6b6b6b; font-size: 15px; margin: 4px 0; }`;
+
+// ============================================
+// Card Contents
+// ============================================
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Question markdown as card HTML (bold, italics and line breaks)
+ */
+function toCardHtml(text) {
+  return escapeHtml(text || '')
+    .replace(/\*\*(.+?)\*\*/g, '<b>$1</b>')
+    .replace(/(^|[^*])\*([^*\n]+)\*/g, '$1<i>$2</i>')
+    .replace(/\t/g, ' ')
+    .replace(/\r?\n/g, '<br>');
+}
+
+function describeCorrectAnswer(item) {
+  if (item.questionType === 'numeric') {
+    return item.tolerance ? `${item.answer} (&plusmn; ${item.tolerance})` : item.answer;
+  }
+  return item.answer.split(',')
+    .map(letter => `${letter}) ${toCardHtml(item.options[letter])}`)
+    .join('<br>');
+}
+
+/**
+ * Front of the card: statement and options
+ * @param {Object} item - Export item
+ */
+function buildFront(item) {
+  const parts = [`<div class="question">${toCardHtml(item.content)}</div>`];
+
+  if (item.questionType === 'multiple') {
+    parts.push('<div class="question-hint">(Puede haber varias respuestas correctas)</div>');
+  } else if (item.questionType === 'numeric') {
+    parts.push('<div class="question-hint">(Respuesta numerica)</div>');
+  }
+
+  for (const letter of getOptionLetters(item.options)) {
+    parts.push(`<div class="option"><b>${letter})</b> ${toCardHtml(item.options[letter])}</div>`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Back of the card: correct answer, explanation and why each wrong option is wrong
+ * @param {Object} item - Export item
+ */
+function buildBack(item) {
+  if (item.answer === null) {
+    return '<div class="answer">Sin solucion todavia: resuelvela en la app y vuelve a exportar.</div>';
+  }
+
+  const parts = [`<div class="answer">Respuesta correcta:<br><b>${describeCorrectAnswer(item)}</b></div>`];
+
+  if (item.explanation) {
+    parts.push(`<div class="explanation">${toCardHtml(item.explanation)}</div>`);
+  }
+
+  for (const [letter, reason] of Object.entries(item.wrongOptions || {})) {
+    if (!reason) continue;
+    parts.push(`<div class="wrong-option"><b>${letter})</b> ${toCardHtml(reason)}</div>`);
+  }
+
+  return parts.join('\n');
+}
+
+/**
+ * Anki tag (no spaces)
+ */
+function toTag(text) {
+  return String(text).trim().replace(/\s+/g, '_');
+}
+
+/**
+ * Notes for a set of export items
+ * @param {Array<Object>} items - Export items
+ * @param {string} subjectId - Subject, used as tag and as prefix of the topic tags
+ * @returns {Array<{guid, key, front, back, tags}>}
+ */
+function buildNotes(items, subjectId) {
+  return items.map(item => ({
+    guid: stableHash(`note:${item.name}`).substring(0, 16),
+    key: item.name,
+    front: buildFront(item),
+    back: buildBack(item),
+    tags: [toTag(subjectId), ...(item.topic ? [`${toTag(subjectId)}::${toTag(item.topic)}`] : [])]
+  }));
+}
+
+// ============================================
+// Stable IDs
+// ============================================
+
+function stableHash(text) {
+  return createHash('sha1').update(text).digest('hex');
+}
+
+/**
+ * Positive integer ID that is the same on every export (fits in 52 bits)
+ */
+function stableId(text) {
+  return parseInt(stableHash(text).substring(0, 13), 16);
+}
+
+/**
+ * Anki's note checksum: first 8 hex digits of the SHA1 of the sort field without HTML
+ */
+function fieldChecksum(html) {
+  return parseInt(stableHash(stripHtml(html)).substring(0, 8), 16);
+}
+
+function stripHtml(html) {
+  return html.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// ============================================
+// CSV
+// ============================================
+
+/**
+ * Anki text import file: guid, front, back and tags columns
+ * @param {Array<Object>} items - Export items
+ * @param {Object} options - { subjectId, deckName }
+ */
+function toAnkiCsv(items, { subjectId, deckName }) {
+  const clean = (html) => html.replace(/[\t\r\n]+/g, ' ');
+  const lines = [
+    '#separator:tab',
+    '#html:true',
+    '#notetype:Basic',
+    `#deck:${deckName}`,
+    '#guid column:1',
+    '#tags column:4'
+  ];
+
+  for (const note of buildNotes(items, subjectId)) {
+    lines.push([note.guid, clean(note.front), clean(note.back), note.tags.join(' ')].join('\t'));
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+// ============================================
+// APKG
+// ============================================
+
+const COLLECTION_SCHEMA = `
+CREATE TABLE col (
+  id integer primary key, crt integer not null, mod integer not null, scm integer not null,
+  ver integer not null, dty integer not null, usn integer not null, ls integer not null,
+  conf text not null, models text not null, decks text not null, dconf text not null, tags text not null
+);
+CREATE TABLE notes (
+  id integer primary key, guid text not null, mid integer not null, mod integer not null,
+  usn integer not null, tags text not null, flds text not null, sfld integer not null,
+  csum integer not null, flags integer not null, data text not null
+);
+CREATE TABLE cards (
+  id integer primary key, nid integer not null, did integer not null, ord integer not null,
+  mod integer not null, usn integer not null, type integer not null, queue integer not null,
+  due integer not null, ivl integer not null, factor integer not null, reps integer not null,
+  lapses integer not null, left integer not null, odue integer not null, odid integer not null,
+  flags integer not null, data text not null
+);
+CREATE TABLE revlog (
+  id integer primary key, cid integer not null, usn integer not null, ease integer not null,
+  ivl integer not null, lastIvl integer not null, factor integer not null, time integer not null,
+  type integer not null
+);
+CREATE TABLE graves (usn integer not null, oid integer not null, type integer not null);
+CREATE INDEX ix_notes_usn ON notes (usn);
+CREATE INDEX ix_cards_usn ON cards (usn);
+CREATE INDEX ix_revlog_usn ON revlog (usn);
+CREATE INDEX ix_cards_nid ON cards (nid);
+CREATE INDEX ix_cards_sched ON cards (did, queue, due);
+CREATE INDEX ix_revlog_cid ON revlog (cid);
+CREATE INDEX ix_notes_csum ON notes (csum);
+`;
+
+function deckJson(id, name, now) {
+  return {
+    id,
+    name,
+    desc: '',
+    conf: 1,
+    dyn: 0,
+    collapsed: false,
+    extendNew: 10,
+    extendRev: 50,
+    mod: now,
+    usn: -1,
+    newToday: [0, 0],
+    revToday: [0, 0],
+    lrnToday: [0, 0],
+    timeToday: [0, 0]
+  };
+}
+
+const DEFAULT_DECK_CONFIG = {
+  1: {
+    id: 1,
+    name: 'Default',
+    autoplay: true,
+    maxTaken: 60,
+    mod: 0,
+    replayq: true,
+    timer: 0,
+    usn: 0,
+    new: { bury: true, delays: [1, 10], initialFactor: 2500, ints: [1, 4, 7], order: 1, perDay: 20, separate: true },
+    rev: { bury: true, ease4: 1.3, fuzz: 0.05, ivlFct: 1, maxIvl: 36500, minSpace: 1, perDay: 100 },
+    lapse: { delays: [10], leechAction: 0, leechFails: 8, minInt: 1, mult: 0 }
+  }
+};
+
+function modelJson(id, deckId, now) {
+  return {
+    id,
+    name: MODEL_NAME,
+    type: 0,
+    mod: now,
+    usn: -1,
+    did: deckId,
+    sortf: 0,
+    css: CARD_CSS,
+    flds: MODEL_FIELDS.map((name, ord) => ({ name, ord, font: 'Arial', size: 20, media: [], rtl: false, sticky: false })),
+    tmpls: [{
+      name: 'Tarjeta 1',
+      ord: 0,
+      qfmt: '{{Front}}',
+      afmt: '{{FrontSide}}\n\n<hr id=answer>\n\n{{Back}}',
+      bqfmt: '',
+      bafmt: '',
+      did: null
+    }],
+    req: [[0, 'any', [0]]],
+    tags: [],
+    vers: [],
+    latexPre: '\\documentclass[12pt]{article}\n\\special{papersize=3in,5in}\n\\usepackage[utf8]{inputenc}\n\\usepackage{amssymb,amsmath}\n\\pagestyle{empty}\n\\setlength{\\parindent}{0in}\n\\begin{document}\n',
+    latexPost: '\\end{document}'
+  };
+}
+
+/**
+ * Anki collection (SQLite database file) with one deck of notes
+ * @returns {Buffer}
+ */
+function buildCollection(notes, deckName) {
+  const now = Math.floor(Date.now() / 1000);
+  const deckId = stableId(`deck:${deckName}`);
+  const modelId = stableId(`model:${MODEL_NAME}`);
+
+  const collection = new Database(':memory:');
+  try {
+    collection.exec(COLLECTION_SCHEMA);
+
+    const conf = {
+      nextPos: notes.length + 1,
+      estTimes: true,
+      activeDecks: [deckId],
+      sortType: 'noteFld',
+      timeLim: 0,
+      sortBackwards: false,
+      addToCur: true,
+      curDeck: deckId,
+      newSpread: 0,
+      dueCounts: true,
+      curModel: String(modelId),
+      collapseTime: 1200
+    };
+
+    collection.prepare(`
+      INSERT INTO col (id, crt, mod, scm, ver, dty, usn, ls, conf, models, decks, dconf, tags)
+      VALUES (1, ?, ?, ?, 11, 0, 0, 0, ?, ?, ?, ?, '{}')
+    `).run(
+      now,
+      now * 1000,
+      now * 1000,
+      JSON.stringify(conf),
+      JSON.stringify({ [modelId]: modelJson(modelId, deckId, now) }),
+      JSON.stringify({ 1: deckJson(1, 'Default', now), [deckId]: deckJson(deckId, deckName, now) }),
+      JSON.stringify(DEFAULT_DECK_CONFIG)
+    );
+
+    const insertNote = collection.prepare(`
+      INSERT INTO notes (id, guid, mid, mod, usn, tags, flds, sfld, csum, flags, data)
+      VALUES (?, ?, ?, ?, -1, ?, ?, ?, ?, 0, '')
+    `);
+    const insertCard = collection.prepare(`
+      INSERT INTO cards (id, nid, did, ord, mod, usn, type, queue, due, ivl, factor, reps, lapses, left, odue, odid, flags, data)
+      VALUES (?, ?, ?, 0, ?, -1, 0, 0, ?, 0, 0, 0, 0, 0, 0, 0, 0, '')
+    `);
+
+    notes.forEach((note, index) => {
+      const noteId = stableId(`note:${note.key}`);
+      insertNote.run(
+        noteId,
+        note.guid,
+        modelId,
+        now,
+        ` ${note.tags.join(' ')} `,
+        [note.front, note.back].join('\x1f'),
+        stripHtml(note.front),
+        fieldChecksum(note.front)
+      );
+      insertCard.run(stableId(`card:${note.key}`), noteId, deckId, now, index + 1);
+    });
+
+    return collection.serialize();
+  } finally {
+    collection.close();
+  }
+}
+
+// CRC-32 lookup table (zlib's crc32 needs Node 20.15+)
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 of a buffer, as stored in zip entries
+ * @param {Buffer} data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(data) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip archive of the given files (deflate, no directories)
+ * @param {Array<{name: string, data: Buffer}>} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const DOS_DATE = 0x21; // 1980-01-01, entries carry no real timestamp
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf-8');
+    const compressed = deflateRawSync(file.data);
+    const checksum = crc32(file.data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt16LE(DOS_DATE, 12);
+    local.writeUInt32LE(checksum, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(file.data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt16LE(DOS_DATE, 14);
+    central.writeUInt32LE(checksum, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(file.data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Anki package with one deck
+ * @param {Array<Object>} items - Export items
+ * @param {Object} options - { subjectId, deckName }
+ * @returns {Buffer} .apkg file
+ */
+function toApkg(items, { subjectId, deckName }) {
+  const collection = buildCollection(buildNotes(items, subjectId), deckName);
+  return createZip([
+    { name: 'collection.anki2', data: collection },
+    // Media manifest: the cards only carry text
+    { name: 'media', data: Buffer.from('{}') }
+  ]);
+}
+
+export {
+  ANKI_FORMATS,
+  buildNotes,
+  buildFront,
+  buildBack,
+  toAnkiCsv,
+  toApkg,
+  createZip
+};
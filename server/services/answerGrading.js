@@ -0,0 +1,159 @@
+/**
+ * Answer Grading
+ * Question types and how their answers are written, checked and graded.
+ * Answers are stored as text everywhere (attempts, solutions_cache,
+ * official_answers), in a canonical form per type:
+ *   single   - one option letter: "b"
+ *   multiple - every correct letter, in order, comma separated: "a,c"
+ *   numeric  - a decimal number: "1250", "0.25"
+ */
+
+import { getAnswerLetters, formatLetterList } from './answerOptions.js';
+
+const QUESTION_TYPES = ['single', 'multiple', 'numeric'];
+const DEFAULT_QUESTION_TYPE = 'single';
+
+// Rounding slack when comparing numeric answers
+const NUMERIC_EPSILON = 1e-9;
+
+/**
+ * Type of a question ('single' when unset or unknown)
+ * @param {Object} question - Question row ({ question_type })
+ */
+function getQuestionType(question) {
+  return QUESTION_TYPES.includes(question?.question_type) ? question.question_type : DEFAULT_QUESTION_TYPE;
+}
+
+/**
+ * Canonical form of a number written as a number or text ("12,5" is accepted)
+ * @param {number|string} value - Answer
+ * @returns {string|null} null when it is not a number
+ */
+function normalizeNumber(value) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? String(value) : null;
+  }
+  if (typeof value !== 'string') return null;
+
+  let text = value.trim().replace(/\s+/g, '');
+  // Decimal comma, as written in Spanish exams
+  if (text.includes(',') && !text.includes('.')) {
+    text = text.replace(',', '.');
+  }
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(text)) return null;
+
+  return String(Number(text));
+}
+
+/**
+ * Canonical form of a set of letters ("a, c", "ac" or ['a', 'c'])
+ * @param {string|Array<string>} value - Answer
+ * @param {Array<string>} letters - Letters of the question
+ * @returns {string|null} null when empty or a letter is not an option
+ */
+function normalizeLetterSet(value, letters) {
+  let picked;
+  if (Array.isArray(value)) {
+    picked = value.map(letter => (typeof letter === 'string' ? letter.trim().toLowerCase() : ''));
+  } else if (typeof value === 'string') {
+    picked = value.toLowerCase().replace(/[\s,;]+/g, '').split('');
+  } else {
+    return null;
+  }
+
+  if (picked.length === 0 || picked.some(letter => !letters.includes(letter))) return null;
+
+  return letters.filter(letter => picked.includes(letter)).join(',');
+}
+
+/**
+ * Canonical form of an answer of a given type
+ * @param {*} answer - Letter, letters or number
+ * @param {string} type - Question type
+ * @param {Array<string>} letters - Option letters (ignored for numeric questions)
+ * @returns {string|null} null when the answer is not valid
+ */
+function normalizeTypedAnswer(answer, type, letters) {
+  if (type === 'numeric') {
+    return normalizeNumber(answer);
+  }
+
+  if (type === 'multiple') {
+    return normalizeLetterSet(answer, letters);
+  }
+
+  if (typeof answer !== 'string') return null;
+  const letter = answer.trim().toLowerCase();
+  return letters.includes(letter) ? letter : null;
+}
+
+/**
+ * Canonical form of an answer to a question
+ * @param {*} answer - Letter, letters or number, depending on the question type
+ * @param {Object} question - Question row ({ question_type, options }); null is a single-answer a-d question
+ * @returns {string|null} null when the answer is not valid for the question
+ */
+function normalizeAnswer(answer, question = null) {
+  return normalizeTypedAnswer(answer, getQuestionType(question), getAnswerLetters(question?.options));
+}
+
+/**
+ * What a valid answer looks like, for error messages ("must be ...")
+ * @param {Object} question - Question row
+ */
+function describeAnswerFormat(question = null) {
+  const type = getQuestionType(question);
+  if (type === 'numeric') {
+    return 'a number';
+  }
+
+  const letters = formatLetterList(getAnswerLetters(question?.options));
+  return type === 'multiple'
+    ? `one or more of ${letters} (e.g. "a,c")`
+    : letters;
+}
+
+/**
+ * Grade an answer against the correct one
+ * - single: 1 or 0
+ * - multiple: partial credit, (right picks - wrong picks) / right options, never below 0
+ * - numeric: 1 when within question.answer_tolerance (absolute, default exact)
+ * @param {*} userAnswer - Answer given
+ * @param {*} correctAnswer - Correct answer
+ * @param {Object} question - Question row ({ question_type, options, answer_tolerance })
+ * @returns {{score: number, isCorrect: boolean}}
+ */
+function gradeAnswer(userAnswer, correctAnswer, question = null) {
+  const type = getQuestionType(question);
+  const given = normalizeAnswer(userAnswer, question);
+  const expected = normalizeAnswer(correctAnswer, question);
+
+  let score = 0;
+  if (given !== null && expected !== null) {
+    if (type === 'numeric') {
+      const tolerance = Math.abs(question?.answer_tolerance || 0);
+      score = Math.abs(Number(given) - Number(expected)) <= tolerance + NUMERIC_EPSILON ? 1 : 0;
+    } else if (type === 'multiple') {
+      const picked = given.split(',');
+      const right = expected.split(',');
+      const hits = picked.filter(letter => right.includes(letter)).length;
+      const misses = picked.length - hits;
+      score = Math.max(0, (hits - misses) / right.length);
+    } else {
+      score = given === expected ? 1 : 0;
+    }
+  }
+
+  return { score, isCorrect: score === 1 };
+}
+
+export {
+  QUESTION_TYPES,
+  DEFAULT_QUESTION_TYPE,
+  getQuestionType,
+  normalizeNumber,
+  normalizeTypedAnswer,
+  normalizeAnswer,
+  describeAnswerFormat,
+  gradeAnswer
+};
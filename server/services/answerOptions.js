@@ -0,0 +1,119 @@
+/**
+ * Answer Options
+ * Option sets of test questions: 2 to 6 lettered options (a-f). True/false
+ * items are two-option questions with the fixed texts Verdadero / Falso.
+ * Everything that validates, prints or grades an answer letter goes through
+ * these helpers instead of assuming a, b, c and d.
+ */
+
+const OPTION_LETTERS = ['a', 'b', 'c', 'd', 'e', 'f'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = OPTION_LETTERS.length;
+
+// Letters assumed when the question's options are not known
+const DEFAULT_LETTERS = ['a', 'b', 'c', 'd'];
+
+const TRUE_FALSE_OPTIONS = { a: 'Verdadero', b: 'Falso' };
+
+/**
+ * Letters with text in an options object, in order
+ * @param {Object} options - { a: '...', b: '...', ... } (null/empty values are skipped)
+ * @returns {Array<string>}
+ */
+function getOptionLetters(options) {
+  if (!options) return [];
+  return OPTION_LETTERS.filter(letter => typeof options[letter] === 'string' && options[letter].trim());
+}
+
+/**
+ * Letters a question can be answered with (DEFAULT_LETTERS when its options are unknown)
+ * @param {Object} options - Question options
+ */
+function getAnswerLetters(options) {
+  const letters = getOptionLetters(options);
+  return letters.length >= MIN_OPTIONS ? letters : DEFAULT_LETTERS;
+}
+
+/**
+ * Whether an answer letter is valid for a question
+ * @param {string} answer - Answer letter (any case)
+ * @param {Object} options - Question options; null accepts any of a-f
+ */
+function isValidAnswer(answer, options = null) {
+  if (typeof answer !== 'string') return false;
+  const letters = options ? getAnswerLetters(options) : OPTION_LETTERS;
+  return letters.includes(answer.trim().toLowerCase());
+}
+
+/**
+ * Letters of the "a) text" option lines in a question text (as built by
+ * claudeService.buildQuestionText). Only the run that starts at a counts.
+ * @param {string} text - Question text or prompt
+ * @returns {Array<string>} DEFAULT_LETTERS when fewer than MIN_OPTIONS are found
+ */
+function getTextOptionLetters(text) {
+  const found = new Set([...(text || '').matchAll(/^([a-f])\)\s/gm)].map(match => match[1]));
+  const letters = [];
+  for (const letter of OPTION_LETTERS) {
+    if (!found.has(letter)) break;
+    letters.push(letter);
+  }
+  return letters.length >= MIN_OPTIONS ? letters : DEFAULT_LETTERS;
+}
+
+/**
+ * Letters missing before the last one present (e.g. a, b, d -> ['c'])
+ * @param {Object} options - Question options
+ */
+function getMissingLetters(options) {
+  const letters = getOptionLetters(options);
+  if (letters.length === 0) return [];
+  const last = OPTION_LETTERS.indexOf(letters[letters.length - 1]);
+  return OPTION_LETTERS.slice(0, last + 1).filter(letter => !letters.includes(letter));
+}
+
+/**
+ * Whether the options are a true/false pair
+ * @param {Object} options - Question options
+ */
+function isTrueFalse(options) {
+  const letters = getOptionLetters(options);
+  return letters.length === 2 &&
+    options.a.trim().toLowerCase() === 'verdadero' &&
+    options.b.trim().toLowerCase() === 'falso';
+}
+
+/**
+ * "a, b, c, or d" style list for messages
+ * @param {Array<string>} letters - Letters to list
+ */
+function formatLetterList(letters) {
+  if (letters.length <= 2) return letters.join(' or ');
+  return `${letters.slice(0, -1).join(', ')}, or ${letters[letters.length - 1]}`;
+}
+
+/**
+ * Options as "a) text" lines, in letter order
+ * @param {Object} options - Question options
+ */
+function formatOptionLines(options) {
+  return getOptionLetters(options)
+    .map(letter => `${letter}) ${options[letter]}`)
+    .join('\n');
+}
+
+export {
+  OPTION_LETTERS,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  DEFAULT_LETTERS,
+  TRUE_FALSE_OPTIONS,
+  getOptionLetters,
+  getAnswerLetters,
+  isValidAnswer,
+  getTextOptionLetters,
+  getMissingLetters,
+  isTrueFalse,
+  formatLetterList,
+  formatOptionLines
+};
@@ -0,0 +1,61 @@
+/**
+ * Bank Items
+ * Stored questions as self-contained export items, shared by the
+ * question bank exports (Moodle, Anki):
+ * { name, topic, content, options, questionType, tolerance, answer, explanation, wrongOptions }
+ */
+
+import { getCachedSolution, getOfficialAnswer } from '../database.js';
+import { buildQuestionStem } from '../claudeService.js';
+import { getQuestionType, normalizeAnswer } from './answerGrading.js';
+
+/**
+ * Export item for a stored question
+ * The answer is the official key, or Claude's cached answer without one.
+ * Feedback comes from the cached solution only when it argues for that answer.
+ * @param {Object} question - Row from getQuestionsBySubject (with parent context)
+ * @returns {Object} answer is null when the question has no known answer
+ */
+function toBankItem(question) {
+  const solution = getCachedSolution(question.id);
+  const answer = normalizeAnswer(getOfficialAnswer(question.id)?.answer ?? solution?.correct_answer, question);
+  const feedback = answer !== null && solution && normalizeAnswer(solution.correct_answer, question) === answer
+    ? solution
+    : null;
+
+  return {
+    name: question.id,
+    topic: question.topic,
+    content: buildQuestionStem(question),
+    options: question.options,
+    questionType: getQuestionType(question),
+    tolerance: question.answer_tolerance ?? null,
+    answer,
+    explanation: feedback?.explanation || null,
+    wrongOptions: feedback?.wrong_options || {}
+  };
+}
+
+/**
+ * Export item for a question of a generated test session
+ * @param {Object} question - Row from getGeneratedQuestionsBySession
+ * @param {string} topic - Topic to file it under (optional)
+ */
+function toGeneratedBankItem(question, topic = null) {
+  return {
+    name: question.id,
+    topic,
+    content: question.content,
+    options: question.options,
+    questionType: 'single',
+    tolerance: null,
+    answer: normalizeAnswer(question.correct_answer, question),
+    explanation: question.explanation || null,
+    wrongOptions: question.wrongExplanations || {}
+  };
+}
+
+export {
+  toBankItem,
+  toGeneratedBankItem
+};
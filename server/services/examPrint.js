@@ -0,0 +1,412 @@
+/**
+ * Exam Print
+ * Printable mock exams in the layout of UNED paper exams, from export items
+ * (see services/bankItems.js):
+ *   exam - Header with student data and instructions, numbered questions
+ *          and an answer sheet grid on its own page
+ *   key  - Answer grid and, per question, the answer with its explanation
+ *
+ * Uses the standard PDF fonts (no font files): characters they cannot draw
+ * (Greek letters, relational algebra symbols...) are written out in ASCII.
+ */
+
+import { PDFDocument, StandardFonts, PageSizes, rgb } from 'pdf-lib';
+import { getOptionLetters } from './answerOptions.js';
+
+const PRINT_DOCUMENTS = ['exam', 'key'];
+
+const [PAGE_WIDTH, PAGE_HEIGHT] = PageSizes.A4;
+const MARGIN = 50;
+const CONTENT_WIDTH = PAGE_WIDTH - 2 * MARGIN;
+const FOOTER_Y = 30;
+
+const TEXT_SIZE = 10;
+const LINE_GAP = 3;
+const BLACK = rgb(0, 0, 0);
+const GREY = rgb(0.4, 0.4, 0.4);
+
+// Answer sheet: rows per column and size of each answer box
+const SHEET_ROWS = 25;
+const BOX_SIZE = 12;
+
+// Answers per line in the grid of the answer key
+const KEY_GRID_COLUMNS = 6;
+
+const DEFAULT_INSTRUCTIONS = {
+  duration: '2 horas',
+  material: 'Ninguno'
+};
+
+// Symbols common in the question banks that the standard fonts lack
+const SYMBOL_FALLBACKS = {
+  'σ': 'sigma', 'π': 'pi', 'ρ': 'rho', 'γ': 'gamma', 'δ': 'delta', 'λ': 'lambda', 'α': 'alfa', 'β': 'beta',
+  'Σ': 'Sigma', 'Π': 'Pi', 'Δ': 'Delta',
+  '⋈': '|x|', '⟕': '=|x|', '⟖': '|x|=', '⟗': '=|x|=',
+  '∪': 'U', '∩': 'n', '−': '-', '∈': 'en', '∉': 'no en', '⊆': 'subconjunto de', '⊂': 'subconjunto de',
+  '∅': '{}', '∧': 'AND', '∨': 'OR', '¬': 'NOT', '∀': 'para todo', '∃': 'existe',
+  '→': '->', '←': '<-', '↔': '<->', '⇒': '=>', '⇔': '<=>',
+  '≤': '<=', '≥': '>=', '≠': '!=', '≈': '~', '∞': 'inf', '√': 'raiz', '⌈': 'ceil(', '⌉': ')', '⌊': 'floor(', '⌋': ')'
+};
+
+// ============================================
+// Text
+// ============================================
+
+// Code points each embedded font can draw
+const fontCharacters = new WeakMap();
+
+/**
+ * Text the font can draw: markdown marks removed, symbols spelled out,
+ * anything else unsupported replaced with "?"
+ */
+function toPrintable(text, font) {
+  if (!fontCharacters.has(font)) {
+    fontCharacters.set(font, new Set(font.getCharacterSet()));
+  }
+  const supported = fontCharacters.get(font);
+  const plain = String(text ?? '')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\t/g, '    ')
+    .replace(/\r/g, '');
+
+  let result = '';
+  for (const char of plain) {
+    if (char === '\n' || supported.has(char.codePointAt(0))) {
+      result += char;
+    } else {
+      result += SYMBOL_FALLBACKS[char] ?? '?';
+    }
+  }
+  return result;
+}
+
+/**
+ * Lines of at most maxWidth points (words longer than a line are cut)
+ */
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of text.split('\n')) {
+    let line = '';
+    for (const word of paragraph.split(/ +/)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) {
+        line = candidate;
+        continue;
+      }
+      if (line) lines.push(line);
+
+      let rest = word;
+      while (font.widthOfTextAtSize(rest, size) > maxWidth) {
+        let cut = rest.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(rest.substring(0, cut), size) > maxWidth) cut--;
+        lines.push(rest.substring(0, cut));
+        rest = rest.substring(cut);
+      }
+      line = rest;
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
+// ============================================
+// Page Layout
+// ============================================
+
+/**
+ * Writer that flows text down A4 pages, adding pages as needed
+ * @param {PDFDocument} doc - Document
+ * @param {Object} fonts - { regular, bold }
+ */
+function createWriter(doc, fonts) {
+  let page = null;
+  let y = 0;
+
+  const newPage = () => {
+    page = doc.addPage([PAGE_WIDTH, PAGE_HEIGHT]);
+    y = PAGE_HEIGHT - MARGIN;
+    return page;
+  };
+
+  const ensureSpace = (height) => {
+    if (!page || y - height < MARGIN) newPage();
+  };
+
+  /**
+   * Wrapped paragraph
+   * @param {string} text - Text (markdown allowed)
+   * @param {Object} options - { size, bold, indent, color, gap (space after) }
+   */
+  const paragraph = (text, { size = TEXT_SIZE, bold = false, indent = 0, color = BLACK, gap = LINE_GAP } = {}) => {
+    const font = bold ? fonts.bold : fonts.regular;
+    const lines = wrapText(toPrintable(text, font), font, size, CONTENT_WIDTH - indent);
+    for (const line of lines) {
+      ensureSpace(size + LINE_GAP);
+      y -= size;
+      page.drawText(line, { x: MARGIN + indent, y, size, font, color });
+      y -= LINE_GAP;
+    }
+    y -= gap;
+  };
+
+  /**
+   * Lines that must stay on one page (e.g. a question with its options)
+   * @param {number} height - Estimated height of the block
+   */
+  const keepTogether = (height) => {
+    if (height < PAGE_HEIGHT - 2 * MARGIN) ensureSpace(height);
+  };
+
+  /**
+   * One line of texts in equal-width columns
+   * @param {Array<string>} cells - Texts (short)
+   * @param {number} columns - Columns across the page
+   */
+  const row = (cells, columns, { size = TEXT_SIZE, bold = false } = {}) => {
+    const font = bold ? fonts.bold : fonts.regular;
+    ensureSpace(size + LINE_GAP);
+    y -= size;
+    cells.forEach((cell, index) => {
+      page.drawText(toPrintable(cell, font), { x: MARGIN + index * (CONTENT_WIDTH / columns), y, size, font, color: BLACK });
+    });
+    y -= LINE_GAP + 2;
+  };
+
+  const rule = (gap = 8) => {
+    ensureSpace(gap * 2);
+    y -= gap;
+    page.drawLine({ start: { x: MARGIN, y }, end: { x: PAGE_WIDTH - MARGIN, y }, thickness: 0.8, color: BLACK });
+    y -= gap;
+  };
+
+  const space = (height) => {
+    y -= height;
+  };
+
+  return {
+    newPage,
+    paragraph,
+    row,
+    keepTogether,
+    rule,
+    space,
+    get page() { return page; },
+    get y() { return y; }
+  };
+}
+
+/**
+ * Height of a paragraph, to keep blocks together
+ */
+function measureParagraph(text, font, { size = TEXT_SIZE, indent = 0 } = {}) {
+  return wrapText(toPrintable(text, font), font, size, CONTENT_WIDTH - indent).length * (size + LINE_GAP);
+}
+
+/**
+ * "Pagina n de N" on every page
+ */
+function drawPageNumbers(doc, font, label) {
+  const pages = doc.getPages();
+  pages.forEach((page, index) => {
+    const text = toPrintable(`${label} - Pagina ${index + 1} de ${pages.length}`, font);
+    const width = font.widthOfTextAtSize(text, 8);
+    page.drawText(text, { x: (PAGE_WIDTH - width) / 2, y: FOOTER_Y, size: 8, font, color: GREY });
+  });
+}
+
+/**
+ * UNED header: university, subject, exam title and code
+ */
+function drawHeader(writer, { subjectName, title, code }) {
+  writer.paragraph('UNIVERSIDAD NACIONAL DE EDUCACION A DISTANCIA', { size: 9, bold: true, gap: 0 });
+  writer.paragraph(subjectName, { size: 14, bold: true, gap: 0 });
+  writer.paragraph(`${title}${code ? `   -   Codigo: ${code}` : ''}`, { size: 10, color: GREY, gap: 0 });
+  writer.rule();
+}
+
+async function createDocument(title) {
+  const doc = await PDFDocument.create();
+  doc.setTitle(title);
+  doc.setCreator('Exam App');
+  const fonts = {
+    regular: await doc.embedFont(StandardFonts.Helvetica),
+    bold: await doc.embedFont(StandardFonts.HelveticaBold)
+  };
+  return { doc, fonts, writer: createWriter(doc, fonts) };
+}
+
+// ============================================
+// Exam
+// ============================================
+
+function questionHint(item) {
+  if (item.questionType === 'multiple') return ' (Puede haber varias respuestas correctas)';
+  if (item.questionType === 'numeric') return ' (Respuesta numerica)';
+  return '';
+}
+
+/**
+ * Student data boxes and instructions
+ */
+function drawExamFront(writer, { duration, material, questionCount }) {
+  writer.paragraph('Apellidos y nombre: ______________________________________________________________', { gap: 6 });
+  writer.paragraph('DNI: ____________________        Centro Asociado: ____________________________________', { gap: 10 });
+
+  writer.paragraph('INSTRUCCIONES', { bold: true, gap: 2 });
+  const instructions = [
+    `Duracion: ${duration}. Material permitido: ${material}.`,
+    `El examen consta de ${questionCount} preguntas. Salvo que se indique lo contrario, solo una respuesta es correcta.`,
+    'Marque sus respuestas en la HOJA DE RESPUESTAS (ultima pagina); solo se corrige la hoja de respuestas.',
+    'Las respuestas incorrectas pueden restar puntuacion segun la normativa de la asignatura.'
+  ];
+  for (const line of instructions) {
+    writer.paragraph(`- ${line}`, { size: 9, indent: 8, gap: 0 });
+  }
+  writer.rule();
+}
+
+/**
+ * One numbered question with its options
+ */
+function drawQuestion(writer, fonts, item, number) {
+  const stem = `${number}. ${item.content}${questionHint(item)}`;
+  const letters = getOptionLetters(item.options);
+  const height = measureParagraph(stem, fonts.regular) +
+    letters.reduce((sum, letter) => sum + measureParagraph(`${letter}) ${item.options[letter]}`, fonts.regular, { indent: 18 }), 0);
+
+  writer.keepTogether(Math.min(height, 250));
+  writer.paragraph(stem, { gap: 4 });
+  for (const letter of letters) {
+    writer.paragraph(`${letter}) ${item.options[letter]}`, { indent: 18, gap: 1 });
+  }
+  if (item.questionType === 'numeric') {
+    writer.paragraph('Respuesta: ____________________', { indent: 18 });
+  }
+  writer.space(10);
+}
+
+/**
+ * Answer sheet: one row per question with a box per option letter
+ * (numeric questions get a blank to write the number)
+ */
+function drawAnswerSheet(writer, fonts, items) {
+  writer.newPage();
+  writer.paragraph('HOJA DE RESPUESTAS', { size: 14, bold: true, gap: 6 });
+  writer.paragraph('Apellidos y nombre: ______________________________________________________________', { gap: 6 });
+  writer.paragraph('DNI: ____________________        Centro Asociado: ____________________________________', { gap: 6 });
+  writer.paragraph('Marque con una X la casilla de la respuesta elegida. Para anular una marca, rellene la casilla por completo.', { size: 8, color: GREY, gap: 10 });
+
+  const maxLetters = Math.max(2, ...items.map(item => getOptionLetters(item.options).length));
+  const columnWidth = 28 + maxLetters * (BOX_SIZE + 6);
+  const columns = Math.max(1, Math.floor(CONTENT_WIDTH / (columnWidth + 16)));
+  const rowHeight = BOX_SIZE + 8;
+  const top = writer.y;
+
+  items.forEach((item, index) => {
+    const block = Math.floor(index / (SHEET_ROWS * columns));
+    const column = Math.floor(index / SHEET_ROWS) % columns;
+    const row = index % SHEET_ROWS;
+    if (index > 0 && index % (SHEET_ROWS * columns) === 0) {
+      writer.newPage();
+    }
+
+    const page = writer.page;
+    const x = MARGIN + column * (columnWidth + 16);
+    const y = (block === 0 ? top : PAGE_HEIGHT - MARGIN) - (row + 1) * rowHeight;
+    page.drawText(String(index + 1).padStart(2, ' '), { x, y: y + 2, size: 9, font: fonts.bold });
+
+    if (item.questionType === 'numeric') {
+      page.drawRectangle({ x: x + 22, y: y - 1, width: maxLetters * (BOX_SIZE + 6) - 6, height: BOX_SIZE, borderColor: BLACK, borderWidth: 0.8 });
+      return;
+    }
+
+    getOptionLetters(item.options).forEach((letter, position) => {
+      const boxX = x + 22 + position * (BOX_SIZE + 6);
+      page.drawRectangle({ x: boxX, y: y - 1, width: BOX_SIZE, height: BOX_SIZE, borderColor: BLACK, borderWidth: 0.8 });
+      page.drawText(letter.toUpperCase(), { x: boxX + 3, y: y + 1.5, size: 7, font: fonts.regular, color: GREY });
+    });
+  });
+}
+
+/**
+ * Printable exam
+ * @param {Array<Object>} items - Export items, in exam order
+ * @param {Object} options - { subjectName, title, code, duration, material }
+ * @returns {Promise<Uint8Array>} PDF file
+ */
+async function buildExamPdf(items, { subjectName, title = 'Examen tipo test', code = null, duration, material } = {}) {
+  const { doc, fonts, writer } = await createDocument(`${subjectName} - ${title}`);
+
+  drawHeader(writer, { subjectName, title, code });
+  drawExamFront(writer, {
+    duration: duration || DEFAULT_INSTRUCTIONS.duration,
+    material: material || DEFAULT_INSTRUCTIONS.material,
+    questionCount: items.length
+  });
+  items.forEach((item, index) => drawQuestion(writer, fonts, item, index + 1));
+  drawAnswerSheet(writer, fonts, items);
+
+  drawPageNumbers(doc, fonts.regular, `${subjectName} - ${title}`);
+  return doc.save();
+}
+
+// ============================================
+// Answer Key
+// ============================================
+
+function formatAnswer(item) {
+  if (item.answer === null) return '-';
+  if (item.questionType === 'numeric') {
+    return item.tolerance ? `${item.answer} (+/- ${item.tolerance})` : item.answer;
+  }
+  return item.answer.toUpperCase();
+}
+
+/**
+ * Answer key with explanations
+ * @param {Array<Object>} items - Export items, in exam order
+ * @param {Object} options - { subjectName, title, code }
+ * @returns {Promise<Uint8Array>} PDF file
+ */
+async function buildAnswerKeyPdf(items, { subjectName, title = 'Examen tipo test', code = null } = {}) {
+  const { doc, fonts, writer } = await createDocument(`${subjectName} - ${title} - Plantilla`);
+
+  drawHeader(writer, { subjectName, title: `${title} - PLANTILLA DE RESPUESTAS`, code });
+
+  // Compact grid to correct the answer sheet: "1: B   2: A   3: A,C ..."
+  const cells = items.map((item, index) => `${index + 1}: ${item.answer === null ? '-' : item.answer.toUpperCase()}`);
+  for (let start = 0; start < cells.length; start += KEY_GRID_COLUMNS) {
+    writer.row(cells.slice(start, start + KEY_GRID_COLUMNS), KEY_GRID_COLUMNS, { bold: true });
+  }
+  writer.rule();
+
+  items.forEach((item, index) => {
+    writer.keepTogether(measureParagraph(item.content, fonts.regular) + 40);
+    writer.paragraph(`${index + 1}. Respuesta: ${formatAnswer(item)}`, { bold: true, gap: 1 });
+    writer.paragraph(item.content, { size: 8, color: GREY, gap: 3 });
+
+    if (item.answer === null) {
+      writer.paragraph('Sin respuesta conocida: no hay clave oficial ni solucion guardada.', { indent: 12 });
+    } else if (item.explanation) {
+      writer.paragraph(item.explanation, { indent: 12, gap: 2 });
+    }
+
+    for (const [letter, reason] of Object.entries(item.wrongOptions || {})) {
+      if (!reason) continue;
+      writer.paragraph(`${letter}) ${reason}`, { size: 9, indent: 24, color: GREY, gap: 0 });
+    }
+    writer.space(10);
+  });
+
+  drawPageNumbers(doc, fonts.regular, `${subjectName} - ${title} - Plantilla`);
+  return doc.save();
+}
+
+export {
+  PRINT_DOCUMENTS,
+  toPrintable,
+  wrapText,
+  buildExamPdf,
+  buildAnswerKeyPdf
+};
@@ -0,0 +1,104 @@
+/**
+ * Hint Service
+ * Progressive hints shown before the answer is revealed. Each level gives
+ * away a bit more: the concept involved, then the formula or definition
+ * needed, then one option that can be discarded.
+ */
+
+import { complete, LlmTimeoutError } from './llmProvider.js';
+
+const TIMEOUT_MS = 60000;
+
+const HINT_LEVELS = [
+  {
+    level: 1,
+    name: 'concept',
+    instruction: 'Da un empujon conceptual: indica que concepto o tema hay que tener en cuenta para resolverla, sin formulas ni calculos.'
+  },
+  {
+    level: 2,
+    name: 'formula',
+    instruction: 'Da la formula, definicion o regla concreta que hay que aplicar, sin aplicarla a los datos de la pregunta.'
+  },
+  {
+    level: 3,
+    name: 'elimination',
+    instruction: 'Descarta UNA sola opcion incorrecta y explica en una o dos frases por que no puede ser.'
+  }
+];
+
+const MAX_HINT_LEVEL = HINT_LEVELS.length;
+
+/**
+ * Builds the prompt for one hint level
+ * @param {Object} params
+ * @param {string} params.questionText - Full question text including options
+ * @param {number} params.level - Hint level (1..MAX_HINT_LEVEL)
+ * @param {Array} params.previousHints - Hints already shown, lowest level first ({ level, content })
+ * @param {string} params.correctAnswer - Known correct option (optional, used by the elimination level)
+ * @param {Object} params.subject - Subject (for the expertise line), optional
+ */
+function buildHintPrompt({ questionText, level, previousHints = [], correctAnswer = null, subject = null }) {
+  const hintLevel = HINT_LEVELS[level - 1];
+  const expertise = subject?.claudeContext?.expertise || subject?.name || 'la asignatura';
+
+  const earlier = previousHints
+    .map(hint => `Pista ${hint.level}: ${hint.content}`)
+    .join('\n');
+
+  // Only the elimination level needs the answer (so it does not discard it)
+  const answerNote = correctAnswer && hintLevel.name === 'elimination'
+    ? `\nLa opcion correcta es la ${correctAnswer}: NO la descartes ni la menciones como correcta.\n`
+    : '';
+
+  return `Eres un profesor de ${expertise} ayudando a un estudiante que esta resolviendo una pregunta tipo test.
+
+PREGUNTA:
+${questionText}
+${earlier ? `\nPISTAS YA DADAS:\n${earlier}\n` : ''}${answerNote}
+PISTA DE NIVEL ${level} DE ${MAX_HINT_LEVEL}:
+${hintLevel.instruction}
+
+Responde en espanol y en Markdown, en dos o tres frases como maximo.
+No reveles cual es la respuesta correcta ni repitas las pistas anteriores.`;
+}
+
+/**
+ * Generate the hint of one level
+ * @param {Object} params - Same as buildHintPrompt
+ * @returns {Promise<{content: string, model: string}>}
+ */
+async function generateHint(params) {
+  if (!HINT_LEVELS[params.level - 1]) {
+    throw new Error(`Invalid hint level: ${params.level}`);
+  }
+
+  try {
+    const { text, model } = await complete(buildHintPrompt(params), {
+      task: 'hint',
+      timeoutMs: TIMEOUT_MS,
+      logPrefix: '[HintService]',
+      subjectId: params.subject?.id || null
+    });
+
+    const content = text.trim();
+    if (!content) {
+      throw new Error('Empty hint');
+    }
+
+    return { content, model: model || null };
+
+  } catch (error) {
+    if (error instanceof LlmTimeoutError) {
+      throw new Error('Claude timeout after 60 seconds');
+    }
+    throw error;
+  }
+}
+
+export {
+  buildHintPrompt,
+  generateHint,
+  HINT_LEVELS,
+  MAX_HINT_LEVEL
+};
@@ -0,0 +1,256 @@
+/**
+ * Job Queue
+ * Persistent background jobs for long AI work (batch solving, Vision
+ * processing, question generation). Jobs live in the jobs table, so queued
+ * work survives a server restart; an in-process worker pool claims them.
+ *
+ * Each route module registers the handler for its job type:
+ *   registerJobHandler('process_exam', async (payload, ctx) => { ... })
+ *
+ * Handlers receive a context with:
+ *   jobId, attempt
+ *   signal            AbortSignal fired on cancellation (pass it to complete())
+ *   reportProgress()  Stores a progress object readable from GET /api/jobs/:id
+ *   throwIfCancelled() Checkpoint to call between units of work
+ *
+ * Failed jobs are retried with exponential backoff up to max_attempts.
+ * New jobs are refused while the AI budget is exceeded (see usageBudget.js).
+ *
+ * Configuration:
+ *   JOB_CONCURRENCY  Jobs run at the same time (default 2)
+ */
+
+import {
+  createJob,
+  getJob,
+  findActiveJob,
+  claimNextJob,
+  updateJobProgress,
+  finishJob,
+  retryJob,
+  requestJobCancel,
+  requeueInterruptedJobs
+} from '../database.js';
+import { assertWithinBudget } from './usageBudget.js';
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_POLL_MS = 2000;
+const DEFAULT_MAX_ATTEMPTS = 3;
+const BACKOFF_BASE_SECONDS = 10;
+const BACKOFF_MAX_SECONDS = 600;
+
+const handlers = new Map();
+const runningJobs = new Map(); // jobId -> AbortController
+
+let started = false;
+let concurrency = DEFAULT_CONCURRENCY;
+let activeWorkers = 0;
+let pollTimer = null;
+
+/**
+ * Error thrown by throwIfCancelled when a cancellation was requested
+ */
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job cancelled');
+    this.name = 'JobCancelledError';
+  }
+}
+
+/**
+ * Register the handler for a job type
+ * @param {string} type - Job type (e.g. 'solve_batch')
+ * @param {Function} handler - async (payload, ctx) => result
+ */
+function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Queue a job
+ * With a key, an already queued or running job of the same type and key is
+ * returned instead of creating a duplicate.
+ * @param {string} type - Registered job type
+ * @param {Object} payload - Handler input (stored as JSON)
+ * @param {Object} options - { key, maxAttempts }
+ * @returns {Object} Job row
+ * @throws {BudgetExceededError} When a new job would be created over budget
+ */
+function enqueueJob(type, payload = {}, { key = null, maxAttempts = DEFAULT_MAX_ATTEMPTS } = {}) {
+  if (!handlers.has(type)) {
+    throw new Error(`Unknown job type: ${type}`);
+  }
+
+  if (key) {
+    const active = findActiveJob(type, key);
+    if (active) {
+      return active;
+    }
+  }
+
+  assertWithinBudget();
+
+  const job = createJob({ type, job_key: key, payload, max_attempts: maxAttempts });
+  console.log(`[Jobs] Queued ${type} job ${job.id}`);
+
+  fillWorkers();
+  return job;
+}
+
+/**
+ * Cancel a job: queued jobs never run, running jobs are aborted
+ * @param {string} id - Job ID
+ * @returns {Object|null} Updated job, or null if it does not exist
+ */
+function cancelJob(id) {
+  const job = requestJobCancel(id);
+  if (job?.status === 'running') {
+    runningJobs.get(id)?.abort();
+  }
+  return job;
+}
+
+/**
+ * Seconds to wait before retry number `attempts` (10s, 20s, 40s, ... capped)
+ * @param {number} attempts - Attempts made so far
+ */
+function getBackoffSeconds(attempts) {
+  return Math.min(BACKOFF_BASE_SECONDS * 2 ** (attempts - 1), BACKOFF_MAX_SECONDS);
+}
+
+/**
+ * Run a claimed job and store its outcome
+ * @param {Object} job - Job row in 'running' status
+ */
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const controller = new AbortController();
+  runningJobs.set(job.id, controller);
+
+  const isCancelled = () => controller.signal.aborted || Boolean(getJob(job.id)?.cancel_requested);
+
+  const ctx = {
+    jobId: job.id,
+    attempt: job.attempts,
+    signal: controller.signal,
+    reportProgress: (progress) => updateJobProgress(job.id, progress),
+    throwIfCancelled: () => {
+      if (isCancelled()) {
+        throw new JobCancelledError();
+      }
+    }
+  };
+
+  try {
+    if (!handler) {
+      throw new Error(`No handler registered for job type: ${job.type}`);
+    }
+
+    ctx.throwIfCancelled();
+    const result = await handler(job.payload, ctx);
+
+    finishJob(job.id, 'completed', { result: result ?? null });
+    console.log(`[Jobs] Completed ${job.type} job ${job.id}`);
+
+  } catch (error) {
+    if (isCancelled()) {
+      finishJob(job.id, 'cancelled', { error: 'Cancelled' });
+      console.log(`[Jobs] Cancelled ${job.type} job ${job.id}`);
+    } else if (handler && job.attempts < job.max_attempts) {
+      const delay = getBackoffSeconds(job.attempts);
+      retryJob(job.id, error.message, delay);
+      console.error(`[Jobs] ${job.type} job ${job.id} failed (attempt ${job.attempts}/${job.max_attempts}), retrying in ${delay}s:`, error.message);
+    } else {
+      finishJob(job.id, 'failed', { error: error.message });
+      console.error(`[Jobs] ${job.type} job ${job.id} failed:`, error.message);
+    }
+  } finally {
+    runningJobs.delete(job.id);
+  }
+}
+
+/**
+ * Claim due jobs until the pool is full
+ */
+function fillWorkers() {
+  if (!started) {
+    return;
+  }
+
+  while (activeWorkers < concurrency) {
+    const job = claimNextJob();
+    if (!job) {
+      return;
+    }
+
+    activeWorkers++;
+    runJob(job).finally(() => {
+      activeWorkers--;
+      fillWorkers();
+    });
+  }
+}
+
+/**
+ * Start the worker pool
+ * Jobs left 'running' by a previous process are queued again first.
+ * @param {Object} options
+ * @param {number} options.concurrency - Max jobs at once (default JOB_CONCURRENCY or 2)
+ * @param {number} options.pollMs - How often to look for due jobs (retries, jobs from other processes)
+ */
+function startJobWorkers({
+  concurrency: maxJobs = parseInt(process.env.JOB_CONCURRENCY, 10) || DEFAULT_CONCURRENCY,
+  pollMs = DEFAULT_POLL_MS
+} = {}) {
+  if (started) {
+    return;
+  }
+
+  const requeued = requeueInterruptedJobs();
+  if (requeued > 0) {
+    console.log(`[Jobs] Re-queued ${requeued} interrupted jobs`);
+  }
+
+  concurrency = Math.max(maxJobs, 1);
+  started = true;
+  pollTimer = setInterval(fillWorkers, pollMs);
+  pollTimer.unref();
+
+  console.log(`[Jobs] Worker pool started (concurrency ${concurrency})`);
+  fillWorkers();
+}
+
+/**
+ * Stop claiming new jobs (running jobs finish normally)
+ */
+function stopJobWorkers() {
+  started = false;
+  clearInterval(pollTimer);
+  pollTimer = null;
+}
+
+/**
+ * Run every due job one after another, outside the worker pool
+ * Used by tests and scripts that need the queue to settle.
+ * @returns {Promise<number>} Jobs run
+ */
+async function drainJobs() {
+  let count = 0;
+  let job;
+  while ((job = claimNextJob())) {
+    await runJob(job);
+    count++;
+  }
+  return count;
+}
+
+export {
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  getBackoffSeconds,
+  startJobWorkers,
+  stopJobWorkers,
+  drainJobs,
+  JobCancelledError
+};
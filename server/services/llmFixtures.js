@@ -0,0 +1,169 @@
+/**
+ * LLM Record/Replay Fixtures
+ * Wraps an LLM provider to save every prompt/response pair to disk (record)
+ * or to answer exclusively from those files (replay, no network).
+ *
+ * Selected with LLM_FIXTURES=record|replay, stored in LLM_FIXTURES_DIR
+ * (default tests/llm-fixtures). One JSON file per interaction:
+ *   <dir>/<task>/<promptHash>.json
+ * A prompt sent several times while recording (self-consistency samples)
+ * keeps every answer in `responses`; replay serves them in order.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'llm-fixtures');
+
+/**
+ * Hash that identifies an interaction: task, prompt text and attached images
+ * @param {Object} request
+ * @param {string} request.task - Task hint ('solve', 'vision', ...)
+ * @param {string} request.prompt - Prompt text
+ * @param {Array} request.images - Images as { data, mediaType }
+ * @returns {string} Hex sha256
+ */
+function hashPrompt({ task = null, prompt, images = [] }) {
+  const hash = createHash('sha256');
+  hash.update(task || 'default');
+  hash.update('\0');
+  hash.update(prompt);
+  for (const image of images) {
+    hash.update('\0');
+    hash.update(image.mediaType || '');
+    hash.update(image.data);
+  }
+  return hash.digest('hex');
+}
+
+/**
+ * Path of the fixture file for a request
+ */
+function getFixturePath(dir, request) {
+  return path.join(dir, request.task || 'default', `${hashPrompt(request)}.json`);
+}
+
+/**
+ * Read a fixture for a request (null if not recorded)
+ * @param {string} dir - Fixtures directory
+ * @param {Object} request - { task, prompt, images }
+ */
+function readFixture(dir, request) {
+  const fixturePath = getFixturePath(dir, request);
+  if (!fs.existsSync(fixturePath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(fixturePath, 'utf-8'));
+}
+
+/**
+ * Responses stored in a fixture, in recording order
+ */
+function getFixtureResponses(fixture) {
+  return fixture.responses || [fixture.response];
+}
+
+/**
+ * Write a fixture for a request
+ * @param {string} dir - Fixtures directory
+ * @param {Object} request - { task, prompt, images }
+ * @param {Object} result - Provider result { text, usage, model }
+ * @param {string} providerName - Provider that produced the result
+ * @param {Object} options - { append: add the response to the existing fixture }
+ */
+function writeFixture(dir, request, result, providerName, { append = false } = {}) {
+  const fixturePath = getFixturePath(dir, request);
+  fs.mkdirSync(path.dirname(fixturePath), { recursive: true });
+
+  const existing = append ? readFixture(dir, request) : null;
+  if (existing) {
+    existing.responses = [...getFixtureResponses(existing), result.text];
+    fs.writeFileSync(fixturePath, JSON.stringify(existing, null, 2) + '\n');
+    return fixturePath;
+  }
+
+  const fixture = {
+    task: request.task || 'default',
+    promptHash: hashPrompt(request),
+    provider: providerName,
+    recordedAt: new Date().toISOString(),
+    prompt: request.prompt,
+    imageCount: (request.images || []).length,
+    response: result.text,
+    usage: result.usage,
+    model: result.model || providerName
+  };
+
+  fs.writeFileSync(fixturePath, JSON.stringify(fixture, null, 2) + '\n');
+  return fixturePath;
+}
+
+/**
+ * Provider wrapper that forwards to `inner` and saves each interaction
+ * @param {Object} inner - Real provider
+ * @param {string} dir - Fixtures directory
+ */
+function createRecordingProvider(inner, dir = DEFAULT_FIXTURES_DIR) {
+  // Prompts already recorded by this provider: repeats add a response
+  const recorded = new Set();
+
+  return {
+    name: `record:${inner.name}`,
+
+    async complete(request) {
+      const result = await inner.complete(request);
+      const hash = hashPrompt(request);
+      const fixturePath = writeFixture(dir, request, result, inner.name, { append: recorded.has(hash) });
+      recorded.add(hash);
+      console.log('[LLM] Recorded fixture:', path.relative(dir, fixturePath));
+      return result;
+    }
+  };
+}
+
+/**
+ * Provider that only serves recorded fixtures
+ * @param {string} dir - Fixtures directory
+ */
+function createReplayProvider(dir = DEFAULT_FIXTURES_DIR) {
+  // Times each prompt was served, to walk through multi-response fixtures
+  const served = new Map();
+
+  return {
+    name: 'replay',
+
+    async complete(request) {
+      const fixture = readFixture(dir, request);
+      if (!fixture) {
+        throw new Error(`No LLM fixture for task "${request.task || 'default'}" (prompt hash ${hashPrompt(request)})`);
+      }
+
+      const responses = getFixtureResponses(fixture);
+      const count = served.get(fixture.promptHash) || 0;
+      served.set(fixture.promptHash, count + 1);
+      const text = responses[count % responses.length];
+
+      if (request.onText) {
+        request.onText(text);
+      }
+      return {
+        text,
+        usage: fixture.usage || { input: 0, output: 0 },
+        model: fixture.model || fixture.provider
+      };
+    }
+  };
+}
+
+export {
+  hashPrompt,
+  readFixture,
+  writeFixture,
+  createRecordingProvider,
+  createReplayProvider,
+  DEFAULT_FIXTURES_DIR
+};
@@ -0,0 +1,517 @@
+/**
+ * LLM Provider Layer
+ * Single entry point for every call to a language model.
+ *
+ * Providers (selected with LLM_PROVIDER):
+ * - agent-sdk    (default) Claude Agent SDK, Claude Code headless mode (no API key needed)
+ * - messages-api Plain @anthropic-ai/sdk Messages API (needs ANTHROPIC_API_KEY)
+ * - fake         Deterministic local responses, for offline development and tests
+ *
+ * Every provider implements: complete({ prompt, images, task, abortController, onText }) -> { text, usage, model }
+ * onText (optional) receives text deltas as they are produced, for streaming.
+ *
+ * LLM_FIXTURES=record|replay wraps the provider with prompt-hash fixtures (see llmFixtures.js).
+ *
+ * Every call made through complete() is recorded in the llm_usage ledger.
+ */
+
+import { query } from '@anthropic-ai/claude-agent-sdk';
+import Anthropic from '@anthropic-ai/sdk';
+import { createHash } from 'crypto';
+import { createRecordingProvider, createReplayProvider, DEFAULT_FIXTURES_DIR } from './llmFixtures.js';
+import { recordLlmUsage } from '../database.js';
+import { getTextOptionLetters } from './answerOptions.js';
+
+const DEFAULT_PROVIDER = 'agent-sdk';
+const DEFAULT_MODEL = 'claude-sonnet-4-5';
+const DEFAULT_MAX_TOKENS = 8192;
+
+// USD per million tokens, used when the provider does not report a cost
+// (matched by model name prefix, first match wins)
+const MODEL_PRICES = [
+  { prefix: 'claude-opus-4-5', input: 5, output: 25 },
+  { prefix: 'claude-opus', input: 15, output: 75 },
+  { prefix: 'claude-sonnet', input: 3, output: 15 },
+  { prefix: 'claude-haiku-4', input: 1, output: 5 },
+  { prefix: 'claude-3-5-haiku', input: 0.8, output: 4 }
+];
+
+let activeProvider = null;
+
+/**
+ * Error thrown when a completion exceeds its timeout
+ */
+class LlmTimeoutError extends Error {
+  constructor(timeoutMs) {
+    super(`LLM timeout after ${timeoutMs / 1000} seconds`);
+    this.name = 'LlmTimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+/**
+ * Error thrown when a completion is aborted through the caller's signal
+ */
+class LlmCancelledError extends Error {
+  constructor() {
+    super('LLM request cancelled');
+    this.name = 'LlmCancelledError';
+  }
+}
+
+// ============================================
+// AGENT SDK PROVIDER
+// ============================================
+
+/**
+ * Create an async generator that yields a single user message with images
+ */
+async function* createImageMessage(prompt, images) {
+  yield {
+    type: 'user',
+    message: {
+      role: 'user',
+      content: [
+        ...images.map(image => ({
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: image.mediaType,
+            data: image.data
+          }
+        })),
+        {
+          type: 'text',
+          text: prompt
+        }
+      ]
+    }
+  };
+}
+
+/**
+ * Provider backed by the Claude Agent SDK
+ */
+function createAgentSdkProvider() {
+  return {
+    name: 'agent-sdk',
+
+    async complete({ prompt, images = [], abortController, onText = null, logPrefix = '[LLM]' }) {
+      let text = '';
+      let streamed = false;
+      let model = 'agent-sdk';
+      const usage = { input: 0, output: 0 };
+
+      const response = query({
+        prompt: images.length > 0 ? createImageMessage(prompt, images) : prompt,
+        abortController: abortController,
+        options: {
+          maxTurns: 1,
+          // Partial messages carry the token deltas used for streaming
+          includePartialMessages: Boolean(onText)
+        }
+      });
+
+      for await (const message of response) {
+        if (message.type === 'stream_event') {
+          const event = message.event;
+          if (onText && event?.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+            streamed = true;
+            onText(event.delta.text);
+          }
+          continue;
+        }
+
+        console.log(logPrefix, 'Message type:', message.type, message.subtype || '');
+
+        // The init message names the model Claude Code picked
+        if (message.type === 'system' && message.subtype === 'init' && message.model) {
+          model = message.model;
+        }
+
+        if (message.type === 'assistant' && message.message?.content) {
+          for (const block of message.message.content) {
+            if (block.type === 'text') {
+              text += block.text;
+              if (onText && !streamed) {
+                onText(block.text);
+              }
+            }
+          }
+        }
+
+        if (message.type === 'result' && message.result && !text) {
+          text = message.result;
+        }
+
+        // The result message carries the token counts and the cost Claude Code computed
+        if (message.type === 'result' && message.usage) {
+          usage.input = (message.usage.input_tokens || 0) +
+            (message.usage.cache_creation_input_tokens || 0) +
+            (message.usage.cache_read_input_tokens || 0);
+          usage.output = message.usage.output_tokens || 0;
+          if (typeof message.total_cost_usd === 'number') {
+            usage.costUsd = message.total_cost_usd;
+          }
+        }
+      }
+
+      return { text, usage, model };
+    }
+  };
+}
+
+// ============================================
+// MESSAGES API PROVIDER
+// ============================================
+
+/**
+ * Provider backed by the @anthropic-ai/sdk Messages API
+ * @param {Object} options
+ * @param {string} options.model - Model name (LLM_MODEL)
+ * @param {number} options.maxTokens - Max output tokens (LLM_MAX_TOKENS)
+ * @param {Object} options.client - Preconfigured Anthropic client (optional)
+ */
+function createMessagesApiProvider({ model = DEFAULT_MODEL, maxTokens = DEFAULT_MAX_TOKENS, client = null } = {}) {
+  const anthropic = client || new Anthropic();
+
+  return {
+    name: 'messages-api',
+
+    async complete({ prompt, images = [], abortController, onText = null }) {
+      const content = [
+        ...images.map(image => ({
+          type: 'image',
+          source: {
+            type: 'base64',
+            media_type: image.mediaType,
+            data: image.data
+          }
+        })),
+        { type: 'text', text: prompt }
+      ];
+
+      const body = {
+        model,
+        max_tokens: maxTokens,
+        messages: [{ role: 'user', content }]
+      };
+      const requestOptions = { signal: abortController?.signal };
+
+      let message;
+      if (onText) {
+        const stream = anthropic.messages.stream(body, requestOptions);
+        stream.on('text', onText);
+        message = await stream.finalMessage();
+      } else {
+        message = await anthropic.messages.create(body, requestOptions);
+      }
+
+      const text = message.content
+        .filter(block => block.type === 'text')
+        .map(block => block.text)
+        .join('');
+
+      return {
+        text,
+        usage: {
+          input: message.usage?.input_tokens || 0,
+          output: message.usage?.output_tokens || 0
+        },
+        model: message.model || model
+      };
+    }
+  };
+}
+
+// ============================================
+// FAKE PROVIDER
+// ============================================
+
+/**
+ * Deterministic index derived from the prompt, so the same prompt
+ * always gets the same fake answer
+ */
+function promptIndex(prompt, modulo) {
+  const digest = createHash('sha256').update(prompt).digest();
+  return digest.readUInt32BE(0) % modulo;
+}
+
+const FAKE_RESPONSES = {
+  solve(prompt) {
+    // Numeric questions (see ANSWER_TYPE_RULES in claudeService) have no options
+    if (prompt.includes('TIPO DE PREGUNTA: respuesta numerica')) {
+      const answer = String(promptIndex(prompt, 100));
+      return JSON.stringify({
+        answer,
+        explanation: `Respuesta simulada por el proveedor local: el resultado es ${answer}.`,
+        wrongOptions: {}
+      });
+    }
+
+    const letters = getTextOptionLetters(prompt);
+    const answer = letters[promptIndex(prompt, letters.length)];
+    const wrongOptions = {};
+    for (const letter of letters) {
+      if (letter !== answer) {
+        wrongOptions[letter] = `Opcion ${letter} descartada (respuesta simulada).`;
+      }
+    }
+    return JSON.stringify({
+      answer,
+      explanation: `Respuesta simulada por el proveedor local: la opcion correcta es ${answer}.`,
+      wrongOptions
+    });
+  },
+
+  vision() {
+    return `## Pregunta 1
+
+Pregunta simulada extraida por el proveedor local.
+
+a) Opcion A
+b) Opcion B
+c) Opcion C
+d) Opcion D
+
+---`;
+  },
+
+  generate(prompt) {
+    const letters = ['a', 'b', 'c', 'd'];
+    const correctAnswer = letters[promptIndex(prompt, letters.length)];
+    return JSON.stringify([
+      {
+        content: 'Pregunta generada por el proveedor local.',
+        options: { a: 'Opcion A', b: 'Opcion B', c: 'Opcion C', d: 'Opcion D' },
+        correctAnswer,
+        explanation: `Respuesta simulada: ${correctAnswer}.`,
+        wrongExplanations: {},
+        basedOn: null
+      }
+    ]);
+  },
+
+  verify() {
+    return JSON.stringify([
+      {
+        content: 'Explica una decision de diseno de tu trabajo (pregunta simulada).',
+        expectedAnswer: 'Respuesta esperada simulada.',
+        criteria: ['Justifica la decision'],
+        section: 'general',
+        difficulty: 'medium'
+      }
+    ]);
+  },
+
+  tutor() {
+    return 'Respuesta simulada del tutor: revisa la explicacion de la opcion por la que preguntas.';
+  },
+
+  hint(prompt) {
+    const level = prompt.match(/PISTA DE NIVEL (\d)/)?.[1] || '1';
+    return `Pista simulada de nivel ${level}: repasa el concepto principal del enunciado.`;
+  },
+
+  tag(prompt) {
+    // Every question of the prompt ("[ID: ...]") gets the same simulated tag
+    const ids = [...prompt.matchAll(/\[ID: ([^\]]+)\]/g)].map(match => match[1]);
+    return JSON.stringify(ids.map(questionId => ({ questionId, tags: ['Concepto simulado'] })));
+  }
+};
+
+/**
+ * Provider that never leaves the machine. Responses depend only on
+ * the task and the prompt, so runs are reproducible.
+ */
+function createFakeProvider() {
+  return {
+    name: 'fake',
+
+    async complete({ prompt, task, onText = null }) {
+      const respond = FAKE_RESPONSES[task];
+      const text = respond ? respond(prompt) : `[fake] ${prompt.substring(0, 200)}`;
+      if (onText) {
+        onText(text);
+      }
+      return { text, usage: { input: 0, output: 0 }, model: 'fake' };
+    }
+  };
+}
+
+// ============================================
+// PROVIDER SELECTION
+// ============================================
+
+/**
+ * Create a provider by name
+ * @param {string} name - 'agent-sdk' | 'messages-api' | 'fake'
+ */
+function createProvider(name) {
+  switch (name) {
+    case 'agent-sdk':
+      return createAgentSdkProvider();
+    case 'messages-api':
+      return createMessagesApiProvider({
+        model: process.env.LLM_MODEL || DEFAULT_MODEL,
+        maxTokens: parseInt(process.env.LLM_MAX_TOKENS, 10) || DEFAULT_MAX_TOKENS
+      });
+    case 'fake':
+      return createFakeProvider();
+    default:
+      throw new Error(`Unknown LLM provider: ${name}`);
+  }
+}
+
+/**
+ * Build the provider described by the environment
+ * (LLM_PROVIDER, LLM_FIXTURES, LLM_FIXTURES_DIR)
+ */
+function createConfiguredProvider() {
+  const fixturesMode = process.env.LLM_FIXTURES;
+  const fixturesDir = process.env.LLM_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+
+  if (fixturesMode === 'replay') {
+    return createReplayProvider(fixturesDir);
+  }
+
+  const provider = createProvider(process.env.LLM_PROVIDER || DEFAULT_PROVIDER);
+
+  if (fixturesMode === 'record') {
+    return createRecordingProvider(provider, fixturesDir);
+  }
+
+  if (fixturesMode) {
+    throw new Error(`Unknown LLM_FIXTURES mode: ${fixturesMode}`);
+  }
+
+  return provider;
+}
+
+/**
+ * Get the configured provider (LLM_PROVIDER, default agent-sdk)
+ */
+function getProvider() {
+  if (!activeProvider) {
+    activeProvider = createConfiguredProvider();
+    console.log('[LLM] Using provider:', activeProvider.name);
+  }
+  return activeProvider;
+}
+
+/**
+ * Override the active provider (pass null to re-read the configuration)
+ * @param {Object|null} provider - Provider object or null
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+// ============================================
+// USAGE ACCOUNTING
+// ============================================
+
+/**
+ * Estimated cost of a call from MODEL_PRICES
+ * @param {string} model - Model name
+ * @param {Object} usage - { input, output } tokens
+ * @returns {number} USD (0 for unknown models)
+ */
+function estimateCostUsd(model, usage) {
+  const price = MODEL_PRICES.find(entry => (model || '').startsWith(entry.prefix));
+  if (!price || !usage) {
+    return 0;
+  }
+  return ((usage.input || 0) * price.input + (usage.output || 0) * price.output) / 1_000_000;
+}
+
+/**
+ * Write a ledger row; accounting never fails the call itself
+ */
+function recordUsage(entry, logPrefix) {
+  try {
+    recordLlmUsage(entry);
+  } catch (error) {
+    console.error(logPrefix, 'Could not record usage:', error.message);
+  }
+}
+
+/**
+ * Run a completion on the active provider with timeout handling
+ * @param {string} prompt - Prompt text
+ * @param {Object} options
+ * @param {string} options.task - Task hint: 'solve' | 'vision' | 'generate' | 'verify' | 'tutor' | 'hint' | 'tag'
+ * @param {Array} options.images - Images as { data (base64), mediaType }
+ * @param {number} options.timeoutMs - Timeout in milliseconds
+ * @param {string} options.logPrefix - Prefix for log lines
+ * @param {Function} options.onText - Receives text deltas as they arrive (optional)
+ * @param {AbortSignal} options.signal - Aborts the request when signalled (optional, e.g. job cancellation)
+ * @param {string} options.subjectId - Subject the call is for, stored in the usage ledger (optional)
+ * @returns {Promise<{text: string, usage: {input: number, output: number}, model: string}>}
+ * @throws {LlmTimeoutError} When the timeout is exceeded
+ * @throws {LlmCancelledError} When options.signal is aborted
+ */
+async function complete(prompt, { task = null, images = [], timeoutMs = 60000, logPrefix = '[LLM]', onText = null, signal = null, subjectId = null } = {}) {
+  if (signal?.aborted) {
+    throw new LlmCancelledError();
+  }
+
+  const provider = getProvider();
+  const abortController = new AbortController();
+  const timeout = setTimeout(() => abortController.abort(), timeoutMs);
+  const onCancel = () => abortController.abort();
+  signal?.addEventListener('abort', onCancel);
+
+  const startedAt = Date.now();
+  let result = null;
+  let status = 'ok';
+
+  try {
+    result = await provider.complete({ prompt, images, task, abortController, logPrefix, onText });
+    return result;
+  } catch (error) {
+    if (signal?.aborted) {
+      status = 'cancelled';
+      throw new LlmCancelledError();
+    }
+
+    if (error.name === 'AbortError' || abortController.signal.aborted) {
+      status = 'timeout';
+      throw new LlmTimeoutError(timeoutMs);
+    }
+
+    status = 'error';
+    throw error;
+  } finally {
+    clearTimeout(timeout);
+    signal?.removeEventListener('abort', onCancel);
+
+    const usage = result?.usage || { input: 0, output: 0 };
+    recordUsage({
+      feature: task || 'default',
+      subjectId,
+      provider: provider.name,
+      model: result?.model || null,
+      inputTokens: usage.input,
+      outputTokens: usage.output,
+      costUsd: usage.costUsd ?? estimateCostUsd(result?.model, usage),
+      durationMs: Date.now() - startedAt,
+      status
+    }, logPrefix);
+  }
+}
+
+export {
+  complete,
+  getProvider,
+  setProvider,
+  createProvider,
+  createConfiguredProvider,
+  createAgentSdkProvider,
+  createMessagesApiProvider,
+  createFakeProvider,
+  estimateCostUsd,
+  MODEL_PRICES,
+  LlmTimeoutError,
+  LlmCancelledError
+};
@@ -0,0 +1,756 @@
+/**
+ * Moodle Question Formats
+ * Reads and writes question banks in Moodle GIFT and Moodle XML.
+ *
+ * Both formats map to the same bank item:
+ *   { name, topic, content, options, questionType, tolerance, answer, explanation, wrongOptions }
+ * answer is in the canonical form of answerGrading ("b", "a,c", "12.5"),
+ * wrongOptions holds the feedback of each wrong option ({ letter: text }) and
+ * explanation the general feedback. Moodle question types without an
+ * equivalent here (matching, short answer, essay, cloze...) are reported as
+ * skipped instead of imported.
+ */
+
+import {
+  OPTION_LETTERS,
+  MIN_OPTIONS,
+  MAX_OPTIONS,
+  TRUE_FALSE_OPTIONS,
+  getOptionLetters,
+  isTrueFalse
+} from './answerOptions.js';
+import { normalizeNumber } from './answerGrading.js';
+
+const MOODLE_FORMATS = ['gift', 'xml'];
+
+// ============================================
+// SHARED HELPERS
+// ============================================
+
+const HTML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+/**
+ * Decode XML/HTML character references (&amp;, &#39;, &#x41;...)
+ */
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out-of-range references (&#99999999;) stay as text
+      return value <= 0x10FFFF ? String.fromCodePoint(value) : entity;
+    }
+    return HTML_ENTITIES[code.toLowerCase()] ?? entity;
+  });
+}
+
+/**
+ * Plain text of an HTML fragment (Moodle stores most texts as HTML)
+ */
+function htmlToText(html) {
+  return decodeEntities(
+    html
+      .replace(/<br\s*\/?>/gi, '\n')
+      .replace(/<\/(p|div|h\d|tr)>/gi, '\n\n')
+      .replace(/<li[^>]*>/gi, '- ')
+      .replace(/<\/li>/gi, '\n')
+      .replace(/<[^>]+>/g, '')
+  )
+    .replace(/[ \t]+\n/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Text in the given Moodle text format, as plain/markdown text
+ * @param {string} text - Text
+ * @param {string} format - 'html' | 'markdown' | 'moodle' | 'plain'
+ */
+function readFormattedText(text, format) {
+  return format === 'html' ? htmlToText(text) : text.trim();
+}
+
+/**
+ * Moodle fraction with at most 5 decimals ("33.33333", "-50")
+ */
+function formatFraction(value) {
+  return String(Number(value.toFixed(5)));
+}
+
+/**
+ * Bank item for a multiple choice question from its answers
+ * A single-answer question is right only with its best option (other
+ * positive fractions are partial credit Moodle gives and we do not);
+ * a multiple-answer one needs every option with a positive fraction.
+ * @param {Object} base - { name, topic, content }
+ * @param {Array} answers - [{ text, fraction, feedback }] in order
+ * @param {string} generalFeedback - General feedback (optional)
+ * @param {boolean} single - One answer allowed (Moodle's <single>)
+ * @returns {{item: Object}|{reason: string}}
+ */
+function choiceItem(base, answers, generalFeedback, single) {
+  if (answers.length > MAX_OPTIONS) {
+    return { reason: `More than ${MAX_OPTIONS} options` };
+  }
+  if (answers.length < MIN_OPTIONS) {
+    return { reason: `Fewer than ${MIN_OPTIONS} options` };
+  }
+
+  const best = Math.max(...answers.map(answer => answer.fraction));
+  if (best <= 0) {
+    return { reason: 'No correct option' };
+  }
+  const isRight = single
+    ? (answer) => answer === answers.find(candidate => candidate.fraction === best)
+    : (answer) => answer.fraction > 0;
+
+  const options = {};
+  const correct = [];
+  const wrongOptions = {};
+  answers.forEach((answer, index) => {
+    const letter = OPTION_LETTERS[index];
+    options[letter] = answer.text;
+    if (isRight(answer)) {
+      correct.push(letter);
+    } else if (answer.feedback) {
+      wrongOptions[letter] = answer.feedback;
+    }
+  });
+
+  // Without general feedback, the feedback of the right option(s) explains the answer
+  const rightFeedback = answers
+    .filter(answer => isRight(answer) && answer.feedback)
+    .map(answer => answer.feedback)
+    .join('\n\n');
+
+  return {
+    item: {
+      ...base,
+      options,
+      questionType: single ? 'single' : 'multiple',
+      tolerance: null,
+      answer: correct.join(','),
+      explanation: generalFeedback || rightFeedback || null,
+      wrongOptions
+    }
+  };
+}
+
+/**
+ * Bank item for a true/false question
+ * @param {Object} base - { name, topic, content }
+ * @param {boolean} isTrue - Whether the statement is true
+ * @param {string} wrongFeedback - Feedback of the wrong choice (optional)
+ * @param {string} rightFeedback - Feedback of the right choice (optional)
+ * @param {string} generalFeedback - General feedback (optional)
+ */
+function trueFalseItem(base, isTrue, wrongFeedback, rightFeedback, generalFeedback) {
+  const wrongLetter = isTrue ? 'b' : 'a';
+  return {
+    ...base,
+    options: { ...TRUE_FALSE_OPTIONS },
+    questionType: 'single',
+    tolerance: null,
+    answer: isTrue ? 'a' : 'b',
+    explanation: generalFeedback || rightFeedback || null,
+    wrongOptions: wrongFeedback ? { [wrongLetter]: wrongFeedback } : {}
+  };
+}
+
+/**
+ * Bank item for a numerical question
+ * @param {Object} base - { name, topic, content }
+ * @param {string} value - Correct value
+ * @param {string} tolerance - Accepted error (optional)
+ * @param {string} generalFeedback - General feedback (optional)
+ * @returns {{item: Object}|{reason: string}}
+ */
+function numericItem(base, value, tolerance, generalFeedback) {
+  const answer = normalizeNumber(value);
+  if (answer === null) {
+    return { reason: 'Invalid numeric answer' };
+  }
+  const error = tolerance ? Math.abs(Number(normalizeNumber(tolerance))) : 0;
+
+  return {
+    item: {
+      ...base,
+      options: {},
+      questionType: 'numeric',
+      tolerance: error || null,
+      answer,
+      explanation: generalFeedback || null,
+      wrongOptions: {}
+    }
+  };
+}
+
+/**
+ * How a bank item is written in Moodle: numerical, truefalse or multichoice
+ */
+function moodleTypeOf(item) {
+  if (item.questionType === 'numeric') return 'numerical';
+  if (item.questionType === 'single' && isTrueFalse(item.options)) return 'truefalse';
+  return 'multichoice';
+}
+
+/**
+ * Answers of a choice item with their Moodle fractions
+ * Multiple answers split 100% among the right options and take the same
+ * share off for each wrong one (the partial credit of answerGrading)
+ * @returns {Array<{letter, text, fraction, feedback}>}
+ */
+function choiceAnswers(item) {
+  const correct = item.answer.split(',');
+  const share = 100 / correct.length;
+
+  return getOptionLetters(item.options).map(letter => {
+    const isRight = correct.includes(letter);
+    let fraction = isRight ? 100 : 0;
+    if (item.questionType === 'multiple') {
+      fraction = isRight ? share : -share;
+    }
+    return {
+      letter,
+      text: item.options[letter],
+      fraction,
+      feedback: isRight ? '' : (item.wrongOptions?.[letter] || '')
+    };
+  });
+}
+
+// ============================================
+// GIFT
+// ============================================
+
+/**
+ * Escape GIFT control characters and newlines
+ */
+function escapeGift(text) {
+  return String(text ?? '')
+    .replace(/[\\~=#{}:]/g, '\\$&')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Undo escapeGift ("\\n" is a newline, "\\x" is x)
+ */
+function unescapeGift(text) {
+  return text.replace(/\\(.)/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+/**
+ * Index of the first unescaped occurrence of a token, or -1
+ */
+function indexOfUnescaped(text, token, from = 0) {
+  for (let i = from; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (text.startsWith(token, i)) return i;
+  }
+  return -1;
+}
+
+/**
+ * Split at the first unescaped occurrence of a token: [before, after|null]
+ */
+function splitUnescaped(text, token) {
+  const index = indexOfUnescaped(text, token);
+  return index === -1 ? [text, null] : [text.slice(0, index), text.slice(index + token.length)];
+}
+
+/**
+ * Split a GIFT file into question blocks (blank lines outside braces),
+ * keeping track of the $CATEGORY each block belongs to
+ * @returns {Array<{text: string, category: string|null}>}
+ */
+function splitGiftBlocks(text) {
+  const blocks = [];
+  let category = null;
+  let current = [];
+  let depth = 0;
+
+  const flush = () => {
+    const block = current.join('\n').trim();
+    if (block) blocks.push({ text: block, category });
+    current = [];
+  };
+
+  for (const line of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const trimmed = line.trim();
+
+    if (depth === 0) {
+      if (trimmed.startsWith('//')) continue;
+      const categoryMatch = trimmed.match(/^\$CATEGORY:\s*(.*)$/i);
+      if (categoryMatch) {
+        flush();
+        category = categoryMatch[1].trim();
+        continue;
+      }
+      if (!trimmed) {
+        flush();
+        continue;
+      }
+    }
+
+    current.push(line);
+    for (let i = 0; i < line.length; i++) {
+      if (line[i] === '\\') i++;
+      else if (line[i] === '{') depth++;
+      else if (line[i] === '}') depth = Math.max(0, depth - 1);
+    }
+  }
+  flush();
+
+  return blocks;
+}
+
+/**
+ * Topic of a Moodle category path ("$course$/top/Tema1" -> "Tema1")
+ */
+function categoryTopic(category) {
+  if (!category) return null;
+  const segments = category.split('/').map(segment => segment.trim()).filter(Boolean);
+  const last = segments[segments.length - 1];
+  return last && last !== 'top' && !last.startsWith('$') ? last : null;
+}
+
+/**
+ * Answers of a GIFT choice block ("=right#fb ~%50%partial ~wrong#fb")
+ */
+function parseGiftChoices(body) {
+  const answers = [];
+  let start = -1;
+
+  const push = (end) => {
+    if (start === -1) return;
+    const marker = body[start];
+    let raw = body.slice(start + 1, end).trim();
+    let fraction = marker === '=' ? 100 : 0;
+
+    const weight = raw.match(/^%(-?\d+(?:\.\d+)?)%/);
+    if (weight) {
+      fraction = Number(weight[1]);
+      raw = raw.slice(weight[0].length);
+    }
+
+    const [text, feedback] = splitUnescaped(raw, '#');
+    answers.push({
+      marker,
+      text: unescapeGift(text).trim(),
+      fraction,
+      feedback: feedback === null ? '' : unescapeGift(feedback).trim()
+    });
+  };
+
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] === '\\') {
+      i++;
+      continue;
+    }
+    if (body[i] === '=' || body[i] === '~') {
+      push(i);
+      start = i;
+    }
+  }
+  push(body.length);
+
+  return answers;
+}
+
+/**
+ * Parse one GIFT question block
+ * @returns {{item: Object}|{reason: string, name: string}}
+ */
+function parseGiftBlock(block, topic) {
+  let rest = block.trim();
+
+  let name = null;
+  if (rest.startsWith('::')) {
+    const end = indexOfUnescaped(rest, '::', 2);
+    if (end !== -1) {
+      name = unescapeGift(rest.slice(2, end)).trim();
+      rest = rest.slice(end + 2).trim();
+    }
+  }
+
+  let format = 'moodle';
+  const formatMatch = rest.match(/^\[(html|markdown|plain|moodle)\]/i);
+  if (formatMatch) {
+    format = formatMatch[1].toLowerCase();
+    rest = rest.slice(formatMatch[0].length);
+  }
+
+  const open = indexOfUnescaped(rest, '{');
+  const close = open === -1 ? -1 : indexOfUnescaped(rest, '}', open);
+  if (open === -1 || close === -1) {
+    return { name, reason: 'Unsupported question type: description' };
+  }
+
+  const before = unescapeGift(rest.slice(0, open));
+  const after = unescapeGift(rest.slice(close + 1));
+  // Missing word questions ("El ___ es ...") keep a blank where the answers were
+  const content = readFormattedText(after.trim() ? `${before.trim()} _____ ${after.trim()}` : before, format);
+  const base = { name, topic, content };
+
+  const [answerBody, general] = splitUnescaped(rest.slice(open + 1, close), '####');
+  const generalFeedback = general === null ? '' : readFormattedText(unescapeGift(general), format);
+  const body = answerBody.trim();
+
+  if (!body) {
+    return { name, reason: 'Unsupported question type: essay' };
+  }
+
+  // Numerical: {#12:0.5} or {#=12:0.5#feedback =%50%12:2} or {#10..14}
+  if (body.startsWith('#')) {
+    const choices = parseGiftChoices(body.slice(1));
+    const first = choices.find(choice => choice.fraction === 100) || choices[0];
+    const raw = first ? first.text : unescapeGift(splitUnescaped(body.slice(1), '#')[0]).trim();
+
+    const range = raw.match(/^(.+?)\.\.(.+)$/);
+    if (range) {
+      const min = Number(normalizeNumber(range[1]));
+      const max = Number(normalizeNumber(range[2]));
+      return { name, ...numericItem(base, String((min + max) / 2), String((max - min) / 2), generalFeedback) };
+    }
+    const [value, tolerance] = raw.split(':');
+    return { name, ...numericItem(base, value, tolerance, generalFeedback) };
+  }
+
+  // True/false: {T}, {FALSE#feedback if wrong#feedback if right}
+  const trueFalse = body.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (trueFalse) {
+    const [wrongFeedback = '', rightFeedback = ''] = body.slice(trueFalse[0].length)
+      .split(/(?<!\\)#/)
+      .slice(1)
+      .map(text => unescapeGift(text).trim());
+    const isTrue = trueFalse[1].toUpperCase().startsWith('T');
+    return { item: trueFalseItem(base, isTrue, wrongFeedback, rightFeedback, generalFeedback) };
+  }
+
+  if (indexOfUnescaped(body, '->') !== -1) {
+    return { name, reason: 'Unsupported question type: matching' };
+  }
+
+  const choices = parseGiftChoices(body);
+  if (!choices.some(choice => choice.marker === '~')) {
+    return { name, reason: 'Unsupported question type: shortanswer' };
+  }
+
+  const answers = choices.map(choice => ({
+    text: readFormattedText(choice.text, format),
+    fraction: choice.fraction,
+    feedback: readFormattedText(choice.feedback, format)
+  }));
+  // Weighted multiple-answer questions give no option the full 100%
+  const single = answers.some(answer => answer.fraction === 100);
+  return { name, ...choiceItem(base, answers, generalFeedback, single) };
+}
+
+/**
+ * Parse a GIFT file
+ * @param {string} text - GIFT file contents
+ * @returns {{items: Array<Object>, skipped: Array<{name, reason}>}}
+ */
+function parseGift(text) {
+  const items = [];
+  const skipped = [];
+
+  for (const block of splitGiftBlocks(text)) {
+    const result = parseGiftBlock(block.text, categoryTopic(block.category));
+    if (result.item) {
+      items.push(result.item);
+    } else {
+      skipped.push({ name: result.name || block.text.substring(0, 60), reason: result.reason });
+    }
+  }
+
+  return { items, skipped };
+}
+
+/**
+ * Write bank items as a GIFT file
+ * @param {Array<Object>} items - Bank items (with answer)
+ * @param {Object} options
+ * @param {Array<string>} options.notes - Comment lines for the top of the file
+ * @returns {string}
+ */
+function toGift(items, { notes = [] } = {}) {
+  const lines = notes.map(note => `// ${note.replace(/\r?\n/g, ' ')}`);
+  let topic = null;
+
+  for (const item of items) {
+    if (item.topic && item.topic !== topic) {
+      topic = item.topic;
+      lines.push('', `$CATEGORY: $course$/top/${topic}`);
+    }
+
+    const head = `${item.name ? `::${escapeGift(item.name)}::` : ''}[markdown]${escapeGift(item.content)}`;
+    const general = item.explanation ? `####${escapeGift(item.explanation)}` : null;
+    const type = moodleTypeOf(item);
+    const body = [];
+
+    if (type === 'numerical') {
+      const tolerance = item.tolerance ? `:${item.tolerance}` : '';
+      body.push(`=${item.answer}${tolerance}`);
+    } else if (type === 'truefalse') {
+      const wrong = item.wrongOptions?.[item.answer === 'a' ? 'b' : 'a'];
+      body.push(`${item.answer === 'a' ? 'TRUE' : 'FALSE'}${wrong ? `#${escapeGift(wrong)}` : ''}`);
+    } else {
+      for (const answer of choiceAnswers(item)) {
+        let marker = answer.fraction > 0 ? '=' : '~';
+        if (item.questionType === 'multiple') {
+          marker = `~%${formatFraction(answer.fraction)}%`;
+        }
+        body.push(`${marker}${escapeGift(answer.text)}${answer.feedback ? `#${escapeGift(answer.feedback)}` : ''}`);
+      }
+    }
+    if (general) body.push(general);
+
+    lines.push('', `${head}{${type === 'numerical' ? '#' : ''}`, ...body.map(line => `\t${line}`), '}');
+  }
+
+  return `${lines.join('\n').trim()}\n`;
+}
+
+// ============================================
+// MOODLE XML
+// ============================================
+
+/**
+ * Text wrapped in CDATA (splitting any "]]>" it contains)
+ */
+function cdata(text) {
+  return `<![CDATA[${String(text ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+/**
+ * Escape text for an XML comment
+ */
+function xmlComment(text) {
+  return `<!-- ${text.replace(/--/g, '- -')} -->`;
+}
+
+/**
+ * Text content of an XML element, decoding CDATA and entities
+ */
+function decodeXmlText(raw) {
+  if (raw.includes('<![CDATA[')) {
+    return [...raw.matchAll(/<!\[CDATA\[([\s\S]*?)]]>/g)].map(match => match[1]).join('');
+  }
+  return decodeEntities(raw);
+}
+
+/**
+ * Read <tag format="..."><text>...</text></tag> from an XML fragment
+ * @returns {{text: string, format: string}|null}
+ */
+function readXmlText(xml, tag) {
+  const element = xml.match(new RegExp(`<${tag}\\b([^>]*)>([\\s\\S]*?)</${tag}>`));
+  if (!element) return null;
+
+  const format = element[1].match(/format="([^"]*)"/)?.[1] || 'html';
+  const text = element[2].match(/<text>([\s\S]*?)<\/text>/);
+  return { text: text ? decodeXmlText(text[1]) : '', format };
+}
+
+/**
+ * Value of a simple <tag>value</tag> element
+ */
+function readXmlValue(xml, tag) {
+  const match = xml.match(new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`));
+  return match ? decodeXmlText(match[1]).trim() : null;
+}
+
+/**
+ * Answers of a Moodle XML question ([{ text, fraction, feedback, tolerance }])
+ */
+function readXmlAnswers(xml, format) {
+  return [...xml.matchAll(/<answer\b([^>]*)>([\s\S]*?)<\/answer>/g)].map(match => {
+    const answerFormat = match[1].match(/format="([^"]*)"/)?.[1] || format;
+    const body = match[2];
+    const feedback = readXmlText(body, 'feedback');
+    const withoutFeedback = body.replace(/<feedback\b[\s\S]*?<\/feedback>/, '');
+    const text = withoutFeedback.match(/<text>([\s\S]*?)<\/text>/);
+
+    return {
+      text: text ? readFormattedText(decodeXmlText(text[1]), answerFormat) : '',
+      fraction: Number(match[1].match(/fraction="([^"]*)"/)?.[1] || 0),
+      feedback: feedback ? readFormattedText(feedback.text, feedback.format) : '',
+      tolerance: readXmlValue(body, 'tolerance')
+    };
+  });
+}
+
+/**
+ * Parse a Moodle XML file
+ * @param {string} text - XML file contents
+ * @returns {{items: Array<Object>, skipped: Array<{name, reason}>}}
+ */
+function parseMoodleXml(text) {
+  const items = [];
+  const skipped = [];
+  let topic = null;
+
+  for (const match of text.matchAll(/<question\s+type="([^"]+)"[^>]*>([\s\S]*?)<\/question>/g)) {
+    const [, type, xml] = match;
+
+    if (type === 'category') {
+      topic = categoryTopic(readXmlText(xml, 'category')?.text || null);
+      continue;
+    }
+
+    const name = readXmlText(xml, 'name')?.text.trim() || null;
+    const question = readXmlText(xml, 'questiontext');
+    const general = readXmlText(xml, 'generalfeedback');
+    const base = {
+      name,
+      topic,
+      content: question ? readFormattedText(question.text, question.format) : ''
+    };
+    const generalFeedback = general ? readFormattedText(general.text, general.format) : '';
+    const answers = readXmlAnswers(xml, question?.format || 'html');
+
+    let result;
+    if (type === 'multichoice') {
+      result = choiceItem(base, answers, generalFeedback, readXmlValue(xml, 'single') !== 'false');
+    } else if (type === 'truefalse') {
+      const right = answers.find(answer => answer.fraction > 0);
+      const wrong = answers.find(answer => answer !== right);
+      result = right
+        ? { item: trueFalseItem(base, right.text.toLowerCase() === 'true', wrong?.feedback, right.feedback, generalFeedback) }
+        : { reason: 'No correct option' };
+    } else if (type === 'numerical') {
+      const right = answers.find(answer => answer.fraction === 100) || answers[0];
+      result = right
+        ? numericItem(base, right.text, right.tolerance, generalFeedback)
+        : { reason: 'Invalid numeric answer' };
+    } else {
+      result = { reason: `Unsupported question type: ${type}` };
+    }
+
+    if (result.item) {
+      items.push(result.item);
+    } else {
+      skipped.push({ name: name || base.content.substring(0, 60), reason: result.reason });
+    }
+  }
+
+  return { items, skipped };
+}
+
+/**
+ * Write bank items as a Moodle XML file
+ * @param {Array<Object>} items - Bank items (with answer)
+ * @param {Object} options
+ * @param {Array<string>} options.notes - Comments for the top of the file
+ * @returns {string}
+ */
+function toMoodleXml(items, { notes = [] } = {}) {
+  const lines = ['<?xml version="1.0" encoding="UTF-8"?>', '<quiz>'];
+  lines.push(...notes.map(note => `  ${xmlComment(note)}`));
+  let topic = null;
+
+  for (const item of items) {
+    if (item.topic && item.topic !== topic) {
+      topic = item.topic;
+      lines.push(
+        '  <question type="category">',
+        `    <category><text>${cdata(`$course$/top/${topic}`)}</text></category>`,
+        '  </question>'
+      );
+    }
+
+    const type = moodleTypeOf(item);
+    lines.push(
+      `  <question type="${type}">`,
+      `    <name><text>${cdata(item.name || '')}</text></name>`,
+      `    <questiontext format="markdown"><text>${cdata(item.content)}</text></questiontext>`,
+      `    <generalfeedback format="markdown"><text>${cdata(item.explanation || '')}</text></generalfeedback>`,
+      '    <defaultgrade>1</defaultgrade>'
+    );
+
+    if (type === 'numerical') {
+      lines.push(
+        '    <answer fraction="100">',
+        `      <text>${item.answer}</text>`,
+        `      <tolerance>${item.tolerance || 0}</tolerance>`,
+        '    </answer>'
+      );
+    } else if (type === 'truefalse') {
+      for (const letter of ['a', 'b']) {
+        const isRight = item.answer === letter;
+        lines.push(
+          `    <answer fraction="${isRight ? 100 : 0}" format="moodle_auto_format">`,
+          `      <text>${letter === 'a' ? 'true' : 'false'}</text>`,
+          `      <feedback format="markdown"><text>${cdata(isRight ? '' : (item.wrongOptions?.[letter] || ''))}</text></feedback>`,
+          '    </answer>'
+        );
+      }
+    } else {
+      lines.push(
+        `    <single>${item.questionType === 'multiple' ? 'false' : 'true'}</single>`,
+        '    <shuffleanswers>false</shuffleanswers>',
+        '    <answernumbering>abc</answernumbering>'
+      );
+      for (const answer of choiceAnswers(item)) {
+        lines.push(
+          `    <answer fraction="${formatFraction(answer.fraction)}" format="markdown">`,
+          `      <text>${cdata(answer.text)}</text>`,
+          `      <feedback format="markdown"><text>${cdata(answer.feedback)}</text></feedback>`,
+          '    </answer>'
+        );
+      }
+    }
+
+    lines.push('  </question>');
+  }
+
+  lines.push('</quiz>');
+  return `${lines.join('\n')}\n`;
+}
+
+// ============================================
+// FORMAT SELECTION
+// ============================================
+
+/**
+ * Guess the format of a Moodle export from its contents
+ * @param {string} text - File contents
+ * @returns {string} 'xml' | 'gift'
+ */
+function detectMoodleFormat(text) {
+  return /^\s*(<\?xml|<quiz\b)/.test(text.replace(/^\uFEFF/, '')) ? 'xml' : 'gift';
+}
+
+/**
+ * Parse a Moodle export in the given format
+ * @param {string} text - File contents
+ * @param {string} format - 'gift' | 'xml'
+ */
+function parseMoodle(text, format) {
+  return format === 'xml' ? parseMoodleXml(text) : parseGift(text);
+}
+
+/**
+ * Write bank items in the given format
+ * @param {Array<Object>} items - Bank items
+ * @param {string} format - 'gift' | 'xml'
+ * @param {Object} options - { notes }
+ */
+function formatMoodle(items, format, options = {}) {
+  return format === 'xml' ? toMoodleXml(items, options) : toGift(items, options);
+}
+
+export {
+  MOODLE_FORMATS,
+  parseGift,
+  toGift,
+  parseMoodleXml,
+  toMoodleXml,
+  detectMoodleFormat,
+  parseMoodle,
+  formatMoodle,
+  htmlToText
+};
@@ -0,0 +1,399 @@
+/**
+ * Question Duplicates
+ * Finds near-duplicate questions (the same exam question loaded from the
+ * markdown bank and again from an approved exam PDF, under different IDs)
+ * and merges them, moving the history of one question onto the other.
+ *
+ * Questions are compared on normalized text (lowercase, no accents or
+ * punctuation) cut into word shingles, plus the shingles of their options
+ * regardless of letter, so reordered options still match.
+ */
+
+import { db, getQuestionById, markStaleSolutions } from '../database.js';
+import { getOptionLetters } from './answerOptions.js';
+
+// Score from which two questions are reported as likely duplicates
+const DUPLICATE_THRESHOLD = 0.8;
+
+// Words per text shingle (options are short: pairs)
+const TEXT_SHINGLE_SIZE = 3;
+const OPTION_SHINGLE_SIZE = 2;
+
+// Share of the score taken by the question text; the options take the rest
+const CONTENT_WEIGHT = 0.6;
+
+// Questions approved from exam PDFs: "<subject>_exam_<examId>_q<N>" (see routes/pipeline.js)
+const PIPELINE_ID = /_exam_[^_]+_q\d+$/;
+
+/**
+ * Lowercase words without accents or punctuation
+ * @param {string} text - Any text (markdown is fine)
+ * @returns {Array<string>}
+ */
+function normalizeWords(text) {
+  return (text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Set of consecutive word groups of a text (the whole text when it is shorter)
+ * @param {string} text - Text to cut
+ * @param {number} size - Words per shingle
+ * @returns {Set<string>}
+ */
+function shingles(text, size = TEXT_SHINGLE_SIZE) {
+  const words = normalizeWords(text);
+  if (words.length <= size) {
+    return new Set(words.length > 0 ? [words.join(' ')] : []);
+  }
+
+  const result = new Set();
+  for (let i = 0; i <= words.length - size; i++) {
+    result.add(words.slice(i, i + size).join(' '));
+  }
+  return result;
+}
+
+/**
+ * Jaccard index of two sets (0 when both are empty)
+ */
+function jaccard(a, b) {
+  if (a.size === 0 && b.size === 0) return 0;
+
+  let shared = 0;
+  for (const item of a) {
+    if (b.has(item)) shared++;
+  }
+  return shared / (a.size + b.size - shared);
+}
+
+/**
+ * What a question is compared on
+ * @param {Object} question - Question with content, shared_statement and options (object or JSON)
+ * @returns {{text: Set<string>, options: Set<string>}}
+ */
+function fingerprint(question) {
+  const options = typeof question.options === 'string'
+    ? JSON.parse(question.options)
+    : (question.options || {});
+
+  const optionShingles = new Set();
+  for (const letter of getOptionLetters(options)) {
+    for (const shingle of shingles(options[letter], OPTION_SHINGLE_SIZE)) {
+      optionShingles.add(shingle);
+    }
+  }
+
+  return {
+    text: shingles(`${question.shared_statement || ''} ${question.content || ''}`),
+    options: optionShingles
+  };
+}
+
+/**
+ * Similarity of two fingerprints
+ * Questions without options (numeric) are compared on their text alone.
+ * @returns {{score: number, contentScore: number, optionScore: number|null}}
+ */
+function compareFingerprints(a, b) {
+  const round = value => Math.round(value * 1000) / 1000;
+  const contentScore = jaccard(a.text, b.text);
+
+  if (a.options.size === 0 || b.options.size === 0) {
+    return { score: round(contentScore), contentScore: round(contentScore), optionScore: null };
+  }
+
+  const optionScore = jaccard(a.options, b.options);
+  return {
+    score: round(CONTENT_WEIGHT * contentScore + (1 - CONTENT_WEIGHT) * optionScore),
+    contentScore: round(contentScore),
+    optionScore: round(optionScore)
+  };
+}
+
+/**
+ * Similarity of two questions
+ * @param {Object} a - Question (content, shared_statement, options)
+ * @param {Object} b - Question
+ * @returns {{score: number, contentScore: number, optionScore: number|null}}
+ */
+function compareQuestions(a, b) {
+  return compareFingerprints(fingerprint(a), fingerprint(b));
+}
+
+/**
+ * Letter of each option of one question in another one with the same options
+ * Matches option texts regardless of order, so a, b, c -> c, a, b is found.
+ * @param {Object} fromOptions - Options of the question whose letters are translated
+ * @param {Object} toOptions - Options of the target question
+ * @returns {Object|null} { a: 'c', ... }, or null when the options do not pair up one to one
+ */
+function mapOptionLetters(fromOptions, toOptions) {
+  const fromLetters = getOptionLetters(fromOptions);
+  const toLetters = getOptionLetters(toOptions);
+  if (fromLetters.length !== toLetters.length) return null;
+
+  const map = {};
+  const used = new Set();
+  for (const letter of fromLetters) {
+    const words = new Set(normalizeWords(fromOptions[letter]));
+    let best = null;
+    let bestScore = 0;
+    for (const candidate of toLetters) {
+      const score = jaccard(words, new Set(normalizeWords(toOptions[candidate])));
+      if (score > bestScore) {
+        best = candidate;
+        bestScore = score;
+      }
+    }
+    if (!best || bestScore < DUPLICATE_THRESHOLD || used.has(best)) return null;
+    map[letter] = best;
+    used.add(best);
+  }
+  return map;
+}
+
+/**
+ * Active questions of a subject, with the fields compared
+ * @param {string} subjectId - Subject ID
+ */
+function getComparableQuestions(subjectId) {
+  return db.prepare(`
+    SELECT q.id, q.topic, q.question_number, q.shared_statement, q.content, q.options,
+      (SELECT COUNT(*) FROM attempts a WHERE a.question_id = q.id) as attempts
+    FROM questions q
+    WHERE q.subject_id = ? AND q.removed_at IS NULL
+    ORDER BY q.topic, q.question_number
+  `).all(subjectId);
+}
+
+/**
+ * Question fields shown in duplicate reports
+ */
+function summarize(row) {
+  return {
+    id: row.id,
+    topic: row.topic,
+    questionNumber: row.question_number,
+    content: row.content,
+    options: typeof row.options === 'string' ? JSON.parse(row.options) : row.options,
+    source: PIPELINE_ID.test(row.id) ? 'pipeline' : 'bank',
+    attempts: row.attempts
+  };
+}
+
+/**
+ * Questions of a subject that look like the given one
+ * @param {Object} question - Question to look for (content, shared_statement, options)
+ * @param {Object} options
+ * @param {string} options.subjectId - Subject to search in
+ * @param {Array<string>} options.excludeIds - IDs not to report (the question itself)
+ * @param {number} options.threshold - Minimum score (default: DUPLICATE_THRESHOLD)
+ * @param {number} options.limit - Maximum matches (default: 5)
+ * @returns {Array<{id, topic, questionNumber, score, contentScore, optionScore}>} Best first
+ */
+function findSimilarQuestions(question, { subjectId, excludeIds = [], threshold = DUPLICATE_THRESHOLD, limit = 5 } = {}) {
+  const target = fingerprint(question);
+
+  return getComparableQuestions(subjectId)
+    .filter(row => !excludeIds.includes(row.id))
+    .map(row => ({
+      id: row.id,
+      topic: row.topic,
+      questionNumber: row.question_number,
+      ...compareFingerprints(target, fingerprint(row))
+    }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Pairs of likely duplicate questions in a subject
+ * Only questions sharing at least one text shingle are compared.
+ * @param {string} subjectId - Subject ID
+ * @param {Object} options - { threshold?: minimum score }
+ * @returns {Array<{score, contentScore, optionScore, suggestedKeepId, questions: Array}>} Best first
+ */
+function findDuplicateQuestions(subjectId, { threshold = DUPLICATE_THRESHOLD } = {}) {
+  const rows = getComparableQuestions(subjectId);
+  const fingerprints = rows.map(fingerprint);
+
+  const index = new Map();
+  fingerprints.forEach((entry, i) => {
+    for (const shingle of entry.text) {
+      if (!index.has(shingle)) index.set(shingle, []);
+      index.get(shingle).push(i);
+    }
+  });
+
+  const pairs = [];
+  fingerprints.forEach((entry, i) => {
+    const candidates = new Set();
+    for (const shingle of entry.text) {
+      for (const j of index.get(shingle)) {
+        if (j > i) candidates.add(j);
+      }
+    }
+
+    for (const j of candidates) {
+      const similarity = compareFingerprints(entry, fingerprints[j]);
+      if (similarity.score < threshold) continue;
+
+      const questions = [summarize(rows[i]), summarize(rows[j])];
+      pairs.push({ ...similarity, suggestedKeepId: suggestKeep(questions), questions });
+    }
+  });
+
+  return pairs.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Question to keep from a duplicate pair: the one from a question file (edits
+ * to the file keep reaching it), else the one with more attempts
+ */
+function suggestKeep([a, b]) {
+  if (a.source !== b.source) {
+    return a.source === 'bank' ? a.id : b.id;
+  }
+  return b.attempts > a.attempts ? b.id : a.id;
+}
+
+/**
+ * An answer ("b", "a,c") in the letters of another question
+ */
+function remapAnswer(answer, letterMap) {
+  return answer
+    .split(',')
+    .map(letter => letterMap[letter.trim()] ?? letter.trim())
+    .sort()
+    .join(',');
+}
+
+/**
+ * Merge a duplicate question into the one that stays
+ * Concept tags always move. Attempts move when the options of both questions
+ * pair up (their letters are translated when the options are in another order),
+ * and so does the official answer when the surviving question has none.
+ * Solutions, hints and the tutor thread talk about option letters, so they only
+ * move when both questions have the same options under the same letters;
+ * otherwise they stay on the merged question and are listed in notMoved.
+ * The merged question is marked removed and points to the survivor (merged_into);
+ * re-loading its question file does not bring it back.
+ * @param {string} keepId - Question that stays
+ * @param {string} mergeId - Duplicate to fold into it
+ * @returns {{keptId, mergedId, optionsRemapped: boolean, moved: Object, notMoved: Array<string>}}
+ */
+function mergeQuestions(keepId, mergeId) {
+  if (keepId === mergeId) {
+    throw new Error('Cannot merge a question into itself');
+  }
+
+  const keep = getQuestionById(keepId);
+  const merged = getQuestionById(mergeId);
+  if (!keep || !merged) {
+    throw new Error(`Question not found: ${keep ? mergeId : keepId}`);
+  }
+
+  const numeric = keep.question_type === 'numeric' && merged.question_type === 'numeric';
+  const letterMap = numeric ? {} : mapOptionLetters(merged.options, keep.options);
+  const sameLetters = letterMap !== null && Object.entries(letterMap).every(([from, to]) => from === to);
+  const count = (table) => db.prepare(`SELECT COUNT(*) as count FROM ${table} WHERE question_id = ?`);
+
+  const moved = { attempts: 0, officialAnswer: false, solution: false, solutionVersions: 0, hints: 0, tutorMessages: 0, tags: 0 };
+  const notMoved = [];
+
+  const apply = db.transaction(() => {
+    // Attempts (answers in letters that do not pair up would be graded against other options)
+    if (sameLetters) {
+      moved.attempts = db.prepare('UPDATE attempts SET question_id = ? WHERE question_id = ?').run(keepId, mergeId).changes;
+    } else if (letterMap) {
+      const updateAttempt = db.prepare('UPDATE attempts SET question_id = ?, user_answer = ?, correct_answer = ? WHERE id = ?');
+      for (const attempt of db.prepare('SELECT id, user_answer, correct_answer FROM attempts WHERE question_id = ?').all(mergeId)) {
+        updateAttempt.run(keepId, remapAnswer(attempt.user_answer, letterMap), remapAnswer(attempt.correct_answer, letterMap), attempt.id);
+        moved.attempts++;
+      }
+    } else if (count('attempts').get(mergeId).count > 0) {
+      notMoved.push('attempts');
+    }
+
+    // Concept tags (tags the survivor already has keep its source)
+    moved.tags = db.prepare(`
+      INSERT OR IGNORE INTO question_tags (question_id, tag_id, source, created_at)
+      SELECT ?, tag_id, source, created_at FROM question_tags WHERE question_id = ?
+    `).run(keepId, mergeId).changes;
+    db.prepare('DELETE FROM question_tags WHERE question_id = ?').run(mergeId);
+
+    // Official answer
+    const official = db.prepare('SELECT * FROM official_answers WHERE question_id = ?').get(mergeId);
+    if (official) {
+      if (letterMap && count('official_answers').get(keepId).count === 0) {
+        db.prepare(`
+          INSERT INTO official_answers (question_id, answer, source, notes, updated_at)
+          VALUES (?, ?, ?, ?, ?)
+        `).run(keepId, numeric ? official.answer : remapAnswer(official.answer, letterMap), official.source, official.notes, official.updated_at);
+        db.prepare('DELETE FROM official_answers WHERE question_id = ?').run(mergeId);
+        moved.officialAnswer = true;
+      } else {
+        notMoved.push('officialAnswer');
+      }
+    }
+
+    // Letter-bound history
+    const hasSolutions = count('solutions_cache').get(mergeId).count > 0 || count('solution_versions').get(mergeId).count > 0;
+    const hasHints = count('question_hints').get(mergeId).count > 0;
+    const hasThread = count('tutor_messages').get(mergeId).count > 0;
+
+    if (sameLetters) {
+      moved.solutionVersions = db.prepare('UPDATE solution_versions SET question_id = ? WHERE question_id = ?').run(keepId, mergeId).changes;
+      if (count('solutions_cache').get(keepId).count === 0) {
+        moved.solution = db.prepare('UPDATE solutions_cache SET question_id = ? WHERE question_id = ?').run(keepId, mergeId).changes > 0;
+        // The search index follows explanation edits only
+        db.prepare('UPDATE question_search SET explanation = (SELECT explanation FROM solutions_cache WHERE question_id = ?) WHERE question_id = ?').run(keepId, keepId);
+      }
+      moved.hints = db.prepare('UPDATE OR IGNORE question_hints SET question_id = ? WHERE question_id = ?').run(keepId, mergeId).changes;
+      // One tutor thread per question: the survivor's own thread wins
+      if (count('tutor_messages').get(keepId).count === 0) {
+        moved.tutorMessages = db.prepare('UPDATE tutor_messages SET question_id = ? WHERE question_id = ?').run(keepId, mergeId).changes;
+      }
+    }
+
+    if (hasSolutions && !moved.solution && moved.solutionVersions === 0) notMoved.push('solutions');
+    if (hasHints && count('question_hints').get(mergeId).count > 0) notMoved.push('hints');
+    if (hasThread && moved.tutorMessages === 0) notMoved.push('tutorMessages');
+
+    db.prepare('UPDATE questions SET parent_question_id = ? WHERE parent_question_id = ?').run(keepId, mergeId);
+    db.prepare('UPDATE questions SET merged_into = ? WHERE merged_into = ?').run(keepId, mergeId);
+    db.prepare('UPDATE questions SET removed_at = CURRENT_TIMESTAMP, merged_into = ? WHERE id = ?').run(keepId, mergeId);
+  });
+
+  apply();
+  if (moved.solution) {
+    // A solution moved from the duplicate was written for its wording
+    markStaleSolutions(keepId);
+  }
+
+  console.log(`[Duplicates] Merged ${mergeId} into ${keepId}: ${moved.attempts} attempts moved${notMoved.length ? `, kept on ${mergeId}: ${notMoved.join(', ')}` : ''}`);
+
+  return {
+    keptId: keepId,
+    mergedId: mergeId,
+    optionsRemapped: letterMap !== null && !sameLetters,
+    moved,
+    notMoved
+  };
+}
+
+export {
+  DUPLICATE_THRESHOLD,
+  normalizeWords,
+  compareQuestions,
+  mapOptionLetters,
+  findSimilarQuestions,
+  findDuplicateQuestions,
+  mergeQuestions
+};
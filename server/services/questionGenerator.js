@@ -1,10 +1,13 @@
 /**
  * Question Generator Service (Fase 3)
  * Generates test questions BASED ON REAL EXAM QUESTIONS
- * Uses Claude Agent SDK to create variations of real questions
+ * Uses the configured LLM provider to create variations of real questions
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
+import { LlmTimeoutError } from './llmProvider.js';
+import { completeWithRepair } from './aiRepair.js';
+import { GeneratedQuestionSchema, validateJsonArray } from './aiSchemas.js';
+import { formatOptionLines } from './answerOptions.js';
 import {
   getGenerationSessionById,
   getSubjectById,
@@ -60,19 +63,18 @@ function getSampleRealQuestions(subjectId, topicFocus = null, samplesPerTopic =
 function formatQuestionForPrompt(q) {
   const options = typeof q.options === 'string' ? JSON.parse(q.options) : q.options;
   let text = `PREGUNTA (${q.sourceTopic || q.topic}):\n${q.content}\n`;
-  text += `a) ${options.a}\n`;
-  text += `b) ${options.b}\n`;
-  text += `c) ${options.c}\n`;
-  text += `d) ${options.d}\n`;
+  text += `${formatOptionLines(options)}\n`;
   return text;
 }
 
 /**
  * Generate test questions for a session
  * @param {string} sessionId - Session ID
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the Claude request (optional, used by background jobs)
  * @returns {Promise<Array>} Generated questions
  */
-export async function generateTestQuestions(sessionId) {
+export async function generateTestQuestions(sessionId, { signal = null } = {}) {
   const session = getGenerationSessionById(sessionId);
   if (!session) {
     throw new Error('Session not found');
@@ -102,49 +104,29 @@ export async function generateTestQuestions(sessionId) {
 
     console.log(`[QuestionGenerator] Generating ${session.question_count} questions for subject: ${subject.name}`);
 
-    // Call Claude Agent SDK
-    const abortController = new AbortController();
-    const timeout = setTimeout(() => abortController.abort(), TIMEOUT_MS);
-
-    let fullResponse = '';
+    // Call Claude through the LLM provider (invalid questions get one repair retry)
+    let generated;
 
     try {
-      const response = query({
-        prompt: prompt,
-        abortController: abortController,
-        options: {
-          maxTurns: 1
-        }
+      generated = await completeWithRepair(prompt, {
+        validate: validateGeneratedQuestions,
+        task: 'generate',
+        timeoutMs: TIMEOUT_MS,
+        logPrefix: '[QuestionGenerator]',
+        signal,
+        subjectId: session.subject_id
       });
-
-      for await (const message of response) {
-        if (message.type === 'assistant' && message.message?.content) {
-          for (const block of message.message.content) {
-            if (block.type === 'text') {
-              fullResponse += block.text;
-            }
-          }
-        }
-        if (message.type === 'result' && message.result && !fullResponse) {
-          fullResponse = message.result;
-        }
-      }
-
-      clearTimeout(timeout);
     } catch (err) {
-      clearTimeout(timeout);
-      if (err.name === 'AbortError' || abortController.signal.aborted) {
+      if (err instanceof LlmTimeoutError) {
         throw new Error('Claude timeout after 2 minutes');
       }
       throw err;
     }
 
-    // Extract text response
-    const responseText = fullResponse;
-    console.log(`[QuestionGenerator] Response length: ${responseText.length}`);
+    console.log(`[QuestionGenerator] Response length: ${generated.text.length}`);
 
-    // Parse questions from response
-    const questions = parseGeneratedQuestions(responseText);
+    // Invalid questions are dropped (and recorded in ai_validation_failures)
+    const questions = generated.value;
     console.log(`[QuestionGenerator] Parsed ${questions.length} questions`);
 
     if (questions.length === 0) {
@@ -218,7 +200,8 @@ ${examplesText}
 
 ## TAREA
 
-Genera exactamente ${count} preguntas NUEVAS tipo TEST (a/b/c/d) basandote en los ejemplos anteriores.
+Genera exactamente ${count} preguntas NUEVAS tipo TEST basandote en los ejemplos anteriores.
+Usa el mismo numero de opciones que los ejemplos (entre 2 y 6, letras a-f). Las preguntas de verdadero/falso llevan las opciones "a": "Verdadero" y "b": "Falso".
 
 ## REGLAS CRITICAS
 
@@ -267,65 +250,12 @@ IMPORTANTE: Responde SOLO con el JSON, sin texto adicional.`;
 }
 
 /**
- * Parse generated questions from Claude response
+ * Validate generated questions against GeneratedQuestionSchema
  * @param {string} text - Response text
- * @returns {Array} Parsed questions
+ * @returns {{value: Array, issues: Array<string>}} Valid questions and the errors of the rest
  */
-function parseGeneratedQuestions(text) {
-  // Clean response
-  let cleaned = text.trim();
-
-  // Remove markdown code blocks if present
-  const jsonBlockMatch = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonBlockMatch) {
-    cleaned = jsonBlockMatch[1].trim();
-  }
-
-  // Find JSON array
-  const jsonMatch = cleaned.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error('[QuestionGenerator] No JSON array found in response');
-    console.error('[QuestionGenerator] Response preview:', cleaned.substring(0, 500));
-    return [];
-  }
-
-  try {
-    const questions = JSON.parse(jsonMatch[0]);
-
-    // Validate each question
-    return questions.filter(q => {
-      if (!q.content || typeof q.content !== 'string') {
-        console.warn('[QuestionGenerator] Question missing content');
-        return false;
-      }
-      if (!q.options || typeof q.options !== 'object') {
-        console.warn('[QuestionGenerator] Question missing options');
-        return false;
-      }
-      if (!q.options.a || !q.options.b || !q.options.c || !q.options.d) {
-        console.warn('[QuestionGenerator] Question missing some options');
-        return false;
-      }
-      if (!q.correctAnswer || !['a', 'b', 'c', 'd'].includes(q.correctAnswer.toLowerCase())) {
-        console.warn('[QuestionGenerator] Question has invalid correctAnswer');
-        return false;
-      }
-      if (!q.explanation || typeof q.explanation !== 'string') {
-        console.warn('[QuestionGenerator] Question missing explanation');
-        return false;
-      }
-
-      // Normalize correctAnswer to lowercase
-      q.correctAnswer = q.correctAnswer.toLowerCase();
-
-      return true;
-    });
-
-  } catch (error) {
-    console.error('[QuestionGenerator] JSON parse error:', error.message);
-    console.error('[QuestionGenerator] JSON text:', jsonMatch[0].substring(0, 500));
-    return [];
-  }
+function validateGeneratedQuestions(text) {
+  return validateJsonArray(GeneratedQuestionSchema, text);
 }
 
 export default {
@@ -0,0 +1,255 @@
+/**
+ * Question Ingest
+ * Loads a topic file into the questions table, applying only what changed
+ * since the last load, and tells listeners (open clients) what changed.
+ *
+ * Questions are matched by ID (the file's "## Pregunta N"). Questions no longer
+ * in the file are marked removed (removed_at) instead of deleted: practice skips
+ * them, and their attempts, solutions and official answers stay, so a question
+ * that comes back keeps its history. Questions merged into a duplicate
+ * (merged_into, see questionDuplicates.js) are not brought back.
+ */
+
+import { EventEmitter } from 'events';
+import {
+  db,
+  getSubjectById,
+  computeContentHash,
+  markStaleSolutions,
+  getOfficialAnswer,
+  importOfficialAnswers,
+  getTopic,
+  createTopic
+} from '../database.js';
+import { parseQuestionFile, parseAnswerKey } from '../questionParser.js';
+import {
+  resolveQuestionSource,
+  listSourceTopics,
+  getTopicFilePath,
+  getTopicRowId
+} from './questionSources.js';
+
+const changeEvents = new EventEmitter();
+// One listener per open client
+changeEvents.setMaxListeners(0);
+
+/**
+ * Create the topics table row a file topic maps to, when missing
+ * @param {Object} source - Resolved question source
+ * @param {string} topic - Topic label
+ */
+function ensureTopicRow(source, topic) {
+  const topicId = getTopicRowId(source, topic);
+  if (!getTopic(topicId)) {
+    createTopic({
+      id: topicId,
+      subjectId: source.subjectId,
+      name: topic,
+      orderNum: listSourceTopics(source).indexOf(topic) + 1
+    });
+  }
+}
+
+/**
+ * Save the answer key embedded in a topic file as official answers (source 'markdown')
+ * Answers set from the UI (source 'manual') are kept.
+ * @param {Object} answerKey - Result of parseAnswerKey
+ * @returns {{saved: number, keptManual: Array<string>}}
+ */
+function saveEmbeddedAnswers(answerKey) {
+  const entries = [];
+  const keptManual = [];
+
+  for (const entry of answerKey.answers) {
+    if (getOfficialAnswer(entry.questionId)?.source === 'manual') {
+      keptManual.push(entry.questionId);
+    } else {
+      entries.push({ question_id: entry.questionId, answer: entry.answer });
+    }
+  }
+
+  return { saved: importOfficialAnswers(entries, 'markdown'), keptManual };
+}
+
+/**
+ * Whether a parsed question differs from its stored row
+ * @param {Object} row - Stored row (id, question_number, question_type, answer_tolerance, content_hash)
+ * @param {Object} question - Parsed question
+ * @param {string} contentHash - Hash of the parsed question
+ */
+function hasChanged(row, question, contentHash) {
+  return row.content_hash !== contentHash
+    || row.question_number !== question.question_number
+    || row.question_type !== question.question_type
+    || (row.answer_tolerance ?? null) !== (question.answer_tolerance ?? null);
+}
+
+/**
+ * Parse a topic file and apply the differences to the database
+ * Only added and changed questions are written (changed ones get their cached
+ * solutions marked stale); questions no longer in the file are marked removed.
+ * Answers embedded in the file are saved as official answers.
+ * @param {string} topic - Topic name
+ * @param {string} subjectId - Subject ID (default: 'bda')
+ * @returns {{count, added: Array<string>, changed: Array<string>, removed: Array<string>, unchanged: number, answerKey: Object}}
+ *   answerKey: parseAnswerKey report plus saved / keptManual
+ */
+function syncTopicQuestions(topic, subjectId = 'bda') {
+  const source = resolveQuestionSource(getSubjectById(subjectId));
+  if (!source) {
+    throw new Error(`No question source configured for subject: ${subjectId}`);
+  }
+
+  const filePath = getTopicFilePath(source, topic);
+  const parseOptions = { topic, idPrefix: source.idPrefix };
+
+  console.log(`[Questions] Parsing questions for topic: ${topic} (subject: ${subjectId})`);
+  const questions = parseQuestionFile(filePath, parseOptions);
+
+  const stored = new Map(
+    db.prepare(`
+      SELECT id, question_number, question_type, answer_tolerance, content_hash, removed_at, merged_into
+      FROM questions
+      WHERE subject_id = ? AND topic = ?
+    `).all(subjectId, topic).map(row => [row.id, row])
+  );
+
+  // A repeated "## Pregunta N" yields the same ID twice: the last one wins
+  const parsed = new Map(questions.map(question => [question.id, question]));
+
+  const added = [];
+  const changed = [];
+  const writes = [];
+  for (const question of parsed.values()) {
+    const contentHash = computeContentHash(question);
+    const row = stored.get(question.id);
+
+    // Merged into another question as a duplicate: stays out of practice
+    if (row?.merged_into) continue;
+
+    // A removed question that is back counts as added
+    if (!row || row.removed_at) {
+      added.push(question.id);
+    } else if (hasChanged(row, question, contentHash)) {
+      changed.push(question.id);
+    } else {
+      continue;
+    }
+    writes.push({ question, contentHash });
+  }
+  const removed = [...stored.values()]
+    .filter(row => !row.removed_at && !parsed.has(row.id))
+    .map(row => row.id);
+
+  const upsertStmt = db.prepare(`
+    INSERT INTO questions (id, subject_id, topic, question_number, shared_statement, content, options, question_type, answer_tolerance, content_hash, parsed_at)
+    VALUES (@id, @subject_id, @topic, @question_number, @shared_statement, @content, @options, @question_type, @answer_tolerance, @content_hash, CURRENT_TIMESTAMP)
+    ON CONFLICT(id) DO UPDATE SET
+      subject_id = @subject_id,
+      topic = @topic,
+      question_number = @question_number,
+      shared_statement = @shared_statement,
+      content = @content,
+      options = @options,
+      question_type = @question_type,
+      answer_tolerance = @answer_tolerance,
+      content_hash = @content_hash,
+      removed_at = NULL,
+      parsed_at = CURRENT_TIMESTAMP
+  `);
+  const removeStmt = db.prepare('UPDATE questions SET removed_at = CURRENT_TIMESTAMP WHERE id = ?');
+
+  const applyChanges = db.transaction(() => {
+    for (const { question: q, contentHash } of writes) {
+      upsertStmt.run({
+        id: q.id,
+        subject_id: subjectId,
+        topic: q.topic,
+        question_number: q.question_number,
+        shared_statement: q.shared_statement || null,
+        content: q.content,
+        options: JSON.stringify(q.options),
+        question_type: q.question_type,
+        answer_tolerance: q.answer_tolerance,
+        content_hash: contentHash
+      });
+      // Solutions cached for the previous wording are queued for re-solving
+      markStaleSolutions(q.id);
+    }
+    for (const id of removed) {
+      removeStmt.run(id);
+    }
+  });
+
+  applyChanges();
+  ensureTopicRow(source, topic);
+
+  const unchanged = parsed.size - added.length - changed.length;
+  console.log(`[Questions] Synced topic ${topic} (subject: ${subjectId}): ${added.length} added, ${changed.length} changed, ${removed.length} removed, ${unchanged} unchanged`);
+
+  const answerKey = parseAnswerKey(filePath, parseOptions);
+  const { saved, keptManual } = saveEmbeddedAnswers(answerKey);
+  if (answerKey.answers.length > 0 || answerKey.ambiguous.length > 0) {
+    console.log(`[Questions] Answer key for ${topic}: ${saved} saved, ${keptManual.length} kept (manual), ${answerKey.missing.length} missing, ${answerKey.ambiguous.length} ambiguous`);
+  }
+
+  if (added.length > 0 || changed.length > 0 || removed.length > 0) {
+    changeEvents.emit('change', { subjectId, topic, added, changed, removed });
+  }
+
+  return { count: parsed.size, added, changed, removed, unchanged, answerKey: { ...answerKey, saved, keptManual } };
+}
+
+/**
+ * Check if a topic has been parsed and loaded into the database
+ * @param {string} topic - Topic name
+ * @param {string} subjectId - Subject ID (default: 'bda')
+ */
+function isTopicLoaded(topic, subjectId = 'bda') {
+  const stmt = db.prepare('SELECT COUNT(*) as count FROM questions WHERE topic = ? AND subject_id = ?');
+  const result = stmt.get(topic, subjectId);
+  return result.count > 0;
+}
+
+/**
+ * Ensure topic questions are loaded (lazy loading)
+ * Subjects without question files (pipeline, imports) have nothing to load.
+ * @param {string} topic - Topic name
+ * @param {string} subjectId - Subject ID (default: 'bda')
+ */
+function ensureTopicLoaded(topic, subjectId = 'bda') {
+  if (!isTopicLoaded(topic, subjectId) && resolveQuestionSource(getSubjectById(subjectId))) {
+    syncTopicQuestions(topic, subjectId);
+  }
+}
+
+/**
+ * Load every topic with a question file (exam and adaptive modes draw from all of them)
+ * @param {string} subjectId - Subject ID
+ */
+function ensureSubjectLoaded(subjectId) {
+  const source = resolveQuestionSource(getSubjectById(subjectId));
+  if (!source) return;
+
+  for (const topic of listSourceTopics(source)) {
+    ensureTopicLoaded(topic, subjectId);
+  }
+}
+
+/**
+ * Listen for topics whose questions changed
+ * @param {Function} listener - Called with { subjectId, topic, added, changed, removed }
+ * @returns {Function} Stops listening
+ */
+function onQuestionsChanged(listener) {
+  changeEvents.on('change', listener);
+  return () => changeEvents.off('change', listener);
+}
+
+export {
+  syncTopicQuestions,
+  isTopicLoaded,
+  ensureTopicLoaded,
+  ensureSubjectLoaded,
+  onQuestionsChanged
+};
@@ -0,0 +1,233 @@
+/**
+ * Question Linter
+ * Finds what the parser lets through in markdown question files: missing,
+ * empty or repeated options (blank option buttons), questions without text,
+ * references to undefined statements and odd header numbering.
+ * Every finding carries its line in the file.
+ */
+
+import fs from 'fs';
+import {
+  parseQuestionFile,
+  findQuestionSections,
+  collectSharedStatements,
+  STATEMENT_REFERENCE
+} from '../questionParser.js';
+import { OPTION_LETTERS } from './answerOptions.js';
+import { resolveQuestionSource, listSourceTopics, getTopicFilePath } from './questionSources.js';
+
+// Rule -> severity. Errors break a question for students; warnings are worth a look.
+const LINT_RULES = {
+  'parse-error': 'error',            // The file could not be parsed
+  'empty-content': 'error',          // No question text (and no shared statement)
+  'missing-options': 'error',        // Fewer than 2 options
+  'missing-option': 'error',         // A gap in the letters: a, b, d
+  'empty-option': 'error',           // "c)" with no text
+  'duplicate-option': 'error',       // The same letter twice (the last one wins)
+  'unresolved-statement': 'error',   // "enunciado N" that is not defined in the file
+  'duplicate-number': 'error',       // Two "## Pregunta N" headers: same question ID
+  'duplicate-option-text': 'warning',
+  'numbering': 'warning',            // Gaps, numbers going back, not starting at 1
+  'header-format': 'warning'         // Looks like a question header but is not read as one
+};
+
+// Option line, as read by the parser: "a) text" or "A. text"
+const OPTION_LINE = /^\s*([a-fA-F])[.)]\s*(.*)$/;
+
+// Anything that looks like a question header
+const HEADER_LIKE = /^\s*#{1,6}\s*Pregunta\b/i;
+
+/**
+ * Line number (1-based) of every offset in a text
+ * @param {string} content - File contents
+ * @returns {Function} offset => line
+ */
+function createLineLocator(content) {
+  const lineStarts = [0];
+  for (let i = 0; i < content.length; i++) {
+    if (content[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  return (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Lint one question file
+ * @param {string} filePath - Absolute path to the markdown file
+ * @param {Object} options - parseQuestionFile options ({ topic, idPrefix })
+ * @returns {{questionCount: number, findings: Array<{line, rule, severity, questionId, questionNumber, message}>}}
+ */
+function lintQuestionFile(filePath, options = {}) {
+  const findings = [];
+  const add = (rule, line, question, message) => findings.push({
+    line,
+    rule,
+    severity: LINT_RULES[rule],
+    questionId: question?.id ?? null,
+    questionNumber: question?.question_number ?? null,
+    message
+  });
+
+  let content;
+  let questions;
+  try {
+    content = fs.readFileSync(filePath, 'utf-8');
+    questions = parseQuestionFile(filePath, options);
+  } catch (error) {
+    add('parse-error', null, null, error.message);
+    return { questionCount: 0, findings };
+  }
+
+  const lineAt = createLineLocator(content);
+  const { sections } = findQuestionSections(content);
+  const statements = collectSharedStatements(content);
+
+  // Header lines that are not read as questions
+  const headerLines = new Set(sections.map(section => lineAt(section.index)));
+  content.split('\n').forEach((text, index) => {
+    if (HEADER_LIKE.test(text) && !headerLines.has(index + 1)) {
+      add('header-format', index + 1, null, `Not read as a question header (expected "## Pregunta N"): "${text.trim()}"`);
+    }
+  });
+
+  const firstLines = new Map();
+  let previous = null;
+
+  sections.forEach((section, index) => {
+    // The parser returns one question per header, in order
+    const question = questions[index];
+    const number = section.questionNumber;
+    const headerLine = lineAt(section.index);
+
+    // Numbering
+    if (firstLines.has(number)) {
+      add('duplicate-number', headerLine, question, `Pregunta ${number} already appears at line ${firstLines.get(number)}; both get the ID ${question.id}`);
+    } else if (previous === null && number !== 1) {
+      add('numbering', headerLine, question, `Numbering starts at Pregunta ${number}`);
+    } else if (previous !== null && number < previous) {
+      add('numbering', headerLine, question, `Pregunta ${number} comes after Pregunta ${previous}`);
+    } else if (previous !== null && number > previous + 1) {
+      const skipped = number - previous === 2 ? `${previous + 1} is` : `${previous + 1}-${number - 1} are`;
+      add('numbering', headerLine, question, `Pregunta ${number} follows Pregunta ${previous}: ${skipped} missing`);
+    }
+    if (!firstLines.has(number)) firstLines.set(number, headerLine);
+    previous = number;
+
+    if (!question.content.trim() && !question.shared_statement) {
+      add('empty-content', headerLine, question, 'Question has no text');
+    }
+
+    // Lines of the question body, with their line numbers
+    const body = content.slice(section.start, section.end);
+    const bodyLine = lineAt(section.start);
+    const optionLines = new Map();
+    body.split('\n').forEach((text, offset) => {
+      const match = text.match(OPTION_LINE);
+      if (!match) return;
+
+      const letter = match[1].toLowerCase();
+      if (optionLines.has(letter)) {
+        add('duplicate-option', bodyLine + offset, question, `Option ${letter} appears again (first at line ${optionLines.get(letter)}); only the last one is kept`);
+      } else {
+        optionLines.set(letter, bodyLine + offset);
+      }
+    });
+
+    // Statement references
+    for (const match of body.matchAll(new RegExp(STATEMENT_REFERENCE.source, 'gi'))) {
+      if (!statements[match[1]]) {
+        add('unresolved-statement', lineAt(section.start + match.index), question, `References enunciado ${match[1]}, which is not defined in the file`);
+      }
+    }
+
+    if (question.question_type === 'numeric') return;
+
+    const present = OPTION_LETTERS.filter(letter => question.options[letter] != null);
+    if (present.length < 2) {
+      add('missing-options', headerLine, question, present.length === 0 ? 'No options found' : `Only option ${present[0]} found`);
+      return;
+    }
+
+    const lastLetter = present[present.length - 1];
+    OPTION_LETTERS.slice(0, OPTION_LETTERS.indexOf(lastLetter)).forEach(letter => {
+      if (!present.includes(letter)) {
+        add('missing-option', headerLine, question, `Option ${letter} is missing (options go up to ${lastLetter})`);
+      }
+    });
+
+    const seenTexts = new Map();
+    for (const letter of present) {
+      const text = question.options[letter].trim();
+      const line = optionLines.get(letter) || headerLine;
+
+      if (!text) {
+        add('empty-option', line, question, `Option ${letter} has no text`);
+        continue;
+      }
+
+      const key = text.toLowerCase().replace(/\s+/g, ' ');
+      if (seenTexts.has(key)) {
+        add('duplicate-option-text', line, question, `Options ${seenTexts.get(key)} and ${letter} have the same text`);
+      } else {
+        seenTexts.set(key, letter);
+      }
+    }
+  });
+
+  findings.sort((a, b) => (a.line ?? 0) - (b.line ?? 0));
+  return { questionCount: questions.length, findings };
+}
+
+/**
+ * Error and warning counts of a list of findings
+ * @param {Array} findings - Lint findings
+ */
+function countFindings(findings) {
+  return {
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length
+  };
+}
+
+/**
+ * Lint the question files of a subject
+ * @param {Object} subject - Subject with config.questionSource (as returned by getSubjectById)
+ * @param {Object} options - { topic?: only this topic }
+ * @returns {{subjectId, name, topics: Array<{topic, file, questionCount, findings, errors, warnings}>, errors, warnings}}
+ * @throws when the subject has no question source, or its folder or topic file is missing
+ */
+function lintSubject(subject, { topic = null } = {}) {
+  const source = resolveQuestionSource(subject);
+  if (!source) {
+    throw new Error(`No question source configured for subject: ${subject.id}`);
+  }
+
+  const topics = (topic ? [topic] : listSourceTopics(source)).map(name => {
+    const file = getTopicFilePath(source, name);
+    const { questionCount, findings } = lintQuestionFile(file, { topic: name, idPrefix: source.idPrefix });
+    return { topic: name, file, questionCount, findings, ...countFindings(findings) };
+  });
+
+  return {
+    subjectId: subject.id,
+    name: subject.name,
+    topics,
+    ...countFindings(topics.flatMap(entry => entry.findings))
+  };
+}
+
+export {
+  LINT_RULES,
+  lintQuestionFile,
+  lintSubject,
+  countFindings
+};
@@ -0,0 +1,151 @@
+/**
+ * Question Sources
+ * Where the markdown question files of a subject live, from subjects.config.questionSource:
+ *   directory    - folder relative to the project root (or absolute); a list is tried in order
+ *   filePattern  - file name with a {topic} placeholder, e.g. "Preguntas_{topic}.md"
+ *   topicPattern - what {topic} may match, as a regex source (default: letters, digits, _ and -)
+ *   idPrefix     - prefix of the question ids (default: "<subjectId>_")
+ *   topics       - topic label -> row id in the topics table (default: "<subjectId>_<label>")
+ * Subjects without a question source get their questions from the pipeline or imports.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getAvailableTopics } from '../questionParser.js';
+
+const PROJECT_ROOT = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', '..');
+
+const TOPIC_PLACEHOLDER = '{topic}';
+const DEFAULT_TOPIC_PATTERN = '[\\w-]+';
+
+/**
+ * Check a questionSource config
+ * @param {Object} source - config.questionSource
+ * @returns {string|null} Error message, null when valid
+ */
+function validateQuestionSource(source) {
+  if (typeof source !== 'object' || source === null || Array.isArray(source)) {
+    return 'questionSource must be an object';
+  }
+
+  const directories = Array.isArray(source.directory) ? source.directory : [source.directory];
+  if (directories.length === 0 || directories.some(dir => typeof dir !== 'string' || !dir.trim())) {
+    return 'questionSource.directory must be a path or a list of paths';
+  }
+
+  if (typeof source.filePattern !== 'string' || source.filePattern.split(TOPIC_PLACEHOLDER).length !== 2) {
+    return `questionSource.filePattern must contain ${TOPIC_PLACEHOLDER} once`;
+  }
+  if (/[\\/]/.test(source.filePattern)) {
+    return 'questionSource.filePattern must be a file name, not a path';
+  }
+
+  if (source.topicPattern !== undefined) {
+    try {
+      new RegExp(source.topicPattern);
+    } catch {
+      return 'questionSource.topicPattern must be a valid regular expression';
+    }
+  }
+
+  if (source.idPrefix !== undefined && typeof source.idPrefix !== 'string') {
+    return 'questionSource.idPrefix must be a string';
+  }
+
+  if (source.topics !== undefined) {
+    const entries = typeof source.topics === 'object' && source.topics !== null ? Object.values(source.topics) : null;
+    if (!entries || Array.isArray(source.topics) || entries.some(id => typeof id !== 'string' || !id)) {
+      return 'questionSource.topics must map topic names to topic IDs';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Question source of a subject, with defaults filled in
+ * @param {Object} subject - Subject (as returned by getSubjectById)
+ * @returns {Object|null} null when the subject has no question files
+ */
+function resolveQuestionSource(subject) {
+  const source = subject?.config?.questionSource;
+  if (!source) return null;
+
+  return {
+    subjectId: subject.id,
+    directories: (Array.isArray(source.directory) ? source.directory : [source.directory])
+      .map(dir => path.resolve(PROJECT_ROOT, dir)),
+    filePattern: source.filePattern,
+    topicPattern: source.topicPattern || DEFAULT_TOPIC_PATTERN,
+    idPrefix: source.idPrefix ?? `${subject.id}_`,
+    topics: source.topics || {}
+  };
+}
+
+/**
+ * Folder holding the question files (the first one that exists)
+ * @param {Object} source - Resolved question source
+ */
+function getSourceDirectory(source) {
+  const directory = source.directories.find(dir => fs.existsSync(dir));
+  if (!directory) {
+    throw new Error(`Questions directory not found for subject ${source.subjectId}. Expected ${source.directories.join(' or ')}`);
+  }
+  return directory;
+}
+
+/**
+ * File name regex of a source; group 1 is the topic
+ * @param {Object} source - Resolved question source
+ */
+function getTopicFileRegex(source) {
+  const [before, after] = source.filePattern
+    .split(TOPIC_PLACEHOLDER)
+    .map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`^${before}(${source.topicPattern})${after}$`);
+}
+
+/**
+ * Topics with a question file, sorted by file name
+ * @param {Object} source - Resolved question source
+ */
+function listSourceTopics(source) {
+  return getAvailableTopics(getSourceDirectory(source), getTopicFileRegex(source));
+}
+
+/**
+ * Path of the question file of a topic
+ * @param {Object} source - Resolved question source
+ * @param {string} topic - Topic label
+ */
+function getTopicFilePath(source, topic) {
+  const fileName = source.filePattern.replace(TOPIC_PLACEHOLDER, topic);
+  const filePath = path.join(getSourceDirectory(source), fileName);
+
+  // The label must match the pattern (no paths sneaking in through the topic)
+  if (!getTopicFileRegex(source).test(fileName) || !fs.existsSync(filePath)) {
+    throw new Error(`Questions file not found for topic: ${topic}`);
+  }
+
+  return filePath;
+}
+
+/**
+ * Row of the topics table a topic label maps to
+ * @param {Object} source - Resolved question source
+ * @param {string} topic - Topic label
+ */
+function getTopicRowId(source, topic) {
+  return source.topics[topic] || `${source.subjectId}_${topic.toLowerCase()}`;
+}
+
+export {
+  validateQuestionSource,
+  resolveQuestionSource,
+  getSourceDirectory,
+  getTopicFileRegex,
+  listSourceTopics,
+  getTopicFilePath,
+  getTopicRowId
+};
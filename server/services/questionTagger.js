@@ -0,0 +1,197 @@
+/**
+ * Question Tagger
+ * Bulk concept tagging of a topic with the LLM: the model reads the topic's
+ * questions and gives each one or more concept tags, reusing the subject's
+ * existing tags where they fit. Tags added this way have source 'ai';
+ * manual tags are never touched.
+ */
+
+import { LlmTimeoutError } from './llmProvider.js';
+import { completeWithRepair } from './aiRepair.js';
+import { QuestionTagsSchema, validateJsonArray } from './aiSchemas.js';
+import { buildQuestionText } from '../claudeService.js';
+import {
+  db,
+  getSubjectById,
+  getQuestionsByTopic,
+  getTagsBySubject,
+  getOrCreateTag,
+  addQuestionTags,
+  clearTopicQuestionTags
+} from '../database.js';
+
+const TIMEOUT_MS = 120000;
+
+// Questions per request, so long topics stay within a reasonable prompt size
+const BATCH_SIZE = 15;
+const MAX_TAGS_PER_QUESTION = 3;
+
+/**
+ * Builds the tagging prompt for a batch of questions
+ * @param {Object} params
+ * @param {Object} params.subject - Subject (for the expertise line)
+ * @param {string} params.topic - Topic the questions belong to
+ * @param {Array} params.questions - Question rows
+ * @param {Array<string>} params.existingTags - Tag names the subject already has
+ */
+function buildTaggingPrompt({ subject, topic, questions, existingTags = [] }) {
+  const expertise = subject?.claudeContext?.expertise || subject?.name || 'la asignatura';
+
+  const tagList = existingTags.length > 0
+    ? existingTags.map(name => `- ${name}`).join('\n')
+    : '(todavia no hay ninguna)';
+
+  const questionList = questions
+    .map(question => `[ID: ${question.id}]\n${buildQuestionText(question)}`)
+    .join('\n\n---\n\n');
+
+  return `Eres un profesor de ${expertise} clasificando preguntas tipo test del tema "${topic}" por el concepto concreto que evaluan.
+
+ETIQUETAS QUE YA EXISTEN EN LA ASIGNATURA:
+${tagList}
+
+PREGUNTAS:
+${questionList}
+
+TAREA: Asigna a cada pregunta entre 1 y ${MAX_TAGS_PER_QUESTION} etiquetas de concepto.
+- Una etiqueta es una habilidad concreta, mas fina que el tema (por ejemplo "Serializabilidad en conflictos" o "Recuperabilidad"), no el nombre del tema.
+- Reutiliza las etiquetas existentes, con el mismo nombre, siempre que encajen.
+- Crea una etiqueta nueva solo si ninguna existente describe el concepto. Nombres cortos (2-5 palabras), en espanol.
+
+FORMATO JSON (responde SOLO con este JSON, sin texto adicional), una entrada por pregunta:
+
+[
+  { "questionId": "ID de la pregunta", "tags": ["Etiqueta 1", "Etiqueta 2"] }
+]`;
+}
+
+/**
+ * Validates a tagging response: entries for questions outside the batch are
+ * reported so the repair retry can fix them
+ * @param {string} response - Raw model response
+ * @param {Set<string>} questionIds - IDs of the batch
+ * @returns {{value: Array, issues: Array<string>}}
+ */
+function validateTaggingResponse(response, questionIds) {
+  const { value, issues } = validateJsonArray(QuestionTagsSchema, response);
+
+  const known = value.filter(entry => questionIds.has(entry.questionId));
+  for (const entry of value) {
+    if (!questionIds.has(entry.questionId)) {
+      issues.push(`Unknown questionId "${entry.questionId}"`);
+    }
+  }
+
+  return { value: known, issues };
+}
+
+/**
+ * Tag every active question of a topic
+ * @param {string} subjectId - Subject ID
+ * @param {string} topic - Topic
+ * @param {Object} options
+ * @param {boolean} options.replace - Replace the topic's previous AI tags (default false)
+ * @param {AbortSignal} options.signal - Cancels the request (optional, used by background jobs)
+ * @param {Function} options.onProgress - Called with (batchesDone, batchCount) (optional)
+ * @returns {Promise<{topic, questions: number, tagged: number, tagsAdded: number, createdTags: Array<string>}>}
+ */
+async function tagTopicQuestions(subjectId, topic, { replace = false, signal = null, onProgress = null } = {}) {
+  const subject = getSubjectById(subjectId);
+  if (!subject) {
+    throw new Error('Subject not found');
+  }
+
+  const questions = getQuestionsByTopic(topic, subjectId);
+  if (questions.length === 0) {
+    throw new Error(`No questions in topic: ${topic}`);
+  }
+
+  const existingTags = getTagsBySubject(subjectId);
+  const offeredTags = new Set(existingTags.map(tag => tag.name));
+  const entries = [];
+
+  const batchCount = Math.ceil(questions.length / BATCH_SIZE);
+  for (let batch = 0; batch < batchCount; batch++) {
+    const batchQuestions = questions.slice(batch * BATCH_SIZE, (batch + 1) * BATCH_SIZE);
+    const questionIds = new Set(batchQuestions.map(question => question.id));
+
+    // Tags proposed by earlier batches are offered to the next ones
+    const prompt = buildTaggingPrompt({
+      subject,
+      topic,
+      questions: batchQuestions,
+      existingTags: [...offeredTags]
+    });
+
+    let batchEntries;
+    try {
+      ({ value: batchEntries } = await completeWithRepair(prompt, {
+        validate: (text) => validateTaggingResponse(text, questionIds),
+        task: 'tag',
+        timeoutMs: TIMEOUT_MS,
+        logPrefix: '[QuestionTagger]',
+        signal,
+        subjectId
+      }));
+    } catch (error) {
+      if (error instanceof LlmTimeoutError) {
+        throw new Error('Tagging timeout after 2 minutes');
+      }
+      throw error;
+    }
+
+    for (const entry of batchEntries) {
+      entry.tags.slice(0, MAX_TAGS_PER_QUESTION).forEach(name => offeredTags.add(name));
+    }
+    entries.push(...batchEntries);
+
+    onProgress?.(batch + 1, batchCount);
+  }
+
+  // Nothing is written until every batch has answered, so a failed run keeps the previous tags
+  const knownTags = new Set(existingTags.map(tag => tag.slug));
+  const createdTags = [];
+  const tagged = new Set();
+  let tagsAdded = 0;
+
+  const saveTags = db.transaction(() => {
+    if (replace) {
+      const cleared = clearTopicQuestionTags(subjectId, topic, 'ai');
+      console.log(`[QuestionTagger] Removed ${cleared} previous AI tags from ${topic}`);
+    }
+
+    for (const entry of entries) {
+      const tagIds = entry.tags.slice(0, MAX_TAGS_PER_QUESTION).map(name => {
+        const tag = getOrCreateTag(subjectId, name);
+        if (!knownTags.has(tag.slug)) {
+          knownTags.add(tag.slug);
+          createdTags.push(tag.name);
+        }
+        return tag.id;
+      });
+
+      tagsAdded += addQuestionTags(entry.questionId, tagIds, 'ai');
+      tagged.add(entry.questionId);
+    }
+  });
+
+  saveTags();
+
+  console.log(`[QuestionTagger] Tagged ${tagged.size}/${questions.length} questions of ${topic} (${tagsAdded} tags added, ${createdTags.length} new)`);
+
+  return {
+    topic,
+    questions: questions.length,
+    tagged: tagged.size,
+    tagsAdded,
+    createdTags
+  };
+}
+
+export {
+  buildTaggingPrompt,
+  validateTaggingResponse,
+  tagTopicQuestions,
+  BATCH_SIZE,
+  MAX_TAGS_PER_QUESTION
+};
@@ -0,0 +1,125 @@
+/**
+ * Question Watcher
+ * Optional: watches the question folders of every subject and re-ingests a
+ * topic file shortly after it is saved. Enabled with WATCH_QUESTIONS=1.
+ */
+
+import fs from 'fs';
+import { getAllSubjects, getSubjectById } from '../database.js';
+import {
+  resolveQuestionSource,
+  getSourceDirectory,
+  getTopicFileRegex,
+  getTopicFilePath
+} from './questionSources.js';
+import { syncTopicQuestions } from './questionIngest.js';
+
+// Editors write a file in several steps: wait for them to settle
+const DEFAULT_DEBOUNCE_MS = 300;
+
+let watchers = [];
+let pending = new Map();
+let watchOptions = null;
+
+/**
+ * Re-ingest a topic file after it changed
+ * A deleted file is left alone: its questions stay until the file is back.
+ */
+function reingestTopic(source, topic) {
+  try {
+    getTopicFilePath(source, topic);
+  } catch {
+    console.log(`[Watcher] ${source.subjectId}/${topic}: file removed, questions kept`);
+    return;
+  }
+
+  try {
+    syncTopicQuestions(topic, source.subjectId);
+  } catch (error) {
+    console.error(`[Watcher] Error re-ingesting ${source.subjectId}/${topic}:`, error.message);
+  }
+}
+
+/**
+ * Queue a re-ingest, restarting the wait on every new event for the same file
+ */
+function scheduleTopic(source, topic) {
+  const key = `${source.subjectId}/${topic}`;
+  clearTimeout(pending.get(key));
+  pending.set(key, setTimeout(() => {
+    pending.delete(key);
+    reingestTopic(source, topic);
+  }, watchOptions.debounceMs));
+}
+
+/**
+ * Start watching the question folders of every subject with a question source
+ * Calling it again re-reads the subjects (new folders, changed patterns).
+ * @param {Object} options
+ * @param {number} options.debounceMs - Quiet time after the last change before re-ingesting
+ * @returns {number} Folders watched
+ */
+function startQuestionWatcher({ debounceMs = DEFAULT_DEBOUNCE_MS } = {}) {
+  stopQuestionWatcher();
+  watchOptions = { debounceMs };
+
+  const sources = getAllSubjects()
+    .map(subject => resolveQuestionSource(getSubjectById(subject.id)))
+    .filter(Boolean);
+
+  for (const source of sources) {
+    let directory;
+    try {
+      directory = getSourceDirectory(source);
+    } catch (error) {
+      console.warn(`[Watcher] ${error.message}`);
+      continue;
+    }
+
+    const fileRegex = getTopicFileRegex(source);
+    const watcher = fs.watch(directory, (eventType, fileName) => {
+      const match = fileName && fileRegex.exec(fileName);
+      if (match) {
+        scheduleTopic(source, match[1]);
+      }
+    });
+    watcher.on('error', error => {
+      console.error(`[Watcher] Error watching ${directory}:`, error.message);
+    });
+
+    watchers.push(watcher);
+    console.log(`[Watcher] Watching ${directory} (subject: ${source.subjectId})`);
+  }
+
+  return watchers.length;
+}
+
+/**
+ * Stop watching (re-ingests still waiting are dropped)
+ */
+function stopQuestionWatcher() {
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  for (const timer of pending.values()) {
+    clearTimeout(timer);
+  }
+  watchers = [];
+  pending = new Map();
+  watchOptions = null;
+}
+
+/**
+ * Pick up subject changes (new or edited question sources) when the watcher is running
+ */
+function refreshQuestionWatcher() {
+  if (watchOptions) {
+    startQuestionWatcher(watchOptions);
+  }
+}
+
+export {
+  startQuestionWatcher,
+  stopQuestionWatcher,
+  refreshQuestionWatcher
+};
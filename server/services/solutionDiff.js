@@ -0,0 +1,82 @@
+/**
+ * Solution Diff
+ * Compares two solution versions: answer, explanation (line by line)
+ * and the per-option explanations of wrongOptions.
+ */
+
+/**
+ * Line diff based on the longest common subsequence
+ * @param {string} before - Original text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string}>}
+ */
+function diffLines(before, after) {
+  const a = (before || '').split('\n');
+  const b = (after || '').split('\n');
+
+  // lcs[i][j] = LCS length of a[i..] and b[j..]
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: a[i++] });
+    } else {
+      lines.push({ type: 'added', text: b[j++] });
+    }
+  }
+  while (i < a.length) lines.push({ type: 'removed', text: a[i++] });
+  while (j < b.length) lines.push({ type: 'added', text: b[j++] });
+
+  return lines;
+}
+
+/**
+ * Diff two solution versions (rows from getSolutionVersion)
+ * @param {Object} from - Older version
+ * @param {Object} to - Newer version
+ * @returns {Object} { answer: { from, to, changed }, explanation: [...lines], wrongOptions: { letter: { from, to } } }
+ */
+function diffSolutions(from, to) {
+  const wrongOptions = {};
+  const letters = new Set([
+    ...Object.keys(from.wrong_options || {}),
+    ...Object.keys(to.wrong_options || {})
+  ]);
+
+  for (const letter of [...letters].sort()) {
+    const before = from.wrong_options?.[letter] ?? null;
+    const after = to.wrong_options?.[letter] ?? null;
+    if (before !== after) {
+      wrongOptions[letter] = { from: before, to: after };
+    }
+  }
+
+  return {
+    answer: {
+      from: from.correct_answer,
+      to: to.correct_answer,
+      changed: from.correct_answer !== to.correct_answer
+    },
+    explanation: diffLines(from.explanation, to.explanation),
+    wrongOptions
+  };
+}
+
+export {
+  diffLines,
+  diffSolutions
+};
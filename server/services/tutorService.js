@@ -0,0 +1,93 @@
+/**
+ * Tutor Service
+ * Follow-up conversation about a solved question. Each turn sends Claude the
+ * question, the cached solution and the earlier turns as context.
+ */
+
+import { complete, LlmTimeoutError } from './llmProvider.js';
+
+const TIMEOUT_MS = 60000;
+
+// Earlier turns sent as context (older ones are dropped from the prompt, not from the DB)
+const MAX_HISTORY_MESSAGES = 20;
+
+/**
+ * Builds the tutor prompt
+ * @param {Object} params
+ * @param {string} params.questionText - Full question text including options
+ * @param {Object} params.solution - Cached solution { correct_answer, explanation, wrong_options }
+ * @param {string} params.officialAnswer - Official key answer (optional)
+ * @param {Array} params.history - Earlier tutor_messages rows, oldest first
+ * @param {string} params.message - New student message
+ * @param {Object} params.subject - Subject (for the expertise line), optional
+ */
+function buildTutorPrompt({ questionText, solution, officialAnswer = null, history = [], message, subject = null }) {
+  const expertise = subject?.claudeContext?.expertise || subject?.name || 'la asignatura';
+
+  const wrongOptions = Object.entries(solution.wrong_options || {})
+    .map(([letter, reason]) => `- ${letter}) ${reason}`)
+    .join('\n');
+
+  let solutionText = `Respuesta correcta: ${solution.correct_answer}\nExplicacion: ${solution.explanation}`;
+  if (wrongOptions) {
+    solutionText += `\nPor que las demas son incorrectas:\n${wrongOptions}`;
+  }
+  if (officialAnswer && officialAnswer !== solution.correct_answer) {
+    solutionText += `\nATENCION: la clave oficial da como correcta la opcion ${officialAnswer}. Tenlo en cuenta si el estudiante pregunta por ello.`;
+  }
+
+  const conversation = history.slice(-MAX_HISTORY_MESSAGES)
+    .map(turn => `${turn.role === 'user' ? 'Estudiante' : 'Profesor'}: ${turn.content}`)
+    .join('\n\n');
+
+  return `Eres un profesor de ${expertise} resolviendo dudas de un estudiante sobre una pregunta tipo test que ya se ha corregido.
+
+PREGUNTA:
+${questionText}
+
+SOLUCION YA EXPLICADA AL ESTUDIANTE:
+${solutionText}
+${conversation ? `\nCONVERSACION ANTERIOR:\n${conversation}\n` : ''}
+NUEVA DUDA DEL ESTUDIANTE:
+${message}
+
+Responde en espanol y en Markdown, de forma breve y directa, centrandote en la duda.
+Si pide un calculo, muestralo paso a paso. No repitas la explicacion completa si no hace falta.`;
+}
+
+/**
+ * Ask the tutor a follow-up question
+ * @param {Object} params - Same as buildTutorPrompt
+ * @returns {Promise<{reply: string, model: string}>}
+ */
+async function askTutor(params) {
+  const prompt = buildTutorPrompt(params);
+
+  try {
+    const { text, model } = await complete(prompt, {
+      task: 'tutor',
+      timeoutMs: TIMEOUT_MS,
+      logPrefix: '[TutorService]',
+      subjectId: params.subject?.id || null
+    });
+
+    const reply = text.trim();
+    if (!reply) {
+      throw new Error('Empty tutor reply');
+    }
+
+    return { reply, model: model || null };
+
+  } catch (error) {
+    if (error instanceof LlmTimeoutError) {
+      throw new Error('Claude timeout after 60 seconds');
+    }
+    throw error;
+  }
+}
+
+export {
+  buildTutorPrompt,
+  askTutor,
+  MAX_HISTORY_MESSAGES
+};
@@ -0,0 +1,88 @@
+/**
+ * Usage Budget
+ * Spending cap for AI work, checked before new background jobs are queued.
+ * Spend comes from the llm_usage ledger written by llmProvider.complete().
+ *
+ * Configuration:
+ *   LLM_BUDGET_USD     Cap in USD per period (unset or 0 = no cap)
+ *   LLM_BUDGET_PERIOD  'day' | 'month' (default month, UTC)
+ */
+
+import { getLlmSpendSince } from '../database.js';
+
+const DEFAULT_PERIOD = 'month';
+const PERIODS = ['day', 'month'];
+
+/**
+ * Error thrown when the budget for the current period is used up
+ */
+class BudgetExceededError extends Error {
+  constructor(status) {
+    super(`AI budget of $${status.limitUsd} per ${status.period} exceeded ($${status.spentUsd.toFixed(2)} spent)`);
+    this.name = 'BudgetExceededError';
+    this.status = status;
+  }
+}
+
+/**
+ * Budget settings from the environment
+ * @returns {{limitUsd: number|null, period: string}}
+ */
+function getBudgetConfig() {
+  const limit = parseFloat(process.env.LLM_BUDGET_USD);
+  const period = PERIODS.includes(process.env.LLM_BUDGET_PERIOD) ? process.env.LLM_BUDGET_PERIOD : DEFAULT_PERIOD;
+
+  return {
+    limitUsd: Number.isFinite(limit) && limit > 0 ? limit : null,
+    period
+  };
+}
+
+/**
+ * Start of the current budget period as a SQLite UTC datetime
+ * @param {string} period - 'day' | 'month'
+ * @param {Date} now - Reference moment (for tests)
+ */
+function getPeriodStart(period, now = new Date()) {
+  const day = period === 'day' ? now.getUTCDate() : 1;
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), day));
+  return start.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+/**
+ * Spend so far in the current period against the cap
+ * @returns {{limitUsd: number|null, period: string, periodStart: string, spentUsd: number, remainingUsd: number|null, exceeded: boolean}}
+ */
+function getBudgetStatus() {
+  const { limitUsd, period } = getBudgetConfig();
+  const periodStart = getPeriodStart(period);
+  const spentUsd = getLlmSpendSince(periodStart);
+
+  return {
+    limitUsd,
+    period,
+    periodStart,
+    spentUsd,
+    remainingUsd: limitUsd === null ? null : Math.max(limitUsd - spentUsd, 0),
+    exceeded: limitUsd !== null && spentUsd >= limitUsd
+  };
+}
+
+/**
+ * Throw if the budget for the current period is used up
+ * @throws {BudgetExceededError}
+ */
+function assertWithinBudget() {
+  const status = getBudgetStatus();
+  if (status.exceeded) {
+    throw new BudgetExceededError(status);
+  }
+}
+
+export {
+  BudgetExceededError,
+  getBudgetConfig,
+  getBudgetStatus,
+  getPeriodStart,
+  assertWithinBudget
+};
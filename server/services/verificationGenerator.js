@@ -1,12 +1,14 @@
 /**
  * Verification Question Generator Service
  * Generates open-ended oral questions for verifying student authorship
- * Uses @anthropic-ai/claude-agent-sdk
+ * Uses the configured LLM provider (services/llmProvider.js)
  *
  * NOTA: Lee el contenido del entregable desde el pipeline de PDFs (exam_pages)
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
+import { LlmTimeoutError } from './llmProvider.js';
+import { completeWithRepair } from './aiRepair.js';
+import { VerificationQuestionSchema, validateJsonArray } from './aiSchemas.js';
 import {
   getVerificationSessionById,
   updateVerificationSession,
@@ -102,8 +104,10 @@ function getDeliverableContent(deliverableId) {
 /**
  * Generates verification questions for a session
  * @param {string} sessionId - Session ID
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the Claude request (optional, used by background jobs)
  */
-async function generateVerificationQuestions(sessionId) {
+async function generateVerificationQuestions(sessionId, { signal = null } = {}) {
   const session = getVerificationSessionById(sessionId);
   if (!session) {
     throw new Error('Session not found');
@@ -123,9 +127,6 @@ async function generateVerificationQuestions(sessionId) {
   // Update status to generating
   updateVerificationSession(sessionId, { status: 'generating' });
 
-  const abortController = new AbortController();
-  const timeout = setTimeout(() => abortController.abort(), TIMEOUT_MS);
-
   try {
     console.log('[VerificationGenerator] Generating questions for session:', sessionId);
     if (deliverableContent) {
@@ -137,41 +138,18 @@ async function generateVerificationQuestions(sessionId) {
 
     const prompt = buildVerificationPrompt(subject, session, deliverableContent, sampleExams);
 
-    let fullResponse = '';
-
-    const response = query({
-      prompt: prompt,
-      abortController: abortController,
-      options: {
-        maxTurns: 1
-      }
+    // Invalid questions get one repair retry, then are dropped
+    const { value: questions, text: fullResponse } = await completeWithRepair(prompt, {
+      validate: validateVerificationQuestions,
+      task: 'verify',
+      timeoutMs: TIMEOUT_MS,
+      logPrefix: '[VerificationGenerator]',
+      signal,
+      subjectId: session.subject_id
     });
 
-    for await (const message of response) {
-      console.log('[VerificationGenerator] Message type:', message.type, message.subtype || '');
-
-      if (message.type === 'assistant' && message.message?.content) {
-        for (const block of message.message.content) {
-          if (block.type === 'text') {
-            fullResponse += block.text;
-          }
-        }
-      }
-
-      if (message.type === 'result') {
-        console.log('[VerificationGenerator] Result received');
-        if (message.result && !fullResponse) {
-          fullResponse = message.result;
-        }
-      }
-    }
-
-    clearTimeout(timeout);
     console.log('[VerificationGenerator] Response length:', fullResponse.length);
 
-    // Parse questions
-    const questions = parseVerificationQuestions(fullResponse);
-
     if (questions.length === 0) {
       throw new Error('No questions generated');
     }
@@ -197,9 +175,7 @@ async function generateVerificationQuestions(sessionId) {
     return questions;
 
   } catch (error) {
-    clearTimeout(timeout);
-
-    if (error.name === 'AbortError' || abortController.signal.aborted) {
+    if (error instanceof LlmTimeoutError) {
       updateVerificationSession(sessionId, { status: 'error' });
       throw new Error('Generation timeout after 2 minutes');
     }
@@ -332,59 +308,36 @@ IMPORTANTE:
 - Responde SOLO con el JSON, sin texto adicional ni markdown`;
 }
 
+/**
+ * Validates verification questions against VerificationQuestionSchema
+ * (missing optional fields take their defaults)
+ * @param {string} response - Raw response from Claude
+ * @returns {{value: Array, issues: Array<string>}} Valid questions and the errors of the rest
+ */
+function validateVerificationQuestions(response) {
+  return validateJsonArray(VerificationQuestionSchema, response);
+}
+
 /**
  * Parses the verification questions from Claude response
  * @param {string} response - Raw response from Claude
+ * @returns {Array} Valid questions (invalid ones are skipped)
  */
 function parseVerificationQuestions(response) {
-  let cleaned = response.trim();
+  const { value, issues } = validateVerificationQuestions(response);
 
-  // Remove ```json ... ``` wrapper if present
-  const jsonBlockMatch = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/);
-  if (jsonBlockMatch) {
-    cleaned = jsonBlockMatch[1].trim();
+  for (const issue of issues) {
+    console.warn('[VerificationGenerator] Skipping invalid question:', issue);
   }
 
-  // Find JSON array
-  const jsonMatch = cleaned.match(/\[[\s\S]*\]/);
-  if (!jsonMatch) {
-    console.error('[VerificationGenerator] No JSON array found in response');
-    return [];
-  }
-
-  try {
-    const questions = JSON.parse(jsonMatch[0]);
-
-    if (!Array.isArray(questions)) {
-      console.error('[VerificationGenerator] Response is not an array');
-      return [];
-    }
-
-    // Validate and normalize questions
-    return questions.filter(q => {
-      if (!q.content || typeof q.content !== 'string') {
-        console.warn('[VerificationGenerator] Skipping question without content');
-        return false;
-      }
-      return true;
-    }).map(q => ({
-      content: q.content,
-      expectedAnswer: q.expectedAnswer || '',
-      criteria: Array.isArray(q.criteria) ? q.criteria : [],
-      section: q.section || 'general',
-      difficulty: ['easy', 'medium', 'hard'].includes(q.difficulty) ? q.difficulty : 'medium'
-    }));
-
-  } catch (error) {
-    console.error('[VerificationGenerator] Error parsing JSON:', error);
-    return [];
-  }
+  return value;
 }
 
 export {
   generateVerificationQuestions,
   buildVerificationPrompt,
   parseVerificationQuestions,
+  validateVerificationQuestions,
   getDeliverableContent,
   getSampleExamsContent,
   TIMEOUT_MS
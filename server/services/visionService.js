@@ -1,14 +1,18 @@
 /**
  * Vision Service (Fase 2)
- * Uses Claude Agent SDK to analyze exam page images
- * Works with Claude Code headless mode (no API key needed)
+ * Uses the configured LLM provider to analyze exam page images
  */
 
-import { query } from '@anthropic-ai/claude-agent-sdk';
+import { complete, LlmTimeoutError } from './llmProvider.js';
+import { completeWithRepair } from './aiRepair.js';
+import { ExtractedQuestionSchema, validateEach } from './aiSchemas.js';
 import { getImageBase64, getImageMediaType } from './pdfService.js';
+import { extractQuestionType, stripQuestionTypeTags } from '../questionParser.js';
 
 const TIMEOUT_MS = 120000; // 2 minutes for vision processing
 
+const NO_QUESTIONS_MARKER = '[NO HAY PREGUNTAS DE TEST EN ESTA PÁGINA]';
+
 /**
  * Build the prompt for exam page analysis (TEST mode - multiple choice)
  * @param {Object} subjectContext - Subject context (expertise, terminology)
@@ -42,7 +46,10 @@ INSTRUCCIONES IMPORTANTES:
 4. Numera las preguntas secuencialmente empezando desde 1
 5. Si hay un enunciado compartido para varias preguntas, inclúyelo en cada pregunta que lo use
 6. Separa cada pregunta con una línea horizontal (---)
-7. Si no hay preguntas de tipo test en la página, responde: [NO HAY PREGUNTAS DE TEST EN ESTA PÁGINA]
+7. Si no hay preguntas de tipo test en la página, responde: ${NO_QUESTIONS_MARKER}
+8. Las preguntas pueden tener entre 2 y 6 opciones (a-f): transcribe exactamente las que aparezcan, sin inventar ni omitir ninguna
+9. Si es una afirmación de verdadero o falso sin opciones, escribe las opciones a) Verdadero y b) Falso
+10. Si la pregunta pide marcar todas las opciones correctas, añade [MULTIPLE] al final del texto; si pide un resultado numérico sin opciones, añade [NUMERICA] (o [NUMERICA ±X] si el enunciado indica el error admitido)
 
 FORMATO DE SALIDA: Solo devuelve el Markdown con las preguntas, sin explicaciones adicionales.`;
 }
@@ -80,40 +87,13 @@ IMPORTANTE: Extrae TODO el contenido, no solo preguntas tipo test.`;
 }
 
 /**
- * Create an async generator that yields a single message with image
- */
-async function* createImageMessage(imagePath, prompt) {
-  const base64Image = getImageBase64(imagePath);
-  const mediaType = getImageMediaType(imagePath);
-
-  yield {
-    type: 'user',
-    message: {
-      role: 'user',
-      content: [
-        {
-          type: 'image',
-          source: {
-            type: 'base64',
-            media_type: mediaType,
-            data: base64Image
-          }
-        },
-        {
-          type: 'text',
-          text: prompt
-        }
-      ]
-    }
-  };
-}
-
-/**
- * Process a single exam page image with Claude Vision via Agent SDK
+ * Process a single exam page image with Claude Vision
  * @param {string} imagePath - Path to the page image
  * @param {Object} subjectContext - Subject context
  * @param {Object} options - Additional options
  * @param {string} options.extractionMode - 'test' for multiple choice, 'content' for full content
+ * @param {AbortSignal} options.signal - Cancels the Vision request (optional)
+ * @param {string} options.subjectId - Subject of the exam, for the usage ledger (optional)
  */
 export async function processExamPage(imagePath, subjectContext = null, options = {}) {
   const extractionMode = options.extractionMode || 'test';
@@ -121,57 +101,36 @@ export async function processExamPage(imagePath, subjectContext = null, options
     ? buildContentExtractionPrompt(subjectContext)
     : buildExtractionPrompt(subjectContext);
 
-  const abortController = new AbortController();
-  const timeout = setTimeout(() => abortController.abort(), TIMEOUT_MS);
-
   try {
-    console.log('[visionService] Processing image with Claude Agent SDK...');
-
-    let fullResponse = '';
-
-    const response = query({
-      prompt: createImageMessage(imagePath, prompt),
-      abortController: abortController,
-      options: {
-        maxTurns: 1
-      }
-    });
-
-    for await (const message of response) {
-      console.log('[visionService] Message type:', message.type, message.subtype || '');
-
-      if (message.type === 'assistant' && message.message?.content) {
-        for (const block of message.message.content) {
-          if (block.type === 'text') {
-            fullResponse += block.text;
-          }
-        }
-      }
+    console.log('[visionService] Processing image with LLM provider...');
+
+    const request = {
+      task: 'vision',
+      images: [{ data: getImageBase64(imagePath), mediaType: getImageMediaType(imagePath) }],
+      timeoutMs: TIMEOUT_MS,
+      logPrefix: '[visionService]',
+      signal: options.signal || null,
+      subjectId: options.subjectId || null
+    };
 
-      if (message.type === 'result') {
-        console.log('[visionService] Result received, length:', message.result?.length || 0);
-        if (message.result && !fullResponse) {
-          fullResponse = message.result;
-        }
-      }
-    }
+    // Test pages have a fixed format, so malformed question blocks get one repair retry
+    const { text: fullResponse, usage } = extractionMode === 'content'
+      ? await complete(prompt, request)
+      : await completeWithRepair(prompt, { ...request, validate: validateExtractedPage });
 
-    clearTimeout(timeout);
     console.log('[visionService] Response length:', fullResponse.length);
 
     return {
       success: true,
       rawMarkdown: fullResponse,
       tokens: {
-        input: 0,  // Agent SDK doesn't expose token counts
-        output: 0,
-        total: 0
+        input: usage.input,
+        output: usage.output,
+        total: usage.input + usage.output
       }
     };
   } catch (error) {
-    clearTimeout(timeout);
-
-    if (error.name === 'AbortError' || abortController.signal.aborted) {
+    if (error instanceof LlmTimeoutError) {
       console.error('[visionService] Timeout after', TIMEOUT_MS / 1000, 'seconds');
       return {
         success: false,
@@ -201,7 +160,7 @@ export function parseExtractedQuestions(rawMarkdown, examId, pageId = null) {
   const questions = [];
 
   // Check for "no questions" response
-  if (rawMarkdown.includes('[NO HAY PREGUNTAS DE TEST EN ESTA PÁGINA]')) {
+  if (rawMarkdown.includes(NO_QUESTIONS_MARKER)) {
     return questions;
   }
 
@@ -226,7 +185,7 @@ export function parseExtractedQuestions(rawMarkdown, examId, pageId = null) {
 
     // Try to extract options
     const options = {};
-    const optionPattern = /^([a-d])\)\s*(.+)$/gm;
+    const optionPattern = /^([a-f])\)\s*(.+)$/gm;
     let match;
     const optionMatches = [];
 
@@ -247,6 +206,10 @@ export function parseExtractedQuestions(rawMarkdown, examId, pageId = null) {
       questionText = questionText.replace('[INCOMPLETO]', '').trim();
     }
 
+    // Multiple-answer and numeric questions are tagged like in the question files
+    const { questionType, answerTolerance } = extractQuestionType(content);
+    questionText = stripQuestionTypeTags(questionText);
+
     // Generate unique ID including page info
     const pageNum = pageId ? pageId.split('_').pop() : 'x';
     questions.push({
@@ -257,6 +220,8 @@ export function parseExtractedQuestions(rawMarkdown, examId, pageId = null) {
       rawContent: trimmed,
       normalizedContent: questionText,
       options: Object.keys(options).length > 0 ? options : null,
+      questionType,
+      answerTolerance,
       isIncomplete,
       status: 'pending'
     });
@@ -265,6 +230,22 @@ export function parseExtractedQuestions(rawMarkdown, examId, pageId = null) {
   return questions;
 }
 
+/**
+ * Validate the question blocks of a test page against ExtractedQuestionSchema.
+ * A page without question blocks is not an error (cover pages, instructions).
+ * @param {string} rawMarkdown - Raw markdown from Vision API
+ * @returns {{value: Array, issues: Array<string>}} Parsed questions and the errors of malformed blocks
+ */
+export function validateExtractedPage(rawMarkdown) {
+  const questions = parseExtractedQuestions(rawMarkdown || '', 'page');
+  const { issues } = validateEach(
+    ExtractedQuestionSchema,
+    questions,
+    (question) => `Pregunta ${question.questionNumber}`
+  );
+  return { value: questions, issues };
+}
+
 /**
  * Process all pages of an exam
  * @param {Array} pages - Array of page objects with imagePath
@@ -373,6 +354,7 @@ export function normalizeQuestions(questions) {
 export default {
   processExamPage,
   parseExtractedQuestions,
+  validateExtractedPage,
   parseOpenQuestions,
   processExamPages,
   normalizeQuestions
@@ -9,6 +9,7 @@ import ExamMode from './exam/ExamMode';
 import AdaptiveMode from './adaptive/AdaptiveMode';
 import PipelineDashboard from './pipeline/PipelineDashboard';
 import QuestionReview from './pipeline/QuestionReview';
+import DuplicateReport from './pipeline/DuplicateReport';
 import PracticeSetup from './practice/PracticeSetup';
 import GeneratedTestQuestions from './practice/GeneratedTestQuestions';
 import VerificationSetupPage from './verification/VerificationSetupPage';
@@ -29,6 +30,7 @@ function App() {
         {/* Fase 2: Pipeline de PDFs */}
         <Route path="/pipeline/:subjectId" element={<PipelineDashboard />} />
         <Route path="/pipeline/:subjectId/exam/:examId/review" element={<QuestionReview />} />
+        <Route path="/pipeline/:subjectId/duplicates" element={<DuplicateReport />} />
 
         {/* Fase 3: Practica con preguntas generadas */}
         <Route path="/practice/:subjectId" element={<PracticeSetup />} />
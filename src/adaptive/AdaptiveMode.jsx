@@ -1,29 +1,49 @@
 import { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useParams, useSearchParams } from 'react-router-dom';
 import { useQuestionSession } from '../shared/hooks/useQuestionSession';
 import QuestionSession from '../shared/components/QuestionSession';
-import { subjectsApi } from '../shared/api';
+import TagFilter from '../shared/components/TagFilter';
+import { subjectsApi, tagsApi } from '../shared/api';
 import './AdaptiveMode.css';
 
 const DEFAULT_QUESTION_COUNT = 20;
 
 function AdaptiveMode() {
-  const [adaptiveConfig, setAdaptiveConfig] = useState({
-    count: DEFAULT_QUESTION_COUNT
-  });
+  const { subjectId: urlSubjectId } = useParams();
+  const subjectId = urlSubjectId || 'bda';
+  // Concept tags to practice (?tags=1,2, e.g. from the per-tag stats)
+  const [searchParams] = useSearchParams();
+
+  const [adaptiveConfig, setAdaptiveConfig] = useState(() => ({
+    count: DEFAULT_QUESTION_COUNT,
+    tags: (searchParams.get('tags') || '').split(',').map(Number).filter(tagId => tagId > 0)
+  }));
+  const [subjectTags, setSubjectTags] = useState([]);
   const [sessionId, setSessionId] = useState(null);
   const [adaptiveStats, setAdaptiveStats] = useState(null);
   const [sessionStarted, setSessionStarted] = useState(false);
 
-  // Load adaptive stats on mount
   useEffect(() => {
-    loadAdaptiveStats();
-  }, []);
+    const loadTags = async () => {
+      try {
+        const res = await tagsApi.getTags(subjectId);
+        setSubjectTags(res.data?.data || []);
+      } catch (err) {
+        console.error('Error loading tags:', err);
+      }
+    };
+    loadTags();
+  }, [subjectId]);
+
+  // Load adaptive stats on mount and when the tag filter changes
+  useEffect(() => {
+    loadAdaptiveStats(adaptiveConfig.tags);
+  }, [subjectId, adaptiveConfig.tags]);
 
-  const loadAdaptiveStats = async () => {
+  const loadAdaptiveStats = async (tags = adaptiveConfig.tags) => {
     try {
       // Pre-load to get stats without starting a session
-      const res = await subjectsApi.startAdaptiveMode('bda', { count: 1 });
+      const res = await subjectsApi.startAdaptiveMode(subjectId, { count: 1, tags });
       if (res.data?.stats) {
         setAdaptiveStats(res.data.stats);
       }
@@ -34,7 +54,7 @@ function AdaptiveMode() {
 
   // Load questions for adaptive mode
   const loadQuestions = useCallback(async () => {
-    const res = await subjectsApi.startAdaptiveMode('bda', adaptiveConfig);
+    const res = await subjectsApi.startAdaptiveMode(subjectId, adaptiveConfig);
     if (res.data?.sessionId) {
       setSessionId(res.data.sessionId);
     }
@@ -42,7 +62,7 @@ function AdaptiveMode() {
       setAdaptiveStats(res.data.stats);
     }
     return { data: res.data?.questions || [] };
-  }, [adaptiveConfig]);
+  }, [subjectId, adaptiveConfig]);
 
   // Create session with custom onSolve to refresh stats
   const session = useQuestionSession({
@@ -106,6 +126,17 @@ function AdaptiveMode() {
                 </div>
               </div>
 
+              {subjectTags.length > 0 && (
+                <div className="config-option">
+                  <label>Conceptos (opcional)</label>
+                  <TagFilter
+                    tags={subjectTags}
+                    selected={adaptiveConfig.tags}
+                    onChange={(tags) => setAdaptiveConfig(c => ({ ...c, tags }))}
+                  />
+                </div>
+              )}
+
               <div className="adaptive-info">
                 <h3>Como funciona</h3>
                 <ul>
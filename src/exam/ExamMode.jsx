@@ -1,17 +1,23 @@
 import { useState, useEffect, useCallback } from 'react';
-import { Link } from 'react-router-dom';
+import { Link, useParams } from 'react-router-dom';
 import { useQuestionSession } from '../shared/hooks/useQuestionSession';
 import QuestionSession from '../shared/components/QuestionSession';
-import { subjectsApi, progressApi } from '../shared/api';
+import TagFilter from '../shared/components/TagFilter';
+import { subjectsApi, progressApi, mockExamApi, tagsApi } from '../shared/api';
 import './ExamMode.css';
 
 const DEFAULT_QUESTION_COUNT = 20;
 
 function ExamMode() {
+  const { subjectId: urlSubjectId } = useParams();
+  const subjectId = urlSubjectId || 'bda';
+
   const [examConfig, setExamConfig] = useState({
     count: DEFAULT_QUESTION_COUNT,
-    excludeAnswered: false
+    excludeAnswered: false,
+    tags: []
   });
+  const [subjectTags, setSubjectTags] = useState([]);
   const [sessionId, setSessionId] = useState(null);
   const [stats, setStats] = useState(null);
   const [examStarted, setExamStarted] = useState(false);
@@ -21,6 +27,19 @@ function ExamMode() {
     loadStats();
   }, []);
 
+  // Concept tags to restrict the draw to (optional)
+  useEffect(() => {
+    const loadTags = async () => {
+      try {
+        const res = await tagsApi.getTags(subjectId);
+        setSubjectTags(res.data?.data || []);
+      } catch (err) {
+        console.error('Error loading tags:', err);
+      }
+    };
+    loadTags();
+  }, [subjectId]);
+
   const loadStats = async () => {
     try {
       const res = await progressApi.getStats();
@@ -32,17 +51,18 @@ function ExamMode() {
 
   // Load questions for exam mode
   const loadQuestions = useCallback(async () => {
-    const res = await subjectsApi.startExamMode('bda', examConfig);
+    const res = await subjectsApi.startExamMode(subjectId, examConfig);
     if (res.data?.sessionId) {
       setSessionId(res.data.sessionId);
     }
     return { data: res.data?.questions || [] };
-  }, [examConfig]);
+  }, [subjectId, examConfig]);
 
   // Create session with custom onSolve to refresh stats
   const session = useQuestionSession({
     loadQuestions,
     autoLoad: examStarted, // Only load when exam is started
+    enableHints: false, // Exam simulation: no hints
     onSolve: async () => {
       await loadStats();
     }
@@ -113,6 +133,17 @@ function ExamMode() {
                 )}
               </div>
 
+              {subjectTags.length > 0 && (
+                <div className="config-option">
+                  <label>Conceptos (opcional)</label>
+                  <TagFilter
+                    tags={subjectTags}
+                    selected={examConfig.tags}
+                    onChange={(tags) => setExamConfig(c => ({ ...c, tags }))}
+                  />
+                </div>
+              )}
+
               {stats && (
                 <div className="stats-summary">
                   <div className="stat-item">
@@ -146,6 +177,12 @@ function ExamMode() {
     );
   }
 
+  // The printed exam and its key use the questions of this draw, in order
+  const printSelection = {
+    questionIds: session.questions.map(question => question.id),
+    title: 'Simulacro de examen'
+  };
+
   // Custom header for exam mode
   const header = (
     <div className="exam-header">
@@ -158,6 +195,16 @@ function ExamMode() {
       <p className="page-subtitle">
         {session.questions.length} preguntas aleatorias de todos los temas
       </p>
+      {session.questions.length > 0 && (
+        <div className="exam-print-actions">
+          <a href={mockExamApi.printUrl(subjectId, 'exam', printSelection)} className="btn btn-ghost btn-sm" download>
+            Imprimir examen (PDF)
+          </a>
+          <a href={mockExamApi.printUrl(subjectId, 'key', printSelection)} className="btn btn-ghost btn-sm" download>
+            Plantilla de respuestas (PDF)
+          </a>
+        </div>
+      )}
     </div>
   );
 
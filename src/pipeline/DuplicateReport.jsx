@@ -0,0 +1,143 @@
+import { useState, useEffect } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { duplicatesApi } from '../shared/api';
+
+const THRESHOLDS = [0.9, 0.8, 0.7, 0.6];
+
+function DuplicateReport() {
+  const { subjectId } = useParams();
+
+  const [pairs, setPairs] = useState([]);
+  const [threshold, setThreshold] = useState(0.8);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [merging, setMerging] = useState(null);
+  const [lastMerge, setLastMerge] = useState(null);
+
+  useEffect(() => {
+    loadPairs();
+  }, [subjectId, threshold]);
+
+  const loadPairs = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      const res = await duplicatesApi.getDuplicates(subjectId, threshold);
+      setPairs(res.data?.data?.pairs || []);
+    } catch (err) {
+      console.error('Error loading duplicates:', err);
+      setError('Error al buscar preguntas duplicadas.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleMerge = async (keepId, mergeId) => {
+    setMerging(mergeId);
+
+    try {
+      const res = await duplicatesApi.mergeQuestions(keepId, mergeId);
+      setLastMerge(res.data?.data);
+      await loadPairs();
+    } catch (err) {
+      console.error('Error merging:', err);
+      setError(err.response?.data?.error || 'Error al fusionar las preguntas.');
+    } finally {
+      setMerging(null);
+    }
+  };
+
+  return (
+    <div className="duplicate-report">
+      <div className="review-header">
+        <Link to={`/pipeline/${subjectId}`} className="back-link">Volver</Link>
+        <h1>Posibles duplicados</h1>
+      </div>
+
+      <p className="pipeline-description">
+        Preguntas que parecen la misma (por ejemplo, la del banco de preguntas y la aprobada de un examen).
+        Al fusionar, los intentos y la respuesta oficial pasan a la pregunta que se conserva si sus opciones se corresponden.
+      </p>
+
+      {error && (
+        <div className="alert alert-error">{error}</div>
+      )}
+
+      {lastMerge && (
+        <div className="alert alert-success">
+          {lastMerge.mergedId} fusionada con {lastMerge.keptId}: {lastMerge.moved.attempts} intentos movidos
+          {lastMerge.notMoved.length > 0 && ` (las opciones no coinciden; se quedan en la fusionada: ${lastMerge.notMoved.join(', ')})`}
+        </div>
+      )}
+
+      <div className="review-controls">
+        <div className="filter-group">
+          <label>Similitud minima:</label>
+          <select value={threshold} onChange={(e) => setThreshold(parseFloat(e.target.value))}>
+            {THRESHOLDS.map(value => (
+              <option key={value} value={value}>{Math.round(value * 100)}%</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="loading">Buscando...</div>
+      ) : pairs.length === 0 ? (
+        <div className="empty-state">
+          <p>No hay preguntas que parezcan repetidas.</p>
+        </div>
+      ) : (
+        <div className="duplicate-list">
+          {pairs.map(pair => {
+            const [first, second] = pair.questions;
+            return (
+              <div key={`${first.id}-${second.id}`} className="duplicate-pair card">
+                <div className="question-number">
+                  Similitud {Math.round(pair.score * 100)}%
+                </div>
+
+                <div className="duplicate-questions">
+                  {[[first, second], [second, first]].map(([question, other]) => (
+                    <div key={question.id} className="duplicate-question">
+                      <div className="duplicate-meta">
+                        {question.topic} - Pregunta {question.questionNumber}
+                        <span className={`status-badge status-${question.source === 'bank' ? 'approved' : 'pending'}`}>
+                          {question.source === 'bank' ? 'banco' : 'examen'}
+                        </span>
+                        <span>{question.attempts} intentos</span>
+                      </div>
+
+                      <div className="question-content">
+                        <pre>{question.content}</pre>
+                      </div>
+
+                      <div className="question-options">
+                        {Object.entries(question.options || {}).map(([key, value]) => (
+                          <div key={key} className="option">
+                            <strong>{key})</strong> {value}
+                          </div>
+                        ))}
+                      </div>
+
+                      <button
+                        className={`btn btn-sm ${pair.suggestedKeepId === question.id ? 'btn-success' : 'btn-secondary'}`}
+                        onClick={() => handleMerge(question.id, other.id)}
+                        disabled={merging !== null}
+                      >
+                        {merging === other.id ? 'Fusionando...' : 'Conservar esta'}
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DuplicateReport;
@@ -1,6 +1,6 @@
 import { useState } from 'react';
 import { Link } from 'react-router-dom';
-import { pipelineApi } from '../shared/api';
+import { pipelineApi, jobsApi } from '../shared/api';
 
 const STATUS_LABELS = {
   uploaded: { label: 'Subido', color: 'gray' },
@@ -13,6 +13,7 @@ const STATUS_LABELS = {
 
 function ExamCard({ exam, onDeleted, onUpdated }) {
   const [processing, setProcessing] = useState(false);
+  const [progress, setProgress] = useState(null);
   const [error, setError] = useState(null);
 
   const statusInfo = STATUS_LABELS[exam.status] || { label: exam.status, color: 'gray' };
@@ -46,6 +47,14 @@ function ExamCard({ exam, onDeleted, onUpdated }) {
     try {
       const res = await pipelineApi.processExam(exam.id);
       if (res.data?.success) {
+        // Processing runs as a background job: wait for it to finish
+        const job = await jobsApi.waitForJob(res.data.data.jobId, {
+          onProgress: (current) => setProgress(current.progress)
+        });
+        if (job.status !== 'completed') {
+          setError(job.error || 'Error al procesar');
+        }
+
         // Reload exam data
         const examRes = await pipelineApi.getExam(exam.id);
         if (examRes.data?.success) {
@@ -58,6 +67,7 @@ function ExamCard({ exam, onDeleted, onUpdated }) {
       setError(err.response?.data?.error || 'Error al procesar');
     } finally {
       setProcessing(false);
+      setProgress(null);
     }
   };
 
@@ -128,7 +138,9 @@ function ExamCard({ exam, onDeleted, onUpdated }) {
             onClick={handleProcess}
             disabled={processing}
           >
-            {processing ? 'Procesando...' : 'Procesar con Vision'}
+            {processing
+              ? (progress ? `Procesando ${progress.pagesDone}/${progress.pagesTotal}...` : 'Procesando...')
+              : 'Procesar con Vision'}
           </button>
         )}
 
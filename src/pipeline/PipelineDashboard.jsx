@@ -111,6 +111,11 @@ function PipelineDashboard() {
       <div className="exams-section">
         <h2>Examenes ({exams.length})</h2>
 
+        <p className="pipeline-description">
+          Las preguntas aprobadas que ya estaban en el banco se pueden fusionar en{' '}
+          <Link to={`/pipeline/${subjectId}/duplicates`}>Posibles duplicados</Link>.
+        </p>
+
         {exams.length === 0 ? (
           <div className="empty-state">
             <p>No hay examenes subidos. Sube un PDF para empezar.</p>
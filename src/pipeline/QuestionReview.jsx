@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
-import { pipelineApi, subjectsApi } from '../shared/api';
+import { pipelineApi, subjectsApi, duplicatesApi } from '../shared/api';
 
 function QuestionReview() {
   const { subjectId, examId } = useParams();
@@ -13,6 +13,8 @@ function QuestionReview() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [processing, setProcessing] = useState(null);
+  // Parsed question ID -> { questionId, matches } for approved questions that look repeated
+  const [duplicates, setDuplicates] = useState({});
 
   useEffect(() => {
     loadData();
@@ -44,10 +46,17 @@ function QuestionReview() {
     setProcessing(questionId);
 
     try {
-      await pipelineApi.approveQuestion(questionId, selectedTopic);
+      const res = await pipelineApi.approveQuestion(questionId, selectedTopic);
+      const approved = res.data?.data;
       setQuestions(questions.map(q =>
         q.id === questionId ? { ...q, status: 'approved' } : q
       ));
+      if (approved?.possibleDuplicates?.length > 0) {
+        setDuplicates(prev => ({
+          ...prev,
+          [questionId]: { questionId: approved.questionId, matches: approved.possibleDuplicates }
+        }));
+      }
     } catch (err) {
       console.error('Error approving:', err);
     } finally {
@@ -76,7 +85,14 @@ function QuestionReview() {
     setProcessing('all');
 
     try {
-      await pipelineApi.approveAllQuestions(examId, selectedTopic);
+      const res = await pipelineApi.approveAllQuestions(examId, selectedTopic);
+      const found = res.data?.data?.possibleDuplicates || [];
+      if (found.length > 0) {
+        setDuplicates(prev => ({
+          ...prev,
+          ...Object.fromEntries(found.map(entry => [entry.parsedQuestionId, entry]))
+        }));
+      }
       await loadData();
     } catch (err) {
       console.error('Error approving all:', err);
@@ -85,6 +101,25 @@ function QuestionReview() {
     }
   };
 
+  // Keep the existing question and fold the one just approved into it
+  const handleMerge = async (parsedQuestionId, keepId) => {
+    const { questionId } = duplicates[parsedQuestionId];
+    setProcessing(parsedQuestionId);
+
+    try {
+      await duplicatesApi.mergeQuestions(keepId, questionId);
+      setDuplicates(prev => ({
+        ...prev,
+        [parsedQuestionId]: { ...prev[parsedQuestionId], mergedInto: keepId }
+      }));
+    } catch (err) {
+      console.error('Error merging:', err);
+      setError(err.response?.data?.error || 'Error al fusionar las preguntas.');
+    } finally {
+      setProcessing(null);
+    }
+  };
+
   const filteredQuestions = questions.filter(q => {
     if (filter === 'all') return true;
     return q.status === filter;
@@ -109,6 +144,9 @@ function QuestionReview() {
       <div className="review-header">
         <Link to={`/pipeline/${subjectId}`} className="back-link">Volver</Link>
         <h1>Revisar Preguntas - {exam?.filename}</h1>
+        <Link to={`/pipeline/${subjectId}/duplicates`} className="btn btn-secondary btn-sm">
+          Posibles duplicados
+        </Link>
       </div>
 
       {error && (
@@ -176,6 +214,32 @@ function QuestionReview() {
                 </div>
               )}
 
+              {duplicates[question.id] && (
+                <div className="alert alert-warning duplicate-notice">
+                  {duplicates[question.id].mergedInto ? (
+                    <span>Fusionada con {duplicates[question.id].mergedInto}.</span>
+                  ) : (
+                    <>
+                      <span>Parece repetida de:</span>
+                      <ul>
+                        {duplicates[question.id].matches.map(match => (
+                          <li key={match.id}>
+                            {match.topic} - Pregunta {match.questionNumber} ({Math.round(match.score * 100)}%)
+                            <button
+                              className="btn btn-secondary btn-sm"
+                              onClick={() => handleMerge(question.id, match.id)}
+                              disabled={processing === question.id}
+                            >
+                              Fusionar
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+
               {question.status === 'pending' && (
                 <div className="question-actions">
                   <button
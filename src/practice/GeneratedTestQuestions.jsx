@@ -2,7 +2,7 @@ import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import remarkGfm from 'remark-gfm';
-import { generationApi } from '../shared/api';
+import { generationApi, ankiApi, mockExamApi } from '../shared/api';
 import './GeneratedTestQuestions.css';
 
 /**
@@ -109,7 +109,7 @@ function GeneratedTestQuestions() {
       if (showResults) return;
 
       if (!result) {
-        if (['a', 'b', 'c', 'd'].includes(e.key.toLowerCase())) {
+        if (Object.keys(questions[currentIndex]?.options || {}).includes(e.key.toLowerCase())) {
           handleAnswer(e.key.toLowerCase());
         }
       } else {
@@ -196,6 +196,15 @@ function GeneratedTestQuestions() {
             <Link to={`/subjects/${subjectId}`} className="btn btn-secondary">
               Volver al dashboard
             </Link>
+            <a href={ankiApi.exportUrl(subjectId, { sessionId })} className="btn btn-ghost" download>
+              Exportar a Anki
+            </a>
+            <a href={mockExamApi.printUrl(subjectId, 'exam', { sessionId })} className="btn btn-ghost" download>
+              Examen en PDF
+            </a>
+            <a href={mockExamApi.printUrl(subjectId, 'key', { sessionId })} className="btn btn-ghost" download>
+              Plantilla en PDF
+            </a>
           </div>
         </div>
       </div>
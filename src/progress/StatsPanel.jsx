@@ -4,7 +4,7 @@ import './StatsPanel.css';
 function StatsPanel({ stats, compact = false }) {
   if (!stats) return null;
 
-  const { total, answered, correct, failed } = stats;
+  const { total, answered, correct, failed, hintedAttempts = 0, hintedAccuracy = 0, unaidedAccuracy = 0 } = stats;
   const pending = total - answered;
 
   const answeredPercent = total > 0 ? (answered / total) * 100 : 0;
@@ -45,6 +45,16 @@ function StatsPanel({ stats, compact = false }) {
           <span className="accuracy-value">{correctPercent.toFixed(0)}%</span>
         </div>
       )}
+
+      {hintedAttempts > 0 && !compact && (
+        <div className="stats-accuracy stats-hints">
+          <span className="accuracy-label">Sin pistas</span>
+          <span className="accuracy-value">{unaidedAccuracy.toFixed(0)}%</span>
+          <span className="stat-separator" aria-hidden="true"></span>
+          <span className="accuracy-label">Con pistas ({hintedAttempts})</span>
+          <span className="accuracy-value">{hintedAccuracy.toFixed(0)}%</span>
+        </div>
+      )}
     </div>
   );
 }
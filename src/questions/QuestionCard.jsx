@@ -26,24 +26,30 @@ function QuestionCard({
     );
   }
 
-  const options = [
+  // 2 to 6 options (a-f); questions built without the list fall back to a-d
+  const options = (question.options || [
     { key: 'a', text: question.optionA },
     { key: 'b', text: question.optionB },
     { key: 'c', text: question.optionC },
     { key: 'd', text: question.optionD },
-  ].filter(opt => opt.text); // Filter out empty options
+  ]).filter(opt => opt.text); // Filter out empty options
+
+  // Multiple-answer selections and answers are comma separated ("a,c")
+  const isMultiple = question.type === 'multiple';
+  const selectedKeys = selectedAnswer ? selectedAnswer.split(',') : [];
+  const correctKeys = result?.correctAnswer ? result.correctAnswer.split(',') : [];
 
   const getOptionClass = (optionKey) => {
     const classes = ['radio-option'];
 
-    if (selectedAnswer === optionKey && !result) {
+    if (selectedKeys.includes(optionKey) && !result) {
       classes.push('selected');
     }
 
     if (result) {
-      if (optionKey === result.correctAnswer) {
+      if (correctKeys.includes(optionKey)) {
         classes.push('correct');
-      } else if (selectedAnswer === optionKey && optionKey !== result.correctAnswer) {
+      } else if (selectedKeys.includes(optionKey)) {
         classes.push('incorrect');
       }
     }
@@ -95,48 +101,78 @@ function QuestionCard({
           <ReactMarkdown remarkPlugins={[remarkGfm]}>{question.text}</ReactMarkdown>
         </div>
 
-        {/* Options */}
-        <div className="question-options radio-group">
-          {options.map((option) => (
-            <label
-              key={option.key}
-              className={getOptionClass(option.key)}
-              onClick={(e) => {
-                if (!disabled && !result) {
-                  onSelectAnswer(option.key);
-                }
-              }}
-            >
-              <input
-                type="radio"
-                name={`question-${question.id}`}
-                value={option.key}
-                checked={selectedAnswer === option.key}
-                onChange={() => onSelectAnswer(option.key)}
-                disabled={disabled || !!result}
-              />
-              <span className="radio-option-key">{option.key}</span>
-              <span className="radio-option-label markdown-content">
-                <ReactMarkdown remarkPlugins={[remarkGfm]}>{option.text}</ReactMarkdown>
+        {/* Numeric answer */}
+        {question.type === 'numeric' && (
+          <div className="question-numeric">
+            <input
+              type="text"
+              inputMode="decimal"
+              className={`form-input numeric-input ${result ? (result.isCorrect ? 'correct' : 'incorrect') : ''}`}
+              placeholder="Escribe el resultado"
+              aria-label="Respuesta numerica"
+              value={selectedAnswer || ''}
+              onChange={(e) => onSelectAnswer(e.target.value)}
+              disabled={disabled || !!result}
+            />
+            {result && (
+              <span className="numeric-correct">
+                Resultado: {result.correctAnswer}
+                {question.tolerance ? ` (±${question.tolerance})` : ''}
               </span>
-              {result && option.key === result.correctAnswer && (
-                <span className="option-indicator correct-indicator">
-                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
-                    <polyline points="20 6 9 17 4 12"></polyline>
-                  </svg>
-                </span>
-              )}
-              {result && selectedAnswer === option.key && option.key !== result.correctAnswer && (
-                <span className="option-indicator incorrect-indicator">
-                  <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
-                    <line x1="18" y1="6" x2="6" y2="18"></line>
-                    <line x1="6" y1="6" x2="18" y2="18"></line>
-                  </svg>
-                </span>
-              )}
-            </label>
-          ))}
-        </div>
+            )}
+          </div>
+        )}
+
+        {/* Options (checkboxes for multiple-answer questions) */}
+        {question.type !== 'numeric' && (
+          <>
+            {isMultiple && (
+              <div className="question-options-hint">Selecciona todas las opciones correctas</div>
+            )}
+            <div className="question-options radio-group">
+              {options.map((option) => (
+                <label
+                  key={option.key}
+                  className={getOptionClass(option.key)}
+                  onClick={isMultiple ? undefined : (e) => {
+                    if (!disabled && !result) {
+                      onSelectAnswer(option.key);
+                    }
+                  }}
+                >
+                  {/* Checkboxes toggle through onChange only, the label click reaches them too */}
+                  <input
+                    type={isMultiple ? 'checkbox' : 'radio'}
+                    name={`question-${question.id}`}
+                    value={option.key}
+                    checked={selectedKeys.includes(option.key)}
+                    onChange={() => onSelectAnswer(option.key)}
+                    disabled={disabled || !!result}
+                  />
+                  <span className="radio-option-key">{option.key}</span>
+                  <span className="radio-option-label markdown-content">
+                    <ReactMarkdown remarkPlugins={[remarkGfm]}>{option.text}</ReactMarkdown>
+                  </span>
+                  {result && correctKeys.includes(option.key) && (
+                    <span className="option-indicator correct-indicator">
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+                        <polyline points="20 6 9 17 4 12"></polyline>
+                      </svg>
+                    </span>
+                  )}
+                  {result && selectedKeys.includes(option.key) && !correctKeys.includes(option.key) && (
+                    <span className="option-indicator incorrect-indicator">
+                      <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="3">
+                        <line x1="18" y1="6" x2="6" y2="18"></line>
+                        <line x1="6" y1="6" x2="18" y2="18"></line>
+                      </svg>
+                    </span>
+                  )}
+                </label>
+              ))}
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -1,15 +1,86 @@
 import { useState, useEffect, useCallback } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, useSearchParams, Link } from 'react-router-dom';
 import { useQuestionSession } from '../shared/hooks/useQuestionSession';
 import QuestionSession from '../shared/components/QuestionSession';
-import { subjectsApi, progressApi } from '../shared/api';
+import TagFilter from '../shared/components/TagFilter';
+import QuestionTags from './QuestionTags';
+import { subjectsApi, progressApi, questionEventsApi, tagsApi, jobsApi } from '../shared/api';
 import './QuestionList.css';
 
+/**
+ * Tag IDs of the ?tags=1,2 search param
+ */
+function parseTagParam(value) {
+  return (value || '')
+    .split(',')
+    .map(Number)
+    .filter(tagId => Number.isInteger(tagId) && tagId > 0);
+}
+
 function QuestionList() {
   const { subjectId: urlSubjectId, topicId } = useParams();
   const subjectId = urlSubjectId || 'bda';
+  // Question to open first (?question=<id>, e.g. from the search box)
+  const [searchParams, setSearchParams] = useSearchParams();
+  const questionParam = searchParams.get('question');
+  // Concept tag filter (?tags=1,2), kept in the URL so it can be linked
+  const tagParam = searchParams.get('tags') || '';
 
   const [topicStats, setTopicStats] = useState(null);
+  const [subjectTags, setSubjectTags] = useState([]);
+  const [autoTagging, setAutoTagging] = useState(false);
+  const [autoTagMessage, setAutoTagMessage] = useState(null);
+
+  const loadTags = useCallback(async () => {
+    try {
+      const res = await tagsApi.getTags(subjectId);
+      setSubjectTags(res.data?.data || []);
+    } catch (err) {
+      console.error('Error loading tags:', err);
+    }
+  }, [subjectId]);
+
+  useEffect(() => {
+    loadTags();
+  }, [loadTags]);
+
+  const selectedTags = parseTagParam(tagParam);
+
+  const handleTagFilterChange = (tagIds) => {
+    const next = new URLSearchParams(searchParams);
+    if (tagIds.length > 0) {
+      next.set('tags', tagIds.join(','));
+    } else {
+      next.delete('tags');
+    }
+    setSearchParams(next);
+  };
+
+  // Tag every question of the topic with the AI tagger (background job)
+  const handleAutoTag = async () => {
+    setAutoTagging(true);
+    setAutoTagMessage(null);
+
+    try {
+      const res = await tagsApi.autoTagTopic(subjectId, topicId);
+      const job = await jobsApi.waitForJob(res.data.jobId);
+      if (job.status === 'completed') {
+        const { tagged, questions, createdTags } = job.result;
+        setAutoTagMessage({
+          type: 'success',
+          text: `${tagged} de ${questions} preguntas etiquetadas (${createdTags.length} etiquetas nuevas).`
+        });
+      } else {
+        setAutoTagMessage({ type: 'error', text: job.error || 'El etiquetado no se ha completado.' });
+      }
+      await loadTags();
+    } catch (err) {
+      console.error('Error auto-tagging:', err);
+      setAutoTagMessage({ type: 'error', text: err.response?.status === 429 ? 'Presupuesto de IA agotado.' : 'Error al etiquetar con IA.' });
+    } finally {
+      setAutoTagging(false);
+    }
+  };
 
   // Load questions function for the hook
   const loadQuestions = useCallback(async () => {
@@ -20,8 +91,8 @@ function QuestionList() {
     } catch (err) {
       console.error('Error loading stats:', err);
     }
-    return subjectsApi.getSubjectQuestions(subjectId, topicId);
-  }, [subjectId, topicId]);
+    return subjectsApi.getSubjectQuestions(subjectId, topicId, { tags: parseTagParam(tagParam) });
+  }, [subjectId, topicId, tagParam]);
 
   // Create session with custom onSolve to refresh stats
   const session = useQuestionSession({
@@ -37,6 +108,32 @@ function QuestionList() {
     }
   });
 
+  const { questions, goToQuestion } = session;
+  useEffect(() => {
+    if (!questionParam) return;
+    const index = questions.findIndex(question => question.id === questionParam);
+    if (index >= 0) {
+      goToQuestion(index);
+    }
+  }, [questionParam, questions, goToQuestion]);
+
+  // The topic file changed on the server (file watcher or reload)
+  const [fileChange, setFileChange] = useState(null);
+
+  useEffect(() => {
+    setFileChange(null);
+    return questionEventsApi.subscribe(subjectId, (change) => {
+      if (change.topic === topicId) {
+        setFileChange(change);
+      }
+    });
+  }, [subjectId, topicId]);
+
+  const reloadChangedQuestions = () => {
+    setFileChange(null);
+    session.reload();
+  };
+
   // Back link URL
   const backUrl = `/subjects/${subjectId}`;
 
@@ -57,6 +154,28 @@ function QuestionList() {
           )}
         </div>
       )}
+      {subjectTags.length > 0 && (
+        <TagFilter tags={subjectTags} selected={selectedTags} onChange={handleTagFilterChange} />
+      )}
+      <div className="question-list-tools">
+        <button className="btn btn-secondary btn-sm" onClick={handleAutoTag} disabled={autoTagging}>
+          {autoTagging ? 'Etiquetando...' : 'Etiquetar con IA'}
+        </button>
+      </div>
+      {autoTagMessage && (
+        <div className={`alert alert-${autoTagMessage.type}`}>{autoTagMessage.text}</div>
+      )}
+      {fileChange && (
+        <div className="alert alert-info questions-changed-notice">
+          <span>
+            El fichero del tema ha cambiado: {fileChange.added.length} nuevas,
+            {' '}{fileChange.changed.length} modificadas, {fileChange.removed.length} eliminadas.
+          </span>
+          <button className="btn btn-secondary btn-sm" onClick={reloadChangedQuestions}>
+            Recargar preguntas
+          </button>
+        </div>
+      )}
     </div>
   );
 
@@ -67,7 +186,15 @@ function QuestionList() {
       showProgress={true}
       showNavigation={true}
       showQuickNav={true}
-      navHint="Usa flechas para navegar, a/b/c/d para responder"
+      navHint="Usa flechas para navegar, a/b/c/d para responder, h para pedir pista"
+      afterAnswer={session.result && session.currentQuestion && (
+        <QuestionTags
+          key={session.currentQuestion.id}
+          questionId={session.currentQuestion.id}
+          suggestions={subjectTags.map(tag => tag.name)}
+          onChange={loadTags}
+        />
+      )}
     />
   );
 }
@@ -0,0 +1,116 @@
+import { useState, useEffect } from 'react';
+import { tagsApi } from '../shared/api';
+import '../shared/components/TagFilter.css';
+import './QuestionTags.css';
+
+/**
+ * Editor de las etiquetas de concepto de una pregunta
+ * Se muestra despues de responder: antes, la etiqueta daria una pista.
+ * @param {Object} props
+ * @param {string} props.questionId - Pregunta
+ * @param {Array<string>} props.suggestions - Nombres de las etiquetas de la asignatura (autocompletado)
+ * @param {Function} props.onChange - Se llama tras guardar (p. ej. para recargar las etiquetas de la asignatura)
+ */
+function QuestionTags({ questionId, suggestions = [], onChange }) {
+  const [tags, setTags] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setTags([]);
+    setDraft('');
+    setError(null);
+
+    tagsApi.getQuestionTags(questionId)
+      .then(res => {
+        if (!cancelled) setTags(res.data?.data || []);
+      })
+      .catch(err => console.error('Error loading question tags:', err));
+
+    return () => { cancelled = true; };
+  }, [questionId]);
+
+  const saveTags = async (nextTags) => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      const res = await tagsApi.setQuestionTags(questionId, nextTags);
+      setTags(res.data?.data || []);
+      setDraft('');
+      if (onChange) onChange();
+    } catch (err) {
+      console.error('Error saving question tags:', err);
+      setError('Error al guardar las etiquetas.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+    saveTags([...tags.map(tag => tag.id), draft.trim()]);
+  };
+
+  const handleRemove = (tagId) => {
+    saveTags(tags.filter(tag => tag.id !== tagId).map(tag => tag.id));
+  };
+
+  const datalistId = `tag-suggestions-${questionId}`;
+
+  return (
+    <div className="question-tags card">
+      <div className="card-body">
+        <span className="question-tags-label">Etiquetas:</span>
+
+        <div className="tag-filter">
+          {tags.length === 0 && <span className="question-tags-empty">Sin etiquetas</span>}
+          {tags.map(tag => (
+            <span
+              key={tag.id}
+              className="tag-chip"
+              title={tag.source === 'ai' ? 'Etiqueta sugerida por IA' : undefined}
+            >
+              {tag.name}
+              <button
+                type="button"
+                className="tag-chip-remove"
+                aria-label={`Quitar ${tag.name}`}
+                onClick={() => handleRemove(tag.id)}
+                disabled={saving}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+
+        <form className="question-tags-form" onSubmit={handleAdd}>
+          <input
+            type="text"
+            className="form-input"
+            placeholder="Nueva etiqueta"
+            aria-label="Nueva etiqueta"
+            list={datalistId}
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            disabled={saving}
+          />
+          <datalist id={datalistId}>
+            {suggestions.map(name => <option key={name} value={name} />)}
+          </datalist>
+          <button type="submit" className="btn btn-sm btn-secondary" disabled={saving || !draft.trim()}>
+            Anadir
+          </button>
+        </form>
+
+        {error && <div className="alert alert-error">{error}</div>}
+      </div>
+    </div>
+  );
+}
+
+export default QuestionTags;
@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react';
 import { Link, useParams } from 'react-router-dom';
-import { questionsApi, progressApi, subjectsApi } from '../shared/api';
+import { questionsApi, progressApi, subjectsApi, questionEventsApi } from '../shared/api';
 import ProgressBar from '../progress/ProgressBar';
 import StatsPanel from '../progress/StatsPanel';
 import './TopicSelector.css';
@@ -30,6 +30,18 @@ function TopicSelector() {
     loadData();
   }, [subjectId]);
 
+  // Question counts change when a topic file is edited (file watcher)
+  useEffect(() => {
+    return questionEventsApi.subscribe(subjectId, async () => {
+      try {
+        const topicsRes = await subjectsApi.getSubjectTopics(subjectId);
+        setTopics(topicsRes.data?.topics || []);
+      } catch (err) {
+        console.error('Error refreshing topics:', err);
+      }
+    });
+  }, [subjectId]);
+
   const loadData = async () => {
     setLoading(true);
     setError(null);
@@ -97,8 +109,9 @@ function TopicSelector() {
 
       <div className="topics-grid">
         {topics.map((topic) => {
-          // Use topic.name for description lookup (Tema1, Tema2, etc.)
-          const description = topicDescriptions[topic.name] || topic.name;
+          // BDA: lookup by topic.name (Tema1, Tema2, etc.); other subjects: their topic row
+          const description = (subjectId === 'bda' && topicDescriptions[topic.name])
+            || (topic.description ? `${topic.title} - ${topic.description}` : topic.title || topic.name);
 
           return (
             <Link
@@ -1,7 +1,18 @@
 import { useState, useEffect } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { Link, useLocation, matchPath } from 'react-router-dom';
+import { searchApi } from './api';
 import './Layout.css';
 
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 250;
+
+// Snippet with the matched words (<mark>...</mark>) highlighted, without rendering HTML
+function renderSnippet(snippet) {
+  return (snippet || '').split(/<mark>(.*?)<\/mark>/).map((part, index) => (
+    index % 2 === 1 ? <mark key={index}>{part}</mark> : part
+  ));
+}
+
 function Layout({ children }) {
   const [theme, setTheme] = useState(() => {
     if (typeof window !== 'undefined') {
@@ -11,6 +22,39 @@ function Layout({ children }) {
   });
   const location = useLocation();
 
+  // Search box: scoped to the subject being browsed, if any
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const subjectId = matchPath('/subjects/:subjectId/*', location.pathname)?.params.subjectId || null;
+
+  useEffect(() => {
+    if (!query.trim()) {
+      setResults([]);
+      return undefined;
+    }
+
+    let cancelled = false;
+    const timer = setTimeout(async () => {
+      try {
+        const res = await searchApi.search(query, { subjectId, limit: 10 });
+        if (!cancelled) setResults(res.data);
+      } catch (err) {
+        console.error('Error searching questions:', err);
+      }
+    }, SEARCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [query, subjectId]);
+
+  // Close the results when navigating (e.g. after picking one)
+  useEffect(() => {
+    setSearchOpen(false);
+  }, [location.pathname, location.search]);
+
   useEffect(() => {
     document.documentElement.setAttribute('data-theme', theme);
     localStorage.setItem('theme', theme);
@@ -51,6 +95,44 @@ function Layout({ children }) {
             </Link>
           </nav>
 
+          <div className="header-search">
+            <input
+              type="search"
+              className="header-search-input"
+              placeholder={subjectId ? 'Buscar en la asignatura...' : 'Buscar preguntas...'}
+              aria-label="Buscar preguntas"
+              value={query}
+              onChange={(e) => {
+                setQuery(e.target.value);
+                setSearchOpen(true);
+              }}
+              onFocus={() => setSearchOpen(true)}
+              onKeyDown={(e) => {
+                if (e.key === 'Escape') setSearchOpen(false);
+              }}
+            />
+            {searchOpen && query.trim() && (
+              <ul className="header-search-results">
+                {results.length === 0 && (
+                  <li className="header-search-empty">Sin resultados</li>
+                )}
+                {results.map((result) => (
+                  <li key={result.id}>
+                    <Link
+                      to={`/subjects/${result.subjectId}/topic/${result.topic}?question=${encodeURIComponent(result.id)}`}
+                      className="header-search-result"
+                    >
+                      <span className="header-search-meta">
+                        {result.subjectId.toUpperCase()} · {result.topic} · Pregunta {result.number}
+                      </span>
+                      <span className="header-search-snippet">{renderSnippet(result.snippet)}</span>
+                    </Link>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
           <button
             className="theme-toggle"
             onClick={toggleTheme}
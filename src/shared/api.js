@@ -47,6 +47,16 @@ function transformTopic(t) {
   };
 }
 
+// Option letters a question can use (2 to 6 of them)
+const OPTION_KEYS = ['a', 'b', 'c', 'd', 'e', 'f'];
+
+// Options with text, in letter order: [{ key, text }]
+function getQuestionOptions(q) {
+  return OPTION_KEYS
+    .filter(key => q.options?.[key])
+    .map(key => ({ key, text: q.options[key] }));
+}
+
 // Transform question from backend format to frontend format
 function transformQuestion(q) {
   return {
@@ -59,6 +69,11 @@ function transformQuestion(q) {
     optionB: q.options?.b || '',
     optionC: q.options?.c || '',
     optionD: q.options?.d || '',
+    // Every option, including e) and f) (true/false items have Verdadero/Falso)
+    options: getQuestionOptions(q),
+    // 'single' (one letter), 'multiple' (select all that apply) or 'numeric'
+    type: q.question_type || 'single',
+    tolerance: q.answer_tolerance ?? null,
     // Parent question context (for "Continuando con..." questions)
     parentContent: q.parent_content || null,
     parentStatement: q.parent_statement || null,
@@ -83,10 +98,9 @@ function buildFullContent(q) {
   }
   content += q.content + '\n\n';
   if (q.options) {
-    content += `a) ${q.options.a}\n`;
-    content += `b) ${q.options.b}\n`;
-    content += `c) ${q.options.c}\n`;
-    content += `d) ${q.options.d}`;
+    content += getQuestionOptions(q)
+      .map(option => `${option.key}) ${option.text}`)
+      .join('\n');
   }
   return content;
 }
@@ -99,16 +113,33 @@ function transformStats(s) {
     correct: s.correct_attempts || 0,
     failed: (s.answered_questions || s.questions_attempted || 0) - (s.correct_attempts || 0),
     remaining: s.questions_remaining || 0,
-    accuracy: s.accuracy || 0
+    accuracy: s.accuracy || 0,
+    // Mean score with partial credit (multiple-answer questions)
+    averageScore: s.average_score || 0,
+    // Attempts answered with and without hints
+    unaidedAccuracy: s.unaided_accuracy || 0,
+    hintedAttempts: s.hinted_attempts || 0,
+    hintedAccuracy: s.hinted_accuracy || 0
   };
 }
 
 // Transform solution from backend format to frontend format
 function transformSolution(s) {
   return {
-    correctAnswer: s.answer,
+    // The official key, when there is one, is the answer the user is graded against
+    correctAnswer: s.officialAnswer || s.answer,
+    aiAnswer: s.answer,
+    officialAnswer: s.officialAnswer || null,
     explanation: s.explanation,
-    wrongOptions: s.wrongOptions || {}
+    wrongOptions: s.wrongOptions || {},
+    // Self-consistency (null when the solution comes from a single sample)
+    confidence: s.confidence ?? null,
+    // Flagged by the server when the vote is too split to trust
+    lowConfidence: Boolean(s.lowConfidence),
+    sampleCount: s.sampleCount ?? null,
+    dissent: s.dissent || [],
+    // The question changed after this solution was produced
+    stale: Boolean(s.stale)
   };
 }
 
@@ -181,6 +212,203 @@ export const solvingApi = {
       data: res.data?.data ? transformSolution(res.data.data) : null
     };
   },
+
+  // Streaming is only possible where the browser supports Server-Sent Events
+  canStream: () => typeof window !== 'undefined' && typeof window.EventSource === 'function',
+
+  // Solve a stored question streaming the explanation (Server-Sent Events)
+  // onExplanation receives each explanation delta and { reset } (the delta replaces the
+  // text so far); resolves with the final solution
+  solveStream: (questionId, { onExplanation } = {}) => {
+    return new Promise((resolve, reject) => {
+      const source = new EventSource(`/api/solve/${encodeURIComponent(questionId)}/stream`);
+
+      source.addEventListener('explanation', (event) => {
+        const { text, reset } = JSON.parse(event.data);
+        if (onExplanation) onExplanation(text, { reset: Boolean(reset) });
+      });
+
+      source.addEventListener('done', (event) => {
+        source.close();
+        const payload = JSON.parse(event.data);
+        resolve({ data: transformSolution(payload.data), cached: payload.cached });
+      });
+
+      source.addEventListener('error', (event) => {
+        source.close();
+        const payload = event.data ? JSON.parse(event.data) : null;
+        reject(new Error(payload?.message || 'Stream connection failed'));
+      });
+    });
+  },
+};
+
+// ============================================
+// Answer Keys API
+// ============================================
+
+export const answerKeysApi = {
+  // List official answers (optionally for one subject)
+  getAnswerKeys: async (subjectId = null) => {
+    const res = await api.get(subjectId ? `/answer-keys?subjectId=${subjectId}` : '/answer-keys');
+    return res;
+  },
+
+  // Questions where Claude's cached answer disagrees with the official key
+  getDisagreements: async (subjectId = null) => {
+    const res = await api.get(subjectId ? `/answer-keys/disagreements?subjectId=${subjectId}` : '/answer-keys/disagreements');
+    return res;
+  },
+
+  // Import a key: { answers: [{ questionId, answer }] } or { text }
+  importAnswerKey: async (payload) => {
+    const res = await api.post('/answer-keys/import', payload);
+    return res;
+  },
+
+  // Set the official answer for a question (userAnswer is regraded against it)
+  setOfficialAnswer: async (questionId, answer, notes = null, userAnswer = null) => {
+    const res = await api.put(`/answer-keys/${questionId}`, { answer, notes, userAnswer });
+    return res;
+  },
+
+  // Remove the official answer for a question
+  deleteOfficialAnswer: async (questionId) => {
+    const res = await api.delete(`/answer-keys/${questionId}`);
+    return res;
+  },
+};
+
+// ============================================
+// Moodle API (GIFT / XML question banks)
+// ============================================
+
+export const moodleApi = {
+  // Download URL of the subject's bank ('gift' or 'xml', optionally one topic)
+  exportUrl: (subjectId, format = 'gift', topic = null) => {
+    const params = new URLSearchParams({ format });
+    if (topic) params.append('topic', topic);
+    return `/api/moodle/${subjectId}/export?${params}`;
+  },
+
+  // Import a Moodle GIFT or XML file; returns { format, imported, questionIds, skipped }
+  importBank: async (subjectId, file, topic = null) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    if (topic) formData.append('topic', topic);
+
+    const res = await api.post(`/moodle/${subjectId}/import`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+    return res;
+  },
+};
+
+// ============================================
+// Anki API (deck export)
+// ============================================
+
+export const ankiApi = {
+  // Download URL of an Anki deck; selection: { format ('apkg' | 'csv'), topic, failed, sessionId }
+  exportUrl: (subjectId, { format = 'apkg', topic = null, failed = false, sessionId = null } = {}) => {
+    const params = new URLSearchParams({ format });
+    if (topic) params.append('topic', topic);
+    if (failed) params.append('failed', 'true');
+    if (sessionId) params.append('sessionId', sessionId);
+    return `/api/anki/${subjectId}/export?${params}`;
+  },
+};
+
+// ============================================
+// Mock Exam API (printable PDFs)
+// ============================================
+
+export const mockExamApi = {
+  // Download URL of a printable exam ('exam') or its answer key ('key')
+  // selection: { questionIds (in order), topic or sessionId, title }
+  printUrl: (subjectId, document, { questionIds = null, topic = null, sessionId = null, title = null } = {}) => {
+    const params = new URLSearchParams();
+    if (questionIds) params.append('questionIds', questionIds.join(','));
+    if (topic) params.append('topic', topic);
+    if (sessionId) params.append('sessionId', sessionId);
+    if (title) params.append('title', title);
+    return `/api/mock-exam/${subjectId}/${document}?${params}`;
+  },
+};
+
+// ============================================
+// Tutor Chat API
+// ============================================
+
+export const tutorApi = {
+  // Conversation about a question, oldest first
+  getMessages: async (questionId) => {
+    const res = await api.get(`/tutor/${questionId}`);
+    return res;
+  },
+
+  // Ask a follow-up question; returns { question, reply }
+  ask: async (questionId, message) => {
+    const res = await api.post(`/tutor/${questionId}`, { message });
+    return res;
+  },
+
+  // Start the conversation over
+  clear: async (questionId) => {
+    const res = await api.delete(`/tutor/${questionId}`);
+    return res;
+  },
+};
+
+// ============================================
+// Hints API
+// ============================================
+
+export const hintsApi = {
+  // Hints already generated for a question, lowest level first; { hints, maxLevel }
+  getHints: async (questionId) => {
+    const res = await api.get(`/hints/${questionId}`);
+    return res;
+  },
+
+  // Hint of one level (cached or generated on first request)
+  getHint: async (questionId, level) => {
+    const res = await api.post(`/hints/${questionId}/${level}`);
+    return res;
+  },
+};
+
+// ============================================
+// Background Jobs API
+// ============================================
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
+export const jobsApi = {
+  // Get job status, progress and result
+  getJob: async (jobId) => {
+    const res = await api.get(`/jobs/${jobId}`);
+    return res;
+  },
+
+  // Cancel a queued or running job
+  cancelJob: async (jobId) => {
+    const res = await api.post(`/jobs/${jobId}/cancel`);
+    return res;
+  },
+
+  // Poll a job until it is completed, failed or cancelled; resolves with the job data
+  waitForJob: async (jobId, { intervalMs = 2000, onProgress = null } = {}) => {
+    for (;;) {
+      const res = await api.get(`/jobs/${jobId}`);
+      const job = res.data.data;
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        return job;
+      }
+      if (onProgress) onProgress(job);
+      await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+  },
 };
 
 // ============================================
@@ -209,9 +437,12 @@ export const subjectsApi = {
     };
   },
 
-  // Get questions for a topic in a subject (Fase 1)
-  getSubjectQuestions: async (subjectId, topicId) => {
-    const res = await api.get(`/subjects/${subjectId}/questions/${topicId}`);
+  // Get questions for a topic in a subject (Fase 1); tags: only questions with any of these tag IDs
+  getSubjectQuestions: async (subjectId, topicId, { tags = [] } = {}) => {
+    const params = new URLSearchParams();
+    if (tags.length > 0) params.append('tags', tags.join(','));
+
+    const res = await api.get(`/subjects/${subjectId}/questions/${topicId}?${params}`);
     return {
       ...res,
       data: (res.data?.data || []).map(transformQuestion)
@@ -246,10 +477,11 @@ export const subjectsApi = {
   },
 
   // Start exam mode - get random questions from all topics
-  startExamMode: async (subjectId, { count = 20, excludeAnswered = false } = {}) => {
+  startExamMode: async (subjectId, { count = 20, excludeAnswered = false, tags = [] } = {}) => {
     const params = new URLSearchParams();
     if (count) params.append('count', count);
     if (excludeAnswered) params.append('excludeAnswered', 'true');
+    if (tags.length > 0) params.append('tags', tags.join(','));
 
     const res = await api.get(`/subjects/${subjectId}/exam-mode?${params}`);
     return {
@@ -265,9 +497,10 @@ export const subjectsApi = {
   },
 
   // Start adaptive mode - prioritizes unseen and failed questions
-  startAdaptiveMode: async (subjectId, { count = 20 } = {}) => {
+  startAdaptiveMode: async (subjectId, { count = 20, tags = [] } = {}) => {
     const params = new URLSearchParams();
     if (count) params.append('count', count);
+    if (tags.length > 0) params.append('tags', tags.join(','));
 
     const res = await api.get(`/subjects/${subjectId}/adaptive-mode?${params}`);
     return {
@@ -298,6 +531,52 @@ export const subjectsApi = {
   },
 };
 
+// ============================================
+// Search API (full-text search over questions)
+// ============================================
+
+export const searchApi = {
+  // Ranked matches; snippet marks the matched words with <mark></mark>
+  search: async (query, { subjectId = null, topic = null, limit = null } = {}) => {
+    const params = new URLSearchParams({ q: query });
+    if (subjectId) params.append('subjectId', subjectId);
+    if (topic) params.append('topic', topic);
+    if (limit) params.append('limit', limit);
+    const res = await api.get(`/search?${params}`);
+    return {
+      ...res,
+      data: (res.data?.data || []).map(r => ({
+        id: r.id,
+        subjectId: r.subject_id,
+        topic: r.topic,
+        number: r.question_number,
+        snippet: r.snippet
+      }))
+    };
+  },
+};
+
+// ============================================
+// Question Events API (file changes, Server-Sent Events)
+// ============================================
+
+export const questionEventsApi = {
+  // Call onChange({ subjectId, topic, added, changed, removed }) when a topic's
+  // questions change on the server; returns a function that stops listening
+  subscribe: (subjectId, onChange) => {
+    if (typeof window === 'undefined' || typeof window.EventSource !== 'function') {
+      return () => {};
+    }
+
+    const source = new EventSource(`/api/question-events?subjectId=${encodeURIComponent(subjectId)}`);
+    source.addEventListener('questions-changed', (event) => {
+      onChange(JSON.parse(event.data));
+    });
+
+    return () => source.close();
+  },
+};
+
 // ============================================
 // Pipeline API (Fase 2)
 // ============================================
@@ -341,11 +620,9 @@ export const pipelineApi = {
     return res;
   },
 
-  // Process all pages with Claude Vision
+  // Queue Vision processing of all pages (returns a jobId, see jobsApi)
   processExam: async (examId) => {
-    const res = await api.post(`/pipeline/exams/${examId}/process`, {}, {
-      timeout: 600000, // 10 minutes for Vision processing
-    });
+    const res = await api.post(`/pipeline/exams/${examId}/process`);
     return res;
   },
 
@@ -396,6 +673,90 @@ export const pipelineApi = {
   },
 };
 
+// ============================================
+// Duplicates API (near-duplicate questions)
+// ============================================
+
+export const duplicatesApi = {
+  // Likely duplicate pairs of a subject, best match first
+  getDuplicates: async (subjectId, threshold = null) => {
+    const params = new URLSearchParams({ subjectId });
+    if (threshold) params.append('threshold', threshold);
+    const res = await api.get(`/duplicates?${params}`);
+    return res;
+  },
+
+  // Fold mergeId into keepId (attempts and answers move to keepId)
+  mergeQuestions: async (keepId, mergeId) => {
+    const res = await api.post('/duplicates/merge', { keepId, mergeId });
+    return res;
+  },
+};
+
+// ============================================
+// Tags API (concept tags, finer than topics)
+// ============================================
+
+export const tagsApi = {
+  // Tags of a subject, each with question_count
+  getTags: async (subjectId) => {
+    const res = await api.get(`/tags?${new URLSearchParams({ subjectId })}`);
+    return res;
+  },
+
+  // Create a tag
+  createTag: async (subjectId, name, description = null) => {
+    const res = await api.post('/tags', { subjectId, name, description });
+    return res;
+  },
+
+  // Rename a tag or change its description
+  updateTag: async (tagId, updates) => {
+    const res = await api.put(`/tags/${tagId}`, updates);
+    return res;
+  },
+
+  // Delete a tag (questions lose it)
+  deleteTag: async (tagId) => {
+    const res = await api.delete(`/tags/${tagId}`);
+    return res;
+  },
+
+  // Tags of a question
+  getQuestionTags: async (questionId) => {
+    const res = await api.get(`/tags/question/${questionId}`);
+    return res;
+  },
+
+  // Replace the tags of a question (tag IDs, or names: created when missing)
+  setQuestionTags: async (questionId, tags) => {
+    const res = await api.put(`/tags/question/${questionId}`, { tags });
+    return res;
+  },
+
+  // Queue the AI tagger for a topic; returns { jobId } (poll with jobsApi.waitForJob)
+  autoTagTopic: async (subjectId, topic, { replace = false } = {}) => {
+    const res = await api.post('/tags/auto', { subjectId, topic, replace });
+    return res;
+  },
+
+  // Accuracy per tag of a subject (optionally only one topic)
+  getTagStats: async (subjectId, topic = null) => {
+    const params = new URLSearchParams({ subjectId });
+    if (topic) params.append('topic', topic);
+    const res = await api.get(`/stats/tags?${params}`);
+    return {
+      ...res,
+      data: (res.data?.data || []).map(stats => ({
+        id: stats.tag_id,
+        name: stats.name,
+        attempts: stats.total_attempts || 0,
+        ...transformStats(stats)
+      }))
+    };
+  },
+};
+
 // ============================================
 // Generation API (Fase 3)
 // ============================================
@@ -1,6 +1,9 @@
 import QuestionCard from '../../questions/QuestionCard';
 import SolveButton from '../../solving/SolveButton';
 import AnswerPanel from '../../solving/AnswerPanel';
+import OfficialAnswerEditor from '../../solving/OfficialAnswerEditor';
+import TutorChat from '../../solving/TutorChat';
+import HintLadder from '../../solving/HintLadder';
 import ProgressBar from '../../progress/ProgressBar';
 import './QuestionSession.css';
 
@@ -25,7 +28,7 @@ function QuestionSession({
   showProgress = true,
   showNavigation = true,
   showQuickNav = false,
-  navHint = 'Usa flechas para navegar, a/b/c/d para responder',
+  navHint = 'Usa flechas para navegar, a/b/c/d para responder, h para pedir pista',
   emptyState
 }) {
   const {
@@ -35,6 +38,11 @@ function QuestionSession({
     selectedAnswer,
     result,
     solving,
+    streamingExplanation,
+    hints = [],
+    hintLoading,
+    hintsEnabled,
+    maxHintLevel,
     loading,
     error,
     progress,
@@ -42,6 +50,8 @@ function QuestionSession({
     isLast,
     handleSelectAnswer,
     handleSolve,
+    handleRequestHint,
+    handleSetOfficialAnswer,
     goToPrevious,
     goToNext,
     goToQuestion,
@@ -119,6 +129,17 @@ function QuestionSession({
         disabled={solving}
       />
 
+      {/* Hints before checking the answer */}
+      {!result && hintsEnabled && handleRequestHint && (
+        <HintLadder
+          hints={hints}
+          maxLevel={maxHintLevel}
+          onRequestHint={handleRequestHint}
+          loading={hintLoading}
+          disabled={solving}
+        />
+      )}
+
       {/* Solve button */}
       {!result && (
         <div className="question-actions">
@@ -131,6 +152,16 @@ function QuestionSession({
         </div>
       )}
 
+      {/* Explanation while Claude is still writing it */}
+      {!result && solving && streamingExplanation && (
+        <AnswerPanel
+          result={{ explanation: streamingExplanation }}
+          userAnswer={selectedAnswer}
+          question={currentQuestion}
+          streaming
+        />
+      )}
+
       {/* Answer panel */}
       {result && (
         <AnswerPanel
@@ -140,6 +171,22 @@ function QuestionSession({
         />
       )}
 
+      {/* Official answer key */}
+      {result && handleSetOfficialAnswer && (
+        <OfficialAnswerEditor
+          officialAnswer={result.officialAnswer}
+          aiAnswer={result.aiAnswer}
+          onSave={handleSetOfficialAnswer}
+          options={currentQuestion?.options?.map(option => option.key)}
+          type={currentQuestion?.type}
+        />
+      )}
+
+      {/* Follow-up questions about the solution */}
+      {result && currentQuestion && (
+        <TutorChat key={currentQuestion.id} questionId={currentQuestion.id} />
+      )}
+
       {afterAnswer}
 
       {/* Navigation */}
@@ -0,0 +1,52 @@
+import './TagFilter.css';
+
+/**
+ * Filtro por etiquetas de concepto: se practica solo con las preguntas que
+ * tienen alguna de las etiquetas elegidas (ninguna elegida = sin filtro)
+ * @param {Object} props
+ * @param {Array} props.tags - Etiquetas de la asignatura ({ id, name, question_count })
+ * @param {Array<number>} props.selected - IDs elegidos
+ * @param {Function} props.onChange - Recibe la nueva lista de IDs
+ * @param {boolean} props.disabled - Deshabilitar el filtro
+ */
+function TagFilter({ tags, selected = [], onChange, disabled = false }) {
+  if (!tags || tags.length === 0) return null;
+
+  const toggle = (tagId) => {
+    onChange(selected.includes(tagId)
+      ? selected.filter(id => id !== tagId)
+      : [...selected, tagId]);
+  };
+
+  return (
+    <div className="tag-filter" role="group" aria-label="Filtrar por etiquetas">
+      {tags.map(tag => (
+        <button
+          key={tag.id}
+          type="button"
+          className={`tag-chip ${selected.includes(tag.id) ? 'active' : ''}`}
+          aria-pressed={selected.includes(tag.id)}
+          onClick={() => toggle(tag.id)}
+          disabled={disabled}
+        >
+          {tag.name}
+          {tag.question_count !== undefined && (
+            <span className="tag-chip-count">{tag.question_count}</span>
+          )}
+        </button>
+      ))}
+      {selected.length > 0 && (
+        <button
+          type="button"
+          className="btn btn-link btn-sm"
+          onClick={() => onChange([])}
+          disabled={disabled}
+        >
+          Quitar filtro
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default TagFilter;
@@ -1,5 +1,31 @@
 import { useState, useEffect, useCallback } from 'react';
-import { solvingApi, progressApi } from '../api';
+import { solvingApi, progressApi, answerKeysApi, hintsApi } from '../api';
+
+// Hint ladder: concept, formula/definition, discarded distractor
+const MAX_HINT_LEVEL = 3;
+
+// Answer keys for questions without an options list
+const DEFAULT_OPTION_KEYS = ['a', 'b', 'c', 'd'];
+
+/**
+ * Option keys of a question, in order
+ * @param {Object} question - Transformed question
+ */
+function getOptionKeys(question) {
+  return question?.options?.map(option => option.key) || DEFAULT_OPTION_KEYS;
+}
+
+/**
+ * Toggle a letter in a multiple-answer selection ("a,c" + "b" -> "a,b,c")
+ * @returns {string|null} null when nothing is left selected
+ */
+function toggleLetter(selection, letter, keys) {
+  const picked = selection ? selection.split(',') : [];
+  const next = picked.includes(letter)
+    ? picked.filter(key => key !== letter)
+    : [...picked, letter];
+  return keys.filter(key => next.includes(key)).join(',') || null;
+}
 
 /**
  * Custom hook for managing question sessions
@@ -12,6 +38,7 @@ import { solvingApi, progressApi } from '../api';
  * @param {boolean} [options.enableKeyboard=true] - Enable keyboard navigation
  * @param {boolean} [options.recordAttempts=true] - Record attempts to database
  * @param {boolean} [options.autoLoad=true] - Automatically load questions on mount
+ * @param {boolean} [options.enableHints=true] - Allow asking for hints before solving
  * @returns {Object} Session state and actions
  */
 export function useQuestionSession({
@@ -20,7 +47,8 @@ export function useQuestionSession({
   onNext,
   enableKeyboard = true,
   recordAttempts = true,
-  autoLoad = true
+  autoLoad = true,
+  enableHints = true
 }) {
   // State
   const [questions, setQuestions] = useState([]);
@@ -28,6 +56,9 @@ export function useQuestionSession({
   const [selectedAnswer, setSelectedAnswer] = useState(null);
   const [result, setResult] = useState(null);
   const [solving, setSolving] = useState(false);
+  const [streamingExplanation, setStreamingExplanation] = useState(null);
+  const [hints, setHints] = useState([]);
+  const [hintLoading, setHintLoading] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -50,6 +81,7 @@ export function useQuestionSession({
       setCurrentIndex(0);
       setSelectedAnswer(null);
       setResult(null);
+      setHints([]);
     } catch (err) {
       console.error('Error loading questions:', err);
       setError('Error al cargar las preguntas.');
@@ -66,12 +98,36 @@ export function useQuestionSession({
     }
   }, [autoLoad, reload]);
 
-  // Select answer
+  // Select answer: a letter toggles it on multiple-answer questions,
+  // numeric questions receive the typed text
   const handleSelectAnswer = useCallback((answer) => {
-    if (!result) {
-      setSelectedAnswer(answer);
+    if (result) return;
+
+    if (currentQuestion?.type === 'multiple') {
+      setSelectedAnswer(prev => toggleLetter(prev, answer, getOptionKeys(currentQuestion)));
+    } else {
+      setSelectedAnswer(answer || null);
+    }
+  }, [result, currentQuestion]);
+
+  // Show the next hint level (cached per question on the server)
+  const handleRequestHint = useCallback(async () => {
+    if (!enableHints || !currentQuestion || result || hintLoading) return;
+    if (hints.length >= MAX_HINT_LEVEL) return;
+
+    setHintLoading(true);
+    setError(null);
+
+    try {
+      const res = await hintsApi.getHint(currentQuestion.id, hints.length + 1);
+      setHints(prev => [...prev, res.data.data]);
+    } catch (err) {
+      console.error('Error getting hint:', err);
+      setError('Error al obtener la pista.');
+    } finally {
+      setHintLoading(false);
     }
-  }, [result]);
+  }, [enableHints, currentQuestion, result, hintLoading, hints.length]);
 
   // Solve/check answer
   const handleSolve = useCallback(async () => {
@@ -81,31 +137,48 @@ export function useQuestionSession({
     setError(null);
 
     try {
-      const solveRes = await solvingApi.solve(
-        currentQuestion.id,
-        currentQuestion.fullContent
-      );
+      let solveRes;
+      if (solvingApi.canStream()) {
+        // Stream the explanation while Claude writes it
+        setStreamingExplanation('');
+        solveRes = await solvingApi.solveStream(currentQuestion.id, {
+          onExplanation: (text, { reset } = {}) => setStreamingExplanation(prev => (reset ? text : (prev || '') + text))
+        });
+      } else {
+        solveRes = await solvingApi.solve(
+          currentQuestion.id,
+          currentQuestion.fullContent
+        );
+      }
 
       const solution = solveRes.data;
-      setResult(solution);
 
-      // Record attempt if enabled
+      // Record attempt if enabled; the server grades it (partial credit,
+      // numeric tolerance), otherwise AnswerPanel compares the letters
+      let grade = {};
       if (recordAttempts) {
-        await progressApi.recordAttempt({
+        const attemptRes = await progressApi.recordAttempt({
           questionId: currentQuestion.id,
           userAnswer: selectedAnswer,
           correctAnswer: solution.correctAnswer,
           isCorrect: selectedAnswer === solution.correctAnswer,
           explanation: solution.explanation,
+          hintsUsed: hints.length,
         });
+        const attempt = attemptRes?.data?.data;
+        if (attempt) {
+          grade = { isCorrect: attempt.isCorrect, score: attempt.score };
+        }
       }
+      setResult({ ...solution, ...grade });
 
       // Callback
       if (onSolve) {
         onSolve({
           question: currentQuestion,
           userAnswer: selectedAnswer,
-          solution
+          solution,
+          hintsUsed: hints.length
         });
       }
     } catch (err) {
@@ -113,8 +186,27 @@ export function useQuestionSession({
       setError('Error al obtener la respuesta.');
     } finally {
       setSolving(false);
+      setStreamingExplanation(null);
     }
-  }, [currentQuestion, selectedAnswer, recordAttempts, onSolve]);
+  }, [currentQuestion, selectedAnswer, recordAttempts, onSolve, hints.length]);
+
+  // Set the official answer for the current question (graded from now on)
+  const handleSetOfficialAnswer = useCallback(async (answer) => {
+    if (!currentQuestion) return;
+
+    try {
+      const res = await answerKeysApi.setOfficialAnswer(currentQuestion.id, answer, null, selectedAnswer);
+      // Saved in canonical form ("A, c" -> "a,c") and the answer regraded by the server
+      const saved = res?.data?.data?.answer || answer;
+      const grade = res?.data?.grade;
+      setResult(prev => prev
+        ? { ...prev, officialAnswer: saved, correctAnswer: saved, isCorrect: grade?.isCorrect, score: grade?.score }
+        : prev);
+    } catch (err) {
+      console.error('Error saving official answer:', err);
+      setError('Error al guardar la respuesta oficial.');
+    }
+  }, [currentQuestion, selectedAnswer]);
 
   // Navigation
   const goToQuestion = useCallback((index) => {
@@ -122,6 +214,7 @@ export function useQuestionSession({
       setCurrentIndex(index);
       setSelectedAnswer(null);
       setResult(null);
+      setHints([]);
 
       if (onNext) {
         onNext(index);
@@ -141,6 +234,7 @@ export function useQuestionSession({
   const resetCurrent = useCallback(() => {
     setSelectedAnswer(null);
     setResult(null);
+    setHints([]);
   }, []);
 
   // Keyboard navigation
@@ -161,7 +255,10 @@ export function useQuestionSession({
         case 'b':
         case 'c':
         case 'd':
-          if (!result) {
+        case 'e':
+        case 'f':
+          // Only the letters the current question has
+          if (!result && getOptionKeys(currentQuestion).includes(e.key)) {
             handleSelectAnswer(e.key);
           }
           break;
@@ -170,6 +267,11 @@ export function useQuestionSession({
             handleSolve();
           }
           break;
+        case 'h':
+          if (!result && !solving) {
+            handleRequestHint();
+          }
+          break;
       }
     };
 
@@ -181,9 +283,11 @@ export function useQuestionSession({
     goToNext,
     handleSelectAnswer,
     handleSolve,
+    handleRequestHint,
     selectedAnswer,
     result,
-    solving
+    solving,
+    currentQuestion
   ]);
 
   return {
@@ -194,6 +298,11 @@ export function useQuestionSession({
     selectedAnswer,
     result,
     solving,
+    streamingExplanation,
+    hints,
+    hintLoading,
+    hintsEnabled: enableHints,
+    maxHintLevel: MAX_HINT_LEVEL,
     loading,
     error,
     progress,
@@ -203,6 +312,8 @@ export function useQuestionSession({
     // Actions
     handleSelectAnswer,
     handleSolve,
+    handleRequestHint,
+    handleSetOfficialAnswer,
     goToQuestion,
     goToPrevious,
     goToNext,
@@ -1,17 +1,61 @@
 import ReactMarkdown from 'react-markdown';
 import './AnswerPanel.css';
 
-function AnswerPanel({ result, userAnswer, question }) {
+/**
+ * Correct answer as a sentence fragment: "la opcion B", "las opciones A, C"
+ * or "el resultado 12.5"
+ */
+function describeCorrectAnswer(answer, question) {
+  if (question?.type === 'numeric') {
+    return `el resultado ${answer}${question.tolerance ? ` (±${question.tolerance})` : ''}`;
+  }
+  const letters = answer.split(',');
+  return letters.length > 1
+    ? `las opciones ${letters.map(letter => letter.toUpperCase()).join(', ')}`
+    : `la opcion ${answer.toUpperCase()}`;
+}
+
+function AnswerPanel({ result, userAnswer, question, streaming = false }) {
   if (!result) return null;
 
-  const isCorrect = userAnswer === result.correctAnswer;
+  // Partial explanation streamed before the answer is known
+  if (streaming) {
+    return (
+      <div className="answer-panel card streaming">
+        <div className="answer-header">
+          <div className="spinner"></div>
+          <div className="answer-title">
+            <h3>Claude esta respondiendo...</h3>
+            <p>La explicacion aparece a medida que se genera.</p>
+          </div>
+        </div>
+        <div className="answer-body">
+          <div className="answer-section">
+            <h4 className="section-title">Explicacion</h4>
+            <div className="section-content markdown-content">
+              <ReactMarkdown>{result.explanation || ''}</ReactMarkdown>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Graded by the server when the attempt is recorded (partial credit, numeric tolerance); plain letter match otherwise
+  const isCorrect = result.isCorrect ?? userAnswer === result.correctAnswer;
+  const isPartial = !isCorrect && result.score > 0;
+  const correctKeys = result.correctAnswer.split(',');
+  // Claude's cached answer contradicts the official key
+  const disagreesWithKey = Boolean(result.officialAnswer && result.aiAnswer && result.aiAnswer !== result.officialAnswer);
 
-  const optionLabels = {
-    a: question?.optionA,
-    b: question?.optionB,
-    c: question?.optionC,
-    d: question?.optionD,
-  };
+  const optionLabels = question?.options
+    ? Object.fromEntries(question.options.map(option => [option.key, option.text]))
+    : {
+      a: question?.optionA,
+      b: question?.optionB,
+      c: question?.optionC,
+      d: question?.optionD,
+    };
 
   return (
     <div className={`answer-panel card ${isCorrect ? 'correct' : 'incorrect'}`}>
@@ -30,17 +74,53 @@ function AnswerPanel({ result, userAnswer, question }) {
           )}
         </div>
         <div className="answer-title">
-          <h3>{isCorrect ? 'Respuesta correcta' : 'Respuesta incorrecta'}</h3>
+          <h3>
+            {isCorrect
+              ? 'Respuesta correcta'
+              : isPartial ? 'Respuesta parcialmente correcta' : 'Respuesta incorrecta'}
+          </h3>
           <p>
             {isCorrect
               ? 'Has acertado esta pregunta.'
-              : `La respuesta correcta es la opcion ${result.correctAnswer.toUpperCase()}.`}
+              : `${isPartial ? `Puntuacion: ${Math.round(result.score * 100)}%. ` : ''}La respuesta correcta es ${describeCorrectAnswer(result.correctAnswer, question)}.`}
           </p>
         </div>
       </div>
 
       {/* Explanation */}
       <div className="answer-body">
+        {result.stale && (
+          <div className="answer-stale-warning alert alert-warning">
+            <strong>Solucion desactualizada.</strong>{' '}
+            La pregunta ha cambiado desde que se resolvio; esta en cola para volver a resolverse.
+          </div>
+        )}
+
+        {disagreesWithKey && (
+          <div className="answer-key-disagreement alert alert-warning">
+            <strong>La clave oficial no coincide con Claude.</strong>{' '}
+            Se corrige con la clave oficial (opcion {result.officialAnswer.toUpperCase()}), pero Claude
+            respondio la opcion {result.aiAnswer.toUpperCase()} y la explicacion corresponde a su respuesta.
+          </div>
+        )}
+
+        {result.lowConfidence && (
+          <div className="answer-confidence-warning alert alert-warning">
+            <strong>Confianza baja ({Math.round(result.confidence * 100)}%).</strong>{' '}
+            Solo {Math.round(result.confidence * result.sampleCount)} de {result.sampleCount} resoluciones
+            independientes coinciden en esta respuesta. Revisala con el temario.
+            {result.dissent?.length > 0 && (
+              <ul className="answer-dissent">
+                {result.dissent.map((d, index) => (
+                  <li key={index}>
+                    <strong>Opcion {d.answer.toUpperCase()}:</strong> {d.explanation}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        )}
+
         <div className="answer-section">
           <h4 className="section-title">Explicacion</h4>
           <div className="section-content markdown-content">
@@ -54,7 +134,7 @@ function AnswerPanel({ result, userAnswer, question }) {
             <h4 className="section-title">Por que las otras opciones son incorrectas</h4>
             <div className="wrong-options">
               {Object.entries(result.wrongOptions).map(([key, explanation]) => {
-                if (key === result.correctAnswer) return null;
+                if (correctKeys.includes(key)) return null;
                 return (
                   <div key={key} className="wrong-option">
                     <div className="wrong-option-header">
@@ -0,0 +1,53 @@
+import ReactMarkdown from 'react-markdown';
+import './HintLadder.css';
+
+const HINT_LABELS = {
+  concept: 'Concepto',
+  formula: 'Formula o definicion',
+  elimination: 'Descarte'
+};
+
+/**
+ * Pistas progresivas antes de comprobar la respuesta
+ * Cada nivel revela algo mas: concepto, formula/definicion y una opcion descartada
+ * @param {Object} props
+ * @param {Array} props.hints - Pistas ya mostradas ({ level, kind, content })
+ * @param {number} props.maxLevel - Numero de niveles disponibles
+ * @param {Function} props.onRequestHint - Pide el siguiente nivel
+ * @param {boolean} props.loading - Generando una pista
+ * @param {boolean} props.disabled - Deshabilitar (p.ej. mientras se resuelve)
+ */
+function HintLadder({ hints, maxLevel, onRequestHint, loading = false, disabled = false }) {
+  const exhausted = hints.length >= maxLevel;
+
+  return (
+    <div className="hint-ladder">
+      {hints.length > 0 && (
+        <ol className="hint-list">
+          {hints.map(hint => (
+            <li key={hint.level} className="hint-item">
+              <span className="hint-label">
+                Pista {hint.level}{HINT_LABELS[hint.kind] ? ` · ${HINT_LABELS[hint.kind]}` : ''}
+              </span>
+              <div className="hint-content markdown-content">
+                <ReactMarkdown>{hint.content}</ReactMarkdown>
+              </div>
+            </li>
+          ))}
+        </ol>
+      )}
+
+      {!exhausted && (
+        <button
+          className="btn btn-ghost btn-sm"
+          onClick={onRequestHint}
+          disabled={disabled || loading}
+        >
+          {loading ? 'Pensando pista...' : `Pedir pista (${hints.length + 1}/${maxLevel})`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default HintLadder;
@@ -0,0 +1,80 @@
+import { useState } from 'react';
+import './OfficialAnswerEditor.css';
+
+const DEFAULT_OPTIONS = ['a', 'b', 'c', 'd'];
+
+/**
+ * Editor de la clave oficial de una pregunta
+ * Se guarda aparte de la solucion de Claude y tiene prioridad al corregir
+ * @param {Object} props
+ * @param {string|null} props.officialAnswer - Respuesta oficial actual
+ * @param {string} props.aiAnswer - Respuesta de Claude (referencia)
+ * @param {Function} props.onSave - Recibe la letra elegida (o el texto escrito)
+ * @param {Array<string>} props.options - Letras de las opciones de la pregunta (por defecto a-d)
+ * @param {string} props.type - Tipo de pregunta; 'multiple' y 'numeric' se escriben ("a,c", "12,5")
+ */
+function OfficialAnswerEditor({ officialAnswer, aiAnswer, onSave, options = DEFAULT_OPTIONS, type = 'single' }) {
+  const [saving, setSaving] = useState(false);
+  const [draft, setDraft] = useState('');
+
+  const handleSave = async (answer) => {
+    if (answer === officialAnswer) return;
+    setSaving(true);
+    try {
+      await onSave(answer);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="official-answer-editor card">
+      <div className="card-body">
+        <div className="official-answer-info">
+          <span className="official-answer-label">Clave oficial:</span>
+          <span className="official-answer-value">
+            {officialAnswer
+              ? (type === 'numeric' ? officialAnswer : `Opcion ${officialAnswer.toUpperCase()}`)
+              : 'Sin clave oficial'}
+          </span>
+        </div>
+        {type !== 'single' ? (
+          <div className="official-answer-options">
+            <input
+              type="text"
+              className="form-input official-answer-input"
+              placeholder={type === 'numeric' ? '12,5' : 'a,c'}
+              aria-label="Clave oficial"
+              value={draft}
+              onChange={(e) => setDraft(e.target.value)}
+              disabled={saving}
+            />
+            <button
+              className="btn btn-sm btn-primary"
+              onClick={() => handleSave(draft.trim())}
+              disabled={saving || !draft.trim()}
+            >
+              Guardar
+            </button>
+          </div>
+        ) : (
+          <div className="official-answer-options">
+            {options.map(option => (
+              <button
+                key={option}
+                className={`btn btn-sm ${option === officialAnswer ? 'btn-primary' : 'btn-secondary'}`}
+                onClick={() => handleSave(option)}
+                disabled={saving}
+                title={option === aiAnswer ? 'Respuesta de Claude' : undefined}
+              >
+                {option.toUpperCase()}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default OfficialAnswerEditor;
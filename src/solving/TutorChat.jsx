@@ -0,0 +1,123 @@
+import { useState, useEffect } from 'react';
+import ReactMarkdown from 'react-markdown';
+import { tutorApi } from '../shared/api';
+import './TutorChat.css';
+
+/**
+ * Chat de dudas sobre una pregunta ya resuelta
+ * La conversacion se guarda por pregunta y se recupera en visitas posteriores
+ * @param {Object} props
+ * @param {string} props.questionId - ID de la pregunta
+ */
+function TutorChat({ questionId }) {
+  const [messages, setMessages] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setMessages([]);
+    setError(null);
+
+    tutorApi.getMessages(questionId)
+      .then(res => {
+        if (!cancelled) setMessages(res.data.data || []);
+      })
+      .catch(err => {
+        console.error('Error loading tutor conversation:', err);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [questionId]);
+
+  const handleSend = async () => {
+    const message = draft.trim();
+    if (!message || sending) return;
+
+    setSending(true);
+    setError(null);
+    try {
+      const res = await tutorApi.ask(questionId, message);
+      const { question, reply } = res.data.data;
+      setMessages(prev => [...prev, question, reply]);
+      setDraft('');
+    } catch (err) {
+      console.error('Error asking tutor:', err);
+      setError('No se pudo obtener respuesta del tutor.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleKeyDown = (e) => {
+    // Enter envia, Shift+Enter salto de linea
+    if (e.key === 'Enter' && !e.shiftKey) {
+      e.preventDefault();
+      handleSend();
+    }
+  };
+
+  const handleClear = async () => {
+    try {
+      await tutorApi.clear(questionId);
+      setMessages([]);
+    } catch (err) {
+      console.error('Error clearing tutor conversation:', err);
+      setError('No se pudo borrar la conversacion.');
+    }
+  };
+
+  return (
+    <div className="tutor-chat card">
+      <div className="tutor-chat-header">
+        <h4 className="section-title">Dudas sobre esta pregunta</h4>
+        {messages.length > 0 && (
+          <button className="btn btn-ghost btn-sm" onClick={handleClear} disabled={sending}>
+            Borrar conversacion
+          </button>
+        )}
+      </div>
+
+      {messages.length > 0 && (
+        <div className="tutor-chat-messages">
+          {messages.map(message => (
+            <div key={message.id} className={`tutor-message ${message.role}`}>
+              <div className="tutor-message-role">
+                {message.role === 'user' ? 'Tu' : 'Tutor'}
+              </div>
+              <div className="tutor-message-content markdown-content">
+                <ReactMarkdown>{message.content}</ReactMarkdown>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {error && <div className="alert alert-error">{error}</div>}
+
+      <div className="tutor-chat-input">
+        <textarea
+          className="form-input"
+          rows={2}
+          placeholder="Pregunta lo que no te haya quedado claro..."
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={handleKeyDown}
+          disabled={sending}
+        />
+        <button
+          className="btn btn-primary"
+          onClick={handleSend}
+          disabled={sending || !draft.trim()}
+        >
+          {sending ? 'Pensando...' : 'Enviar'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default TutorChat;
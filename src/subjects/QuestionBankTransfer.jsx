@@ -0,0 +1,91 @@
+import { useState, useRef } from 'react';
+import { moodleApi, ankiApi } from '../shared/api';
+import './QuestionBankTransfer.css';
+
+/**
+ * Exportar / importar el banco de preguntas de una asignatura en formato Moodle,
+ * y exportarlo como mazo de Anki (todas las preguntas o solo las falladas)
+ * Las exportaciones son descargas directas; la importacion sube un fichero GIFT o XML
+ * @param {Object} props
+ * @param {string} props.subjectId - Asignatura
+ * @param {Function} props.onImported - Recibe el resumen de la importacion (opcional)
+ */
+function QuestionBankTransfer({ subjectId, onImported }) {
+  const [importing, setImporting] = useState(false);
+  const [summary, setSummary] = useState(null);
+  const [error, setError] = useState(null);
+  const inputRef = useRef(null);
+
+  const handleFile = async (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+
+    setImporting(true);
+    setError(null);
+    setSummary(null);
+
+    try {
+      const res = await moodleApi.importBank(subjectId, file);
+      setSummary(res.data.data);
+      onImported?.(res.data.data);
+    } catch (err) {
+      console.error('Moodle import error:', err);
+      setError(err.response?.data?.error || 'Error al importar el banco');
+    } finally {
+      setImporting(false);
+      if (inputRef.current) inputRef.current.value = '';
+    }
+  };
+
+  return (
+    <div className="question-bank-transfer">
+      <span className="question-bank-label">Banco de preguntas:</span>
+      <a href={moodleApi.exportUrl(subjectId, 'gift')} className="btn btn-ghost btn-sm" download>
+        Moodle GIFT
+      </a>
+      <a href={moodleApi.exportUrl(subjectId, 'xml')} className="btn btn-ghost btn-sm" download>
+        Moodle XML
+      </a>
+      <button
+        className="btn btn-ghost btn-sm"
+        onClick={() => inputRef.current?.click()}
+        disabled={importing}
+      >
+        {importing ? 'Importando...' : 'Importar GIFT / XML'}
+      </button>
+      <a href={ankiApi.exportUrl(subjectId)} className="btn btn-ghost btn-sm" download>
+        Mazo Anki
+      </a>
+      <a href={ankiApi.exportUrl(subjectId, { failed: true })} className="btn btn-ghost btn-sm" download>
+        Anki (falladas)
+      </a>
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".gift,.txt,.xml"
+        aria-label="Fichero Moodle"
+        onChange={handleFile}
+        hidden
+      />
+
+      {summary && (
+        <div className="question-bank-summary">
+          {summary.imported} preguntas importadas
+          {summary.skipped.length > 0 && (
+            <>
+              , {summary.skipped.length} omitidas:
+              <ul>
+                {summary.skipped.map((entry, index) => (
+                  <li key={index}>{entry.name}: {entry.reason}</li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      )}
+      {error && <div className="question-bank-error">{error}</div>}
+    </div>
+  );
+}
+
+export default QuestionBankTransfer;
@@ -2,6 +2,8 @@ import { useState, useEffect } from 'react';
 import { useParams, Link } from 'react-router-dom';
 import { subjectsApi } from '../shared/api';
 import TopicSelector from '../questions/TopicSelector';
+import QuestionBankTransfer from './QuestionBankTransfer';
+import TagStats from './TagStats';
 import './SubjectDashboard.css';
 
 /**
@@ -71,6 +73,8 @@ function SubjectDashboard() {
               </Link>
             )}
           </div>
+          <QuestionBankTransfer subjectId={subjectId} />
+          <TagStats subjectId={subjectId} />
         </div>
         <TopicSelector />
       </div>
@@ -103,6 +107,8 @@ function SubjectDashboard() {
             </Link>
           )}
         </div>
+        <QuestionBankTransfer subjectId={subjectId} />
+        <TagStats subjectId={subjectId} />
       </div>
       <div className="coming-soon">
         <h2>Selecciona un modo</h2>
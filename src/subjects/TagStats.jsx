@@ -0,0 +1,65 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { tagsApi } from '../shared/api';
+import './TagStats.css';
+
+/**
+ * Acierto por etiqueta de concepto de una asignatura (mas fino que por tema)
+ * Cada etiqueta enlaza al modo adaptativo filtrado por ella.
+ * @param {Object} props
+ * @param {string} props.subjectId - Asignatura
+ */
+function TagStats({ subjectId }) {
+  const [tags, setTags] = useState([]);
+
+  useEffect(() => {
+    tagsApi.getTagStats(subjectId)
+      .then(res => setTags(res.data || []))
+      .catch(err => console.error('Error loading tag stats:', err));
+  }, [subjectId]);
+
+  if (tags.length === 0) return null;
+
+  return (
+    <div className="tag-stats card">
+      <div className="card-body">
+        <h2 className="tag-stats-title">Acierto por concepto</h2>
+        <table className="tag-stats-table">
+          <thead>
+            <tr>
+              <th>Etiqueta</th>
+              <th>Preguntas</th>
+              <th>Intentos</th>
+              <th>Acierto</th>
+            </tr>
+          </thead>
+          <tbody>
+            {tags.map(tag => (
+              <tr key={tag.id}>
+                <td>
+                  <Link to={`/subjects/${subjectId}/adaptive?tags=${tag.id}`}>{tag.name}</Link>
+                </td>
+                <td>{tag.answered}/{tag.total}</td>
+                <td>{tag.attempts}</td>
+                <td>
+                  {tag.attempts > 0 ? (
+                    <span className={`tag-stats-accuracy ${tag.accuracy < 50 ? 'low' : ''}`}>
+                      {tag.accuracy.toFixed(0)}%
+                      {tag.hintedAttempts > 0 && (
+                        <span className="tag-stats-hinted"> ({tag.unaidedAccuracy.toFixed(0)}% sin pistas)</span>
+                      )}
+                    </span>
+                  ) : (
+                    <span className="tag-stats-empty">Sin intentos</span>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default TagStats;
@@ -0,0 +1,201 @@
+/**
+ * Tests for validated completions with repair retry (services/aiRepair.js)
+ * and GET /api/validation-failures
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { db, initializeDatabase, getValidationFailures } from '../../server/database.js';
+import { setProvider, LlmCancelledError } from '../../server/services/llmProvider.js';
+import { completeWithRepair } from '../../server/services/aiRepair.js';
+import { SolutionSchema, validateJsonObject } from '../../server/services/aiSchemas.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test-only task name so cleanup does not touch real failures
+const TEST_TASK = 'test_repair';
+
+const VALID = JSON.stringify({ answer: 'b', explanation: 'Correcta', wrongOptions: {} });
+const INVALID = JSON.stringify({ answer: 'x', explanation: 'Mal' });
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+/**
+ * Provider that answers with the given texts in order and keeps the prompts
+ */
+function createScriptedProvider(texts) {
+  const prompts = [];
+  return {
+    prompts,
+    name: 'scripted',
+    async complete({ prompt, onText }) {
+      prompts.push(prompt);
+      const next = texts.shift();
+      if (next instanceof Error) {
+        throw next;
+      }
+      onText?.(next);
+      return { text: next, usage: { input: 10, output: 5 }, model: 'scripted' };
+    }
+  };
+}
+
+const validate = (text) => validateJsonObject(SolutionSchema, text);
+
+describe('completeWithRepair', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+  });
+
+  beforeEach(() => {
+    cleanupTestFailures();
+  });
+
+  afterAll(() => {
+    setProvider(null);
+    cleanupTestFailures();
+  });
+
+  function cleanupTestFailures() {
+    db.prepare('DELETE FROM ai_validation_failures WHERE task = ?').run(TEST_TASK);
+  }
+
+  it('should return a valid first response without retrying', async () => {
+    const provider = createScriptedProvider([VALID]);
+    setProvider(provider);
+
+    const result = await completeWithRepair('Resuelve', { validate, task: TEST_TASK });
+
+    expect(result.value.answer).toBe('b');
+    expect(result.repaired).toBe(false);
+    expect(provider.prompts).toHaveLength(1);
+    expect(getValidationFailures({ task: TEST_TASK })).toHaveLength(0);
+  });
+
+  it('should feed the errors back and use the repaired response', async () => {
+    const provider = createScriptedProvider([INVALID, VALID]);
+    setProvider(provider);
+
+    const result = await completeWithRepair('Resuelve', { validate, task: TEST_TASK });
+
+    expect(result.value.answer).toBe('b');
+    expect(result.issues).toEqual([]);
+    expect(result.repaired).toBe(true);
+    expect(result.usage).toEqual({ input: 20, output: 10 });
+
+    const repairPrompt = provider.prompts[1];
+    expect(repairPrompt).toContain('Resuelve');
+    expect(repairPrompt).toContain(INVALID);
+    expect(repairPrompt).toContain('- answer: Invalid answer "x", must be a, b, c, or d');
+
+    const [failure] = getValidationFailures({ task: TEST_TASK });
+    expect(failure.repaired).toBe(true);
+    expect(failure.issues).toEqual(['answer: Invalid answer "x", must be a, b, c, or d']);
+    expect(failure.response).toBe(INVALID);
+    expect(failure.repair_issues).toEqual([]);
+  });
+
+  it('should keep the first response when the repair is not better', async () => {
+    setProvider(createScriptedProvider([INVALID, 'sin json']));
+
+    const result = await completeWithRepair('Resuelve', { validate, task: TEST_TASK });
+
+    expect(result.value).toBeNull();
+    expect(result.text).toBe(INVALID);
+    expect(result.issues).toEqual(['answer: Invalid answer "x", must be a, b, c, or d']);
+
+    const [failure] = getValidationFailures({ task: TEST_TASK });
+    expect(failure.repaired).toBe(false);
+    expect(failure.repair_issues).toEqual(['No JSON object found in response']);
+    expect(failure.repair_response).toBe('sin json');
+  });
+
+  it('should record a failed repair call and fall back to the first response', async () => {
+    setProvider(createScriptedProvider([INVALID, new Error('Network error')]));
+
+    const result = await completeWithRepair('Resuelve', { validate, task: TEST_TASK });
+
+    expect(result.text).toBe(INVALID);
+    const [failure] = getValidationFailures({ task: TEST_TASK });
+    expect(failure.repair_issues).toEqual(['Repair call failed: Network error']);
+  });
+
+  it('should stream the repair retry after calling onRepair', async () => {
+    setProvider(createScriptedProvider([INVALID, VALID]));
+    const events = [];
+
+    await completeWithRepair('Resuelve', {
+      validate,
+      task: TEST_TASK,
+      onText: (text) => events.push(text),
+      onRepair: () => events.push('repair')
+    });
+
+    expect(events).toEqual([INVALID, 'repair', VALID]);
+  });
+
+  it('should rethrow cancellation during the repair call', async () => {
+    const controller = new AbortController();
+    const provider = createScriptedProvider([INVALID]);
+    provider.complete = async ({ prompt }) => {
+      provider.prompts.push(prompt);
+      if (provider.prompts.length === 2) {
+        controller.abort();
+        throw new Error('aborted');
+      }
+      return { text: INVALID, usage: { input: 0, output: 0 }, model: 'scripted' };
+    };
+    setProvider(provider);
+
+    await expect(completeWithRepair('Resuelve', { validate, task: TEST_TASK, signal: controller.signal }))
+      .rejects.toThrow(LlmCancelledError);
+  });
+
+  // ========================================
+  // /api/validation-failures
+  // ========================================
+
+  describe('GET /api/validation-failures', () => {
+    it('should list failures filtered by task and outcome', async () => {
+      setProvider(createScriptedProvider([INVALID, VALID, INVALID, 'sin json']));
+      await completeWithRepair('Uno', { validate, task: TEST_TASK });
+      await completeWithRepair('Dos', { validate, task: TEST_TASK });
+
+      const all = await request(app).get(`/api/validation-failures?task=${TEST_TASK}`);
+      const unrepaired = await request(app).get(`/api/validation-failures?task=${TEST_TASK}&repaired=false`);
+
+      expect(all.status).toBe(200);
+      expect(all.body.count).toBe(2);
+      expect(unrepaired.body.count).toBe(1);
+      expect(unrepaired.body.data[0]).toMatchObject({
+        task: TEST_TASK,
+        repaired: false,
+        repairIssues: ['No JSON object found in response']
+      });
+    });
+
+    it('should return one failure by id and 404 for unknown ids', async () => {
+      setProvider(createScriptedProvider([INVALID, VALID]));
+      await completeWithRepair('Uno', { validate, task: TEST_TASK });
+      const [failure] = getValidationFailures({ task: TEST_TASK });
+
+      const found = await request(app).get(`/api/validation-failures/${failure.id}`);
+      const missing = await request(app).get('/api/validation-failures/999999999');
+
+      expect(found.status).toBe(200);
+      expect(found.body.data.response).toBe(INVALID);
+      expect(missing.status).toBe(404);
+    });
+  });
+});
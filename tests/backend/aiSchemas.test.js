@@ -0,0 +1,167 @@
+/**
+ * Tests for the shared AI output schemas (services/aiSchemas.js)
+ */
+
+import {
+  AiValidationError,
+  SolutionSchema,
+  GeneratedQuestionSchema,
+  VerificationQuestionSchema,
+  ExtractedQuestionSchema,
+  extractJson,
+  validateWith,
+  validateEach,
+  validateJsonObject,
+  validateJsonArray
+} from '../../server/services/aiSchemas.js';
+
+const OPTIONS = { a: 'A', b: 'B', c: 'C', d: 'D' };
+
+describe('aiSchemas', () => {
+  describe('extractJson', () => {
+    it('should read JSON inside code fences and surrounding text', () => {
+      expect(extractJson('Aqui va:\n```json\n{"a": 1}\n```\nFin')).toEqual({ a: 1 });
+      expect(extractJson('Lista: [1, 2] fin', 'array')).toEqual([1, 2]);
+    });
+
+    it('should throw AiValidationError when no JSON is found', () => {
+      expect(() => extractJson('nada', 'array')).toThrow(AiValidationError);
+      expect(() => extractJson('nada', 'array')).toThrow('No JSON array found in response');
+    });
+
+    it('should report malformed JSON', () => {
+      expect(() => extractJson('{"a": }')).toThrow('Invalid JSON');
+    });
+  });
+
+  describe('SolutionSchema', () => {
+    it('should normalize the answer and default wrongOptions', () => {
+      const { value, issues } = validateWith(SolutionSchema, { answer: ' B ', explanation: 'Porque si' });
+
+      expect(issues).toEqual([]);
+      expect(value).toEqual({ answer: 'b', explanation: 'Porque si', wrongOptions: {} });
+    });
+
+    it('should report every invalid field with its path', () => {
+      const { value, issues } = validateWith(SolutionSchema, { answer: 'e', explanation: '' });
+
+      expect(value).toBeNull();
+      expect(issues).toEqual([
+        'answer: Invalid answer "e", must be a, b, c, or d',
+        'explanation: Missing or invalid "explanation" field'
+      ]);
+    });
+  });
+
+  describe('GeneratedQuestionSchema', () => {
+    it('should keep extra fields and default the difficulty', () => {
+      const { value } = validateWith(GeneratedQuestionSchema, {
+        content: 'Q', options: OPTIONS, correctAnswer: 'C', explanation: 'E', basedOn: 'Ejemplo 1', difficulty: 'extreme'
+      });
+
+      expect(value.correctAnswer).toBe('c');
+      expect(value.basedOn).toBe('Ejemplo 1');
+      expect(value.difficulty).toBe('medium');
+    });
+
+    it('should accept two to six options', () => {
+      const threeOptions = validateWith(GeneratedQuestionSchema, {
+        content: 'Q', options: { a: 'A', b: 'B', c: 'C' }, correctAnswer: 'c', explanation: 'E'
+      });
+      const sixOptions = validateWith(GeneratedQuestionSchema, {
+        content: 'Q', options: { ...OPTIONS, e: 'E', f: 'F' }, correctAnswer: 'F', explanation: 'E'
+      });
+
+      expect(threeOptions.issues).toEqual([]);
+      expect(sixOptions.value.correctAnswer).toBe('f');
+    });
+
+    it('should report gaps in the option letters', () => {
+      const { issues } = validateWith(GeneratedQuestionSchema, {
+        content: 'Q', options: { a: 'A', b: 'B', d: 'D' }, correctAnswer: 'a', explanation: 'E'
+      });
+
+      expect(issues).toEqual(['options: Missing options c)']);
+    });
+
+    it('should require the correct answer to be one of the options', () => {
+      const { issues } = validateWith(GeneratedQuestionSchema, {
+        content: 'Q', options: { a: 'Verdadero', b: 'Falso' }, correctAnswer: 'c', explanation: 'E'
+      });
+
+      expect(issues).toEqual(['correctAnswer: Invalid correctAnswer "c", must be a or b']);
+    });
+  });
+
+  describe('VerificationQuestionSchema', () => {
+    it('should fill defaults for optional fields', () => {
+      const { value } = validateWith(VerificationQuestionSchema, { content: 'Explica', criteria: 'no', extra: 1 });
+
+      expect(value).toEqual({
+        content: 'Explica',
+        expectedAnswer: '',
+        criteria: [],
+        section: 'general',
+        difficulty: 'medium'
+      });
+    });
+  });
+
+  describe('ExtractedQuestionSchema', () => {
+    const question = { questionNumber: 1, normalizedContent: 'Texto', options: OPTIONS, isIncomplete: false };
+
+    it('should accept a complete question', () => {
+      expect(validateWith(ExtractedQuestionSchema, question).issues).toEqual([]);
+    });
+
+    it('should report missing options', () => {
+      const { issues } = validateWith(ExtractedQuestionSchema, { ...question, options: { a: 'A', b: 'B', d: 'D' } });
+
+      expect(issues).toEqual(['options: Missing options c) (mark cut-off questions with [INCOMPLETO])']);
+    });
+
+    it('should require at least two options', () => {
+      const { issues } = validateWith(ExtractedQuestionSchema, { ...question, options: { a: 'A' } });
+
+      expect(issues).toEqual(['options: Missing options b) (mark cut-off questions with [INCOMPLETO])']);
+    });
+
+    it('should accept true/false questions', () => {
+      const { issues } = validateWith(ExtractedQuestionSchema, { ...question, options: { a: 'Verdadero', b: 'Falso' } });
+
+      expect(issues).toEqual([]);
+    });
+
+    it('should allow missing options on incomplete questions', () => {
+      const { issues } = validateWith(ExtractedQuestionSchema, { ...question, options: null, isIncomplete: true });
+
+      expect(issues).toEqual([]);
+    });
+  });
+
+  describe('validateEach', () => {
+    it('should keep valid items and label the errors of the rest', () => {
+      const { value, issues } = validateEach(VerificationQuestionSchema, [{ content: 'Ok' }, { content: 5 }]);
+
+      expect(value).toHaveLength(1);
+      expect(issues).toEqual(['Item 2 content: Invalid input: expected string, received number']);
+    });
+
+    it('should reject non-arrays', () => {
+      expect(validateEach(VerificationQuestionSchema, { content: 'x' }).issues).toEqual(['Expected a JSON array']);
+    });
+  });
+
+  describe('validateJsonObject / validateJsonArray', () => {
+    it('should turn extraction errors into issues', () => {
+      expect(validateJsonObject(SolutionSchema, 'sin json')).toEqual({
+        value: null,
+        issues: ['No JSON object found in response']
+      });
+      expect(validateJsonArray(VerificationQuestionSchema, 'sin json')).toEqual({
+        value: [],
+        issues: ['No JSON array found in response']
+      });
+    });
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * Integration Tests for Anki Routes (routes/anki.js)
+ * Deck export of a subject, topic, failed questions or generated session
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  upsertQuestion,
+  cacheSolution,
+  recordAttempt,
+  createGenerationSession,
+  addGeneratedQuestion
+} from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'ANKI_ROUTE_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Anki Routes Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+  });
+
+  beforeEach(() => {
+    createSubject({ id: SUBJECT, name: 'Anki Test', methodology: ['test'], modes: ['test'] });
+    upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'Tema1', question_number: 1, content: 'Q1', options: { a: 'A', b: 'B' } });
+    upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: 'Tema2', question_number: 1, content: 'Q2', options: { a: 'A', b: 'B' } });
+    cacheSolution({ question_id: testId('q1'), correct_answer: 'b', explanation: 'Explicacion de Q1', wrong_options: { a: 'A no' } });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM generated_test_questions WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM generation_sessions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  function exportCsv(query = '') {
+    return request(app)
+      .get(`/api/anki/${SUBJECT}/export?format=csv${query}`)
+      .buffer(true)
+      .parse(binaryParser)
+      .then(res => ({ ...res, text: res.body.toString('utf-8') }));
+  }
+
+  describe('GET /api/anki/:subjectId/export', () => {
+    it('should download an apkg package of the subject', async () => {
+      const res = await request(app)
+        .get(`/api/anki/${SUBJECT}/export`)
+        .buffer(true)
+        .parse(binaryParser);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('Anki_Test.apkg');
+      expect(res.body.readUInt32LE(0)).toBe(0x04034b50);
+    });
+
+    it('should export every question with its cached explanation', async () => {
+      const { status, text } = await exportCsv();
+
+      expect(status).toBe(200);
+      expect(text).toContain('#deck:Anki Test');
+      expect(text).toContain('Explicacion de Q1');
+      expect(text).toContain('Sin solucion todavia');
+      expect(text).toContain(`${SUBJECT}::Tema2`);
+    });
+
+    it('should export one topic as a subdeck', async () => {
+      const { text } = await exportCsv('&topic=Tema1');
+
+      expect(text).toContain('#deck:Anki Test::Tema1');
+      expect(text).not.toContain('Q2');
+    });
+
+    it('should export only the failed questions', async () => {
+      recordAttempt({ question_id: testId('q2'), user_answer: 'a', correct_answer: 'b', is_correct: false });
+
+      const { text } = await exportCsv('&failed=true');
+
+      expect(text).toContain('#deck:Anki Test::Falladas');
+      expect(text).toContain('Q2');
+      expect(text).not.toContain('Q1');
+    });
+
+    it('should export the questions of a generated session', async () => {
+      createGenerationSession({ id: testId('session'), subjectId: SUBJECT });
+      addGeneratedQuestion({
+        sessionId: testId('session'),
+        questionNumber: 1,
+        content: 'Pregunta generada',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' },
+        correctAnswer: 'c',
+        explanation: 'Explicacion generada'
+      });
+
+      const { text } = await exportCsv(`&sessionId=${testId('session')}`);
+
+      expect(text).toContain('Pregunta generada');
+      expect(text).toContain('Explicacion generada');
+      expect(text).toContain(`${SUBJECT}::Generadas`);
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = await request(app).get(`/api/anki/${SUBJECT}/export?format=xlsx`);
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown subjects, sessions or empty selections', async () => {
+      expect((await request(app).get(`/api/anki/${testId('none')}/export`)).status).toBe(404);
+      expect((await request(app).get(`/api/anki/${SUBJECT}/export?sessionId=${testId('none')}`)).status).toBe(404);
+      expect((await request(app).get(`/api/anki/${SUBJECT}/export?topic=Nada`)).status).toBe(404);
+    });
+  });
+});
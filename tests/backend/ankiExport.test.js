@@ -0,0 +1,165 @@
+/**
+ * Tests for Anki deck export
+ */
+
+import { inflateRawSync } from 'zlib';
+import Database from 'better-sqlite3';
+import {
+  buildNotes,
+  buildFront,
+  buildBack,
+  toAnkiCsv,
+  toApkg
+} from '../../server/services/ankiExport.js';
+
+const ITEMS = [
+  {
+    name: 'bda_tema1_q1',
+    topic: 'Tema 1',
+    content: 'Que es una **clave** <primaria>?',
+    options: { a: 'Un indice', b: 'Un identificador' },
+    questionType: 'single',
+    tolerance: null,
+    answer: 'b',
+    explanation: 'Identifica cada fila',
+    wrongOptions: { a: 'Un indice es una estructura de acceso' }
+  },
+  {
+    name: 'bda_tema2_q1',
+    topic: 'Tema2',
+    content: 'Coste en bloques',
+    options: {},
+    questionType: 'numeric',
+    tolerance: 0.5,
+    answer: '12.5',
+    explanation: null,
+    wrongOptions: {}
+  },
+  {
+    name: 'bda_tema2_q2',
+    topic: 'Tema2',
+    content: 'Sin resolver',
+    options: { a: 'A', b: 'B', c: 'C' },
+    questionType: 'multiple',
+    tolerance: null,
+    answer: null,
+    explanation: null,
+    wrongOptions: {}
+  }
+];
+
+/**
+ * Files of a zip archive written by createZip (deflate entries, no data descriptors)
+ */
+function readZip(buffer) {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const extraLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf-8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength + extraLength;
+    files[name] = inflateRawSync(buffer.subarray(start, start + compressedSize));
+    offset = start + compressedSize;
+  }
+  return files;
+}
+
+describe('ankiExport', () => {
+  describe('card contents', () => {
+    it('should put the statement and options on the front', () => {
+      const front = buildFront(ITEMS[0]);
+
+      expect(front).toContain('Que es una <b>clave</b> &lt;primaria&gt;?');
+      expect(front).toContain('<b>a)</b> Un indice');
+      expect(front).toContain('<b>b)</b> Un identificador');
+    });
+
+    it('should put the answer, explanation and wrong options on the back', () => {
+      const back = buildBack(ITEMS[0]);
+
+      expect(back).toContain('b) Un identificador');
+      expect(back).toContain('Identifica cada fila');
+      expect(back).toContain('<b>a)</b> Un indice es una estructura de acceso');
+    });
+
+    it('should show numeric answers with their tolerance', () => {
+      expect(buildFront(ITEMS[1])).toContain('(Respuesta numerica)');
+      expect(buildBack(ITEMS[1])).toContain('12.5 (&plusmn; 0.5)');
+    });
+
+    it('should say when a question has no solution yet', () => {
+      expect(buildBack(ITEMS[2])).toContain('Sin solucion todavia');
+    });
+  });
+
+  describe('buildNotes', () => {
+    it('should tag notes with subject and topic', () => {
+      const notes = buildNotes(ITEMS, 'bda');
+      expect(notes[0].tags).toEqual(['bda', 'bda::Tema_1']);
+    });
+
+    it('should derive the same GUID on every export', () => {
+      const first = buildNotes(ITEMS, 'bda').map(note => note.guid);
+      const again = buildNotes([ITEMS[2], ITEMS[0]], 'bda').map(note => note.guid);
+
+      expect(new Set(first).size).toBe(3);
+      expect(again).toEqual([first[2], first[0]]);
+    });
+  });
+
+  describe('toAnkiCsv', () => {
+    it('should write Anki headers and one line per note', () => {
+      const lines = toAnkiCsv(ITEMS, { subjectId: 'bda', deckName: 'BDA' }).trim().split('\n');
+
+      expect(lines).toContain('#deck:BDA');
+      expect(lines).toContain('#guid column:1');
+      expect(lines).toContain('#tags column:4');
+
+      const notes = lines.filter(line => !line.startsWith('#'));
+      expect(notes).toHaveLength(3);
+      expect(notes[0].split('\t')).toHaveLength(4);
+      expect(notes[0].endsWith('\tbda bda::Tema_1')).toBe(true);
+    });
+  });
+
+  describe('toApkg', () => {
+    it('should package a collection with the deck, notes and cards', () => {
+      const files = readZip(toApkg(ITEMS, { subjectId: 'bda', deckName: 'BDA::Tema2' }));
+      expect(Object.keys(files)).toEqual(['collection.anki2', 'media']);
+      expect(files.media.toString()).toBe('{}');
+
+      const collection = new Database(files['collection.anki2']);
+      try {
+        const decks = Object.values(JSON.parse(collection.prepare('SELECT decks FROM col').get().decks));
+        expect(decks.map(deck => deck.name)).toEqual(['Default', 'BDA::Tema2']);
+
+        const notes = collection.prepare('SELECT * FROM notes').all();
+        expect(notes).toHaveLength(3);
+        const note = notes.find(row => row.guid === buildNotes(ITEMS, 'bda')[0].guid);
+        expect(note.tags).toBe(' bda bda::Tema_1 ');
+        expect(note.flds.split('\x1f')).toEqual([buildFront(ITEMS[0]), buildBack(ITEMS[0])]);
+
+        const cards = collection.prepare('SELECT * FROM cards').all();
+        expect(cards).toHaveLength(3);
+        expect(new Set(cards.map(card => card.did)).size).toBe(1);
+      } finally {
+        collection.close();
+      }
+    });
+
+    it('should keep note and card IDs across exports', () => {
+      const ids = (buffer) => {
+        const collection = new Database(readZip(buffer)['collection.anki2']);
+        const rows = collection.prepare('SELECT n.id as nid, c.id as cid FROM notes n JOIN cards c ON c.nid = n.id ORDER BY n.guid').all();
+        collection.close();
+        return rows;
+      };
+
+      const first = ids(toApkg(ITEMS, { subjectId: 'bda', deckName: 'BDA' }));
+      const again = ids(toApkg([...ITEMS].reverse(), { subjectId: 'bda', deckName: 'BDA' }));
+      expect(again).toEqual(first);
+    });
+  });
+});
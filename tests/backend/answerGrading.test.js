@@ -0,0 +1,101 @@
+/**
+ * Tests for question types and answer grading
+ */
+
+import {
+  getQuestionType,
+  normalizeNumber,
+  normalizeAnswer,
+  describeAnswerFormat,
+  gradeAnswer
+} from '../../server/services/answerGrading.js';
+
+const OPTIONS = { a: 'A', b: 'B', c: 'C', d: 'D' };
+const MULTIPLE = { question_type: 'multiple', options: OPTIONS };
+const NUMERIC = { question_type: 'numeric', options: {}, answer_tolerance: 0.5 };
+
+describe('answerGrading', () => {
+  describe('getQuestionType', () => {
+    it('should default to single for unknown or missing types', () => {
+      expect(getQuestionType(null)).toBe('single');
+      expect(getQuestionType({ question_type: 'essay' })).toBe('single');
+      expect(getQuestionType(MULTIPLE)).toBe('multiple');
+    });
+  });
+
+  describe('normalizeNumber', () => {
+    it('should accept decimal commas and numbers', () => {
+      expect(normalizeNumber('12,5')).toBe('12.5');
+      expect(normalizeNumber(' 0.250 ')).toBe('0.25');
+      expect(normalizeNumber(3)).toBe('3');
+    });
+
+    it('should reject text that is not a number', () => {
+      expect(normalizeNumber('doce')).toBeNull();
+      expect(normalizeNumber('1.000,5')).toBeNull();
+      expect(normalizeNumber(Infinity)).toBeNull();
+    });
+  });
+
+  describe('normalizeAnswer', () => {
+    it('should keep single answers to the question letters', () => {
+      expect(normalizeAnswer('B')).toBe('b');
+      expect(normalizeAnswer('e')).toBeNull();
+      expect(normalizeAnswer('e', { options: { ...OPTIONS, e: 'E' } })).toBe('e');
+    });
+
+    it('should sort and deduplicate multiple answers', () => {
+      expect(normalizeAnswer('c, A', MULTIPLE)).toBe('a,c');
+      expect(normalizeAnswer(['d', 'b', 'b'], MULTIPLE)).toBe('b,d');
+      expect(normalizeAnswer('ac', MULTIPLE)).toBe('a,c');
+      expect(normalizeAnswer('a,x', MULTIPLE)).toBeNull();
+      expect(normalizeAnswer('', MULTIPLE)).toBeNull();
+    });
+
+    it('should read numeric answers as numbers', () => {
+      expect(normalizeAnswer('1250', NUMERIC)).toBe('1250');
+      expect(normalizeAnswer('a', NUMERIC)).toBeNull();
+    });
+  });
+
+  describe('describeAnswerFormat', () => {
+    it('should describe each type', () => {
+      expect(describeAnswerFormat()).toBe('a, b, c, or d');
+      expect(describeAnswerFormat(MULTIPLE)).toBe('one or more of a, b, c, or d (e.g. "a,c")');
+      expect(describeAnswerFormat(NUMERIC)).toBe('a number');
+    });
+  });
+
+  describe('gradeAnswer', () => {
+    it('should grade single answers all or nothing', () => {
+      expect(gradeAnswer('a', 'a')).toEqual({ score: 1, isCorrect: true });
+      expect(gradeAnswer('b', 'a')).toEqual({ score: 0, isCorrect: false });
+    });
+
+    it('should give partial credit on multiple answers', () => {
+      expect(gradeAnswer('a,c', 'a,c', MULTIPLE)).toEqual({ score: 1, isCorrect: true });
+      expect(gradeAnswer('a', 'a,c', MULTIPLE)).toEqual({ score: 0.5, isCorrect: false });
+      expect(gradeAnswer('a,b,c', 'a,c,d', MULTIPLE).score).toBeCloseTo(1 / 3);
+    });
+
+    it('should never go below zero on multiple answers', () => {
+      expect(gradeAnswer('b,d', 'a', MULTIPLE)).toEqual({ score: 0, isCorrect: false });
+    });
+
+    it('should accept numeric answers within the tolerance', () => {
+      expect(gradeAnswer('12,5', '12', NUMERIC).isCorrect).toBe(true);
+      expect(gradeAnswer('11.4', '12', NUMERIC).isCorrect).toBe(false);
+      expect(gradeAnswer('0.3', '0.1', { ...NUMERIC, answer_tolerance: 0.2 }).isCorrect).toBe(true);
+    });
+
+    it('should require the exact value without a tolerance', () => {
+      const exact = { question_type: 'numeric', options: {} };
+      expect(gradeAnswer('0.30', '0.3', exact).isCorrect).toBe(true);
+      expect(gradeAnswer('0.31', '0.3', exact).isCorrect).toBe(false);
+    });
+
+    it('should score unreadable answers as wrong', () => {
+      expect(gradeAnswer('doce', '12', NUMERIC)).toEqual({ score: 0, isCorrect: false });
+    });
+  });
+});
@@ -0,0 +1,317 @@
+/**
+ * Integration Tests for Answer Key Routes (routes/answerKeys.js)
+ * Official answers, disagreement report and grading against the key
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  getSubjectById,
+  upsertQuestion,
+  cacheSolution,
+  setOfficialAnswer,
+  getOfficialAnswer
+} from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'KEY_ROUTE_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Answer Key Routes Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+    setupTestSubject();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  });
+
+  beforeEach(() => {
+    upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 1, content: 'Q1', options: { a: 'A', b: 'B', c: 'C', d: 'D' } });
+    upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 2, content: 'Q2', options: { a: 'A', b: 'B', c: 'C', d: 'D' } });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM official_answers WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  function setupTestSubject() {
+    if (!getSubjectById(SUBJECT)) {
+      createSubject({
+        id: SUBJECT,
+        name: 'Test Subject for Answer Key Routes',
+        methodology: ['test'],
+        modes: ['test']
+      });
+    }
+  }
+
+  // ========================================
+  // PUT / DELETE /api/answer-keys/:questionId
+  // ========================================
+
+  describe('PUT /api/answer-keys/:questionId', () => {
+    it('should set the official answer', async () => {
+      const res = await request(app)
+        .put(`/api/answer-keys/${testId('q1')}`)
+        .send({ answer: 'C', notes: 'Solucionario 2023' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.answer).toBe('c');
+      expect(res.body.data.source).toBe('manual');
+      expect(getOfficialAnswer(testId('q1')).notes).toBe('Solucionario 2023');
+      expect(res.body.grade).toBeNull();
+    });
+
+    it('should regrade the given answer against the new key', async () => {
+      upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 1, content: 'Q1', options: { a: 'A', b: 'B', c: 'C', d: 'D' }, question_type: 'multiple' });
+
+      const res = await request(app)
+        .put(`/api/answer-keys/${testId('q1')}`)
+        .send({ answer: 'a,c', userAnswer: 'a' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.grade).toEqual({ isCorrect: false, score: 0.5 });
+    });
+
+    it('should reject invalid answers', async () => {
+      const res = await request(app)
+        .put(`/api/answer-keys/${testId('q1')}`)
+        .send({ answer: 'e' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('Invalid answer');
+    });
+
+    it('should accept e) and f) when the question has them', async () => {
+      upsertQuestion({ id: testId('q6'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 6, content: 'Q6', options: { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E', f: 'F' } });
+
+      const res = await request(app)
+        .put(`/api/answer-keys/${testId('q6')}`)
+        .send({ answer: 'F' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.answer).toBe('f');
+    });
+
+    it('should save multiple and numeric answers in canonical form', async () => {
+      upsertQuestion({ id: testId('multi'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 7, content: 'Q7', options: { a: 'A', b: 'B', c: 'C', d: 'D' }, question_type: 'multiple' });
+      upsertQuestion({ id: testId('num'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 8, content: 'Q8', options: {}, question_type: 'numeric' });
+
+      const multiple = await request(app)
+        .put(`/api/answer-keys/${testId('multi')}`)
+        .send({ answer: 'D, a' });
+      const numeric = await request(app)
+        .put(`/api/answer-keys/${testId('num')}`)
+        .send({ answer: '12,5' });
+      const invalid = await request(app)
+        .put(`/api/answer-keys/${testId('num')}`)
+        .send({ answer: 'b' });
+
+      expect(multiple.body.data.answer).toBe('a,d');
+      expect(numeric.body.data.answer).toBe('12.5');
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.error).toBe('Invalid answer: must be a number');
+    });
+
+    it('should return 404 for unknown questions', async () => {
+      const res = await request(app)
+        .put(`/api/answer-keys/${testId('missing')}`)
+        .send({ answer: 'a' });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('DELETE /api/answer-keys/:questionId', () => {
+    it('should delete the official answer', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'a' });
+
+      const res = await request(app).delete(`/api/answer-keys/${testId('q1')}`);
+
+      expect(res.status).toBe(200);
+      expect(getOfficialAnswer(testId('q1'))).toBeUndefined();
+    });
+
+    it('should return 404 when there is no official answer', async () => {
+      const res = await request(app).delete(`/api/answer-keys/${testId('q1')}`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  // ========================================
+  // POST /api/answer-keys/import
+  // ========================================
+
+  describe('POST /api/answer-keys/import', () => {
+    it('should import a list of answers', async () => {
+      const res = await request(app)
+        .post('/api/answer-keys/import')
+        .send({ answers: [{ questionId: testId('q1'), answer: 'b' }, { questionId: testId('q2'), answer: 'D' }] });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.imported).toBe(2);
+      expect(getOfficialAnswer(testId('q2')).answer).toBe('d');
+      expect(getOfficialAnswer(testId('q2')).source).toBe('import');
+    });
+
+    it('should parse a key file and report skipped entries', async () => {
+      const text = [
+        '# Clave oficial',
+        `${testId('q1')}, b`,
+        `${testId('q2')}\tc)`,
+        `${testId('missing')} a`,
+        'linea sin formato'
+      ].join('\n');
+
+      const res = await request(app)
+        .post('/api/answer-keys/import')
+        .send({ text });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.imported).toBe(2);
+      expect(res.body.data.skipped).toEqual([{ questionId: testId('missing'), reason: 'Question not found' }]);
+      expect(res.body.data.invalidLines).toEqual([{ line: 5, content: 'linea sin formato' }]);
+      expect(getOfficialAnswer(testId('q2')).answer).toBe('c');
+    });
+
+    it('should parse multiple and numeric answers in a key file', async () => {
+      upsertQuestion({ id: testId('multi'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 7, content: 'Q7', options: { a: 'A', b: 'B', c: 'C', d: 'D' }, question_type: 'multiple' });
+      upsertQuestion({ id: testId('num'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 8, content: 'Q8', options: {}, question_type: 'numeric' });
+      const text = [`${testId('multi')}: a, c`, `${testId('num')}; -0,25`].join('\n');
+
+      const res = await request(app)
+        .post('/api/answer-keys/import')
+        .send({ text });
+
+      expect(res.body.data.imported).toBe(2);
+      expect(getOfficialAnswer(testId('multi')).answer).toBe('a,c');
+      expect(getOfficialAnswer(testId('num')).answer).toBe('-0.25');
+    });
+
+    it('should reject a body without answers or text', async () => {
+      const res = await request(app)
+        .post('/api/answer-keys/import')
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  // ========================================
+  // GET /api/answer-keys/disagreements
+  // ========================================
+
+  describe('GET /api/answer-keys/disagreements', () => {
+    it('should list questions where Claude disagrees with the key', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'b' });
+      setOfficialAnswer({ question_id: testId('q2'), answer: 'a' });
+      cacheSolution({ question_id: testId('q1'), correct_answer: 'a', explanation: 'A', wrong_options: {} });
+      cacheSolution({ question_id: testId('q2'), correct_answer: 'a', explanation: 'A', wrong_options: {} });
+
+      const res = await request(app).get('/api/answer-keys/disagreements');
+
+      const ours = res.body.data.filter(row => row.questionId.startsWith(TEST_PREFIX));
+      expect(res.status).toBe(200);
+      expect(ours).toHaveLength(1);
+      expect(ours[0]).toMatchObject({ questionId: testId('q1'), officialAnswer: 'b', claudeAnswer: 'a' });
+    });
+
+    it('should skip solutions that did not come from Claude', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'b' });
+      cacheSolution({ question_id: testId('q1'), correct_answer: 'a', explanation: 'A', wrong_options: {}, source: 'human' });
+
+      const res = await request(app).get('/api/answer-keys/disagreements');
+
+      expect(res.body.data.filter(row => row.questionId.startsWith(TEST_PREFIX))).toEqual([]);
+    });
+
+    it('should grade numeric answers with the question tolerance', async () => {
+      upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 1, content: 'Q1', options: {}, question_type: 'numeric', answer_tolerance: 0.5 });
+      upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: 'ZZKeyTopic', question_number: 2, content: 'Q2', options: {}, question_type: 'numeric', answer_tolerance: 0.5 });
+      setOfficialAnswer({ question_id: testId('q1'), answer: '12.5' });
+      setOfficialAnswer({ question_id: testId('q2'), answer: '12.5' });
+      cacheSolution({ question_id: testId('q1'), correct_answer: '12.3', explanation: 'Redondeo', wrong_options: {} });
+      cacheSolution({ question_id: testId('q2'), correct_answer: '14', explanation: 'Otro calculo', wrong_options: {} });
+
+      const res = await request(app).get('/api/answer-keys/disagreements');
+
+      const ours = res.body.data.filter(row => row.questionId.startsWith(TEST_PREFIX));
+      expect(ours.map(row => row.questionId)).toEqual([testId('q2')]);
+    });
+  });
+
+  // ========================================
+  // Integration with solving and attempts
+  // ========================================
+
+  describe('official key in other routes', () => {
+    it('should include the official answer in cached solutions', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'b' });
+      cacheSolution({ question_id: testId('q1'), correct_answer: 'a', explanation: 'A', wrong_options: {} });
+
+      const res = await request(app).get(`/api/solve/${testId('q1')}`);
+
+      expect(res.body.data.answer).toBe('a');
+      expect(res.body.data.officialAnswer).toBe('b');
+    });
+
+    it('should grade attempts against the official key', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'b' });
+
+      const res = await request(app)
+        .post('/api/attempts')
+        .send({ questionId: testId('q1'), userAnswer: 'b', correctAnswer: 'a', isCorrect: false });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.isCorrect).toBe(true);
+      expect(res.body.data.correctAnswer).toBe('b');
+      expect(res.body.data.gradedAgainst).toBe('official');
+
+      const attempt = db.prepare('SELECT * FROM attempts WHERE id = ?').get(res.body.data.attemptId);
+      expect(attempt.correct_answer).toBe('b');
+      expect(attempt.is_correct).toBe(1);
+    });
+
+    it('should keep the client grading without an official key', async () => {
+      const res = await request(app)
+        .post('/api/attempts')
+        .send({ questionId: testId('q2'), userAnswer: 'b', correctAnswer: 'a', isCorrect: false });
+
+      expect(res.body.data.isCorrect).toBe(false);
+      expect(res.body.data.gradedAgainst).toBe('client');
+    });
+  });
+});
@@ -1,266 +1,191 @@
 /**
- * Integration Tests for Claude Service with Mocked SDK
- * Tests the solveQuestion function by mocking @anthropic-ai/claude-agent-sdk
+ * Integration Tests for Claude Service with replayed LLM fixtures
+ * solveQuestion and solveWithSelfConsistency run against the fixtures in
+ * tests/llm-fixtures (replay, no network). To refresh them against a live
+ * provider:
+ *   LLM_FIXTURES=record npm test -- tests/backend/claudeService.integration.test.js
  */
 
-import { jest } from '@jest/globals';
-
-// Mock the Claude Agent SDK before importing claudeService
-const mockQuery = jest.fn();
-
-jest.unstable_mockModule('@anthropic-ai/claude-agent-sdk', () => ({
-  query: mockQuery
-}));
-
-// Import after mocking
-const { solveQuestion, parseClaudeResponse } = await import('../../server/claudeService.js');
+import { setProvider } from '../../server/services/llmProvider.js';
+import { createReplayProvider } from '../../server/services/llmFixtures.js';
+import { solveQuestion, solveWithSelfConsistency } from '../../server/claudeService.js';
+
+const SQL_QUESTION = `Que es SQL?
+a) Un lenguaje de consulta de bases de datos
+b) Un lenguaje de programacion de proposito general
+c) Un lenguaje de marcado
+d) Un lenguaje de hojas de estilo`;
+
+const NOT_JSON_QUESTION = `Que garantiza la propiedad de aislamiento?
+a) Que las transacciones concurrentes no interfieren entre si
+b) Que los cambios confirmados sobreviven a una caida
+c) Que la base de datos pasa de un estado consistente a otro
+d) Que la transaccion se ejecuta entera o no se ejecuta`;
+
+const NO_ANSWER_QUESTION = `Que estructura usa un indice B+ para las hojas?
+a) Una lista enlazada de nodos hoja
+b) Una tabla hash
+c) Un monticulo
+d) Un fichero desordenado`;
+
+const VOTES_QUESTION = `Que nivel de aislamiento evita las lecturas no repetibles pero permite fantasmas?
+a) Read uncommitted
+b) Repeatable read
+c) Serializable
+d) Read committed`;
+
+const AGREE_QUESTION = `Que operacion del algebra relacional elimina columnas?
+a) Proyeccion
+b) Seleccion
+c) Union
+d) Producto cartesiano`;
+
+const FLAKY_QUESTION = `Que clave identifica de forma unica cada tupla de una relacion?
+a) La clave primaria
+b) Una clave ajena
+c) Un atributo multivaluado
+d) Un atributo derivado`;
+
+const BROKEN_QUESTION = `Que tipo de fallo borra el contenido de la memoria principal pero no el disco?
+a) Fallo del sistema
+b) Fallo de disco
+c) Error logico de la transaccion
+d) Catastrofe fisica`;
+
+const originalMode = process.env.LLM_FIXTURES;
+
+beforeAll(() => {
+  // Replay unless the run was explicitly started in record mode
+  if (!originalMode) {
+    process.env.LLM_FIXTURES = 'replay';
+  }
+});
 
-describe('claudeService - solveQuestion', () => {
-  beforeEach(() => {
-    jest.clearAllMocks();
-  });
+beforeEach(() => {
+  // A fresh provider per test, so multi-response fixtures start from the first answer
+  setProvider(null);
+});
 
-  // Helper to create async iterator from messages
-  async function* createMessageIterator(messages) {
-    for (const msg of messages) {
-      yield msg;
-    }
+afterAll(() => {
+  if (originalMode) {
+    process.env.LLM_FIXTURES = originalMode;
+  } else {
+    delete process.env.LLM_FIXTURES;
   }
+  setProvider(null);
+});
 
+describe('claudeService - solveQuestion', () => {
   describe('successful responses', () => {
-    it('should solve a question and return parsed response', async () => {
-      const mockResponse = {
-        answer: 'a',
-        explanation: 'Option A is correct because...',
-        wrongOptions: { b: 'B is wrong', c: 'C is wrong', d: 'D is wrong' }
-      };
-
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: JSON.stringify(mockResponse) }
-            ]
-          }
-        }
-      ]));
-
-      const result = await solveQuestion('What is SQL? a) Query language b) Programming c) Markup d) Style');
+    it('should solve a question and return the parsed response', async () => {
+      const result = await solveQuestion(SQL_QUESTION);
 
       expect(result.answer).toBe('a');
-      expect(result.explanation).toBe('Option A is correct because...');
-      expect(result.wrongOptions.b).toBe('B is wrong');
+      expect(result.explanation).toContain('lenguaje de consulta');
+      expect(Object.keys(result.wrongOptions)).toEqual(['b', 'c', 'd']);
+      expect(result.promptVersion).toBeDefined();
     });
 
-    it('should handle result message type', async () => {
-      const mockResponse = {
-        answer: 'b',
-        explanation: 'B is the correct answer',
-        wrongOptions: {}
-      };
-
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'result',
-          subtype: 'success',
-          result: JSON.stringify(mockResponse)
-        }
-      ]));
-
-      const result = await solveQuestion('Test question');
-
-      expect(result.answer).toBe('b');
-    });
-
-    it('should prefer assistant message over result message', async () => {
-      const assistantResponse = {
-        answer: 'c',
-        explanation: 'From assistant',
-        wrongOptions: {}
-      };
-
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: JSON.stringify(assistantResponse) }
-            ]
-          }
-        },
-        {
-          type: 'result',
-          result: '{"answer": "d", "explanation": "From result"}'
-        }
-      ]));
+    it('should stream the explanation as the response arrives', async () => {
+      const chunks = [];
 
-      const result = await solveQuestion('Test');
+      const result = await solveQuestion(SQL_QUESTION, { onExplanation: (chunk) => chunks.push(chunk) });
 
-      expect(result.answer).toBe('c');
+      expect(chunks.join('')).toBe(result.explanation);
     });
 
-    it('should handle multiple content blocks', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: '{"answer": "d"' },
-              { type: 'text', text: ', "explanation": "Split response", "wrongOptions": {}}' }
-            ]
-          }
+    it('should restart the streamed explanation when the repair retry answers', async () => {
+      // Streaming across a repair needs a scripted provider: one invalid answer, then a valid one
+      const responses = [
+        JSON.stringify({ answer: 'x', explanation: 'Primera version', wrongOptions: {} }),
+        JSON.stringify({ answer: 'a', explanation: 'Version reparada', wrongOptions: {} })
+      ];
+      setProvider({
+        name: 'scripted',
+        complete: async ({ onText }) => {
+          const text = responses.shift();
+          onText?.(text);
+          return { text, usage: { input: 0, output: 0 }, model: 'scripted' };
         }
-      ]));
-
-      const result = await solveQuestion('Test');
-
-      expect(result.answer).toBe('d');
-      expect(result.explanation).toBe('Split response');
-    });
-
-    it('should skip non-text content blocks', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'tool_use', id: '123' },
-              { type: 'text', text: '{"answer": "a", "explanation": "Test", "wrongOptions": {}}' }
-            ]
-          }
-        }
-      ]));
+      });
+      const chunks = [];
 
-      const result = await solveQuestion('Test');
+      const result = await solveQuestion(SQL_QUESTION, { onExplanation: (text, { reset }) => chunks.push({ text, reset }) });
 
-      expect(result.answer).toBe('a');
+      expect(result.explanation).toBe('Version reparada');
+      expect(chunks).toEqual([
+        { text: 'Primera version', reset: false },
+        { text: 'Version reparada', reset: true }
+      ]);
     });
   });
 
   describe('error handling', () => {
-    it('should throw timeout error when aborted', async () => {
-      mockQuery.mockImplementation(() => {
-        const error = new Error('Aborted');
-        error.name = 'AbortError';
-        throw error;
+    it('should throw timeout error when the provider is aborted', async () => {
+      // A timeout cannot be recorded: the provider aborts like a slow request
+      setProvider({
+        name: 'slow',
+        complete: async () => {
+          const error = new Error('Aborted');
+          error.name = 'AbortError';
+          throw error;
+        }
       });
 
-      await expect(solveQuestion('Test')).rejects.toThrow('Claude timeout');
+      await expect(solveQuestion(SQL_QUESTION)).rejects.toThrow('Claude timeout');
     });
 
-    it('should throw error for other failures', async () => {
-      mockQuery.mockImplementation(() => {
-        throw new Error('Network error');
-      });
+    it('should throw error for other provider failures', async () => {
+      // Replay even when recording, so the prompt stays unrecorded
+      setProvider(createReplayProvider());
 
-      await expect(solveQuestion('Test')).rejects.toThrow('Failed to execute Claude: Network error');
+      await expect(solveQuestion('Pregunta sin grabar\na) Si\nb) No'))
+        .rejects.toThrow('Failed to execute Claude: No LLM fixture for task "solve"');
     });
 
-    it('should throw parse error for invalid JSON', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: 'This is not JSON' }
-            ]
-          }
-        }
-      ]));
-
-      await expect(solveQuestion('Test')).rejects.toThrow('No JSON object found');
+    it('should throw parse error when the response and its repair are not JSON', async () => {
+      await expect(solveQuestion(NOT_JSON_QUESTION)).rejects.toThrow('No JSON object found');
     });
 
-    it('should throw error for missing answer field', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: '{"explanation": "No answer field"}' }
-            ]
-          }
-        }
-      ]));
-
-      await expect(solveQuestion('Test')).rejects.toThrow('Missing or invalid "answer"');
+    it('should throw error for a missing answer field', async () => {
+      await expect(solveQuestion(NO_ANSWER_QUESTION)).rejects.toThrow('Missing or invalid "answer"');
     });
   });
+});
 
-  describe('message handling edge cases', () => {
-    it('should handle empty content array', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {
-            content: []
-          }
-        },
-        {
-          type: 'result',
-          result: '{"answer": "a", "explanation": "From result", "wrongOptions": {}}'
-        }
-      ]));
-
-      const result = await solveQuestion('Test');
-
-      expect(result.answer).toBe('a');
-    });
-
-    it('should handle null message content', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: null
-        },
-        {
-          type: 'result',
-          result: '{"answer": "b", "explanation": "Fallback", "wrongOptions": {}}'
-        }
-      ]));
+describe('claudeService - solveWithSelfConsistency', () => {
+  it('should take the majority answer and report confidence and dissent', async () => {
+    const result = await solveWithSelfConsistency(VOTES_QUESTION, { samples: 3 });
 
-      const result = await solveQuestion('Test');
+    expect(result.answer).toBe('b');
+    expect(result.explanation).toContain('Repeatable read');
+    expect(result.confidence).toBeCloseTo(2 / 3);
+    expect(result.sampleCount).toBe(3);
+    expect(result.votes).toEqual({ b: 2, c: 1 });
+    expect(result.dissent).toEqual([{ answer: 'c', explanation: expect.stringContaining('Serializable') }]);
+  });
 
-      expect(result.answer).toBe('b');
-    });
+  it('should give full confidence when all samples agree', async () => {
+    const result = await solveWithSelfConsistency(AGREE_QUESTION, { samples: 2 });
 
-    it('should handle messages without content', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'assistant',
-          message: {}
-        },
-        {
-          type: 'result',
-          result: '{"answer": "c", "explanation": "No content", "wrongOptions": {}}'
-        }
-      ]));
+    expect(result.confidence).toBe(1);
+    expect(result.dissent).toEqual([]);
+  });
 
-      const result = await solveQuestion('Test');
+  it('should ignore failed samples', async () => {
+    const result = await solveWithSelfConsistency(FLAKY_QUESTION, { samples: 3 });
 
-      expect(result.answer).toBe('c');
-    });
+    expect(result.sampleCount).toBe(2);
+    expect(result.confidence).toBe(1);
+  });
 
-    it('should handle result message without result field', async () => {
-      mockQuery.mockReturnValue(createMessageIterator([
-        {
-          type: 'result',
-          subtype: 'end'
-        },
-        {
-          type: 'assistant',
-          message: {
-            content: [
-              { type: 'text', text: '{"answer": "d", "explanation": "After empty result", "wrongOptions": {}}' }
-            ]
-          }
-        }
-      ]));
+  it('should throw when every sample fails', async () => {
+    await expect(solveWithSelfConsistency(BROKEN_QUESTION, { samples: 2 })).rejects.toThrow('No JSON object found');
+  });
 
-      const result = await solveQuestion('Test');
+  it('should cap the number of samples', async () => {
+    const result = await solveWithSelfConsistency(AGREE_QUESTION, { samples: 50 });
 
-      expect(result.answer).toBe('d');
-    });
+    expect(result.sampleCount).toBe(5);
   });
 });
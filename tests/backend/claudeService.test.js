@@ -3,7 +3,15 @@
  * Tests prompt building and response parsing
  */
 
-import { parseClaudeResponse, buildPrompt, TIMEOUT_MS } from '../../server/claudeService.js';
+import {
+  parseClaudeResponse,
+  buildPrompt,
+  buildQuestionText,
+  getPromptVersion,
+  extractPartialExplanation,
+  DEFAULT_PROMPT_TEMPLATE,
+  TIMEOUT_MS
+} from '../../server/claudeService.js';
 
 describe('claudeService', () => {
   describe('TIMEOUT_MS', () => {
@@ -18,7 +26,6 @@ describe('claudeService', () => {
       const prompt = buildPrompt(questionText);
 
       expect(prompt).toContain(questionText);
-      expect(prompt).toContain('bases de datos avanzadas');
       expect(prompt).toContain('JSON');
       expect(prompt).toContain('"answer"');
       expect(prompt).toContain('"explanation"');
@@ -32,6 +39,75 @@ describe('claudeService', () => {
       expect(prompt).toContain('answer');
       expect(prompt).toContain('wrongOptions');
     });
+
+    it('should not include BDA definitions without a subject', () => {
+      const prompt = buildPrompt('Test question');
+
+      expect(prompt).not.toContain('bases de datos avanzadas');
+      expect(prompt).not.toContain('RECUPERABLE');
+    });
+
+    it('should use subject claude_context expertise, terminology and definitions', () => {
+      const subject = {
+        name: 'Bases de Datos Avanzadas',
+        claudeContext: {
+          expertise: 'bases de datos avanzadas',
+          terminology: ['tupla', 'bloque'],
+          definitions: { RECUPERABLE: 'Tj hace commit antes que Ti' }
+        }
+      };
+
+      const prompt = buildPrompt('Test question', subject);
+
+      expect(prompt).toContain('Eres un profesor de bases de datos avanzadas');
+      expect(prompt).toContain('tupla, bloque');
+      expect(prompt).toContain('- RECUPERABLE: Tj hace commit antes que Ti');
+    });
+
+    it('should fall back to subject name when expertise is missing', () => {
+      const prompt = buildPrompt('Test question', { name: 'Fundamentos Fisicos', claudeContext: null });
+
+      expect(prompt).toContain('Eres un profesor de Fundamentos Fisicos');
+    });
+
+    it('should include only the rules of the question topic', () => {
+      const subject = {
+        name: 'BDA',
+        claudeContext: {
+          topicRules: {
+            Tema3: ['Usa el grafo de precedencia'],
+            Tema5: ['Aplica ARIES']
+          }
+        }
+      };
+
+      const prompt = buildPrompt('Test question', subject, 'Tema3');
+
+      expect(prompt).toContain('REGLAS ESPECIFICAS DEL TEMA (Tema3)');
+      expect(prompt).toContain('Usa el grafo de precedencia');
+      expect(prompt).not.toContain('Aplica ARIES');
+    });
+
+    it('should render a custom subject promptTemplate and keep the JSON contract', () => {
+      const subject = {
+        name: 'DS',
+        claudeContext: { expertise: 'diseno de software' },
+        promptTemplate: 'Experto en {{expertise}} ({{subjectName}}). Resuelve: {{question}} {{unknown}}'
+      };
+
+      const prompt = buildPrompt('Q1', subject);
+
+      expect(prompt).toContain('Experto en diseno de software (DS). Resuelve: Q1 {{unknown}}');
+      expect(prompt).not.toContain(DEFAULT_PROMPT_TEMPLATE.split('\n')[0]);
+      expect(prompt).toContain('"answer"');
+      expect(prompt).toContain('"wrongOptions"');
+    });
+
+    it('should explain how to answer multiple and numeric questions only for those types', () => {
+      expect(buildPrompt('Q1', null, null, 'multiple')).toContain('separadas por comas (por ejemplo "a,c")');
+      expect(buildPrompt('Q1', null, null, 'numeric')).toContain('escribe SOLO el numero');
+      expect(buildPrompt('Q1', null, null, 'single')).toBe(buildPrompt('Q1'));
+    });
   });
 
   describe('parseClaudeResponse', () => {
@@ -126,6 +202,24 @@ describe('claudeService', () => {
       expect(() => parseClaudeResponse(response)).toThrow('Invalid answer "x"');
     });
 
+    it('should accept the letters of the question being solved', () => {
+      const response = '{"answer": "e", "explanation": "Test", "wrongOptions": {}}';
+
+      expect(parseClaudeResponse(response, ['a', 'b', 'c', 'd', 'e']).answer).toBe('e');
+      expect(() => parseClaudeResponse('{"answer": "c", "explanation": "Test"}', ['a', 'b']))
+        .toThrow('Invalid answer "c", must be a or b');
+    });
+
+    it('should read multiple and numeric answers in canonical form', () => {
+      const letters = ['a', 'b', 'c', 'd'];
+
+      expect(parseClaudeResponse('{"answer": "C, a", "explanation": "Test"}', letters, 'multiple').answer).toBe('a,c');
+      expect(parseClaudeResponse('{"answer": ["b", "d"], "explanation": "Test"}', letters, 'multiple').answer).toBe('b,d');
+      expect(parseClaudeResponse('{"answer": 12.5, "explanation": "Test"}', letters, 'numeric').answer).toBe('12.5');
+      expect(() => parseClaudeResponse('{"answer": "b", "explanation": "Test"}', letters, 'numeric'))
+        .toThrow('Invalid answer "b", must be a number');
+    });
+
     it('should provide empty wrongOptions if not present', () => {
       const response = '{"answer": "a", "explanation": "Test"}';
 
@@ -167,4 +261,73 @@ describe('claudeService', () => {
       expect(() => parseClaudeResponse(response)).toThrow();
     });
   });
+
+  describe('buildQuestionText', () => {
+    it('should include statement, content and options', () => {
+      const text = buildQuestionText({
+        shared_statement: 'Dada la tabla T',
+        content: 'Que clave es primaria?',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
+      });
+
+      expect(text).toBe('**Enunciado:** Dada la tabla T\n\nQue clave es primaria?\n\na) A\nb) B\nc) C\nd) D');
+    });
+
+    it('should list only the options the question has', () => {
+      const threeOptions = buildQuestionText({ content: 'Q', options: { a: 'A', b: 'B', c: 'C', d: null } });
+      const fiveOptions = buildQuestionText({ content: 'Q', options: { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' } });
+
+      expect(threeOptions).toBe('Q\n\na) A\nb) B\nc) C');
+      expect(fiveOptions).toBe('Q\n\na) A\nb) B\nc) C\nd) D\ne) E');
+    });
+
+    it('should prepend the parent question as context', () => {
+      const text = buildQuestionText({
+        parent_content: 'Pregunta anterior',
+        content: 'Continuando...',
+        options: null
+      });
+
+      expect(text.startsWith('**Contexto (Pregunta anterior):**\nPregunta anterior')).toBe(true);
+    });
+  });
+
+  describe('getPromptVersion', () => {
+    it('should be stable for the default template', () => {
+      expect(getPromptVersion()).toMatch(/^[0-9a-f]{12}$/);
+      expect(getPromptVersion({ promptTemplate: null })).toBe(getPromptVersion());
+    });
+
+    it('should change when the subject template changes', () => {
+      expect(getPromptVersion({ promptTemplate: 'Resuelve: {{question}}' })).not.toBe(getPromptVersion());
+    });
+
+    it('should depend on the question type', () => {
+      expect(getPromptVersion(null, 'single')).toBe(getPromptVersion());
+      expect(getPromptVersion(null, 'numeric')).not.toBe(getPromptVersion());
+    });
+  });
+
+  describe('extractPartialExplanation', () => {
+    it('should return empty string before the explanation starts', () => {
+      expect(extractPartialExplanation('{"answer": "a", "expl')).toBe('');
+    });
+
+    it('should return the explanation received so far', () => {
+      expect(extractPartialExplanation('{"answer": "a", "explanation": "Porque la')).toBe('Porque la');
+    });
+
+    it('should stop at the closing quote', () => {
+      const full = JSON.stringify({ answer: 'a', explanation: 'Completa', wrongOptions: { b: 'x' } });
+
+      expect(extractPartialExplanation(full)).toBe('Completa');
+    });
+
+    it('should decode escapes and wait for incomplete ones', () => {
+      expect(extractPartialExplanation('{"explanation": "Linea\\nDos \\"cita\\"')).toBe('Linea\nDos "cita"');
+      expect(extractPartialExplanation('{"explanation": "Fin\\')).toBe('Fin');
+      expect(extractPartialExplanation('{"explanation": "\\u00e9')).toBe('é');
+      expect(extractPartialExplanation('{"explanation": "\\u00')).toBe('');
+    });
+  });
 });
@@ -6,6 +6,7 @@
 import {
   db,
   initializeDatabase,
+  seedBDASubject,
   upsertQuestion,
   getQuestionsByTopic,
   getQuestionById,
@@ -19,6 +20,13 @@ import {
   getTopicStats,
   getCachedSolution,
   cacheSolution,
+  getSolutionVersion,
+  getSolutionVersions,
+  activateSolutionVersion,
+  pinSolutionVersion,
+  unpinSolution,
+  computeContentHash,
+  getStaleSolutions,
   // Subject functions (Fase 0)
   getAllSubjects,
   getSubjectById,
@@ -68,6 +76,9 @@ const testId = (id) => `${TEST_PREFIX}${id}`;
 describe('database module', () => {
   // Clean up test data before and after all tests
   beforeAll(() => {
+    // Tables and the default 'bda' subject the test questions belong to
+    initializeDatabase();
+    seedBDASubject();
     cleanupTestData();
   });
 
@@ -670,6 +681,69 @@ describe('database module', () => {
       });
     });
 
+    describe('solution history', () => {
+      it('should store every cached solution as a version', () => {
+        cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'a', explanation: 'V1', model: 'm', prompt_version: 'abc' });
+        const result = cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'b', explanation: 'V2' });
+
+        const versions = getSolutionVersions(testId('cache_q1'));
+        expect(versions).toHaveLength(2);
+        expect(versions[1]).toMatchObject({ explanation: 'V1', source: 'ai', model: 'm', prompt_version: 'abc' });
+        expect(getCachedSolution(testId('cache_q1')).version_id).toBe(result.versionId);
+      });
+
+      it('should not replace a pinned solution', () => {
+        const { versionId } = cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'a', explanation: 'Revisada' });
+        pinSolutionVersion(versionId);
+
+        const result = cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'b', explanation: 'Nueva' });
+
+        expect(result.activated).toBe(false);
+        expect(getCachedSolution(testId('cache_q1')).explanation).toBe('Revisada');
+
+        unpinSolution(testId('cache_q1'));
+        cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'c', explanation: 'Tras desfijar' });
+        expect(getCachedSolution(testId('cache_q1')).explanation).toBe('Tras desfijar');
+      });
+
+      it('should activate an older version', () => {
+        const first = cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'a', explanation: 'V1' });
+        cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'b', explanation: 'V2' });
+
+        activateSolutionVersion(first.versionId);
+
+        expect(getCachedSolution(testId('cache_q1')).correct_answer).toBe('a');
+        expect(getSolutionVersion(first.versionId).explanation).toBe('V1');
+      });
+    });
+
+    describe('stale solutions', () => {
+      it('should hash statement, content and options regardless of option order', () => {
+        const hash = computeContentHash({ content: 'Q', options: { a: 'A', b: 'B' } });
+
+        expect(computeContentHash({ content: 'Q', options: { b: 'B', a: 'A' } })).toBe(hash);
+        expect(computeContentHash({ content: 'Q', options: '{"a":"A","b":"B"}' })).toBe(hash);
+        expect(computeContentHash({ content: 'Q', options: { a: 'A', b: 'C' } })).not.toBe(hash);
+        expect(computeContentHash({ shared_statement: 'S', content: 'Q', options: { a: 'A', b: 'B' } })).not.toBe(hash);
+      });
+
+      it('should record the question hash on cached solutions', () => {
+        cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'a', explanation: 'X' });
+
+        const question = db.prepare('SELECT content_hash FROM questions WHERE id = ?').get(testId('cache_q1'));
+        expect(getCachedSolution(testId('cache_q1')).content_hash).toBe(question.content_hash);
+      });
+
+      it('should mark solutions stale when the question content changes', () => {
+        cacheSolution({ question_id: testId('cache_q1'), correct_answer: 'a', explanation: 'X' });
+
+        upsertQuestion({ id: testId('cache_q1'), topic: 'TestTema', question_number: 1, content: 'Q1 editada', options: {} });
+
+        expect(getCachedSolution(testId('cache_q1')).stale).toBe(1);
+        expect(getStaleSolutions().map(row => row.question_id)).toContain(testId('cache_q1'));
+      });
+    });
+
     describe('getCachedSolution', () => {
       it('should return cached solution', () => {
         cacheSolution({
@@ -0,0 +1,121 @@
+/**
+ * Integration Tests for Diagnostics Routes (routes/diagnostics.js)
+ * Lint report of the question files
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { db, initializeDatabase, createSubject } from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'DIAGNOSTICS_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('ds');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Diagnostics Routes Integration Tests', () => {
+  let app;
+  let dir;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'diagnostics-routes-'));
+    fs.writeFileSync(path.join(dir, 'DS_Tema1.md'), `## Pregunta 1
+
+Que es un patron?
+
+a) Una solucion
+b) Un lenguaje
+`);
+    fs.writeFileSync(path.join(dir, 'DS_Tema2.md'), `## Pregunta 1
+
+Singleton garantiza...
+
+a) Una instancia
+b)
+`);
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  beforeEach(() => {
+    createSubject({
+      id: SUBJECT,
+      name: 'Diseno de Software',
+      methodology: ['test'],
+      modes: ['test'],
+      config: { questionSource: { directory: dir, filePattern: 'DS_{topic}.md' } }
+    });
+    createSubject({ id: testId('plain'), name: 'Sin ficheros', methodology: ['test'], modes: ['test'] });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  describe('GET /api/diagnostics/questions', () => {
+    it('should report the findings of a subject with line numbers', async () => {
+      const res = await request(app).get(`/api/diagnostics/questions?subjectId=${SUBJECT}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.success).toBe(true);
+      expect(res.body.data).toEqual(expect.objectContaining({ files: 2, questions: 2, errors: 1, warnings: 0 }));
+
+      const [report] = res.body.data.subjects;
+      expect(report.subjectId).toBe(SUBJECT);
+      expect(report.topics[1].findings).toEqual([
+        expect.objectContaining({ line: 6, rule: 'empty-option', questionId: `${SUBJECT}_tema2_pregunta1` })
+      ]);
+    });
+
+    it('should report one topic', async () => {
+      const res = await request(app).get(`/api/diagnostics/questions?subjectId=${SUBJECT}&topic=Tema1`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.subjects[0].topics.map(entry => entry.topic)).toEqual(['Tema1']);
+      expect(res.body.data.errors).toBe(0);
+    });
+
+    it('should include every subject with question files', async () => {
+      const res = await request(app).get('/api/diagnostics/questions');
+
+      expect(res.status).toBe(200);
+      const ids = res.body.data.subjects.map(report => report.subjectId);
+      expect(ids).toContain(SUBJECT);
+      expect(ids).not.toContain(testId('plain'));
+    });
+
+    it('should return 404 for unknown subjects and topics', async () => {
+      expect((await request(app).get(`/api/diagnostics/questions?subjectId=${testId('none')}`)).status).toBe(404);
+      expect((await request(app).get(`/api/diagnostics/questions?subjectId=${SUBJECT}&topic=Tema9`)).status).toBe(404);
+    });
+
+    it('should return 400 for subjects without question files or a topic without subject', async () => {
+      expect((await request(app).get(`/api/diagnostics/questions?subjectId=${testId('plain')}`)).status).toBe(400);
+      expect((await request(app).get('/api/diagnostics/questions?topic=Tema1')).status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * Integration Tests for near-duplicate detection (services/questionDuplicates.js,
+ * routes/duplicates.js and the duplicate check on pipeline approval)
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  upsertQuestion,
+  getQuestionById,
+  recordAttempt,
+  setOfficialAnswer,
+  getOfficialAnswer,
+  cacheSolution,
+  getCachedSolution,
+  createExamPdf,
+  createParsedQuestion
+} from '../../server/database.js';
+import { compareQuestions, mapOptionLetters } from '../../server/services/questionDuplicates.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'DUP_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+const EXAM = 'e1';
+
+const BANK_QUESTION = {
+  content: '¿Qué nivel de aislamiento evita las lecturas no repetibles pero permite fantasmas?',
+  options: { a: 'Read committed', b: 'Repeatable read', c: 'Serializable', d: 'Read uncommitted' }
+};
+
+// The same question as read from an exam PDF: other wording details, options reordered
+const EXAM_QUESTION = {
+  content: 'Que nivel de aislamiento evita las lecturas no repetibles, pero permite fantasmas',
+  options: { a: 'Serializable', b: 'Read committed', c: 'Read uncommitted', d: 'Repeatable read' }
+};
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Duplicate Questions', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+  });
+
+  beforeEach(() => {
+    createSubject({ id: SUBJECT, name: 'Duplicates Test', methodology: ['test'], modes: ['test'] });
+
+    upsertQuestion({ id: testId('tema3_pregunta4'), subject_id: SUBJECT, topic: 'Tema3', question_number: 4, ...BANK_QUESTION });
+    upsertQuestion({ id: `${SUBJECT}_exam_${EXAM}_q7`, subject_id: SUBJECT, topic: 'Exam', question_number: 7, ...EXAM_QUESTION });
+    upsertQuestion({
+      id: testId('tema3_pregunta5'),
+      subject_id: SUBJECT,
+      topic: 'Tema3',
+      question_number: 5,
+      content: '¿Qué protocolo garantiza la serializabilidad en conflictos?',
+      options: { a: 'Bloqueo en dos fases', b: 'Lectura sucia' }
+    });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    const like = `LIKE '${TEST_PREFIX}%'`;
+    db.prepare(`DELETE FROM attempts WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM official_answers WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM questions WHERE id ${like}`).run();
+    db.prepare(`DELETE FROM parsed_questions WHERE id ${like}`).run();
+    db.prepare(`DELETE FROM exam_pdfs WHERE id ${like}`).run();
+    db.prepare(`DELETE FROM subjects WHERE id ${like}`).run();
+  }
+
+  describe('similarity', () => {
+    it('should match questions regardless of accents, punctuation and option order', () => {
+      const similarity = compareQuestions(BANK_QUESTION, EXAM_QUESTION);
+
+      expect(similarity.contentScore).toBe(1);
+      expect(similarity.optionScore).toBe(1);
+      expect(compareQuestions(BANK_QUESTION, { content: 'Define la forma normal de Boyce-Codd', options: { a: 'Si', b: 'No' } }).score).toBeLessThan(0.2);
+    });
+
+    it('should pair option letters by their text', () => {
+      expect(mapOptionLetters(EXAM_QUESTION.options, BANK_QUESTION.options)).toEqual({ a: 'c', b: 'a', c: 'd', d: 'b' });
+      expect(mapOptionLetters({ a: 'Si', b: 'No' }, { a: 'Si', b: 'No', c: 'Depende' })).toBeNull();
+    });
+  });
+
+  describe('GET /api/duplicates', () => {
+    it('should report likely duplicate pairs, suggesting the question file one', async () => {
+      const res = await request(app).get(`/api/duplicates?subjectId=${SUBJECT}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+
+      const [pair] = res.body.data.pairs;
+      expect(pair.score).toBeGreaterThanOrEqual(0.8);
+      expect(pair.questions.map(q => q.id).sort()).toEqual([`${SUBJECT}_exam_${EXAM}_q7`, testId('tema3_pregunta4')].sort());
+      expect(pair.suggestedKeepId).toBe(testId('tema3_pregunta4'));
+    });
+
+    it('should validate the subject and threshold', async () => {
+      expect((await request(app).get('/api/duplicates')).status).toBe(400);
+      expect((await request(app).get(`/api/duplicates?subjectId=${testId('none')}`)).status).toBe(404);
+      expect((await request(app).get(`/api/duplicates?subjectId=${SUBJECT}&threshold=2`)).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/duplicates/merge', () => {
+    const keepId = testId('tema3_pregunta4');
+    const mergeId = `${SUBJECT}_exam_${EXAM}_q7`;
+
+    it('should move attempts and the official answer, translating option letters', async () => {
+      // "Repeatable read": d in the exam question, b in the bank one
+      recordAttempt({ question_id: mergeId, user_answer: 'd', correct_answer: 'd', is_correct: true });
+      setOfficialAnswer({ question_id: mergeId, answer: 'd', source: 'manual' });
+      cacheSolution({ question_id: mergeId, correct_answer: 'd', explanation: 'Repeatable read', wrong_options: {} });
+
+      const res = await request(app).post('/api/duplicates/merge').send({ keepId, mergeId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual(expect.objectContaining({
+        keptId: keepId,
+        mergedId: mergeId,
+        optionsRemapped: true,
+        notMoved: ['solutions']
+      }));
+      expect(res.body.data.moved).toEqual(expect.objectContaining({ attempts: 1, officialAnswer: true, solution: false }));
+
+      const attempt = db.prepare('SELECT user_answer, correct_answer FROM attempts WHERE question_id = ?').get(keepId);
+      expect(attempt).toEqual({ user_answer: 'b', correct_answer: 'b' });
+      expect(getOfficialAnswer(keepId)).toEqual(expect.objectContaining({ answer: 'b', source: 'manual' }));
+      expect(getCachedSolution(keepId)).toBeFalsy();
+
+      const merged = getQuestionById(mergeId);
+      expect(merged.removed_at).not.toBeNull();
+      expect(merged.merged_into).toBe(keepId);
+
+      const report = await request(app).get(`/api/duplicates?subjectId=${SUBJECT}`);
+      expect(report.body.count).toBe(0);
+    });
+
+    it('should move solutions when the options keep their letters', async () => {
+      upsertQuestion({ id: mergeId, subject_id: SUBJECT, topic: 'Exam', question_number: 7, ...BANK_QUESTION });
+      cacheSolution({ question_id: mergeId, correct_answer: 'b', explanation: 'Repeatable read', wrong_options: {} });
+
+      const res = await request(app).post('/api/duplicates/merge').send({ keepId, mergeId });
+
+      expect(res.body.data.optionsRemapped).toBe(false);
+      expect(res.body.data.moved.solution).toBe(true);
+      expect(getCachedSolution(keepId).correct_answer).toBe('b');
+    });
+
+    it('should leave attempts on the duplicate when the options do not pair up', async () => {
+      upsertQuestion({ id: mergeId, subject_id: SUBJECT, topic: 'Exam', question_number: 7, ...BANK_QUESTION, options: { a: 'Read committed', b: 'Snapshot', c: 'Serializable' } });
+      recordAttempt({ question_id: mergeId, user_answer: 'b', correct_answer: 'b', is_correct: true });
+
+      const res = await request(app).post('/api/duplicates/merge').send({ keepId, mergeId });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.optionsRemapped).toBe(false);
+      expect(res.body.data.moved.attempts).toBe(0);
+      expect(res.body.data.notMoved).toEqual(['attempts']);
+      expect(db.prepare('SELECT COUNT(*) as count FROM attempts WHERE question_id = ?').get(mergeId).count).toBe(1);
+      expect(db.prepare('SELECT COUNT(*) as count FROM attempts WHERE question_id = ?').get(keepId).count).toBe(0);
+    });
+
+    it('should validate the pair', async () => {
+      const merge = (body) => request(app).post('/api/duplicates/merge').send(body);
+
+      expect((await merge({ keepId })).status).toBe(400);
+      expect((await merge({ keepId, mergeId: keepId })).status).toBe(400);
+      expect((await merge({ keepId, mergeId: testId('none') })).status).toBe(404);
+
+      await merge({ keepId, mergeId });
+      expect((await merge({ keepId, mergeId })).status).toBe(400);
+    });
+  });
+
+  describe('pipeline approval', () => {
+    it('should flag approved questions that look like existing ones', async () => {
+      const examId = testId('exam');
+      createExamPdf({ id: examId, subjectId: SUBJECT, filename: 'junio.pdf', originalPath: '/path/junio.pdf' });
+      createParsedQuestion({ id: testId('pq1'), examId, questionNumber: 1, rawContent: EXAM_QUESTION.content, options: EXAM_QUESTION.options });
+      createParsedQuestion({ id: testId('pq2'), examId, questionNumber: 2, rawContent: 'Define una clave candidata', options: { a: 'Minimal', b: 'Maximal' } });
+
+      const single = await request(app).post(`/api/pipeline/questions/${testId('pq1')}/approve`).send({});
+      expect(single.status).toBe(200);
+      expect(single.body.data.possibleDuplicates.map(match => match.id)).toEqual(
+        expect.arrayContaining([testId('tema3_pregunta4'), `${SUBJECT}_exam_${EXAM}_q7`])
+      );
+
+      const all = await request(app).post(`/api/pipeline/exams/${examId}/approve-all`).send({});
+      expect(all.body.data.approved).toBe(1);
+      expect(all.body.data.possibleDuplicates).toEqual([]);
+    });
+  });
+});
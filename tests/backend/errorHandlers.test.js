@@ -16,6 +16,7 @@ const mockGetAttemptsByQuestion = jest.fn();
 const mockRecordAttempt = jest.fn();
 const mockGetCachedSolution = jest.fn();
 const mockCacheSolution = jest.fn();
+const mockGetOfficialAnswer = jest.fn();
 const mockGetQuestionById = jest.fn();
 const mockGetQuestionsByTopic = jest.fn();
 const mockGetAllTopics = jest.fn();
@@ -33,23 +34,49 @@ jest.unstable_mockModule('../../server/database.js', () => ({
   recordAttempt: mockRecordAttempt,
   getCachedSolution: mockGetCachedSolution,
   cacheSolution: mockCacheSolution,
+  getOfficialAnswer: mockGetOfficialAnswer,
+  importOfficialAnswers: jest.fn(() => 0),
+  addSolutionVersion: jest.fn(),
+  getSolutionVersion: jest.fn(),
+  getSolutionVersions: jest.fn(),
+  pinSolutionVersion: jest.fn(),
+  unpinSolution: jest.fn(),
+  getStaleSolutions: jest.fn(() => []),
+  computeContentHash: jest.fn(),
+  markStaleSolutions: jest.fn(),
   getQuestionById: mockGetQuestionById,
   getQuestionsByTopic: mockGetQuestionsByTopic,
   getAllTopics: mockGetAllTopics,
   getRandomQuestion: mockGetRandomQuestion,
   getNextUnansweredQuestion: mockGetNextUnansweredQuestion,
   upsertQuestion: mockUpsertQuestion,
-  getSubjectById: mockGetSubjectById
+  getSubjectById: mockGetSubjectById,
+  createJob: jest.fn(),
+  getJob: jest.fn(),
+  findActiveJob: jest.fn(),
+  claimNextJob: jest.fn(() => null),
+  updateJobProgress: jest.fn(),
+  finishJob: jest.fn(),
+  retryJob: jest.fn(),
+  requestJobCancel: jest.fn(),
+  requeueInterruptedJobs: jest.fn(() => 0),
+  recordValidationFailure: jest.fn(),
+  recordLlmUsage: jest.fn(),
+  getLlmSpendSince: jest.fn(() => 0)
 }));
 
 // Mock claudeService
 jest.unstable_mockModule('../../server/claudeService.js', () => ({
-  solveQuestion: jest.fn()
+  solveQuestion: jest.fn(),
+  solveWithSelfConsistency: jest.fn(),
+  buildQuestionText: jest.fn(q => q.content),
+  LOW_CONFIDENCE_THRESHOLD: 0.7
 }));
 
 // Mock questionParser
 jest.unstable_mockModule('../../server/questionParser.js', () => ({
   parseQuestionFile: jest.fn(),
+  parseAnswerKey: jest.fn(() => ({ answers: [], missing: [], ambiguous: [] })),
   getAvailableTopics: jest.fn()
 }));
 
@@ -0,0 +1,112 @@
+/**
+ * Tests for printable mock exams and answer keys
+ */
+
+import { PDFDocument, StandardFonts } from 'pdf-lib';
+import {
+  toPrintable,
+  wrapText,
+  buildExamPdf,
+  buildAnswerKeyPdf
+} from '../../server/services/examPrint.js';
+
+const ITEMS = [
+  {
+    name: 'q1',
+    topic: 'Tema1',
+    content: '**Enunciado:** Dada la expresión σ_{A=1}(R) ⋈ S, ¿cuántos bloques se leen?',
+    options: { a: '100', b: '200', c: '≤ 300', d: 'Ninguna' },
+    questionType: 'single',
+    tolerance: null,
+    answer: 'b',
+    explanation: 'Se lee R una vez y S por cada bloque de R.',
+    wrongOptions: { a: 'Olvida la lectura de S' }
+  },
+  {
+    name: 'q2',
+    topic: 'Tema1',
+    content: 'Coste en bloques',
+    options: {},
+    questionType: 'numeric',
+    tolerance: 0.5,
+    answer: '12.5',
+    explanation: null,
+    wrongOptions: {}
+  },
+  {
+    name: 'q3',
+    topic: 'Tema2',
+    content: 'Sin resolver',
+    options: { a: 'Verdadero', b: 'Falso' },
+    questionType: 'single',
+    tolerance: null,
+    answer: null,
+    explanation: null,
+    wrongOptions: {}
+  }
+];
+
+describe('examPrint', () => {
+  let font;
+
+  beforeAll(async () => {
+    const doc = await PDFDocument.create();
+    font = await doc.embedFont(StandardFonts.Helvetica);
+  });
+
+  describe('toPrintable', () => {
+    it('should keep Spanish text and drop markdown marks', () => {
+      expect(toPrintable('**Enunciado:** ¿Cuál es la relación?', font)).toBe('Enunciado: ¿Cuál es la relación?');
+    });
+
+    it('should spell out symbols the standard fonts cannot draw', () => {
+      expect(toPrintable('σ(R) ⋈ S, a ≤ b', font)).toBe('sigma(R) |x| S, a <= b');
+      expect(toPrintable('漢', font)).toBe('?');
+    });
+  });
+
+  describe('wrapText', () => {
+    it('should wrap lines to the width and keep line breaks', () => {
+      const lines = wrapText('uno dos tres cuatro cinco seis\nsiete', font, 10, 60);
+
+      expect(lines.length).toBeGreaterThan(2);
+      expect(lines[lines.length - 1]).toBe('siete');
+      for (const line of lines) {
+        expect(font.widthOfTextAtSize(line, 10)).toBeLessThanOrEqual(60);
+      }
+    });
+
+    it('should cut words longer than a line', () => {
+      const lines = wrapText('x'.repeat(200), font, 10, 100);
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.join('')).toBe('x'.repeat(200));
+    });
+  });
+
+  describe('buildExamPdf', () => {
+    it('should build an exam with its answer sheet on a separate page', async () => {
+      const pdf = await buildExamPdf(ITEMS, { subjectName: 'Bases de Datos Avanzadas', title: 'Simulacro' });
+      const doc = await PDFDocument.load(pdf);
+
+      expect(doc.getTitle()).toBe('Bases de Datos Avanzadas - Simulacro');
+      expect(doc.getPageCount()).toBe(2);
+    });
+
+    it('should flow long exams over several pages', async () => {
+      const items = Array.from({ length: 60 }, (_, index) => ({ ...ITEMS[index % 2], name: `q${index}` }));
+      const doc = await PDFDocument.load(await buildExamPdf(items, { subjectName: 'BDA' }));
+
+      expect(doc.getPageCount()).toBeGreaterThan(4);
+    });
+  });
+
+  describe('buildAnswerKeyPdf', () => {
+    it('should build the answer key', async () => {
+      const pdf = await buildAnswerKeyPdf(ITEMS, { subjectName: 'BDA', title: 'Simulacro' });
+      const doc = await PDFDocument.load(pdf);
+
+      expect(doc.getTitle()).toBe('BDA - Simulacro - Plantilla');
+      expect(doc.getPageCount()).toBe(1);
+    });
+  });
+});
@@ -60,6 +60,7 @@ describe('FALLBACK_DIR branch coverage', () => {
       parseQuestionFile: jest.fn(() => [
         { id: 'tema1_pregunta1', topic: 'Tema1', question_number: 1, content: 'Test', options: {} }
       ]),
+      parseAnswerKey: jest.fn(() => ({ answers: [], missing: [], ambiguous: [] })),
       getAvailableTopics: jest.fn(() => ['Tema1'])
     }));
 
@@ -117,6 +118,7 @@ describe('FALLBACK_DIR branch coverage', () => {
     // Mock questionParser to throw (simulating directory not found)
     jest.unstable_mockModule('../../server/questionParser.js', () => ({
       parseQuestionFile: jest.fn(),
+      parseAnswerKey: jest.fn(),
       getAvailableTopics: jest.fn(() => { throw new Error('Questions directory not found'); })
     }));
 
@@ -60,6 +60,7 @@ describe('Generation Routes Integration Tests', () => {
   }
 
   function cleanupTestSessions() {
+    db.prepare(`DELETE FROM jobs WHERE job_key LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM generated_question_attempts WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM generated_test_questions WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM generation_sessions WHERE id LIKE '${TEST_PREFIX}%'`).run();
@@ -212,6 +213,19 @@ describe('Generation Routes Integration Tests', () => {
       expect(res.body.success).toBe(true);
       expect(res.body.message).toContain('iniciada');
       expect(res.body.sessionId).toBe(testSessionId);
+      expect(res.body.jobId).toBeDefined();
+    });
+
+    it('should queue a single job per session', async () => {
+      const first = await request(app)
+        .post(`/api/generate/sessions/${testSessionId}/start`);
+      const second = await request(app)
+        .post(`/api/generate/sessions/${testSessionId}/start`);
+
+      expect(second.body.jobId).toBe(first.body.jobId);
+      const job = db.prepare('SELECT * FROM jobs WHERE id = ?').get(first.body.jobId);
+      expect(job.type).toBe('generate_test');
+      expect(job.status).toBe('queued');
     });
 
     it('should return 404 for non-existent session', async () => {
@@ -0,0 +1,251 @@
+/**
+ * Integration Tests for Hint Routes (routes/hints.js)
+ * Progressive hints cached per question, using a fake LLM provider
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  getSubjectById,
+  upsertQuestion,
+  cacheSolution,
+  getQuestionHints
+} from '../../server/database.js';
+import { setProvider, createFakeProvider } from '../../server/services/llmProvider.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'HINT_ROUTE_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+
+const QUESTION = {
+  id: testId('q1'),
+  subject_id: SUBJECT,
+  topic: 'ZZHintTopic',
+  question_number: 1,
+  content: 'Que es un indice B+?',
+  options: { a: 'Un arbol', b: 'Una tabla', c: 'Un hash', d: 'Una vista' }
+};
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Hint Routes Integration Tests', () => {
+  let app;
+  const prompts = [];
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+    setupTestSubject();
+
+    // Fake provider that keeps the prompts it receives
+    const fake = createFakeProvider();
+    setProvider({
+      name: 'fake',
+      complete: (params) => {
+        prompts.push(params.prompt);
+        return fake.complete(params);
+      }
+    });
+  });
+
+  afterAll(() => {
+    setProvider(null);
+    cleanupTestData();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  });
+
+  beforeEach(() => {
+    prompts.length = 0;
+    upsertQuestion(QUESTION);
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM question_hints WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  function setupTestSubject() {
+    if (!getSubjectById(SUBJECT)) {
+      createSubject({
+        id: SUBJECT,
+        name: 'Test Subject for Hint Routes',
+        methodology: ['test'],
+        modes: ['test']
+      });
+    }
+  }
+
+  // ========================================
+  // POST /api/hints/:questionId/:level
+  // ========================================
+
+  describe('POST /api/hints/:questionId/:level', () => {
+    it('should generate and cache the first hint', async () => {
+      const res = await request(app).post(`/api/hints/${testId('q1')}/1`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.cached).toBe(false);
+      expect(res.body.data).toMatchObject({ level: 1, kind: 'concept', model: 'fake' });
+      expect(res.body.data.content).toContain('nivel 1');
+      expect(prompts[0]).toContain('Que es un indice B+?');
+      expect(getQuestionHints(testId('q1'))).toHaveLength(1);
+    });
+
+    it('should return the cached hint without calling the model again', async () => {
+      await request(app).post(`/api/hints/${testId('q1')}/1`);
+
+      const res = await request(app).post(`/api/hints/${testId('q1')}/1`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.cached).toBe(true);
+      expect(prompts).toHaveLength(1);
+    });
+
+    it('should include earlier hints in the prompt of the next level', async () => {
+      await request(app).post(`/api/hints/${testId('q1')}/1`);
+
+      const res = await request(app).post(`/api/hints/${testId('q1')}/2`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.kind).toBe('formula');
+      expect(prompts[1]).toContain('PISTAS YA DADAS');
+      expect(prompts[1]).toContain('Pista 1: Pista simulada de nivel 1');
+    });
+
+    it('should tell the elimination level which option not to discard', async () => {
+      cacheSolution({ question_id: testId('q1'), correct_answer: 'a', explanation: 'Es un arbol', wrong_options: {} });
+      await request(app).post(`/api/hints/${testId('q1')}/1`);
+      await request(app).post(`/api/hints/${testId('q1')}/2`);
+
+      const res = await request(app).post(`/api/hints/${testId('q1')}/3`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.kind).toBe('elimination');
+      expect(prompts[2]).toContain('La opcion correcta es la a');
+      expect(prompts[0]).not.toContain('La opcion correcta');
+    });
+
+    it('should require the previous level first', async () => {
+      const res = await request(app).post(`/api/hints/${testId('q1')}/2`);
+
+      expect(res.status).toBe(409);
+      expect(prompts).toHaveLength(0);
+    });
+
+    it('should reject invalid levels', async () => {
+      const res = await request(app).post(`/api/hints/${testId('q1')}/4`);
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown questions', async () => {
+      const res = await request(app).post(`/api/hints/${testId('missing')}/1`);
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should regenerate hints after the question changes', async () => {
+      await request(app).post(`/api/hints/${testId('q1')}/1`);
+      upsertQuestion({ ...QUESTION, content: 'Que es un indice hash?' });
+
+      expect(getQuestionHints(testId('q1'))).toHaveLength(0);
+
+      const res = await request(app).post(`/api/hints/${testId('q1')}/1`);
+
+      expect(res.body.cached).toBe(false);
+      expect(prompts[1]).toContain('Que es un indice hash?');
+      expect(getQuestionHints(testId('q1'))).toHaveLength(1);
+    });
+  });
+
+  // ========================================
+  // GET /api/hints/:questionId
+  // ========================================
+
+  describe('GET /api/hints/:questionId', () => {
+    it('should list cached hints lowest level first', async () => {
+      await request(app).post(`/api/hints/${testId('q1')}/1`);
+      await request(app).post(`/api/hints/${testId('q1')}/2`);
+
+      const res = await request(app).get(`/api/hints/${testId('q1')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.maxLevel).toBe(3);
+      expect(res.body.data.hints.map(hint => hint.level)).toEqual([1, 2]);
+    });
+  });
+
+  // ========================================
+  // Attempts with hints
+  // ========================================
+
+  describe('POST /api/attempts with hintsUsed', () => {
+    it('should store the number of hints used', async () => {
+      const res = await request(app)
+        .post('/api/attempts')
+        .send({ questionId: testId('q1'), userAnswer: 'a', correctAnswer: 'a', isCorrect: true, hintsUsed: 2 });
+
+      expect(res.status).toBe(200);
+      const attempt = db.prepare('SELECT hints_used FROM attempts WHERE id = ?').get(res.body.data.attemptId);
+      expect(attempt.hints_used).toBe(2);
+    });
+
+    it('should default to an unaided attempt', async () => {
+      const res = await request(app)
+        .post('/api/attempts')
+        .send({ questionId: testId('q1'), userAnswer: 'b', correctAnswer: 'a', isCorrect: false });
+
+      const attempt = db.prepare('SELECT hints_used FROM attempts WHERE id = ?').get(res.body.data.attemptId);
+      expect(attempt.hints_used).toBe(0);
+    });
+
+    it('should reject an invalid hintsUsed', async () => {
+      const res = await request(app)
+        .post('/api/attempts')
+        .send({ questionId: testId('q1'), userAnswer: 'a', correctAnswer: 'a', isCorrect: true, hintsUsed: -1 });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should split topic stats into unaided and hinted attempts', async () => {
+      const send = (body) => request(app).post('/api/attempts')
+        .send({ questionId: testId('q1'), userAnswer: 'a', correctAnswer: 'a', ...body });
+      await send({ isCorrect: true });
+      await send({ userAnswer: 'b', isCorrect: false });
+      await send({ isCorrect: true, hintsUsed: 1 });
+
+      const res = await request(app).get('/api/stats/ZZHintTopic');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        unaided_attempts: 2,
+        unaided_accuracy: 50,
+        hinted_attempts: 1,
+        hinted_accuracy: 100
+      });
+    });
+  });
+});
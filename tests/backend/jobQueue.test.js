@@ -0,0 +1,294 @@
+/**
+ * Tests for the background job queue (services/jobQueue.js) and /api/jobs
+ * Uses test-only job types; handlers are plain async functions
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  getJob,
+  claimNextJob,
+  requeueInterruptedJobs
+} from '../../server/database.js';
+import {
+  registerJobHandler,
+  enqueueJob,
+  cancelJob,
+  getBackoffSeconds,
+  startJobWorkers,
+  stopJobWorkers,
+  drainJobs
+} from '../../server/services/jobQueue.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a job reaches one of the given statuses
+ */
+async function waitForStatus(jobId, statuses, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    const job = getJob(jobId);
+    if (statuses.includes(job.status)) {
+      return job;
+    }
+    await sleep(10);
+  }
+  throw new Error(`Job ${jobId} did not reach ${statuses.join('/')}`);
+}
+
+describe('Job queue', () => {
+  let app;
+  const calls = [];
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+
+    registerJobHandler('test_echo', async (payload, ctx) => {
+      calls.push(payload);
+      ctx.reportProgress({ done: 1, total: 1 });
+      return { echoed: payload.value };
+    });
+
+    registerJobHandler('test_fail', async () => {
+      throw new Error('Handler exploded');
+    });
+
+    registerJobHandler('test_wait', async (payload, ctx) => {
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, payload.ms || 50);
+        ctx.signal.addEventListener('abort', () => {
+          clearTimeout(timer);
+          reject(new Error('Aborted'));
+        });
+      });
+      return { waited: true };
+    });
+  });
+
+  beforeEach(() => {
+    calls.length = 0;
+    cleanupTestJobs();
+  });
+
+  afterAll(() => {
+    stopJobWorkers();
+    cleanupTestJobs();
+  });
+
+  function cleanupTestJobs() {
+    db.prepare(`DELETE FROM jobs WHERE type LIKE 'test_%'`).run();
+  }
+
+  describe('enqueueJob', () => {
+    it('should store a queued job', () => {
+      const job = enqueueJob('test_echo', { value: 1 });
+
+      expect(job.status).toBe('queued');
+      expect(job.payload).toEqual({ value: 1 });
+      expect(job.attempts).toBe(0);
+      expect(job.max_attempts).toBe(3);
+    });
+
+    it('should reject unknown job types', () => {
+      expect(() => enqueueJob('test_missing', {})).toThrow('Unknown job type: test_missing');
+    });
+
+    it('should return the active job for the same key', () => {
+      const first = enqueueJob('test_echo', { value: 1 }, { key: 'k1' });
+      const second = enqueueJob('test_echo', { value: 2 }, { key: 'k1' });
+      const other = enqueueJob('test_echo', { value: 3 }, { key: 'k2' });
+
+      expect(second.id).toBe(first.id);
+      expect(other.id).not.toBe(first.id);
+    });
+  });
+
+  describe('running jobs', () => {
+    it('should store the result and progress', async () => {
+      const job = enqueueJob('test_echo', { value: 42 });
+
+      await drainJobs();
+
+      const done = getJob(job.id);
+      expect(done.status).toBe('completed');
+      expect(done.result).toEqual({ echoed: 42 });
+      expect(done.progress).toEqual({ done: 1, total: 1 });
+      expect(done.attempts).toBe(1);
+      expect(done.finished_at).toBeTruthy();
+    });
+
+    it('should retry failed jobs with backoff', async () => {
+      const job = enqueueJob('test_fail', {});
+
+      await drainJobs();
+
+      const retried = getJob(job.id);
+      expect(retried.status).toBe('queued');
+      expect(retried.attempts).toBe(1);
+      expect(retried.error).toBe('Handler exploded');
+      // Not due yet, so a second drain does not pick it up
+      expect(db.prepare("SELECT run_after > datetime('now') AS later FROM jobs WHERE id = ?").get(job.id).later).toBe(1);
+      expect(await drainJobs()).toBe(0);
+    });
+
+    it('should fail once max attempts are used', async () => {
+      const job = enqueueJob('test_fail', {}, { maxAttempts: 2 });
+
+      await drainJobs();
+      db.prepare("UPDATE jobs SET run_after = datetime('now') WHERE id = ?").run(job.id);
+      await drainJobs();
+
+      const failed = getJob(job.id);
+      expect(failed.status).toBe('failed');
+      expect(failed.attempts).toBe(2);
+      expect(failed.error).toBe('Handler exploded');
+    });
+
+    it('should double the backoff on each attempt', () => {
+      expect(getBackoffSeconds(1)).toBe(10);
+      expect(getBackoffSeconds(2)).toBe(20);
+      expect(getBackoffSeconds(3)).toBe(40);
+      expect(getBackoffSeconds(20)).toBe(600);
+    });
+  });
+
+  describe('cancelJob', () => {
+    it('should cancel a queued job before it runs', async () => {
+      const job = enqueueJob('test_echo', { value: 1 });
+
+      expect(cancelJob(job.id).status).toBe('cancelled');
+      await drainJobs();
+
+      expect(calls).toHaveLength(0);
+      expect(getJob(job.id).status).toBe('cancelled');
+    });
+
+    it('should abort a running job', async () => {
+      const job = enqueueJob('test_wait', { ms: 5000 });
+
+      const draining = drainJobs();
+      await waitForStatus(job.id, ['running']);
+      cancelJob(job.id);
+      await draining;
+
+      const cancelled = getJob(job.id);
+      expect(cancelled.status).toBe('cancelled');
+      expect(cancelled.cancel_requested).toBe(true);
+    });
+
+    it('should return null for unknown jobs', () => {
+      expect(cancelJob('test_nope')).toBeNull();
+    });
+  });
+
+  describe('worker pool', () => {
+    afterEach(() => {
+      stopJobWorkers();
+    });
+
+    it('should re-queue jobs interrupted by a restart', () => {
+      const job = enqueueJob('test_echo', { value: 1 });
+      expect(claimNextJob().id).toBe(job.id);
+
+      expect(requeueInterruptedJobs()).toBeGreaterThanOrEqual(1);
+      expect(getJob(job.id).status).toBe('queued');
+    });
+
+    it('should respect the concurrency limit', async () => {
+      let active = 0;
+      let maxActive = 0;
+      registerJobHandler('test_count', async () => {
+        active++;
+        maxActive = Math.max(maxActive, active);
+        await sleep(30);
+        active--;
+      });
+
+      const jobs = [1, 2, 3].map(value => enqueueJob('test_count', { value }));
+      startJobWorkers({ concurrency: 2, pollMs: 20 });
+
+      for (const job of jobs) {
+        await waitForStatus(job.id, ['completed']);
+      }
+      expect(maxActive).toBe(2);
+    });
+  });
+
+  // ========================================
+  // /api/jobs routes
+  // ========================================
+
+  describe('GET /api/jobs/:id', () => {
+    it('should return the job status and result', async () => {
+      const job = enqueueJob('test_echo', { value: 7 });
+      await drainJobs();
+
+      const res = await request(app).get(`/api/jobs/${job.id}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({
+        id: job.id,
+        type: 'test_echo',
+        status: 'completed',
+        result: { echoed: 7 },
+        attempts: 1,
+        maxAttempts: 3
+      });
+    });
+
+    it('should return 404 for unknown jobs', async () => {
+      const res = await request(app).get('/api/jobs/test_nope');
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/jobs', () => {
+    it('should filter by type and status', async () => {
+      enqueueJob('test_echo', { value: 1 });
+
+      const res = await request(app).get('/api/jobs?type=test_echo&status=queued');
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0].type).toBe('test_echo');
+    });
+  });
+
+  describe('POST /api/jobs/:id/cancel', () => {
+    it('should cancel a queued job', async () => {
+      const job = enqueueJob('test_echo', { value: 1 });
+
+      const res = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.status).toBe('cancelled');
+    });
+
+    it('should return 409 for finished jobs', async () => {
+      const job = enqueueJob('test_echo', { value: 1 });
+      await drainJobs();
+
+      const res = await request(app).post(`/api/jobs/${job.id}/cancel`);
+
+      expect(res.status).toBe(409);
+      expect(res.body.error).toContain('completed');
+    });
+  });
+});
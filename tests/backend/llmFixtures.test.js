@@ -0,0 +1,211 @@
+/**
+ * Tests for LLM record/replay fixtures
+ *
+ * The "replayed interactions" suite runs the real AI services against the
+ * fixtures committed in tests/llm-fixtures, without network. To refresh them
+ * against a live provider:
+ *   LLM_FIXTURES=record npm test -- tests/backend/llmFixtures.test.js
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jest } from '@jest/globals';
+
+// Vision reads page images through pdfService; serve a fixed image instead
+jest.unstable_mockModule('../../server/services/pdfService.js', () => ({
+  getImageBase64: jest.fn(() => 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8DwHwAFBQIAX8jx0gAAAABJRU5ErkJggg=='),
+  getImageMediaType: jest.fn(() => 'image/png')
+}));
+
+// Verification and question generators read their session, subject and
+// example questions from the database
+const mockUpdateVerificationSession = jest.fn();
+const mockAddVerificationQuestion = jest.fn();
+const mockUpdateGenerationSessionStatus = jest.fn();
+const mockAddGeneratedQuestion = jest.fn();
+jest.unstable_mockModule('../../server/database.js', () => ({
+  getVerificationSessionById: jest.fn(() => ({
+    id: 'fixture-session',
+    subject_id: 'ds',
+    student_name: 'Fixture',
+    focus_areas: JSON.stringify(['Patrones de diseno']),
+    question_count: 1,
+    deliverable_id: null
+  })),
+  updateVerificationSession: mockUpdateVerificationSession,
+  addVerificationQuestion: mockAddVerificationQuestion,
+  getSubjectById: jest.fn(() => ({
+    id: 'ds',
+    name: 'Diseno de Software',
+    claudeContext: { expertise: 'diseno de software' }
+  })),
+  getGenerationSessionById: jest.fn(() => ({
+    id: 'fixture-generation',
+    subject_id: 'bda',
+    question_count: 1,
+    difficulty: 'medium',
+    topic_focus: null
+  })),
+  updateGenerationSessionStatus: mockUpdateGenerationSessionStatus,
+  addGeneratedQuestion: mockAddGeneratedQuestion,
+  getAllTopics: jest.fn(() => [{ topic: 'Tema5' }]),
+  getQuestionsByTopic: jest.fn(() => [{
+    id: 'bda_tema5_pregunta1',
+    topic: 'Tema5',
+    content: 'En el bloqueo en dos fases, la fase de crecimiento:',
+    options: { a: 'Solo adquiere bloqueos', b: 'Solo libera bloqueos', c: 'Adquiere y libera bloqueos', d: 'No usa bloqueos' }
+  }]),
+  getExamPdf: jest.fn(() => null),
+  getExamPages: jest.fn(() => []),
+  getExamPdfsBySubject: jest.fn(() => []),
+  recordValidationFailure: jest.fn(),
+  recordLlmUsage: jest.fn()
+}));
+
+const {
+  hashPrompt,
+  readFixture,
+  createRecordingProvider,
+  createReplayProvider
+} = await import('../../server/services/llmFixtures.js');
+const { setProvider, createFakeProvider, complete } = await import('../../server/services/llmProvider.js');
+const { solveQuestion } = await import('../../server/claudeService.js');
+const { processExamPage } = await import('../../server/services/visionService.js');
+const { generateVerificationQuestions } = await import('../../server/services/verificationGenerator.js');
+const { generateTestQuestions } = await import('../../server/services/questionGenerator.js');
+
+const FIXTURE_QUESTION = `Una planificacion en la que cada transaccion solo lee datos escritos por transacciones ya confirmadas es siempre:
+a) Sin cascada
+b) Estricta
+c) Serializable en conflictos
+d) Ninguna de las anteriores`;
+
+describe('llmFixtures', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+    setProvider(null);
+  });
+
+  describe('hashPrompt', () => {
+    it('should be stable for the same request', () => {
+      expect(hashPrompt({ task: 'solve', prompt: 'P' })).toBe(hashPrompt({ task: 'solve', prompt: 'P' }));
+    });
+
+    it('should depend on task, prompt and images', () => {
+      const base = hashPrompt({ task: 'solve', prompt: 'P' });
+
+      expect(hashPrompt({ task: 'vision', prompt: 'P' })).not.toBe(base);
+      expect(hashPrompt({ task: 'solve', prompt: 'Q' })).not.toBe(base);
+      expect(hashPrompt({ task: 'solve', prompt: 'P', images: [{ data: 'x', mediaType: 'image/png' }] })).not.toBe(base);
+    });
+  });
+
+  describe('record and replay', () => {
+    it('should save each interaction under its task and prompt hash', async () => {
+      setProvider(createRecordingProvider(createFakeProvider(), tmpDir));
+
+      const result = await complete('Pregunta', { task: 'solve' });
+
+      const fixture = readFixture(tmpDir, { task: 'solve', prompt: 'Pregunta' });
+      expect(fixture.response).toBe(result.text);
+      expect(fixture.provider).toBe('fake');
+      expect(fs.existsSync(path.join(tmpDir, 'solve', `${fixture.promptHash}.json`))).toBe(true);
+    });
+
+    it('should replay a recorded response', async () => {
+      setProvider(createRecordingProvider(createFakeProvider(), tmpDir));
+      const recorded = await complete('Pregunta', { task: 'verify' });
+
+      setProvider(createReplayProvider(tmpDir));
+      const replayed = await complete('Pregunta', { task: 'verify' });
+
+      expect(replayed.text).toBe(recorded.text);
+    });
+
+    it('should keep every response of a repeated prompt and replay them in order', async () => {
+      const answers = ['uno', 'dos'];
+      setProvider(createRecordingProvider({
+        name: 'scripted',
+        complete: async () => ({ text: answers.shift(), usage: { input: 1, output: 1 }, model: 'scripted' })
+      }, tmpDir));
+
+      await complete('Muestra', { task: 'solve' });
+      await complete('Muestra', { task: 'solve' });
+      expect(readFixture(tmpDir, { task: 'solve', prompt: 'Muestra' }).responses).toEqual(['uno', 'dos']);
+
+      setProvider(createReplayProvider(tmpDir));
+      const replayed = [];
+      for (let i = 0; i < 3; i++) {
+        replayed.push((await complete('Muestra', { task: 'solve' })).text);
+      }
+
+      expect(replayed).toEqual(['uno', 'dos', 'uno']);
+    });
+
+    it('should fail when replaying an unrecorded prompt', async () => {
+      setProvider(createReplayProvider(tmpDir));
+
+      await expect(complete('Sin grabar', { task: 'solve' })).rejects.toThrow('No LLM fixture for task "solve"');
+    });
+  });
+
+  describe('replayed interactions', () => {
+    const originalMode = process.env.LLM_FIXTURES;
+
+    beforeEach(() => {
+      // Replay unless the run was explicitly started in record mode
+      if (!originalMode) {
+        process.env.LLM_FIXTURES = 'replay';
+      }
+      setProvider(null);
+    });
+
+    afterEach(() => {
+      if (originalMode) {
+        process.env.LLM_FIXTURES = originalMode;
+      } else {
+        delete process.env.LLM_FIXTURES;
+      }
+    });
+
+    it('should solve a question from fixtures', async () => {
+      const result = await solveQuestion(FIXTURE_QUESTION);
+
+      expect(result.answer).toBe('a');
+      expect(result.explanation).toContain('sin cascada');
+      expect(Object.keys(result.wrongOptions)).toEqual(['b', 'c', 'd']);
+    });
+
+    it('should process an exam page from fixtures', async () => {
+      const result = await processExamPage('/fixtures/page-1.png');
+
+      expect(result.success).toBe(true);
+      expect(result.rawMarkdown).toContain('## Pregunta 1');
+    });
+
+    it('should generate verification questions from fixtures', async () => {
+      const questions = await generateVerificationQuestions('fixture-session');
+
+      expect(questions).toHaveLength(1);
+      expect(mockAddVerificationQuestion).toHaveBeenCalledTimes(1);
+      expect(mockUpdateVerificationSession).toHaveBeenCalledWith('fixture-session', { status: 'ready' });
+    });
+
+    it('should generate test questions from fixtures', async () => {
+      const questions = await generateTestQuestions('fixture-generation');
+
+      expect(questions).toHaveLength(1);
+      expect(questions[0].correctAnswer).toBe('b');
+      expect(mockAddGeneratedQuestion).toHaveBeenCalledTimes(1);
+      expect(mockUpdateGenerationSessionStatus).toHaveBeenLastCalledWith('fixture-generation', 'completed');
+    });
+  });
+});
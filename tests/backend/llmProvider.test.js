@@ -0,0 +1,336 @@
+/**
+ * Tests for the LLM provider layer
+ * Agent SDK is mocked; the Messages API provider gets an injected client
+ */
+
+import { jest } from '@jest/globals';
+
+const mockQuery = jest.fn();
+
+jest.unstable_mockModule('@anthropic-ai/claude-agent-sdk', () => ({
+  query: mockQuery
+}));
+
+const {
+  complete,
+  setProvider,
+  createProvider,
+  createAgentSdkProvider,
+  createMessagesApiProvider,
+  createFakeProvider,
+  LlmTimeoutError,
+  LlmCancelledError
+} = await import('../../server/services/llmProvider.js');
+
+const { parseClaudeResponse } = await import('../../server/claudeService.js');
+
+async function* createMessageIterator(messages) {
+  for (const msg of messages) {
+    yield msg;
+  }
+}
+
+describe('llmProvider', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setProvider(null);
+  });
+
+  afterAll(() => {
+    setProvider(null);
+  });
+
+  describe('createProvider', () => {
+    it('should create each known provider', () => {
+      expect(createProvider('agent-sdk').name).toBe('agent-sdk');
+      expect(createProvider('fake').name).toBe('fake');
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider('nope')).toThrow('Unknown LLM provider: nope');
+    });
+  });
+
+  describe('agent-sdk provider', () => {
+    it('should accumulate assistant text blocks', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Hola ' }] } },
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'mundo' }] } },
+        { type: 'result', subtype: 'success', result: 'ignored' }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.text).toBe('Hola mundo');
+      expect(mockQuery.mock.calls[0][0].prompt).toBe('Hi');
+    });
+
+    it('should report the model from the init message', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'system', subtype: 'init', model: 'claude-sonnet-4-5' },
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Hola' }] } }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.model).toBe('claude-sonnet-4-5');
+    });
+
+    it('should fall back to the result message', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'result', subtype: 'success', result: 'Solo resultado' }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.text).toBe('Solo resultado');
+    });
+
+    it('should join text blocks and skip other block types', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'assistant', message: { content: [
+          { type: 'tool_use', id: 'tool1', name: 'Read', input: {} },
+          { type: 'text', text: 'Primera ' },
+          { type: 'text', text: 'parte' }
+        ] } }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.text).toBe('Primera parte');
+    });
+
+    it.each([
+      ['empty', { content: [] }],
+      ['null', { content: null }],
+      ['missing', {}]
+    ])('should fall back to the result message when assistant content is %s', async (_, message) => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'assistant', message },
+        { type: 'result', subtype: 'success', result: 'Desde resultado' }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.text).toBe('Desde resultado');
+    });
+
+    it('should ignore a result message without result text', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'result', subtype: 'success' },
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Respuesta' }] } }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.text).toBe('Respuesta');
+    });
+
+    it('should report token usage and cost from the result message', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Hola' }] } },
+        {
+          type: 'result',
+          subtype: 'success',
+          result: 'Hola',
+          total_cost_usd: 0.0123,
+          usage: { input_tokens: 10, cache_creation_input_tokens: 100, cache_read_input_tokens: 5, output_tokens: 7 }
+        }
+      ]));
+
+      const result = await createAgentSdkProvider().complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result.usage).toEqual({ input: 115, output: 7, costUsd: 0.0123 });
+    });
+
+    it('should forward partial text deltas when streaming', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'Ho' } } },
+        { type: 'stream_event', event: { type: 'content_block_delta', delta: { type: 'text_delta', text: 'la' } } },
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Hola' }] } }
+      ]));
+      const deltas = [];
+
+      const result = await createAgentSdkProvider().complete({
+        prompt: 'Hi',
+        abortController: new AbortController(),
+        onText: (text) => deltas.push(text)
+      });
+
+      expect(deltas).toEqual(['Ho', 'la']);
+      expect(result.text).toBe('Hola');
+      expect(mockQuery.mock.calls[0][0].options.includePartialMessages).toBe(true);
+    });
+
+    it('should emit whole blocks when no partial messages arrive', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([
+        { type: 'assistant', message: { content: [{ type: 'text', text: 'Bloque' }] } }
+      ]));
+      const deltas = [];
+
+      await createAgentSdkProvider().complete({
+        prompt: 'Hi',
+        abortController: new AbortController(),
+        onText: (text) => deltas.push(text)
+      });
+
+      expect(deltas).toEqual(['Bloque']);
+    });
+
+    it('should send images as a streamed user message', async () => {
+      mockQuery.mockReturnValue(createMessageIterator([]));
+
+      await createAgentSdkProvider().complete({
+        prompt: 'Describe',
+        images: [{ data: 'BASE64', mediaType: 'image/png' }],
+        abortController: new AbortController()
+      });
+
+      const messages = [];
+      for await (const msg of mockQuery.mock.calls[0][0].prompt) {
+        messages.push(msg);
+      }
+      const content = messages[0].message.content;
+      expect(content[0]).toEqual({
+        type: 'image',
+        source: { type: 'base64', media_type: 'image/png', data: 'BASE64' }
+      });
+      expect(content[1]).toEqual({ type: 'text', text: 'Describe' });
+    });
+  });
+
+  describe('messages-api provider', () => {
+    it('should call messages.create and report usage', async () => {
+      const create = jest.fn().mockResolvedValue({
+        content: [{ type: 'text', text: 'Respuesta' }],
+        usage: { input_tokens: 12, output_tokens: 5 }
+      });
+      const provider = createMessagesApiProvider({ model: 'test-model', maxTokens: 100, client: { messages: { create } } });
+
+      const result = await provider.complete({ prompt: 'Hi', abortController: new AbortController() });
+
+      expect(result).toEqual({ text: 'Respuesta', usage: { input: 12, output: 5 }, model: 'test-model' });
+      const [body, options] = create.mock.calls[0];
+      expect(body.model).toBe('test-model');
+      expect(body.max_tokens).toBe(100);
+      expect(body.messages[0].content).toEqual([{ type: 'text', text: 'Hi' }]);
+      expect(options.signal).toBeDefined();
+    });
+
+    it('should use messages.stream when streaming', async () => {
+      const handlers = {};
+      const stream = {
+        on: jest.fn((event, handler) => { handlers[event] = handler; }),
+        finalMessage: jest.fn(async () => {
+          handlers.text('Res');
+          handlers.text('puesta');
+          return { content: [{ type: 'text', text: 'Respuesta' }], usage: { input_tokens: 1, output_tokens: 2 } };
+        })
+      };
+      const client = { messages: { create: jest.fn(), stream: jest.fn(() => stream) } };
+      const deltas = [];
+
+      const result = await createMessagesApiProvider({ client }).complete({
+        prompt: 'Hi',
+        abortController: new AbortController(),
+        onText: (text) => deltas.push(text)
+      });
+
+      expect(deltas).toEqual(['Res', 'puesta']);
+      expect(result.text).toBe('Respuesta');
+      expect(client.messages.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('fake provider', () => {
+    it('should return the same solve answer for the same prompt', async () => {
+      const provider = createFakeProvider();
+
+      const first = await provider.complete({ prompt: 'Pregunta X', task: 'solve' });
+      const second = await provider.complete({ prompt: 'Pregunta X', task: 'solve' });
+
+      expect(first.text).toBe(second.text);
+      expect(['a', 'b', 'c', 'd']).toContain(parseClaudeResponse(first.text).answer);
+    });
+
+    it('should return parseable JSON arrays for generation tasks', async () => {
+      const provider = createFakeProvider();
+
+      const generated = JSON.parse((await provider.complete({ prompt: 'p', task: 'generate' })).text);
+      const verification = JSON.parse((await provider.complete({ prompt: 'p', task: 'verify' })).text);
+
+      expect(generated[0].options).toHaveProperty('d');
+      expect(verification[0].content).toBeTruthy();
+    });
+
+    it('should return question markdown for vision tasks', async () => {
+      const result = await createFakeProvider().complete({ prompt: 'p', task: 'vision' });
+
+      expect(result.text).toContain('## Pregunta 1');
+    });
+  });
+
+  describe('complete', () => {
+    it('should use the active provider', async () => {
+      setProvider(createFakeProvider());
+
+      const result = await complete('Pregunta', { task: 'vision' });
+
+      expect(result.text).toContain('## Pregunta 1');
+      expect(mockQuery).not.toHaveBeenCalled();
+    });
+
+    it('should throw LlmTimeoutError when the timeout fires', async () => {
+      setProvider({
+        name: 'slow',
+        complete: ({ abortController }) => new Promise((resolve, reject) => {
+          abortController.signal.addEventListener('abort', () => {
+            const error = new Error('Aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        })
+      });
+
+      await expect(complete('Hi', { timeoutMs: 10 })).rejects.toBeInstanceOf(LlmTimeoutError);
+    });
+
+    it('should throw LlmCancelledError when the caller signal aborts', async () => {
+      setProvider({
+        name: 'slow',
+        complete: ({ abortController }) => new Promise((resolve, reject) => {
+          abortController.signal.addEventListener('abort', () => {
+            const error = new Error('Aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        })
+      });
+      const controller = new AbortController();
+
+      const pending = complete('Hi', { signal: controller.signal });
+      controller.abort();
+
+      await expect(pending).rejects.toBeInstanceOf(LlmCancelledError);
+    });
+
+    it('should not call the provider when the signal is already aborted', async () => {
+      const provider = { name: 'spy', complete: jest.fn() };
+      setProvider(provider);
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(complete('Hi', { signal: controller.signal })).rejects.toBeInstanceOf(LlmCancelledError);
+      expect(provider.complete).not.toHaveBeenCalled();
+    });
+
+    it('should rethrow other provider errors unchanged', async () => {
+      setProvider({
+        name: 'broken',
+        complete: async () => { throw new Error('Rate limited'); }
+      });
+
+      await expect(complete('Hi')).rejects.toThrow('Rate limited');
+    });
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Integration Tests for Mock Exam Routes (routes/mockExam.js)
+ * Printable exam and answer key PDFs
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import express from 'express';
+import request from 'supertest';
+import { PDFDocument } from 'pdf-lib';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  upsertQuestion,
+  getQuestionsBySubject,
+  cacheSolution,
+  createGenerationSession,
+  addGeneratedQuestion
+} from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'MOCK_EXAM_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+function binaryParser(res, callback) {
+  const chunks = [];
+  res.on('data', chunk => chunks.push(chunk));
+  res.on('end', () => callback(null, Buffer.concat(chunks)));
+}
+
+describe('Mock Exam Routes Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+  });
+
+  beforeEach(() => {
+    createSubject({ id: SUBJECT, name: 'Mock Exam Test', methodology: ['test'], modes: ['test'] });
+    upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'Tema1', question_number: 1, content: 'Q1', options: { a: 'A', b: 'B' } });
+    upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: 'Tema2', question_number: 1, content: 'Q2', options: { a: 'A', b: 'B' } });
+    cacheSolution({ question_id: testId('q1'), correct_answer: 'b', explanation: 'Explicacion', wrong_options: {} });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM generated_test_questions WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM generation_sessions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  function getPdf(path) {
+    return request(app).get(path).buffer(true).parse(binaryParser);
+  }
+
+  describe('GET /api/mock-exam/:subjectId/:document', () => {
+    it('should print an exam draw in the given order', async () => {
+      const res = await getPdf(`/api/mock-exam/${SUBJECT}/exam?questionIds=${testId('q2')},${testId('q1')}&title=Simulacro`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/pdf');
+      expect(res.headers['content-disposition']).toContain(`${SUBJECT}_examen.pdf`);
+
+      const doc = await PDFDocument.load(res.body);
+      expect(doc.getTitle()).toBe('Mock Exam Test - Simulacro');
+    });
+
+    it('should print the answer key of a topic', async () => {
+      const res = await getPdf(`/api/mock-exam/${SUBJECT}/key?topic=Tema1`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain(`${SUBJECT}_plantilla.pdf`);
+      expect(res.body.subarray(0, 5).toString()).toBe('%PDF-');
+    });
+
+    it('should load a topic file that was never opened', async () => {
+      const subjectId = testId('files');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-exam-'));
+      fs.writeFileSync(path.join(dir, 'DS_Intro.md'), '## Pregunta 1\n\nPrimera\n\na) Si\nb) No\n');
+      createSubject({
+        id: subjectId,
+        name: 'Mock Exam Files',
+        methodology: ['test'],
+        modes: ['test'],
+        config: { questionSource: { directory: dir, filePattern: 'DS_{topic}.md', idPrefix: TEST_PREFIX } }
+      });
+
+      try {
+        const res = await getPdf(`/api/mock-exam/${subjectId}/exam?topic=Intro`);
+
+        expect(res.status).toBe(200);
+        expect(getQuestionsBySubject(subjectId, 'Intro')).toHaveLength(1);
+      } finally {
+        db.prepare(`DELETE FROM questions WHERE subject_id = ?`).run(subjectId);
+        db.prepare(`DELETE FROM topics WHERE subject_id = ?`).run(subjectId);
+        fs.rmSync(dir, { recursive: true });
+      }
+    });
+
+    it('should print a generated session', async () => {
+      createGenerationSession({ id: testId('session'), subjectId: SUBJECT });
+      addGeneratedQuestion({
+        sessionId: testId('session'),
+        questionNumber: 1,
+        content: 'Pregunta generada',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' },
+        correctAnswer: 'c',
+        explanation: 'Explicacion generada'
+      });
+
+      const res = await getPdf(`/api/mock-exam/${SUBJECT}/exam?sessionId=${testId('session')}`);
+      expect(res.status).toBe(200);
+    });
+
+    it('should require a selection', async () => {
+      const res = await request(app).get(`/api/mock-exam/${SUBJECT}/exam`);
+      expect(res.status).toBe(400);
+    });
+
+    it('should reject unknown documents', async () => {
+      const res = await request(app).get(`/api/mock-exam/${SUBJECT}/solutions?topic=Tema1`);
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown subjects, questions or empty topics', async () => {
+      expect((await request(app).get(`/api/mock-exam/${testId('none')}/exam?topic=Tema1`)).status).toBe(404);
+      expect((await request(app).get(`/api/mock-exam/${SUBJECT}/exam?questionIds=${testId('q1')},nope`)).status).toBe(404);
+      expect((await request(app).get(`/api/mock-exam/${SUBJECT}/exam?topic=Nada`)).status).toBe(404);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * Integration Tests for Moodle Routes (routes/moodle.js)
+ * Question bank export to and import from Moodle GIFT / XML
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  upsertQuestion,
+  cacheSolution,
+  setOfficialAnswer,
+  getOfficialAnswer,
+  getCachedSolution,
+  getQuestionById
+} from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'MOODLE_ROUTE_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SOURCE = testId('src');
+const TARGET = testId('dst');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Moodle Routes Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+  });
+
+  beforeEach(() => {
+    for (const id of [SOURCE, TARGET]) {
+      createSubject({ id, name: `Moodle ${id}`, methodology: ['test'], modes: ['test'] });
+    }
+    upsertQuestion({ id: testId('q1'), subject_id: SOURCE, topic: 'Tema1', question_number: 1, content: 'Q1', options: { a: 'A', b: 'B', c: 'C', d: 'D' } });
+    upsertQuestion({ id: testId('q2'), subject_id: SOURCE, topic: 'Tema1', question_number: 2, content: 'Q2', options: { a: 'A', b: 'B', c: 'C' }, question_type: 'multiple' });
+    upsertQuestion({ id: testId('q3'), subject_id: SOURCE, topic: 'Tema2', question_number: 1, content: 'Q3', options: {}, question_type: 'numeric', answer_tolerance: 0.5 });
+    upsertQuestion({ id: testId('q4'), subject_id: SOURCE, topic: 'Tema2', question_number: 2, content: 'Q4 sin respuesta', options: { a: 'A', b: 'B' } });
+
+    cacheSolution({ question_id: testId('q1'), correct_answer: 'b', explanation: 'Porque B', wrong_options: { a: 'A no', c: 'C no', d: 'D no' } });
+    setOfficialAnswer({ question_id: testId('q2'), answer: 'a,c', source: 'manual' });
+    cacheSolution({ question_id: testId('q3'), correct_answer: '12.5', explanation: 'Cuenta', wrong_options: {} });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM official_answers WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  async function exportBank(format, query = '') {
+    return request(app)
+      .get(`/api/moodle/${SOURCE}/export?format=${format}${query}`)
+      .buffer(true)
+      .parse((res, callback) => {
+        let text = '';
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => callback(null, text));
+      });
+  }
+
+  // ========================================
+  // GET /api/moodle/:subjectId/export
+  // ========================================
+
+  describe('GET /api/moodle/:subjectId/export', () => {
+    it('should export answered questions as GIFT', async () => {
+      const res = await exportBank('gift');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain(`${SOURCE}.gift`);
+      expect(res.body).toContain(`::${testId('q1')}::`);
+      expect(res.body).toContain('~A#A no');
+      expect(res.body).toContain('####Porque B');
+      expect(res.body).toContain('=12.5:0.5');
+    });
+
+    it('should list questions without an answer in a comment', async () => {
+      const res = await exportBank('gift');
+
+      expect(res.body).not.toContain(`::${testId('q4')}::`);
+      expect(res.body).toContain(`(no exportadas): ${testId('q4')}`);
+    });
+
+    it('should export Moodle XML for one topic', async () => {
+      const res = await exportBank('xml', '&topic=Tema1');
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('application/xml');
+      expect(res.body).toContain('<single>false</single>');
+      expect(res.body).not.toContain(testId('q3'));
+    });
+
+    it('should leave out feedback that argues for a different answer', async () => {
+      setOfficialAnswer({ question_id: testId('q1'), answer: 'c', source: 'manual' });
+
+      const res = await exportBank('gift', '&topic=Tema1');
+
+      expect(res.body).toContain('=C');
+      expect(res.body).not.toContain('Porque B');
+    });
+
+    it('should reject unknown formats', async () => {
+      const res = await request(app).get(`/api/moodle/${SOURCE}/export?format=csv`);
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown subjects or empty banks', async () => {
+      expect((await request(app).get(`/api/moodle/${testId('none')}/export`)).status).toBe(404);
+      expect((await request(app).get(`/api/moodle/${TARGET}/export`)).status).toBe(404);
+    });
+  });
+
+  // ========================================
+  // POST /api/moodle/:subjectId/import
+  // ========================================
+
+  describe('POST /api/moodle/:subjectId/import', () => {
+    it('should import an exported bank into another subject', async () => {
+      const exported = await exportBank('xml');
+
+      const res = await request(app)
+        .post(`/api/moodle/${TARGET}/import`)
+        .send({ content: exported.body });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.format).toBe('xml');
+      expect(res.body.data.imported).toBe(3);
+
+      const imported = res.body.data.questionIds.map(id => getQuestionById(id, TARGET));
+      expect(imported.map(q => q.topic)).toEqual(['Tema1', 'Tema1', 'Tema2']);
+      expect(imported[1].question_type).toBe('multiple');
+      expect(imported[2].answer_tolerance).toBe(0.5);
+
+      expect(getOfficialAnswer(imported[0].id)).toMatchObject({ answer: 'b', source: 'import' });
+      expect(getCachedSolution(imported[0].id)).toMatchObject({
+        correct_answer: 'b',
+        explanation: 'Porque B',
+        wrong_options: { a: 'A no', c: 'C no', d: 'D no' }
+      });
+    });
+
+    it('should accept a GIFT file upload', async () => {
+      const gift = '::Suma::Cuanto es 2+2?{#4}\n\n::Tabla::Una tabla es{=una relacion ~un indice#No}';
+
+      const res = await request(app)
+        .post(`/api/moodle/${TARGET}/import`)
+        .field('topic', 'Compañeros')
+        .attach('file', Buffer.from(gift), 'banco.gift');
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toMatchObject({ format: 'gift', imported: 2, skipped: [] });
+      expect(getQuestionById(res.body.data.questionIds[0], TARGET).topic).toBe('Compañeros');
+    });
+
+    it('should skip questions already in the bank and unsupported types', async () => {
+      // Otra has the same statement and options as q1
+      const content = `::${testId('q1')}::Q1{=B ~A}\n\n::Otra::Q1{=A ~B ~C ~D}\n\n::Ensayo::Explica ACID{}`;
+
+      const res = await request(app)
+        .post(`/api/moodle/${SOURCE}/import`)
+        .send({ content, topic: 'Tema1' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.imported).toBe(0);
+      expect(res.body.data.skipped).toEqual([
+        { name: 'Ensayo', reason: 'Unsupported question type: essay' },
+        { name: testId('q1'), reason: 'Already in the bank' },
+        { name: 'Otra', reason: 'Already in the bank' }
+      ]);
+    });
+
+    it('should require content', async () => {
+      const res = await request(app).post(`/api/moodle/${TARGET}/import`).send({});
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown subjects', async () => {
+      const res = await request(app)
+        .post(`/api/moodle/${testId('none')}/import`)
+        .send({ content: '::Q::T{T}' });
+      expect(res.status).toBe(404);
+    });
+  });
+});
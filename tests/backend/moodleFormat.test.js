@@ -0,0 +1,194 @@
+/**
+ * Tests for Moodle GIFT / XML question bank conversion
+ */
+
+import {
+  parseGift,
+  toGift,
+  parseMoodleXml,
+  toMoodleXml,
+  detectMoodleFormat,
+  parseMoodle,
+  formatMoodle
+} from '../../server/services/moodleFormat.js';
+
+const ITEMS = [
+  {
+    name: 'bda_tema1_q1',
+    topic: 'Tema1',
+    content: 'Que devuelve {x} = 1?\n\nSegunda linea',
+    options: { a: 'Uno', b: 'Dos #2', c: 'Tres' },
+    questionType: 'single',
+    tolerance: null,
+    answer: 'b',
+    explanation: 'Porque si',
+    wrongOptions: { a: 'No es uno', c: 'Tampoco' }
+  },
+  {
+    name: 'bda_tema1_q2',
+    topic: 'Tema1',
+    content: 'Marca las correctas',
+    options: { a: 'A', b: 'B', c: 'C', d: 'D' },
+    questionType: 'multiple',
+    tolerance: null,
+    answer: 'a,c',
+    explanation: null,
+    wrongOptions: { b: 'B no' }
+  },
+  {
+    name: 'bda_tema2_q1',
+    topic: 'Tema2',
+    content: 'Calcula el coste',
+    options: {},
+    questionType: 'numeric',
+    tolerance: 0.5,
+    answer: '12.5',
+    explanation: 'Cuenta de bloques',
+    wrongOptions: {}
+  },
+  {
+    name: 'bda_tema2_q2',
+    topic: 'Tema2',
+    content: 'FNBC implica 3FN',
+    options: { a: 'Verdadero', b: 'Falso' },
+    questionType: 'single',
+    tolerance: null,
+    answer: 'a',
+    explanation: 'Por definicion',
+    wrongOptions: { b: 'Toda relacion en FNBC esta en 3FN' }
+  }
+];
+
+describe('moodleFormat', () => {
+  describe('round trip', () => {
+    it.each(['gift', 'xml'])('should read back what it writes as %s', (format) => {
+      const text = formatMoodle(ITEMS, format, { notes: ['Exportado para pruebas'] });
+      const { items, skipped } = parseMoodle(text, format);
+
+      expect(skipped).toEqual([]);
+      expect(items).toEqual(ITEMS);
+    });
+
+    it('should write per-option feedback from wrong_options', () => {
+      const gift = toGift([ITEMS[0]]);
+      expect(gift).toContain('~Uno#No es uno');
+      expect(gift).toContain('=Dos \\#2');
+      expect(gift).toContain('####Porque si');
+
+      const xml = toMoodleXml([ITEMS[0]]);
+      expect(xml).toContain('<question type="multichoice">');
+      expect(xml).toContain('<![CDATA[No es uno]]>');
+    });
+
+    it('should write topics as categories and notes as comments', () => {
+      const gift = toGift(ITEMS, { notes: ['Sin respuesta: q9'] });
+      expect(gift).toContain('// Sin respuesta: q9');
+      expect(gift).toContain('$CATEGORY: $course$/top/Tema2');
+    });
+  });
+
+  describe('parseGift', () => {
+    const gift = `// Export de un compañero
+$CATEGORY: $course$/top/Default for BDA/Normalizacion
+
+::Q1:: [html]<p>Que es &lt;b&gt;?</p>{
+~Una <b>tabla</b>#No
+=Un arbol#Bien
+~%50%Medio
+}
+
+::TF::La tierra es plana{F#Si lo es#Correcto}
+
+::Num::Cuanto es 2+2?{#4..6}
+
+::SA::Capital de Francia{=Paris}
+
+::M::Empareja{=a -> b =c -> d =e -> f}
+`;
+
+    it('should read choice, true/false and numeric questions', () => {
+      const { items } = parseGift(gift);
+
+      expect(items).toHaveLength(3);
+      expect(items[0]).toMatchObject({
+        name: 'Q1',
+        topic: 'Normalizacion',
+        content: 'Que es <b>?',
+        options: { a: 'Una tabla', b: 'Un arbol', c: 'Medio' },
+        questionType: 'single',
+        answer: 'b',
+        wrongOptions: { a: 'No' }
+      });
+      expect(items[1]).toMatchObject({ options: { a: 'Verdadero', b: 'Falso' }, answer: 'b', wrongOptions: { a: 'Si lo es' } });
+      expect(items[2]).toMatchObject({ questionType: 'numeric', answer: '5', tolerance: 1 });
+    });
+
+    it('should report question types it cannot store', () => {
+      const { skipped } = parseGift(gift);
+
+      expect(skipped).toEqual([
+        { name: 'SA', reason: 'Unsupported question type: shortanswer' },
+        { name: 'M', reason: 'Unsupported question type: matching' }
+      ]);
+    });
+  });
+
+  describe('parseMoodleXml', () => {
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<quiz>
+  <question type="category">
+    <category><text>$course$/top/Transacciones</text></category>
+  </question>
+  <question type="multichoice">
+    <name><text>Bloqueos</text></name>
+    <questiontext format="html"><text><![CDATA[<p>Que protocolo evita <i>cascadas</i>?</p>]]></text></questiontext>
+    <generalfeedback format="html"><text>Ver tema 5</text></generalfeedback>
+    <single>false</single>
+    <answer fraction="50"><text>2PL estricto</text><feedback><text>Si</text></feedback></answer>
+    <answer fraction="50"><text>2PL riguroso</text></answer>
+    <answer fraction="-100"><text>2PL basico</text><feedback><text>Permite cascadas</text></feedback></answer>
+  </question>
+  <question type="essay">
+    <name><text>Desarrollo</text></name>
+    <questiontext format="html"><text>Explica ACID</text></questiontext>
+  </question>
+</quiz>`;
+
+    it('should read multiple-answer questions with feedback', () => {
+      const { items, skipped } = parseMoodleXml(xml);
+
+      expect(items).toEqual([{
+        name: 'Bloqueos',
+        topic: 'Transacciones',
+        content: 'Que protocolo evita cascadas?',
+        options: { a: '2PL estricto', b: '2PL riguroso', c: '2PL basico' },
+        questionType: 'multiple',
+        tolerance: null,
+        answer: 'a,b',
+        explanation: 'Ver tema 5',
+        wrongOptions: { c: 'Permite cascadas' }
+      }]);
+      expect(skipped).toEqual([{ name: 'Desarrollo', reason: 'Unsupported question type: essay' }]);
+    });
+
+    it('should decode character references and keep out-of-range ones as text', () => {
+      const { items } = parseMoodleXml(`<quiz>
+  <question type="truefalse">
+    <name><text>Entidades</text></name>
+    <questiontext format="html"><text>&#xE1;rbol &amp; &#241; &#99999999;</text></questiontext>
+    <answer fraction="100"><text>true</text></answer>
+    <answer fraction="0"><text>false</text></answer>
+  </question>
+</quiz>`);
+
+      expect(items[0].content).toBe('árbol & ñ &#99999999;');
+    });
+  });
+
+  describe('detectMoodleFormat', () => {
+    it('should tell XML from GIFT', () => {
+      expect(detectMoodleFormat('<?xml version="1.0"?><quiz></quiz>')).toBe('xml');
+      expect(detectMoodleFormat('::Q1::Pregunta{T}')).toBe('gift');
+    });
+  });
+});
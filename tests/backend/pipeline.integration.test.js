@@ -1,6 +1,9 @@
 /**
  * Integration Tests for Pipeline Routes
- * Tests the REAL pipeline.js routes with mocked external services
+ * Tests the REAL pipeline.js routes with mocked PDF storage. Vision calls
+ * replay the fixtures in tests/llm-fixtures (no network); to refresh them
+ * against a live provider:
+ *   LLM_FIXTURES=record npm test -- tests/backend/pipeline.integration.test.js
  */
 
 import express from 'express';
@@ -16,35 +19,40 @@ const __dirname = path.dirname(__filename);
 const TEST_PREFIX = 'PIPELINE_INT_';
 const testId = (id) => `${TEST_PREFIX}${id}`;
 
-// Mock services before import
+// Mock services before import. Page images are not on disk: each path stands
+// in for its own image data, so vision fixture prompts stay distinct per page
+const mockGetImageBase64 = jest.fn((imagePath) => Buffer.from(imagePath).toString('base64'));
+const mockGetImageMediaType = jest.fn(() => 'image/png');
 jest.unstable_mockModule('../../server/services/pdfService.js', () => ({
   default: {
     savePdfFile: jest.fn(),
     getPdfPageCount: jest.fn(),
     extractPdfPages: jest.fn(),
-    deleteExamFiles: jest.fn()
-  }
-}));
-
-jest.unstable_mockModule('../../server/services/visionService.js', () => ({
-  default: {
-    processExamPage: jest.fn(),
-    parseExtractedQuestions: jest.fn(),
-    normalizeQuestions: jest.fn()
-  }
+    deleteExamFiles: jest.fn(),
+    getImageBase64: mockGetImageBase64,
+    getImageMediaType: mockGetImageMediaType
+  },
+  getImageBase64: mockGetImageBase64,
+  getImageMediaType: mockGetImageMediaType
 }));
 
 // Import after mocking
 const { default: pdfService } = await import('../../server/services/pdfService.js');
-const { default: visionService } = await import('../../server/services/visionService.js');
 const { default: pipelineRouter } = await import('../../server/routes/pipeline.js');
+const { drainJobs } = await import('../../server/services/jobQueue.js');
+const { setProvider } = await import('../../server/services/llmProvider.js');
+const { createReplayProvider } = await import('../../server/services/llmFixtures.js');
 import {
   db,
+  initializeDatabase,
+  seedBDASubject,
   createExamPdf,
   getExamPdf,
   createExamPage,
   createParsedQuestion,
-  getParsedQuestion
+  getParsedQuestion,
+  getQuestionById,
+  getJob
 } from '../../server/database.js';
 
 // Create test app
@@ -56,6 +64,8 @@ describe('Pipeline Routes Integration', () => {
   // Cleanup function
   const cleanupTestData = () => {
     try {
+      // Delete test jobs
+      db.prepare(`DELETE FROM jobs WHERE job_key LIKE ?`).run(`${TEST_PREFIX}%`);
       // Delete test parsed questions
       db.prepare(`DELETE FROM parsed_questions WHERE id LIKE ?`).run(`${TEST_PREFIX}%`);
       // Delete test exam pages
@@ -69,13 +79,32 @@ describe('Pipeline Routes Integration', () => {
     }
   };
 
+  const originalMode = process.env.LLM_FIXTURES;
+
+  beforeAll(() => {
+    // Exams and approved questions belong to bda, which must exist for the foreign keys
+    initializeDatabase();
+    seedBDASubject();
+    // Replay unless the run was explicitly started in record mode
+    if (!originalMode) {
+      process.env.LLM_FIXTURES = 'replay';
+    }
+  });
+
   beforeEach(() => {
     jest.clearAllMocks();
+    setProvider(null);
     cleanupTestData();
   });
 
   afterAll(() => {
     cleanupTestData();
+    if (originalMode) {
+      process.env.LLM_FIXTURES = originalMode;
+    } else {
+      delete process.env.LLM_FIXTURES;
+    }
+    setProvider(null);
   });
 
   describe('POST /api/pipeline/upload', () => {
@@ -365,37 +394,48 @@ describe('Pipeline Routes Integration', () => {
         status: 'pending'
       });
 
-      visionService.processExamPage.mockResolvedValue({
-        success: true,
-        rawMarkdown: '## Question 1\nTest question\n\na) Option A\nb) Option B',
-        tokens: { input: 100, output: 50, total: 150 }
-      });
-
-      visionService.parseExtractedQuestions.mockReturnValue([{
-        id: testId('q1'),
-        examId: testId('exam_proc'),
-        pageId: testId('page_proc'),
-        questionNumber: 1,
-        rawContent: 'Test question',
-        options: { a: 'Option A', b: 'Option B', c: 'Option C', d: 'Option D' }
-      }]);
-
-      visionService.normalizeQuestions.mockReturnValue([{
-        id: testId('q1'),
-        examId: testId('exam_proc'),
-        pageId: testId('page_proc'),
-        questionNumber: 1,
-        rawContent: 'Test question',
-        normalizedContent: 'Test question',
-        options: { a: 'Option A', b: 'Option B', c: 'Option C', d: 'Option D' }
-      }]);
-
       const res = await request(app)
         .post(`/api/pipeline/exams/${testId('exam_proc')}/process`);
 
-      expect(res.status).toBe(200);
+      expect(res.status).toBe(202);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.questionsExtracted).toBeGreaterThanOrEqual(0);
+      expect(res.body.data.jobId).toBeDefined();
+
+      await drainJobs();
+
+      const job = getJob(res.body.data.jobId);
+      expect(job.status).toBe('completed');
+      expect(job.result.questionsExtracted).toBe(1);
+      expect(job.progress).toEqual({ pagesDone: 1, pagesTotal: 1, questionsExtracted: 1 });
+      expect(getExamPdf(testId('exam_proc')).status).toBe('completed');
+
+      const question = getParsedQuestion(`${testId('exam_proc')}_pproc_q1`);
+      expect(question.normalized_content).toContain('bloqueo en dos fases');
+      expect(question.options).toEqual(expect.objectContaining({ a: 'Solo adquiere bloqueos' }));
+    });
+
+    it('should return the same job while the exam is queued', async () => {
+      createExamPdf({
+        id: testId('exam_dup'),
+        subjectId: 'bda',
+        filename: 'dup.pdf',
+        originalPath: '/path/dup.pdf',
+        pageCount: 1,
+        status: 'extracted'
+      });
+
+      createExamPage({
+        id: testId('page_dup'),
+        examId: testId('exam_dup'),
+        pageNumber: 1,
+        imagePath: '/images/dup.png',
+        status: 'pending'
+      });
+
+      const first = await request(app).post(`/api/pipeline/exams/${testId('exam_dup')}/process`);
+      const second = await request(app).post(`/api/pipeline/exams/${testId('exam_dup')}/process`);
+
+      expect(second.body.data.jobId).toBe(first.body.data.jobId);
     });
 
     it('should reject process for non-extracted exam', async () => {
@@ -452,37 +492,16 @@ describe('Pipeline Routes Integration', () => {
         status: 'pending'
       });
 
-      visionService.processExamPage.mockResolvedValue({
-        success: true,
-        rawMarkdown: '## Q1\nContent\na) A\nb) B',
-        tokens: { input: 50, output: 25, total: 75 }
-      });
-
-      visionService.parseExtractedQuestions.mockReturnValue([{
-        id: testId('q_sp'),
-        examId: testId('exam_sp'),
-        pageId: testId('page_sp'),
-        questionNumber: 1,
-        rawContent: 'Content',
-        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
-      }]);
-
-      visionService.normalizeQuestions.mockReturnValue([{
-        id: testId('q_sp'),
-        examId: testId('exam_sp'),
-        pageId: testId('page_sp'),
-        questionNumber: 1,
-        rawContent: 'Content',
-        normalizedContent: 'Content',
-        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
-      }]);
-
       const res = await request(app)
         .post(`/api/pipeline/exams/${testId('exam_sp')}/process-page/${testId('page_sp')}`);
 
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
-      expect(res.body.data.questionsFound).toBeGreaterThanOrEqual(0);
+      expect(res.body.data.questionsFound).toBe(2);
+      expect(res.body.data.questions.map(q => q.id)).toEqual([
+        `${testId('exam_sp')}_psp_q3`,
+        `${testId('exam_sp')}_psp_q4`
+      ]);
     });
 
     it('should return 404 for non-existent page', async () => {
@@ -725,6 +744,39 @@ describe('Pipeline Routes Integration', () => {
       expect(res.status).toBe(400);
       expect(res.body.error).toContain('2 options');
     });
+
+    it('should approve a numeric question without options and keep its tolerance', async () => {
+      createExamPdf({
+        id: testId('exam_num'),
+        subjectId: 'bda',
+        filename: 'num.pdf',
+        originalPath: '/path/num.pdf',
+        pageCount: 1,
+        status: 'completed'
+      });
+
+      createParsedQuestion({
+        id: testId('pq_numeric'),
+        examId: testId('exam_num'),
+        questionNumber: 3,
+        rawContent: 'Cuantos bloques se leen? [NUMERICA ±1]',
+        normalizedContent: 'Cuantos bloques se leen?',
+        options: null,
+        questionType: 'numeric',
+        answerTolerance: 1,
+        status: 'pending'
+      });
+
+      const res = await request(app)
+        .post(`/api/pipeline/questions/${testId('pq_numeric')}/approve`)
+        .send({ topic: 'TestTopic' });
+
+      const approved = getQuestionById(res.body.data.questionId);
+      db.prepare('DELETE FROM questions WHERE id = ?').run(res.body.data.questionId);
+      expect(res.status).toBe(200);
+      expect(approved.question_type).toBe('numeric');
+      expect(approved.answer_tolerance).toBe(1);
+    });
   });
 
   describe('POST /api/pipeline/questions/:questionId/reject', () => {
@@ -816,6 +868,38 @@ describe('Pipeline Routes Integration', () => {
       expect(res.body.data.approved).toBeGreaterThanOrEqual(0);
     });
 
+    it('should carry the question type to the approved questions', async () => {
+      createExamPdf({
+        id: testId('exam_types'),
+        subjectId: 'bda',
+        filename: 'types.pdf',
+        originalPath: '/path/types.pdf',
+        pageCount: 1,
+        status: 'completed'
+      });
+
+      createParsedQuestion({
+        id: testId('pq_multiple'),
+        examId: testId('exam_types'),
+        questionNumber: 1,
+        rawContent: 'Marca las correctas [MULTIPLE]',
+        normalizedContent: 'Marca las correctas',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' },
+        questionType: 'multiple',
+        status: 'pending'
+      });
+
+      const res = await request(app)
+        .post(`/api/pipeline/exams/${testId('exam_types')}/approve-all`)
+        .send({ topic: 'BulkTopic' });
+
+      const approvedId = `bda_exam_${testId('exam_types')}_q1`;
+      const approved = getQuestionById(approvedId);
+      db.prepare('DELETE FROM questions WHERE id = ?').run(approvedId);
+      expect(res.body.data.approved).toBe(1);
+      expect(approved.question_type).toBe('multiple');
+    });
+
     it('should skip questions with insufficient options', async () => {
       createExamPdf({
         id: testId('exam_skip'),
@@ -876,7 +960,7 @@ describe('Pipeline Routes Integration', () => {
       expect(res.body.success).toBe(false);
     });
 
-    it('should handle visionService errors in process', async () => {
+    it('should handle vision errors in process', async () => {
       createExamPdf({
         id: testId('exam_err'),
         subjectId: 'bda',
@@ -894,17 +978,16 @@ describe('Pipeline Routes Integration', () => {
         status: 'pending'
       });
 
-      visionService.processExamPage.mockResolvedValue({
-        success: false,
-        error: 'Vision API error'
-      });
+      // Nothing is recorded for this page, so the vision call fails (replay even when recording)
+      setProvider(createReplayProvider());
 
       const res = await request(app)
         .post(`/api/pipeline/exams/${testId('exam_err')}/process`);
+      await drainJobs();
 
       // Should still complete but with 0 questions
-      expect(res.status).toBe(200);
-      expect(res.body.data.questionsExtracted).toBe(0);
+      expect(res.status).toBe(202);
+      expect(getJob(res.body.data.jobId).result.questionsExtracted).toBe(0);
     });
   });
 });
@@ -0,0 +1,119 @@
+/**
+ * Integration Tests for Question Events Routes (routes/questionEvents.js)
+ * Server-Sent Events for question file changes
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import express from 'express';
+import { db, initializeDatabase, createSubject } from '../../server/database.js';
+import { syncTopicQuestions } from '../../server/services/questionIngest.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'QUESTION_EVENTS_TEST_';
+const SUBJECT = `${TEST_PREFIX}ds`;
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+/**
+ * Open an event stream and collect its events until `until` returns true
+ */
+function collectEvents(port, url, until) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({ port, path: url }, res => {
+      let buffer = '';
+      res.setEncoding('utf-8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        for (const block of blocks) {
+          const event = block.match(/^event: (.*)$/m)?.[1];
+          const data = block.match(/^data: (.*)$/m)?.[1];
+          if (!event) continue;
+          events.push({ event, data: JSON.parse(data) });
+          if (until(events, res)) {
+            req.destroy();
+            resolve(events);
+          }
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+describe('Question Events Routes Integration Tests', () => {
+  let server;
+  let port;
+  let dir;
+
+  beforeAll(async () => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-events-'));
+    fs.writeFileSync(path.join(dir, 'DS_Intro.md'), `## Pregunta 1
+
+Que es un patron?
+
+a) Una solucion
+b) Un lenguaje
+`);
+    cleanupTestData();
+    createSubject({
+      id: SUBJECT,
+      name: 'Events Test',
+      methodology: ['test'],
+      modes: ['test'],
+      config: { questionSource: { directory: dir, filePattern: 'DS_{topic}.md', idPrefix: TEST_PREFIX } }
+    });
+
+    server = createTestApp().listen(0);
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+    cleanupTestData();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  function cleanupTestData() {
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM topics WHERE subject_id = ?`).run(SUBJECT);
+    db.prepare(`DELETE FROM subjects WHERE id = ?`).run(SUBJECT);
+  }
+
+  describe('GET /api/question-events', () => {
+    it('should stream the changes of a subject', async () => {
+      const events = await collectEvents(port, `/api/question-events?subjectId=${SUBJECT}`, (events, res) => {
+        expect(res.headers['content-type']).toContain('text/event-stream');
+        if (events.length === 1) {
+          // Connected: change the topic
+          syncTopicQuestions('Intro', SUBJECT);
+        }
+        return events.length === 2;
+      });
+
+      expect(events).toEqual([
+        { event: 'ready', data: {} },
+        {
+          event: 'questions-changed',
+          data: { subjectId: SUBJECT, topic: 'Intro', added: [`${TEST_PREFIX}intro_pregunta1`], changed: [], removed: [] }
+        }
+      ]);
+    });
+  });
+});
@@ -18,6 +18,7 @@ const mockUpdateGenerationSessionStatus = jest.fn();
 const mockAddGeneratedQuestion = jest.fn();
 const mockGetQuestionsByTopic = jest.fn();
 const mockGetAllTopics = jest.fn();
+const mockRecordValidationFailure = jest.fn();
 
 jest.unstable_mockModule('../../server/database.js', () => ({
   getGenerationSessionById: mockGetGenerationSessionById,
@@ -25,7 +26,9 @@ jest.unstable_mockModule('../../server/database.js', () => ({
   updateGenerationSessionStatus: mockUpdateGenerationSessionStatus,
   addGeneratedQuestion: mockAddGeneratedQuestion,
   getQuestionsByTopic: mockGetQuestionsByTopic,
-  getAllTopics: mockGetAllTopics
+  getAllTopics: mockGetAllTopics,
+  recordValidationFailure: mockRecordValidationFailure,
+  recordLlmUsage: jest.fn()
 }));
 
 // Import the module after mocking
@@ -941,7 +944,7 @@ describe('questionGenerator', () => {
             message: {
               content: [{
                 type: 'text',
-                text: '[{"content": "Q1", "options": {"a": "A", "b": "B"}, "correctAnswer": "a", "explanation": "E"}, {"content": "Q2", "options": {"a": "A", "b": "B", "c": "C", "d": "D"}, "correctAnswer": "b", "explanation": "E2"}]'
+                text: '[{"content": "Q1", "options": {"a": "A", "b": "B", "d": "D"}, "correctAnswer": "a", "explanation": "E"}, {"content": "Q2", "options": {"a": "A", "b": "B", "c": "C", "d": "D"}, "correctAnswer": "b", "explanation": "E2"}]'
               }]
             }
           };
@@ -953,6 +956,28 @@ describe('questionGenerator', () => {
       expect(result).toHaveLength(1);
     });
 
+    it('should keep questions with three options and true/false questions', async () => {
+      setupBasicMocks();
+
+      mockQuery.mockImplementation(() => ({
+        [Symbol.asyncIterator]: async function* () {
+          yield {
+            type: 'assistant',
+            message: {
+              content: [{
+                type: 'text',
+                text: '[{"content": "Q1", "options": {"a": "A", "b": "B", "c": "C"}, "correctAnswer": "c", "explanation": "E"}, {"content": "Q2", "options": {"a": "Verdadero", "b": "Falso"}, "correctAnswer": "b", "explanation": "E2"}]'
+              }]
+            }
+          };
+        }
+      }));
+
+      const result = await generateTestQuestions('session-1');
+
+      expect(result).toHaveLength(2);
+    });
+
     it('should filter out questions with missing correctAnswer', async () => {
       setupBasicMocks();
 
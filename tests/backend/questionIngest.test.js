@@ -0,0 +1,183 @@
+/**
+ * Tests for incremental question ingest and the file watcher
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  getQuestionById,
+  getQuestionsByTopic,
+  recordAttempt,
+  cacheSolution,
+  getCachedSolution
+} from '../../server/database.js';
+import { syncTopicQuestions, onQuestionsChanged } from '../../server/services/questionIngest.js';
+import { startQuestionWatcher, stopQuestionWatcher } from '../../server/services/questionWatcher.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'INGEST_TEST_';
+const SUBJECT = `${TEST_PREFIX}ds`;
+const questionId = (number) => `${TEST_PREFIX}intro_pregunta${number}`;
+
+const question = (number, text, options = ['Si', 'No']) => `## Pregunta ${number}
+
+${text}
+
+${options.map((option, index) => `${'abcd'[index]}) ${option}`).join('\n')}
+`;
+
+describe('questionIngest', () => {
+  let dir;
+  let filePath;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-ingest-'));
+    filePath = path.join(dir, 'DS_Intro.md');
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  beforeEach(() => {
+    cleanupTestData();
+    fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda'), question(3, 'Tercera')].join('\n'));
+    createSubject({
+      id: SUBJECT,
+      name: 'Ingest Test',
+      methodology: ['test'],
+      modes: ['test'],
+      config: { questionSource: { directory: dir, filePattern: 'DS_{topic}.md', idPrefix: TEST_PREFIX } }
+    });
+  });
+
+  function cleanupTestData() {
+    db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM topics WHERE subject_id = ?`).run(SUBJECT);
+    db.prepare(`DELETE FROM subjects WHERE id = ?`).run(SUBJECT);
+  }
+
+  describe('syncTopicQuestions', () => {
+    it('should add every question on the first load', () => {
+      const result = syncTopicQuestions('Intro', SUBJECT);
+
+      expect(result.count).toBe(3);
+      expect(result.added).toEqual([questionId(1), questionId(2), questionId(3)]);
+      expect(result.changed).toEqual([]);
+      expect(result.removed).toEqual([]);
+    });
+
+    it('should apply only the differences on the next load', () => {
+      syncTopicQuestions('Intro', SUBJECT);
+      const before = getQuestionById(questionId(1)).parsed_at;
+      db.prepare(`UPDATE questions SET parsed_at = '2000-01-01 00:00:00' WHERE id = ?`).run(questionId(1));
+
+      fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda, corregida'), question(4, 'Cuarta')].join('\n'));
+      const result = syncTopicQuestions('Intro', SUBJECT);
+
+      expect(result).toEqual(expect.objectContaining({
+        count: 3,
+        added: [questionId(4)],
+        changed: [questionId(2)],
+        removed: [questionId(3)],
+        unchanged: 1
+      }));
+      expect(before).toBeTruthy();
+      expect(getQuestionById(questionId(1)).parsed_at).toBe('2000-01-01 00:00:00');
+      expect(getQuestionById(questionId(2)).content).toBe('Segunda, corregida');
+      expect(getQuestionById(questionId(3)).removed_at).toBeTruthy();
+      expect(getQuestionsByTopic('Intro', SUBJECT).map(q => q.id)).toEqual([questionId(1), questionId(2), questionId(4)]);
+    });
+
+    it('should bring back a removed question that returns to the file', () => {
+      syncTopicQuestions('Intro', SUBJECT);
+      fs.writeFileSync(filePath, question(1, 'Primera'));
+      expect(syncTopicQuestions('Intro', SUBJECT).removed).toEqual([questionId(2), questionId(3)]);
+
+      fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda')].join('\n'));
+      const result = syncTopicQuestions('Intro', SUBJECT);
+
+      expect(result.added).toEqual([questionId(2)]);
+      expect(result.removed).toEqual([]);
+      expect(getQuestionById(questionId(2)).removed_at).toBeNull();
+    });
+
+    it('should not bring back a question merged into a duplicate', () => {
+      syncTopicQuestions('Intro', SUBJECT);
+      db.prepare(`UPDATE questions SET removed_at = CURRENT_TIMESTAMP, merged_into = ? WHERE id = ?`).run(questionId(1), questionId(2));
+
+      fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda, corregida'), question(3, 'Tercera')].join('\n'));
+      const result = syncTopicQuestions('Intro', SUBJECT);
+
+      expect(result.added).toEqual([]);
+      expect(result.changed).toEqual([]);
+      expect(getQuestionById(questionId(2)).removed_at).not.toBeNull();
+    });
+
+    it('should keep attempts of removed questions and mark changed solutions stale', () => {
+      syncTopicQuestions('Intro', SUBJECT);
+      recordAttempt({ question_id: questionId(3), user_answer: 'a', correct_answer: 'a', is_correct: true });
+      cacheSolution({ question_id: questionId(2), correct_answer: 'b', explanation: 'Antes', wrong_options: {} });
+
+      fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda', ['Si', 'No', 'Depende'])].join('\n'));
+      syncTopicQuestions('Intro', SUBJECT);
+
+      const attempts = db.prepare('SELECT COUNT(*) as count FROM attempts WHERE question_id = ?').get(questionId(3));
+      expect(attempts.count).toBe(1);
+      expect(getCachedSolution(questionId(2)).stale).toBeTruthy();
+    });
+
+    it('should notify listeners only when something changed', () => {
+      const changes = [];
+      const unsubscribe = onQuestionsChanged(change => changes.push(change));
+
+      syncTopicQuestions('Intro', SUBJECT);
+      syncTopicQuestions('Intro', SUBJECT);
+      unsubscribe();
+      fs.writeFileSync(filePath, question(1, 'Primera'));
+      syncTopicQuestions('Intro', SUBJECT);
+
+      expect(changes).toEqual([
+        { subjectId: SUBJECT, topic: 'Intro', added: [questionId(1), questionId(2), questionId(3)], changed: [], removed: [] }
+      ]);
+    });
+
+    it('should fail for subjects without question files', () => {
+      expect(() => syncTopicQuestions('Intro', `${TEST_PREFIX}none`)).toThrow('No question source configured');
+    });
+  });
+
+  describe('questionWatcher', () => {
+    afterEach(() => {
+      stopQuestionWatcher();
+    });
+
+    it('should re-ingest a topic file after it is saved', async () => {
+      syncTopicQuestions('Intro', SUBJECT);
+      expect(startQuestionWatcher({ debounceMs: 50 })).toBeGreaterThan(0);
+
+      const changed = new Promise(resolve => {
+        const unsubscribe = onQuestionsChanged(change => {
+          if (change.subjectId === SUBJECT) {
+            unsubscribe();
+            resolve(change);
+          }
+        });
+      });
+
+      fs.writeFileSync(filePath, [question(1, 'Primera'), question(2, 'Segunda'), question(3, 'Tercera'), question(4, 'Nueva')].join('\n'));
+
+      await expect(changed).resolves.toEqual(expect.objectContaining({ topic: 'Intro', added: [questionId(4)] }));
+      expect(getQuestionById(questionId(4)).content).toBe('Nueva');
+    });
+  });
+});
@@ -0,0 +1,161 @@
+/**
+ * Tests for the question file linter
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { lintQuestionFile, lintSubject, countFindings } from '../../server/services/questionLinter.js';
+
+const CLEAN_FILE = `# Tema 1
+
+**Enunciado 1:** Sea R(A, B) con 1000 tuplas.
+
+## Pregunta 1
+
+En las condiciones del enunciado 1, cuantos bloques ocupa R?
+
+a) 10
+b) 20
+c) 30
+
+## Pregunta 2
+
+Coste en bloques [NUMERICA]
+`;
+
+const BROKEN_FILE = `# Tema 2
+
+## Pregunta 2
+
+En las condiciones del enunciado 7, que ocurre?
+
+a) Nada
+b) Todo
+d) Algo
+
+## Pregunta 2
+
+a) Igual
+b) igual
+c)
+c) Otra
+
+### Pregunta 3
+
+Mal encabezado
+
+## Pregunta 5
+
+Solo una opcion
+
+a) Unica
+`;
+
+describe('questionLinter', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-linter-'));
+    fs.writeFileSync(path.join(dir, 'Preguntas_Tema1.md'), CLEAN_FILE);
+    fs.writeFileSync(path.join(dir, 'Preguntas_Tema2.md'), BROKEN_FILE);
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  const lint = (topic) => lintQuestionFile(path.join(dir, `Preguntas_${topic}.md`), { topic });
+  const findRule = (findings, rule) => findings.filter(finding => finding.rule === rule);
+
+  describe('lintQuestionFile', () => {
+    it('should report nothing for a clean file', () => {
+      const { questionCount, findings } = lint('Tema1');
+
+      expect(questionCount).toBe(2);
+      expect(findings).toEqual([]);
+    });
+
+    it('should report missing, empty and repeated options with their lines', () => {
+      const { findings } = lint('Tema2');
+
+      expect(findRule(findings, 'missing-option')).toEqual([
+        expect.objectContaining({ line: 3, severity: 'error', questionNumber: 2, message: 'Option c is missing (options go up to d)' })
+      ]);
+      expect(findRule(findings, 'duplicate-option-text')).toEqual([
+        expect.objectContaining({ line: 14, severity: 'warning', message: 'Options a and b have the same text' })
+      ]);
+      expect(findRule(findings, 'duplicate-option')).toEqual([
+        expect.objectContaining({ line: 16, message: expect.stringContaining('first at line 15') })
+      ]);
+      expect(findRule(findings, 'missing-options')).toEqual([
+        expect.objectContaining({ line: 22, questionNumber: 5, message: 'No options found' })
+      ]);
+    });
+
+    it('should report empty questions and unresolved statements', () => {
+      const { findings } = lint('Tema2');
+
+      expect(findRule(findings, 'empty-content')).toEqual([
+        expect.objectContaining({ line: 11, questionNumber: 2 })
+      ]);
+      expect(findRule(findings, 'unresolved-statement')).toEqual([
+        expect.objectContaining({ line: 5, message: 'References enunciado 7, which is not defined in the file' })
+      ]);
+    });
+
+    it('should report suspicious header numbering', () => {
+      const { findings } = lint('Tema2');
+
+      expect(findRule(findings, 'numbering').map(finding => [finding.line, finding.message])).toEqual([
+        [3, 'Numbering starts at Pregunta 2'],
+        [22, 'Pregunta 5 follows Pregunta 2: 3-4 are missing']
+      ]);
+      expect(findRule(findings, 'duplicate-number')).toEqual([
+        expect.objectContaining({ line: 11, severity: 'error', questionId: 'tema2_pregunta2' })
+      ]);
+      expect(findRule(findings, 'header-format')).toEqual([
+        expect.objectContaining({ line: 18, questionId: null })
+      ]);
+    });
+
+    it('should sort findings by line', () => {
+      const lines = lint('Tema2').findings.map(finding => finding.line);
+      expect(lines).toEqual([...lines].sort((a, b) => a - b));
+    });
+
+    it('should report files that cannot be read', () => {
+      const { questionCount, findings } = lintQuestionFile(path.join(dir, 'missing.md'));
+
+      expect(questionCount).toBe(0);
+      expect(findings).toEqual([expect.objectContaining({ rule: 'parse-error', line: null })]);
+    });
+  });
+
+  describe('lintSubject', () => {
+    const subject = { id: 'ds', name: 'Diseno de Software', config: { questionSource: { directory: '', filePattern: 'Preguntas_{topic}.md' } } };
+
+    beforeAll(() => {
+      subject.config.questionSource.directory = dir;
+    });
+
+    it('should lint every topic of a subject', () => {
+      const report = lintSubject(subject);
+      const all = report.topics.flatMap(entry => entry.findings);
+
+      expect(report.topics.map(entry => entry.topic)).toEqual(['Tema1', 'Tema2']);
+      expect(report.topics[0]).toEqual(expect.objectContaining({ questionCount: 2, errors: 0, warnings: 0 }));
+      expect({ errors: report.errors, warnings: report.warnings }).toEqual(countFindings(all));
+      expect(report.topics[1].findings[0].questionId).toBe('ds_tema2_pregunta2');
+    });
+
+    it('should lint one topic', () => {
+      expect(lintSubject(subject, { topic: 'Tema1' }).topics).toHaveLength(1);
+      expect(() => lintSubject(subject, { topic: 'Tema9' })).toThrow('Questions file not found for topic: Tema9');
+    });
+
+    it('should fail for subjects without question files', () => {
+      expect(() => lintSubject({ id: 'ffi', config: null })).toThrow('No question source configured');
+    });
+  });
+});
@@ -7,7 +7,7 @@ import { jest } from '@jest/globals';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parseQuestionFile, parseAllTopics, getAvailableTopics } from '../../server/questionParser.js';
+import { parseQuestionFile, parseAnswerKey, parseAllTopics, getAvailableTopics } from '../../server/questionParser.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -311,6 +311,96 @@ What is correct? A. Alpha B. Beta C. Gamma D. Delta
       expect(questions[0].options.d).toBe('Delta');
     });
 
+    it('should parse questions with three options', () => {
+      const content = `## Pregunta 1
+
+Which one?
+
+a) First
+b) Second
+c) Third
+`;
+      const filePath = path.join(fixturesDir, 'Preguntas_ThreeOptions.md');
+      fs.writeFileSync(filePath, content);
+
+      const questions = parseQuestionFile(filePath);
+
+      expect(questions[0].options).toEqual({ a: 'First', b: 'Second', c: 'Third', d: null });
+    });
+
+    it('should parse options e) and f)', () => {
+      const content = `## Pregunta 1
+
+Which one? a) One b) Two c) Three d) Four e) Five
+
+## Pregunta 2
+
+Which one?
+
+A. One
+B. Two
+C. Three
+D. Four
+E. Five
+F. Six
+`;
+      const filePath = path.join(fixturesDir, 'Preguntas_SixOptions.md');
+      fs.writeFileSync(filePath, content);
+
+      const questions = parseQuestionFile(filePath);
+
+      expect(questions[0].options.d).toBe('Four');
+      expect(questions[0].options.e).toBe('Five');
+      expect(questions[1].options.f).toBe('Six');
+      expect(questions[1].content).toBe('Which one?');
+    });
+
+    it('should give true/false statements the options Verdadero and Falso', () => {
+      const content = `## Pregunta 1
+
+Toda relacion en FNBC esta en 3FN. (V/F)
+`;
+      const filePath = path.join(fixturesDir, 'Preguntas_TrueFalse.md');
+      fs.writeFileSync(filePath, content);
+
+      const questions = parseQuestionFile(filePath);
+
+      expect(questions[0].content).toBe('Toda relacion en FNBC esta en 3FN. (V/F)');
+      expect(questions[0].options).toEqual({ a: 'Verdadero', b: 'Falso', c: null, d: null });
+    });
+
+    it('should read the [MULTIPLE] and [NUMERICA] question type tags', () => {
+      const content = `## Pregunta 1
+
+[MULTIPLE] Cuales son formas normales?
+
+a) 1FN
+b) SQL
+c) 3FN
+d) XML
+
+## Pregunta 2
+
+[NUMERICA ±0,5] Cuantas tuplas devuelve el producto cartesiano de 3 x 4 tuplas?
+
+## Pregunta 3
+
+Pregunta normal
+
+a) A
+b) B
+`;
+      const filePath = path.join(fixturesDir, 'Preguntas_Types.md');
+      fs.writeFileSync(filePath, content);
+
+      const questions = parseQuestionFile(filePath);
+
+      expect(questions[0]).toMatchObject({ question_type: 'multiple', content: 'Cuales son formas normales?' });
+      expect(questions[1]).toMatchObject({ question_type: 'numeric', answer_tolerance: 0.5 });
+      expect(questions[1].content).toBe('Cuantas tuplas devuelve el producto cartesiano de 3 x 4 tuplas?');
+      expect(questions[2]).toMatchObject({ question_type: 'single', answer_tolerance: null });
+    });
+
     it('should handle unknown topic in filename', () => {
       const content = `## Pregunta 1
 
@@ -329,6 +419,194 @@ d) D
       expect(questions).toHaveLength(1);
       expect(questions[0].topic).toBe('Unknown');
     });
+
+    it('should take the topic and ID prefix from the options', () => {
+      const filePath = path.join(fixturesDir, 'DS-Patrones.md');
+      fs.writeFileSync(filePath, `## Pregunta 2
+
+Test
+
+a) A
+b) B
+`);
+
+      const questions = parseQuestionFile(filePath, { topic: 'Patrones', idPrefix: 'ds_' });
+
+      expect(questions[0]).toMatchObject({ id: 'ds_patrones_pregunta2', topic: 'Patrones' });
+    });
+  });
+
+  describe('parseAnswerKey', () => {
+    const writeFixture = (content) => {
+      const filePath = path.join(fixturesDir, 'Preguntas_Tema7.md');
+      fs.writeFileSync(filePath, content);
+      return filePath;
+    };
+
+    it('should read inline answer markers and remove them from the question', () => {
+      const filePath = writeFixture(`## Pregunta 1
+
+Que es un indice?
+
+a) Una tabla
+b) Una estructura de acceso
+c) Una vista
+d) Un disparador
+
+**Respuesta: b**
+
+---
+
+## Pregunta 2
+
+Cuales son formas normales? [MULTIPLE]
+
+a) 1FN
+b) SQL
+c) FNBC
+d) JSON
+
+**Respuesta:** a y c
+
+## Pregunta 3
+
+Coste en bloques [NUMERICA ±0,5]
+
+Respuesta correcta: 12,5
+`);
+
+      const questions = parseQuestionFile(filePath);
+      expect(questions[0].options.d).toBe('Un disparador');
+      expect(questions[2].content).toBe('Coste en bloques');
+
+      const key = parseAnswerKey(filePath);
+      expect(key.answers).toEqual([
+        { questionId: 'tema7_pregunta1', questionNumber: 1, answer: 'b', source: 'inline' },
+        { questionId: 'tema7_pregunta2', questionNumber: 2, answer: 'a,c', source: 'inline' },
+        { questionId: 'tema7_pregunta3', questionNumber: 3, answer: '12.5', source: 'inline' }
+      ]);
+      expect(key.missing).toEqual([]);
+      expect(key.ambiguous).toEqual([]);
+    });
+
+    it('should read a solution table at the end of the file', () => {
+      const filePath = writeFixture(`## Pregunta 1
+
+Primera
+
+a) A
+b) B
+c) C
+d) D
+
+## Pregunta 2
+
+Segunda
+
+a) A
+b) B
+c) C
+d) D
+
+## Solución
+
+| Pregunta | Respuesta |
+|----------|-----------|
+| 1 | **d** |
+| 2 | b) |
+`);
+
+      const questions = parseQuestionFile(filePath);
+      expect(questions[1].options.d).toBe('D');
+
+      const key = parseAnswerKey(filePath);
+      expect(key.answers.map(entry => [entry.questionNumber, entry.answer, entry.source])).toEqual([
+        [1, 'd', 'table'],
+        [2, 'b', 'table']
+      ]);
+    });
+
+    it('should read horizontal tables and numbered lists', () => {
+      const question = (number) => `## Pregunta ${number}\n\nTexto\n\na) A\nb) B\nc) C\n\n`;
+
+      const horizontal = parseAnswerKey(writeFixture(`${question(1)}${question(2)}## Soluciones
+
+| Pregunta | 1 | 2 |
+|---|---|---|
+| Respuesta | c | a |
+`));
+      expect(horizontal.answers.map(entry => entry.answer)).toEqual(['c', 'a']);
+
+      const list = parseAnswerKey(writeFixture(`${question(1)}${question(2)}**Respuestas**
+
+1. la opción b
+2) c, porque la a no es una clave
+`));
+      expect(list.answers.map(entry => entry.answer)).toEqual(['b', 'c']);
+    });
+
+    it('should report missing and ambiguous answers', () => {
+      const filePath = writeFixture(`## Pregunta 1
+
+Sin respuesta
+
+a) A
+b) B
+c) C
+d) D
+
+## Pregunta 2
+
+Respuesta contradictoria
+
+a) A
+b) B
+c) C
+d) D
+
+**Respuesta: a**
+
+## Pregunta 3
+
+Opcion inexistente
+
+a) A
+b) B
+c) C
+d) D
+
+## Solución
+
+| 2 | c |
+| 3 | e |
+| 9 | a |
+`);
+
+      const key = parseAnswerKey(filePath);
+
+      expect(key.answers).toEqual([]);
+      expect(key.missing).toEqual([{ questionId: 'tema7_pregunta1', questionNumber: 1 }]);
+      expect(key.ambiguous).toHaveLength(3);
+      expect(key.ambiguous[0]).toMatchObject({ questionId: 'tema7_pregunta2', reason: 'Conflicting answers: a (inline), c (table)' });
+      expect(key.ambiguous[1].reason).toMatch(/^Invalid answer "e"/);
+      expect(key.ambiguous[2]).toMatchObject({ questionId: null, questionNumber: 9 });
+    });
+
+    it('should not take the question text for an answer marker', () => {
+      const filePath = writeFixture(`## Pregunta 1
+
+Cual es la respuesta correcta: la primera o la segunda?
+
+a) La primera
+b) La segunda
+`);
+
+      const key = parseAnswerKey(filePath);
+
+      expect(key.answers).toEqual([]);
+      expect(key.missing).toHaveLength(1);
+      expect(parseQuestionFile(filePath)[0].content).toContain('respuesta correcta');
+    });
   });
 
   describe('parseAllTopics', () => {
@@ -0,0 +1,106 @@
+/**
+ * Tests for per-subject question sources
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  validateQuestionSource,
+  resolveQuestionSource,
+  getTopicFileRegex,
+  listSourceTopics,
+  getTopicFilePath,
+  getTopicRowId
+} from '../../server/services/questionSources.js';
+
+describe('questionSources', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'question-sources-'));
+    fs.writeFileSync(path.join(dir, 'DS_Tema1.md'), '## Pregunta 1');
+    fs.writeFileSync(path.join(dir, 'DS_Tema2.md'), '## Pregunta 1');
+    fs.writeFileSync(path.join(dir, 'DS_notas.txt'), 'no');
+    fs.writeFileSync(path.join(dir, 'README.md'), '# Readme');
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true });
+  });
+
+  const subject = (questionSource) => ({ id: 'ds', config: { questionSource } });
+
+  describe('validateQuestionSource', () => {
+    it('should accept a complete source', () => {
+      expect(validateQuestionSource({
+        directory: ['data', '../Preguntas'],
+        filePattern: 'Preguntas_{topic}.md',
+        topicPattern: 'Tema\\d+',
+        idPrefix: '',
+        topics: { Tema1: 'ds_tema1' }
+      })).toBeNull();
+    });
+
+    it('should reject invalid sources', () => {
+      expect(validateQuestionSource(null)).toMatch(/object/);
+      expect(validateQuestionSource({ filePattern: '{topic}.md' })).toMatch(/directory/);
+      expect(validateQuestionSource({ directory: 'd', filePattern: 'file.md' })).toMatch(/\{topic\}/);
+      expect(validateQuestionSource({ directory: 'd', filePattern: '{topic}_{topic}.md' })).toMatch(/\{topic\}/);
+      expect(validateQuestionSource({ directory: 'd', filePattern: '../{topic}.md' })).toMatch(/file name/);
+      expect(validateQuestionSource({ directory: 'd', filePattern: '{topic}.md', topicPattern: '(' })).toMatch(/regular expression/);
+      expect(validateQuestionSource({ directory: 'd', filePattern: '{topic}.md', topics: ['Tema1'] })).toMatch(/topics/);
+    });
+  });
+
+  describe('resolveQuestionSource', () => {
+    it('should return null for subjects without question files', () => {
+      expect(resolveQuestionSource({ id: 'ffi', config: null })).toBeNull();
+      expect(resolveQuestionSource(null)).toBeNull();
+    });
+
+    it('should fill in defaults and resolve relative directories', () => {
+      const source = resolveQuestionSource(subject({ directory: 'data', filePattern: 'DS_{topic}.md' }));
+
+      expect(path.isAbsolute(source.directories[0])).toBe(true);
+      expect(source.directories[0].endsWith(`${path.sep}data`)).toBe(true);
+      expect(source.idPrefix).toBe('ds_');
+      expect(source.topics).toEqual({});
+    });
+  });
+
+  describe('topic files', () => {
+    it('should list the topics matching the file pattern', () => {
+      const source = resolveQuestionSource(subject({ directory: ['/nonexistent', dir], filePattern: 'DS_{topic}.md' }));
+      expect(listSourceTopics(source)).toEqual(['Tema1', 'Tema2']);
+    });
+
+    it('should honour the topic pattern', () => {
+      const source = resolveQuestionSource(subject({ directory: dir, filePattern: 'DS_{topic}.md', topicPattern: 'Tema1' }));
+      expect(listSourceTopics(source)).toEqual(['Tema1']);
+      expect(getTopicFileRegex(source).test('DS_Tema2.md')).toBe(false);
+    });
+
+    it('should find the file of a topic and reject other names', () => {
+      const source = resolveQuestionSource(subject({ directory: dir, filePattern: 'DS_{topic}.md' }));
+
+      expect(getTopicFilePath(source, 'Tema1')).toBe(path.join(dir, 'DS_Tema1.md'));
+      expect(() => getTopicFilePath(source, 'Tema9')).toThrow('Questions file not found for topic: Tema9');
+      expect(() => getTopicFilePath(source, '../x/Tema1')).toThrow('Questions file not found');
+    });
+
+    it('should fail when no directory exists', () => {
+      const source = resolveQuestionSource(subject({ directory: '/nonexistent', filePattern: 'DS_{topic}.md' }));
+      expect(() => listSourceTopics(source)).toThrow('Questions directory not found for subject ds');
+    });
+  });
+
+  describe('getTopicRowId', () => {
+    it('should map topics to topics table rows', () => {
+      const source = resolveQuestionSource(subject({ directory: dir, filePattern: 'DS_{topic}.md', topics: { Tema1: 'ds_intro' } }));
+
+      expect(getTopicRowId(source, 'Tema1')).toBe('ds_intro');
+      expect(getTopicRowId(source, 'Tema2')).toBe('ds_tema2');
+    });
+  });
+});
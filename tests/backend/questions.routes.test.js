@@ -5,9 +5,12 @@
 
 import express from 'express';
 import request from 'supertest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { jest } from '@jest/globals';
 import questionsRouter from '../../server/routes/questions.js';
-import { db, upsertQuestion } from '../../server/database.js';
+import { db, initializeDatabase, seedBDASubject, upsertQuestion, createSubject, getOfficialAnswer } from '../../server/database.js';
 
 // Test prefix to identify test data
 const TEST_PREFIX = 'QUESTIONS_TEST_';
@@ -29,6 +32,12 @@ describe('Questions Routes', () => {
     }
   };
 
+  beforeAll(() => {
+    // Most routes default to the bda subject, which must exist for the foreign keys
+    initializeDatabase();
+    seedBDASubject();
+  });
+
   beforeEach(() => {
     cleanupTestData();
   });
@@ -388,6 +397,17 @@ describe('Questions Routes', () => {
     });
   });
 
+  describe('GET /api/questions/:topic/answer-key', () => {
+    it('should return error for non-existent topic file', async () => {
+      const res = await request(app)
+        .get('/api/questions/NonexistentTopicFile/answer-key');
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error).toBe('Questions file not found for topic: NonexistentTopicFile');
+    });
+  });
+
   // =====================================================
   // Edge Cases and Error Handling
   // =====================================================
@@ -447,4 +467,113 @@ describe('Questions Routes', () => {
       expect(q.options.a).toBe('Option A');
     });
   });
+
+  describe('Subjects with question files', () => {
+    const SUBJECT = testId('ds');
+    let dir;
+
+    const cleanupSubject = () => {
+      db.prepare(`DELETE FROM official_answers WHERE question_id LIKE ?`).run(`${TEST_PREFIX}%`);
+      db.prepare(`DELETE FROM questions WHERE subject_id = ?`).run(SUBJECT);
+      db.prepare(`DELETE FROM topics WHERE subject_id = ?`).run(SUBJECT);
+      db.prepare(`DELETE FROM subjects WHERE id = ?`).run(SUBJECT);
+    };
+
+    beforeAll(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'questions-routes-'));
+      fs.writeFileSync(path.join(dir, 'DS-Intro.md'), `## Pregunta 1
+
+Que es un patron de diseno?
+
+a) Una solucion reutilizable
+b) Un lenguaje
+c) Un framework
+d) Una base de datos
+
+**Respuesta: a**
+`);
+      fs.writeFileSync(path.join(dir, 'DS-Patrones.md'), `## Pregunta 1
+
+Singleton garantiza...
+
+a) Una instancia
+b) Dos instancias
+`);
+    });
+
+    beforeEach(() => {
+      cleanupSubject();
+      createSubject({
+        id: SUBJECT,
+        name: 'Diseno de Software',
+        methodology: ['test'],
+        modes: ['test'],
+        config: {
+          questionSource: { directory: dir, filePattern: 'DS-{topic}.md', idPrefix: TEST_PREFIX, topics: { Intro: `${SUBJECT}_introduccion` } }
+        }
+      });
+    });
+
+    afterAll(() => {
+      cleanupSubject();
+      fs.rmSync(dir, { recursive: true });
+    });
+
+    it('should list the topics of its question files', async () => {
+      const res = await request(app).get(`/api/subjects/${SUBJECT}/topics`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.topics.map(t => [t.id, t.name, t.loaded])).toEqual([
+        [`${SUBJECT}_introduccion`, 'Intro', false],
+        [`${SUBJECT}_patrones`, 'Patrones', false]
+      ]);
+    });
+
+    it('should load a topic from its file and create its topic row', async () => {
+      const res = await request(app).get(`/api/subjects/${SUBJECT}/questions/Intro`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data[0].id).toBe(`${TEST_PREFIX}intro_pregunta1`);
+      expect(getOfficialAnswer(`${TEST_PREFIX}intro_pregunta1`)).toMatchObject({ answer: 'a', source: 'markdown' });
+
+      const topics = await request(app).get(`/api/subjects/${SUBJECT}/topics`);
+      expect(topics.body.topics[0]).toMatchObject({ title: 'Intro', questionCount: 1, loaded: true });
+    });
+
+    it('should preload every topic for exam mode', async () => {
+      const res = await request(app).get(`/api/subjects/${SUBJECT}/exam-mode?count=10`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.totalAvailable).toBe(2);
+    });
+
+    it('should reload a topic', async () => {
+      const res = await request(app).post(`/api/subjects/${SUBJECT}/questions/Patrones/reload`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.changes).toEqual({ added: [`${TEST_PREFIX}patrones_pregunta1`], changed: [], removed: [], unchanged: 0 });
+      expect(res.body.answerKey.missing).toHaveLength(1);
+    });
+
+    it('should read the answer key of a topic file without saving it', async () => {
+      const res = await request(app).get(`/api/subjects/${SUBJECT}/questions/Patrones/answer-key`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.missing).toHaveLength(1);
+
+      const missing = await request(app).get(`/api/subjects/${SUBJECT}/questions/Nada/answer-key`);
+      expect(missing.status).toBe(404);
+      expect((await request(app).get(`/api/subjects/${testId('none')}/questions/Intro/answer-key`)).status).toBe(404);
+    });
+
+    it('should return 400 when reloading a subject without question files', async () => {
+      createSubject({ id: testId('nofiles'), name: 'Sin ficheros', methodology: ['test'], modes: ['test'] });
+
+      const res = await request(app).post(`/api/subjects/${testId('nofiles')}/questions/Tema1/reload`);
+      db.prepare(`DELETE FROM subjects WHERE id = ?`).run(testId('nofiles'));
+
+      expect(res.status).toBe(400);
+    });
+  });
 });
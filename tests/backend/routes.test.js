@@ -7,10 +7,14 @@ import express from 'express';
 import request from 'supertest';
 import {
   db,
+  initializeDatabase,
+  seedBDASubject,
   upsertQuestion,
   recordAttempt,
-  cacheSolution
+  cacheSolution,
+  getJob
 } from '../../server/database.js';
+import { drainJobs } from '../../server/services/jobQueue.js';
 
 // Import actual routes
 import mainRouter from '../../server/routes.js';
@@ -33,6 +37,9 @@ describe('API Routes Integration Tests', () => {
   let app;
 
   beforeAll(() => {
+    // The test questions belong to the bda subject
+    initializeDatabase();
+    seedBDASubject();
     app = createTestApp();
     cleanupTestData();
   });
@@ -46,6 +53,7 @@ describe('API Routes Integration Tests', () => {
   });
 
   function cleanupTestData() {
+    db.prepare(`DELETE FROM jobs WHERE payload LIKE '%${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
@@ -240,6 +248,88 @@ describe('API Routes Integration Tests', () => {
         expect(res.status).toBe(400);
         expect(res.body.error).toContain('correctAnswer');
       });
+
+      it('should validate answers against the letters of the question', async () => {
+        upsertQuestion({ id: testId('stats_q5'), topic: 'ZZStatsRouteTopic', question_number: 5, content: 'Q5', options: { a: 'A', b: 'B', c: 'C', d: 'D', e: 'E' } });
+        upsertQuestion({ id: testId('stats_tf'), topic: 'ZZStatsRouteTopic', question_number: 6, content: 'V/F', options: { a: 'Verdadero', b: 'Falso' } });
+
+        const fiveOptions = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('stats_q5'), userAnswer: 'e', correctAnswer: 'e', isCorrect: true });
+        const trueFalse = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('stats_tf'), userAnswer: 'c', correctAnswer: 'a', isCorrect: false });
+
+        expect(fiveOptions.status).toBe(200);
+        expect(trueFalse.status).toBe(400);
+        expect(trueFalse.body.error).toBe('Invalid userAnswer: must be a or b');
+      });
+    });
+
+    describe('POST /api/attempts with question types', () => {
+      const OPTIONS = { a: 'A', b: 'B', c: 'C', d: 'D' };
+
+      beforeEach(() => {
+        upsertQuestion({ id: testId('multi'), topic: 'ZZTypesRouteTopic', question_number: 1, content: 'Marca todas', options: OPTIONS, question_type: 'multiple' });
+        upsertQuestion({ id: testId('num'), topic: 'ZZTypesRouteTopic', question_number: 2, content: 'Calcula', options: {}, question_type: 'numeric', answer_tolerance: 0.5 });
+      });
+
+      it('should give partial credit on multiple-answer questions', async () => {
+        const res = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('multi'), userAnswer: 'a', correctAnswer: 'a,c' });
+
+        expect(res.status).toBe(200);
+        expect(res.body.data).toMatchObject({ isCorrect: false, score: 0.5, gradedAgainst: 'server' });
+        const attempt = db.prepare('SELECT user_answer, score FROM attempts WHERE id = ?').get(res.body.data.attemptId);
+        expect(attempt).toEqual({ user_answer: 'a', score: 0.5 });
+      });
+
+      it('should subtract wrong picks and store the answer in canonical form', async () => {
+        const wrongPick = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('multi'), userAnswer: 'a,b', correctAnswer: 'a,c' });
+        const allRight = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('multi'), userAnswer: 'C, a', correctAnswer: 'a,c', isCorrect: false });
+
+        expect(wrongPick.body.data.score).toBe(0);
+        expect(allRight.body.data).toMatchObject({ isCorrect: true, score: 1 });
+        const attempt = db.prepare('SELECT user_answer FROM attempts WHERE id = ?').get(allRight.body.data.attemptId);
+        expect(attempt.user_answer).toBe('a,c');
+      });
+
+      it('should grade numeric answers within the tolerance', async () => {
+        const inside = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('num'), userAnswer: '12,4', correctAnswer: '12' });
+        const outside = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('num'), userAnswer: '13', correctAnswer: '12' });
+
+        expect(inside.body.data).toMatchObject({ isCorrect: true, score: 1 });
+        expect(outside.body.data).toMatchObject({ isCorrect: false, score: 0 });
+      });
+
+      it('should reject answers that do not fit the question type', async () => {
+        const res = await request(app)
+          .post('/api/attempts')
+          .send({ questionId: testId('num'), userAnswer: 'doce', correctAnswer: '12' });
+
+        expect(res.status).toBe(400);
+        expect(res.body.error).toBe('Invalid userAnswer: must be a number');
+      });
+
+      it('should report the average score with partial credit', async () => {
+        await request(app).post('/api/attempts').send({ questionId: testId('multi'), userAnswer: 'a', correctAnswer: 'a,c' });
+        await request(app).post('/api/attempts').send({ questionId: testId('num'), userAnswer: '12', correctAnswer: '12' });
+
+        const res = await request(app).get('/api/stats/ZZTypesRouteTopic');
+
+        expect(res.status).toBe(200);
+        expect(res.body.data.accuracy).toBe(50);
+        expect(res.body.data.average_score).toBe(75);
+      });
     });
 
     describe('GET /api/attempts/:questionId', () => {
@@ -592,7 +682,7 @@ describe('API Routes Integration Tests', () => {
         expect(res.body.error).toContain('maximum');
       });
 
-      it('should handle batch with cached solutions', async () => {
+      it('should queue a job that uses cached solutions', async () => {
         cacheSolution({
           question_id: testId('solve_q1'),
           correct_answer: 'd',
@@ -608,9 +698,15 @@ describe('API Routes Integration Tests', () => {
             ]
           });
 
-        expect(res.status).toBe(200);
+        expect(res.status).toBe(202);
         expect(res.body.success).toBe(true);
-        expect(res.body.summary.cached).toBe(1);
+        expect(res.body.status).toBe('queued');
+
+        await drainJobs();
+
+        const jobRes = await request(app).get(`/api/jobs/${res.body.jobId}`);
+        expect(jobRes.body.data.status).toBe('completed');
+        expect(jobRes.body.data.result.summary.cached).toBe(1);
       });
 
       it('should handle questions missing required fields', async () => {
@@ -622,8 +718,19 @@ describe('API Routes Integration Tests', () => {
             ]
           });
 
-        expect(res.status).toBe(200);
-        expect(res.body.summary.failed).toBe(1);
+        expect(res.status).toBe(202);
+
+        await drainJobs();
+
+        expect(getJob(res.body.jobId).result.summary.failed).toBe(1);
+      });
+
+      it('should reject a non-numeric resolveBelow', async () => {
+        const res = await request(app)
+          .post('/api/solve/batch')
+          .send({ all: true, resolveBelow: 'low' });
+
+        expect(res.status).toBe(400);
       });
     });
   });
@@ -666,10 +773,10 @@ describe('API Routes Integration Tests', () => {
         expect(res.body.count).toBeGreaterThanOrEqual(0);
       });
 
-      it('should return 500 for non-existent topic file', async () => {
+      it('should return 404 for non-existent topic file', async () => {
         const res = await request(app).get('/api/questions/NonExistentTopic12345');
 
-        expect(res.status).toBe(500);
+        expect(res.status).toBe(404);
         expect(res.body.success).toBe(false);
       });
     });
@@ -0,0 +1,143 @@
+/**
+ * Integration Tests for Search Routes (routes/search.js)
+ * Full-text search over questions
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { db, initializeDatabase, createSubject, upsertQuestion, cacheSolution } from '../../server/database.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'SEARCH_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+const OTHER_SUBJECT = testId('other');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Search Routes Integration Tests', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+  });
+
+  beforeEach(() => {
+    createSubject({ id: SUBJECT, name: 'Search Test', methodology: ['test'], modes: ['test'] });
+    createSubject({ id: OTHER_SUBJECT, name: 'Search Other', methodology: ['test'], modes: ['test'] });
+
+    upsertQuestion({
+      id: testId('aries'),
+      subject_id: SUBJECT,
+      topic: 'Tema5',
+      question_number: 1,
+      shared_statement: 'Durante la recuperación con ARIES se reconstruye la tabla de páginas sucias.',
+      content: '¿Qué LSN se usa como punto de partida de la fase REDO?',
+      options: { a: 'El menor recLSN de la tabla', b: 'El LSN del último checkpoint' }
+    });
+    upsertQuestion({
+      id: testId('locks'),
+      subject_id: SUBJECT,
+      topic: 'Tema4',
+      question_number: 1,
+      content: 'En el bloqueo en dos fases, ¿cuándo se liberan los cerrojos?',
+      options: { a: 'Al final de la transacción', b: 'En cualquier momento' }
+    });
+    upsertQuestion({
+      id: testId('other'),
+      subject_id: OTHER_SUBJECT,
+      topic: 'Tema1',
+      question_number: 1,
+      content: 'Recuperación de fallos en sistemas distribuidos',
+      options: { a: 'Si', b: 'No' }
+    });
+    cacheSolution({
+      question_id: testId('locks'),
+      correct_answer: 'a',
+      explanation: 'El protocolo estricto mantiene los cerrojos exclusivos hasta el commit.',
+      wrong_options: {}
+    });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  const search = (query) => request(app).get(`/api/search?${new URLSearchParams(query)}`);
+
+  describe('GET /api/search', () => {
+    it('should find questions ignoring accents and case, with highlighted snippets', async () => {
+      const res = await search({ q: 'aries PAGINAS sucias', subjectId: SUBJECT });
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(1);
+      expect(res.body.data[0]).toEqual(expect.objectContaining({
+        id: testId('aries'),
+        subject_id: SUBJECT,
+        topic: 'Tema5',
+        question_number: 1
+      }));
+      expect(res.body.data[0].snippet).toContain('<mark>ARIES</mark>');
+      expect(res.body.data[0].snippet).toContain('<mark>páginas</mark>');
+    });
+
+    it('should match word prefixes, options and cached explanations', async () => {
+      expect((await search({ q: 'recLSN', subjectId: SUBJECT })).body.data.map(r => r.id)).toEqual([testId('aries')]);
+      expect((await search({ q: 'cerrojos exclusiv', subjectId: SUBJECT })).body.data.map(r => r.id)).toEqual([testId('locks')]);
+    });
+
+    it('should keep the index in sync with question and solution changes', async () => {
+      upsertQuestion({ id: testId('locks'), subject_id: SUBJECT, topic: 'Tema4', question_number: 1, content: 'Marcas de tiempo', options: { a: 'Thomas', b: 'Wound-wait' } });
+      db.prepare('DELETE FROM solutions_cache WHERE question_id = ?').run(testId('locks'));
+
+      expect((await search({ q: 'bloqueo', subjectId: SUBJECT })).body.count).toBe(0);
+      expect((await search({ q: 'commit', subjectId: SUBJECT })).body.count).toBe(0);
+      expect((await search({ q: 'thomas', subjectId: SUBJECT })).body.count).toBe(1);
+    });
+
+    it('should filter by subject and topic and skip removed questions', async () => {
+      const all = await search({ q: 'recuperacion' });
+      expect(all.body.data.map(r => r.id)).toEqual(expect.arrayContaining([testId('aries'), testId('other')]));
+
+      expect((await search({ q: 'recuperacion', subjectId: OTHER_SUBJECT })).body.data.map(r => r.id)).toEqual([testId('other')]);
+      expect((await search({ q: 'recuperacion', subjectId: SUBJECT, topic: 'Tema4' })).body.count).toBe(0);
+
+      db.prepare(`UPDATE questions SET removed_at = CURRENT_TIMESTAMP WHERE id = ?`).run(testId('other'));
+      expect((await search({ q: 'recuperacion', subjectId: OTHER_SUBJECT })).body.count).toBe(0);
+    });
+
+    it('should ignore FTS syntax in the query', async () => {
+      const res = await search({ q: '"ARIES" AND (NEAR -*', subjectId: SUBJECT });
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(0);
+    });
+
+    it('should require a query and a known subject', async () => {
+      expect((await search({ q: '  ' })).status).toBe(400);
+      expect((await search({ q: 'aries', subjectId: testId('none') })).status).toBe(404);
+    });
+  });
+});
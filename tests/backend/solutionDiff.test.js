@@ -0,0 +1,37 @@
+/**
+ * Tests for solution version diffs
+ */
+
+import { diffLines, diffSolutions } from '../../server/services/solutionDiff.js';
+
+describe('solutionDiff', () => {
+  describe('diffLines', () => {
+    it('should mark identical text as unchanged', () => {
+      expect(diffLines('a\nb', 'a\nb')).toEqual([
+        { type: 'same', text: 'a' },
+        { type: 'same', text: 'b' }
+      ]);
+    });
+
+    it('should report added and removed lines', () => {
+      expect(diffLines('uno\ndos\ntres', 'uno\ntres\ncuatro')).toEqual([
+        { type: 'same', text: 'uno' },
+        { type: 'removed', text: 'dos' },
+        { type: 'same', text: 'tres' },
+        { type: 'added', text: 'cuatro' }
+      ]);
+    });
+  });
+
+  describe('diffSolutions', () => {
+    it('should only list changed wrong options', () => {
+      const from = { correct_answer: 'a', explanation: 'X', wrong_options: { b: 'B', c: 'C' } };
+      const to = { correct_answer: 'a', explanation: 'X', wrong_options: { b: 'B', c: 'C2' } };
+
+      const diff = diffSolutions(from, to);
+
+      expect(diff.answer.changed).toBe(false);
+      expect(diff.wrongOptions).toEqual({ c: { from: 'C', to: 'C2' } });
+    });
+  });
+});
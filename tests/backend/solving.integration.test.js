@@ -4,21 +4,42 @@
  */
 
 import { jest } from '@jest/globals';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
 import express from 'express';
 import request from 'supertest';
 
 // Mock claudeService before importing routes
 const mockSolveQuestion = jest.fn();
+const mockSolveWithSelfConsistency = jest.fn();
 
 jest.unstable_mockModule('../../server/claudeService.js', () => ({
-  solveQuestion: mockSolveQuestion
+  solveQuestion: mockSolveQuestion,
+  solveWithSelfConsistency: mockSolveWithSelfConsistency,
+  buildQuestionText: jest.fn(q => q.content),
+  LOW_CONFIDENCE_THRESHOLD: 0.7
 }));
 
 // Import database functions (not mocked)
-const { db, upsertQuestion, cacheSolution, getCachedSolution } = await import('../../server/database.js');
+const {
+  db,
+  initializeDatabase,
+  seedBDASubject,
+  createSubject,
+  upsertQuestion,
+  cacheSolution,
+  getCachedSolution,
+  getSolutionVersions,
+  getStaleSolutions,
+  recordLlmUsage,
+  getJob
+} = await import('../../server/database.js');
 
 // Import the solving router after mocking
 const { default: solvingRouter } = await import('../../server/routes/solving.js');
+const { drainJobs } = await import('../../server/services/jobQueue.js');
 
 // Test prefix
 const TEST_PREFIX = 'SOLVE_MOCK_TEST_';
@@ -36,6 +57,9 @@ describe('Solving Routes with Mocked Claude', () => {
   let app;
 
   beforeAll(() => {
+    // Questions without subject_id belong to bda, which must exist for the foreign keys
+    initializeDatabase();
+    seedBDASubject();
     app = createTestApp();
     cleanupTestData();
   });
@@ -50,6 +74,7 @@ describe('Solving Routes with Mocked Claude', () => {
   });
 
   function cleanupTestData() {
+    db.prepare(`DELETE FROM jobs WHERE payload LIKE '%${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM attempts WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
@@ -92,6 +117,22 @@ describe('Solving Routes with Mocked Claude', () => {
       expect(cached.correct_answer).toBe('a');
     });
 
+    it('should pass the question subject and topic to Claude', async () => {
+      mockSolveQuestion.mockResolvedValue({ answer: 'b', explanation: 'B', wrongOptions: {} });
+
+      await request(app)
+        .post('/api/solve')
+        .send({
+          questionId: testId('q1'),
+          questionText: 'What is correct?'
+        });
+
+      const [, context] = mockSolveQuestion.mock.calls[0];
+      expect(context.topic).toBe('TestTema');
+      expect(context.subject.id).toBe('bda');
+      expect(context.questionType).toBe('single');
+    });
+
     it('should return 504 for timeout errors', async () => {
       mockSolveQuestion.mockRejectedValue(new Error('Claude timeout after 60 seconds'));
 
@@ -164,6 +205,82 @@ describe('Solving Routes with Mocked Claude', () => {
 
       expect(res.status).toBe(200);
       expect(res.body.data.wrongOptions).toEqual({});
+      expect(res.body.data.lowConfidence).toBe(false);
+    });
+  });
+
+  describe('POST /api/solve - self-consistency', () => {
+    beforeEach(() => {
+      upsertQuestion({
+        id: testId('sc_q1'),
+        topic: 'TestTema',
+        question_number: 1,
+        content: 'Self-consistency question',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
+      });
+    });
+
+    it('should vote with N samples and cache confidence and dissent', async () => {
+      mockSolveWithSelfConsistency.mockResolvedValue({
+        answer: 'b',
+        explanation: 'B gana',
+        wrongOptions: {},
+        confidence: 2 / 3,
+        sampleCount: 3,
+        votes: { b: 2, c: 1 },
+        dissent: [{ answer: 'c', explanation: 'C segun otra muestra' }]
+      });
+
+      const res = await request(app)
+        .post('/api/solve')
+        .send({ questionId: testId('sc_q1'), questionText: 'Q', samples: 3 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.confidence).toBeCloseTo(0.667, 2);
+      expect(res.body.data.lowConfidence).toBe(true);
+      expect(res.body.data.sampleCount).toBe(3);
+      expect(mockSolveWithSelfConsistency.mock.calls[0][1].samples).toBe(3);
+      expect(mockSolveQuestion).not.toHaveBeenCalled();
+
+      const cached = getCachedSolution(testId('sc_q1'));
+      expect(cached.confidence).toBeCloseTo(0.667, 2);
+      expect(cached.sample_count).toBe(3);
+      expect(cached.dissent).toEqual([{ answer: 'c', explanation: 'C segun otra muestra' }]);
+    });
+
+    it('should return cached confidence on cache hit', async () => {
+      cacheSolution({
+        question_id: testId('sc_q1'),
+        correct_answer: 'a',
+        explanation: 'A',
+        wrong_options: {},
+        confidence: 0.6,
+        sample_count: 5,
+        dissent: [{ answer: 'b', explanation: 'B' }]
+      });
+
+      const res = await request(app).get(`/api/solve/${testId('sc_q1')}`);
+
+      expect(res.body.data.confidence).toBe(0.6);
+      expect(res.body.data.lowConfidence).toBe(true);
+      expect(res.body.data.dissent).toHaveLength(1);
+    });
+
+    it('should re-solve ignoring the cache when force is set', async () => {
+      cacheSolution({
+        question_id: testId('sc_q1'),
+        correct_answer: 'a',
+        explanation: 'Old',
+        wrong_options: {}
+      });
+      mockSolveQuestion.mockResolvedValue({ answer: 'd', explanation: 'New', wrongOptions: {} });
+
+      const res = await request(app)
+        .post('/api/solve')
+        .send({ questionId: testId('sc_q1'), questionText: 'Q', force: true });
+
+      expect(res.body.cached).toBe(false);
+      expect(getCachedSolution(testId('sc_q1')).correct_answer).toBe('d');
     });
   });
 
@@ -185,24 +302,36 @@ describe('Solving Routes with Mocked Claude', () => {
       });
     });
 
+    /**
+     * Queue a batch, run the job queue and return the finished job
+     */
+    async function runBatch(body) {
+      const res = await request(app)
+        .post('/api/solve/batch')
+        .send(body);
+
+      expect(res.status).toBe(202);
+      await drainJobs();
+      return getJob(res.body.jobId);
+    }
+
     it('should solve multiple questions', async () => {
       mockSolveQuestion
         .mockResolvedValueOnce({ answer: 'a', explanation: 'A correct', wrongOptions: {} })
         .mockResolvedValueOnce({ answer: 'b', explanation: 'B correct', wrongOptions: {} });
 
-      const res = await request(app)
-        .post('/api/solve/batch')
-        .send({
-          questions: [
-            { questionId: testId('batch_q1'), questionText: 'Q1' },
-            { questionId: testId('batch_q2'), questionText: 'Q2' }
-          ]
-        });
+      const job = await runBatch({
+        questions: [
+          { questionId: testId('batch_q1'), questionText: 'Q1' },
+          { questionId: testId('batch_q2'), questionText: 'Q2' }
+        ]
+      });
 
-      expect(res.status).toBe(200);
-      expect(res.body.summary.solved).toBe(2);
-      expect(res.body.summary.cached).toBe(0);
-      expect(res.body.summary.failed).toBe(0);
+      expect(job.status).toBe('completed');
+      expect(job.result.summary.solved).toBe(2);
+      expect(job.result.summary.cached).toBe(0);
+      expect(job.result.summary.failed).toBe(0);
+      expect(job.progress).toMatchObject({ done: 2, total: 2, solved: 2 });
     });
 
     it('should handle partial failures in batch', async () => {
@@ -210,18 +339,16 @@ describe('Solving Routes with Mocked Claude', () => {
         .mockResolvedValueOnce({ answer: 'a', explanation: 'OK', wrongOptions: {} })
         .mockRejectedValueOnce(new Error('Failed'));
 
-      const res = await request(app)
-        .post('/api/solve/batch')
-        .send({
-          questions: [
-            { questionId: testId('batch_q1'), questionText: 'Q1' },
-            { questionId: testId('batch_q2'), questionText: 'Q2' }
-          ]
-        });
+      const job = await runBatch({
+        questions: [
+          { questionId: testId('batch_q1'), questionText: 'Q1' },
+          { questionId: testId('batch_q2'), questionText: 'Q2' }
+        ]
+      });
 
-      expect(res.status).toBe(200);
-      expect(res.body.summary.solved).toBe(1);
-      expect(res.body.summary.failed).toBe(1);
+      expect(job.status).toBe('completed');
+      expect(job.result.summary.solved).toBe(1);
+      expect(job.result.summary.failed).toBe(1);
     });
 
     it('should use cache for already solved questions', async () => {
@@ -235,21 +362,18 @@ describe('Solving Routes with Mocked Claude', () => {
 
       mockSolveQuestion.mockResolvedValue({ answer: 'd', explanation: 'New', wrongOptions: {} });
 
-      const res = await request(app)
-        .post('/api/solve/batch')
-        .send({
-          questions: [
-            { questionId: testId('batch_q1'), questionText: 'Q1' },
-            { questionId: testId('batch_q2'), questionText: 'Q2' }
-          ]
-        });
+      const job = await runBatch({
+        questions: [
+          { questionId: testId('batch_q1'), questionText: 'Q1' },
+          { questionId: testId('batch_q2'), questionText: 'Q2' }
+        ]
+      });
 
-      expect(res.status).toBe(200);
-      expect(res.body.summary.cached).toBe(1);
-      expect(res.body.summary.solved).toBe(1);
+      expect(job.result.summary.cached).toBe(1);
+      expect(job.result.summary.solved).toBe(1);
 
       // Verify cached one has correct answer from cache
-      const cachedResult = res.body.results.find(r => r.questionId === testId('batch_q1'));
+      const cachedResult = job.result.results.find(r => r.questionId === testId('batch_q1'));
       expect(cachedResult.cached).toBe(true);
       expect(cachedResult.data.answer).toBe('c');
     });
@@ -261,16 +385,65 @@ describe('Solving Routes with Mocked Claude', () => {
         wrongOptions: null
       });
 
-      const res = await request(app)
-        .post('/api/solve/batch')
-        .send({
-          questions: [
-            { questionId: testId('batch_q1'), questionText: 'Q1' }
-          ]
-        });
+      const job = await runBatch({
+        questions: [
+          { questionId: testId('batch_q1'), questionText: 'Q1' }
+        ]
+      });
 
-      expect(res.status).toBe(200);
-      expect(res.body.results[0].data.wrongOptions).toEqual({});
+      expect(job.result.results[0].data.wrongOptions).toEqual({});
+    });
+
+    it('should pass the job signal to the solver', async () => {
+      mockSolveQuestion.mockResolvedValue({ answer: 'a', explanation: 'OK', wrongOptions: {} });
+
+      await runBatch({ questions: [{ questionId: testId('batch_q1'), questionText: 'Q1' }] });
+
+      expect(mockSolveQuestion.mock.calls[0][1].signal).toBeInstanceOf(AbortSignal);
+    });
+
+    it('should re-solve low-confidence entries of all stored questions', async () => {
+      const subjectId = 'bda';
+      cacheSolution({ question_id: testId('batch_q1'), correct_answer: 'c', explanation: 'Dudosa', wrong_options: {}, confidence: 0.4, sample_count: 3 });
+      cacheSolution({ question_id: testId('batch_q2'), correct_answer: 'b', explanation: 'Segura', wrong_options: {}, confidence: 1, sample_count: 3 });
+      mockSolveWithSelfConsistency.mockResolvedValue({ answer: 'a', explanation: 'Votada', wrongOptions: {}, confidence: 1, sampleCount: 3, dissent: [] });
+
+      const job = await runBatch({ all: true, subjectId, resolveBelow: 0.7 });
+      const ours = job.result.results.filter(r => r.questionId.startsWith(TEST_PREFIX));
+
+      expect(job.status).toBe('completed');
+      expect(ours.find(r => r.questionId === testId('batch_q1')).cached).toBe(false);
+      expect(ours.find(r => r.questionId === testId('batch_q2')).cached).toBe(true);
+      expect(mockSolveWithSelfConsistency.mock.calls[0][1].samples).toBe(3);
+      expect(getCachedSolution(testId('batch_q1')).correct_answer).toBe('a');
+    });
+
+    it('should load the topic files of the subject before listing all questions', async () => {
+      const subjectId = testId('files');
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'solve-batch-'));
+      fs.writeFileSync(path.join(dir, 'DS_Intro.md'), '## Pregunta 1\n\nPrimera\n\na) Si\nb) No\n\n## Pregunta 2\n\nSegunda\n\na) Si\nb) No\n');
+      createSubject({
+        id: subjectId,
+        name: 'Batch Files Test',
+        methodology: ['test'],
+        modes: ['test'],
+        config: { questionSource: { directory: dir, filePattern: 'DS_{topic}.md', idPrefix: TEST_PREFIX } }
+      });
+      mockSolveQuestion.mockResolvedValue({ answer: 'a', explanation: 'Si', wrongOptions: {} });
+
+      try {
+        const job = await runBatch({ all: true, subjectId });
+
+        expect(job.result.summary).toMatchObject({ total: 2, solved: 2 });
+        expect(getCachedSolution(testId('intro_pregunta1')).correct_answer).toBe('a');
+      } finally {
+        db.prepare(`DELETE FROM solution_versions WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+        db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+        db.prepare(`DELETE FROM questions WHERE subject_id = ?`).run(subjectId);
+        db.prepare(`DELETE FROM topics WHERE subject_id = ?`).run(subjectId);
+        db.prepare(`DELETE FROM subjects WHERE id = ?`).run(subjectId);
+        fs.rmSync(dir, { recursive: true });
+      }
     });
   });
 
@@ -284,8 +457,126 @@ describe('Solving Routes with Mocked Claude', () => {
           questions: [{ questionId: testId('q1'), questionText: 'Q1' }]
         });
 
-      // This should work since mockSolveQuestion isn't set up for this call
-      expect([200, 500]).toContain(res.status);
+      // The batch is queued; solving errors are reported in the job result
+      expect([202, 500]).toContain(res.status);
+    });
+  });
+
+  describe('GET /api/solve/:questionId/stream', () => {
+    beforeEach(() => {
+      upsertQuestion({
+        id: testId('stream_q1'),
+        topic: 'StreamTema',
+        question_number: 1,
+        content: 'Stream question',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
+      });
+    });
+
+    // Parse "event: x\ndata: {...}" blocks from an SSE body
+    function parseEvents(text) {
+      return text.trim().split('\n\n').map(block => {
+        const [eventLine, dataLine] = block.split('\n');
+        return {
+          event: eventLine.replace('event: ', ''),
+          data: JSON.parse(dataLine.replace('data: ', ''))
+        };
+      });
+    }
+
+    it('should stream explanation deltas, then the parsed solution', async () => {
+      mockSolveQuestion.mockImplementation(async (text, { onExplanation }) => {
+        onExplanation('A es ');
+        onExplanation('correcta');
+        return { answer: 'a', explanation: 'A es correcta', wrongOptions: { b: 'B mal' } };
+      });
+
+      const res = await request(app).get(`/api/solve/${testId('stream_q1')}/stream`);
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/event-stream');
+      const events = parseEvents(res.text);
+      expect(events.map(e => e.event)).toEqual(['explanation', 'explanation', 'done']);
+      expect(events[0].data.text).toBe('A es ');
+      expect(events[2].data).toEqual({
+        data: {
+          answer: 'a',
+          explanation: 'A es correcta',
+          wrongOptions: { b: 'B mal' },
+          confidence: null,
+          lowConfidence: false,
+          sampleCount: null,
+          dissent: [],
+          versionId: expect.any(Number),
+          pinned: false,
+          stale: false,
+          officialAnswer: null
+        },
+        cached: false
+      });
+      expect(mockSolveQuestion.mock.calls[0][0]).toBe('Stream question');
+      expect(getCachedSolution(testId('stream_q1')).correct_answer).toBe('a');
+    });
+
+    it('should cancel the solve when the client disconnects', async () => {
+      let signal;
+      mockSolveQuestion.mockImplementation((text, options) => new Promise((resolve, reject) => {
+        signal = options.signal;
+        options.onExplanation('Empezando');
+        signal.addEventListener('abort', () => reject(new Error('LLM request cancelled')));
+      }));
+
+      const server = app.listen(0);
+      const url = `http://127.0.0.1:${server.address().port}/api/solve/${testId('stream_q1')}/stream`;
+      await new Promise((resolve) => {
+        const req = http.get(url, (res) => {
+          res.once('data', () => req.destroy());
+        });
+        req.on('close', resolve);
+      });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      await new Promise((resolve) => server.close(resolve));
+
+      expect(signal.aborted).toBe(true);
+      expect(getCachedSolution(testId('stream_q1'))).toBeFalsy();
+    });
+
+    it('should send the cached solution without calling Claude', async () => {
+      cacheSolution({
+        question_id: testId('stream_q1'),
+        correct_answer: 'c',
+        explanation: 'C cacheada',
+        wrong_options: {}
+      });
+
+      const res = await request(app).get(`/api/solve/${testId('stream_q1')}/stream`);
+
+      const events = parseEvents(res.text);
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toBe('done');
+      expect(events[0].data.cached).toBe(true);
+      expect(events[0].data.data.answer).toBe('c');
+      expect(mockSolveQuestion).not.toHaveBeenCalled();
+    });
+
+    it('should send an error event when solving fails', async () => {
+      mockSolveQuestion.mockRejectedValue(new Error('Claude timeout after 60 seconds'));
+
+      const res = await request(app).get(`/api/solve/${testId('stream_q1')}/stream`);
+
+      const events = parseEvents(res.text);
+      expect(events[0]).toEqual({
+        event: 'error',
+        data: { error: 'Claude timeout', message: 'Claude took too long to respond. Please try again.' }
+      });
+      expect(getCachedSolution(testId('stream_q1'))).toBeFalsy();
+    });
+
+    it('should return 404 for unknown questions', async () => {
+      const res = await request(app).get(`/api/solve/${testId('missing')}/stream`);
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
     });
   });
 
@@ -352,4 +643,203 @@ describe('Solving Routes with Mocked Claude', () => {
       expect(res.body.data.wrongOptions).toEqual({});
     });
   });
+
+  describe('Solution history', () => {
+    beforeEach(() => {
+      upsertQuestion({
+        id: testId('hist_q1'),
+        topic: 'HistoryTema',
+        question_number: 1,
+        content: 'History question',
+        options: { a: 'A', b: 'B', c: 'C', d: 'D' }
+      });
+    });
+
+    it('should keep every solve as a version with model and prompt version', async () => {
+      mockSolveQuestion
+        .mockResolvedValueOnce({ answer: 'a', explanation: 'Primera', wrongOptions: {}, model: 'model-1', promptVersion: 'p1' })
+        .mockResolvedValueOnce({ answer: 'b', explanation: 'Segunda', wrongOptions: {}, model: 'model-2', promptVersion: 'p2' });
+
+      await request(app).post('/api/solve').send({ questionId: testId('hist_q1'), questionText: 'Q' });
+      await request(app).post('/api/solve').send({ questionId: testId('hist_q1'), questionText: 'Q', force: true });
+
+      const res = await request(app).get(`/api/solve/${testId('hist_q1')}/versions`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.data[0]).toMatchObject({ answer: 'b', source: 'ai', model: 'model-2', promptVersion: 'p2', active: true });
+      expect(res.body.data[1]).toMatchObject({ answer: 'a', model: 'model-1', active: false });
+    });
+
+    it('should keep a pinned version active when re-solving', async () => {
+      cacheSolution({ question_id: testId('hist_q1'), correct_answer: 'c', explanation: 'Revisada', wrong_options: {} });
+      const [reviewed] = getSolutionVersions(testId('hist_q1'));
+
+      const pinRes = await request(app)
+        .put(`/api/solve/${testId('hist_q1')}/pin`)
+        .send({ versionId: reviewed.id });
+      expect(pinRes.body.data.pinned).toBe(true);
+
+      mockSolveQuestion.mockResolvedValue({ answer: 'a', explanation: 'Nueva', wrongOptions: {} });
+      const res = await request(app)
+        .post('/api/solve')
+        .send({ questionId: testId('hist_q1'), questionText: 'Q', force: true });
+
+      expect(res.body.data.answer).toBe('c');
+      expect(res.body.data.explanation).toBe('Revisada');
+      expect(getSolutionVersions(testId('hist_q1'))).toHaveLength(2);
+    });
+
+    it('should refuse to delete a pinned solution until unpinned', async () => {
+      cacheSolution({ question_id: testId('hist_q1'), correct_answer: 'c', explanation: 'Revisada', wrong_options: {} });
+      const [reviewed] = getSolutionVersions(testId('hist_q1'));
+      await request(app).put(`/api/solve/${testId('hist_q1')}/pin`).send({ versionId: reviewed.id });
+
+      const blocked = await request(app).delete(`/api/solve/${testId('hist_q1')}`);
+      expect(blocked.status).toBe(409);
+
+      await request(app).delete(`/api/solve/${testId('hist_q1')}/pin`);
+      const deleted = await request(app).delete(`/api/solve/${testId('hist_q1')}`);
+
+      expect(deleted.status).toBe(200);
+      expect(getCachedSolution(testId('hist_q1'))).toBeUndefined();
+      expect(getSolutionVersions(testId('hist_q1'))).toHaveLength(1);
+    });
+
+    it('should add a human version and pin it', async () => {
+      const res = await request(app)
+        .post(`/api/solve/${testId('hist_q1')}/versions`)
+        .send({ answer: 'D', explanation: 'Escrita por el profesor', pin: true });
+
+      expect(res.status).toBe(201);
+      expect(res.body.data).toMatchObject({ answer: 'd', source: 'human', model: null, active: true, pinned: true });
+      expect(getCachedSolution(testId('hist_q1')).pinned).toBe(1);
+    });
+
+    it('should reject an invalid source', async () => {
+      const res = await request(app)
+        .post(`/api/solve/${testId('hist_q1')}/versions`)
+        .send({ answer: 'a', explanation: 'X', source: 'ai' });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should diff the two newest versions by default', async () => {
+      cacheSolution({ question_id: testId('hist_q1'), correct_answer: 'a', explanation: 'Linea 1\nLinea 2', wrong_options: { b: 'B mal' } });
+      cacheSolution({ question_id: testId('hist_q1'), correct_answer: 'b', explanation: 'Linea 1\nLinea 3', wrong_options: { a: 'A mal' } });
+
+      const res = await request(app).get(`/api/solve/${testId('hist_q1')}/versions/diff`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.diff.answer).toEqual({ from: 'a', to: 'b', changed: true });
+      expect(res.body.data.diff.explanation).toEqual([
+        { type: 'same', text: 'Linea 1' },
+        { type: 'removed', text: 'Linea 2' },
+        { type: 'added', text: 'Linea 3' }
+      ]);
+      expect(res.body.data.diff.wrongOptions).toEqual({
+        a: { from: null, to: 'A mal' },
+        b: { from: 'B mal', to: null }
+      });
+    });
+
+    it('should return 404 when there are not two versions to diff', async () => {
+      cacheSolution({ question_id: testId('hist_q1'), correct_answer: 'a', explanation: 'Unica', wrong_options: {} });
+
+      const res = await request(app).get(`/api/solve/${testId('hist_q1')}/versions/diff`);
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Stale solutions', () => {
+    const question = (content, options = { a: 'A', b: 'B', c: 'C', d: 'D' }) => ({
+      id: testId('stale_q1'),
+      topic: 'StaleTema',
+      question_number: 1,
+      content,
+      options
+    });
+
+    beforeEach(() => {
+      upsertQuestion(question('Enunciado original'));
+      cacheSolution({ question_id: testId('stale_q1'), correct_answer: 'a', explanation: 'Original', wrong_options: {} });
+    });
+
+    it('should mark the cached solution stale when the options change', async () => {
+      upsertQuestion(question('Enunciado original', { a: 'A', b: 'B cambiada', c: 'C', d: 'D' }));
+
+      const res = await request(app).get(`/api/solve/${testId('stale_q1')}`);
+
+      expect(res.body.data.stale).toBe(true);
+      const list = await request(app).get('/api/solve/stale');
+      expect(list.body.data.map(item => item.questionId)).toContain(testId('stale_q1'));
+    });
+
+    it('should not mark it stale when the content is unchanged', () => {
+      upsertQuestion(question('Enunciado original'));
+
+      expect(getCachedSolution(testId('stale_q1')).stale).toBe(0);
+    });
+
+    it('should re-solve the queue against the current content in a background job', async () => {
+      upsertQuestion(question('Enunciado nuevo'));
+      mockSolveQuestion.mockResolvedValue({ answer: 'b', explanation: 'Nueva', wrongOptions: {} });
+
+      const res = await request(app)
+        .post('/api/solve/stale/resolve')
+        .send({});
+
+      expect(res.status).toBe(202);
+      expect(res.body.count).toBeGreaterThanOrEqual(1);
+
+      await drainJobs();
+      const job = getJob(res.body.jobId);
+      expect(job.status).toBe('completed');
+      expect(job.result.summary.resolved).toBeGreaterThanOrEqual(1);
+      expect(mockSolveQuestion.mock.calls.map(call => call[0])).toContain('Enunciado nuevo');
+      expect(getCachedSolution(testId('stale_q1'))).toMatchObject({ correct_answer: 'b', stale: 0 });
+      expect(getStaleSolutions().map(row => row.question_id)).not.toContain(testId('stale_q1'));
+    });
+
+    it('should cap the job at the maximum batch size', async () => {
+      for (let n = 2; n <= 12; n++) {
+        upsertQuestion({ ...question('Original'), id: testId(`stale_q${n}`), question_number: n });
+        cacheSolution({ question_id: testId(`stale_q${n}`), correct_answer: 'a', explanation: 'Original', wrong_options: {} });
+        upsertQuestion({ ...question('Cambiada'), id: testId(`stale_q${n}`), question_number: n });
+      }
+      mockSolveQuestion.mockResolvedValue({ answer: 'b', explanation: 'Nueva', wrongOptions: {} });
+
+      const res = await request(app)
+        .post('/api/solve/stale/resolve')
+        .send({ limit: 50 });
+
+      expect(res.status).toBe(202);
+      expect(res.body.count).toBe(10);
+      expect(res.body.remaining).toBeGreaterThanOrEqual(1);
+
+      await drainJobs();
+      expect(getJob(res.body.jobId).result.summary.total).toBe(10);
+    });
+
+    it('should refuse to queue with 429 when the budget is exceeded', async () => {
+      upsertQuestion(question('Enunciado nuevo'));
+      const savedLimit = process.env.LLM_BUDGET_USD;
+      process.env.LLM_BUDGET_USD = '0.000001';
+      recordLlmUsage({ feature: 'solve_mock_test', subjectId: null, provider: 'fake', model: 'fake', costUsd: 1 });
+
+      try {
+        const res = await request(app)
+          .post('/api/solve/stale/resolve')
+          .send({});
+
+        expect(res.status).toBe(429);
+        expect(res.body.error).toBe('AI budget exceeded');
+      } finally {
+        if (savedLimit === undefined) delete process.env.LLM_BUDGET_USD;
+        else process.env.LLM_BUDGET_USD = savedLimit;
+        db.prepare(`DELETE FROM llm_usage WHERE feature = 'solve_mock_test'`).run();
+      }
+    });
+  });
 });
@@ -382,6 +382,38 @@ describe('Subjects Routes Integration Tests', () => {
       expect(res.status).toBe(201);
       expect(res.body.subject.language).toBe('es');
     });
+
+    it('should create a subject with a question source', async () => {
+      const questionSource = { directory: '../DS/Preguntas', filePattern: 'DS_{topic}.md', topics: { Tema1: 'ds_intro' } };
+      const res = await request(app)
+        .post('/api/subjects')
+        .send({
+          id: testId('with_source'),
+          name: 'With Source',
+          methodology: ['test'],
+          modes: ['test'],
+          config: { questionSource }
+        });
+
+      expect(res.status).toBe(201);
+      expect(res.body.subject.config.questionSource).toEqual(questionSource);
+    });
+
+    it('should return 400 for a question source without {topic}', async () => {
+      const res = await request(app)
+        .post('/api/subjects')
+        .send({
+          id: testId('bad_source'),
+          name: 'Bad Source',
+          methodology: ['test'],
+          modes: ['test'],
+          config: { questionSource: { directory: 'data', filePattern: 'Preguntas.md' } }
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('{topic}');
+      expect(getSubjectById(testId('bad_source'))).toBeNull();
+    });
   });
 
   // ========================================
@@ -477,6 +509,57 @@ describe('Subjects Routes Integration Tests', () => {
       });
     });
 
+    it('should update subject promptTemplate', async () => {
+      const res = await request(app)
+        .put(`/api/subjects/${testId('update_subject')}`)
+        .send({
+          promptTemplate: 'Eres experto en {{expertise}}.\n\n{{question}}'
+        });
+
+      expect(res.status).toBe(200);
+      expect(res.body.subject.promptTemplate).toBe('Eres experto en {{expertise}}.\n\n{{question}}');
+    });
+
+    it('should reset promptTemplate to default with null', async () => {
+      updateSubject(testId('update_subject'), { promptTemplate: 'Custom {{question}}' });
+
+      const res = await request(app)
+        .put(`/api/subjects/${testId('update_subject')}`)
+        .send({ promptTemplate: null });
+
+      expect(res.status).toBe(200);
+      expect(res.body.subject.promptTemplate).toBeNull();
+    });
+
+    it('should return 400 for promptTemplate without {{question}}', async () => {
+      const res = await request(app)
+        .put(`/api/subjects/${testId('update_subject')}`)
+        .send({ promptTemplate: 'Template without the question' });
+
+      expect(res.status).toBe(400);
+      expect(res.body.success).toBe(false);
+      expect(res.body.error).toContain('{{question}}');
+    });
+
+    it('should update subject config', async () => {
+      const config = { questionSource: { directory: ['data', '/srv/ffi'], filePattern: 'FFI-{topic}.md', idPrefix: 'ffi_' } };
+      const res = await request(app)
+        .put(`/api/subjects/${testId('update_subject')}`)
+        .send({ config });
+
+      expect(res.status).toBe(200);
+      expect(res.body.subject.config).toEqual(config);
+    });
+
+    it('should return 400 for an invalid question source', async () => {
+      const res = await request(app)
+        .put(`/api/subjects/${testId('update_subject')}`)
+        .send({ config: { questionSource: { directory: 'data', filePattern: 'x/{topic}.md' } } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toContain('questionSource.filePattern');
+    });
+
     it('should update multiple fields at once', async () => {
       const res = await request(app)
         .put(`/api/subjects/${testId('update_subject')}`)
@@ -0,0 +1,244 @@
+/**
+ * Integration Tests for concept tags (routes/tags.js, services/questionTagger.js,
+ * the ?tags= filter of the session loaders and GET /api/stats/tags)
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  upsertQuestion,
+  recordAttempt,
+  getQuestionTags,
+  getJob
+} from '../../server/database.js';
+import { setProvider, createFakeProvider } from '../../server/services/llmProvider.js';
+import { drainJobs } from '../../server/services/jobQueue.js';
+import { mergeQuestions } from '../../server/services/questionDuplicates.js';
+import { tagTopicQuestions } from '../../server/services/questionTagger.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'TAG_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+const OTHER_SUBJECT = testId('other');
+const TOPIC = 'Tema3';
+
+const OPTIONS = { a: 'Si', b: 'No' };
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Concept Tags', () => {
+  let app;
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+    setProvider(null);
+  });
+
+  beforeEach(() => {
+    createSubject({ id: SUBJECT, name: 'Tags Test', methodology: ['test'], modes: ['test'] });
+    createSubject({ id: OTHER_SUBJECT, name: 'Other Tags Test', methodology: ['test'], modes: ['test'] });
+
+    upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: TOPIC, question_number: 1, content: '¿Es serializable en conflictos?', options: OPTIONS });
+    upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: TOPIC, question_number: 2, content: '¿Es recuperable?', options: OPTIONS });
+    upsertQuestion({ id: testId('q3'), subject_id: SUBJECT, topic: 'Tema4', question_number: 1, content: '¿Hay interbloqueo?', options: OPTIONS });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+    setProvider(null);
+  });
+
+  function cleanupTestData() {
+    const like = `LIKE '${TEST_PREFIX}%'`;
+    db.prepare(`DELETE FROM jobs WHERE job_key ${like}`).run();
+    db.prepare(`DELETE FROM llm_usage WHERE subject_id ${like}`).run();
+    db.prepare(`DELETE FROM question_tags WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM tags WHERE subject_id ${like}`).run();
+    db.prepare(`DELETE FROM attempts WHERE question_id ${like}`).run();
+    db.prepare(`DELETE FROM questions WHERE id ${like}`).run();
+    db.prepare(`DELETE FROM topics WHERE subject_id ${like}`).run();
+    db.prepare(`DELETE FROM subjects WHERE id ${like}`).run();
+  }
+
+  const createTag = (name, subjectId = SUBJECT) => request(app).post('/api/tags').send({ subjectId, name });
+  const setTags = (questionId, tags) => request(app).put(`/api/tags/question/${questionId}`).send({ tags });
+
+  describe('tag CRUD', () => {
+    it('should create, list, rename and delete tags', async () => {
+      const created = await createTag('Serializabilidad en conflictos');
+      expect(created.status).toBe(201);
+      expect(created.body.data).toEqual(expect.objectContaining({
+        name: 'Serializabilidad en conflictos',
+        slug: 'serializabilidad-en-conflictos'
+      }));
+      const tagId = created.body.data.id;
+
+      const renamed = await request(app).put(`/api/tags/${tagId}`).send({ name: 'Serializabilidad' });
+      expect(renamed.body.data.slug).toBe('serializabilidad');
+
+      const list = await request(app).get(`/api/tags?subjectId=${SUBJECT}`);
+      expect(list.body.data.map(tag => tag.name)).toEqual(['Serializabilidad']);
+
+      expect((await request(app).delete(`/api/tags/${tagId}`)).status).toBe(200);
+      expect((await request(app).delete(`/api/tags/${tagId}`)).status).toBe(404);
+    });
+
+    it('should reject names that clash ignoring case and accents', async () => {
+      await createTag('Recuperación');
+
+      expect((await createTag('recuperacion')).status).toBe(409);
+      expect((await createTag('recuperacion', OTHER_SUBJECT)).status).toBe(201);
+      expect((await createTag('???')).status).toBe(400);
+      expect((await createTag('Otra', testId('none'))).status).toBe(404);
+    });
+  });
+
+  describe('question tags', () => {
+    it('should replace the tags of a question, creating tags from names', async () => {
+      const { body: { data: tag } } = await createTag('Recuperabilidad');
+
+      const res = await setTags(testId('q2'), [tag.id, 'Cascada de abortos']);
+      expect(res.status).toBe(200);
+      expect(res.body.data.map(t => t.name)).toEqual(['Cascada de abortos', 'Recuperabilidad']);
+      expect(res.body.data.every(t => t.source === 'manual')).toBe(true);
+
+      const replaced = await setTags(testId('q2'), ['recuperabilidad']);
+      expect(replaced.body.data.map(t => t.id)).toEqual([tag.id]);
+
+      const read = await request(app).get(`/api/tags/question/${testId('q2')}`);
+      expect(read.body.data).toHaveLength(1);
+    });
+
+    it('should reject tags of another subject and unknown questions', async () => {
+      const { body: { data: foreign } } = await createTag('Ajena', OTHER_SUBJECT);
+
+      expect((await setTags(testId('q1'), [foreign.id])).status).toBe(400);
+      expect((await setTags(testId('q1'), 'x')).status).toBe(400);
+      expect((await setTags(testId('none'), [])).status).toBe(404);
+    });
+  });
+
+  describe('tag-filtered practice', () => {
+    it('should only serve questions with one of the requested tags', async () => {
+      const tagged = await setTags(testId('q1'), ['Serializabilidad']);
+      const tagId = tagged.body.data[0].id;
+
+      const list = await request(app).get(`/api/subjects/${SUBJECT}/questions/${TOPIC}?tags=${tagId}`);
+      expect(list.body.data.map(q => q.id)).toEqual([testId('q1')]);
+
+      const next = await request(app).get(`/api/subjects/${SUBJECT}/questions/${TOPIC}/next?tags=${tagId}`);
+      expect(next.body.data.id).toBe(testId('q1'));
+
+      const exam = await request(app).get(`/api/subjects/${SUBJECT}/exam-mode?tags=${tagId}`);
+      expect(exam.body.data.questions.map(q => q.id)).toEqual([testId('q1')]);
+      expect(exam.body.data.totalAvailable).toBe(1);
+
+      const adaptive = await request(app).get(`/api/subjects/${SUBJECT}/adaptive-mode?tags=${tagId}`);
+      expect(adaptive.body.data.stats.total).toBe(1);
+
+      const unfiltered = await request(app).get(`/api/subjects/${SUBJECT}/questions/${TOPIC}`);
+      expect(unfiltered.body.count).toBe(2);
+    });
+  });
+
+  describe('GET /api/stats/tags', () => {
+    it('should report accuracy per tag', async () => {
+      await setTags(testId('q1'), ['Serializabilidad']);
+      await setTags(testId('q3'), ['Interbloqueo']);
+      recordAttempt({ question_id: testId('q1'), user_answer: 'a', correct_answer: 'a', is_correct: true });
+      recordAttempt({ question_id: testId('q1'), user_answer: 'b', correct_answer: 'a', is_correct: false, hints_used: 1 });
+
+      const res = await request(app).get(`/api/stats/tags?subjectId=${SUBJECT}`);
+      expect(res.status).toBe(200);
+
+      const [deadlock, serializability] = res.body.data;
+      expect(deadlock).toEqual(expect.objectContaining({ name: 'Interbloqueo', total_questions: 1, total_attempts: 0, accuracy: 0 }));
+      expect(serializability).toEqual(expect.objectContaining({
+        name: 'Serializabilidad',
+        answered_questions: 1,
+        total_attempts: 2,
+        accuracy: 50,
+        unaided_accuracy: 100,
+        hinted_attempts: 1
+      }));
+
+      const byTopic = await request(app).get(`/api/stats/tags?subjectId=${SUBJECT}&topic=Tema4`);
+      expect(byTopic.body.data.map(tag => tag.name)).toEqual(['Interbloqueo']);
+
+      expect((await request(app).get('/api/stats/tags')).status).toBe(400);
+    });
+  });
+
+  describe('POST /api/tags/auto', () => {
+    it('should tag every question of the topic in a background job', async () => {
+      setProvider(createFakeProvider());
+      await setTags(testId('q1'), ['Serializabilidad']);
+
+      const res = await request(app).post('/api/tags/auto').send({ subjectId: SUBJECT, topic: TOPIC });
+      expect(res.status).toBe(202);
+
+      await drainJobs();
+      const job = getJob(res.body.jobId);
+      expect(job.status).toBe('completed');
+      expect(job.result).toEqual(expect.objectContaining({ questions: 2, tagged: 2, createdTags: ['Concepto simulado'] }));
+
+      expect(getQuestionTags(testId('q1')).map(tag => [tag.name, tag.source])).toEqual([
+        ['Concepto simulado', 'ai'],
+        ['Serializabilidad', 'manual']
+      ]);
+      expect(getQuestionTags(testId('q3'))).toEqual([]);
+    });
+
+    it('should keep the previous AI tags when a replacing run fails', async () => {
+      setProvider(createFakeProvider());
+      await tagTopicQuestions(SUBJECT, TOPIC);
+      setProvider({
+        name: 'broken',
+        complete: async () => { throw new Error('Rate limited'); }
+      });
+
+      await expect(tagTopicQuestions(SUBJECT, TOPIC, { replace: true })).rejects.toThrow('Rate limited');
+
+      expect(getQuestionTags(testId('q1')).map(tag => [tag.name, tag.source])).toEqual([['Concepto simulado', 'ai']]);
+      expect(getQuestionTags(testId('q2')).map(tag => [tag.name, tag.source])).toEqual([['Concepto simulado', 'ai']]);
+    });
+
+    it('should validate the request', async () => {
+      expect((await request(app).post('/api/tags/auto').send({ subjectId: SUBJECT })).status).toBe(400);
+      expect((await request(app).post('/api/tags/auto').send({ subjectId: testId('none'), topic: TOPIC })).status).toBe(404);
+    });
+  });
+
+  describe('duplicate merge', () => {
+    it('should move the tags of the merged question', async () => {
+      await setTags(testId('q1'), ['Serializabilidad']);
+      await setTags(testId('q2'), ['Serializabilidad', 'Recuperabilidad']);
+
+      const result = mergeQuestions(testId('q1'), testId('q2'));
+
+      expect(result.moved.tags).toBe(1);
+      expect(getQuestionTags(testId('q1')).map(tag => tag.name)).toEqual(['Recuperabilidad', 'Serializabilidad']);
+      expect(getQuestionTags(testId('q2'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,193 @@
+/**
+ * Integration Tests for Tutor Routes (routes/tutor.js)
+ * Follow-up chat about a solved question, using a fake LLM provider
+ */
+
+import express from 'express';
+import request from 'supertest';
+import {
+  db,
+  initializeDatabase,
+  createSubject,
+  getSubjectById,
+  upsertQuestion,
+  cacheSolution,
+  getTutorMessages
+} from '../../server/database.js';
+import { setProvider, createFakeProvider } from '../../server/services/llmProvider.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+// Test prefix to identify test data
+const TEST_PREFIX = 'TUTOR_ROUTE_TEST_';
+const testId = (id) => `${TEST_PREFIX}${id}`;
+const SUBJECT = testId('subject');
+
+// Create test app
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+describe('Tutor Routes Integration Tests', () => {
+  let app;
+  const prompts = [];
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    cleanupTestData();
+    setupTestSubject();
+
+    // Fake provider that keeps the prompts it receives
+    const fake = createFakeProvider();
+    setProvider({
+      name: 'fake',
+      complete: (params) => {
+        prompts.push(params.prompt);
+        return fake.complete(params);
+      }
+    });
+  });
+
+  afterAll(() => {
+    setProvider(null);
+    cleanupTestData();
+    db.prepare(`DELETE FROM subjects WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  });
+
+  beforeEach(() => {
+    prompts.length = 0;
+    upsertQuestion({ id: testId('q1'), subject_id: SUBJECT, topic: 'ZZTutorTopic', question_number: 1, content: 'Que es un indice B+?', options: { a: 'Un arbol', b: 'Una tabla', c: 'Un hash', d: 'Una vista' } });
+    upsertQuestion({ id: testId('q2'), subject_id: SUBJECT, topic: 'ZZTutorTopic', question_number: 2, content: 'Q2', options: { a: 'A', b: 'B', c: 'C', d: 'D' } });
+    cacheSolution({ question_id: testId('q1'), correct_answer: 'a', explanation: 'Es un arbol equilibrado', wrong_options: { b: 'No es una tabla' } });
+  });
+
+  afterEach(() => {
+    cleanupTestData();
+  });
+
+  function cleanupTestData() {
+    // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM tutor_messages WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM solutions_cache WHERE question_id LIKE '${TEST_PREFIX}%'`).run();
+    db.prepare(`DELETE FROM questions WHERE id LIKE '${TEST_PREFIX}%'`).run();
+  }
+
+  function setupTestSubject() {
+    if (!getSubjectById(SUBJECT)) {
+      createSubject({
+        id: SUBJECT,
+        name: 'Test Subject for Tutor Routes',
+        methodology: ['test'],
+        modes: ['test']
+      });
+    }
+  }
+
+  // ========================================
+  // POST /api/tutor/:questionId
+  // ========================================
+
+  describe('POST /api/tutor/:questionId', () => {
+    it('should answer and store both turns', async () => {
+      const res = await request(app)
+        .post(`/api/tutor/${testId('q1')}`)
+        .send({ message: '  ¿Por que no la b?  ' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.question).toMatchObject({ role: 'user', content: '¿Por que no la b?' });
+      expect(res.body.data.reply).toMatchObject({ role: 'assistant', model: 'fake' });
+      expect(res.body.data.reply.content).toContain('tutor');
+
+      const stored = getTutorMessages(testId('q1'));
+      expect(stored.map(m => m.role)).toEqual(['user', 'assistant']);
+    });
+
+    it('should send the question, the solution and earlier turns', async () => {
+      await request(app).post(`/api/tutor/${testId('q1')}`).send({ message: 'Primera duda' });
+      await request(app).post(`/api/tutor/${testId('q1')}`).send({ message: 'Segunda duda' });
+
+      const prompt = prompts[1];
+      expect(prompt).toContain('Que es un indice B+?');
+      expect(prompt).toContain('Es un arbol equilibrado');
+      expect(prompt).toContain('No es una tabla');
+      expect(prompt).toContain('Estudiante: Primera duda');
+      expect(prompt).toContain('Profesor: Respuesta simulada del tutor');
+      expect(prompt).toContain('Segunda duda');
+    });
+
+    it('should reject empty messages', async () => {
+      const res = await request(app)
+        .post(`/api/tutor/${testId('q1')}`)
+        .send({ message: '   ' });
+
+      expect(res.status).toBe(400);
+      expect(prompts).toHaveLength(0);
+    });
+
+    it('should reject overly long messages', async () => {
+      const res = await request(app)
+        .post(`/api/tutor/${testId('q1')}`)
+        .send({ message: 'x'.repeat(2001) });
+
+      expect(res.status).toBe(400);
+    });
+
+    it('should return 404 for unknown questions', async () => {
+      const res = await request(app)
+        .post(`/api/tutor/${testId('missing')}`)
+        .send({ message: 'Hola' });
+
+      expect(res.status).toBe(404);
+    });
+
+    it('should return 409 when the question has no cached solution', async () => {
+      const res = await request(app)
+        .post(`/api/tutor/${testId('q2')}`)
+        .send({ message: 'Hola' });
+
+      expect(res.status).toBe(409);
+      expect(getTutorMessages(testId('q2'))).toHaveLength(0);
+    });
+  });
+
+  // ========================================
+  // GET / DELETE /api/tutor/:questionId
+  // ========================================
+
+  describe('GET /api/tutor/:questionId', () => {
+    it('should return the conversation oldest first', async () => {
+      await request(app).post(`/api/tutor/${testId('q1')}`).send({ message: 'Primera duda' });
+
+      const res = await request(app).get(`/api/tutor/${testId('q1')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.count).toBe(2);
+      expect(res.body.data[0]).toMatchObject({ role: 'user', content: 'Primera duda' });
+      expect(res.body.data[1].role).toBe('assistant');
+    });
+
+    it('should return an empty list for a new conversation', async () => {
+      const res = await request(app).get(`/api/tutor/${testId('q2')}`);
+
+      expect(res.status).toBe(200);
+      expect(res.body.data).toEqual([]);
+    });
+  });
+
+  describe('DELETE /api/tutor/:questionId', () => {
+    it('should clear the conversation', async () => {
+      await request(app).post(`/api/tutor/${testId('q1')}`).send({ message: 'Primera duda' });
+
+      const res = await request(app).delete(`/api/tutor/${testId('q1')}`);
+
+      expect(res.status).toBe(200);
+      expect(getTutorMessages(testId('q1'))).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * Tests for the LLM usage ledger, GET /api/usage and the budget cap
+ * Calls go through the fake provider; ledger rows use a test subject/feature
+ */
+
+import express from 'express';
+import request from 'supertest';
+import { db, initializeDatabase, recordLlmUsage, getLlmUsageSummary } from '../../server/database.js';
+import { complete, setProvider, createFakeProvider, estimateCostUsd, LlmTimeoutError } from '../../server/services/llmProvider.js';
+import { getBudgetStatus, getPeriodStart, assertWithinBudget, BudgetExceededError } from '../../server/services/usageBudget.js';
+
+// Import actual routes
+import mainRouter from '../../server/routes.js';
+
+const TEST_SUBJECT = 'USAGE_TEST_subject';
+const TEST_FEATURE = 'usage_test';
+
+function createTestApp() {
+  const app = express();
+  app.use(express.json());
+  app.use('/api', mainRouter);
+  return app;
+}
+
+function cleanupTestData() {
+  db.prepare('DELETE FROM llm_usage WHERE subject_id = ? OR feature = ?').run(TEST_SUBJECT, TEST_FEATURE);
+}
+
+describe('LLM usage ledger', () => {
+  let app;
+  const savedEnv = {};
+
+  beforeAll(() => {
+    // Initialize database (creates tables if not exist)
+    initializeDatabase();
+    app = createTestApp();
+    savedEnv.limit = process.env.LLM_BUDGET_USD;
+    savedEnv.period = process.env.LLM_BUDGET_PERIOD;
+  });
+
+  beforeEach(() => {
+    cleanupTestData();
+    setProvider(createFakeProvider());
+    delete process.env.LLM_BUDGET_USD;
+    delete process.env.LLM_BUDGET_PERIOD;
+  });
+
+  afterAll(() => {
+    cleanupTestData();
+    setProvider(null);
+    if (savedEnv.limit === undefined) delete process.env.LLM_BUDGET_USD;
+    else process.env.LLM_BUDGET_USD = savedEnv.limit;
+    if (savedEnv.period === undefined) delete process.env.LLM_BUDGET_PERIOD;
+    else process.env.LLM_BUDGET_PERIOD = savedEnv.period;
+  });
+
+  describe('complete()', () => {
+    it('should record one ledger row per call', async () => {
+      await complete('Hola', { task: TEST_FEATURE, subjectId: TEST_SUBJECT });
+
+      const rows = db.prepare('SELECT * FROM llm_usage WHERE subject_id = ?').all(TEST_SUBJECT);
+      expect(rows).toHaveLength(1);
+      expect(rows[0]).toMatchObject({ feature: TEST_FEATURE, provider: 'fake', model: 'fake', status: 'ok' });
+      expect(rows[0].duration_ms).toBeGreaterThanOrEqual(0);
+    });
+
+    it('should record tokens and estimate the cost from the model', async () => {
+      setProvider({
+        name: 'scripted',
+        complete: async () => ({ text: 'ok', usage: { input: 1000000, output: 100000 }, model: 'claude-sonnet-4-5' })
+      });
+
+      await complete('Hola', { task: TEST_FEATURE, subjectId: TEST_SUBJECT });
+
+      const row = db.prepare('SELECT * FROM llm_usage WHERE subject_id = ?').get(TEST_SUBJECT);
+      expect(row.input_tokens).toBe(1000000);
+      expect(row.output_tokens).toBe(100000);
+      expect(row.cost_usd).toBeCloseTo(4.5);
+    });
+
+    it('should prefer the cost reported by the provider', async () => {
+      setProvider({
+        name: 'scripted',
+        complete: async () => ({ text: 'ok', usage: { input: 10, output: 10, costUsd: 0.25 }, model: 'claude-sonnet-4-5' })
+      });
+
+      await complete('Hola', { task: TEST_FEATURE, subjectId: TEST_SUBJECT });
+
+      const row = db.prepare('SELECT cost_usd FROM llm_usage WHERE subject_id = ?').get(TEST_SUBJECT);
+      expect(row.cost_usd).toBe(0.25);
+    });
+
+    it('should record failed calls with their status', async () => {
+      setProvider({
+        name: 'slow',
+        complete: ({ abortController }) => new Promise((resolve, reject) => {
+          abortController.signal.addEventListener('abort', () => {
+            const error = new Error('aborted');
+            error.name = 'AbortError';
+            reject(error);
+          });
+        })
+      });
+
+      await expect(complete('Hola', { task: TEST_FEATURE, subjectId: TEST_SUBJECT, timeoutMs: 10 }))
+        .rejects.toThrow(LlmTimeoutError);
+
+      const row = db.prepare('SELECT status FROM llm_usage WHERE subject_id = ?').get(TEST_SUBJECT);
+      expect(row.status).toBe('timeout');
+    });
+  });
+
+  describe('estimateCostUsd', () => {
+    it('should price known models per million tokens', () => {
+      expect(estimateCostUsd('claude-opus-4-5-20251101', { input: 1000000, output: 1000000 })).toBeCloseTo(30);
+      expect(estimateCostUsd('claude-haiku-4-5', { input: 2000000, output: 0 })).toBeCloseTo(2);
+    });
+
+    it('should return 0 for unknown models', () => {
+      expect(estimateCostUsd('fake', { input: 1000, output: 1000 })).toBe(0);
+      expect(estimateCostUsd(null, { input: 1000, output: 1000 })).toBe(0);
+    });
+  });
+
+  describe('getLlmUsageSummary', () => {
+    it('should group by day, subject and feature', () => {
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', inputTokens: 10, outputTokens: 5, costUsd: 0.5, durationMs: 100 });
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', inputTokens: 20, outputTokens: 5, costUsd: 0.25, durationMs: 50, status: 'error' });
+
+      const summary = getLlmUsageSummary({ subjectId: TEST_SUBJECT });
+
+      expect(summary.totals).toMatchObject({ calls: 2, input_tokens: 30, output_tokens: 10, cost_usd: 0.75, duration_ms: 150, failed_calls: 1 });
+      expect(summary.bySubject).toEqual([expect.objectContaining({ grp: TEST_SUBJECT, calls: 2 })]);
+      expect(summary.byFeature).toEqual([expect.objectContaining({ grp: TEST_FEATURE, calls: 2 })]);
+      expect(summary.byDay).toHaveLength(1);
+    });
+  });
+
+  describe('GET /api/usage', () => {
+    it('should report totals per day, subject and feature', async () => {
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', inputTokens: 10, outputTokens: 5, costUsd: 0.5, durationMs: 100 });
+
+      const response = await request(app).get(`/api/usage?subjectId=${TEST_SUBJECT}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.success).toBe(true);
+      expect(response.body.data.totals).toEqual({
+        calls: 1,
+        failedCalls: 0,
+        inputTokens: 10,
+        outputTokens: 5,
+        costUsd: 0.5,
+        durationMs: 100
+      });
+      expect(response.body.data.bySubject[0].subjectId).toBe(TEST_SUBJECT);
+      expect(response.body.data.byFeature[0].feature).toBe(TEST_FEATURE);
+      expect(response.body.data.byDay[0].day).toBe(new Date().toISOString().substring(0, 10));
+      expect(response.body.data.budget).toMatchObject({ limitUsd: null, exceeded: false });
+    });
+
+    it('should exclude calls outside the date range', async () => {
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', costUsd: 0.5 });
+
+      const response = await request(app).get(`/api/usage?subjectId=${TEST_SUBJECT}&from=2000-01-01&to=2000-01-31`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.data.totals.calls).toBe(0);
+      expect(response.body.data.byDay).toEqual([]);
+    });
+
+    it('should reject malformed dates', async () => {
+      const response = await request(app).get('/api/usage?from=ayer');
+
+      expect(response.status).toBe(400);
+      expect(response.body.success).toBe(false);
+    });
+  });
+
+  describe('budget cap', () => {
+    it('should start the period at the first of the month or the day (UTC)', () => {
+      const now = new Date(Date.UTC(2025, 5, 17, 15, 30));
+      expect(getPeriodStart('month', now)).toBe('2025-06-01 00:00:00');
+      expect(getPeriodStart('day', now)).toBe('2025-06-17 00:00:00');
+    });
+
+    it('should not limit anything without LLM_BUDGET_USD', () => {
+      expect(getBudgetStatus()).toMatchObject({ limitUsd: null, remainingUsd: null, exceeded: false });
+      expect(() => assertWithinBudget()).not.toThrow();
+    });
+
+    it('should throw once the spend reaches the cap', () => {
+      process.env.LLM_BUDGET_USD = '0.000001';
+      process.env.LLM_BUDGET_PERIOD = 'day';
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', costUsd: 1 });
+
+      const status = getBudgetStatus();
+      expect(status.exceeded).toBe(true);
+      expect(status.remainingUsd).toBe(0);
+      expect(() => assertWithinBudget()).toThrow(BudgetExceededError);
+    });
+
+    it('should refuse new jobs with 429 when the budget is exceeded', async () => {
+      process.env.LLM_BUDGET_USD = '0.000001';
+      recordLlmUsage({ feature: TEST_FEATURE, subjectId: TEST_SUBJECT, provider: 'fake', model: 'fake', costUsd: 1 });
+
+      const response = await request(app)
+        .post('/api/solve/batch')
+        .send({ questions: ['USAGE_TEST_q1'] });
+
+      expect(response.status).toBe(429);
+      expect(response.body.success).toBe(false);
+      expect(response.body.error).toBe('AI budget exceeded');
+    });
+  });
+});
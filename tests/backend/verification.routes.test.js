@@ -55,6 +55,7 @@ describe('Verification Routes Integration Tests', () => {
 
   function cleanupTestData() {
     // Clean up in order of foreign key dependencies
+    db.prepare(`DELETE FROM jobs WHERE job_key LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM verification_questions WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM verification_sessions WHERE id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM exam_pdfs WHERE id LIKE '${TEST_PREFIX}%'`).run();
@@ -62,6 +63,7 @@ describe('Verification Routes Integration Tests', () => {
   }
 
   function cleanupTestSessions() {
+    db.prepare(`DELETE FROM jobs WHERE job_key LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM verification_questions WHERE session_id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM verification_sessions WHERE id LIKE '${TEST_PREFIX}%'`).run();
     db.prepare(`DELETE FROM exam_pdfs WHERE id LIKE '${TEST_PREFIX}%'`).run();
@@ -241,6 +243,7 @@ describe('Verification Routes Integration Tests', () => {
       expect(res.status).toBe(200);
       expect(res.body.success).toBe(true);
       expect(res.body.message).toContain('iniciada');
+      expect(res.body.jobId).toBeDefined();
     });
 
     it('should return 404 for non-existent session', async () => {
@@ -23,6 +23,7 @@ jest.unstable_mockModule('../../server/services/pdfService.js', () => ({
 const {
   processExamPage,
   parseExtractedQuestions,
+  validateExtractedPage,
   parseOpenQuestions,
   processExamPages,
   normalizeQuestions
@@ -375,6 +376,16 @@ d) A device
       expect(questions[0].options).toBeNull();
     });
 
+    it('should read the question type tags', () => {
+      const markdown = '## Pregunta 1\n\nMarca las correctas [MULTIPLE]\n\na) A\nb) B\nc) C\n\n---\n\n## Pregunta 2\n\nCuantos bloques? [NUMERICA ±0,5]\n\n---';
+
+      const questions = parseExtractedQuestions(markdown, 'exam123');
+
+      expect(questions[0]).toMatchObject({ questionType: 'multiple', answerTolerance: null, normalizedContent: 'Marca las correctas' });
+      expect(questions[1]).toMatchObject({ questionType: 'numeric', answerTolerance: 0.5, normalizedContent: 'Cuantos bloques?' });
+      expect(validateExtractedPage(markdown).issues).toEqual([]);
+    });
+
     it('should skip non-question blocks', () => {
       const markdown = `Some intro text
 
@@ -459,6 +470,36 @@ d) Updates user with id 1
     });
   });
 
+  describe('validateExtractedPage', () => {
+    it('should accept well-formed question blocks', () => {
+      const { value, issues } = validateExtractedPage('## Pregunta 1\n\nTest\n\na) A\nb) B\nc) C\nd) D\n\n---');
+
+      expect(value).toHaveLength(1);
+      expect(issues).toEqual([]);
+    });
+
+    it('should report blocks with missing options', () => {
+      const { issues } = validateExtractedPage('## Pregunta 3\n\nTest\n\na) A\nb) B\nd) D\n\n---');
+
+      expect(issues).toEqual(['Pregunta 3 options: Missing options c) (mark cut-off questions with [INCOMPLETO])']);
+    });
+
+    it('should accept blocks with two to six options', () => {
+      const { value, issues } = validateExtractedPage(
+        '## Pregunta 1\n\nAfirmacion\n\na) Verdadero\nb) Falso\n\n---\n\n' +
+        '## Pregunta 2\n\nTest\n\na) A\nb) B\nc) C\nd) D\ne) E\n\n---'
+      );
+
+      expect(issues).toEqual([]);
+      expect(value[1].options.e).toBe('E');
+    });
+
+    it('should accept incomplete questions and pages without questions', () => {
+      expect(validateExtractedPage('## Pregunta 1\n\nCortada [INCOMPLETO]\n\n---').issues).toEqual([]);
+      expect(validateExtractedPage('Portada del examen').issues).toEqual([]);
+    });
+  });
+
   describe('processExamPages', () => {
     it('should process multiple pages sequentially', async () => {
       const pages = [
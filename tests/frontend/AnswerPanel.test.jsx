@@ -128,6 +128,27 @@ describe('AnswerPanel', () => {
     expect(screen.getByText('D is wrong because...')).toBeInTheDocument();
   });
 
+  it('should label wrong options from the options list (e) and f))', () => {
+    const result = {
+      correctAnswer: 'a',
+      explanation: 'A is correct',
+      wrongOptions: { e: 'E is wrong' }
+    };
+    const question = {
+      options: [
+        { key: 'a', text: 'First option' },
+        { key: 'e', text: 'Fifth option' }
+      ]
+    };
+
+    render(
+      <AnswerPanel result={result} userAnswer="a" question={question} />
+    );
+
+    expect(screen.getByText('Fifth option')).toBeInTheDocument();
+    expect(screen.getByText('E is wrong')).toBeInTheDocument();
+  });
+
   it('should not display correct answer in wrong options', () => {
     const result = {
       correctAnswer: 'a',
@@ -254,4 +275,113 @@ describe('AnswerPanel', () => {
     const icon = container.querySelector('.answer-icon.incorrect svg');
     expect(icon).toBeInTheDocument();
   });
+
+  it('should render the partial explanation while streaming', () => {
+    render(
+      <AnswerPanel
+        result={{ explanation: 'Explicacion parcial' }}
+        userAnswer="a"
+        question={mockQuestion}
+        streaming
+      />
+    );
+
+    expect(screen.getByText('Claude esta respondiendo...')).toBeInTheDocument();
+    expect(screen.getByText('Explicacion parcial')).toBeInTheDocument();
+    expect(screen.queryByText('Respuesta correcta')).not.toBeInTheDocument();
+  });
+
+  it('should warn when self-consistency confidence is low', () => {
+    const result = {
+      correctAnswer: 'a',
+      explanation: 'A is correct',
+      wrongOptions: {},
+      confidence: 0.6,
+      lowConfidence: true,
+      sampleCount: 5,
+      dissent: [{ answer: 'c', explanation: 'C por otra via' }]
+    };
+
+    render(<AnswerPanel result={result} userAnswer="a" question={mockQuestion} />);
+
+    expect(screen.getByText('Confianza baja (60%).')).toBeInTheDocument();
+    expect(screen.getByText('C por otra via')).toBeInTheDocument();
+  });
+
+  it('should not warn for confident or single-sample solutions', () => {
+    const { rerender } = render(
+      <AnswerPanel
+        result={{ correctAnswer: 'a', explanation: 'A', wrongOptions: {}, confidence: 1, lowConfidence: false, sampleCount: 3 }}
+        userAnswer="a"
+        question={mockQuestion}
+      />
+    );
+    expect(screen.queryByText(/Confianza baja/)).not.toBeInTheDocument();
+
+    rerender(
+      <AnswerPanel
+        result={{ correctAnswer: 'a', explanation: 'A', wrongOptions: {}, confidence: null, lowConfidence: false }}
+        userAnswer="a"
+        question={mockQuestion}
+      />
+    );
+    expect(screen.queryByText(/Confianza baja/)).not.toBeInTheDocument();
+  });
+
+  it('should flag when the official key disagrees with Claude', () => {
+    const result = {
+      correctAnswer: 'b',
+      aiAnswer: 'a',
+      officialAnswer: 'b',
+      explanation: 'A segun Claude',
+      wrongOptions: {}
+    };
+
+    render(<AnswerPanel result={result} userAnswer="b" question={mockQuestion} />);
+
+    expect(screen.getByText('La clave oficial no coincide con Claude.')).toBeInTheDocument();
+    expect(screen.getByText('Respuesta correcta')).toBeInTheDocument();
+  });
+
+  it('should not flag when the official key matches Claude', () => {
+    const result = { correctAnswer: 'a', aiAnswer: 'a', officialAnswer: 'a', explanation: 'A', wrongOptions: {} };
+
+    render(<AnswerPanel result={result} userAnswer="a" question={mockQuestion} />);
+
+    expect(screen.queryByText(/La clave oficial no coincide/)).not.toBeInTheDocument();
+  });
+
+  it('should warn when the solution is stale', () => {
+    const result = { correctAnswer: 'a', explanation: 'A', wrongOptions: {}, stale: true };
+
+    render(<AnswerPanel result={result} userAnswer="a" question={mockQuestion} />);
+
+    expect(screen.getByText('Solucion desactualizada.')).toBeInTheDocument();
+  });
+
+  it('should show partial credit on multiple-answer questions', () => {
+    const result = { correctAnswer: 'a,c', explanation: 'A y C', wrongOptions: { b: 'No', c: 'Si' }, score: 0.5, isCorrect: false };
+
+    render(<AnswerPanel result={result} userAnswer="a" question={{ ...mockQuestion, type: 'multiple' }} />);
+
+    expect(screen.getByText('Respuesta parcialmente correcta')).toBeInTheDocument();
+    expect(screen.getByText('Puntuacion: 50%. La respuesta correcta es las opciones A, C.')).toBeInTheDocument();
+    expect(screen.queryByText('Si')).not.toBeInTheDocument();
+  });
+
+  it('should show the expected result of numeric questions', () => {
+    const result = { correctAnswer: '12', explanation: 'Calculo', wrongOptions: {}, score: 0, isCorrect: false };
+
+    render(<AnswerPanel result={result} userAnswer="15" question={{ type: 'numeric', tolerance: 0.5 }} />);
+
+    expect(screen.getByText('La respuesta correcta es el resultado 12 (±0.5).')).toBeInTheDocument();
+  });
+
+  it('should trust the grade of numeric answers within the tolerance', () => {
+    const result = { correctAnswer: '12', explanation: 'Calculo', wrongOptions: {}, score: 1, isCorrect: true };
+
+    render(<AnswerPanel result={result} userAnswer="12,2" question={{ type: 'numeric', tolerance: 0.5 }} />);
+
+    expect(screen.getByText('Respuesta correcta')).toBeInTheDocument();
+  });
 });
@@ -43,6 +43,9 @@ jest.mock('../../src/shared/api', () => ({
     getStats: jest.fn(() => Promise.resolve({
       data: { total: 100, answered: 50, correct: 40, failed: 10 }
     }))
+  },
+  mockExamApi: {
+    printUrl: jest.fn((subjectId, document, { questionIds }) => `/api/mock-exam/${subjectId}/${document}?questionIds=${questionIds.join(',')}`)
   }
 }));
 
@@ -170,6 +173,18 @@ describe('ExamMode', () => {
         expect(screen.getByText(/modo examen/i)).toBeInTheDocument();
       });
     });
+
+    it('should link the printable exam and answer key of the draw', async () => {
+      renderWithRouter(<ExamMode />);
+      fireEvent.click(screen.getByRole('button', { name: /comenzar examen/i }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('link', { name: /imprimir examen/i }))
+          .toHaveAttribute('href', '/api/mock-exam/bda/exam?questionIds=q1,q2,q3');
+      });
+      expect(screen.getByRole('link', { name: /plantilla de respuestas/i }))
+        .toHaveAttribute('href', '/api/mock-exam/bda/key?questionIds=q1,q2,q3');
+    });
   });
 
   describe('empty state', () => {
@@ -0,0 +1,45 @@
+/**
+ * Tests for HintLadder Component
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import HintLadder from '../../src/solving/HintLadder.jsx';
+
+describe('HintLadder', () => {
+  const hints = [
+    { level: 1, kind: 'concept', content: 'Piensa en arboles equilibrados' },
+    { level: 2, kind: 'formula', content: 'Un nodo tiene como maximo m hijos' }
+  ];
+
+  it('should offer the first hint when none was shown', () => {
+    const onRequestHint = jest.fn();
+    render(<HintLadder hints={[]} maxLevel={3} onRequestHint={onRequestHint} />);
+
+    fireEvent.click(screen.getByRole('button', { name: 'Pedir pista (1/3)' }));
+
+    expect(onRequestHint).toHaveBeenCalled();
+  });
+
+  it('should show the hints already given with their level', () => {
+    render(<HintLadder hints={hints} maxLevel={3} onRequestHint={jest.fn()} />);
+
+    expect(screen.getByText('Piensa en arboles equilibrados')).toBeInTheDocument();
+    expect(screen.getByText('Pista 2 · Formula o definicion')).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Pedir pista (3/3)' })).toBeInTheDocument();
+  });
+
+  it('should hide the button once every level was shown', () => {
+    const allHints = [...hints, { level: 3, kind: 'elimination', content: 'La d no puede ser' }];
+    render(<HintLadder hints={allHints} maxLevel={3} onRequestHint={jest.fn()} />);
+
+    expect(screen.queryByRole('button')).not.toBeInTheDocument();
+    expect(screen.getByText('Pista 3 · Descarte')).toBeInTheDocument();
+  });
+
+  it('should disable the button while a hint is loading', () => {
+    render(<HintLadder hints={[]} maxLevel={3} onRequestHint={jest.fn()} loading />);
+
+    expect(screen.getByRole('button', { name: 'Pensando pista...' })).toBeDisabled();
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for QuestionCard Component
+ */
+
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import QuestionCard from '../../src/questions/QuestionCard.jsx';
+
+describe('QuestionCard', () => {
+  const baseQuestion = { id: 'q1', number: 1, text: 'Pregunta de prueba' };
+
+  it('should render the a-d options of questions without an options list', () => {
+    const question = { ...baseQuestion, optionA: 'Uno', optionB: 'Dos', optionC: 'Tres', optionD: '' };
+    render(<QuestionCard question={question} onSelectAnswer={jest.fn()} />);
+
+    expect(screen.getAllByRole('radio')).toHaveLength(3);
+    expect(screen.getByText('Tres')).toBeInTheDocument();
+  });
+
+  it('should render every option of the list, including e) and f)', () => {
+    const options = ['Uno', 'Dos', 'Tres', 'Cuatro', 'Cinco', 'Seis']
+      .map((text, index) => ({ key: 'abcdef'[index], text }));
+    const onSelectAnswer = jest.fn();
+    render(<QuestionCard question={{ ...baseQuestion, options }} onSelectAnswer={onSelectAnswer} />);
+
+    expect(screen.getAllByRole('radio')).toHaveLength(6);
+
+    fireEvent.click(screen.getByText('Seis'));
+
+    expect(onSelectAnswer).toHaveBeenCalledWith('f');
+  });
+
+  it('should render true/false questions with two options', () => {
+    const options = [{ key: 'a', text: 'Verdadero' }, { key: 'b', text: 'Falso' }];
+    render(
+      <QuestionCard
+        question={{ ...baseQuestion, options }}
+        selectedAnswer="b"
+        result={{ correctAnswer: 'a' }}
+        onSelectAnswer={jest.fn()}
+      />
+    );
+
+    expect(screen.getAllByRole('radio')).toHaveLength(2);
+    expect(screen.getByText('Verdadero').closest('label')).toHaveClass('correct');
+    expect(screen.getByText('Falso').closest('label')).toHaveClass('incorrect');
+  });
+
+  it('should render checkboxes on multiple-answer questions and mark every correct option', () => {
+    const options = [{ key: 'a', text: 'Uno' }, { key: 'b', text: 'Dos' }, { key: 'c', text: 'Tres' }];
+    const onSelectAnswer = jest.fn();
+    const question = { ...baseQuestion, options, type: 'multiple' };
+    const { rerender } = render(<QuestionCard question={question} selectedAnswer="a" onSelectAnswer={onSelectAnswer} />);
+
+    expect(screen.getAllByRole('checkbox')).toHaveLength(3);
+    expect(screen.getAllByRole('checkbox')[0]).toBeChecked();
+
+    fireEvent.click(screen.getByText('Tres'));
+
+    expect(onSelectAnswer).toHaveBeenCalledTimes(1);
+    expect(onSelectAnswer).toHaveBeenCalledWith('c');
+
+    rerender(<QuestionCard question={question} selectedAnswer="a,b" result={{ correctAnswer: 'a,c' }} onSelectAnswer={onSelectAnswer} />);
+
+    expect(screen.getByText('Uno').closest('label')).toHaveClass('correct');
+    expect(screen.getByText('Dos').closest('label')).toHaveClass('incorrect');
+    expect(screen.getByText('Tres').closest('label')).toHaveClass('correct');
+  });
+
+  it('should render a text input on numeric questions', () => {
+    const onSelectAnswer = jest.fn();
+    const question = { ...baseQuestion, options: [], type: 'numeric', tolerance: 0.5 };
+    const { rerender } = render(<QuestionCard question={question} selectedAnswer={null} onSelectAnswer={onSelectAnswer} />);
+
+    expect(screen.queryByRole('radio')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Respuesta numerica'), { target: { value: '12,5' } });
+
+    expect(onSelectAnswer).toHaveBeenCalledWith('12,5');
+
+    rerender(<QuestionCard question={question} selectedAnswer="12,5" result={{ correctAnswer: '12', isCorrect: true }} onSelectAnswer={onSelectAnswer} />);
+
+    expect(screen.getByLabelText('Respuesta numerica')).toHaveClass('correct');
+    expect(screen.getByText('Resultado: 12 (±0.5)')).toBeInTheDocument();
+  });
+});
@@ -49,6 +49,22 @@ jest.mock('../../src/solving/AnswerPanel', () => {
   };
 });
 
+jest.mock('../../src/solving/TutorChat', () => {
+  return function MockTutorChat({ questionId }) {
+    return <div data-testid="tutor-chat" data-question-id={questionId} />;
+  };
+});
+
+jest.mock('../../src/solving/HintLadder', () => {
+  return function MockHintLadder({ hints, onRequestHint }) {
+    return (
+      <div data-testid="hint-ladder" data-hint-count={hints.length}>
+        <button data-testid="request-hint" onClick={onRequestHint}>Hint</button>
+      </div>
+    );
+  };
+});
+
 jest.mock('../../src/progress/ProgressBar', () => {
   return function MockProgressBar({ value }) {
     return <div data-testid="progress-bar" data-value={value}>{value}%</div>;
@@ -214,6 +230,46 @@ describe('QuestionSession', () => {
 
       expect(screen.queryByTestId('answer-panel')).not.toBeInTheDocument();
     });
+
+    it('should show the tutor chat for the current question once solved', () => {
+      const session = createMockSession({
+        result: { correctAnswer: 'a', explanation: 'test' },
+        selectedAnswer: 'a'
+      });
+      render(<QuestionSession session={session} />);
+
+      expect(screen.getByTestId('tutor-chat')).toHaveAttribute('data-question-id', session.currentQuestion.id);
+    });
+
+    it('should show the hint ladder before the answer is checked', () => {
+      const handleRequestHint = jest.fn();
+      const session = createMockSession({
+        hintsEnabled: true,
+        maxHintLevel: 3,
+        hints: [{ level: 1, kind: 'concept', content: 'Pista' }],
+        handleRequestHint
+      });
+      render(<QuestionSession session={session} />);
+
+      expect(screen.getByTestId('hint-ladder')).toHaveAttribute('data-hint-count', '1');
+      fireEvent.click(screen.getByTestId('request-hint'));
+      expect(handleRequestHint).toHaveBeenCalled();
+    });
+
+    it('should hide the hint ladder when hints are disabled or the answer is shown', () => {
+      const session = createMockSession({ hintsEnabled: false, handleRequestHint: jest.fn() });
+      const { rerender } = render(<QuestionSession session={session} />);
+
+      expect(screen.queryByTestId('hint-ladder')).not.toBeInTheDocument();
+
+      rerender(<QuestionSession session={createMockSession({
+        hintsEnabled: true,
+        handleRequestHint: jest.fn(),
+        result: { correctAnswer: 'a', explanation: 'test' }
+      })} />);
+
+      expect(screen.queryByTestId('hint-ladder')).not.toBeInTheDocument();
+    });
   });
 
   describe('navigation', () => {
@@ -0,0 +1,94 @@
+/**
+ * Tests for TutorChat Component
+ */
+
+import React from 'react';
+import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+
+jest.mock('../../src/shared/api', () => ({
+  tutorApi: {
+    getMessages: jest.fn(),
+    ask: jest.fn(),
+    clear: jest.fn()
+  }
+}));
+
+import { tutorApi } from '../../src/shared/api';
+import TutorChat from '../../src/solving/TutorChat.jsx';
+
+describe('TutorChat', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    tutorApi.getMessages.mockResolvedValue({ data: { success: true, data: [] } });
+  });
+
+  it('should load the saved conversation', async () => {
+    tutorApi.getMessages.mockResolvedValue({
+      data: {
+        success: true,
+        data: [
+          { id: 1, role: 'user', content: 'Por que no la b?' },
+          { id: 2, role: 'assistant', content: 'Porque la b es una tabla.' }
+        ]
+      }
+    });
+
+    render(<TutorChat questionId="q1" />);
+
+    expect(await screen.findByText('Porque la b es una tabla.')).toBeInTheDocument();
+    expect(screen.getByText('Por que no la b?')).toBeInTheDocument();
+    expect(tutorApi.getMessages).toHaveBeenCalledWith('q1');
+  });
+
+  it('should send a message and show the reply', async () => {
+    tutorApi.ask.mockResolvedValue({
+      data: {
+        success: true,
+        data: {
+          question: { id: 1, role: 'user', content: 'Y la c?' },
+          reply: { id: 2, role: 'assistant', content: 'La c es un hash.' }
+        }
+      }
+    });
+
+    render(<TutorChat questionId="q1" />);
+
+    fireEvent.change(screen.getByPlaceholderText(/pregunta lo que no/i), { target: { value: 'Y la c?' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enviar' }));
+
+    expect(await screen.findByText('La c es un hash.')).toBeInTheDocument();
+    expect(tutorApi.ask).toHaveBeenCalledWith('q1', 'Y la c?');
+    expect(screen.getByPlaceholderText(/pregunta lo que no/i)).toHaveValue('');
+  });
+
+  it('should disable sending an empty message', () => {
+    render(<TutorChat questionId="q1" />);
+
+    expect(screen.getByRole('button', { name: 'Enviar' })).toBeDisabled();
+  });
+
+  it('should show an error when the tutor fails', async () => {
+    tutorApi.ask.mockRejectedValue(new Error('Claude timeout'));
+
+    render(<TutorChat questionId="q1" />);
+
+    fireEvent.change(screen.getByPlaceholderText(/pregunta lo que no/i), { target: { value: 'Hola' } });
+    fireEvent.click(screen.getByRole('button', { name: 'Enviar' }));
+
+    expect(await screen.findByText('No se pudo obtener respuesta del tutor.')).toBeInTheDocument();
+  });
+
+  it('should clear the conversation', async () => {
+    tutorApi.getMessages.mockResolvedValue({
+      data: { success: true, data: [{ id: 1, role: 'user', content: 'Hola' }] }
+    });
+    tutorApi.clear.mockResolvedValue({ success: true });
+
+    render(<TutorChat questionId="q1" />);
+
+    fireEvent.click(await screen.findByRole('button', { name: /borrar conversacion/i }));
+
+    await waitFor(() => expect(screen.queryByText('Hola')).not.toBeInTheDocument());
+    expect(tutorApi.clear).toHaveBeenCalledWith('q1');
+  });
+});
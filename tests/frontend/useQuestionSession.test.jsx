@@ -6,15 +6,23 @@ import { renderHook, act, waitFor } from '@testing-library/react';
 // Mock the api module - define mocks inside the factory to avoid hoisting issues
 jest.mock('../../src/shared/api', () => ({
   solvingApi: {
-    solve: jest.fn()
+    solve: jest.fn(),
+    canStream: jest.fn(),
+    solveStream: jest.fn()
   },
   progressApi: {
     recordAttempt: jest.fn()
+  },
+  answerKeysApi: {
+    setOfficialAnswer: jest.fn()
+  },
+  hintsApi: {
+    getHint: jest.fn()
   }
 }));
 
 // Import the mocked module to get references to the mock functions
-import { solvingApi, progressApi } from '../../src/shared/api';
+import { solvingApi, progressApi, answerKeysApi, hintsApi } from '../../src/shared/api';
 
 // Now import the hook
 import { useQuestionSession } from '../../src/shared/hooks/useQuestionSession';
@@ -65,7 +73,8 @@ describe('useQuestionSession', () => {
   beforeEach(() => {
     jest.clearAllMocks();
     solvingApi.solve.mockResolvedValue({ data: mockSolution });
-    progressApi.recordAttempt.mockResolvedValue({ success: true });
+    solvingApi.canStream.mockReturnValue(false);
+    progressApi.recordAttempt.mockResolvedValue({ data: { success: true, data: { isCorrect: true, score: 1 } } });
   });
 
   describe('initialization', () => {
@@ -189,9 +198,173 @@ describe('useQuestionSession', () => {
         userAnswer: 'a',
         correctAnswer: 'a',
         isCorrect: true,
-        explanation: 'Test explanation'
+        explanation: 'Test explanation',
+        hintsUsed: 0
       });
-      expect(result.current.result).toEqual(mockSolution);
+      expect(result.current.result).toEqual({ ...mockSolution, score: 1, isCorrect: true });
+    });
+
+    it('should toggle letters and show the partial credit graded by the server', async () => {
+      const question = {
+        ...mockQuestions[0],
+        type: 'multiple',
+        options: ['a', 'b', 'c', 'd'].map(key => ({ key, text: key.toUpperCase() }))
+      };
+      solvingApi.solve.mockResolvedValue({ data: { ...mockSolution, correctAnswer: 'a,c' } });
+      progressApi.recordAttempt.mockResolvedValue({ data: { success: true, data: { isCorrect: false, score: 0.5 } } });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: [question] });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      act(() => {
+        result.current.handleSelectAnswer('c');
+      });
+      act(() => {
+        result.current.handleSelectAnswer('a');
+      });
+      act(() => {
+        result.current.handleSelectAnswer('c');
+      });
+
+      expect(result.current.selectedAnswer).toBe('a');
+
+      await act(async () => {
+        await result.current.handleSolve();
+      });
+
+      expect(result.current.result).toMatchObject({ score: 0.5, isCorrect: false });
+      expect(progressApi.recordAttempt).toHaveBeenCalledWith(expect.objectContaining({
+        userAnswer: 'a',
+        correctAnswer: 'a,c'
+      }));
+    });
+
+    it('should show the server grade of numeric answers', async () => {
+      const question = { ...mockQuestions[0], type: 'numeric', tolerance: 0.5, options: [] };
+      solvingApi.solve.mockResolvedValue({ data: { ...mockSolution, correctAnswer: '12' } });
+      progressApi.recordAttempt.mockResolvedValue({ data: { success: true, data: { isCorrect: true, score: 1 } } });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: [question] });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      act(() => {
+        result.current.handleSelectAnswer('12,3');
+      });
+
+      await act(async () => {
+        await result.current.handleSolve();
+      });
+
+      expect(result.current.result).toMatchObject({ score: 1, isCorrect: true });
+    });
+
+    it('should save the official answer and regrade the result', async () => {
+      answerKeysApi.setOfficialAnswer.mockResolvedValue({ data: { success: true, grade: { isCorrect: false, score: 0 } } });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: mockQuestions });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      act(() => {
+        result.current.handleSelectAnswer('a');
+      });
+
+      await act(async () => {
+        await result.current.handleSolve();
+      });
+
+      await act(async () => {
+        await result.current.handleSetOfficialAnswer('c');
+      });
+
+      expect(answerKeysApi.setOfficialAnswer).toHaveBeenCalledWith('q1', 'c', null, 'a');
+      expect(result.current.result.officialAnswer).toBe('c');
+      expect(result.current.result.correctAnswer).toBe('c');
+      expect(result.current.result.isCorrect).toBe(false);
+    });
+
+    it('should request hint levels in order and record how many were used', async () => {
+      hintsApi.getHint
+        .mockResolvedValueOnce({ data: { success: true, data: { level: 1, kind: 'concept', content: 'Piensa en arboles' } } })
+        .mockResolvedValueOnce({ data: { success: true, data: { level: 2, kind: 'formula', content: 'Orden m' } } });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: mockQuestions });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      await act(async () => {
+        await result.current.handleRequestHint();
+      });
+      await act(async () => {
+        await result.current.handleRequestHint();
+      });
+
+      expect(hintsApi.getHint).toHaveBeenNthCalledWith(1, 'q1', 1);
+      expect(hintsApi.getHint).toHaveBeenNthCalledWith(2, 'q1', 2);
+      expect(result.current.hints.map(hint => hint.level)).toEqual([1, 2]);
+
+      act(() => {
+        result.current.handleSelectAnswer('a');
+      });
+
+      await act(async () => {
+        await result.current.handleSolve();
+      });
+
+      expect(progressApi.recordAttempt).toHaveBeenCalledWith(expect.objectContaining({ hintsUsed: 2 }));
+    });
+
+    it('should clear hints when moving to another question', async () => {
+      hintsApi.getHint.mockResolvedValue({ data: { success: true, data: { level: 1, kind: 'concept', content: 'Pista' } } });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: mockQuestions });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      await act(async () => {
+        await result.current.handleRequestHint();
+      });
+      expect(result.current.hints).toHaveLength(1);
+
+      act(() => {
+        result.current.goToNext();
+      });
+
+      expect(result.current.hints).toEqual([]);
+    });
+
+    it('should not request hints when they are disabled', async () => {
+      const loadQuestions = jest.fn().mockResolvedValue({ data: mockQuestions });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions, enableHints: false }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      await act(async () => {
+        await result.current.handleRequestHint();
+      });
+
+      expect(hintsApi.getHint).not.toHaveBeenCalled();
+      expect(result.current.hintsEnabled).toBe(false);
     });
 
     it('should not solve without selected answer', async () => {
@@ -253,7 +426,8 @@ describe('useQuestionSession', () => {
       expect(onSolve).toHaveBeenCalledWith({
         question: mockQuestions[0],
         userAnswer: 'a',
-        solution: mockSolution
+        solution: mockSolution,
+        hintsUsed: 0
       });
     });
 
@@ -279,6 +453,55 @@ describe('useQuestionSession', () => {
 
       expect(solvingApi.solve).toHaveBeenCalled();
       expect(progressApi.recordAttempt).not.toHaveBeenCalled();
+      // Nothing graded it: AnswerPanel falls back to comparing the letters
+      expect(result.current.result).toEqual(mockSolution);
+    });
+  });
+
+  describe('streaming solve', () => {
+    it('should stream the explanation when supported', async () => {
+      solvingApi.canStream.mockReturnValue(true);
+      let emit;
+      let finish;
+      solvingApi.solveStream.mockImplementation((questionId, { onExplanation }) => {
+        emit = onExplanation;
+        return new Promise(resolve => { finish = resolve; });
+      });
+      const loadQuestions = jest.fn().mockResolvedValue({ data: mockQuestions });
+
+      const { result } = renderHook(() => useQuestionSession({ loadQuestions }));
+
+      await waitFor(() => {
+        expect(result.current.loading).toBe(false);
+      });
+
+      act(() => {
+        result.current.handleSelectAnswer('a');
+      });
+
+      let solvePromise;
+      act(() => {
+        solvePromise = result.current.handleSolve();
+      });
+
+      act(() => {
+        emit('Test ');
+        emit('expl');
+      });
+
+      expect(result.current.streamingExplanation).toBe('Test expl');
+      expect(result.current.solving).toBe(true);
+
+      await act(async () => {
+        finish({ data: mockSolution });
+        await solvePromise;
+      });
+
+      expect(solvingApi.solveStream).toHaveBeenCalledWith('q1', expect.any(Object));
+      expect(solvingApi.solve).not.toHaveBeenCalled();
+      expect(result.current.result).toEqual({ ...mockSolution, score: 1, isCorrect: true });
+      expect(result.current.streamingExplanation).toBe(null);
+      expect(progressApi.recordAttempt).toHaveBeenCalled();
     });
   });
 